@@ -13,7 +13,7 @@
  * - Fully accessible (ARIA labels, keyboard navigation via Recharts)
  * - Uses unified global styling (SCSS variables, Card component)
  * 
- * Integrates with TanStack Query for data fetching and caching
+ * Data comes from useOccupancyTrend (snapshots rebuilt from bed assignment history)
  */
 
 import {
@@ -29,21 +29,31 @@ import {
   ResponsiveContainer,
 } from 'recharts';
 import Card from '@components/ui/card.jsx';
-import CardHeader from '@components/ui/card-header.jsx'; // Optional if you have header subcomponent
-import CardContent from '@components/ui/card-content.jsx';
-import CardTitle from '@components/ui/card-title.jsx';
 import Skeleton from '@components/ui/skeleton.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
 import './OccupancyChart.scss';
 
+// Department color mapping - Hospital theme colors
+const DEPARTMENT_COLORS = {
+  ICU: '#2563EB',        // Trust Blue - for critical care
+  ER: '#EF4444',         // Soft Red - for emergency
+  Emergency: '#EF4444',  // Soft Red - for emergency
+  'General Ward': '#16A34A', // Medical Healing Green - for general care
+  Surgery: '#14B8A6',    // Clinical Teal - for surgical departments
+};
+
+// Fallback colors for departments without a fixed color, picked by position
+const FALLBACK_COLORS = ['#8B5CF6', '#F59E0B', '#0EA5E9', '#EC4899', '#84CC16', '#64748B'];
+
 /**
  * Props:
  * - data: Array of objects with date and department occupancy values
  *   Example: [{ date: '2025-12-01', ICU: 85, ER: 92, General: 68 }]
  * - chartType: 'line' | 'area' (default: 'area')
- * - timeRange: 'daily' | 'weekly' | 'monthly' (used for labeling)
+ * - timeRange: 'hourly' | 'daily' | 'weekly' | 'monthly' (used for labeling)
  * - isLoading: boolean
  * - error: any
+ * - title: string
  */
 const OccupancyChart = ({
   data = [],
@@ -53,15 +63,6 @@ const OccupancyChart = ({
   error = null,
   title = 'Bed Occupancy Trend',
 }) => {
-  // Department color mapping - Hospital theme colors
-  const departmentColors = {
-    ICU: '#2563EB',        // Trust Blue - for critical care
-    ER: '#EF4444',         // Soft Red - for emergency
-    Emergency: '#EF4444',  // Soft Red - for emergency
-    'General Ward': '#16A34A', // Medical Healing Green - for general care
-    Surgery: '#14B8A6',    // Clinical Teal - for surgical departments
-  };
-
   // Extract unique departments from data for dynamic lines
   const departments = data.length > 0
     ? Object.keys(data[0]).filter(key => key !== 'date' && key !== 'name')
@@ -69,45 +70,47 @@ const OccupancyChart = ({
 
   if (isLoading) {
     return (
-      <Card className="occupancy-chart-card">
-        <CardHeader>
-          <CardTitle>{title}</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <Skeleton className="h-80 w-full rounded-lg" />
-        </CardContent>
+      <Card className="occupancyChartCard">
+        <div className="chartHeader">
+          <h2 className="chartTitle">{title}</h2>
+        </div>
+        <div className="chartContent">
+          <Skeleton className="skeleton h-80 w-full" />
+        </div>
       </Card>
     );
   }
 
   if (error) {
     return (
-      <Card className="occupancy-chart-card">
-        <CardHeader>
-          <CardTitle>{title}</CardTitle>
-        </CardHeader>
-        <CardContent>
+      <Card className="occupancyChartCard">
+        <div className="chartHeader">
+          <h2 className="chartTitle">{title}</h2>
+        </div>
+        <div className="chartContent">
           <div className="text-destructive text-center py-8">
             Failed to load occupancy data. Please try again later.
           </div>
-        </CardContent>
+        </div>
       </Card>
     );
   }
 
   if (data.length === 0 || departments.length === 0) {
     return (
-      <Card className="occupancy-chart-card">
-        <CardHeader>
-          <CardTitle>{title}</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <EmptyState
-            description="There is no occupancy data available for the selected period."
-            illustration="empty-beds"
-            title="No Occupancy Data"
-          />
-        </CardContent>
+      <Card className="occupancyChartCard">
+        <div className="chartHeader">
+          <h2 className="chartTitle">{title}</h2>
+        </div>
+        <div className="chartContent">
+          <div className="emptyState">
+            <EmptyState
+              description="There is no occupancy data available for the selected period."
+              illustration="empty-beds"
+              title="No Occupancy Data"
+            />
+          </div>
+        </div>
       </Card>
     );
   }
@@ -116,14 +119,14 @@ const OccupancyChart = ({
   const ChartComponent = chartType === 'line' ? LineChart : AreaChart;
 
   return (
-    <Card className="occupancy-chart-card">
-      <CardHeader>
-        <CardTitle>{title}</CardTitle>
-        <p className="text-sm text-muted-foreground">
+    <Card className="occupancyChartCard">
+      <div className="chartHeader">
+        <h2 className="chartTitle">{title}</h2>
+        <p className="chartSubtitle">
           Occupancy rate (%) over time ({timeRange})
         </p>
-      </CardHeader>
-      <CardContent>
+      </div>
+      <div className="chartContent">
         <ResponsiveContainer height={320} width="100%">
           <ChartComponent
             data={data}
@@ -153,8 +156,8 @@ const OccupancyChart = ({
             />
             {chartType === 'area' && <Legend height={36} verticalAlign="top" />}
 
-            {departments.map((dept) => {
-              const color = departmentColors[dept] || '#94a3b8';
+            {departments.map((dept, index) => {
+              const color = DEPARTMENT_COLORS[dept] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
 
               return chartType === 'area' ? (
                 <Area
@@ -184,7 +187,7 @@ const OccupancyChart = ({
             })}
           </ChartComponent>
         </ResponsiveContainer>
-      </CardContent>
+      </div>
     </Card>
   );
 };
@@ -0,0 +1,247 @@
+// src/components/appointments/AdmitPatientDialog.jsx
+/**
+ * AdmitPatientDialog Component
+ *
+ * Admission details for a patient seen in an appointment. Submitting completes
+ * the appointment and adds the patient to the bed waitlist; a bed is assigned
+ * right after in AssignBedDialog (mode="admit").
+ * Used in DoctorDashboard through useAppointmentAdmission.
+ *
+ * Features:
+ * - Required admission diagnosis and target department
+ *   (department defaults to the appointment's planned admission)
+ * - Acuity and isolation needs for bed matching
+ * - Optional notes
+ * - Unified with global components (Dialog, Label, Textarea, Button)
+ */
+
+import React from 'react';
+import { format } from 'date-fns';
+import {
+  Activity,
+  BedDouble,
+  Building2,
+  NotepadText,
+  ShieldAlert,
+  Stethoscope,
+  User
+} from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Label from '@components/ui/label.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import {
+  BED_REQUEST_PRIORITY,
+  BED_REQUEST_PRIORITY_LABELS,
+  ISOLATION_TYPES,
+  ISOLATION_TYPE_LABELS
+} from '@lib/constants';
+import './AdmitPatientDialog.scss';
+
+/**
+ * Props:
+ * - appointment: transformed appointment being converted (null when closed)
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - departments: Array of departments
+ * - isSubmitting: boolean
+ * - onSubmit: ({ diagnosis, department_id, priority, isolation, notes }) => void
+ */
+const AdmitPatientDialog = ({
+  appointment,
+  open = false,
+  onOpenChange,
+  departments = [],
+  isSubmitting = false,
+  onSubmit,
+}) => {
+  const [diagnosis, setDiagnosis] = React.useState('');
+  const [departmentId, setDepartmentId] = React.useState('');
+  const [priority, setPriority] = React.useState(BED_REQUEST_PRIORITY.MEDIUM);
+  const [isolation, setIsolation] = React.useState(ISOLATION_TYPES.NONE);
+  const [notes, setNotes] = React.useState('');
+
+  // Start from the planned admission (or the patient's department) each time
+  React.useEffect(() => {
+    if (open) {
+      setDiagnosis('');
+      setDepartmentId(appointment?.admit_to_department_id || appointment?.patient_department || '');
+      setPriority(BED_REQUEST_PRIORITY.MEDIUM);
+      setIsolation(ISOLATION_TYPES.NONE);
+      setNotes('');
+    }
+  }, [open, appointment]);
+
+  if (!appointment) return null;
+
+  const canSubmit = diagnosis.trim() && departmentId;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    onSubmit?.({
+      diagnosis: diagnosis.trim(),
+      department_id: departmentId,
+      priority,
+      isolation,
+      notes: notes.trim() || null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="admitPatientDialog max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            <BedDouble className="inline w-5 h-5 mr-2" />
+            Admit Patient
+          </DialogTitle>
+          <DialogDescription>
+            The appointment will be completed and the patient added to the bed
+            waitlist. You can assign a matching free bed right after.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="appointmentSummary">
+          <p className="flex items-center gap-2 font-medium">
+            <User className="w-4 h-4" />
+            {appointment.patient_name || 'Unknown Patient'}
+          </p>
+          <p className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Stethoscope className="w-4 h-4" />
+            Dr. {appointment.doctor_name || 'Unknown Doctor'} •{' '}
+            {format(new Date(appointment.appointment_date), 'MMM dd, HH:mm')}
+          </p>
+        </div>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {/* Diagnosis */}
+          <div className="space-y-2">
+            <Label required htmlFor="admitDiagnosis">
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              Admission Diagnosis
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="admitDiagnosis"
+              maxLength={300}
+              placeholder="e.g., Community-acquired pneumonia, hypoxic on room air..."
+              rows={2}
+              value={diagnosis}
+              onChange={(e) => setDiagnosis(e.target.value)}
+            />
+          </div>
+
+          {/* Department */}
+          <div className="space-y-2">
+            <Label required htmlFor="admitDepartment">
+              <Building2 className="inline w-4 h-4 mr-2" />
+              Admit To
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              disabled={isSubmitting}
+              id="admitDepartment"
+              value={departmentId}
+              onChange={(e) => setDepartmentId(e.target.value)}
+            >
+              <option value="">Select a department...</option>
+              {departments.map(dept => (
+                <option key={dept.id} value={dept.id}>
+                  {dept.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="fieldRow">
+            {/* Acuity */}
+            <div className="space-y-2">
+              <Label required htmlFor="admitPriority">
+                <Activity className="inline w-4 h-4 mr-2" />
+                Acuity
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting}
+                id="admitPriority"
+                value={priority}
+                onChange={(e) => setPriority(e.target.value)}
+              >
+                {Object.values(BED_REQUEST_PRIORITY).map(value => (
+                  <option key={value} value={value}>
+                    {BED_REQUEST_PRIORITY_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Isolation */}
+            <div className="space-y-2">
+              <Label htmlFor="admitIsolation">
+                <ShieldAlert className="inline w-4 h-4 mr-2" />
+                Isolation
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting}
+                id="admitIsolation"
+                value={isolation}
+                onChange={(e) => setIsolation(e.target.value)}
+              >
+                {Object.values(ISOLATION_TYPES).map(value => (
+                  <option key={value} value={value}>
+                    {ISOLATION_TYPE_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Notes */}
+          <div className="space-y-2">
+            <Label htmlFor="admitNotes">
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              Notes (Optional)
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="admitNotes"
+              maxLength={300}
+              placeholder="e.g., Needs telemetry, family informed..."
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+            >
+              Admit &amp; Find Bed
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AdmitPatientDialog;
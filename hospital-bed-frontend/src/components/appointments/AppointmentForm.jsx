@@ -9,8 +9,12 @@
  * - Full validation with clear error feedback
  * - Patient search/select (async)
  * - Doctor select filtered by specialization/department
- * - Date/time picker with validation (future dates only)
+ * - Date picker plus the doctor's free slots for that day (working hours,
+ *   blocked time and existing bookings are taken into account)
+ * - Prefill doctor, day and time from a calendar slot
  * - Reason and notes fields
+ * - Optional planned admission department (feeds the bed forecast)
+ * - Recurring series (daily, weekly or every N days; ends after N visits or on a date)
  * - Loading/submission states
  * - Accessible form controls
  * - Unified UI with global components (Input, Select, Button, Dialog, etc.)
@@ -18,10 +22,11 @@
  * Integrates with TanStack Query mutations for API calls
  */
 
+import { useEffect, useMemo } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
 import Button from '@components/ui/button.jsx';
 import Input from '@components/ui/input.jsx';
 import Select from '@components/ui/select.jsx';
@@ -30,24 +35,85 @@ import Label from '@components/ui/label.jsx';
 import DialogHeader from '@components/ui/dialog-header.jsx';
 import DialogTitle from '@components/ui/dialog-title.jsx';
 import DialogDescription from '@components/ui/dialog-description.jsx';
-import { CalendarIcon, User, Stethoscope } from 'lucide-react';
+import { useAvailableSlots } from '@hooks/useDoctorSchedule';
+import { expandRecurrence } from '@services/firebase/appointmentRecurrence';
+import { formatDate, formatTime } from '@lib/dateUtils';
+import {
+  MAX_SERIES_OCCURRENCES,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_FREQUENCY_LABELS,
+  SERIES_SCOPE_LABELS
+} from '@lib/constants';
+import { CalendarIcon, Clock, User, Stethoscope, BedDouble, Repeat } from 'lucide-react';
 import './AppointmentForm.scss';
 
+/**
+ * Recurrence rule from the repeat fields
+ * @param {Object} values - form values
+ * @returns {Object} { frequency, interval, count, until }
+ */
+const buildRecurrence = (values) => ({
+  frequency: values.frequency,
+  interval: Number(values.intervalDays) || null,
+  count: values.endType === 'count' ? Number(values.occurrenceCount) || null : null,
+  until: values.endType === 'until' && values.until ? parseISO(values.until) : null,
+});
+
+/**
+ * Occurrence starts for the repeat fields, or the reason they are invalid
+ * @param {Object} values - form values
+ * @returns {Object} { starts } or { error }
+ */
+const previewSeries = (values) => {
+  if (!values.appointmentDate) return { error: 'Choose the first appointment time' };
+  try {
+    return { starts: expandRecurrence(new Date(values.appointmentDate), buildRecurrence(values)) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
 // Validation schema using Zod - strict and healthcare-appropriate
 const appointmentSchema = z.object({
   patientId: z.string().min(1, 'Patient is required'),
   doctorId: z.string().min(1, 'Doctor is required'),
-  appointmentDate: z.string().min(1, 'Date and time are required'),
+  appointmentDay: z.string().min(1, 'Date is required'),
+  appointmentDate: z.string().min(1, 'Choose a free time slot'),
   reason: z.string().min(5, 'Reason must be at least 5 characters').max(500),
+  admitToDepartmentId: z.string().optional(),
   notes: z.string().optional(),
+  repeat: z.boolean().optional(),
+  frequency: z.string().optional(),
+  intervalDays: z.string().optional(),
+  endType: z.enum(['count', 'until']).optional(),
+  occurrenceCount: z.string().optional(),
+  until: z.string().optional(),
+}).superRefine((values, ctx) => {
+  if (!values.repeat || !values.appointmentDate) return;
+  const { error } = previewSeries(values);
+  if (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['repeat'], message: error });
+  }
 });
 
+const REPEAT_DEFAULTS = {
+  repeat: false,
+  frequency: RECURRENCE_FREQUENCY.WEEKLY,
+  intervalDays: '2',
+  endType: 'count',
+  occurrenceCount: '6',
+  until: '',
+};
+
 const AppointmentForm = ({
   initialData = null, // null for create, object for edit
+  seriesScope = null, // edit of a series member: which occurrences the change applies to
+  prefill = null, // create only: { doctor_user_id?, appointment_day?, appointment_date? } e.g. a calendar slot
   onSuccess, // callback after successful submission
   onCancel,
   patients = [], // pre-fetched or from query
   doctors = [],   // pre-fetched or from query
+  departments = [], // for planned admissions
   isLoading = false,
   isSubmitting = false,
 }) => {
@@ -64,6 +130,8 @@ const AppointmentForm = ({
   const {
     register,
     handleSubmit,
+    watch,
+    setValue,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(appointmentSchema),
@@ -71,28 +139,78 @@ const AppointmentForm = ({
       ? {
           patientId: initialData.patient_id?.toString() || '',
           doctorId: initialData.doctor_user_id?.toString() || '',
-          appointmentDate: format(new Date(initialData.appointment_date), "yyyy-MM-dd'T'HH:mm"),
+          appointmentDay: format(new Date(initialData.appointment_date), 'yyyy-MM-dd'),
+          appointmentDate: new Date(initialData.appointment_date).toISOString(),
           reason: initialData.reason || '',
+          admitToDepartmentId: initialData.admit_to_department_id || '',
           notes: initialData.notes || '',
+          ...REPEAT_DEFAULTS,
         }
       : {
           patientId: '',
-          doctorId: '',
-          appointmentDate: '',
+          doctorId: prefill?.doctor_user_id?.toString() || '',
+          appointmentDay: prefill?.appointment_day || '',
+          appointmentDate: prefill?.appointment_date || '',
           reason: '',
+          admitToDepartmentId: '',
           notes: '',
+          ...REPEAT_DEFAULTS,
         },
   });
 
+  const doctorId = watch('doctorId');
+  const appointmentDay = watch('appointmentDay');
+  const appointmentDate = watch('appointmentDate');
+  const repeat = watch('repeat');
+  const frequency = watch('frequency');
+  const endType = watch('endType');
+  const intervalDays = watch('intervalDays');
+  const occurrenceCount = watch('occurrenceCount');
+  const until = watch('until');
+
+  const seriesPreview = useMemo(
+    () => (repeat && appointmentDate
+      ? previewSeries({ appointmentDate, frequency, intervalDays, endType, occurrenceCount, until })
+      : null),
+    [repeat, appointmentDate, frequency, intervalDays, endType, occurrenceCount, until]
+  );
+
+  // Only slots the doctor can take; the appointment being edited keeps its own slot
+  const { slots, isLoadingSlots, slotsError } = useAvailableSlots({
+    doctorId,
+    date: appointmentDay,
+    excludeAppointmentId: initialData?.id || null,
+  });
+  const freeSlots = useMemo(() => slots.filter(slot => slot.available), [slots]);
+
+  // Drop a chosen time that is no longer free for the selected doctor/day
+  // (a prefilled time waits until a doctor is chosen)
+  useEffect(() => {
+    if (isLoadingSlots || !appointmentDate || !doctorId) return;
+    if (!freeSlots.some(slot => slot.start === appointmentDate)) {
+      setValue('appointmentDate', '');
+    }
+  }, [freeSlots, isLoadingSlots, appointmentDate, doctorId, setValue]);
+
+  const getSlotPlaceholder = () => {
+    if (!doctorId || !appointmentDay) return 'Select doctor and date first';
+    if (isLoadingSlots) return 'Loading free slots...';
+    if (slotsError) return 'Could not load free slots';
+    if (freeSlots.length === 0) return 'No free slots on this day';
+    return 'Choose time';
+  };
+
   const onSubmit = (data) => {
     // Transform data for backend
     const payload = {
       patient_id: data.patientId,
       doctor_user_id: data.doctorId,
-      appointment_date: new Date(data.appointmentDate).toISOString(),
+      appointment_date: data.appointmentDate,
       reason: data.reason.trim(),
+      admit_to_department_id: data.admitToDepartmentId || null,
       notes: data.notes?.trim() || null,
       status: initialData ? initialData.status : 'scheduled',
+      ...(!initialData && data.repeat && { recurrence: buildRecurrence(data) }),
     };
 
     // In real usage: pass to mutation.mutate(payload)
@@ -162,23 +280,127 @@ const AppointmentForm = ({
           )}
         </div>
 
-        {/* Date & Time */}
-        <div className="space-y-2">
-          <Label required htmlFor="appointmentDate">
-            <CalendarIcon className="inline w-4 h-4 mr-2" />
-            Date & Time
-          </Label>
-          <Input
-            id="appointmentDate"
-            type="datetime-local"
-            {...register('appointmentDate')}
-            min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
-          />
-          {errors.appointmentDate && (
-            <p className="text-sm text-destructive">{errors.appointmentDate.message}</p>
-          )}
+        {/* Date & Free Slot */}
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <Label required htmlFor="appointmentDay">
+              <CalendarIcon className="inline w-4 h-4 mr-2" />
+              Date
+            </Label>
+            <Input
+              id="appointmentDay"
+              type="date"
+              {...register('appointmentDay')}
+              min={format(new Date(), 'yyyy-MM-dd')}
+            />
+            {errors.appointmentDay && (
+              <p className="text-sm text-destructive">{errors.appointmentDay.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label required htmlFor="appointmentDate">
+              <Clock className="inline w-4 h-4 mr-2" />
+              Time
+            </Label>
+            <Select
+              id="appointmentDate"
+              {...register('appointmentDate')}
+              disabled={isLoadingSlots || freeSlots.length === 0}
+            >
+              <option value="">{getSlotPlaceholder()}</option>
+              {freeSlots.map((slot) => (
+                <option key={slot.start} value={slot.start}>
+                  {formatTime(slot.start)} - {formatTime(slot.end)}
+                </option>
+              ))}
+            </Select>
+            {errors.appointmentDate && (
+              <p className="text-sm text-destructive">{errors.appointmentDate.message}</p>
+            )}
+          </div>
         </div>
 
+        {/* Series member being edited */}
+        {initialData?.series_id && seriesScope && (
+          <p className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Repeat className="w-4 h-4" />
+            Visit {initialData.series_index} of {initialData.series_size} in a series.
+            Changes apply to: {SERIES_SCOPE_LABELS[seriesScope].toLowerCase()}.
+          </p>
+        )}
+
+        {/* Repeat (new appointments only) */}
+        {!initialData && (
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 font-medium" htmlFor="repeat">
+              <input id="repeat" type="checkbox" {...register('repeat')} />
+              <Repeat className="w-4 h-4" />
+              Repeat this appointment
+            </label>
+
+            {repeat && (
+              <div className="grid gap-4 sm:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="frequency">Repeats</Label>
+                  <Select id="frequency" {...register('frequency')}>
+                    {Object.values(RECURRENCE_FREQUENCY).map((value) => (
+                      <option key={value} value={value}>
+                        {RECURRENCE_FREQUENCY_LABELS[value]}
+                      </option>
+                    ))}
+                  </Select>
+                </div>
+
+                {frequency === RECURRENCE_FREQUENCY.CUSTOM && (
+                  <div className="space-y-2">
+                    <Label htmlFor="intervalDays">Every (days)</Label>
+                    <Input id="intervalDays" max={90} min={1} type="number" {...register('intervalDays')} />
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  <Label htmlFor="endType">Ends</Label>
+                  <Select id="endType" {...register('endType')}>
+                    <option value="count">After a number of visits</option>
+                    <option value="until">On a date</option>
+                  </Select>
+                </div>
+
+                {endType === 'count' ? (
+                  <div className="space-y-2">
+                    <Label htmlFor="occurrenceCount">Visits</Label>
+                    <Input
+                      id="occurrenceCount"
+                      max={MAX_SERIES_OCCURRENCES}
+                      min={2}
+                      type="number"
+                      {...register('occurrenceCount')}
+                    />
+                  </div>
+                ) : (
+                  <div className="space-y-2">
+                    <Label htmlFor="until">Last day</Label>
+                    <Input id="until" min={appointmentDay || undefined} type="date" {...register('until')} />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {repeat && seriesPreview && (
+              seriesPreview.error ? (
+                <p className="text-sm text-destructive">{errors.repeat?.message || seriesPreview.error}</p>
+              ) : (
+                <p className="text-sm text-muted-foreground">
+                  {seriesPreview.starts.length} visits, last on{' '}
+                  {formatDate(seriesPreview.starts[seriesPreview.starts.length - 1], 'EEE, MMM d, yyyy')}.
+                  Every visit is checked against the doctor&apos;s schedule.
+                </p>
+              )
+            )}
+          </div>
+        )}
+
         {/* Reason */}
         <div className="space-y-2">
           <Label required htmlFor="reason">
@@ -195,6 +417,28 @@ const AppointmentForm = ({
           )}
         </div>
 
+        {/* Planned Admission (Optional) */}
+        {departments.length > 0 && (
+          <div className="space-y-2">
+            <Label htmlFor="admitToDepartmentId">
+              <BedDouble className="inline w-4 h-4 mr-2" />
+              Planned Admission (Optional)
+            </Label>
+            <Select
+              id="admitToDepartmentId"
+              {...register('admitToDepartmentId')}
+              disabled={isLoading}
+            >
+              <option value="">No admission planned</option>
+              {departments.map((department) => (
+                <option key={department.id} value={department.id}>
+                  Admit to {department.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+        )}
+
         {/* Notes (Optional) */}
         <div className="space-y-2">
           <Label htmlFor="notes">Additional Notes (Optional)</Label>
@@ -213,7 +457,7 @@ const AppointmentForm = ({
           Cancel
         </Button>
         <Button isLoading={isSubmitting} type="submit">
-          {initialData ? 'Update Appointment' : 'Schedule Appointment'}
+          {initialData ? 'Update Appointment' : repeat ? 'Schedule Series' : 'Schedule Appointment'}
         </Button>
       </div>
     </form>
@@ -14,7 +14,8 @@
  * - Responsive table with mobile card fallback
  * - Column sorting
  * - Status badges with color coding
- * - Quick actions (view/edit, cancel, complete)
+ * - Recurring series members marked with their visit number
+ * - Quick actions (view/edit, cancel, complete, admit the patient)
  * - Loading, empty, and error states
  * - Integrates with global UI components (Table, Badge, Button, Dropdown, etc.)
  * - Accessible (ARIA labels, keyboard navigation)
@@ -30,6 +31,8 @@ import {
   Edit,
   XCircle,
   CheckCircle,
+  Repeat,
+  BedDouble,
 } from 'lucide-react';
 import Table from '@components/ui/table.jsx';
 import TableHeader from '@components/ui/table-header.jsx';
@@ -55,6 +58,7 @@ import './AppointmentList.scss';
  * - onEdit: (appointment) => void
  * - onCancel: (appointmentId) => void
  * - onComplete: (appointmentId) => void
+ * - onAdmit: (appointment) => void - optional; offers "Admit Patient" on open visits
  * - showActions: boolean (default: true) - hide for read-only views
  */
 const AppointmentList = ({
@@ -64,6 +68,7 @@ const AppointmentList = ({
   onEdit,
   onCancel,
   onComplete,
+  onAdmit,
   showActions = true,
 }) => {
   // Status configuration - matches backend enum and design system
@@ -71,6 +76,10 @@ const AppointmentList = ({
     switch (status?.toLowerCase()) {
       case 'scheduled':
         return { variant: 'default', label: 'Scheduled', icon: Calendar };
+      case 'checked_in':
+        return { variant: 'warning', label: 'Checked In', icon: Clock };
+      case 'in_progress':
+        return { variant: 'default', label: 'In Consultation', icon: Stethoscope };
       case 'completed':
         return { variant: 'success', label: 'Completed', icon: CheckCircle };
       case 'cancelled':
@@ -209,6 +218,12 @@ const AppointmentList = ({
                     <Clock className="w-3 h-3" />
                     {format(new Date(appt.appointment_date), 'HH:mm')}
                   </div>
+                  {appt.series_id && (
+                    <Badge className="mt-1" title="Part of a recurring series" variant="outline">
+                      <Repeat className="w-3 h-3 mr-1" />
+                      Series {appt.series_index}/{appt.series_size}
+                    </Badge>
+                  )}
                 </TableCell>
                 <TableCell className="max-w-xs truncate">
                   {appt.reason || '-'}
@@ -251,6 +266,12 @@ const AppointmentList = ({
                             </DropdownMenuItem>
                           </>
                         )}
+                        {onAdmit && ['scheduled', 'in_progress'].includes(appt.status) && (
+                          <DropdownMenuItem onClick={() => onAdmit(appt)}>
+                            <BedDouble className="w-4 h-4 mr-2" />
+                            Admit Patient
+                          </DropdownMenuItem>
+                        )}
                       </DropdownMenuContent>
                     </DropdownMenu>
                   </TableCell>
@@ -21,6 +21,8 @@
 
 import { 
   Calendar,     // scheduled
+  LogIn,        // checked_in
+  Stethoscope,  // in_progress
   CheckCircle,  // completed
   XCircle,      // cancelled
   UserX,        // no_show
@@ -30,14 +32,17 @@ import './AppointmentStatusBadge.scss';
 
 /**
  * Props:
- * - status: string (exact match to backend: 'scheduled', 'completed', 'cancelled', 'no_show')
+ * - status: string (exact match to backend: 'scheduled', 'checked_in', 'in_progress',
+ *   'completed', 'cancelled', 'no_show')
  * - size: 'sm' | 'md' | 'lg' (default: 'md')
  * - showIcon: boolean (default: true)
+ * - title: string - tooltip, e.g. why the status was set (optional)
  */
 const AppointmentStatusBadge = ({ 
   status, 
   size = 'md', 
-  showIcon = true 
+  showIcon = true,
+  title,
 }) => {
   // Centralized status configuration - single source of truth
   const statusConfig = {
@@ -47,6 +52,18 @@ const AppointmentStatusBadge = ({
       icon: Calendar,
       pulse: true,            // subtle pulse for upcoming
     },
+    checked_in: {
+      variant: 'warning',     // waiting room
+      label: 'Checked In',
+      icon: LogIn,
+      pulse: false,
+    },
+    in_progress: {
+      variant: 'default',
+      label: 'In Consultation',
+      icon: Stethoscope,
+      pulse: true,
+    },
     completed: {
       variant: 'success',
       label: 'Completed',
@@ -80,6 +97,7 @@ const AppointmentStatusBadge = ({
     <Badge 
       className={`appointment-status-badge ${config.pulse ? 'pulse' : ''}`} 
       size={size}
+      title={title}
       variant={config.variant}
     >
       {showIcon && (
@@ -0,0 +1,215 @@
+// src/components/appointments/CalendarExportDialog.jsx
+/**
+ * CalendarExportDialog Component
+ *
+ * Downloads appointments as an iCalendar (.ics) file for personal calendars.
+ * Used in AppointmentManagementPage.
+ *
+ * Features:
+ * - Date range (optionally one doctor) or a doctor's full schedule
+ * - Cancelled visits are included so re-imports remove them
+ * - Notes whether patient names are included (see lib/calendarExport)
+ * - Unified with global components (Dialog, Input, Label, Button)
+ */
+
+import React from 'react';
+import { CalendarPlus, Stethoscope } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Button from '@components/ui/button.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
+import { exportAppointmentsIcs } from '@lib/calendarExport';
+import { CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS } from '@lib/constants';
+import { addDaysToDate, formatDate, getEndOfDay, getStartOfDay } from '@lib/dateUtils';
+import './CalendarExportDialog.scss';
+
+const EXPORT_SCOPE = {
+  RANGE: 'range',
+  DOCTOR: 'doctor',
+};
+
+// Default range: the next 30 days including today
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Props:
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - appointments: transformed appointments to export from
+ * - doctors: doctor users for the doctor picker
+ * - defaultDoctorId: string - preselected doctor (e.g. the signed-in doctor)
+ */
+const CalendarExportDialog = ({
+  open = false,
+  onOpenChange,
+  appointments = [],
+  doctors = [],
+  defaultDoctorId = '',
+}) => {
+  const [scope, setScope] = React.useState(EXPORT_SCOPE.RANGE);
+  const [doctorId, setDoctorId] = React.useState(defaultDoctorId);
+  const [from, setFrom] = React.useState(formatDate(new Date(), 'yyyy-MM-dd'));
+  const [to, setTo] = React.useState(
+    formatDate(addDaysToDate(new Date(), DEFAULT_RANGE_DAYS - 1), 'yyyy-MM-dd')
+  );
+
+  React.useEffect(() => {
+    if (open) {
+      setScope(EXPORT_SCOPE.RANGE);
+      setDoctorId(defaultDoctorId);
+    }
+  }, [open, defaultDoctorId]);
+
+  const doctor = doctors.find(d => d.id === doctorId);
+
+  const selected = React.useMemo(() => {
+    const forDoctor = appointments.filter(appointment => !doctorId || appointment.doctor_user_id === doctorId);
+    if (scope === EXPORT_SCOPE.DOCTOR) return forDoctor;
+
+    const start = getStartOfDay(new Date(`${from}T00:00:00`));
+    const end = getEndOfDay(new Date(`${to}T00:00:00`));
+    return forDoctor.filter(appointment => {
+      const date = new Date(appointment.appointment_date);
+      return date >= start && date <= end;
+    });
+  }, [appointments, doctorId, scope, from, to]);
+
+  const isInvalid = (scope === EXPORT_SCOPE.DOCTOR && !doctorId) ||
+    (scope === EXPORT_SCOPE.RANGE && (!from || !to || from > to));
+
+  const handleExport = () => {
+    const owner = doctor ? `Dr. ${doctor.full_name}` : 'HBMS';
+    const calendarName = scope === EXPORT_SCOPE.DOCTOR
+      ? `${owner} Schedule`
+      : `${owner} Appointments ${from} to ${to}`;
+
+    try {
+      exportAppointmentsIcs(selected, { calendarName });
+      toast.success(`${selected.length} appointment(s) exported`);
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Calendar export error:', error);
+      toast.error('Failed to export calendar');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="calendarExportDialog max-w-md">
+        <DialogHeader>
+          <DialogTitle>
+            <CalendarPlus className="inline w-5 h-5 mr-2" />
+            Export to Calendar
+          </DialogTitle>
+          <DialogDescription>
+            Download an .ics file for Google, Outlook or Apple Calendar. Importing a
+            newer export updates the same events instead of adding copies.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="scopeOptions" role="radiogroup">
+          <label className={`scopeOption ${scope === EXPORT_SCOPE.RANGE ? 'selected' : ''}`}>
+            <input
+              checked={scope === EXPORT_SCOPE.RANGE}
+              name="calendarExportScope"
+              type="radio"
+              value={EXPORT_SCOPE.RANGE}
+              onChange={() => setScope(EXPORT_SCOPE.RANGE)}
+            />
+            <span>
+              <span className="scopeLabel">Date range</span>
+              <span className="scopeHint">Appointments between two dates</span>
+            </span>
+          </label>
+          <label className={`scopeOption ${scope === EXPORT_SCOPE.DOCTOR ? 'selected' : ''}`}>
+            <input
+              checked={scope === EXPORT_SCOPE.DOCTOR}
+              name="calendarExportScope"
+              type="radio"
+              value={EXPORT_SCOPE.DOCTOR}
+              onChange={() => setScope(EXPORT_SCOPE.DOCTOR)}
+            />
+            <span>
+              <span className="scopeLabel">Doctor&apos;s full schedule</span>
+              <span className="scopeHint">Every appointment of one doctor</span>
+            </span>
+          </label>
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="calendarExportDoctor" required={scope === EXPORT_SCOPE.DOCTOR}>
+            <Stethoscope className="inline w-4 h-4 mr-2" />
+            Doctor
+          </Label>
+          <select
+            className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            id="calendarExportDoctor"
+            value={doctorId}
+            onChange={(e) => setDoctorId(e.target.value)}
+          >
+            <option value="">{scope === EXPORT_SCOPE.DOCTOR ? 'Select a doctor...' : 'All doctors'}</option>
+            {doctors.map(d => (
+              <option key={d.id} value={d.id}>
+                Dr. {d.full_name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {scope === EXPORT_SCOPE.RANGE && (
+          <div className="rangeFields">
+            <div className="space-y-2">
+              <Label required htmlFor="calendarExportFrom">From</Label>
+              <Input
+                id="calendarExportFrom"
+                max={to}
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label required htmlFor="calendarExportTo">To</Label>
+              <Input
+                id="calendarExportTo"
+                min={from}
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        <p className="text-sm text-muted-foreground">
+          {selected.length} appointment(s), cancelled visits included.{' '}
+          {CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS
+            ? 'Events include patient names and IDs.'
+            : 'Patient names and IDs are left out.'}
+        </p>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            disabled={isInvalid || selected.length === 0}
+            type="button"
+            onClick={handleExport}
+          >
+            <CalendarPlus size={16} />
+            Download .ics
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CalendarExportDialog;
@@ -0,0 +1,361 @@
+// src/components/appointments/DoctorScheduleDialog.jsx
+/**
+ * DoctorScheduleDialog Component
+ *
+ * Dialog for maintaining a doctor's availability: weekly working hours,
+ * appointment slot length and blocked time (leave, surgery, meetings).
+ * Appointments can only be booked into the free slots this produces.
+ * Used in AppointmentManagementPage.
+ *
+ * Features:
+ * - Doctor picker (locked to themselves for doctors)
+ * - One working window per weekday, or day off
+ * - Slot length
+ * - Blocked time list with add/remove
+ * - Unified with global components (Dialog, Input, Label, Button)
+ */
+
+import React from 'react';
+import { format } from 'date-fns';
+import { CalendarOff, Clock, Stethoscope, Trash2 } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
+import Button from '@components/ui/button.jsx';
+import { useDoctorSchedule } from '@hooks/useDoctorSchedule';
+import { formatDateTime } from '@lib/dateUtils';
+import {
+  APPOINTMENT_SLOT_MINUTES,
+  BLOCKED_TIME_REASONS,
+  BLOCKED_TIME_REASON_LABELS,
+  WEEKDAYS
+} from '@lib/constants';
+import './DoctorScheduleDialog.scss';
+
+// Monday first, as clinics plan their week
+const WEEK_ORDER = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+
+const DEFAULT_WINDOW = { start: '09:00', end: '17:00' };
+
+const EMPTY_BLOCK = { start: '', end: '', reason: BLOCKED_TIME_REASONS.LEAVE, note: '' };
+
+/**
+ * Props:
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - doctors: Array of doctors (id, full_name)
+ * - doctorId: string - doctor shown first (e.g. the signed-in doctor)
+ * - lockDoctor: boolean - hide the doctor picker
+ * - userId: string - recorded as updated_by / created_by
+ */
+const DoctorScheduleDialog = ({
+  open = false,
+  onOpenChange,
+  doctors = [],
+  doctorId: initialDoctorId = '',
+  lockDoctor = false,
+  userId = null,
+}) => {
+  const [doctorId, setDoctorId] = React.useState(initialDoctorId);
+  // null until edited, then the working-hours/slot drafts
+  const [hoursDraft, setHoursDraft] = React.useState(null);
+  const [slotDraft, setSlotDraft] = React.useState(null);
+  const [block, setBlock] = React.useState(EMPTY_BLOCK);
+
+  const {
+    schedule,
+    isLoadingSchedule,
+    updateSchedule,
+    addBlockedTime,
+    removeBlockedTime,
+    isSavingSchedule,
+    isBlockingTime,
+    isRemovingBlockedTime,
+  } = useDoctorSchedule(doctorId);
+
+  // Reset drafts when the dialog closes or another doctor is picked
+  React.useEffect(() => {
+    if (!open) {
+      setDoctorId(initialDoctorId);
+      setBlock(EMPTY_BLOCK);
+    }
+  }, [open, initialDoctorId]);
+
+  React.useEffect(() => {
+    setHoursDraft(null);
+    setSlotDraft(null);
+  }, [doctorId, open]);
+
+  const workingHours = hoursDraft ?? schedule?.working_hours ?? {};
+  const slotMinutes = slotDraft ?? schedule?.slot_minutes ?? '';
+
+  const setDay = (key, window) => {
+    setHoursDraft({ ...workingHours, [key]: window ? [window] : [] });
+  };
+
+  const handleSaveHours = async () => {
+    try {
+      await updateSchedule({
+        working_hours: workingHours,
+        slot_minutes: Number(slotMinutes),
+        updated_by: userId,
+      });
+      setHoursDraft(null);
+      setSlotDraft(null);
+    } catch (error) {
+      console.error('Failed to save working hours:', error);
+    }
+  };
+
+  const canBlock = !!block.start && !!block.end && block.start < block.end;
+
+  const handleAddBlock = async (e) => {
+    e.preventDefault();
+    if (!canBlock) return;
+
+    try {
+      await addBlockedTime({
+        start: new Date(block.start).toISOString(),
+        end: new Date(block.end).toISOString(),
+        reason: block.reason,
+        note: block.note.trim() || null,
+        created_by: userId,
+      });
+      setBlock(EMPTY_BLOCK);
+    } catch (error) {
+      console.error('Failed to block time:', error);
+    }
+  };
+
+  const upcomingBlocks = (schedule?.blocked_times || [])
+    .filter(blocked => new Date(blocked.end) > new Date());
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="doctorScheduleDialog max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Doctor Schedule</DialogTitle>
+          <DialogDescription>
+            Working hours and blocked time decide which appointment slots can be booked.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Doctor */}
+        {!lockDoctor && (
+          <div className="space-y-2">
+            <Label htmlFor="scheduleDoctor">
+              <Stethoscope className="inline w-4 h-4 mr-2" />
+              Doctor
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              id="scheduleDoctor"
+              value={doctorId}
+              onChange={(e) => setDoctorId(e.target.value)}
+            >
+              <option value="">Select a doctor...</option>
+              {doctors.map(doctor => (
+                <option key={doctor.id} value={doctor.id}>
+                  Dr. {doctor.full_name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {doctorId && (isLoadingSchedule || !schedule) && (
+          <p className="text-sm text-muted-foreground">Loading schedule...</p>
+        )}
+
+        {doctorId && schedule && (
+          <>
+            {/* Working Hours */}
+            <section className="scheduleSection">
+              <h3 className="sectionTitle">
+                <Clock className="inline w-4 h-4 mr-2" />
+                Working Hours
+                {schedule.is_default && !hoursDraft && (
+                  <span className="defaultHint">default schedule</span>
+                )}
+              </h3>
+
+              <div className="weekGrid">
+                {WEEK_ORDER.map(({ key, label }) => {
+                  const window = workingHours[key]?.[0] || null;
+                  return (
+                    <div className="dayRow" key={key}>
+                      <label className="dayToggle">
+                        <input
+                          checked={!!window}
+                          type="checkbox"
+                          onChange={(e) => setDay(key, e.target.checked ? DEFAULT_WINDOW : null)}
+                        />
+                        {label}
+                      </label>
+                      {window ? (
+                        <div className="dayHours">
+                          <Input
+                            aria-label={`${label} start`}
+                            type="time"
+                            value={window.start}
+                            onChange={(e) => setDay(key, { ...window, start: e.target.value })}
+                          />
+                          <span>to</span>
+                          <Input
+                            aria-label={`${label} end`}
+                            type="time"
+                            value={window.end}
+                            onChange={(e) => setDay(key, { ...window, end: e.target.value })}
+                          />
+                        </div>
+                      ) : (
+                        <span className="dayOff">Day off</span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="slotRow">
+                <Label htmlFor="slotMinutes">Slot length</Label>
+                <select
+                  className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  id="slotMinutes"
+                  value={slotMinutes}
+                  onChange={(e) => setSlotDraft(Number(e.target.value))}
+                >
+                  {APPOINTMENT_SLOT_MINUTES.map(minutes => (
+                    <option key={minutes} value={minutes}>
+                      {minutes} minutes
+                    </option>
+                  ))}
+                </select>
+                <Button
+                  disabled={(!hoursDraft && !slotDraft) || isSavingSchedule}
+                  isLoading={isSavingSchedule}
+                  size="sm"
+                  type="button"
+                  onClick={handleSaveHours}
+                >
+                  Save Hours
+                </Button>
+              </div>
+            </section>
+
+            {/* Blocked Time */}
+            <section className="scheduleSection">
+              <h3 className="sectionTitle">
+                <CalendarOff className="inline w-4 h-4 mr-2" />
+                Blocked Time
+              </h3>
+
+              {upcomingBlocks.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No upcoming blocked time.</p>
+              ) : (
+                <ul className="blockedList">
+                  {upcomingBlocks.map(blocked => (
+                    <li className="blockedItem" key={blocked.id}>
+                      <div>
+                        <p className="font-medium">
+                          {BLOCKED_TIME_REASON_LABELS[blocked.reason] || 'Blocked'}
+                          {blocked.note ? ` - ${blocked.note}` : ''}
+                        </p>
+                        <p className="text-sm text-muted-foreground">
+                          {formatDateTime(blocked.start)} to {formatDateTime(blocked.end)}
+                        </p>
+                      </div>
+                      <Button
+                        aria-label="Remove blocked time"
+                        disabled={isRemovingBlockedTime}
+                        size="icon"
+                        type="button"
+                        variant="ghost"
+                        onClick={() => removeBlockedTime(blocked.id)}
+                      >
+                        <Trash2 size={16} />
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <form className="blockForm" onSubmit={handleAddBlock}>
+                <div className="space-y-2">
+                  <Label required htmlFor="blockStart">From</Label>
+                  <Input
+                    id="blockStart"
+                    min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+                    type="datetime-local"
+                    value={block.start}
+                    onChange={(e) => setBlock({ ...block, start: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label required htmlFor="blockEnd">To</Label>
+                  <Input
+                    id="blockEnd"
+                    min={block.start || undefined}
+                    type="datetime-local"
+                    value={block.end}
+                    onChange={(e) => setBlock({ ...block, end: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="blockReason">Reason</Label>
+                  <select
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                    id="blockReason"
+                    value={block.reason}
+                    onChange={(e) => setBlock({ ...block, reason: e.target.value })}
+                  >
+                    {Object.values(BLOCKED_TIME_REASONS).map(reason => (
+                      <option key={reason} value={reason}>
+                        {BLOCKED_TIME_REASON_LABELS[reason]}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="blockNote">Note (Optional)</Label>
+                  <Input
+                    id="blockNote"
+                    maxLength={120}
+                    placeholder="e.g., Annual leave"
+                    value={block.note}
+                    onChange={(e) => setBlock({ ...block, note: e.target.value })}
+                  />
+                </div>
+                <Button
+                  className="blockSubmit"
+                  disabled={!canBlock || isBlockingTime}
+                  isLoading={isBlockingTime}
+                  size="sm"
+                  type="submit"
+                  variant="outline"
+                >
+                  Block Time
+                </Button>
+              </form>
+              <p className="text-sm text-muted-foreground">
+                Existing appointments inside blocked time are kept; reschedule them separately.
+              </p>
+            </section>
+          </>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DoctorScheduleDialog;
@@ -0,0 +1,120 @@
+// src/components/appointments/SeriesScopeDialog.jsx
+/**
+ * SeriesScopeDialog Component
+ *
+ * Asks which occurrences of a recurring series an edit or cancellation
+ * applies to: this appointment, this and following, or the whole series.
+ * Used in AppointmentManagementPage.
+ *
+ * Features:
+ * - Three scopes with the affected visit numbers
+ * - Completed, cancelled and past visits are never changed (noted in copy)
+ * - Unified with global components (Dialog, Button)
+ */
+
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Button from '@components/ui/button.jsx';
+import { SERIES_SCOPE, SERIES_SCOPE_LABELS } from '@lib/constants';
+import { formatDateTime } from '@lib/dateUtils';
+import './SeriesScopeDialog.scss';
+
+/**
+ * Props:
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - action: 'edit' | 'cancel'
+ * - appointment: the series member acted on (series_index, series_size, appointment_date)
+ * - onConfirm: (scope: string) => void
+ * - isSubmitting: boolean
+ */
+const SeriesScopeDialog = ({
+  open = false,
+  onOpenChange,
+  action = 'edit',
+  appointment,
+  onConfirm,
+  isSubmitting = false,
+}) => {
+  const [scope, setScope] = React.useState(SERIES_SCOPE.OCCURRENCE);
+
+  React.useEffect(() => {
+    if (!open) setScope(SERIES_SCOPE.OCCURRENCE);
+  }, [open]);
+
+  if (!appointment) return null;
+
+  const { series_index: index, series_size: size } = appointment;
+  const visits = {
+    [SERIES_SCOPE.OCCURRENCE]: `Visit ${index}`,
+    [SERIES_SCOPE.FOLLOWING]: index === size ? `Visit ${index}` : `Visits ${index}-${size}`,
+    [SERIES_SCOPE.SERIES]: `Visits 1-${size}`,
+  };
+  const isCancel = action === 'cancel';
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="seriesScopeDialog max-w-md">
+        <DialogHeader>
+          <DialogTitle>
+            <Repeat className="inline w-5 h-5 mr-2" />
+            {isCancel ? 'Cancel Recurring Appointment' : 'Edit Recurring Appointment'}
+          </DialogTitle>
+          <DialogDescription>
+            Visit {index} of {size}, {formatDateTime(appointment.appointment_date)}.
+            {isCancel ? ' Which visits should be cancelled?' : ' Which visits should change?'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="scopeOptions" role="radiogroup">
+          {Object.values(SERIES_SCOPE).map(value => (
+            <label className={`scopeOption ${scope === value ? 'selected' : ''}`} key={value}>
+              <input
+                checked={scope === value}
+                name="seriesScope"
+                type="radio"
+                value={value}
+                onChange={() => setScope(value)}
+              />
+              <span>
+                <span className="scopeLabel">{SERIES_SCOPE_LABELS[value]}</span>
+                <span className="scopeHint">{visits[value]}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <p className="text-sm text-muted-foreground">
+          Completed, cancelled and past visits are left as they are.
+        </p>
+
+        <DialogFooter>
+          <Button
+            disabled={isSubmitting}
+            type="button"
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+          >
+            Back
+          </Button>
+          <Button
+            isLoading={isSubmitting}
+            type="button"
+            variant={isCancel ? 'destructive' : 'default'}
+            onClick={() => onConfirm?.(scope)}
+          >
+            {isCancel ? 'Cancel Visits' : 'Continue'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SeriesScopeDialog;
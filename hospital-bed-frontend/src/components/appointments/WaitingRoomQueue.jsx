@@ -0,0 +1,219 @@
+// src/components/appointments/WaitingRoomQueue.jsx
+/**
+ * WaitingRoomQueue Component
+ *
+ * Live waiting room card for the reception and doctor dashboards.
+ * Lists patients in consultation, checked-in patients queued per doctor
+ * with their wait, and (for the front desk) today's expected arrivals.
+ *
+ * Features:
+ * - Queue position and live wait time since check-in
+ * - "Call next patient" per doctor, complete consultation
+ * - Check in / undo check-in at the front desk
+ * - Loading and empty states
+ * - Unified with global Card, Badge, Button, EmptyState components
+ */
+
+import React from 'react';
+import { Armchair, Check, LogIn, Megaphone, Stethoscope, X } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Badge from '@components/ui/badge.jsx';
+import Button from '@components/ui/button.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import { formatMinutes, formatTime } from '@lib/dateUtils';
+import './WaitingRoomQueue.scss';
+
+// Waits past this are highlighted
+const LONG_WAIT_MINUTES = 30;
+
+/**
+ * Props:
+ * - waitingRoom: { expected, waiting, in_consultation } from useWaitingRoom
+ * - isLoading: boolean
+ * - canCheckIn: boolean - front desk: show expected arrivals and check-in actions
+ * - canCall: boolean - show call next / complete actions
+ * - showDoctor: boolean - group and label by doctor (default: true)
+ * - isBusy: boolean - a status change or call is in flight
+ * - onCheckIn: (appointment) => void
+ * - onUndoCheckIn: (appointment) => void
+ * - onCallNext: (doctorId) => void
+ * - onComplete: (appointment) => void
+ */
+const WaitingRoomQueue = ({
+  waitingRoom = { expected: [], waiting: [], in_consultation: [] },
+  isLoading = false,
+  canCheckIn = false,
+  canCall = false,
+  showDoctor = true,
+  isBusy = false,
+  onCheckIn,
+  onUndoCheckIn,
+  onCallNext,
+  onComplete,
+}) => {
+  const { expected, waiting, in_consultation: inConsultation } = waitingRoom;
+
+  // Waiting patients per doctor, in queue order
+  const doctorQueues = React.useMemo(() => {
+    const queues = new Map();
+    waiting.forEach(appointment => {
+      if (!queues.has(appointment.doctor_user_id)) {
+        queues.set(appointment.doctor_user_id, {
+          doctorId: appointment.doctor_user_id,
+          doctorName: appointment.doctor_name,
+          patients: [],
+        });
+      }
+      queues.get(appointment.doctor_user_id).patients.push(appointment);
+    });
+    return [...queues.values()];
+  }, [waiting]);
+
+  const busyDoctors = new Set(inConsultation.map(appointment => appointment.doctor_user_id));
+  const isEmpty = waiting.length === 0 && inConsultation.length === 0 && (!canCheckIn || expected.length === 0);
+
+  return (
+    <Card className="waitingRoomQueue">
+      <div className="queueHeader">
+        <h2 className="sectionTitle">
+          <Armchair className="mr-2" />
+          Waiting Room
+          {waiting.length > 0 && (
+            <Badge className="queueCount" variant="secondary">{waiting.length}</Badge>
+          )}
+        </h2>
+      </div>
+
+      {isLoading ? (
+        <LoadingState count={3} type="table" />
+      ) : isEmpty ? (
+        <EmptyState
+          description="Checked-in patients will appear here"
+          size="small"
+          title="Waiting room is empty"
+        />
+      ) : (
+        <div className="queueSections">
+          {/* In consultation */}
+          {inConsultation.length > 0 && (
+            <section className="queueSection">
+              <h3 className="queueSectionTitle">In Consultation</h3>
+              <ul className="queueList">
+                {inConsultation.map(appointment => (
+                  <li className="queueItem current" key={appointment.id}>
+                    <Stethoscope className="queueIcon" size={18} />
+                    <div className="queueDetails">
+                      <p className="patientName">{appointment.patient_name}</p>
+                      <div className="queueMeta">
+                        {showDoctor && <span>Dr. {appointment.doctor_name}</span>}
+                        <span>for {formatMinutes(appointment.consult_minutes)}</span>
+                      </div>
+                    </div>
+                    {canCall && (
+                      <Button
+                        disabled={isBusy}
+                        size="sm"
+                        variant="outline"
+                        onClick={() => onComplete?.(appointment)}
+                      >
+                        <Check size={16} />
+                        Complete
+                      </Button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* Waiting, per doctor */}
+          {doctorQueues.map(queue => (
+            <section className="queueSection" key={queue.doctorId}>
+              <div className="queueSectionHeader">
+                <h3 className="queueSectionTitle">
+                  {showDoctor ? `Dr. ${queue.doctorName}` : 'Waiting'}
+                  <span className="waitingCount">{queue.patients.length} waiting</span>
+                </h3>
+                {canCall && (
+                  <Button
+                    disabled={isBusy || busyDoctors.has(queue.doctorId)}
+                    size="sm"
+                    title={busyDoctors.has(queue.doctorId) ? 'Complete the current consultation first' : undefined}
+                    onClick={() => onCallNext?.(queue.doctorId)}
+                  >
+                    <Megaphone size={16} />
+                    Call Next Patient
+                  </Button>
+                )}
+              </div>
+              <ul className="queueList">
+                {queue.patients.map(appointment => (
+                  <li className="queueItem" key={appointment.id}>
+                    <span className="queuePosition">{appointment.position}</span>
+                    <div className="queueDetails">
+                      <p className="patientName">{appointment.patient_name}</p>
+                      <div className="queueMeta">
+                        <span>Appointment {formatTime(appointment.appointment_date)}</span>
+                        <span className={appointment.wait_minutes >= LONG_WAIT_MINUTES ? 'waitTime long' : 'waitTime'}>
+                          waiting {formatMinutes(appointment.wait_minutes)}
+                        </span>
+                      </div>
+                    </div>
+                    {canCheckIn && (
+                      <Button
+                        aria-label="Undo check-in"
+                        disabled={isBusy}
+                        size="icon"
+                        variant="ghost"
+                        onClick={() => onUndoCheckIn?.(appointment)}
+                      >
+                        <X size={16} />
+                      </Button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+
+          {/* Expected today (front desk) */}
+          {canCheckIn && expected.length > 0 && (
+            <section className="queueSection">
+              <h3 className="queueSectionTitle">
+                Expected Today
+                <span className="waitingCount">{expected.length} not arrived</span>
+              </h3>
+              <ul className="queueList">
+                {expected.map(appointment => (
+                  <li className="queueItem" key={appointment.id}>
+                    <span className="queueTime">{formatTime(appointment.appointment_date)}</span>
+                    <div className="queueDetails">
+                      <p className="patientName">{appointment.patient_name}</p>
+                      {showDoctor && (
+                        <div className="queueMeta">
+                          <span>Dr. {appointment.doctor_name}</span>
+                        </div>
+                      )}
+                    </div>
+                    <Button
+                      disabled={isBusy}
+                      size="sm"
+                      variant="outline"
+                      onClick={() => onCheckIn?.(appointment)}
+                    >
+                      <LogIn size={16} />
+                      Check In
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default WaitingRoomQueue;
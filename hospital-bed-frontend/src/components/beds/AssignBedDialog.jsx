@@ -4,10 +4,20 @@
  * 
  * Production-ready dialog for assigning a patient to an available bed.
  * Used in BedManagementPage, HospitalFloorMap, and BedCard actions.
+ * With mode="transfer" it moves the patient in an occupied bed to another bed.
+ * With mode="admit" it places a patient just admitted from an appointment
+ * (a waiting bed request) in one of the matching free beds.
  * 
  * Features:
  * - Patient search/select (async with debounce)
+ * - Transfer mode: target bed select with required reason
+ * - Reserved beds only offer the patient they are held for
+ * - Bed attributes (isolation, negative pressure, oxygen, monitor, bariatric, room gender) shown on the bed
+ * - Patients the bed cannot serve are listed as unavailable with the reason
+ * - Transfer targets filtered by attribute and by the patient's requirements
+ * - Admit mode: free beds of the admission's department that fit the patient, best match first
  * - Bed confirmation with current status
+ * - Optional expected discharge date (capacity forecasting)
  * - Optional notes field
  * - Validation and submission states
  * - Accessible form with clear feedback
@@ -21,7 +31,16 @@ import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
 import { format } from 'date-fns';
-import { User, BedDouble, NotepadText, AlertCircle } from 'lucide-react';
+import {
+  User,
+  BedDouble,
+  NotepadText,
+  AlertCircle,
+  ArrowRightLeft,
+  CalendarClock,
+  SlidersHorizontal,
+  Stethoscope
+} from 'lucide-react';
 import Dialog from '@components/ui/dialog.jsx';
 import DialogContent from '@components/ui/dialog-content.jsx';
 import DialogHeader from '@components/ui/dialog-header.jsx';
@@ -29,9 +48,28 @@ import DialogTitle from '@components/ui/dialog-title.jsx';
 import DialogDescription from '@components/ui/dialog-description.jsx';
 import DialogFooter from '@components/ui/dialog-footer.jsx';
 import Label from '@components/ui/label.jsx';
+import Input from '@components/ui/input.jsx';
 import Textarea from '@components/ui/textarea.jsx';
 import Button from '@components/ui/button.jsx';
+import Badge from '@components/ui/badge.jsx';
+import Checkbox from '@components/ui/checkbox.jsx';
 import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
+import {
+  evaluateBedConstraints,
+  getBedAttributes,
+  getRequiredBedAttributes,
+  getRoommateGenders
+} from '@services/firebase/bedConstraints';
+import { isBedCompatible, suggestBed } from '@services/firebase/bedRequestMatching';
+import {
+  BED_STATUS,
+  BED_ATTRIBUTES,
+  BED_ATTRIBUTE_LABELS,
+  BED_REQUEST_PRIORITY_LABELS,
+  ISOLATION_TYPES,
+  ISOLATION_TYPE_LABELS,
+  ROOM_GENDER_POLICY
+} from '@lib/constants';
 import './AssignBedDialog.scss';
 
 /**
@@ -39,6 +77,7 @@ import './AssignBedDialog.scss';
  */
 const assignBedSchema = z.object({
   patientId: z.string().min(1, 'Patient selection is required'),
+  expectedDischarge: z.string().optional(),
   notes: z.string().max(500, 'Notes cannot exceed 500 characters').optional(),
 });
 
@@ -57,6 +96,38 @@ const SEVERITY_ORDER = {
 
 const UNKNOWN_SEVERITY = -1;
 
+const GENDER_POLICY_LABELS = {
+  male: 'Male room',
+  female: 'Female room',
+  single_sex: 'Single-sex room',
+};
+
+/**
+ * Attribute and room gender badges for the bed summary
+ */
+const BedAttributeBadges = ({ bed }) => {
+  const attributes = getBedAttributes(bed);
+  const labels = Object.values(BED_ATTRIBUTES)
+    .filter(attribute => attributes[attribute])
+    .map(attribute => BED_ATTRIBUTE_LABELS[attribute]);
+  const genderPolicy = bed.gender_policy;
+
+  if (labels.length === 0 && (!genderPolicy || genderPolicy === ROOM_GENDER_POLICY.MIXED)) {
+    return null;
+  }
+
+  return (
+    <div className="bedAttributes">
+      {labels.map(label => (
+        <Badge key={label} variant="outline">{label}</Badge>
+      ))}
+      {genderPolicy && genderPolicy !== ROOM_GENDER_POLICY.MIXED && (
+        <Badge variant="secondary">{GENDER_POLICY_LABELS[genderPolicy] || genderPolicy}</Badge>
+      )}
+    </div>
+  );
+};
+
 /**
  * Visual indicators for patient severity in dropdown
  */
@@ -75,6 +146,13 @@ const SEVERITY_INDICATORS = {
  * - onSuccess: (assignmentData) => void - called after successful assignment
  * - patients: Array of available patients (for search/select)
  * - isSubmitting: boolean
+ * - mode: 'assign' | 'transfer' | 'admit' - in transfer mode `bed` is the occupied source bed;
+ *   admit mode needs no `bed`
+ * - beds: Array of all beds (transfer and admit targets are picked from the available ones;
+ *   also used to check single-sex rooms against the current roommates)
+ * - onTransfer: ({ patient_id, from_bed_id, to_bed_id, reason }) => void - called on transfer submit
+ * - admission: { bed_request, patient } - admit mode: the waiting request and the patient's data
+ * - onAdmit: ({ bed_id, expected_discharge_at, notes }) => void - called on admit submit
  */
 const AssignBedDialog = ({
   bed,
@@ -83,7 +161,20 @@ const AssignBedDialog = ({
   onSuccess,
   patients = [],
   isSubmitting = false,
+  mode = 'assign',
+  beds = [],
+  onTransfer,
+  admission = null,
+  onAdmit,
 }) => {
+  const isTransfer = mode === 'transfer';
+  const isAdmit = mode === 'admit';
+  const [targetBedId, setTargetBedId] = React.useState('');
+  const [transferReason, setTransferReason] = React.useState('');
+  const [attributeFilter, setAttributeFilter] = React.useState([]);
+  const [admitExpectedDischarge, setAdmitExpectedDischarge] = React.useState('');
+  const [admitNotes, setAdmitNotes] = React.useState('');
+
   const {
     register,
     handleSubmit,
@@ -94,6 +185,7 @@ const AssignBedDialog = ({
     resolver: zodResolver(assignBedSchema),
     defaultValues: {
       patientId: '',
+      expectedDischarge: '',
       notes: '',
     },
   });
@@ -102,23 +194,154 @@ const AssignBedDialog = ({
   React.useEffect(() => {
     if (!open) {
       reset();
+      setTargetBedId('');
+      setTransferReason('');
+      setAttributeFilter([]);
+      setAdmitExpectedDischarge('');
+      setAdmitNotes('');
     }
   }, [open, reset]);
 
+  // Attributes the moving patient needs cannot be filtered away
+  const movingPatient = isTransfer ? bed?.current_patient : null;
+  const requiredAttributes = React.useMemo(
+    () => (movingPatient ? getRequiredBedAttributes(movingPatient) : []),
+    [movingPatient]
+  );
+
+  const toggleAttributeFilter = (attribute, checked) => {
+    setAttributeFilter(current => (checked
+      ? [...current, attribute]
+      : current.filter(a => a !== attribute)));
+    setTargetBedId('');
+  };
+
+  // Transfer targets: any other bed that can take this patient right now,
+  // including beds reserved for them
+  const transferTargets = React.useMemo(() => {
+    if (!isTransfer || !bed) return [];
+    const movingPatientId = bed.current_patient?.id;
+    return beds
+      .filter(b => b.id !== bed.id && (
+        b.status === BED_STATUS.AVAILABLE ||
+        (b.status === BED_STATUS.RESERVED && b.reservation?.patient_id === movingPatientId)
+      ))
+      .filter(b => {
+        const attributes = getBedAttributes(b);
+        if (!attributeFilter.every(attribute => attributes[attribute])) return false;
+        // Isolation, equipment and room gender must fit the patient
+        return !bed.current_patient || evaluateBedConstraints({
+          bed: b,
+          patient: bed.current_patient,
+          roommateGenders: getRoommateGenders(b, beds, movingPatientId),
+        }).length === 0;
+      })
+      .sort((a, b) => {
+        // Same-department beds first, then by bed number
+        const sameA = a.department_id === bed.department_id ? 0 : 1;
+        const sameB = b.department_id === bed.department_id ? 0 : 1;
+        if (sameA !== sameB) return sameA - sameB;
+        return String(a.bed_number).localeCompare(String(b.bed_number));
+      });
+  }, [isTransfer, beds, bed, attributeFilter]);
+
+  const canTransfer = isTransfer && bed?.current_patient && targetBedId && transferReason.trim();
+
+  // Admit targets: free beds (or a hold for this patient) in the admission's
+  // department that meet the request's isolation and the patient's other needs
+  const admitTargets = React.useMemo(() => {
+    if (!isAdmit || !admission) return [];
+    const { bed_request: request, patient } = admission;
+    const suggested = suggestBed(request, beds);
+    return beds
+      .filter(b =>
+        (b.status === BED_STATUS.AVAILABLE ||
+          (b.status === BED_STATUS.RESERVED && b.reservation?.patient_id === request.patient_id)) &&
+        isBedCompatible(b, request) &&
+        evaluateBedConstraints({
+          bed: b,
+          patient,
+          roommateGenders: getRoommateGenders(b, beds, request.patient_id),
+        }).length === 0
+      )
+      .sort((a, b) => {
+        // Suggested bed first (held beds, isolation beds kept free), then by bed number
+        if (a.id === suggested?.id) return -1;
+        if (b.id === suggested?.id) return 1;
+        return String(a.bed_number).localeCompare(String(b.bed_number), undefined, { numeric: true });
+      });
+  }, [isAdmit, admission, beds]);
+
+  // The suggestion stays selected until the user picks another bed or it is taken
+  const admitBedId = admitTargets.some(b => b.id === targetBedId)
+    ? targetBedId
+    : admitTargets[0]?.id || '';
+
+  const handleAdmitSubmit = (e) => {
+    e.preventDefault();
+    if (!admitBedId) return;
+
+    onAdmit?.({
+      bed_id: admitBedId,
+      expected_discharge_at: admitExpectedDischarge
+        ? new Date(`${admitExpectedDischarge}T00:00`).toISOString()
+        : null,
+      notes: admitNotes.trim() || null,
+    });
+  };
+
+  const handleTransferSubmit = (e) => {
+    e.preventDefault();
+    if (!canTransfer) return;
+
+    onTransfer?.({
+      patient_id: bed.current_patient.id,
+      from_bed_id: bed.id,
+      to_bed_id: targetBedId,
+      reason: transferReason.trim(),
+    });
+  };
+
+  const heldForPatientId = bed?.reservation?.patient_id || null;
+  const canAssign = bed?.status === BED_STATUS.AVAILABLE || bed?.status === BED_STATUS.RESERVED;
+
   // Filter patients by department to match the bed's department
   // Note: Patients without a department assignment are excluded to ensure proper department matching
   const eligiblePatients = React.useMemo(() => {
+    // A bed held for a named patient can only go to that patient
+    if (heldForPatientId) {
+      return patients.filter(patient => patient.id === heldForPatientId);
+    }
+
     if (!bed?.department_id) {
       return patients;
     }
     
     // Only show patients that have a department AND it matches the bed's department
     return patients.filter(patient => patient.department === bed.department_id);
-  }, [patients, bed]);
+  }, [patients, bed, heldForPatientId]);
   
-  // Sort patients by severity/status - more critical patients first
+  // Failed bed constraints per patient; those patients are listed but cannot be picked
+  const constraintFailures = React.useMemo(() => {
+    if (!bed || isTransfer) return {};
+    return Object.fromEntries(eligiblePatients.map(patient => [
+      patient.id,
+      evaluateBedConstraints({
+        bed,
+        patient,
+        roommateGenders: getRoommateGenders(bed, beds, patient.id),
+      }),
+    ]));
+  }, [bed, beds, eligiblePatients, isTransfer]);
+
+  // Sort patients by severity/status - more critical patients first,
+  // patients the bed cannot serve last
   const sortedEligiblePatients = React.useMemo(() => {
     return [...eligiblePatients].sort((a, b) => {
+      const blockedA = constraintFailures[a.id]?.length ? 1 : 0;
+      const blockedB = constraintFailures[b.id]?.length ? 1 : 0;
+      if (blockedA !== blockedB) return blockedA - blockedB;
+
       const severityA = SEVERITY_ORDER[a.status?.toLowerCase()] ?? UNKNOWN_SEVERITY;
       const severityB = SEVERITY_ORDER[b.status?.toLowerCase()] ?? UNKNOWN_SEVERITY;
       
@@ -132,7 +355,7 @@ const AssignBedDialog = ({
       const nameB = (b.fullName || b.full_name || '').toLowerCase();
       return nameA.localeCompare(nameB);
     });
-  }, [eligiblePatients]);
+  }, [eligiblePatients, constraintFailures]);
   
   const selectedPatientId = watch('patientId');
   
@@ -154,6 +377,9 @@ const AssignBedDialog = ({
       bed_id: bed.id,
       patient_id: data.patientId,
       assigned_at: new Date().toISOString(),
+      expected_discharge_at: data.expectedDischarge
+        ? new Date(`${data.expectedDischarge}T00:00`).toISOString()
+        : null,
       notes: data.notes?.trim() || null,
     };
 
@@ -161,8 +387,288 @@ const AssignBedDialog = ({
     onSuccess?.(assignmentPayload);
   };
 
+  if (isAdmit) {
+    if (!admission) return null;
+    const { bed_request: request, patient } = admission;
+    const departmentName = beds.find(b => b.department_id === request.department_id)?.department?.name;
+
+    return (
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="assignBedDialog max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Assign Bed to Admitted Patient</DialogTitle>
+            <DialogDescription>
+              Free beds in {departmentName || 'the admitting department'} that meet the
+              patient&apos;s needs. Closing keeps the patient on the bed waitlist.
+            </DialogDescription>
+          </DialogHeader>
+
+          {/* Admission Summary */}
+          <div className="bedSummary space-y-4 p-4 rounded-lg bg-muted/30">
+            <p className="flex items-center gap-2 font-semibold">
+              <User className="w-4 h-4" />
+              {request.patient_name || patient?.fullName || patient?.full_name}
+            </p>
+            {request.diagnosis && (
+              <p className="flex items-center gap-2 text-sm">
+                <Stethoscope className="w-4 h-4" />
+                {request.diagnosis}
+              </p>
+            )}
+            <div className="bedAttributes">
+              <Badge variant="secondary">{BED_REQUEST_PRIORITY_LABELS[request.priority] || request.priority}</Badge>
+              {request.isolation !== ISOLATION_TYPES.NONE && (
+                <Badge variant="warning">{ISOLATION_TYPE_LABELS[request.isolation]}</Badge>
+              )}
+              {getRequiredBedAttributes(patient)
+                .filter(attribute => attribute !== BED_ATTRIBUTES.ISOLATION)
+                .map(attribute => (
+                  <Badge key={attribute} variant="outline">{BED_ATTRIBUTE_LABELS[attribute]}</Badge>
+                ))}
+            </div>
+          </div>
+
+          <form className="space-y-6" onSubmit={handleAdmitSubmit}>
+            {/* Bed Selection */}
+            <div className="space-y-2">
+              <Label required htmlFor="admitBedId">
+                <BedDouble className="inline w-4 h-4 mr-2" />
+                Bed
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting || admitTargets.length === 0}
+                id="admitBedId"
+                value={admitBedId}
+                onChange={(e) => setTargetBedId(e.target.value)}
+              >
+                {admitTargets.length === 0 && <option value="">No matching beds</option>}
+                {admitTargets.map((target, index) => (
+                  <option key={target.id} value={target.id}>
+                    {target.bed_number} • Room {target.room_number}
+                    {target.status === BED_STATUS.RESERVED ? ' (reserved for this patient)' : ''}
+                    {index === 0 ? ' — suggested' : ''}
+                  </option>
+                ))}
+              </select>
+              {admitTargets.length === 0 && (
+                <p className="constraintNotice text-sm">
+                  <AlertCircle className="inline w-4 h-4 mr-1" />
+                  No free bed matches right now. The patient stays on the waitlist and
+                  you are notified when a matching bed is freed.
+                </p>
+              )}
+            </div>
+
+            {/* Expected Discharge */}
+            <div className="space-y-2">
+              <Label htmlFor="admitExpectedDischarge">
+                <CalendarClock className="inline w-4 h-4 mr-2" />
+                Expected Discharge (Optional)
+              </Label>
+              <Input
+                disabled={isSubmitting}
+                id="admitExpectedDischarge"
+                min={format(new Date(), 'yyyy-MM-dd')}
+                type="date"
+                value={admitExpectedDischarge}
+                onChange={(e) => setAdmitExpectedDischarge(e.target.value)}
+              />
+            </div>
+
+            {/* Assignment Notes */}
+            <div className="space-y-2">
+              <Label htmlFor="admitNotes">
+                <NotepadText className="inline w-4 h-4 mr-2" />
+                Assignment Notes (Optional)
+              </Label>
+              <Textarea
+                disabled={isSubmitting}
+                id="admitNotes"
+                maxLength={500}
+                placeholder="e.g., Patient requires monitoring every 4 hours..."
+                rows={3}
+                value={admitNotes}
+                onChange={(e) => setAdmitNotes(e.target.value)}
+              />
+            </div>
+
+            <DialogFooter>
+              <Button
+                disabled={isSubmitting}
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+              >
+                Assign Later
+              </Button>
+              <Button
+                disabled={!admitBedId || isSubmitting}
+                isLoading={isSubmitting}
+                type="submit"
+              >
+                Assign Bed
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
   if (!bed) return null;
 
+  if (isTransfer) {
+    const patientName = bed.current_patient?.full_name || bed.current_patient?.fullName;
+
+    return (
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="assignBedDialog max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Transfer Patient</DialogTitle>
+            <DialogDescription>
+              Move the patient to another bed. The current bed will be sent for cleaning.
+            </DialogDescription>
+          </DialogHeader>
+
+          {/* Source Bed Summary */}
+          <div className="bedSummary space-y-4 p-4 rounded-lg bg-muted/30">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <BedDouble className="w-8 h-8 text-primary" />
+                <div>
+                  <p className="font-semibold text-lg">{bed.bed_number}</p>
+                  <p className="text-sm text-muted-foreground">
+                    Room {bed.room_number} • {bed.department?.name || 'Unknown Department'}
+                  </p>
+                </div>
+              </div>
+              <BedStatusBadge status={bed.status} />
+            </div>
+
+            <BedAttributeBadges bed={bed} />
+
+            {patientName ? (
+              <p className="flex items-center gap-2 text-sm">
+                <User className="w-4 h-4" />
+                {patientName}
+              </p>
+            ) : (
+              <div className="flex items-center gap-2 text-destructive text-sm">
+                <AlertCircle className="w-4 h-4" />
+                This bed has no patient to transfer.
+              </div>
+            )}
+          </div>
+
+          <form className="space-y-6" onSubmit={handleTransferSubmit}>
+            {/* Bed Attribute Filter */}
+            <div className="space-y-2">
+              <Label>
+                <SlidersHorizontal className="inline w-4 h-4 mr-2" />
+                Bed Must Have
+              </Label>
+              <div className="attributeFilter">
+                {Object.values(BED_ATTRIBUTES).map(attribute => {
+                  const isRequired = requiredAttributes.includes(attribute);
+                  return (
+                    <Checkbox
+                      checked={isRequired || attributeFilter.includes(attribute)}
+                      disabled={isSubmitting || isRequired}
+                      id={`transferAttribute-${attribute}`}
+                      key={attribute}
+                      size="sm"
+                      onCheckedChange={(checked) => toggleAttributeFilter(attribute, checked)}
+                    >
+                      {BED_ATTRIBUTE_LABELS[attribute]}
+                    </Checkbox>
+                  );
+                })}
+              </div>
+              {requiredAttributes.length > 0 && (
+                <p className="text-sm text-muted-foreground">
+                  Locked options are required by the patient&apos;s bed requirements.
+                </p>
+              )}
+            </div>
+
+            {/* Target Bed Selection */}
+            <div className="space-y-2">
+              <Label required htmlFor="targetBedId">
+                <ArrowRightLeft className="inline w-4 h-4 mr-2" />
+                Transfer To
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting || !patientName}
+                id="targetBedId"
+                value={targetBedId}
+                onChange={(e) => setTargetBedId(e.target.value)}
+              >
+                <option value="">Select a bed...</option>
+                {transferTargets.map(target => (
+                  <option key={target.id} value={target.id}>
+                    {target.bed_number} • Room {target.room_number} • {target.department?.name || 'Unknown Department'}
+                    {target.status === BED_STATUS.RESERVED ? ' (reserved for this patient)' : ''}
+                  </option>
+                ))}
+              </select>
+              {transferTargets.length === 0 && (
+                <p className="text-sm text-muted-foreground">
+                  No available beds match the patient&apos;s requirements and filters.
+                </p>
+              )}
+              {(() => {
+                const target = transferTargets.find(b => b.id === targetBedId);
+                return target && target.department_id !== bed.department_id ? (
+                  <div className="flex items-center gap-2 text-sm p-2 bg-muted rounded">
+                    <AlertCircle className="w-4 h-4" />
+                    The patient will move to {target.department?.name || 'another department'}.
+                  </div>
+                ) : null;
+              })()}
+            </div>
+
+            {/* Transfer Reason */}
+            <div className="space-y-2">
+              <Label required htmlFor="transferReason">
+                <NotepadText className="inline w-4 h-4 mr-2" />
+                Reason
+              </Label>
+              <Textarea
+                disabled={isSubmitting}
+                id="transferReason"
+                maxLength={500}
+                placeholder="e.g., Step-down from ICU, isolation required..."
+                rows={3}
+                value={transferReason}
+                onChange={(e) => setTransferReason(e.target.value)}
+              />
+            </div>
+
+            <DialogFooter>
+              <Button
+                disabled={isSubmitting}
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+              >
+                Cancel
+              </Button>
+              <Button
+                disabled={!canTransfer || isSubmitting}
+                isLoading={isSubmitting}
+                type="submit"
+              >
+                Transfer Patient
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
       <DialogContent className="assignBedDialog max-w-lg">
@@ -188,12 +694,22 @@ const AssignBedDialog = ({
             <BedStatusBadge status={bed.status} />
           </div>
 
-          {bed.status !== 'available' && (
+          <BedAttributeBadges bed={bed} />
+
+          {!canAssign && (
             <div className="flex items-center gap-2 text-destructive text-sm">
               <AlertCircle className="w-4 h-4" />
               This bed is currently not available for assignment.
             </div>
           )}
+
+          {bed.reservation && (
+            <div className="reservationNotice flex items-center gap-2 text-sm">
+              <CalendarClock className="w-4 h-4" />
+              Reserved for {bed.reservation.patient_name || 'a pending admission'}
+              {bed.reservation.expires_at && ` until ${format(new Date(bed.reservation.expires_at), 'MMM dd, HH:mm')}`}
+            </div>
+          )}
         </div>
 
         <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
@@ -207,7 +723,7 @@ const AssignBedDialog = ({
               id="patientId"
               {...register('patientId')}
               className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
-              disabled={isSubmitting || bed.status !== 'available'}
+              disabled={isSubmitting || !canAssign}
             >
               <option value="">Select a patient...</option>
               {sortedEligiblePatients.map((patient) => {
@@ -228,9 +744,11 @@ const AssignBedDialog = ({
                   const indicator = SEVERITY_INDICATORS[statusLower];
                   statusText = indicator ? ` - ${indicator}` : ` - ${status.toUpperCase()}`;
                 }
+                const failures = constraintFailures[patient.id] || [];
                 return (
-                  <option key={patient.id} value={patient.id}>
+                  <option disabled={failures.length > 0} key={patient.id} value={patient.id}>
                     {name}{dobText}{statusText}
+                    {failures.length > 0 ? ` — unavailable: ${failures[0].message}` : ''}
                   </option>
                 );
               })}
@@ -244,6 +762,12 @@ const AssignBedDialog = ({
                 Patients must be in the same department as the bed.
               </p>
             )}
+            {Object.values(constraintFailures).some(failures => failures.length > 0) && (
+              <p className="constraintNotice text-sm">
+                <AlertCircle className="inline w-4 h-4 mr-1" />
+                Some patients cannot use this bed (isolation, equipment or room gender) and are disabled.
+              </p>
+            )}
             {departmentMismatch && (
               <div className="flex items-center gap-2 text-destructive text-sm p-2 bg-destructive/10 rounded">
                 <AlertCircle className="w-4 h-4" />
@@ -252,6 +776,21 @@ const AssignBedDialog = ({
             )}
           </div>
 
+          {/* Expected Discharge */}
+          <div className="space-y-2">
+            <Label htmlFor="expectedDischarge">
+              <CalendarClock className="inline w-4 h-4 mr-2" />
+              Expected Discharge (Optional)
+            </Label>
+            <Input
+              id="expectedDischarge"
+              type="date"
+              {...register('expectedDischarge')}
+              disabled={isSubmitting}
+              min={format(new Date(), 'yyyy-MM-dd')}
+            />
+          </div>
+
           {/* Assignment Notes */}
           <div className="space-y-2">
             <Label htmlFor="notes">
@@ -280,7 +819,7 @@ const AssignBedDialog = ({
               Cancel
             </Button>
             <Button
-              disabled={bed.status !== 'available' || isSubmitting}
+              disabled={!canAssign || isSubmitting}
               isLoading={isSubmitting}
               type="submit"
             >
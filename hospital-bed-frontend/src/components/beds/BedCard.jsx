@@ -13,38 +13,44 @@
  * Features:
  * - Glassmorphic elevation with hover lift
  * - Status indicator dot with ring
- * - Patient details when occupied
- * - Empty state when available/cleaning/maintenance
+ * - Patient details when occupied, with expected discharge (overdue highlighted)
+ * - Empty state with status reason when available/cleaning/maintenance/blocked
+ * - Reserved state showing who the bed is held for and when the hold expires
  * - Clickable to open AssignBedDialog or view details
+ * - Transfer action on occupied beds (opens AssignBedDialog in transfer mode)
  * - Fully accessible and responsive
  * - Unified with global Card, Badge, Avatar, Button components
  */
 
-import { BedDouble, AlertCircle } from 'lucide-react';
+import { format, formatDistanceToNow, isBefore, startOfDay } from 'date-fns';
+import { BedDouble, AlertCircle, ArrowRightLeft, CalendarClock } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
 import Badge from '@components/ui/badge.jsx';
 import Avatar from '@components/ui/avatar.jsx';
 import AvatarFallback from '@components/ui/avatar-fallback.jsx';
+import Button from '@components/ui/button.jsx';
 import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
 import './BedCard.scss';
 
 /**
  * Props:
- * - bed: Full bed object (id, bed_number, room_number, status, patient, department)
+ * - bed: Full bed object (id, bed_number, room_number, status, status_reason, reservation, patient, department)
  * - onClick: () => void - opens dialog or detail view
  * - showDepartment: boolean (default: false) - show department badge
+ * - onTransfer: (bed) => void - optional; shows a Transfer action on occupied beds
  */
 const BedCard = ({ 
   bed, 
   onClick, 
-  showDepartment = false 
+  showDepartment = false,
+  onTransfer,
 }) => {
   if (!bed) return null;
 
   const { bed_number, status, patient } = bed;
 
-  // Determine if bed is interactive (only available beds can be assigned)
-  const isInteractive = status === 'available';
+  // Determine if bed is interactive (available and reserved beds can be assigned)
+  const isInteractive = status === 'available' || status === 'reserved';
 
   return (
     <Card
@@ -98,15 +104,55 @@ const BedCard = ({
               {patient.condition && (
                 <p className="patientCondition">{patient.condition}</p>
               )}
+              {bed.expected_discharge_at && (
+                <p
+                  className={`expectedDischarge ${
+                    isBefore(new Date(bed.expected_discharge_at), startOfDay(new Date())) ? 'overdue' : ''
+                  }`}
+                >
+                  <CalendarClock className="w-3 h-3" />
+                  Expected out {format(new Date(bed.expected_discharge_at), 'MMM d')}
+                </p>
+              )}
+              {onTransfer && (
+                <Button
+                  className="transferButton"
+                  size="sm"
+                  variant="outline"
+                  onClick={(e) => {
+                    // Keep the card's own click (manage bed) from firing
+                    e.stopPropagation();
+                    onTransfer(bed);
+                  }}
+                >
+                  <ArrowRightLeft className="w-4 h-4 mr-1" />
+                  Transfer
+                </Button>
+              )}
             </div>
           </div>
+        ) : status === 'reserved' && bed.reservation ? (
+          <div className="reservationInfo">
+            <CalendarClock className="reservationIcon" size={32} strokeWidth={1.5} />
+            <p className="reservedFor">
+              Held for {bed.reservation.patient_name || 'pending admission'}
+            </p>
+            {bed.reservation.expires_at && (
+              <p className="reservationExpiry">
+                Expires {formatDistanceToNow(new Date(bed.reservation.expires_at), { addSuffix: true })}
+              </p>
+            )}
+          </div>
         ) : (
           <div className="emptyState">
             <BedDouble className="emptyBedIcon" size={40} strokeWidth={1.5} />
             <p className="emptyStatus capitalize">{status.replace('_', ' ')}</p>
-            {status === 'maintenance' && (
+            {(status === 'maintenance' || status === 'blocked') && (
               <AlertCircle className="warningIcon" size={16} />
             )}
+            {bed.status_reason && (
+              <p className="statusReason">{bed.status_reason}</p>
+            )}
           </div>
         )}
       </div>
@@ -115,6 +161,7 @@ const BedCard = ({
       <div className="actionOverlay">
         <span className="actionText">
           {status === 'available' ? 'Assign Patient' : 
+           status === 'reserved' ? 'Admit Reserved Patient' :
            status === 'occupied' ? 'Manage Bed' : 
            'View Details'}
         </span>
@@ -0,0 +1,125 @@
+// src/components/beds/BedForecastTable.jsx
+/**
+ * BedForecastTable Component
+ *
+ * Projected free beds per department per day, from useBedForecast.
+ * Used in DepartmentLoadReportPage and AdminDashboard.
+ *
+ * Features:
+ * - One row per department plus a hospital-wide total
+ * - Cells colored by projected free beds (shortfall, low, ok)
+ * - Cell tooltip with expected discharges and planned admissions
+ * - Reserved beds and occupied beds without an expected discharge called out
+ * - Optional single-department view
+ * - Loading and empty states
+ * - Unified with global Card, Badge, EmptyState components
+ */
+
+import { format, parseISO } from 'date-fns';
+import { CalendarRange } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Badge from '@components/ui/badge.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import './BedForecastTable.scss';
+
+// At or below this many projected free beds a day is flagged as tight
+const LOW_AVAILABILITY_THRESHOLD = 2;
+
+const getCellTone = (projectedFree) => {
+  if (projectedFree <= 0) return 'shortfall';
+  if (projectedFree <= LOW_AVAILABILITY_THRESHOLD) return 'low';
+  return 'ok';
+};
+
+/**
+ * Props:
+ * - forecast: { departments, total } from useBedForecast
+ * - departmentId: string - 'all' (default) or a department ID to show one row
+ * - isLoading: boolean
+ * - title: string (default: '7-Day Bed Forecast')
+ */
+const BedForecastTable = ({
+  forecast,
+  departmentId = 'all',
+  isLoading = false,
+  title = '7-Day Bed Forecast',
+}) => {
+  const rows = departmentId === 'all'
+    ? forecast?.departments || []
+    : (forecast?.departments || []).filter(row => row.department_id === departmentId);
+  const dates = forecast?.total?.days.map(day => day.date) || [];
+
+  const renderCells = (row) => row.days.map(day => (
+    <td
+      className={`forecastCell ${getCellTone(day.projected_free)}`}
+      key={day.date}
+      title={`${day.expected_discharges} expected discharge(s), ${day.scheduled_admissions} planned admission(s)`}
+    >
+      {day.projected_free}
+    </td>
+  ));
+
+  const renderNotes = (row) => (
+    <span className="rowNotes">
+      {row.reserved > 0 && <Badge variant="secondary">{row.reserved} reserved</Badge>}
+      {row.occupied_without_estimate > 0 && (
+        <Badge variant="outline">{row.occupied_without_estimate} no estimate</Badge>
+      )}
+    </span>
+  );
+
+  return (
+    <Card className="bedForecastTable">
+      <h2 className="sectionTitle">
+        <CalendarRange className="mr-2" />
+        {title}
+      </h2>
+      <p className="forecastHint">
+        Projected free beds at the end of each day: expected discharges minus planned admissions.
+      </p>
+
+      {isLoading ? (
+        <LoadingState count={3} type="table" />
+      ) : rows.length === 0 ? (
+        <EmptyState
+          description="No departments to forecast"
+          size="small"
+          title="No forecast available"
+        />
+      ) : (
+        <div className="forecastScroll">
+          <table className="forecastGrid">
+            <thead>
+              <tr>
+                <th scope="col">Department</th>
+                {dates.map(date => (
+                  <th key={date} scope="col">{format(parseISO(date), 'EEE d')}</th>
+                ))}
+                <th scope="col">Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.department_id}>
+                  <th className="departmentName" scope="row">{row.department_name}</th>
+                  {renderCells(row)}
+                  <td>{renderNotes(row)}</td>
+                </tr>
+              ))}
+              {departmentId === 'all' && (
+                <tr className="totalRow">
+                  <th scope="row">All Departments</th>
+                  {renderCells(forecast.total)}
+                  <td>{renderNotes(forecast.total)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default BedForecastTable;
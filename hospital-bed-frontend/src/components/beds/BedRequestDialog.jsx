@@ -0,0 +1,240 @@
+// src/components/beds/BedRequestDialog.jsx
+/**
+ * BedRequestDialog Component
+ *
+ * Dialog for adding a patient to the admission waitlist (bed request queue).
+ * Used from BedRequestQueue on the nurse and reception dashboards.
+ *
+ * Features:
+ * - Patient select (patients without a bed)
+ * - Required department, acuity and isolation needs
+ * - Optional notes
+ * - Validation and submission states
+ * - Unified with global components (Dialog, Label, Textarea, Button)
+ */
+
+import React from 'react';
+import { User, Building2, Activity, ShieldAlert, NotepadText } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Label from '@components/ui/label.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import {
+  BED_REQUEST_PRIORITY,
+  BED_REQUEST_PRIORITY_LABELS,
+  ISOLATION_TYPES,
+  ISOLATION_TYPE_LABELS
+} from '@lib/constants';
+import './BedRequestDialog.scss';
+
+/**
+ * Props:
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - onSuccess: ({ patient_id, department_id, priority, isolation, notes }) => void
+ * - patients: Array of patients
+ * - departments: Array of departments
+ * - isSubmitting: boolean
+ */
+const BedRequestDialog = ({
+  open = false,
+  onOpenChange,
+  onSuccess,
+  patients = [],
+  departments = [],
+  isSubmitting = false,
+}) => {
+  const [patientId, setPatientId] = React.useState('');
+  const [departmentId, setDepartmentId] = React.useState('');
+  const [priority, setPriority] = React.useState(BED_REQUEST_PRIORITY.MEDIUM);
+  const [isolation, setIsolation] = React.useState(ISOLATION_TYPES.NONE);
+  const [notes, setNotes] = React.useState('');
+
+  // Reset form when dialog closes
+  React.useEffect(() => {
+    if (!open) {
+      setPatientId('');
+      setDepartmentId('');
+      setPriority(BED_REQUEST_PRIORITY.MEDIUM);
+      setIsolation(ISOLATION_TYPES.NONE);
+      setNotes('');
+    }
+  }, [open]);
+
+  // Patients already in a bed do not need a request
+  const eligiblePatients = React.useMemo(
+    () => patients
+      .filter(patient => !patient.currentBedId && patient.status !== 'discharged')
+      .sort((a, b) => (a.fullName || a.full_name || '').localeCompare(b.fullName || b.full_name || '')),
+    [patients]
+  );
+
+  // Default the department to the patient's own
+  const handlePatientChange = (value) => {
+    setPatientId(value);
+    const patient = patients.find(p => p.id === value);
+    if (patient?.department && !departmentId) {
+      setDepartmentId(patient.department);
+    }
+  };
+
+  const canSubmit = patientId && departmentId;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    onSuccess?.({
+      patient_id: patientId,
+      department_id: departmentId,
+      priority,
+      isolation,
+      notes: notes.trim() || null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bedRequestDialog max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Add to Bed Waitlist</DialogTitle>
+          <DialogDescription>
+            The patient will be queued by acuity and offered the best matching free bed.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {/* Patient */}
+          <div className="space-y-2">
+            <Label required htmlFor="requestPatient">
+              <User className="inline w-4 h-4 mr-2" />
+              Patient
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              disabled={isSubmitting}
+              id="requestPatient"
+              value={patientId}
+              onChange={(e) => handlePatientChange(e.target.value)}
+            >
+              <option value="">Select a patient...</option>
+              {eligiblePatients.map(patient => (
+                <option key={patient.id} value={patient.id}>
+                  {patient.fullName || patient.full_name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Department */}
+          <div className="space-y-2">
+            <Label required htmlFor="requestDepartment">
+              <Building2 className="inline w-4 h-4 mr-2" />
+              Required Department
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              disabled={isSubmitting}
+              id="requestDepartment"
+              value={departmentId}
+              onChange={(e) => setDepartmentId(e.target.value)}
+            >
+              <option value="">Select a department...</option>
+              {departments.map(dept => (
+                <option key={dept.id} value={dept.id}>
+                  {dept.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="fieldRow">
+            {/* Acuity */}
+            <div className="space-y-2">
+              <Label required htmlFor="requestPriority">
+                <Activity className="inline w-4 h-4 mr-2" />
+                Acuity
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting}
+                id="requestPriority"
+                value={priority}
+                onChange={(e) => setPriority(e.target.value)}
+              >
+                {Object.values(BED_REQUEST_PRIORITY).map(value => (
+                  <option key={value} value={value}>
+                    {BED_REQUEST_PRIORITY_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Isolation */}
+            <div className="space-y-2">
+              <Label htmlFor="requestIsolation">
+                <ShieldAlert className="inline w-4 h-4 mr-2" />
+                Isolation
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting}
+                id="requestIsolation"
+                value={isolation}
+                onChange={(e) => setIsolation(e.target.value)}
+              >
+                {Object.values(ISOLATION_TYPES).map(value => (
+                  <option key={value} value={value}>
+                    {ISOLATION_TYPE_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Notes */}
+          <div className="space-y-2">
+            <Label htmlFor="requestNotes">
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              Notes (Optional)
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="requestNotes"
+              maxLength={300}
+              placeholder="e.g., Awaiting transfer from ER bay 3..."
+              rows={3}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+            >
+              Add to Waitlist
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BedRequestDialog;
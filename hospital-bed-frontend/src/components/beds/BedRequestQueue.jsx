@@ -0,0 +1,171 @@
+// src/components/beds/BedRequestQueue.jsx
+/**
+ * BedRequestQueue Component
+ *
+ * Live admission waitlist card for the nurse and reception dashboards.
+ * Lists patients waiting for a bed, highest acuity first, with the best
+ * matching free bed suggested for each.
+ *
+ * Features:
+ * - Acuity and isolation badges
+ * - Waiting time since request
+ * - Suggested bed with one-click assignment
+ * - "Bed freed" marker when a discharge notified the request
+ * - Add to waitlist / cancel actions
+ * - Loading and empty states
+ * - Unified with global Card, Badge, Button, EmptyState components
+ */
+
+import React from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { ListOrdered, UserPlus, BedDouble, X, BellRing } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Badge from '@components/ui/badge.jsx';
+import Button from '@components/ui/button.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import { suggestBed } from '@services/firebase/bedRequestMatching';
+import './BedRequestQueue.scss';
+
+const PRIORITY_VARIANTS = {
+  critical: 'destructive',
+  high: 'warning',
+  medium: 'default',
+  low: 'secondary',
+};
+
+/**
+ * Props:
+ * - requests: Array of waiting bed requests (already sorted)
+ * - beds: Array of beds (for suggestions)
+ * - departments: Array of departments (for names)
+ * - isLoading: boolean
+ * - canManage: boolean - show add/assign/cancel actions
+ * - isAssigning: boolean
+ * - onAddRequest: () => void
+ * - onAssign: (request, bed) => void
+ * - onCancel: (request) => void
+ * - limit: number - max rows shown (default: 8)
+ */
+const BedRequestQueue = ({
+  requests = [],
+  beds = [],
+  departments = [],
+  isLoading = false,
+  canManage = false,
+  isAssigning = false,
+  onAddRequest,
+  onAssign,
+  onCancel,
+  limit = 8,
+}) => {
+  const departmentNames = React.useMemo(
+    () => Object.fromEntries(departments.map(dept => [dept.id, dept.name])),
+    [departments]
+  );
+
+  // Suggest beds down the queue without offering the same bed twice
+  const rows = React.useMemo(() => {
+    let freeBeds = beds;
+    return requests.slice(0, limit).map(request => {
+      const bed = suggestBed(request, freeBeds);
+      if (bed) freeBeds = freeBeds.filter(b => b.id !== bed.id);
+      return { request, bed };
+    });
+  }, [requests, beds, limit]);
+
+  return (
+    <Card className="bedRequestQueue">
+      <div className="queueHeader">
+        <h2 className="sectionTitle">
+          <ListOrdered className="mr-2" />
+          Bed Waitlist
+          {requests.length > 0 && (
+            <Badge className="queueCount" variant="secondary">{requests.length}</Badge>
+          )}
+        </h2>
+        {canManage && (
+          <Button size="sm" onClick={onAddRequest}>
+            <UserPlus size={16} />
+            Add Patient
+          </Button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <LoadingState count={3} type="table" />
+      ) : rows.length === 0 ? (
+        <EmptyState
+          description="No patients are waiting for a bed"
+          size="small"
+          title="Waitlist is empty"
+        />
+      ) : (
+        <ul className="queueList">
+          {rows.map(({ request, bed }, index) => (
+            <li className="queueItem" key={request.id}>
+              <span className="queuePosition">{index + 1}</span>
+
+              <div className="requestDetails">
+                <p className="patientName">{request.patient_name || 'Unknown patient'}</p>
+                <div className="requestMeta">
+                  <Badge variant={PRIORITY_VARIANTS[request.priority] || 'default'}>
+                    {request.priority}
+                  </Badge>
+                  {request.isolation !== 'none' && (
+                    <Badge variant="outline">{request.isolation} isolation</Badge>
+                  )}
+                  <span className="departmentName">
+                    {departmentNames[request.department_id] || 'Unknown Department'}
+                  </span>
+                  {request.requested_at && (
+                    <span className="waitTime">
+                      waiting {formatDistanceToNow(new Date(request.requested_at))}
+                    </span>
+                  )}
+                </div>
+                {request.notified_bed_id && !bed && (
+                  <p className="notifiedNotice">
+                    <BellRing size={14} />
+                    A matching bed was freed and is being cleaned
+                  </p>
+                )}
+              </div>
+
+              <div className="requestActions">
+                {bed ? (
+                  canManage ? (
+                    <Button
+                      disabled={isAssigning}
+                      size="sm"
+                      onClick={() => onAssign?.(request, bed)}
+                    >
+                      <BedDouble size={16} />
+                      Assign {bed.bed_number}
+                    </Button>
+                  ) : (
+                    <span className="suggestedBed">Suggested: {bed.bed_number}</span>
+                  )
+                ) : (
+                  <span className="noBed">No matching bed</span>
+                )}
+                {canManage && (
+                  <Button
+                    aria-label="Remove from waitlist"
+                    size="icon"
+                    variant="ghost"
+                    onClick={() => onCancel?.(request)}
+                  >
+                    <X size={16} />
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default BedRequestQueue;
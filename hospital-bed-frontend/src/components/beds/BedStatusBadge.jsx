@@ -25,14 +25,16 @@ import {
   BedDouble,      // available
   User,           // occupied
   Wrench,         // maintenance
-  Clock,          // cleaning (temporary/reserved)
+  Clock,          // cleaning
+  Ban,            // blocked
+  CalendarClock,  // reserved
 } from 'lucide-react';
 import Badge from '@components/ui/badge.jsx';
 import './BedStatusBadge.scss';
 
 /**
  * Props:
- * - status: string - exact backend value: 'available', 'occupied', 'cleaning', 'maintenance'
+ * - status: string - exact backend value: 'available', 'occupied', 'cleaning', 'maintenance', 'blocked', 'reserved'
  * - size: 'sm' | 'md' | 'lg' (default: 'md')
  * - showIcon: boolean (default: true)
  * - pulse: boolean (default: true for 'available' only)
@@ -69,6 +71,18 @@ const BedStatusBadge = ({
       icon: Wrench,
       pulse: false,
     },
+    blocked: {
+      variant: 'outline',
+      label: 'Blocked',
+      icon: Ban,
+      pulse: false,
+    },
+    reserved: {
+      variant: 'warning',
+      label: 'Reserved',
+      icon: CalendarClock,
+      pulse: false,
+    },
   };
 
   const normalizedStatus = status?.toLowerCase();
@@ -0,0 +1,203 @@
+// src/components/beds/BedStatusDialog.jsx
+/**
+ * BedStatusDialog Component
+ *
+ * Dialog for moving a bed through its lifecycle outside of assign/discharge.
+ * Used in BedManagementPage for housekeeping sign-off and taking beds out of service.
+ *
+ * Features:
+ * - Only offers transitions allowed from the bed's current status
+ * - Reason field, required for maintenance and blocked
+ * - Shows the reason recorded for the current status
+ * - Validation and submission states
+ * - Unified with global components (Dialog, Label, Textarea, Button, Badge)
+ */
+
+import React from 'react';
+import { BedDouble, Wrench, NotepadText, AlertCircle } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Label from '@components/ui/label.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
+import {
+  BED_STATUS,
+  BED_STATUS_TRANSITIONS,
+  BED_STATUS_REASON_REQUIRED
+} from '@lib/constants';
+import './BedStatusDialog.scss';
+
+/**
+ * Human-readable labels for each target status
+ */
+const STATUS_ACTION_LABELS = {
+  available: 'Available (ready for patients)',
+  cleaning: 'Needs cleaning',
+  maintenance: 'Maintenance',
+  blocked: 'Blocked',
+};
+
+/**
+ * Props:
+ * - bed: The selected bed object (must include id, bed_number, room_number, status, department)
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - onSuccess: ({ bedId, status, reason }) => void - called on submit
+ * - isSubmitting: boolean
+ */
+const BedStatusDialog = ({
+  bed,
+  open = false,
+  onOpenChange,
+  onSuccess,
+  isSubmitting = false,
+}) => {
+  const [targetStatus, setTargetStatus] = React.useState('');
+  const [reason, setReason] = React.useState('');
+
+  // Occupancy changes go through assign/discharge, not this dialog
+  const statusOptions = React.useMemo(
+    () => (BED_STATUS_TRANSITIONS[bed?.status] || [])
+      .filter(status => STATUS_ACTION_LABELS[status]),
+    [bed]
+  );
+
+  // Reset form when dialog opens/closes; default to housekeeping sign-off
+  React.useEffect(() => {
+    if (!open) {
+      setTargetStatus('');
+      setReason('');
+    } else if (bed?.status === BED_STATUS.CLEANING) {
+      setTargetStatus(BED_STATUS.AVAILABLE);
+    }
+  }, [open, bed]);
+
+  const reasonRequired = BED_STATUS_REASON_REQUIRED.includes(targetStatus);
+  const canSubmit = targetStatus && (!reasonRequired || reason.trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    onSuccess?.({
+      bedId: bed.id,
+      status: targetStatus,
+      reason: reason.trim() || null,
+    });
+  };
+
+  if (!bed) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bedStatusDialog max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Update Bed Status</DialogTitle>
+          <DialogDescription>
+            Sign off cleaning, or take the bed out of service with a reason.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Bed Information Summary */}
+        <div className="bedSummary space-y-4 p-4 rounded-lg bg-muted/30">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <BedDouble className="w-8 h-8 text-primary" />
+              <div>
+                <p className="font-semibold text-lg">{bed.bed_number}</p>
+                <p className="text-sm text-muted-foreground">
+                  Room {bed.room_number} • {bed.department?.name || 'Unknown Department'}
+                </p>
+              </div>
+            </div>
+            <BedStatusBadge status={bed.status} />
+          </div>
+
+          {bed.status_reason && (
+            <p className="currentReason text-sm text-muted-foreground">
+              Reason: {bed.status_reason}
+            </p>
+          )}
+
+          {statusOptions.length === 0 && (
+            <div className="flex items-center gap-2 text-destructive text-sm">
+              <AlertCircle className="w-4 h-4" />
+              This bed&apos;s status can only change through assignment or discharge.
+            </div>
+          )}
+        </div>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {/* Target Status */}
+          <div className="space-y-2">
+            <Label required htmlFor="targetStatus">
+              <Wrench className="inline w-4 h-4 mr-2" />
+              New Status
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              disabled={isSubmitting || statusOptions.length === 0}
+              id="targetStatus"
+              value={targetStatus}
+              onChange={(e) => setTargetStatus(e.target.value)}
+            >
+              <option value="">Select a status...</option>
+              {statusOptions.map(status => (
+                <option key={status} value={status}>
+                  {STATUS_ACTION_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Reason */}
+          <div className="space-y-2">
+            <Label htmlFor="statusReason" required={reasonRequired}>
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              Reason {reasonRequired ? '' : '(Optional)'}
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="statusReason"
+              maxLength={300}
+              placeholder="e.g., Broken bed rail, awaiting repair..."
+              rows={3}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+            {reasonRequired && !reason.trim() && (
+              <p className="text-sm text-destructive">
+                A reason is required for {targetStatus} beds
+              </p>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+            >
+              Update Status
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BedStatusDialog;
@@ -7,6 +7,10 @@
  * 
  * Features:
  * - Bed and patient information display
+ * - Required disposition (home, transfer, AMA, deceased) and destination facility for transfers
+ * - Discharge summary (diagnosis, hospital course, instructions) kept on the assignment
+ * - Optional follow-up appointment with a doctor (roles that can book appointments;
+ *   others record the follow-up date with the instructions)
  * - Optional discharge notes field
  * - Validation and submission states
  * - Accessible form with clear feedback
@@ -18,7 +22,16 @@
 
 import React from 'react';
 import { format } from 'date-fns';
-import { BedDouble, UserX, NotepadText, AlertCircle } from 'lucide-react';
+import {
+  BedDouble,
+  UserX,
+  NotepadText,
+  AlertCircle,
+  LogOut,
+  Building2,
+  Stethoscope,
+  CalendarPlus
+} from 'lucide-react';
 import Dialog from '@components/ui/dialog.jsx';
 import DialogContent from '@components/ui/dialog-content.jsx';
 import DialogHeader from '@components/ui/dialog-header.jsx';
@@ -27,8 +40,10 @@ import DialogDescription from '@components/ui/dialog-description.jsx';
 import DialogFooter from '@components/ui/dialog-footer.jsx';
 import Label from '@components/ui/label.jsx';
 import Textarea from '@components/ui/textarea.jsx';
+import Input from '@components/ui/input.jsx';
 import Button from '@components/ui/button.jsx';
 import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
+import { DISCHARGE_DISPOSITION, DISCHARGE_DISPOSITION_LABELS } from '@lib/constants';
 import './DischargeBedDialog.scss';
 
 /**
@@ -38,6 +53,8 @@ import './DischargeBedDialog.scss';
  * - onOpenChange: (open: boolean) => void
  * - onSuccess: (dischargeData) => void - called after successful discharge
  * - isSubmitting: boolean
+ * - doctors: Array of doctors for the follow-up appointment
+ * - canBookFollowUp: boolean - whether the user may book the follow-up appointment
  */
 const DischargeBedDialog = ({
   bed,
@@ -45,23 +62,59 @@ const DischargeBedDialog = ({
   onOpenChange,
   onSuccess,
   isSubmitting = false,
+  doctors = [],
+  canBookFollowUp = false,
 }) => {
   const [dischargeNotes, setDischargeNotes] = React.useState('');
+  const [disposition, setDisposition] = React.useState(DISCHARGE_DISPOSITION.HOME);
+  const [destination, setDestination] = React.useState('');
+  const [diagnosis, setDiagnosis] = React.useState('');
+  const [hospitalCourse, setHospitalCourse] = React.useState('');
+  const [instructions, setInstructions] = React.useState('');
+  const [followUpDate, setFollowUpDate] = React.useState('');
+  const [followUpDoctorId, setFollowUpDoctorId] = React.useState('');
 
   // Reset form when dialog closes
   React.useEffect(() => {
     if (!open) {
       setDischargeNotes('');
+      setDisposition(DISCHARGE_DISPOSITION.HOME);
+      setDestination('');
+      setDiagnosis('');
+      setHospitalCourse('');
+      setInstructions('');
+      setFollowUpDate('');
+      setFollowUpDoctorId('');
     }
   }, [open]);
 
+  const isTransfer = disposition === DISCHARGE_DISPOSITION.TRANSFER;
+  const canFollowUp = disposition !== DISCHARGE_DISPOSITION.DECEASED;
+  const canSubmit = bed?.status === 'occupied' &&
+    diagnosis.trim() &&
+    (!isTransfer || destination.trim());
+
   const handleDischarge = (e) => {
     e.preventDefault();
+    if (!canSubmit) return;
     
     const dischargePayload = {
       bed_id: bed.id,
+      patient_id: (bed.current_patient || bed.patient)?.id || null,
       discharged_at: new Date().toISOString(),
       notes: dischargeNotes?.trim() || null,
+      disposition,
+      destination: isTransfer ? destination.trim() : null,
+      summary: {
+        diagnosis: diagnosis.trim(),
+        hospital_course: hospitalCourse.trim() || null,
+        instructions: instructions.trim() || null,
+      },
+      follow_up: canFollowUp && followUpDate ? {
+        date: new Date(followUpDate).toISOString(),
+        doctor_id: canBookFollowUp ? followUpDoctorId || null : null,
+        instructions: instructions.trim() || null,
+      } : null,
     };
 
     onSuccess?.(dischargePayload);
@@ -77,7 +130,7 @@ const DischargeBedDialog = ({
         <DialogHeader>
           <DialogTitle>Discharge Patient from Bed</DialogTitle>
           <DialogDescription>
-            Confirm discharge and add optional notes. The bed will be marked as available.
+            Record where the patient is going and the discharge summary. The bed will be sent for cleaning.
           </DialogDescription>
         </DialogHeader>
 
@@ -116,11 +169,144 @@ const DischargeBedDialog = ({
         </div>
 
         <form className="space-y-6" onSubmit={handleDischarge}>
+          {/* Disposition */}
+          <div className="fieldRow">
+            <div className="space-y-2">
+              <Label required htmlFor="dischargeDisposition">
+                <LogOut className="inline w-4 h-4 mr-2" />
+                Disposition
+              </Label>
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting}
+                id="dischargeDisposition"
+                value={disposition}
+                onChange={(e) => setDisposition(e.target.value)}
+              >
+                {Object.values(DISCHARGE_DISPOSITION).map(value => (
+                  <option key={value} value={value}>
+                    {DISCHARGE_DISPOSITION_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {isTransfer && (
+              <div className="space-y-2">
+                <Label required htmlFor="dischargeDestination">
+                  <Building2 className="inline w-4 h-4 mr-2" />
+                  Destination Facility
+                </Label>
+                <Input
+                  disabled={isSubmitting}
+                  id="dischargeDestination"
+                  maxLength={200}
+                  placeholder="e.g., City Rehabilitation Center"
+                  value={destination}
+                  onChange={(e) => setDestination(e.target.value)}
+                />
+              </div>
+            )}
+          </div>
+
+          {disposition === DISCHARGE_DISPOSITION.AMA && (
+            <div className="flex items-center gap-2 text-warning text-sm">
+              <AlertCircle className="w-4 h-4" />
+              Document the risks explained to the patient in the hospital course.
+            </div>
+          )}
+
+          {/* Discharge Summary */}
+          <div className="space-y-2">
+            <Label required htmlFor="dischargeDiagnosis">
+              <Stethoscope className="inline w-4 h-4 mr-2" />
+              Discharge Diagnosis
+            </Label>
+            <Input
+              disabled={isSubmitting}
+              id="dischargeDiagnosis"
+              maxLength={300}
+              placeholder="e.g., Community-acquired pneumonia, resolved"
+              value={diagnosis}
+              onChange={(e) => setDiagnosis(e.target.value)}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="dischargeHospitalCourse">Hospital Course (Optional)</Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="dischargeHospitalCourse"
+              maxLength={2000}
+              placeholder="Key events, treatments and procedures during the stay..."
+              rows={3}
+              value={hospitalCourse}
+              onChange={(e) => setHospitalCourse(e.target.value)}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="dischargeInstructions">Discharge Instructions (Optional)</Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="dischargeInstructions"
+              maxLength={1000}
+              placeholder="Medications, activity, diet, warning signs..."
+              rows={3}
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+            />
+          </div>
+
+          {/* Follow-up */}
+          {canFollowUp && (
+            <div className="fieldRow">
+              <div className="space-y-2">
+                <Label htmlFor="followUpDate">
+                  <CalendarPlus className="inline w-4 h-4 mr-2" />
+                  Follow-up (Optional)
+                </Label>
+                <Input
+                  disabled={isSubmitting}
+                  id="followUpDate"
+                  min={new Date().toISOString().slice(0, 16)}
+                  type="datetime-local"
+                  value={followUpDate}
+                  onChange={(e) => setFollowUpDate(e.target.value)}
+                />
+              </div>
+              {canBookFollowUp ? (
+                <div className="space-y-2">
+                  <Label htmlFor="followUpDoctor">With Doctor</Label>
+                  <select
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                    disabled={isSubmitting || !followUpDate}
+                    id="followUpDoctor"
+                    value={followUpDoctorId}
+                    onChange={(e) => setFollowUpDoctorId(e.target.value)}
+                  >
+                    <option value="">No appointment (instructions only)</option>
+                    {doctors.map(doctor => (
+                      <option key={doctor.id} value={doctor.id}>
+                        Dr. {doctor.full_name || doctor.fullName}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <p className="text-xs text-muted-foreground">
+                  Only doctors and reception book appointments. The follow-up date is
+                  kept with the discharge instructions.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Discharge Notes */}
           <div className="space-y-2">
             <Label htmlFor="dischargeNotes">
               <NotepadText className="inline w-4 h-4 mr-2" />
-              Discharge Notes (Optional)
+              Internal Notes (Optional)
             </Label>
             <Textarea
               disabled={isSubmitting}
@@ -146,7 +332,7 @@ const DischargeBedDialog = ({
               Cancel
             </Button>
             <Button
-              disabled={isSubmitting || bed.status !== 'occupied'}
+              disabled={isSubmitting || !canSubmit}
               type="submit"
               variant="destructive"
             >
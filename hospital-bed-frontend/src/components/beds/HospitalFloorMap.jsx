@@ -8,7 +8,7 @@
  * Features:
  * - Grid-based layout grouped by department/room
  * - Real-time bed status visualization using BedCard
- * - Department headers with occupancy summary
+ * - Department headers with occupancy and reserved-bed summary
  * - Responsive grid (adapts to screen size)
  * - Loading, empty, and error states
  * - Clickable beds (opens AssignBedDialog or detail view)
@@ -74,7 +74,8 @@ const HospitalFloorMap = ({
   const getOccupancy = (deptBeds) => {
     const total = deptBeds.length;
     const occupied = deptBeds.filter(b => b.status === 'occupied').length;
-    return { total, occupied, percentage: total > 0 ? Math.round((occupied / total) * 100) : 0 };
+    const reserved = deptBeds.filter(b => b.status === 'reserved').length;
+    return { total, occupied, reserved, percentage: total > 0 ? Math.round((occupied / total) * 100) : 0 };
   };
 
   if (isLoading) {
@@ -137,7 +138,7 @@ const HospitalFloorMap = ({
       <div className="departments-grid">
         {groupedBeds.map((dept) => {
           const allDeptBeds = Object.values(dept.rooms).flat();
-          const { total, occupied, percentage } = getOccupancy(allDeptBeds);
+          const { total, occupied, reserved, percentage } = getOccupancy(allDeptBeds);
 
           return (
             <Card className="department-card" key={dept.id}>
@@ -147,6 +148,11 @@ const HospitalFloorMap = ({
                   <span className="occupancy-text">
                     {occupied} / {total} Occupied
                   </span>
+                  {reserved > 0 && (
+                    <span className="reserved-text">
+                      {reserved} Reserved
+                    </span>
+                  )}
                   <span className="occupancy-percentage">
                     {percentage}%
                   </span>
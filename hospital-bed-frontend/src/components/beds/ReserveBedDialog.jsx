@@ -0,0 +1,275 @@
+// src/components/beds/ReserveBedDialog.jsx
+/**
+ * ReserveBedDialog Component
+ *
+ * Dialog for holding an available bed for an incoming admission
+ * (patient on the way from the ER, OR, or another facility).
+ * Used in BedManagementPage.
+ *
+ * Features:
+ * - Hold for a registered patient or a named pending admission
+ * - Admission source and hold length (hold releases itself on expiry)
+ * - Optional notes
+ * - Validation and submission states
+ * - Unified with global components (Dialog, Input, Label, Textarea, Button, Badge)
+ */
+
+import React from 'react';
+import { addHours, format } from 'date-fns';
+import { BedDouble, User, CalendarClock, NotepadText, Ambulance } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
+import {
+  BED_RESERVATION_HOLD_HOURS,
+  BED_RESERVATION_DEFAULT_HOURS
+} from '@lib/constants';
+import './ReserveBedDialog.scss';
+
+/**
+ * Where the incoming patient is coming from
+ */
+const ADMISSION_SOURCES = [
+  { value: 'emergency', label: 'Emergency Department' },
+  { value: 'operating_room', label: 'Operating Room / Recovery' },
+  { value: 'external_transfer', label: 'Transfer from another facility' },
+  { value: 'elective', label: 'Elective admission' },
+];
+
+/**
+ * Props:
+ * - bed: The selected bed object (must include id, bed_number, room_number, status, department)
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - onSuccess: ({ bed_id, patient_id, patient_name, source, expires_at, notes }) => void
+ * - patients: Array of patients (registered patients not yet in a bed)
+ * - isSubmitting: boolean
+ */
+const ReserveBedDialog = ({
+  bed,
+  open = false,
+  onOpenChange,
+  onSuccess,
+  patients = [],
+  isSubmitting = false,
+}) => {
+  const [holdFor, setHoldFor] = React.useState('patient');
+  const [patientId, setPatientId] = React.useState('');
+  const [patientName, setPatientName] = React.useState('');
+  const [source, setSource] = React.useState(ADMISSION_SOURCES[0].value);
+  const [holdHours, setHoldHours] = React.useState(BED_RESERVATION_DEFAULT_HOURS);
+  const [notes, setNotes] = React.useState('');
+
+  // Reset form when dialog closes
+  React.useEffect(() => {
+    if (!open) {
+      setHoldFor('patient');
+      setPatientId('');
+      setPatientName('');
+      setSource(ADMISSION_SOURCES[0].value);
+      setHoldHours(BED_RESERVATION_DEFAULT_HOURS);
+      setNotes('');
+    }
+  }, [open]);
+
+  // Patients already in a bed cannot be held another one
+  const eligiblePatients = React.useMemo(
+    () => patients
+      .filter(patient => !patient.currentBedId && patient.status !== 'discharged')
+      .sort((a, b) => (a.fullName || a.full_name || '').localeCompare(b.fullName || b.full_name || '')),
+    [patients]
+  );
+
+  const canSubmit = holdFor === 'patient' ? !!patientId : !!patientName.trim();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    onSuccess?.({
+      bed_id: bed.id,
+      patient_id: holdFor === 'patient' ? patientId : null,
+      patient_name: holdFor === 'pending' ? patientName.trim() : null,
+      source,
+      expires_at: addHours(new Date(), Number(holdHours)).toISOString(),
+      notes: notes.trim() || null,
+    });
+  };
+
+  if (!bed) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="reserveBedDialog max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Reserve Bed</DialogTitle>
+          <DialogDescription>
+            Hold this bed for an incoming admission. The hold is released automatically when it expires.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Bed Information Summary */}
+        <div className="bedSummary space-y-4 p-4 rounded-lg bg-muted/30">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <BedDouble className="w-8 h-8 text-primary" />
+              <div>
+                <p className="font-semibold text-lg">{bed.bed_number}</p>
+                <p className="text-sm text-muted-foreground">
+                  Room {bed.room_number} • {bed.department?.name || 'Unknown Department'}
+                </p>
+              </div>
+            </div>
+            <BedStatusBadge status={bed.status} />
+          </div>
+        </div>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {/* Hold For */}
+          <div className="space-y-2">
+            <Label required htmlFor="holdFor">
+              <User className="inline w-4 h-4 mr-2" />
+              Reserve For
+            </Label>
+            <div className="holdForToggle">
+              <Button
+                disabled={isSubmitting}
+                size="sm"
+                type="button"
+                variant={holdFor === 'patient' ? 'default' : 'outline'}
+                onClick={() => setHoldFor('patient')}
+              >
+                Registered patient
+              </Button>
+              <Button
+                disabled={isSubmitting}
+                size="sm"
+                type="button"
+                variant={holdFor === 'pending' ? 'default' : 'outline'}
+                onClick={() => setHoldFor('pending')}
+              >
+                Pending admission
+              </Button>
+            </div>
+
+            {holdFor === 'patient' ? (
+              <select
+                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                disabled={isSubmitting}
+                id="holdFor"
+                value={patientId}
+                onChange={(e) => setPatientId(e.target.value)}
+              >
+                <option value="">Select a patient...</option>
+                {eligiblePatients.map(patient => (
+                  <option key={patient.id} value={patient.id}>
+                    {patient.fullName || patient.full_name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <Input
+                disabled={isSubmitting}
+                id="holdFor"
+                maxLength={120}
+                placeholder="e.g., ER trauma patient - John Doe"
+                value={patientName}
+                onChange={(e) => setPatientName(e.target.value)}
+              />
+            )}
+          </div>
+
+          {/* Admission Source */}
+          <div className="space-y-2">
+            <Label htmlFor="admissionSource">
+              <Ambulance className="inline w-4 h-4 mr-2" />
+              Coming From
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              disabled={isSubmitting}
+              id="admissionSource"
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+            >
+              {ADMISSION_SOURCES.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Hold Length */}
+          <div className="space-y-2">
+            <Label required htmlFor="holdHours">
+              <CalendarClock className="inline w-4 h-4 mr-2" />
+              Hold For
+            </Label>
+            <select
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              disabled={isSubmitting}
+              id="holdHours"
+              value={holdHours}
+              onChange={(e) => setHoldHours(Number(e.target.value))}
+            >
+              {BED_RESERVATION_HOLD_HOURS.map(hours => (
+                <option key={hours} value={hours}>
+                  {hours} {hours === 1 ? 'hour' : 'hours'}
+                </option>
+              ))}
+            </select>
+            <p className="text-sm text-muted-foreground">
+              Expires at {format(addHours(new Date(), Number(holdHours)), 'MMM dd, HH:mm')}
+            </p>
+          </div>
+
+          {/* Notes */}
+          <div className="space-y-2">
+            <Label htmlFor="reservationNotes">
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              Notes (Optional)
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="reservationNotes"
+              maxLength={300}
+              placeholder="e.g., Post-op, needs cardiac monitoring..."
+              rows={3}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+            >
+              Reserve Bed
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReserveBedDialog;
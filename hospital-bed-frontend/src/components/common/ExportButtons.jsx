@@ -0,0 +1,81 @@
+// src/components/common/ExportButtons.jsx
+/**
+ * ExportButtons Component
+ *
+ * CSV and PDF download buttons for report pages and data tables.
+ * The page builds the report (title, active filters, KPIs, tables) at click time,
+ * so exports always match what is on screen. See lib/reportExport for the report shape.
+ *
+ * Features:
+ * - CSV and branded PDF export
+ * - Loading state while the PDF is generated
+ * - Success/error toasts
+ * - Hidden when printing
+ * - Unified with global Button component
+ */
+
+import { useState } from 'react';
+import { FileSpreadsheet, FileText } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Button from '@components/ui/button.jsx';
+import { exportReportCsv, exportReportPdf } from '@lib/reportExport';
+
+/**
+ * Props:
+ * - getReport: () => report - builds the report from the current page state
+ * - disabled: boolean - e.g. while data is loading
+ * - size: 'sm' | 'md' | 'lg' (default: 'md')
+ * - className: string
+ */
+const ExportButtons = ({
+  getReport,
+  disabled = false,
+  size = 'md',
+  className = '',
+}) => {
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+
+  const handleCsv = () => {
+    try {
+      exportReportCsv(getReport());
+      toast.success('CSV exported');
+    } catch (error) {
+      console.error('CSV export error:', error);
+      toast.error('Failed to export CSV');
+    }
+  };
+
+  const handlePdf = async () => {
+    setIsExportingPdf(true);
+    try {
+      await exportReportPdf(getReport());
+      toast.success('PDF exported');
+    } catch (error) {
+      console.error('PDF export error:', error);
+      toast.error('Failed to export PDF');
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
+
+  return (
+    <div className={`no-print flex flex-wrap gap-2 ${className}`}>
+      <Button disabled={disabled} size={size} variant="outline" onClick={handleCsv}>
+        <FileSpreadsheet className="mr-2" size={16} />
+        Export CSV
+      </Button>
+      <Button
+        disabled={disabled}
+        isLoading={isExportingPdf}
+        size={size}
+        variant="outline"
+        onClick={handlePdf}
+      >
+        <FileText className="mr-2" size={16} />
+        Export PDF
+      </Button>
+    </div>
+  );
+};
+
+export default ExportButtons;
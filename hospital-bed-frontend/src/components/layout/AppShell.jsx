@@ -47,7 +47,7 @@ const AppShell = ({
   };
 
   return (
-    <div className="flex h-screen overflow-hidden bg-gray-50">
+    <div className="flex h-screen overflow-hidden bg-gray-50 print:h-auto print:overflow-visible">
       {/* Sidebar - fixed position */}
       <Sidebar 
         isOpen={sidebarOpen} 
@@ -56,7 +56,7 @@ const AppShell = ({
 
       {/* Main layout container */}
       <div 
-        className={`flex-1 flex flex-col transition-all duration-300 ${
+        className={`flex-1 flex flex-col transition-all duration-300 print:ml-0 ${
           sidebarOpen ? 'ml-[280px]' : 'ml-20'
         }`}
       >
@@ -67,7 +67,7 @@ const AppShell = ({
         />
 
         {/* Main content area */}
-        <main className="flex-1 overflow-y-auto p-6" role="main">
+        <main className="flex-1 overflow-y-auto p-6 print:overflow-visible print:p-0" role="main">
           <div className="max-w-[1920px] mx-auto">
             {children}
           </div>
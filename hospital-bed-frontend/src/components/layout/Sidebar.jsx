@@ -23,6 +23,8 @@ import {
   BedDouble,     // Beds
   Users,         // Patients
   Calendar,      // Appointments
+  Pill,          // Pharmacy
+  ScanBarcode,   // Prescriptions
   FileText,      // Reports
   Settings,      // Settings/Profile
   LogOut,        // Logout
@@ -62,6 +64,18 @@ const navigationConfig = [
     icon: Calendar,
     roles: ['admin', 'doctor', 'nurse', 'reception'],
   },
+  {
+    path: '/prescriptions',
+    label: 'Prescriptions',
+    icon: ScanBarcode,
+    roles: ['admin', 'doctor', 'nurse'],
+  },
+  {
+    path: '/pharmacy',
+    label: 'Pharmacy Stock',
+    icon: Pill,
+    roles: ['admin', 'doctor', 'nurse'],
+  },
   {
     path: '/reports',
     label: 'Reports',
@@ -91,7 +105,7 @@ const Sidebar = ({ isOpen, onToggle }) => {
   return (
     <aside 
       aria-label="Main navigation"
-      className={`fixed top-0 left-0 h-screen bg-white/90 backdrop-blur-md text-gray-900 flex flex-col transition-all duration-300 z-50 shadow-glass-lg ${
+      className={`no-print fixed top-0 left-0 h-screen bg-white/90 backdrop-blur-md text-gray-900 flex flex-col transition-all duration-300 z-50 shadow-glass-lg ${
         isOpen ? 'w-[280px]' : 'w-20'
       }`}
     >
@@ -48,7 +48,7 @@ const Topbar = ({ sidebarOpen, onSidebarToggle }) => {
   if (!user) return null;
 
   return (
-    <header className="sticky top-0 z-40 bg-white/90 backdrop-blur-md border-b border-gray-200 shadow-sm" role="banner">
+    <header className="no-print sticky top-0 z-40 bg-white/90 backdrop-blur-md border-b border-gray-200 shadow-sm" role="banner">
       <div className="flex items-center justify-between h-16 px-6">
         {/* Left: Sidebar toggle (mobile + desktop) */}
         <div className="flex items-center gap-2">
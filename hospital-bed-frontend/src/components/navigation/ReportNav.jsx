@@ -0,0 +1,42 @@
+// src/components/navigation/ReportNav.jsx
+/**
+ * ReportNav Component
+ *
+ * Tab-style links between the admin report pages.
+ * Shown at the top of every page under /reports.
+ *
+ * Features:
+ * - One link per report with icon
+ * - Active state highlighting via NavLink
+ * - Hidden when printing
+ * - Accessible (nav landmark, aria-current on the active report)
+ */
+
+import { NavLink } from 'react-router-dom';
+import { Activity, Building2, Pill, Timer, UserX } from 'lucide-react';
+import './ReportNav.scss';
+
+const reportLinks = [
+  { path: '/reports/occupancy', label: 'Occupancy', icon: Activity },
+  { path: '/reports/department-load', label: 'Department Load', icon: Building2 },
+  { path: '/reports/medications', label: 'Medication Usage', icon: Pill },
+  { path: '/reports/wait-times', label: 'Wait Times', icon: Timer },
+  { path: '/reports/no-shows', label: 'No-Shows', icon: UserX },
+];
+
+const ReportNav = () => (
+  <nav aria-label="Reports" className="reportNav no-print">
+    {reportLinks.map(({ path, label, icon: Icon }) => (
+      <NavLink
+        className={({ isActive }) => `reportLink ${isActive ? 'active' : ''}`}
+        key={path}
+        to={path}
+      >
+        <Icon size={16} />
+        {label}
+      </NavLink>
+    ))}
+  </nav>
+);
+
+export default ReportNav;
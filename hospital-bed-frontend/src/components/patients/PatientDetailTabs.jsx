@@ -10,6 +10,7 @@
  * - Bed History: Timeline of bed assignments/discharges
  * - Appointments: Upcoming and past appointments
  * - Prescriptions: Active and historical prescriptions
+ * - MAR: Scheduled doses and their administration record
  * - Timeline: Full activity log (future extension)
  * 
  * Features:
@@ -31,6 +32,7 @@ import PatientSummaryCard from '@components/patients/PatientSummaryCard.jsx';
 import PatientTimeline from '@components/patients/PatientTimeline.jsx';
 import AppointmentList from '@components/appointments/AppointmentList.jsx';
 import PrescriptionList from '@components/prescriptions/PrescriptionList.jsx';
+import MedicationAdministrationGrid from '@components/prescriptions/MedicationAdministrationGrid.jsx';
 import './PatientDetailTabs.scss';
 
 /**
@@ -39,12 +41,16 @@ import './PatientDetailTabs.scss';
  * - isLoading: boolean - overall loading state
  * - activeTab: string - controlled tab value
  * - onTabChange: (value: string) => void
+ * - user: current user - recorded on administered doses
+ * - canRecordDoses: boolean - whether the user may record doses on the MAR
  */
 const PatientDetailTabs = ({
   patient,
   isLoading = false,
   activeTab = 'overview',
   onTabChange,
+  user = null,
+  canRecordDoses = false,
 }) => {
   if (isLoading) {
     return <LoadingState count={1} type="full" />;
@@ -67,6 +73,7 @@ const PatientDetailTabs = ({
         <TabsTrigger value="bed-history">Bed History</TabsTrigger>
         <TabsTrigger value="appointments">Appointments</TabsTrigger>
         <TabsTrigger value="prescriptions">Prescriptions</TabsTrigger>
+        <TabsTrigger value="mar">MAR</TabsTrigger>
         <TabsTrigger value="timeline">Timeline</TabsTrigger>
       </TabsList>
 
@@ -126,6 +133,16 @@ const PatientDetailTabs = ({
         </Card>
       </TabsContent>
 
+      <TabsContent className="tab-content" value="mar">
+        <Card className="mar-card">
+          <MedicationAdministrationGrid
+            canRecord={canRecordDoses}
+            patientId={patient.id}
+            user={user}
+          />
+        </Card>
+      </TabsContent>
+
       <TabsContent className="tab-content" value="timeline">
         <Card className="timeline-card">
           <PatientTimeline patientId={patient.id} />
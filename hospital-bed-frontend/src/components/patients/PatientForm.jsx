@@ -11,6 +11,8 @@
  * - Patient information fields (name, DOB, gender, contact, etc.)
  * - Emergency contact information
  * - Blood group selection
+ * - Bed requirements (isolation, oxygen, cardiac monitor, bariatric) enforced on bed assignment
+ * - Allergy records (substance, reaction, severity) checked when prescribing
  * - Loading/submission states
  * - Accessible form controls
  * - Unified UI with global components (Input, Select, Button, Dialog, etc.)
@@ -18,7 +20,7 @@
  * Integrates with Firebase patientFirebase service for API calls
  */
 
-import { useForm } from 'react-hook-form';
+import { useForm, useFieldArray } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
 import Button from '@components/ui/button.jsx';
@@ -26,10 +28,18 @@ import Input from '@components/ui/input.jsx';
 import Select from '@components/ui/select.jsx';
 import Textarea from '@components/ui/textarea.jsx';
 import Label from '@components/ui/label.jsx';
+import Checkbox from '@components/ui/checkbox.jsx';
 import DialogHeader from '@components/ui/dialog-header.jsx';
 import DialogTitle from '@components/ui/dialog-title.jsx';
 import DialogDescription from '@components/ui/dialog-description.jsx';
-import { User, Phone, MapPin, Droplet } from 'lucide-react';
+import { User, Phone, MapPin, Droplet, ShieldAlert, AlertTriangle, Plus, X } from 'lucide-react';
+import {
+  ISOLATION_TYPES,
+  ISOLATION_TYPE_LABELS,
+  ALLERGY_SEVERITY,
+  ALLERGY_SEVERITY_LABELS
+} from '@lib/constants';
+import { normalizeAllergies } from '@services/firebase/prescriptionSafety';
 import './PatientForm.scss';
 
 // Validation schema using Zod - strict and healthcare-appropriate
@@ -45,8 +55,25 @@ const patientSchema = z.object({
   department: z.string().min(1, 'Department is required'),
   admissionDate: z.string().optional(),
   status: z.string().optional(),
+  isolation: z.enum(Object.values(ISOLATION_TYPES)).optional(),
+  requiresOxygen: z.boolean().optional(),
+  requiresMonitor: z.boolean().optional(),
+  bariatric: z.boolean().optional(),
+  allergies: z.array(z.object({
+    substance: z.string().trim().min(2, 'Allergen must be at least 2 characters').max(100),
+    reaction: z.string().max(200).optional(),
+    severity: z.enum(Object.values(ALLERGY_SEVERITY)),
+  })).optional(),
 });
 
+// Form rows for the allergies field array (legacy records are plain strings)
+const toAllergyRows = (allergies) =>
+  normalizeAllergies(allergies).map(allergy => ({
+    substance: allergy.substance,
+    reaction: allergy.reaction || '',
+    severity: allergy.severity || ALLERGY_SEVERITY.MODERATE,
+  }));
+
 const PatientForm = ({
   initialData = null, // null for create, object for edit
   onSuccess, // callback after successful submission
@@ -58,6 +85,9 @@ const PatientForm = ({
   const {
     register,
     handleSubmit,
+    watch,
+    setValue,
+    control,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(patientSchema),
@@ -74,6 +104,11 @@ const PatientForm = ({
           department: initialData.department || initialData.department_id || '',
           admissionDate: initialData.admissionDate || initialData.admission_date || new Date().toISOString().split('T')[0],
           status: initialData.status || 'admitted',
+          isolation: initialData.isolation || ISOLATION_TYPES.NONE,
+          requiresOxygen: !!(initialData.requiresOxygen ?? initialData.requires_oxygen),
+          requiresMonitor: !!(initialData.requiresMonitor ?? initialData.requires_monitor),
+          bariatric: !!initialData.bariatric,
+          allergies: toAllergyRows(initialData.allergies),
         }
       : {
           fullName: '',
@@ -87,9 +122,20 @@ const PatientForm = ({
           department: '',
           admissionDate: new Date().toISOString().split('T')[0],
           status: 'admitted',
+          isolation: ISOLATION_TYPES.NONE,
+          requiresOxygen: false,
+          requiresMonitor: false,
+          bariatric: false,
+          allergies: [],
         },
   });
 
+  const {
+    fields: allergyFields,
+    append: appendAllergy,
+    remove: removeAllergy,
+  } = useFieldArray({ control, name: 'allergies' });
+
   const onSubmit = (data) => {
     // Transform data for backend
     const payload = {
@@ -106,6 +152,11 @@ const PatientForm = ({
       department: data.department,
       admissionDate: data.admissionDate,
       status: data.status || 'admitted',
+      isolation: data.isolation || ISOLATION_TYPES.NONE,
+      requiresOxygen: !!data.requiresOxygen,
+      requiresMonitor: !!data.requiresMonitor,
+      bariatric: !!data.bariatric,
+      allergies: normalizeAllergies(data.allergies),
     };
 
     // Call onSuccess with transformed data
@@ -266,6 +317,147 @@ const PatientForm = ({
           </div>
         </div>
 
+        {/* Bed Requirements Section */}
+        <div className="border-t pt-4">
+          <h3 className="text-sm font-semibold mb-4">Bed Requirements</h3>
+
+          <div className="grid gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="isolation">
+                <ShieldAlert className="inline w-4 h-4 mr-2" />
+                Isolation
+              </Label>
+              <Select
+                id="isolation"
+                {...register('isolation')}
+                disabled={isLoading}
+              >
+                {Object.values(ISOLATION_TYPES).map(value => (
+                  <option key={value} value={value}>
+                    {ISOLATION_TYPE_LABELS[value]}
+                  </option>
+                ))}
+              </Select>
+            </div>
+
+            <div className="requirementChecks">
+              <Checkbox
+                checked={watch('requiresOxygen')}
+                disabled={isLoading}
+                id="requiresOxygen"
+                onCheckedChange={(checked) => setValue('requiresOxygen', checked)}
+              >
+                Requires oxygen
+              </Checkbox>
+              <Checkbox
+                checked={watch('requiresMonitor')}
+                disabled={isLoading}
+                id="requiresMonitor"
+                onCheckedChange={(checked) => setValue('requiresMonitor', checked)}
+              >
+                Requires cardiac monitor
+              </Checkbox>
+              <Checkbox
+                checked={watch('bariatric')}
+                disabled={isLoading}
+                id="bariatric"
+                onCheckedChange={(checked) => setValue('bariatric', checked)}
+              >
+                Bariatric bed
+              </Checkbox>
+            </div>
+          </div>
+        </div>
+
+        {/* Allergies Section */}
+        <div className="border-t pt-4">
+          <h3 className="text-sm font-semibold mb-4">
+            <AlertTriangle className="inline w-4 h-4 mr-2" />
+            Allergies
+          </h3>
+
+          <div className="grid gap-4">
+            {allergyFields.length === 0 && (
+              <p className="text-sm text-muted-foreground">No known allergies recorded.</p>
+            )}
+
+            {allergyFields.map((field, index) => (
+              <div className="allergyRow" key={field.id}>
+                <div className="space-y-2">
+                  <Label required htmlFor={`allergies.${index}.substance`}>
+                    Allergen
+                  </Label>
+                  <Input
+                    id={`allergies.${index}.substance`}
+                    {...register(`allergies.${index}.substance`)}
+                    disabled={isLoading}
+                    placeholder="e.g., Penicillin, NSAIDs, latex"
+                  />
+                  {errors.allergies?.[index]?.substance && (
+                    <p className="text-sm text-destructive">
+                      {errors.allergies[index].substance.message}
+                    </p>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor={`allergies.${index}.reaction`}>
+                    Reaction
+                  </Label>
+                  <Input
+                    id={`allergies.${index}.reaction`}
+                    {...register(`allergies.${index}.reaction`)}
+                    disabled={isLoading}
+                    placeholder="e.g., Rash, anaphylaxis"
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor={`allergies.${index}.severity`}>
+                    Severity
+                  </Label>
+                  <Select
+                    id={`allergies.${index}.severity`}
+                    {...register(`allergies.${index}.severity`)}
+                    disabled={isLoading}
+                  >
+                    {Object.values(ALLERGY_SEVERITY).map(value => (
+                      <option key={value} value={value}>
+                        {ALLERGY_SEVERITY_LABELS[value]}
+                      </option>
+                    ))}
+                  </Select>
+                </div>
+
+                <Button
+                  aria-label="Remove allergy"
+                  className="allergyRemove"
+                  disabled={isLoading}
+                  size="icon"
+                  type="button"
+                  variant="ghost"
+                  onClick={() => removeAllergy(index)}
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+
+            <div>
+              <Button
+                disabled={isLoading}
+                size="sm"
+                type="button"
+                variant="outline"
+                onClick={() => appendAllergy({ substance: '', reaction: '', severity: ALLERGY_SEVERITY.MODERATE })}
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add allergy
+              </Button>
+            </div>
+          </div>
+        </div>
+
         {/* Emergency Contact Section */}
         <div className="border-t pt-4">
           <h3 className="text-sm font-semibold mb-4">Emergency Contact</h3>
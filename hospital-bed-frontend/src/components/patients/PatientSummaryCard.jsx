@@ -10,6 +10,7 @@
  * - Primary demographics (name, DOB, age, gender, blood group)
  * - Current bed assignment with status badge
  * - Emergency contact info
+ * - No-show count from the appointment history
  * - Quick stats (appointments, prescriptions count)
  * - Responsive two-column layout
  * - Unified with global Avatar, Badge, Card components
@@ -23,12 +24,14 @@ import {
   Droplet, 
   Phone, 
   BedDouble,
-  AlertCircle 
+  AlertCircle,
+  UserX
 } from 'lucide-react';
 import Avatar, { AvatarFallback } from '@components/ui/avatar.jsx';
 import Badge from '@components/ui/badge.jsx';
 import Card from '@components/ui/card.jsx';
 import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
+import { countNoShows } from '@services/firebase/appointmentNoShows';
 import './PatientSummaryCard.scss';
 
 /**
@@ -49,6 +52,7 @@ const PatientSummaryCard = ({ patient }) => {
 
   const age = calculateAge(patient.date_of_birth);
   const currentBed = patient.current_bed; // From API: latest active bed_assignment
+  const noShowCount = countNoShows(patient.appointments);
 
   return (
     <Card className="patient-summary-card">
@@ -128,6 +132,21 @@ const PatientSummaryCard = ({ patient }) => {
                 </Badge>
               </dd>
             </div>
+
+            {patient.appointments && (
+              <div className="detail-item">
+                <dt className="detail-label">
+                  <UserX className="detail-icon" size={16} />
+                  No-Shows
+                </dt>
+                <dd className="detail-value">
+                  <Badge variant={noShowCount > 0 ? 'warning' : 'secondary'}>
+                    {noShowCount}
+                  </Badge>
+                  <span className="age"> of {patient.appointments.length} appointment(s)</span>
+                </dd>
+              </div>
+            )}
           </dl>
         </div>
 
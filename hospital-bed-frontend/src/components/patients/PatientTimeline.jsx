@@ -3,7 +3,7 @@
  * PatientTimeline Component
  * 
  * Production-ready vertical timeline displaying a patient's complete activity history.
- * Combines bed assignments, appointments, prescriptions, and system events.
+ * Combines bed assignments, transfers, appointments, prescriptions, and system events.
  * 
  * Features:
  * - Chronological reverse order (newest first)
@@ -21,6 +21,7 @@
 import { format, formatDistanceToNow } from 'date-fns';
 import { 
   BedDouble,
+  ArrowRightLeft,
   Calendar,
   FileText,
   UserPlus,
@@ -53,6 +54,11 @@ const PatientTimeline = ({
       variant: 'default', 
       label: 'Bed Assignment' 
     },
+    bed_transfer: { 
+      icon: ArrowRightLeft, 
+      variant: 'info', 
+      label: 'Bed Transfer' 
+    },
     bed_discharge: { 
       icon: UserX, 
       variant: 'secondary', 
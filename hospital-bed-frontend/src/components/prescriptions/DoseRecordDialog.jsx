@@ -0,0 +1,222 @@
+// src/components/prescriptions/DoseRecordDialog.jsx
+/**
+ * DoseRecordDialog Component
+ *
+ * Dialog for recording a dose on the medication administration record (MAR).
+ * Used in MedicationAdministrationGrid and NurseDashboard through useDoseRecording.
+ *
+ * Features:
+ * - Outcome: given, held, refused or missed (missed only once the dose is due;
+ *   as-needed doses are always given)
+ * - Time given (defaults to now, cannot be in the future)
+ * - Initials (defaults to the user's)
+ * - Reason, required to hold or refuse
+ * - Unified with global components (Dialog, Label, Input, Select, Textarea, Button)
+ */
+
+import React from 'react';
+import { format } from 'date-fns';
+import { Clock, NotepadText, Pill, Syringe, UserPen } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Label from '@components/ui/label.jsx';
+import Input from '@components/ui/input.jsx';
+import Select from '@components/ui/select.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import { formatDateTime } from '@lib/dateUtils';
+import {
+  MAR_DOSE_STATUS,
+  MAR_DOSE_STATUS_LABELS,
+  MAR_REASON_REQUIRED
+} from '@lib/constants';
+import './DoseRecordDialog.scss';
+
+const DATETIME_INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+/**
+ * Props:
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - prescription: { medication_name, dosage }
+ * - dose: { scheduled_at } - null for an as-needed dose
+ * - defaultInitials: string
+ * - isSubmitting: boolean
+ * - onSubmit: ({ status, administered_at, initials, reason }) => void
+ */
+const DoseRecordDialog = ({
+  open = false,
+  onOpenChange,
+  prescription,
+  dose = null,
+  defaultInitials = '',
+  isSubmitting = false,
+  onSubmit,
+}) => {
+  const [status, setStatus] = React.useState(MAR_DOSE_STATUS.GIVEN);
+  const [administeredAt, setAdministeredAt] = React.useState('');
+  const [initials, setInitials] = React.useState('');
+  const [reason, setReason] = React.useState('');
+
+  React.useEffect(() => {
+    if (open) {
+      setStatus(MAR_DOSE_STATUS.GIVEN);
+      setAdministeredAt(format(new Date(), DATETIME_INPUT_FORMAT));
+      setInitials(defaultInitials);
+      setReason('');
+    }
+  }, [open, defaultInitials]);
+
+  if (!prescription) return null;
+
+  const isDue = dose?.scheduled_at && new Date(dose.scheduled_at) <= new Date();
+  const outcomes = Object.values(MAR_DOSE_STATUS).filter(value =>
+    dose ? value !== MAR_DOSE_STATUS.MISSED || isDue : value === MAR_DOSE_STATUS.GIVEN);
+  const isMissed = status === MAR_DOSE_STATUS.MISSED;
+  const reasonRequired = MAR_REASON_REQUIRED.includes(status);
+  const initialsValid = /^[A-Za-z]{2,4}$/.test(initials.trim());
+  const timeValid = isMissed || (!!administeredAt && new Date(administeredAt) <= new Date());
+  const canSubmit = initialsValid && timeValid && (!reasonRequired || !!reason.trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    onSubmit?.({
+      status,
+      administered_at: isMissed ? null : new Date(administeredAt).toISOString(),
+      initials: initials.trim().toUpperCase(),
+      reason: reason.trim() || null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="doseRecordDialog max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            <Syringe className="inline w-5 h-5 mr-2" />
+            Record Dose
+          </DialogTitle>
+          <DialogDescription>
+            {dose
+              ? `Scheduled for ${formatDateTime(dose.scheduled_at)}`
+              : 'As-needed dose, recorded when given'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="doseSummary">
+          <Pill className="w-4 h-4" />
+          <span>{prescription.medication_name} {prescription.dosage}</span>
+        </div>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {/* Outcome */}
+          <div className="space-y-2">
+            <Label required htmlFor="doseStatus">Outcome</Label>
+            <Select
+              disabled={isSubmitting}
+              id="doseStatus"
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+            >
+              {outcomes.map(value => (
+                <option key={value} value={value}>
+                  {MAR_DOSE_STATUS_LABELS[value]}
+                </option>
+              ))}
+            </Select>
+          </div>
+
+          {/* Time & Initials */}
+          <div className="formRow">
+            {!isMissed && (
+              <div className="space-y-2">
+                <Label required htmlFor="administeredAt">
+                  <Clock className="inline w-4 h-4 mr-2" />
+                  Time
+                </Label>
+                <Input
+                  disabled={isSubmitting}
+                  id="administeredAt"
+                  max={format(new Date(), DATETIME_INPUT_FORMAT)}
+                  type="datetime-local"
+                  value={administeredAt}
+                  onChange={(e) => setAdministeredAt(e.target.value)}
+                />
+                {!timeValid && (
+                  <p className="text-sm text-destructive">Time cannot be in the future</p>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label required htmlFor="doseInitials">
+                <UserPen className="inline w-4 h-4 mr-2" />
+                Initials
+              </Label>
+              <Input
+                disabled={isSubmitting}
+                id="doseInitials"
+                maxLength={4}
+                placeholder="e.g., JD"
+                value={initials}
+                onChange={(e) => setInitials(e.target.value)}
+              />
+              {!initialsValid && (
+                <p className="text-sm text-destructive">Enter 2 to 4 letters</p>
+              )}
+            </div>
+          </div>
+
+          {/* Reason */}
+          <div className="space-y-2">
+            <Label htmlFor="doseReason" required={reasonRequired}>
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              {reasonRequired ? 'Reason' : 'Notes (Optional)'}
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="doseReason"
+              maxLength={300}
+              placeholder={reasonRequired
+                ? 'e.g., Nil by mouth for theatre, patient declined...'
+                : 'e.g., Given with food'}
+              rows={2}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+            {reasonRequired && !reason.trim() && (
+              <p className="text-sm text-destructive">
+                A reason is required when a dose is {status}
+              </p>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+            >
+              Record {MAR_DOSE_STATUS_LABELS[status]}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DoseRecordDialog;
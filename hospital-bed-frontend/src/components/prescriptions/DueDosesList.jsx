@@ -0,0 +1,104 @@
+// src/components/prescriptions/DueDosesList.jsx
+/**
+ * DueDosesList Component
+ *
+ * Ward medication round card for the nurse dashboard.
+ * Lists doses due in the next hour and overdue doses not yet recorded,
+ * overdue first, then prescriptions whose frequency could not be read.
+ *
+ * Features:
+ * - Due / Overdue / Unscheduled badges
+ * - Scheduled time, patient (linked to their record), bed and medication
+ * - Record action opening the dose dialog
+ * - Loading and empty states
+ * - Unified with global Card, Badge, Button, EmptyState components
+ */
+
+import { Link } from 'react-router-dom';
+import { Syringe } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Badge from '@components/ui/badge.jsx';
+import Button from '@components/ui/button.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import { formatTime } from '@lib/dateUtils';
+import { MAR_DOSE_STATE, MAR_DOSE_STATUS_LABELS } from '@lib/constants';
+import './DueDosesList.scss';
+
+/**
+ * Props:
+ * - doses: Array of due doses (already sorted, overdue first)
+ * - isLoading: boolean
+ * - canRecord: boolean - show the record action
+ * - onRecord: (dose) => void
+ * - limit: number - max rows shown (default: 10)
+ */
+const DueDosesList = ({
+  doses = [],
+  isLoading = false,
+  canRecord = false,
+  onRecord,
+  limit = 10,
+}) => {
+  const overdueCount = doses.filter(dose => dose.state === MAR_DOSE_STATE.OVERDUE).length;
+
+  return (
+    <Card className="dueDosesList">
+      <div className="dueDosesHeader">
+        <h2 className="sectionTitle">
+          <Syringe className="mr-2" />
+          Doses Due
+          {doses.length > 0 && (
+            <Badge className="dueCount" variant="secondary">{doses.length}</Badge>
+          )}
+          {overdueCount > 0 && (
+            <Badge variant="destructive">{overdueCount} overdue</Badge>
+          )}
+        </h2>
+      </div>
+
+      {isLoading ? (
+        <LoadingState count={3} type="table" />
+      ) : doses.length === 0 ? (
+        <EmptyState
+          description="No doses are due on your ward in the next hour"
+          title="All doses recorded"
+        />
+      ) : (
+        <ul className="doseRows">
+          {doses.slice(0, limit).map(dose => (
+            <li className={`doseRow ${dose.state}`} key={dose.id}>
+              <span className="doseTime">{dose.scheduled_at ? formatTime(dose.scheduled_at) : '—'}</span>
+
+              <div className="doseDetails">
+                <p className="medication">
+                  {dose.medication_name} <span className="dosage">{dose.dosage}</span>
+                  {dose.state === MAR_DOSE_STATE.UNSCHEDULED && dose.frequency && (
+                    <span className="dosage"> • {dose.frequency}</span>
+                  )}
+                </p>
+                <div className="doseMeta">
+                  <Badge variant={dose.state === MAR_DOSE_STATE.OVERDUE ? 'destructive' : 'warning'}>
+                    {MAR_DOSE_STATUS_LABELS[dose.state]}
+                  </Badge>
+                  <Link className="patientLink" to={`/patients/${dose.patient_id}`}>
+                    {dose.patient_name || 'Unknown patient'}
+                  </Link>
+                  {dose.bed_number && <span className="bedNumber">Bed {dose.bed_number}</span>}
+                </div>
+              </div>
+
+              {canRecord && (
+                <Button size="sm" onClick={() => onRecord?.(dose)}>
+                  Record
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default DueDosesList;
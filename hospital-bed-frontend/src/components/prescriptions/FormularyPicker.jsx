@@ -0,0 +1,184 @@
+// src/components/prescriptions/FormularyPicker.jsx
+/**
+ * FormularyPicker Component
+ *
+ * Searchable medication picker over the formulary.
+ * Used in PrescriptionForm (prescribing) and PharmacyStockPage (stock counts).
+ *
+ * Features:
+ * - Type-ahead search by generic or brand name (see searchFormulary)
+ * - Strengths, forms and the matched brand shown for each match
+ * - Optional stock badge per match (ward stock)
+ * - Keyboard navigation: arrows to move, Enter to pick, Escape to close
+ * - Selected medication shown with a "Change" action
+ * - Unified with global Input, Badge, Button components
+ */
+
+import { useId, useMemo, useState } from 'react';
+import { Pill, Search, X } from 'lucide-react';
+import Input from '@components/ui/input.jsx';
+import Badge from '@components/ui/badge.jsx';
+import Button from '@components/ui/button.jsx';
+import { formatStrength, getStockStatus, searchFormulary } from '@services/firebase/formulary';
+import { MEDICATION_FORM_LABELS, STOCK_STATUS, STOCK_STATUS_LABELS } from '@lib/constants';
+import './FormularyPicker.scss';
+
+const STOCK_VARIANTS = {
+  in_stock: 'success',
+  low: 'warning',
+  out: 'destructive',
+};
+
+/**
+ * Props:
+ * - items: Array of formulary items
+ * - value: selected formulary item or null
+ * - onSelect: (item | null) => void
+ * - stockByItem: Map of formulary_id → stock entry (optional, shows stock badges)
+ * - id: string - input id (for a Label)
+ * - disabled: boolean
+ * - placeholder: string
+ */
+const FormularyPicker = ({
+  items = [],
+  value = null,
+  onSelect,
+  stockByItem = null,
+  id,
+  disabled = false,
+  placeholder = 'Search by generic or brand name...',
+}) => {
+  const listId = useId();
+  const [term, setTerm] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const matches = useMemo(() => searchFormulary(items, term), [items, term]);
+
+  const pick = (item) => {
+    onSelect?.(item);
+    setTerm('');
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => Math.min(index + 1, matches.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && isOpen && matches[activeIndex]) {
+      e.preventDefault();
+      pick(matches[activeIndex].item);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const renderStock = (item) => {
+    if (!stockByItem) return null;
+    const stock = stockByItem.get(item.id);
+    if (!stock) return <Badge size="sm" variant="outline">Not stocked</Badge>;
+    const status = getStockStatus(stock);
+    return (
+      <Badge size="sm" variant={STOCK_VARIANTS[status]}>
+        {status === STOCK_STATUS.OUT ? STOCK_STATUS_LABELS.out : `${stock.quantity} in stock`}
+      </Badge>
+    );
+  };
+
+  if (value) {
+    return (
+      <div className="formularyPicker selected">
+        <Pill className="selectedIcon" size={18} />
+        <div className="selectedDetails">
+          <p className="genericName">{value.generic_name}</p>
+          {value.brand_names.length > 0 && (
+            <p className="brandNames">{value.brand_names.join(', ')}</p>
+          )}
+        </div>
+        {renderStock(value)}
+        <Button
+          disabled={disabled}
+          size="sm"
+          type="button"
+          variant="ghost"
+          onClick={() => onSelect?.(null)}
+        >
+          <X className="w-4 h-4 mr-1" />
+          Change
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="formularyPicker">
+      <Input
+        aria-activedescendant={isOpen && matches[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+        aria-autocomplete="list"
+        aria-controls={listId}
+        aria-expanded={isOpen}
+        autoComplete="off"
+        disabled={disabled}
+        id={id}
+        leftIcon={Search}
+        placeholder={placeholder}
+        role="combobox"
+        value={term}
+        onBlur={() => setIsOpen(false)}
+        onChange={(e) => {
+          setTerm(e.target.value);
+          setActiveIndex(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+      />
+
+      {isOpen && (
+        <ul className="matchList" id={listId} role="listbox">
+          {matches.length === 0 ? (
+            <li className="noMatches">
+              {items.length === 0 ? 'The formulary is empty' : `No formulary medication matches "${term}"`}
+            </li>
+          ) : (
+            matches.map(({ item, matched_brand }, index) => (
+              <li
+                aria-selected={index === activeIndex}
+                className={`matchItem ${index === activeIndex ? 'active' : ''}`}
+                id={`${listId}-${index}`}
+                key={item.id}
+                role="option"
+                // Picked on mousedown so the input's blur does not close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(item);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <div className="matchDetails">
+                  <p className="genericName">
+                    {item.generic_name}
+                    {matched_brand && <span className="matchedBrand"> ({matched_brand})</span>}
+                  </p>
+                  <p className="matchMeta">
+                    {[
+                      item.strengths.map(formatStrength).join(', '),
+                      item.forms.map(form => MEDICATION_FORM_LABELS[form] || form).join(', '),
+                    ].filter(Boolean).join(' • ')}
+                  </p>
+                </div>
+                {renderStock(item)}
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FormularyPicker;
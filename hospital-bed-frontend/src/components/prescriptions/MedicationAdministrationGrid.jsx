@@ -0,0 +1,224 @@
+// src/components/prescriptions/MedicationAdministrationGrid.jsx
+/**
+ * MedicationAdministrationGrid Component
+ *
+ * Medication administration record (MAR) for one patient: a row per
+ * prescription, a column per day, every scheduled dose with its outcome.
+ * Used in PatientDetailTabs and PatientDetailPage (MAR tab).
+ *
+ * Features:
+ * - Three-day window around a day that can be moved back and forward
+ * - Doses colored by state: given, held, refused, missed, due, overdue, scheduled
+ * - Recorded time and initials on every recorded dose
+ * - Nurses record a dose by clicking it once it is due (DoseRecordDialog);
+ *   as-needed prescriptions get a "Give dose" button instead
+ * - Prescriptions whose frequency could not be read are marked unscheduled
+ *   and can still be given
+ * - Loading and empty states
+ * - Unified with global Card, Button, Badge components
+ */
+
+import { useMemo, useState } from 'react';
+import { addDays, format, isSameDay, startOfDay } from 'date-fns';
+import { ChevronLeft, ChevronRight, Plus } from 'lucide-react';
+import Button from '@components/ui/button.jsx';
+import Badge from '@components/ui/badge.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import DoseRecordDialog from '@components/prescriptions/DoseRecordDialog.jsx';
+import { usePatientMar, useDoseRecording } from '@hooks/useMedicationAdministration';
+import { canRecordDose } from '@services/firebase/medicationSchedule';
+import { formatTime } from '@lib/dateUtils';
+import {
+  MAR_DOSE_STATE,
+  MAR_DOSE_STATUS_LABELS,
+  PRESCRIPTION_DISPENSABLE_STATUSES,
+  PRESCRIPTION_STATUS
+} from '@lib/constants';
+import './MedicationAdministrationGrid.scss';
+
+// Days shown: the day before the selected one, the day itself and the day after
+const DAYS_SHOWN = 3;
+
+// Prescriptions that can still be given (as-needed doses)
+const ADMINISTRABLE_STATUSES = [...PRESCRIPTION_DISPENSABLE_STATUSES, PRESCRIPTION_STATUS.DISPENSED];
+
+/**
+ * Tooltip for a dose chip
+ * @param {Object} dose - MAR dose
+ * @returns {string}
+ */
+const describeDose = (dose) => {
+  const { administration } = dose;
+  const parts = [MAR_DOSE_STATUS_LABELS[dose.state]];
+  if (dose.scheduled_at) parts.push(`due ${formatTime(dose.scheduled_at)}`);
+  if (administration?.administered_at) parts.push(`at ${formatTime(administration.administered_at)}`);
+  if (administration?.initials) parts.push(`by ${administration.initials}`);
+  if (administration?.reason) parts.push(administration.reason);
+  return parts.join(' • ');
+};
+
+/**
+ * Props:
+ * - patientId: string
+ * - user: current user ({ id, full_name }) - recorded on doses
+ * - canRecord: boolean - whether the user may record doses (nurses, doctors, admins)
+ */
+const MedicationAdministrationGrid = ({ patientId, user = null, canRecord = false }) => {
+  const [anchorDay, setAnchorDay] = useState(() => startOfDay(new Date()));
+  const days = useMemo(
+    () => Array.from({ length: DAYS_SHOWN }, (_, index) => addDays(anchorDay, index - 1)),
+    [anchorDay]
+  );
+  const from = days[0];
+  const to = addDays(days[days.length - 1], 1);
+
+  const { rows, isLoadingMar, marError } = usePatientMar({ patientId, from, to });
+  const {
+    pendingDose,
+    startRecord,
+    closeRecord,
+    submitRecord,
+    defaultInitials,
+    isRecording,
+  } = useDoseRecording({ user });
+
+  if (isLoadingMar) {
+    return <LoadingState count={3} type="table" />;
+  }
+
+  return (
+    <div className="medicationAdministrationGrid">
+      <div className="marToolbar">
+        <Button
+          aria-label="Previous day"
+          size="icon"
+          variant="outline"
+          onClick={() => setAnchorDay(day => addDays(day, -1))}
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </Button>
+        <span className="marRange">
+          {format(days[0], 'MMM dd')} – {format(days[days.length - 1], 'MMM dd, yyyy')}
+        </span>
+        <Button
+          aria-label="Next day"
+          size="icon"
+          variant="outline"
+          onClick={() => setAnchorDay(day => addDays(day, 1))}
+        >
+          <ChevronRight className="w-4 h-4" />
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() => setAnchorDay(startOfDay(new Date()))}
+        >
+          Today
+        </Button>
+      </div>
+
+      {marError && (
+        <p className="text-sm text-destructive">{marError.message}</p>
+      )}
+
+      {rows.length === 0 ? (
+        <EmptyState
+          description="No prescriptions to administer in this period"
+          title="Nothing on the MAR"
+        />
+      ) : (
+        <div className="marTableWrapper">
+          <table className="marTable">
+            <thead>
+              <tr>
+                <th scope="col">Medication</th>
+                {days.map(day => (
+                  <th
+                    className={isSameDay(day, new Date()) ? 'today' : undefined}
+                    key={day.toISOString()}
+                    scope="col"
+                  >
+                    {format(day, 'EEE MMM dd')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ prescription, scheduled, understood, doses }) => (
+                <tr key={prescription.id}>
+                  <th className="medicationCell" scope="row">
+                    <p className="medicationName">{prescription.medication_name}</p>
+                    <p className="medicationMeta">
+                      {[prescription.dosage, prescription.frequency].filter(Boolean).join(' • ')}
+                    </p>
+                    {!understood && (
+                      <Badge size="sm" variant="warning">{MAR_DOSE_STATUS_LABELS[MAR_DOSE_STATE.UNSCHEDULED]}</Badge>
+                    )}
+                    {!scheduled && understood && <Badge size="sm" variant="secondary">As needed</Badge>}
+                    {!scheduled && canRecord && ADMINISTRABLE_STATUSES.includes(prescription.status) && (
+                      <Button
+                        className="giveDoseButton"
+                        size="sm"
+                        variant="outline"
+                        onClick={() => startRecord(prescription)}
+                      >
+                        <Plus className="w-4 h-4 mr-1" />
+                        Give dose
+                      </Button>
+                    )}
+                  </th>
+                  {days.map(day => {
+                    const dayDoses = doses.filter(dose =>
+                      isSameDay(new Date(dose.scheduled_at || dose.administered_at), day));
+
+                    return (
+                      <td key={day.toISOString()}>
+                        <div className="doseList">
+                          {dayDoses.map(dose => {
+                            const recordable = canRecord && !dose.administration?.status &&
+                              !!dose.scheduled_at && canRecordDose(dose);
+                            const label = formatTime(dose.scheduled_at || dose.administered_at);
+
+                            return (
+                              <button
+                                className={`doseChip ${dose.state}`}
+                                disabled={!recordable}
+                                key={dose.id}
+                                title={describeDose(dose)}
+                                type="button"
+                                onClick={() => startRecord(prescription, dose)}
+                              >
+                                <span className="doseTime">{label}</span>
+                                <span className="doseState">
+                                  {MAR_DOSE_STATUS_LABELS[dose.state]}
+                                  {dose.administration?.initials && ` • ${dose.administration.initials}`}
+                                </span>
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <DoseRecordDialog
+        defaultInitials={defaultInitials}
+        dose={pendingDose?.dose}
+        isSubmitting={isRecording}
+        open={!!pendingDose}
+        prescription={pendingDose?.prescription}
+        onOpenChange={(open) => !open && closeRecord()}
+        onSubmit={submitRecord}
+      />
+    </div>
+  );
+};
+
+export default MedicationAdministrationGrid;
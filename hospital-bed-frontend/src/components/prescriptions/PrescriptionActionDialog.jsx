@@ -0,0 +1,206 @@
+// src/components/prescriptions/PrescriptionActionDialog.jsx
+/**
+ * PrescriptionActionDialog Component
+ *
+ * Dialog for dispensing, holding or discontinuing a prescription.
+ * Used in PatientDetailPage through usePrescriptionActions.
+ *
+ * Features:
+ * - Dispense: quantity (defaults to everything left, capped at it) and notes
+ * - Hold: optional reason
+ * - Discontinue: required reason
+ * - Shows the prescription's current status and quantities
+ * - Unified with global components (Dialog, Label, Input, Textarea, Button)
+ */
+
+import React from 'react';
+import { Ban, NotepadText, Package, PauseCircle, Pill } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Label from '@components/ui/label.jsx';
+import Input from '@components/ui/input.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import PrescriptionStatusBadge from '@components/prescriptions/PrescriptionStatusBadge.jsx';
+import './PrescriptionActionDialog.scss';
+
+// Title, description and submit label per action
+const ACTION_CONFIG = {
+  dispense: {
+    title: 'Dispense Prescription',
+    description: 'Record the quantity handed out. Dispensing less than what is left keeps the prescription open.',
+    submitLabel: 'Dispense',
+    icon: Package,
+  },
+  hold: {
+    title: 'Hold Prescription',
+    description: 'Pause dispensing until the prescription is resumed.',
+    submitLabel: 'Hold',
+    icon: PauseCircle,
+  },
+  discontinue: {
+    title: 'Discontinue Prescription',
+    description: 'Stop the prescription for good. Nothing more can be dispensed.',
+    submitLabel: 'Discontinue',
+    icon: Ban,
+  },
+};
+
+/**
+ * Props:
+ * - action: 'dispense' | 'hold' | 'discontinue' (null when closed)
+ * - prescription: prescription being acted on (prescriptionFirebase transform)
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - isSubmitting: boolean
+ * - onSubmit: ({ quantity, notes }) => void for dispense, ({ reason }) => void otherwise
+ */
+const PrescriptionActionDialog = ({
+  action,
+  prescription,
+  open = false,
+  onOpenChange,
+  isSubmitting = false,
+  onSubmit,
+}) => {
+  const [quantity, setQuantity] = React.useState('');
+  const [text, setText] = React.useState('');
+
+  React.useEffect(() => {
+    if (open) {
+      setQuantity(prescription?.remaining_quantity ? String(prescription.remaining_quantity) : '');
+      setText('');
+    }
+  }, [open, prescription]);
+
+  const config = ACTION_CONFIG[action];
+  if (!prescription || !config) return null;
+
+  const isDispense = action === 'dispense';
+  const remaining = prescription.remaining_quantity;
+  const reasonRequired = action === 'discontinue';
+  const amount = Number(quantity);
+  const quantityValid = !isDispense || remaining === null ||
+    (Number.isInteger(amount) && amount > 0 && amount <= remaining);
+  const canSubmit = quantityValid && (!reasonRequired || text.trim());
+  const Icon = config.icon;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    if (isDispense) {
+      onSubmit?.({
+        quantity: remaining === null ? null : amount,
+        notes: text.trim() || null,
+      });
+      return;
+    }
+    onSubmit?.({ reason: text.trim() || null });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="prescriptionActionDialog max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            <Icon className="inline w-5 h-5 mr-2" />
+            {config.title}
+          </DialogTitle>
+          <DialogDescription>{config.description}</DialogDescription>
+        </DialogHeader>
+
+        <div className="prescriptionSummary">
+          <div className="flex items-center justify-between gap-2">
+            <p className="flex items-center gap-2 font-medium">
+              <Pill className="w-4 h-4" />
+              {prescription.medication_name} {prescription.dosage}
+            </p>
+            <PrescriptionStatusBadge size="sm" status={prescription.status} />
+          </div>
+          <p className="text-sm text-muted-foreground">
+            {prescription.quantity
+              ? `${prescription.dispensed_quantity} of ${prescription.quantity} dispensed, ${remaining} left`
+              : 'No quantity prescribed; one dispense completes it'}
+          </p>
+        </div>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {/* Quantity */}
+          {isDispense && remaining !== null && (
+            <div className="space-y-2">
+              <Label required htmlFor="dispenseQuantity">
+                <Package className="inline w-4 h-4 mr-2" />
+                Quantity
+              </Label>
+              <Input
+                disabled={isSubmitting}
+                id="dispenseQuantity"
+                max={remaining}
+                min={1}
+                step={1}
+                type="number"
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+              />
+              {!quantityValid && (
+                <p className="text-sm text-destructive">
+                  Enter a whole number between 1 and {remaining}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Notes / reason */}
+          <div className="space-y-2">
+            <Label htmlFor="prescriptionActionText" required={reasonRequired}>
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              {isDispense ? 'Notes (Optional)' : `Reason ${reasonRequired ? '' : '(Optional)'}`}
+            </Label>
+            <Textarea
+              disabled={isSubmitting}
+              id="prescriptionActionText"
+              maxLength={300}
+              placeholder={isDispense
+                ? 'e.g., Substituted generic, batch number...'
+                : 'e.g., Adverse reaction, switched to IV therapy...'}
+              rows={3}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+            />
+            {reasonRequired && !text.trim() && (
+              <p className="text-sm text-destructive">
+                A reason is required to discontinue a prescription
+              </p>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+              variant={action === 'discontinue' ? 'destructive' : 'default'}
+            >
+              {config.submitLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PrescriptionActionDialog;
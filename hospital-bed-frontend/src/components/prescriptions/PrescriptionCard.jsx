@@ -1,74 +1,167 @@
 // src/components/prescriptions/PrescriptionCard.jsx
 /**
  * PrescriptionCard Component
- * 
+ *
  * Production-ready card displaying a single prescription with key details.
- * Used in PrescriptionList and PatientDetailPage (Prescriptions tab).
- * 
+ * Used in PrescriptionList (PatientDetailPage Prescriptions tab).
+ *
  * Features:
- * - Medication name with dosage/frequency
+ * - Medication name with dosage/frequency, and route/form for formulary prescriptions
  * - Prescribing doctor and date
- * - Dispensed status badge
+ * - Frequency read back in plain words on hover, and the course end date
+ * - Lifecycle status badge, dispensed vs. prescribed quantity, expiry
+ * - Full history: every dispense, status change and print, oldest first
+ * - Safety warnings recorded when prescribed, and the override reason if any
+ * - Dispense / hold / resume / discontinue actions when handlers are given
+ *   and the status allows them, and a print action
  * - Instructions preview
  * - Hover action overlay for manage/view
  * - Responsive layout with premium glassmorphic design
  * - Unified with global Card, Badge, Avatar components
  */
 
+import { useState } from 'react';
 import { format } from 'date-fns';
-import { 
-  Pill, 
-  Calendar, 
-  Stethoscope, 
-  CheckCircle,
-  AlertCircle 
+import {
+  Pill,
+  Calendar,
+  Stethoscope,
+  History,
+  Package,
+  PauseCircle,
+  PlayCircle,
+  Ban,
+  Printer,
+  ShieldAlert
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
-import Badge from '@components/ui/badge.jsx';
+import Button from '@components/ui/button.jsx';
 import Avatar from '@components/ui/avatar.jsx';
-import AvatarFallback from '@components/ui/avatar-fallback.jsx';
+import PrescriptionStatusBadge from '@components/prescriptions/PrescriptionStatusBadge.jsx';
+import PrescriptionSafetyWarnings from '@components/prescriptions/PrescriptionSafetyWarnings.jsx';
+import { describeFrequency } from '@lib/frequencyParser';
+import {
+  PRESCRIPTION_STATUS,
+  PRESCRIPTION_STATUS_LABELS,
+  PRESCRIPTION_DISPENSABLE_STATUSES,
+  PRESCRIPTION_STATUS_TRANSITIONS,
+  MEDICATION_ROUTE_LABELS,
+  MEDICATION_FORM_LABELS,
+  PRESCRIPTION_PRINT_KIND_LABELS
+} from '@lib/constants';
 import './PrescriptionCard.scss';
 
+/**
+ * Merge dispenses, status changes and prints into one chronological history
+ * @param {Object} prescription
+ * @returns {Array} { key, at, title, by, note }
+ */
+const buildHistory = (prescription) => [
+  ...(prescription.status_history || []).map((entry, index) => ({
+    key: `status-${index}`,
+    at: entry.changed_at,
+    title: PRESCRIPTION_STATUS_LABELS[entry.status] || entry.status,
+    by: entry.changed_by_name,
+    note: entry.reason,
+  })),
+  ...(prescription.dispense_log || []).map((entry, index) => ({
+    key: `dispense-${index}`,
+    at: entry.dispensed_at,
+    title: `Dispensed ${entry.quantity}`,
+    by: entry.dispensed_by_name,
+    note: entry.notes,
+  })),
+  ...(prescription.print_log || []).map((entry, index) => ({
+    key: `print-${index}`,
+    at: entry.printed_at,
+    title: `Printed ${(PRESCRIPTION_PRINT_KIND_LABELS[entry.kind] || entry.kind).toLowerCase()}`,
+    by: entry.printed_by_name,
+  })),
+].sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+
 /**
  * Props:
- * - prescription: Full prescription object
- *   { medication_name, dosage, frequency, duration, instructions, is_dispensed, prescribed_at, doctor }
+ * - prescription: Full prescription object (prescriptionFirebase transform)
+ *   { medication_name, dosage, frequency, frequency_schedule, duration, course_ends_at, route, form,
+ *     instructions, status, status_reason,
+ *     quantity, dispensed_quantity, expires_at, prescribed_at, dispense_log, status_history,
+ *     safety_warnings, override_reason, doctor_name or doctor }
  * - onClick: () => void - optional click handler for details/edit
+ * - onDispense / onHold / onResume / onDiscontinue / onPrint: (prescription) => void - optional actions
  */
-const PrescriptionCard = ({ prescription, onClick }) => {
+const PrescriptionCard = ({
+  prescription,
+  onClick,
+  onDispense,
+  onHold,
+  onResume,
+  onDiscontinue,
+  onPrint,
+}) => {
+  const [showHistory, setShowHistory] = useState(false);
+
   if (!prescription) return null;
 
-  const { 
-    medication_name, 
-    dosage, 
-    frequency, 
-    duration, 
-    instructions, 
-    is_dispensed,
+  const {
+    medication_name,
+    dosage,
+    frequency,
+    frequency_schedule,
+    duration,
+    course_ends_at,
+    route,
+    form,
+    instructions,
+    status,
+    status_reason,
+    quantity,
+    dispensed_quantity,
+    expires_at,
     prescribed_at,
-    doctor 
+    safety_warnings = [],
+    override_reason,
+    doctor
   } = prescription;
 
   const prescribedDate = prescribed_at ? format(new Date(prescribed_at), 'MMM dd, yyyy') : 'N/A';
+  const doctorName = prescription.doctor_name || doctor?.full_name;
+  const history = buildHistory(prescription);
+  const statusLabel = PRESCRIPTION_STATUS_LABELS[status] || 'Unknown';
+  const allowed = PRESCRIPTION_STATUS_TRANSITIONS[status] || [];
+
+  const actions = [
+    PRESCRIPTION_DISPENSABLE_STATUSES.includes(status) && onDispense &&
+      { key: 'dispense', label: 'Dispense', icon: Package, variant: 'default', handler: onDispense },
+    allowed.includes(PRESCRIPTION_STATUS.ON_HOLD) && onHold &&
+      { key: 'hold', label: 'Hold', icon: PauseCircle, variant: 'outline', handler: onHold },
+    status === PRESCRIPTION_STATUS.ON_HOLD && onResume &&
+      { key: 'resume', label: 'Resume', icon: PlayCircle, variant: 'outline', handler: onResume },
+    allowed.includes(PRESCRIPTION_STATUS.DISCONTINUED) && onDiscontinue &&
+      { key: 'discontinue', label: 'Discontinue', icon: Ban, variant: 'destructive', handler: onDiscontinue },
+    onPrint &&
+      { key: 'print', label: 'Print', icon: Printer, variant: 'ghost', handler: onPrint },
+  ].filter(Boolean);
 
   return (
-    <Card 
-      aria-label={`Prescription for ${medication_name}, ${is_dispensed ? 'dispensed' : 'pending'}`}
-      className={`prescription-card ${onClick ? 'interactive' : ''}`}
+    <Card
+      aria-label={`Prescription for ${medication_name}, ${statusLabel}`}
+      className={`prescriptionCard ${onClick ? 'interactive' : ''}`}
       role={onClick ? 'button' : undefined}
       tabIndex={onClick ? 0 : undefined}
       onClick={onClick}
     >
-      {/* Header: Medication + Dispensed Status */}
-      <div className="prescription-header">
-        <div className="medication-info">
-          <Pill className="medication-icon" size={24} />
-          <div className="medication-details">
-            <h3 className="medication-name">{medication_name}</h3>
-            <div className="dosage-info">
+      {/* Header: Medication + Status */}
+      <div className="prescriptionHeader">
+        <div className="medicationInfo">
+          <Pill className="medicationIcon" size={24} />
+          <div className="medicationDetails">
+            <h3 className="medicationName">{medication_name}</h3>
+            <div className="dosageInfo">
               <span className="dosage">{dosage}</span>
               <span className="separator">•</span>
-              <span className="frequency">{frequency}</span>
+              <span className="frequency" title={describeFrequency(frequency_schedule) || undefined}>
+                {frequency}
+              </span>
               {duration && (
                 <>
                   <span className="separator">•</span>
@@ -76,71 +169,148 @@ const PrescriptionCard = ({ prescription, onClick }) => {
                 </>
               )}
             </div>
+            {(route || form) && (
+              <p className="administrationInfo">
+                {[
+                  MEDICATION_ROUTE_LABELS[route] || route,
+                  MEDICATION_FORM_LABELS[form] || form,
+                ].filter(Boolean).join(' • ')}
+              </p>
+            )}
           </div>
         </div>
 
-        <div className="status-section">
-          <Badge 
-            className="dispensed-badge"
-            variant={is_dispensed ? 'success' : 'secondary'}
-          >
-            {is_dispensed ? (
-              <>
-                <CheckCircle className="status-icon" size={14} />
-                Dispensed
-              </>
-            ) : (
-              <>
-                <AlertCircle className="status-icon" size={14} />
-                Pending
-              </>
-            )}
-          </Badge>
+        <div className="statusSection">
+          <PrescriptionStatusBadge status={status} title={status_reason || undefined} />
+          <p className="quantityInfo">
+            {quantity
+              ? `${dispensed_quantity} of ${quantity} dispensed`
+              : `${dispensed_quantity || 0} dispensed`}
+          </p>
+          {course_ends_at && (
+            <p className="courseInfo">
+              Course ends {format(new Date(course_ends_at), 'MMM dd, yyyy')}
+            </p>
+          )}
+          {expires_at && (
+            <p className="expiryInfo">
+              {status === PRESCRIPTION_STATUS.EXPIRED ? 'Expired' : 'Valid until'}{' '}
+              {format(new Date(expires_at), 'MMM dd, yyyy')}
+            </p>
+          )}
         </div>
       </div>
 
       {/* Body: Doctor + Date + Instructions */}
-      <div className="prescription-body">
+      <div className="prescriptionBody">
         {/* Doctor Info */}
-        <div className="doctor-info">
-          <Avatar className="doctor-avatar">
-            <div className="avatar-initial">
-              {doctor?.full_name?.charAt(0).toUpperCase() || 'D'}
-            </div>
-            <AvatarFallback>DR</AvatarFallback>
-          </Avatar>
-          <div className="doctor-details">
-            <div className="doctor-label">
-              <Stethoscope className="doctor-icon" size={14} />
+        <div className="doctorInfo">
+          <Avatar
+            className="doctorAvatar"
+            initials={doctorName?.charAt(0).toUpperCase() || 'DR'}
+          />
+          <div className="doctorDetails">
+            <div className="doctorLabel">
+              <Stethoscope className="doctorIcon" size={14} />
               Prescribed by
             </div>
-            <p className="doctor-name">
-              Dr. {doctor?.full_name || 'Unknown Doctor'}
+            <p className="doctorName">
+              Dr. {doctorName || 'Unknown Doctor'}
             </p>
           </div>
-          <div className="date-info">
-            <Calendar className="date-icon" size={14} />
-            <time className="prescribed-date">{prescribedDate}</time>
+          <div className="dateInfo">
+            <Calendar className="dateIcon" size={14} />
+            <time className="prescribedDate">{prescribedDate}</time>
           </div>
         </div>
 
+        {/* Reason for hold / discontinuation */}
+        {status_reason && (
+          <p className="statusReason">Reason: {status_reason}</p>
+        )}
+
+        {/* Safety warnings recorded at prescribing */}
+        {safety_warnings.length > 0 && (
+          <div className="safetySection">
+            <PrescriptionSafetyWarnings compact warnings={safety_warnings} />
+            {override_reason && (
+              <p className="overrideReason">
+                <ShieldAlert size={14} />
+                Overridden: {override_reason}
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Instructions Preview */}
         {instructions && (
-          <div className="instructions-section">
-            <p className="instructions-label">Instructions</p>
-            <p className="instructions-text">{instructions}</p>
+          <div className="instructionsSection">
+            <p className="instructionsLabel">Instructions</p>
+            <p className="instructionsText">{instructions}</p>
+          </div>
+        )}
+
+        {/* History: dispenses, status changes and prints */}
+        {history.length > 0 && (
+          <div className="historySection">
+            <button
+              aria-expanded={showHistory}
+              className="historyToggle"
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowHistory(open => !open);
+              }}
+            >
+              <History size={14} />
+              {showHistory ? 'Hide history' : `Show history (${history.length})`}
+            </button>
+            {showHistory && (
+              <ol className="historyList">
+                {history.map(entry => (
+                  <li className="historyItem" key={entry.key}>
+                    <div className="historyTitle">
+                      <span>{entry.title}</span>
+                      <time>{entry.at ? format(new Date(entry.at), 'MMM dd, yyyy HH:mm') : 'N/A'}</time>
+                    </div>
+                    {entry.by && <p className="historyMeta">by {entry.by}</p>}
+                    {entry.note && <p className="historyMeta">{entry.note}</p>}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        {/* Actions */}
+        {actions.length > 0 && (
+          <div className="prescriptionActions">
+            {actions.map(({ key, label, icon: Icon, variant, handler }) => (
+              <Button
+                key={key}
+                size="sm"
+                variant={variant}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handler(prescription);
+                }}
+              >
+                <Icon className="w-4 h-4 mr-1" />
+                {label}
+              </Button>
+            ))}
           </div>
         )}
       </div>
 
       {/* Hover Action Overlay */}
       {onClick && (
-        <div className="action-overlay">
-          <span className="action-text">View Details</span>
+        <div className="actionOverlay">
+          <span className="actionText">View Details</span>
         </div>
       )}
     </Card>
   );
 };
 
-export default PrescriptionCard;
\ No newline at end of file
+export default PrescriptionCard;
@@ -0,0 +1,425 @@
+// src/components/prescriptions/PrescriptionForm.jsx
+/**
+ * PrescriptionForm Component
+ *
+ * Dialog for prescribing a new medication to a patient.
+ * Used in PatientDetailPage (Prescriptions tab) through usePrescriptionActions.
+ *
+ * Features:
+ * - Medication picked from the formulary (FormularyPicker), with the ward's
+ *   stock shown when the patient is in a bed
+ * - Structured dose (amount and unit), route and form limited to what the
+ *   item comes in; frequency suggestions from the item's defaults
+ * - Frequency and duration shorthand (BD, q8h, "TDS x5 days", "PRN max 4/day")
+ *   checked as it is typed and read back in plain words
+ * - Duration, quantity and instructions
+ * - Live check against the patient's allergies and current prescriptions
+ *   (drug–allergy, drug–drug, duplicate therapy) as the medication is typed
+ * - Severe warnings need an override reason, stored on the prescription
+ * - Full validation with clear error feedback
+ * - Unified with global components (Dialog, Label, Input, Select, Textarea, Button)
+ */
+
+import { useEffect, useMemo } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import * as z from 'zod';
+import { Pill, Clock, Package, NotepadText, ShieldAlert, ShieldCheck } from 'lucide-react';
+import Dialog from '@components/ui/dialog.jsx';
+import DialogContent from '@components/ui/dialog-content.jsx';
+import DialogHeader from '@components/ui/dialog-header.jsx';
+import DialogTitle from '@components/ui/dialog-title.jsx';
+import DialogDescription from '@components/ui/dialog-description.jsx';
+import DialogFooter from '@components/ui/dialog-footer.jsx';
+import Label from '@components/ui/label.jsx';
+import Input from '@components/ui/input.jsx';
+import Select from '@components/ui/select.jsx';
+import Textarea from '@components/ui/textarea.jsx';
+import Button from '@components/ui/button.jsx';
+import PrescriptionSafetyWarnings from '@components/prescriptions/PrescriptionSafetyWarnings.jsx';
+import FormularyPicker from '@components/prescriptions/FormularyPicker.jsx';
+import { usePrescriptionSafetyCheck } from '@hooks/usePrescriptionActions';
+import { useFormulary, useFormularyStock } from '@hooks/useFormulary';
+import { requiresOverride } from '@services/firebase/prescriptionSafety';
+import { describeFrequency, parseDuration, parseFrequency, parseRegimen } from '@lib/frequencyParser';
+import { MEDICATION_FORM_LABELS, MEDICATION_ROUTE_LABELS } from '@lib/constants';
+import './PrescriptionForm.scss';
+
+/**
+ * Zod refinement reporting a frequencyParser error on the field
+ * @param {Function} parse - parser that throws on bad input
+ * @returns {Function}
+ */
+const parsedBy = (parse) => (value, ctx) => {
+  try {
+    parse(value);
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+  }
+};
+
+// Validation schema using Zod
+const prescriptionSchema = z.object({
+  formularyId: z.string().min(1, 'Choose a medication from the formulary'),
+  doseAmount: z.string().regex(/^(?=.*[1-9])\d+(\.\d+)?$/, 'Dose must be a number greater than zero'),
+  doseUnit: z.string().min(1, 'Unit is required'),
+  route: z.string().min(1, 'Route is required'),
+  form: z.string().min(1, 'Form is required'),
+  frequency: z.string().trim().min(1, 'Frequency is required').max(50).superRefine(parsedBy(parseFrequency)),
+  duration: z.string().max(50).optional().superRefine(parsedBy(parseDuration)),
+  quantity: z.string().regex(/^([1-9]\d*)?$/, 'Quantity must be a whole number greater than zero').optional(),
+  instructions: z.string().max(500).optional(),
+  overrideReason: z.string().max(300).optional(),
+}).superRefine((data, ctx) => {
+  // Each field reports its own errors; this only catches a course length given twice differently
+  try {
+    parseFrequency(data.frequency);
+    parseDuration(data.duration);
+  } catch {
+    return;
+  }
+  try {
+    parseRegimen(data.frequency, data.duration);
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['duration'], message: error.message });
+  }
+});
+
+const EMPTY_VALUES = {
+  formularyId: '',
+  doseAmount: '',
+  doseUnit: '',
+  route: '',
+  form: '',
+  frequency: '',
+  duration: '',
+  quantity: '',
+  instructions: '',
+  overrideReason: '',
+};
+
+/**
+ * Props:
+ * - patientId: string - patient being prescribed for
+ * - departmentId: string - the patient's ward, for stock levels (optional)
+ * - open: boolean - controls dialog visibility
+ * - onOpenChange: (open: boolean) => void
+ * - isSubmitting: boolean
+ * - onSubmit: (payload) => void - prescriptionApi.create payload (snake_case)
+ */
+const PrescriptionForm = ({
+  patientId,
+  departmentId = null,
+  open = false,
+  onOpenChange,
+  isSubmitting = false,
+  onSubmit,
+}) => {
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(prescriptionSchema),
+    defaultValues: EMPTY_VALUES,
+  });
+
+  useEffect(() => {
+    if (open) reset(EMPTY_VALUES);
+  }, [open, reset]);
+
+  const { formulary } = useFormulary({ enabled: open });
+  const { stock } = useFormularyStock({ departmentId });
+  const stockByItem = useMemo(
+    () => (departmentId ? new Map(stock.map(entry => [entry.formulary_id, entry])) : null),
+    [departmentId, stock]
+  );
+
+  const formularyId = watch('formularyId');
+  const selectedItem = formulary.find(item => item.id === formularyId) || null;
+  const units = [...new Set((selectedItem?.strengths || []).map(strength => strength.unit))];
+  const medicationName = selectedItem?.generic_name || '';
+  const overrideReason = watch('overrideReason');
+  const frequency = watch('frequency');
+  const duration = watch('duration');
+  const frequencyPreview = useMemo(() => {
+    try {
+      return describeFrequency(parseRegimen(frequency, duration));
+    } catch {
+      return null;
+    }
+  }, [frequency, duration]);
+  const { warnings, isChecking, checkError } = usePrescriptionSafetyCheck({ patientId, medicationName });
+  const needsOverride = requiresOverride(warnings);
+  const canSubmit = !isChecking && (!needsOverride || !!overrideReason?.trim());
+
+  // Start from the item's first strength, route and form
+  const handleSelectMedication = (item) => {
+    const strength = item?.strengths[0];
+    setValue('formularyId', item?.id || '', { shouldValidate: !!item });
+    setValue('doseAmount', strength ? String(strength.amount) : '');
+    setValue('doseUnit', strength?.unit || '');
+    setValue('route', item?.routes[0] || '');
+    setValue('form', item?.forms[0] || '');
+    if (item?.default_frequencies[0] && !watch('frequency')) {
+      setValue('frequency', item.default_frequencies[0]);
+    }
+  };
+
+  const submit = (data) => {
+    if (!canSubmit || !selectedItem) return;
+    onSubmit?.({
+      patient_id: patientId,
+      formulary_id: selectedItem.id,
+      medication_name: selectedItem.generic_name,
+      dose: { amount: Number(data.doseAmount), unit: data.doseUnit },
+      route: data.route,
+      form: data.form,
+      frequency: data.frequency.trim(),
+      duration: data.duration?.trim() || null,
+      quantity: data.quantity ? Number(data.quantity) : null,
+      instructions: data.instructions?.trim() || null,
+      override_reason: needsOverride ? data.overrideReason.trim() : null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="prescriptionForm max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            <Pill className="inline w-5 h-5 mr-2" />
+            New Prescription
+          </DialogTitle>
+          <DialogDescription>
+            Pick a formulary medication; it is checked against the patient&apos;s allergies and current
+            prescriptions.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form className="space-y-6" onSubmit={handleSubmit(submit)}>
+          {/* Medication */}
+          <div className="space-y-2">
+            <Label required htmlFor="medicationSearch">
+              <Pill className="inline w-4 h-4 mr-2" />
+              Medication
+            </Label>
+            <input type="hidden" {...register('formularyId')} />
+            <FormularyPicker
+              disabled={isSubmitting}
+              id="medicationSearch"
+              items={formulary}
+              stockByItem={stockByItem}
+              value={selectedItem}
+              onSelect={handleSelectMedication}
+            />
+            {errors.formularyId && (
+              <p className="text-sm text-destructive">{errors.formularyId.message}</p>
+            )}
+          </div>
+
+          {/* Dose, Route & Form */}
+          <div className="formRow">
+            <div className="space-y-2">
+              <Label required htmlFor="doseAmount">
+                Dose
+              </Label>
+              <div className="doseInput">
+                <Input
+                  id="doseAmount"
+                  inputMode="decimal"
+                  {...register('doseAmount')}
+                  disabled={isSubmitting || !selectedItem}
+                  placeholder="e.g., 500"
+                />
+                <Select
+                  aria-label="Dose unit"
+                  {...register('doseUnit')}
+                  disabled={isSubmitting || !selectedItem}
+                >
+                  {units.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </Select>
+              </div>
+              {errors.doseAmount && (
+                <p className="text-sm text-destructive">{errors.doseAmount.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label required htmlFor="route">
+                Route
+              </Label>
+              <Select
+                id="route"
+                {...register('route')}
+                disabled={isSubmitting || !selectedItem}
+              >
+                {(selectedItem?.routes || []).map(route => (
+                  <option key={route} value={route}>{MEDICATION_ROUTE_LABELS[route] || route}</option>
+                ))}
+              </Select>
+            </div>
+          </div>
+
+          {/* Form & Frequency */}
+          <div className="formRow">
+            <div className="space-y-2">
+              <Label required htmlFor="form">
+                Form
+              </Label>
+              <Select
+                id="form"
+                {...register('form')}
+                disabled={isSubmitting || !selectedItem}
+              >
+                {(selectedItem?.forms || []).map(form => (
+                  <option key={form} value={form}>{MEDICATION_FORM_LABELS[form] || form}</option>
+                ))}
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label required htmlFor="frequency">
+                <Clock className="inline w-4 h-4 mr-2" />
+                Frequency
+              </Label>
+              <Input
+                id="frequency"
+                list="frequencySuggestions"
+                {...register('frequency')}
+                disabled={isSubmitting}
+                placeholder="e.g., TDS, q8h, PRN max 4/day"
+              />
+              <datalist id="frequencySuggestions">
+                {(selectedItem?.default_frequencies || []).map(frequency => (
+                  <option key={frequency} value={frequency} />
+                ))}
+              </datalist>
+              {errors.frequency ? (
+                <p className="text-sm text-destructive">{errors.frequency.message}</p>
+              ) : frequencyPreview && (
+                <p className="frequencyPreview">{frequencyPreview}</p>
+              )}
+            </div>
+          </div>
+
+          {/* Duration & Quantity */}
+          <div className="formRow">
+            <div className="space-y-2">
+              <Label htmlFor="duration">Duration</Label>
+              <Input
+                id="duration"
+                {...register('duration')}
+                disabled={isSubmitting}
+                placeholder="e.g., 7 days or 5/7"
+              />
+              {errors.duration && (
+                <p className="text-sm text-destructive">{errors.duration.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="quantity">
+                <Package className="inline w-4 h-4 mr-2" />
+                Quantity
+              </Label>
+              <Input
+                id="quantity"
+                min={1}
+                step={1}
+                type="number"
+                {...register('quantity')}
+                disabled={isSubmitting}
+                placeholder="Units to dispense"
+              />
+              {errors.quantity && (
+                <p className="text-sm text-destructive">{errors.quantity.message}</p>
+              )}
+            </div>
+          </div>
+
+          {/* Instructions */}
+          <div className="space-y-2">
+            <Label htmlFor="instructions">
+              <NotepadText className="inline w-4 h-4 mr-2" />
+              Instructions
+            </Label>
+            <Textarea
+              id="instructions"
+              {...register('instructions')}
+              disabled={isSubmitting}
+              placeholder="e.g., Take with food"
+              rows={2}
+            />
+          </div>
+
+          {/* Safety check */}
+          <div className="safetySection">
+            {!!medicationName && !isChecking && !checkError && warnings.length === 0 && (
+              <p className="safetyClear">
+                <ShieldCheck className="w-4 h-4" />
+                No allergy or interaction conflicts found
+              </p>
+            )}
+            {isChecking && !!medicationName && (
+              <p className="text-sm text-muted-foreground">Checking allergies and interactions...</p>
+            )}
+            {checkError && (
+              <p className="text-sm text-destructive">Safety check failed: {checkError.message}</p>
+            )}
+            <PrescriptionSafetyWarnings warnings={warnings} />
+          </div>
+
+          {/* Override reason */}
+          {needsOverride && (
+            <div className="space-y-2">
+              <Label required htmlFor="overrideReason">
+                <ShieldAlert className="inline w-4 h-4 mr-2" />
+                Override Reason
+              </Label>
+              <Textarea
+                id="overrideReason"
+                {...register('overrideReason')}
+                disabled={isSubmitting}
+                maxLength={300}
+                placeholder="e.g., Tolerated previously under supervision, benefit outweighs risk..."
+                rows={2}
+              />
+              {!overrideReason?.trim() && (
+                <p className="text-sm text-destructive">
+                  Severe warnings need a reason before prescribing
+                </p>
+              )}
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button
+              disabled={isSubmitting}
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              disabled={!canSubmit || isSubmitting}
+              isLoading={isSubmitting}
+              type="submit"
+              variant={needsOverride ? 'destructive' : 'default'}
+            >
+              {needsOverride ? 'Override & Prescribe' : 'Prescribe'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PrescriptionForm;
@@ -1,94 +1,87 @@
-// src/components/appointments/AppointmentStatusBadge.jsx
+// src/components/prescriptions/PrescriptionList.jsx
 /**
- * AppointmentStatusBadge Component
- * 
- * Production-ready, reusable badge displaying appointment status with consistent
- * colors, icons, and accessibility across the entire application.
- * 
- * Used in:
- * - AppointmentList
- * - AppointmentCalendar
- * - PatientTimeline
- * - Dashboard widgets
- * 
+ * PrescriptionList Component
+ *
+ * Responsive grid of PrescriptionCards.
+ * Used in PatientDetailPage and PatientDetailTabs (Prescriptions tab).
+ *
  * Features:
- * - Matches backend status enum exactly
- * - Color-coded variants
- * - Icon + text for clarity
- * - Size variants (sm/md/lg)
- * - Fully accessible
- * - Extends unified global Badge component
+ * - Open prescriptions (active, partially dispensed, on hold) first, then
+ *   closed ones, most recent first within each group
+ * - Each card shows its full dispense and status history
+ * - Passes dispense / hold / resume / discontinue / print handlers through to the cards
+ * - Loading and empty states
  */
 
-import { 
-  Calendar,      // scheduled
-  CheckCircle,   // completed
-  XCircle,       // cancelled
-  UserX,         // no_show
-} from 'lucide-react';
-import Badge from '@components/ui/badge.jsx';
-import './AppointmentStatusBadge.scss';
+import PrescriptionCard from '@components/prescriptions/PrescriptionCard.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import { PRESCRIPTION_STATUS } from '@lib/constants';
+import './PrescriptionList.scss';
+
+const OPEN_STATUSES = [
+  PRESCRIPTION_STATUS.ACTIVE,
+  PRESCRIPTION_STATUS.PARTIALLY_DISPENSED,
+  PRESCRIPTION_STATUS.ON_HOLD,
+];
 
 /**
  * Props:
- * - status: string - exact backend value: 'scheduled', 'completed', 'cancelled', 'no_show'
- * - size: 'sm' | 'md' | 'lg' (default: 'md')
- * - showIcon: boolean (default: true)
+ * - prescriptions: Array of prescriptions (prescriptionFirebase transform)
+ * - isLoading: boolean
+ * - onSelect: (prescription) => void - optional card click
+ * - onDispense / onHold / onResume / onDiscontinue / onPrint: (prescription) => void - optional actions
  */
-const AppointmentStatusBadge = ({ 
-  status, 
-  size = 'md', 
-  showIcon = true 
+const PrescriptionList = ({
+  prescriptions = [],
+  isLoading = false,
+  onSelect,
+  onDispense,
+  onHold,
+  onResume,
+  onDiscontinue,
+  onPrint,
 }) => {
-  // Centralized status configuration - single source of truth
-  const statusConfig = {
-    scheduled: {
-      variant: 'default',
-      label: 'Scheduled',
-      icon: Calendar,
-    },
-    completed: {
-      variant: 'success',
-      label: 'Completed',
-      icon: CheckCircle,
-    },
-    cancelled: {
-      variant: 'destructive',
-      label: 'Cancelled',
-      icon: XCircle,
-    },
-    no_show: {
-      variant: 'secondary',
-      label: 'No Show',
-      icon: UserX,
-    },
-  };
+  if (isLoading) {
+    return <LoadingState count={3} type="grid" />;
+  }
 
-  const normalizedStatus = status?.toLowerCase();
-  const config = statusConfig[normalizedStatus] || {
-    variant: 'outline',
-    label: 'Unknown',
-    icon: Calendar,
-  };
+  if (prescriptions.length === 0) {
+    return (
+      <div className="prescriptionList">
+        <div className="emptyContainer">
+          <EmptyState
+            description="This patient has no recorded prescriptions"
+            title="No prescriptions"
+          />
+        </div>
+      </div>
+    );
+  }
 
-  const Icon = config.icon;
+  const sorted = [...prescriptions].sort((a, b) =>
+    Number(OPEN_STATUSES.includes(b.status)) - Number(OPEN_STATUSES.includes(a.status)) ||
+    (b.prescribed_at || '').localeCompare(a.prescribed_at || '')
+  );
 
   return (
-    <Badge 
-      className="appointment-status-badge" 
-      size={size}
-      variant={config.variant}
-    >
-      {showIcon && (
-        <Icon 
-          className="badge-icon" 
-          size={size === 'sm' ? 12 : size === 'lg' ? 18 : 14} 
-        />
-      )}
-      <span className="badge-label">{config.label}</span>
-      <span className="sr-only">Appointment status: {config.label}</span>
-    </Badge>
+    <div className="prescriptionList">
+      <div className="listGrid">
+        {sorted.map(prescription => (
+          <PrescriptionCard
+            key={prescription.id}
+            prescription={prescription}
+            onClick={onSelect ? () => onSelect(prescription) : undefined}
+            onDiscontinue={onDiscontinue}
+            onDispense={onDispense}
+            onHold={onHold}
+            onPrint={onPrint}
+            onResume={onResume}
+          />
+        ))}
+      </div>
+    </div>
   );
 };
 
-export default AppointmentStatusBadge;
\ No newline at end of file
+export default PrescriptionList;
@@ -0,0 +1,68 @@
+// src/components/prescriptions/PrescriptionSafetyWarnings.jsx
+/**
+ * PrescriptionSafetyWarnings Component
+ *
+ * List of prescribing safety warnings (drug–allergy, drug–drug, duplicate
+ * therapy), most severe first.
+ *
+ * Used in:
+ * - PrescriptionForm (live check while prescribing)
+ * - PrescriptionCard (warnings recorded when it was prescribed)
+ *
+ * Features:
+ * - Severity badge and warning type per entry
+ * - Compact variant for cards
+ * - Unified with global Badge component
+ */
+
+import { AlertTriangle, AlertOctagon, Info } from 'lucide-react';
+import Badge from '@components/ui/badge.jsx';
+import { PRESCRIPTION_WARNING_TYPE_LABELS } from '@lib/constants';
+import './PrescriptionSafetyWarnings.scss';
+
+// Badge variant and icon per warning severity
+const severityConfig = {
+  severe: { variant: 'destructive', icon: AlertOctagon, label: 'Severe' },
+  moderate: { variant: 'warning', icon: AlertTriangle, label: 'Moderate' },
+  minor: { variant: 'secondary', icon: Info, label: 'Minor' },
+};
+
+/**
+ * Props:
+ * - warnings: Array of { type, severity, message, conflicts_with }
+ * - compact: boolean - smaller list without type labels (default: false)
+ */
+const PrescriptionSafetyWarnings = ({ warnings = [], compact = false }) => {
+  if (warnings.length === 0) return null;
+
+  return (
+    <ul
+      aria-label="Prescribing safety warnings"
+      className={`prescriptionSafetyWarnings ${compact ? 'compact' : ''}`}
+    >
+      {warnings.map((warning, index) => {
+        const config = severityConfig[warning.severity] || severityConfig.minor;
+        const Icon = config.icon;
+
+        return (
+          <li className={`warningItem ${warning.severity}`} key={`${warning.type}-${index}`}>
+            <Icon className="warningIcon" size={compact ? 14 : 16} />
+            <div className="warningBody">
+              <div className="warningHeader">
+                <Badge size="sm" variant={config.variant}>{config.label}</Badge>
+                {!compact && (
+                  <span className="warningType">
+                    {PRESCRIPTION_WARNING_TYPE_LABELS[warning.type] || warning.type}
+                  </span>
+                )}
+              </div>
+              <p className="warningMessage">{warning.message}</p>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PrescriptionSafetyWarnings;
@@ -0,0 +1,77 @@
+// src/components/prescriptions/PrescriptionStatusBadge.jsx
+/**
+ * PrescriptionStatusBadge Component
+ *
+ * Reusable badge displaying a prescription's lifecycle status with
+ * consistent colors and icons.
+ *
+ * Used in:
+ * - PrescriptionCard
+ * - PrescriptionActionDialog
+ *
+ * Features:
+ * - Matches PRESCRIPTION_STATUS exactly
+ * - Color-coded variants, icon + text
+ * - Optional tooltip (e.g. why the prescription was held or discontinued)
+ * - Unified with global Badge component
+ */
+
+import {
+  ClipboardList,  // active
+  PackageOpen,    // partially_dispensed
+  PackageCheck,   // dispensed
+  PauseCircle,    // on_hold
+  Ban,            // discontinued
+  CalendarX,      // expired
+} from 'lucide-react';
+import Badge from '@components/ui/badge.jsx';
+import { PRESCRIPTION_STATUS_LABELS } from '@lib/constants';
+import './PrescriptionStatusBadge.scss';
+
+// Badge variant and icon per status
+const statusConfig = {
+  active: { variant: 'default', icon: ClipboardList },
+  partially_dispensed: { variant: 'warning', icon: PackageOpen },
+  dispensed: { variant: 'success', icon: PackageCheck },
+  on_hold: { variant: 'secondary', icon: PauseCircle },
+  discontinued: { variant: 'destructive', icon: Ban },
+  expired: { variant: 'outline', icon: CalendarX },
+};
+
+/**
+ * Props:
+ * - status: string - one of PRESCRIPTION_STATUS
+ * - size: 'sm' | 'md' | 'lg' (default: 'md')
+ * - showIcon: boolean (default: true)
+ * - title: string - tooltip (optional)
+ */
+const PrescriptionStatusBadge = ({
+  status,
+  size = 'md',
+  showIcon = true,
+  title,
+}) => {
+  const config = statusConfig[status] || { variant: 'outline', icon: ClipboardList };
+  const label = PRESCRIPTION_STATUS_LABELS[status] || 'Unknown';
+  const Icon = config.icon;
+
+  return (
+    <Badge
+      className="prescriptionStatusBadge"
+      size={size}
+      title={title}
+      variant={config.variant}
+    >
+      {showIcon && (
+        <Icon
+          className="badgeIcon"
+          size={size === 'sm' ? 12 : size === 'lg' ? 18 : 14}
+        />
+      )}
+      <span className="badgeLabel">{label}</span>
+      <span className="sr-only">Prescription status: {label}</span>
+    </Badge>
+  );
+};
+
+export default PrescriptionStatusBadge;
@@ -0,0 +1,89 @@
+// src/hooks/useAppointmentAdmission.js
+/**
+ * useAppointmentAdmission Hook
+ *
+ * Admit-from-appointment flow: the doctor decides during a visit that the
+ * patient must be admitted, the visit is completed and the patient joins the
+ * bed waitlist, then a matching free bed is assigned straight away.
+ *
+ * Features:
+ * - Step 1: admission details (diagnosis, department, acuity) for an appointment
+ * - Step 2: bed assignment for the created bed request (AssignBedDialog mode="admit")
+ * - Closing step 2 keeps the patient on the waitlist for later assignment
+ * - Conflict-aware error toasts
+ *
+ * Used in DoctorDashboard
+ */
+
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { appointmentApi } from '@services/api/appointmentApi';
+import { bedRequestApi } from '@services/api/bedRequestApi';
+import { isBedAssignmentConflict } from '@services/firebase/bedAssignmentValidation';
+import toast from 'react-hot-toast';
+
+/**
+ * @param {Object} params
+ * @param {string} [params.userId] - recorded as who admitted and assigned the bed
+ */
+export const useAppointmentAdmission = ({ userId = null } = {}) => {
+  const queryClient = useQueryClient();
+  // Appointment whose admission details are being entered
+  const [admittingAppointment, setAdmittingAppointment] = useState(null);
+  // { appointment, bed_request, patient } waiting for a bed
+  const [admission, setAdmission] = useState(null);
+
+  const admitMutation = useMutation({
+    mutationFn: ({ id, ...data }) => appointmentApi.admitPatient(id, { ...data, admitted_by: userId }),
+    onSuccess: (result) => {
+      toast.success(`${result.appointment.patient_name} admitted. Choose a bed to assign.`);
+      setAdmittingAppointment(null);
+      setAdmission(result);
+      queryClient.invalidateQueries({ queryKey: ['patients'] });
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to admit patient');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['appointments'] });
+    },
+  });
+
+  const assignBedMutation = useMutation({
+    mutationFn: ({ bed_request_id, ...data }) =>
+      bedRequestApi.fulfill(bed_request_id, { ...data, assigned_by: userId }),
+    onSuccess: () => {
+      toast.success('Bed assigned to the admitted patient');
+      setAdmission(null);
+      queryClient.invalidateQueries({ queryKey: ['patients'] });
+    },
+    onError: (err) => {
+      if (isBedAssignmentConflict(err)) {
+        // The live bed subscription already shows the new state
+        toast.error(`${err.message}. Please choose another bed.`);
+        return;
+      }
+      toast.error(err.message || 'Failed to assign bed');
+    },
+  });
+
+  const closeBedAssignment = () => {
+    if (admission) {
+      toast(`${admission.appointment.patient_name} stays on the bed waitlist`);
+    }
+    setAdmission(null);
+  };
+
+  return {
+    admittingAppointment,
+    startAdmission: (appointment) => setAdmittingAppointment(appointment),
+    cancelAdmission: () => setAdmittingAppointment(null),
+    admitPatient: (data) => admitMutation.mutate({ id: admittingAppointment?.id, ...data }),
+    isAdmitting: admitMutation.isPending,
+
+    admission,
+    closeBedAssignment,
+    assignBed: (data) => assignBedMutation.mutate({ bed_request_id: admission?.bed_request.id, ...data }),
+    isAssigningBed: assignBedMutation.isPending,
+  };
+};
@@ -0,0 +1,56 @@
+// src/hooks/useAppointmentCalendar.js
+/**
+ * useAppointmentCalendar Hook
+ *
+ * Live appointments for the calendar, with the mutations of useAppointmentManagement.
+ * A Firestore subscription writes into the same React Query cache entry the
+ * management hook reads, so optimistic reschedules and rollbacks apply to the
+ * calendar too, the same way useBedManagement keeps beds live.
+ *
+ * Features:
+ * - Real-time appointments via subscribeToAppointments
+ * - Doctors and departments for resources and the appointment form
+ * - Patients for the appointment form, fetched once booking starts
+ * - Create, reschedule (drag/resize) and cancel with conflict-aware toasts
+ *
+ * Used in AppointmentCalendarPage
+ */
+
+import { useEffect } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { appointmentApi } from '@services/api/appointmentApi';
+import * as patientApi from '@services/api/patientApi';
+import { useAppointmentManagement } from '@hooks/useAppointmentManagement';
+
+// Unfiltered: the calendar filters by doctor in memory
+const CALENDAR_FILTERS = {};
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.loadPatients - fetch patients (e.g. while the booking dialog is open)
+ */
+export const useAppointmentCalendar = ({ loadPatients = false } = {}) => {
+  const queryClient = useQueryClient();
+  const management = useAppointmentManagement(CALENDAR_FILTERS);
+
+  // Shared cache with usePrescriptionManagement and useBedManagement
+  const {
+    data: patients = [],
+    isLoading: isLoadingPatients,
+  } = useQuery({
+    queryKey: ['patients'],
+    queryFn: patientApi.getAll,
+    enabled: loadPatients,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  useEffect(() => {
+    const unsubscribe = appointmentApi.subscribeToAppointments((appointments) => {
+      queryClient.setQueryData(['appointments', CALENDAR_FILTERS], appointments);
+    });
+
+    return () => unsubscribe();
+  }, [queryClient]);
+
+  return { ...management, patients, isLoadingPatients };
+};
@@ -9,8 +9,13 @@
  * Features:
  * - Fetches appointments with optional filters
  * - Fetches doctors list for filtering
+ * - Fetches departments for planned admissions
  * - Real-time cache updates on create/update/delete
- * - Error handling with toast feedback
+ * - Recurring series: create, and edit/cancel one occurrence, this and following, or all
+ * - Periodic no-show sweep, plus marking a no-show by hand (attributed to the user)
+ * - Periodic dispatch of due appointment reminders
+ *   (both run in the browser of reception users only; see APPOINTMENT_JOBS_ROLE)
+ * - Error handling with toast feedback (double bookings list every conflict)
  * - Loading states for queries and mutations
  * - Unified with React Query and toast notifications
  * - Ready for SignalR real-time push (optimistic updates)
@@ -18,14 +23,32 @@
  * Returns queries and mutations for use in AppointmentManagementPage, Dashboards, etc.
  */
 
+import { useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import * as appointmentApi from '@services/api/appointmentApi';
+import * as appointmentReminderApi from '@services/api/appointmentReminderApi';
 import * as userApi from '@services/api/userApi';
-import { ROLES } from '@lib/constants';
+import { bedApi } from '@services/api/bedApi';
+import { isAppointmentConflict } from '@services/firebase/appointmentValidation';
+import { APPOINTMENT_STATUS, ROLES, SERIES_SCOPE } from '@lib/constants';
+import { useAuth } from '@hooks/useAuth';
 import toast from 'react-hot-toast';
 
+// How often past-due scheduled appointments are checked for no-shows
+const NO_SHOW_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// How often due appointment reminders are sent
+const REMINDER_DISPATCH_INTERVAL_MS = 60 * 1000;
+
+// There is no server-side scheduler: the no-show sweep and reminder dispatch run
+// in the browser, and only for this role, so reminders go out (and no-shows are
+// marked) only while a front-desk user has an appointment page open.
+const APPOINTMENT_JOBS_ROLE = ROLES.RECEPTION;
+
 export const useAppointmentManagement = (filters = {}) => {
   const queryClient = useQueryClient();
+  const { currentRole } = useAuth();
+  const runsAppointmentJobs = currentRole === APPOINTMENT_JOBS_ROLE;
 
   // Fetch all appointments (with optional filters)
   const {
@@ -53,22 +76,79 @@ export const useAppointmentManagement = (filters = {}) => {
     refetchOnWindowFocus: false,
   });
 
+  // Departments an appointment can plan an admission into (shared cache with useBedManagement)
+  const {
+    data: departments = [],
+  } = useQuery({
+    queryKey: ['departments'],
+    queryFn: bedApi.getDepartments,
+    staleTime: 1000 * 60 * 30,
+  });
+
+  // No-show sweep - writes to Firestore so every client sees the change
+  useEffect(() => {
+    if (!runsAppointmentJobs) return undefined;
+
+    const markNoShows = () => {
+      appointmentApi.markNoShows()
+        .then((marked) => {
+          if (marked > 0) queryClient.invalidateQueries({ queryKey: ['appointments'] });
+        })
+        .catch((error) => {
+          console.warn('No-show sweep skipped:', error.message);
+        });
+    };
+
+    markNoShows();
+    const intervalId = setInterval(markNoShows, NO_SHOW_SWEEP_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [queryClient, runsAppointmentJobs]);
+
+  // Send due reminders (each is claimed once, so several open clients are fine)
+  useEffect(() => {
+    if (!runsAppointmentJobs) return undefined;
+
+    const dispatchReminders = () => {
+      appointmentReminderApi.dispatchDueReminders()
+        .then(({ sent }) => {
+          if (sent > 0) queryClient.invalidateQueries({ queryKey: ['notifications'] });
+        })
+        .catch((error) => {
+          console.warn('Reminder dispatch skipped:', error.message);
+        });
+    };
+
+    dispatchReminders();
+    const intervalId = setInterval(dispatchReminders, REMINDER_DISPATCH_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [queryClient, runsAppointmentJobs]);
+
   // Create appointment mutation
   const createAppointmentMutation = useMutation({
-    mutationFn: appointmentApi.create,
+    mutationFn: (data) => (data.recurrence ? appointmentApi.createSeries(data) : appointmentApi.create(data)),
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['appointments'] });
-      toast.success('Appointment scheduled successfully');
+      toast.success(data.appointments
+        ? `${data.appointments.length} recurring appointments scheduled`
+        : 'Appointment scheduled successfully');
       return data;
     },
     onError: (error) => {
+      if (isAppointmentConflict(error)) {
+        // The slot was taken or blocked meanwhile; refresh the free slots
+        queryClient.invalidateQueries({ queryKey: ['appointments', 'slots'] });
+        toast.error(`${error.message}. Please choose another time.`);
+        return;
+      }
       toast.error(error.message || 'Failed to schedule appointment');
     },
   });
 
   // Update appointment mutation
   const updateAppointmentMutation = useMutation({
-    mutationFn: ({ id, data }) => appointmentApi.update(id, data),
+    mutationFn: ({ id, data, scope }) => (scope && scope !== SERIES_SCOPE.OCCURRENCE
+      ? appointmentApi.updateSeries(id, data, scope)
+      : appointmentApi.update(id, data)),
     onMutate: async ({ id, data }) => {
       // Cancel outgoing queries
       await queryClient.cancelQueries({ queryKey: ['appointments'] });
@@ -89,10 +169,16 @@ export const useAppointmentManagement = (filters = {}) => {
       if (context?.previousAppointments) {
         queryClient.setQueryData(['appointments', filters], context.previousAppointments);
       }
+      if (isAppointmentConflict(err)) {
+        toast.error(`${err.message}. Please choose another time.`);
+        return;
+      }
       toast.error(err.message || 'Failed to update appointment');
     },
-    onSuccess: () => {
-      toast.success('Appointment updated successfully');
+    onSuccess: (result) => {
+      toast.success(result?.updated > 1
+        ? `${result.updated} appointments updated`
+        : 'Appointment updated successfully');
     },
     onSettled: () => {
       // Always refetch to ensure consistency
@@ -102,8 +188,10 @@ export const useAppointmentManagement = (filters = {}) => {
 
   // Delete/cancel appointment mutation
   const deleteAppointmentMutation = useMutation({
-    mutationFn: appointmentApi.cancel,
-    onMutate: async (appointmentId) => {
+    mutationFn: ({ id, scope }) => (scope && scope !== SERIES_SCOPE.OCCURRENCE
+      ? appointmentApi.cancelSeries(id, scope)
+      : appointmentApi.cancel(id)),
+    onMutate: async ({ id: appointmentId }) => {
       await queryClient.cancelQueries({ queryKey: ['appointments'] });
 
       const previousAppointments = queryClient.getQueryData(['appointments', filters]);
@@ -121,8 +209,25 @@ export const useAppointmentManagement = (filters = {}) => {
       }
       toast.error(err.message || 'Failed to cancel appointment');
     },
+    onSuccess: (result) => {
+      toast.success(result?.cancelled > 1
+        ? `${result.cancelled} appointments cancelled`
+        : 'Appointment cancelled successfully');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['appointments'] });
+    },
+  });
+
+  // Mark a no-show by hand (recorded against the user)
+  const markNoShowMutation = useMutation({
+    mutationFn: ({ id, updatedBy }) =>
+      appointmentApi.updateStatus(id, APPOINTMENT_STATUS.NO_SHOW, { updatedBy }),
     onSuccess: () => {
-      toast.success('Appointment cancelled successfully');
+      toast.success('Appointment marked as no-show');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to mark appointment as no-show');
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: ['appointments'] });
@@ -132,9 +237,12 @@ export const useAppointmentManagement = (filters = {}) => {
   // Helper functions
   const createAppointment = (data) => createAppointmentMutation.mutateAsync(data);
 
-  const updateAppointment = (id, data) => updateAppointmentMutation.mutateAsync({ id, data });
+  // scope applies to series members: 'occurrence' (default), 'following' or 'series'
+  const updateAppointment = (id, data, scope) => updateAppointmentMutation.mutateAsync({ id, data, scope });
+
+  const deleteAppointment = (id, scope) => deleteAppointmentMutation.mutateAsync({ id, scope });
 
-  const deleteAppointment = (id) => deleteAppointmentMutation.mutateAsync(id);
+  const markNoShow = (id, updatedBy) => markNoShowMutation.mutateAsync({ id, updatedBy });
 
   // Get appointments by status
   const getAppointmentsByStatus = (status) => appointments.filter(apt => apt.status === status);
@@ -178,14 +286,17 @@ export const useAppointmentManagement = (filters = {}) => {
     doctors,
     isLoadingDoctors,
     isErrorDoctors,
+    departments,
 
     // Mutations
     createAppointment,
     updateAppointment,
     deleteAppointment,
+    markNoShow,
     isCreating: createAppointmentMutation.isPending,
     isUpdating: updateAppointmentMutation.isPending,
     isDeleting: deleteAppointmentMutation.isPending,
+    isMarkingNoShow: markNoShowMutation.isPending,
 
     // Helper functions
     getAppointmentsByStatus,
@@ -0,0 +1,41 @@
+// src/hooks/useBedForecast.js
+/**
+ * useBedForecast Hook
+ *
+ * Projected free beds per department for the coming days.
+ * Combines the live bed list (expected discharges, reservations) from
+ * useBedManagement with planned admissions booked as appointments.
+ *
+ * Used in DepartmentLoadReportPage and AdminDashboard
+ */
+
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import * as appointmentApi from '@services/api/appointmentApi';
+import { buildBedForecast, DEFAULT_FORECAST_DAYS } from '@services/firebase/bedForecast';
+import { addDaysToDate, getEndOfDay, getStartOfDay } from '@lib/dateUtils';
+
+/**
+ * @param {Object} params - { beds, departments, days? }
+ */
+export const useBedForecast = ({ beds = [], departments = [], days = DEFAULT_FORECAST_DAYS }) => {
+  const {
+    data: admissions = [],
+    isLoading: isLoadingAdmissions,
+  } = useQuery({
+    queryKey: ['appointments', 'admissions', days],
+    queryFn: () => appointmentApi.getScheduledAdmissions({
+      from: getStartOfDay(new Date()),
+      to: getEndOfDay(addDaysToDate(new Date(), days - 1)),
+    }),
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  const forecast = useMemo(
+    () => buildBedForecast({ beds, departments, admissions, days }),
+    [beds, departments, admissions, days]
+  );
+
+  return { forecast, isLoadingForecast: isLoadingAdmissions };
+};
@@ -3,12 +3,13 @@
  * useBedManagement Hook
  * 
  * Production-ready custom hook centralizing all bed management operations.
- * Handles fetching beds, departments, rooms, assignment/discharge mutations,
- * and cache invalidation for real-time updates.
+ * Handles fetching beds, departments, rooms, assignment/transfer/discharge/status mutations,
+ * bed reservations (holds), expected discharge dates, and cache invalidation for real-time updates.
  * 
  * Features:
  * - Fetches beds with nested patient/room/department data
  * - Real-time cache updates on assign/discharge
+ * - Periodic release of expired bed holds
  * - Error handling with toast feedback
  * - Loading states for queries and mutations
  * - Unified with React Query and toast notifications
@@ -21,9 +22,15 @@
 import { useEffect } from 'react'; // Add useEffect
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { bedApi } from '@services/api/bedApi';
+import { bedReservationApi } from '@services/api/bedReservationApi';
+import { bedAssignmentApi } from '@services/api/bedAssignmentApi';
 import { patientApi } from '@services/api/patientApi';
+import { isBedAssignmentConflict } from '@services/firebase/bedAssignmentValidation';
 import toast from 'react-hot-toast';
 
+// How often expired holds are released back to available
+const RESERVATION_SWEEP_INTERVAL_MS = 60 * 1000;
+
 export const useBedManagement = () => {
   const queryClient = useQueryClient();
 
@@ -52,6 +59,20 @@ export const useBedManagement = () => {
     return () => unsubscribe();
   }, [queryClient]);
 
+  // 3. Expired hold sweep - writes back to Firestore so every client's subscription sees the release
+  useEffect(() => {
+    const releaseExpired = () => {
+      bedReservationApi.releaseExpired().catch((error) => {
+        // Read-only roles cannot release holds; expired holds still display as available
+        console.warn('Expired bed reservation sweep skipped:', error.message);
+      });
+    };
+
+    releaseExpired();
+    const intervalId = setInterval(releaseExpired, RESERVATION_SWEEP_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, []);
+
   const {
     data: departments = [],
     isLoading: isLoadingDepartments,
@@ -79,21 +100,112 @@ export const useBedManagement = () => {
       // No need to invalidate queries; onSnapshot will catch the change automatically
     },
     onError: (err) => {
+      if (isBedAssignmentConflict(err)) {
+        // Someone else changed the bed first; the live subscription already has the new state
+        toast.error(`${err.message}. Please choose another bed.`);
+        return;
+      }
       toast.error(err.message || 'Failed to assign bed');
     },
   });
 
+  // Transfer patient between beds mutation
+  const transferBedMutation = useMutation({
+    mutationFn: ({ patient_id, to_bed_id, reason, transferred_by }) =>
+      bedApi.transfer(patient_id, to_bed_id, reason, { transferredBy: transferred_by }),
+    onSuccess: (_result, variables) => {
+      toast.success('Patient transferred successfully');
+      queryClient.invalidateQueries({ queryKey: ['patients', variables.patient_id, 'timeline'] });
+    },
+    onError: (err) => {
+      if (isBedAssignmentConflict(err)) {
+        toast.error(`${err.message}. Please choose another bed.`);
+        return;
+      }
+      toast.error(err.message || 'Failed to transfer patient');
+    },
+  });
+
+  // Reserve bed (hold for incoming admission) mutation
+  const reserveBedMutation = useMutation({
+    mutationFn: bedReservationApi.reserve,
+    onSuccess: (reservation) => {
+      toast.success(`Bed reserved for ${reservation.patient_name}`);
+    },
+    onError: (err) => {
+      if (isBedAssignmentConflict(err)) {
+        toast.error(`${err.message}. Please choose another bed.`);
+        return;
+      }
+      toast.error(err.message || 'Failed to reserve bed');
+    },
+  });
+
+  // Release bed reservation mutation
+  const releaseReservationMutation = useMutation({
+    mutationFn: ({ reservation_id, ...options }) =>
+      bedReservationApi.release(reservation_id, options),
+    onSuccess: () => {
+      toast.success('Bed reservation released');
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to release reservation');
+    },
+  });
+
   // Discharge bed mutation
   const dischargeBedMutation = useMutation({
-    mutationFn: bedApi.discharge,
-    onSuccess: () => {
-      toast.success('Patient discharged successfully');
+    mutationFn: ({ bed_id, ...options }) => bedApi.discharge(bed_id, options),
+    onSuccess: (result) => {
+      toast.success(result.followUpAppointmentId
+        ? 'Patient discharged and follow-up booked'
+        : 'Patient discharged successfully');
+      // The discharge stands even when the follow-up could not be booked
+      if (result.followUpError) {
+        toast(`Follow-up appointment not booked: ${result.followUpError}`, { icon: '⚠️' });
+      }
+      // Patient status, timeline and discharge history changed
+      queryClient.invalidateQueries({ queryKey: ['patients'] });
+      queryClient.invalidateQueries({ queryKey: ['discharges'] });
+      if (result.followUpAppointmentId) {
+        queryClient.invalidateQueries({ queryKey: ['appointments'] });
+      }
     },
     onError: (err) => {
+      if (isBedAssignmentConflict(err)) {
+        toast.error(`${err.message}. The bed list has been refreshed.`);
+        return;
+      }
       toast.error(err.message || 'Failed to discharge patient');
     },
   });
 
+  // Expected discharge date mutation (the bed copy reaches the live subscription)
+  const setExpectedDischargeMutation = useMutation({
+    mutationFn: ({ assignment_id, expected_discharge_at, updated_by }) =>
+      bedAssignmentApi.setExpectedDischarge(assignment_id, expected_discharge_at, { updatedBy: updated_by }),
+    onSuccess: (result) => {
+      toast.success(result.expectedDischargeAt
+        ? 'Expected discharge updated'
+        : 'Expected discharge cleared');
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to update expected discharge');
+    },
+  });
+
+  // Bed lifecycle status mutation (cleaning sign-off, maintenance, blocked)
+  const updateBedStatusMutation = useMutation({
+    mutationFn: ({ bedId, status, reason, updatedBy }) =>
+      bedApi.updateStatus(bedId, status, { reason, updatedBy }),
+    onSuccess: (result) => {
+      toast.success(`Bed marked as ${result.status}`);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to update bed status');
+    },
+  });
+
   return {
     beds,
     departments,
@@ -105,7 +217,17 @@ export const useBedManagement = () => {
     bedsError,
     assignBed: assignBedMutation.mutate,
     isAssigning: assignBedMutation.isPending,
+    transferBed: transferBedMutation.mutate,
+    isTransferring: transferBedMutation.isPending,
+    reserveBed: reserveBedMutation.mutate,
+    isReserving: reserveBedMutation.isPending,
+    releaseReservation: releaseReservationMutation.mutate,
+    isReleasingReservation: releaseReservationMutation.isPending,
     dischargeBed: dischargeBedMutation.mutate,
     isDischarging: dischargeBedMutation.isPending,
+    setExpectedDischarge: setExpectedDischargeMutation.mutate,
+    isSettingExpectedDischarge: setExpectedDischargeMutation.isPending,
+    updateBedStatus: updateBedStatusMutation.mutate,
+    isUpdatingStatus: updateBedStatusMutation.isPending,
   };
 };
\ No newline at end of file
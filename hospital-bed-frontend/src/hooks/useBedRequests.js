@@ -0,0 +1,88 @@
+// src/hooks/useBedRequests.js
+/**
+ * useBedRequests Hook
+ *
+ * Live admission waitlist (bed request queue) with create/cancel/assign mutations.
+ * The queue is kept in the React Query cache by a Firestore subscription,
+ * the same way useBedManagement keeps beds live.
+ *
+ * Features:
+ * - Real-time queue ordered by acuity then waiting time
+ * - Add to waitlist, cancel, assign suggested bed
+ * - Conflict-aware error toasts
+ *
+ * Used in NurseDashboard and ReceptionDashboard
+ */
+
+import { useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { bedRequestApi } from '@services/api/bedRequestApi';
+import { isBedAssignmentConflict } from '@services/firebase/bedAssignmentValidation';
+import toast from 'react-hot-toast';
+
+export const useBedRequests = () => {
+  const queryClient = useQueryClient();
+
+  const {
+    data: requests = [],
+    isLoading: isLoadingRequests,
+  } = useQuery({
+    queryKey: ['bedRequests'],
+    queryFn: () => bedRequestApi.getQueue(),
+    staleTime: Infinity, // Kept fresh by the subscription below
+    refetchOnWindowFocus: false,
+  });
+
+  useEffect(() => {
+    const unsubscribe = bedRequestApi.subscribeToQueue((queue) => {
+      queryClient.setQueryData(['bedRequests'], queue);
+    });
+
+    return () => unsubscribe();
+  }, [queryClient]);
+
+  const createRequestMutation = useMutation({
+    mutationFn: bedRequestApi.create,
+    onSuccess: (request) => {
+      toast.success(`${request.patient_name || 'Patient'} added to the bed waitlist`);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to add patient to the waitlist');
+    },
+  });
+
+  const cancelRequestMutation = useMutation({
+    mutationFn: ({ id, ...options }) => bedRequestApi.cancel(id, options),
+    onSuccess: () => {
+      toast.success('Bed request removed from the waitlist');
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to cancel bed request');
+    },
+  });
+
+  const fulfillRequestMutation = useMutation({
+    mutationFn: ({ id, ...data }) => bedRequestApi.fulfill(id, data),
+    onSuccess: () => {
+      toast.success('Bed assigned from the waitlist');
+    },
+    onError: (err) => {
+      if (isBedAssignmentConflict(err)) {
+        toast.error(`${err.message}. The next suggestion has been refreshed.`);
+        return;
+      }
+      toast.error(err.message || 'Failed to assign bed');
+    },
+  });
+
+  return {
+    requests,
+    isLoadingRequests,
+    createRequest: createRequestMutation.mutate,
+    isCreatingRequest: createRequestMutation.isPending,
+    cancelRequest: cancelRequestMutation.mutate,
+    isCancellingRequest: cancelRequestMutation.isPending,
+    fulfillRequest: fulfillRequestMutation.mutate,
+    isFulfillingRequest: fulfillRequestMutation.isPending,
+  };
+};
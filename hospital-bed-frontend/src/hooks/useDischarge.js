@@ -0,0 +1,75 @@
+// src/hooks/useDischarge.js
+/**
+ * useDischarge Hooks
+ *
+ * Queries backing the structured discharge workflow.
+ *
+ * Features:
+ * - Doctors list for booking the follow-up (shared ['doctors'] cache)
+ * - Discharge history per patient
+ * - Printable discharge summary for one stay
+ *
+ * Used in BedManagementPage, PatientDetailPage, DischargeSummaryPage and the report pages
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import * as userApi from '@services/api/userApi';
+import { dischargeApi } from '@services/api/dischargeApi';
+import { ROLES } from '@lib/constants';
+
+/**
+ * Doctors available for follow-up appointments
+ * @param {boolean} enabled - fetch only when a discharge dialog can open
+ */
+export const useDoctors = (enabled = true) => {
+  const {
+    data: doctors = [],
+    isLoading: isLoadingDoctors,
+  } = useQuery({
+    queryKey: ['doctors'],
+    queryFn: () => userApi.getAll({ role: ROLES.DOCTOR }),
+    enabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes (doctors list doesn't change often)
+    refetchOnWindowFocus: false,
+  });
+
+  return { doctors, isLoadingDoctors };
+};
+
+/**
+ * A patient's discharges, most recent first
+ * @param {string} patientId
+ */
+export const usePatientDischarges = (patientId) => {
+  const {
+    data: discharges = [],
+    isLoading: isLoadingDischarges,
+  } = useQuery({
+    queryKey: ['discharges', patientId],
+    queryFn: () => dischargeApi.getByPatient(patientId),
+    enabled: !!patientId,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  });
+
+  return { discharges, isLoadingDischarges };
+};
+
+/**
+ * Discharge summary document for one stay
+ * @param {string} assignmentId - discharged bed assignment ID
+ */
+export const useDischargeSummary = (assignmentId) => {
+  const {
+    data: summary,
+    isLoading: isLoadingSummary,
+    isError: isErrorSummary,
+    error: summaryError,
+  } = useQuery({
+    queryKey: ['discharges', 'summary', assignmentId],
+    queryFn: () => dischargeApi.getSummary(assignmentId),
+    enabled: !!assignmentId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  return { summary, isLoadingSummary, isErrorSummary, summaryError };
+};
@@ -0,0 +1,111 @@
+// src/hooks/useDoctorSchedule.js
+/**
+ * useDoctorSchedule Hooks
+ *
+ * Queries and mutations for doctor availability.
+ *
+ * Features:
+ * - A doctor's working hours, slot length and blocked time
+ * - Update hours, add/remove blocked time with toast feedback
+ * - Free/taken slots for a doctor on a day (refreshed with the appointments cache)
+ *
+ * Used in AppointmentForm and DoctorScheduleDialog
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { parseISO } from 'date-fns';
+import { doctorScheduleApi } from '@services/api/doctorScheduleApi';
+import toast from 'react-hot-toast';
+
+/**
+ * A doctor's schedule with mutations to change it
+ * @param {string} doctorId
+ */
+export const useDoctorSchedule = (doctorId) => {
+  const queryClient = useQueryClient();
+
+  const {
+    data: schedule = null,
+    isLoading: isLoadingSchedule,
+    error: scheduleError,
+  } = useQuery({
+    queryKey: ['doctorSchedules', doctorId],
+    queryFn: () => doctorScheduleApi.getSchedule(doctorId),
+    enabled: !!doctorId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  // Schedule changes move which slots are free
+  const onScheduleChanged = (updatedSchedule) => {
+    queryClient.setQueryData(['doctorSchedules', doctorId], updatedSchedule);
+    queryClient.invalidateQueries({ queryKey: ['appointments', 'slots', doctorId] });
+  };
+
+  const updateScheduleMutation = useMutation({
+    mutationFn: (data) => doctorScheduleApi.updateSchedule(doctorId, data),
+    onSuccess: (updatedSchedule) => {
+      onScheduleChanged(updatedSchedule);
+      toast.success('Working hours saved');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to update working hours');
+    },
+  });
+
+  const addBlockedTimeMutation = useMutation({
+    mutationFn: (data) => doctorScheduleApi.addBlockedTime(doctorId, data),
+    onSuccess: (updatedSchedule) => {
+      onScheduleChanged(updatedSchedule);
+      toast.success('Time blocked');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to block time');
+    },
+  });
+
+  const removeBlockedTimeMutation = useMutation({
+    mutationFn: (blockedTimeId) => doctorScheduleApi.removeBlockedTime(doctorId, blockedTimeId),
+    onSuccess: (updatedSchedule) => {
+      onScheduleChanged(updatedSchedule);
+      toast.success('Blocked time removed');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to remove blocked time');
+    },
+  });
+
+  return {
+    schedule,
+    isLoadingSchedule,
+    scheduleError,
+    updateSchedule: updateScheduleMutation.mutateAsync,
+    addBlockedTime: addBlockedTimeMutation.mutateAsync,
+    removeBlockedTime: removeBlockedTimeMutation.mutate,
+    isSavingSchedule: updateScheduleMutation.isPending,
+    isBlockingTime: addBlockedTimeMutation.isPending,
+    isRemovingBlockedTime: removeBlockedTimeMutation.isPending,
+  };
+};
+
+/**
+ * A doctor's slots on a day, each marked free or taken
+ * @param {Object} params - { doctorId, date ('yyyy-MM-dd'), excludeAppointmentId? }
+ */
+export const useAvailableSlots = ({ doctorId, date, excludeAppointmentId = null }) => {
+  const {
+    data: slots = [],
+    isLoading: isLoadingSlots,
+    error: slotsError,
+  } = useQuery({
+    queryKey: ['appointments', 'slots', doctorId, date, excludeAppointmentId],
+    queryFn: () => doctorScheduleApi.getAvailableSlots({
+      doctorId,
+      date: parseISO(date),
+      excludeAppointmentId,
+    }),
+    enabled: !!doctorId && !!date,
+    staleTime: 1000 * 30, // 30 seconds - other desks book the same doctors
+  });
+
+  return { slots, isLoadingSlots, slotsError };
+};
@@ -0,0 +1,75 @@
+// src/hooks/useFormulary.js
+/**
+ * useFormulary Hooks
+ *
+ * Medication formulary and per-department pharmacy stock.
+ *
+ * Features:
+ * - useFormulary: formulary items for prescribing and reports
+ * - useFormularyStock: stock levels (one department or all) with the
+ *   set-level mutation for stock counts and deliveries
+ * - Toast feedback
+ *
+ * Used in PrescriptionForm, PharmacyStockPage and useMedicationUsage
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formularyApi } from '@services/api/formularyApi';
+import toast from 'react-hot-toast';
+
+/**
+ * @param {Object} [params]
+ * @param {boolean} [params.enabled] - load only when needed (e.g. dialog open)
+ */
+export const useFormulary = ({ enabled = true } = {}) => {
+  const {
+    data: formulary = [],
+    isLoading: isLoadingFormulary,
+    error: formularyError,
+  } = useQuery({
+    queryKey: ['formulary'],
+    queryFn: () => formularyApi.getAll(),
+    enabled,
+    staleTime: 1000 * 60 * 10, // 10 minutes - the formulary rarely changes
+  });
+
+  return { formulary, isLoadingFormulary, formularyError };
+};
+
+/**
+ * @param {Object} [params]
+ * @param {string} [params.departmentId] - department (all departments when omitted)
+ * @param {Object} [params.user] - current user ({ id }), recorded on stock changes
+ */
+export const useFormularyStock = ({ departmentId = null, user = null } = {}) => {
+  const queryClient = useQueryClient();
+
+  const {
+    data: stock = [],
+    isLoading: isLoadingStock,
+  } = useQuery({
+    queryKey: ['formularyStock', departmentId],
+    queryFn: () => formularyApi.getStock({ departmentId }),
+    staleTime: 1000 * 60, // 1 minute - dispensing takes stock down
+  });
+
+  const setStockMutation = useMutation({
+    mutationFn: (data) => formularyApi.setStock({ ...data, updated_by: user?.id }),
+    onSuccess: (entry) => {
+      toast.success(`${entry.medication_name} stock set to ${entry.quantity}`);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to update stock');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['formularyStock'] });
+    },
+  });
+
+  return {
+    stock,
+    isLoadingStock,
+    setStock: setStockMutation.mutate,
+    isSavingStock: setStockMutation.isPending,
+  };
+};
@@ -0,0 +1,139 @@
+// src/hooks/useMedicationAdministration.js
+/**
+ * useMedicationAdministration Hooks
+ *
+ * Medication administration record (MAR) for nurses.
+ *
+ * Features:
+ * - usePatientMar: a patient's scheduled and recorded doses for a date range
+ * - useDueDoses: doses due in the next hour (and overdue ones) across a
+ *   ward, refreshed every minute, plus the periodic overdue notification sweep
+ * - useDoseRecording: record dialog state and the record mutation (attributed
+ *   to the user, with their initials)
+ * - Toast feedback
+ *
+ * Used in MedicationAdministrationGrid (PatientDetailTabs, PatientDetailPage)
+ * and NurseDashboard
+ */
+
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { medicationAdministrationApi } from '@services/api/medicationAdministrationApi';
+import { MAR_DOSE_STATUS_LABELS } from '@lib/constants';
+import { formatInitials } from '@lib/formatters';
+import toast from 'react-hot-toast';
+
+// How often the due list is refreshed
+const DUE_DOSES_REFRESH_MS = 60 * 1000;
+
+// How often unrecorded doses are checked for overdue notifications
+const OVERDUE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {Date} params.from - start of the range
+ * @param {Date} params.to - end of the range
+ */
+export const usePatientMar = ({ patientId, from, to }) => {
+  const {
+    data: rows = [],
+    isLoading: isLoadingMar,
+    error: marError,
+  } = useQuery({
+    queryKey: ['medicationAdministrations', 'mar', patientId, from.toISOString(), to.toISOString()],
+    queryFn: () => medicationAdministrationApi.getPatientMar(patientId, { from, to }),
+    enabled: !!patientId,
+    staleTime: 1000 * 60, // 1 minute - doses turn due / overdue as time passes
+    refetchInterval: DUE_DOSES_REFRESH_MS,
+  });
+
+  return { rows, isLoadingMar, marError };
+};
+
+/**
+ * @param {Object} params
+ * @param {string} [params.departmentId] - ward (all wards when omitted)
+ */
+export const useDueDoses = ({ departmentId = null } = {}) => {
+  const queryClient = useQueryClient();
+
+  const {
+    data: dueDoses = [],
+    isLoading: isLoadingDueDoses,
+  } = useQuery({
+    queryKey: ['medicationAdministrations', 'due', departmentId],
+    queryFn: () => medicationAdministrationApi.getDueDoses({ departmentId }),
+    staleTime: DUE_DOSES_REFRESH_MS,
+    refetchInterval: DUE_DOSES_REFRESH_MS,
+  });
+
+  // Notify about overdue doses (each dose is claimed once, so several open clients are fine)
+  useEffect(() => {
+    const sweepOverdueDoses = () => {
+      medicationAdministrationApi.notifyOverdueDoses()
+        .then(({ notifications }) => {
+          if (notifications > 0) queryClient.invalidateQueries({ queryKey: ['notifications'] });
+        })
+        .catch((error) => {
+          console.warn('Overdue dose sweep skipped:', error.message);
+        });
+    };
+
+    sweepOverdueDoses();
+    const intervalId = setInterval(sweepOverdueDoses, OVERDUE_SWEEP_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [queryClient]);
+
+  return { dueDoses, isLoadingDueDoses };
+};
+
+/**
+ * @param {Object} params
+ * @param {Object} [params.user] - current user ({ id, full_name }), recorded on the dose
+ */
+export const useDoseRecording = ({ user = null } = {}) => {
+  const queryClient = useQueryClient();
+  // { dose, prescription } while the record dialog is open
+  const [pendingDose, setPendingDose] = useState(null);
+
+  const recordMutation = useMutation({
+    mutationFn: (data) => medicationAdministrationApi.recordDose({
+      ...data,
+      recorded_by: user?.id || 'system',
+      recorded_by_name: user?.full_name || null,
+    }),
+    onSuccess: (administration) => {
+      toast.success(`${administration.medication_name}: dose ${MAR_DOSE_STATUS_LABELS[administration.status].toLowerCase()}`);
+      setPendingDose(null);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to record dose');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['medicationAdministrations'] });
+    },
+  });
+
+  /**
+   * Submit the open dialog
+   * @param {Object} data - { status, administered_at?, initials, reason? }
+   */
+  const submitRecord = (data) => {
+    if (!pendingDose) return;
+    recordMutation.mutate({
+      ...data,
+      prescription_id: pendingDose.prescription.id,
+      scheduled_at: pendingDose.dose?.scheduled_at || null,
+    });
+  };
+
+  return {
+    pendingDose,
+    startRecord: (prescription, dose = null) => setPendingDose({ prescription, dose }),
+    closeRecord: () => setPendingDose(null),
+    submitRecord,
+    defaultInitials: formatInitials(user?.full_name),
+    isRecording: recordMutation.isPending,
+  };
+};
@@ -0,0 +1,73 @@
+// src/hooks/useOccupancyTrend.js
+/**
+ * useOccupancyTrend Hook
+ *
+ * Historical occupancy series for a date range, from occupancyApi
+ * (snapshots rebuilt from bed assignment history).
+ *
+ * Returns the raw series plus chart-ready rows for OccupancyChart:
+ * [{ date: 'Dec 1', ICU: 85.2, Emergency: 91 }]
+ *
+ * Used in DepartmentLoadReportPage and OccupancyReportPage
+ */
+
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { format, parseISO } from 'date-fns';
+import * as occupancyApi from '@services/api/occupancyApi';
+import { OCCUPANCY_GRANULARITY, ROLES } from '@lib/constants';
+import { getEndOfDay, getStartOfDay } from '@lib/dateUtils';
+import { useAuth } from './useAuth';
+
+/**
+ * @param {Object} params
+ * @param {string} params.from - first day, 'yyyy-MM-dd'
+ * @param {string} params.to - last day (inclusive), 'yyyy-MM-dd'
+ * @param {string} params.granularity - OCCUPANCY_GRANULARITY value (default: day)
+ * @param {Array} params.departments - [{ id, name }] used for chart labels
+ * @param {string} params.departmentId - 'all' (default) or a single department ID
+ */
+export const useOccupancyTrend = ({
+  from,
+  to,
+  granularity = OCCUPANCY_GRANULARITY.DAY,
+  departments = [],
+  departmentId = 'all',
+}) => {
+  const { currentRole } = useAuth();
+  // Only admins may store rebuilt periods; everyone else gets them computed live
+  const storeSnapshots = currentRole === ROLES.ADMIN;
+
+  const {
+    data: series = [],
+    isLoading,
+    error,
+  } = useQuery({
+    queryKey: ['occupancy', from, to, granularity],
+    queryFn: () => occupancyApi.getTimeSeries({
+      from: getStartOfDay(parseISO(from)),
+      to: getEndOfDay(parseISO(to)),
+      granularity,
+      storeSnapshots,
+    }),
+    enabled: !!from && !!to && from <= to,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  const chartData = useMemo(() => {
+    const shown = departmentId === 'all'
+      ? departments
+      : departments.filter(dept => dept.id === departmentId);
+    const labelFormat = granularity === OCCUPANCY_GRANULARITY.HOUR ? 'MMM d HH:00' : 'MMM d';
+
+    return series.map(period => ({
+      date: format(parseISO(period.period_start), labelFormat),
+      ...Object.fromEntries(
+        shown.map(dept => [dept.name, period.departments[dept.id]?.occupancy_rate ?? 0])
+      ),
+    }));
+  }, [series, departments, departmentId, granularity]);
+
+  return { series, chartData, isLoading, error };
+};
@@ -0,0 +1,176 @@
+// src/hooks/usePrescriptionActions.js
+/**
+ * usePrescriptionActions Hook
+ *
+ * Prescribe, dispense, hold, resume and discontinue prescriptions from a
+ * prescription list. Tracks which action dialog is open
+ * (PrescriptionForm / PrescriptionActionDialog) and records who acted in the
+ * prescription's history.
+ *
+ * Features:
+ * - New prescriptions with a live allergy / interaction check
+ *   (usePrescriptionSafetyCheck) and an override reason for severe warnings
+ * - One dialog state for dispense / hold / discontinue
+ * - Resume is immediate (no dialog)
+ * - Refreshes the patient profile (its prescriptions and timeline) and
+ *   prescription reports after every change, and stock levels after a dispense
+ * - Toast feedback
+ *
+ * Used in PatientDetailPage
+ */
+
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { prescriptionApi } from '@services/api/prescriptionApi';
+import { isPrescriptionSafetyError } from '@services/firebase/prescriptionSafety';
+import { useDebounce } from '@hooks/useDebounce';
+import { PRESCRIPTION_STATUS, DEBOUNCE } from '@lib/constants';
+import toast from 'react-hot-toast';
+
+// Actions that open PrescriptionActionDialog
+const PRESCRIPTION_ACTIONS = {
+  DISPENSE: 'dispense',
+  HOLD: 'hold',
+  DISCONTINUE: 'discontinue',
+};
+
+/**
+ * @param {Object} params
+ * @param {Object} [params.user] - current user ({ id, full_name }), recorded in the history
+ */
+export const usePrescriptionActions = ({ user = null } = {}) => {
+  const queryClient = useQueryClient();
+  // { action, prescription } while a dialog is open
+  const [pendingAction, setPendingAction] = useState(null);
+  const [isPrescribing, setIsPrescribing] = useState(false);
+
+  const actor = {
+    changed_by: user?.id || 'system',
+    changed_by_name: user?.full_name || null,
+  };
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['patients'] });
+    queryClient.invalidateQueries({ queryKey: ['prescriptions'] });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (data) => prescriptionApi.create({ ...data, doctor_id: data.doctor_id || user?.id }),
+    onSuccess: (prescription) => {
+      const count = prescription.safety_warnings.length;
+      toast.success(count
+        ? `${prescription.medication_name} prescribed with ${count} safety warning${count === 1 ? '' : 's'}`
+        : `${prescription.medication_name} prescribed`);
+      setIsPrescribing(false);
+    },
+    onError: (err) => {
+      toast.error(isPrescriptionSafetyError(err)
+        ? 'Severe safety warnings need an override reason'
+        : err.message || 'Failed to create prescription');
+    },
+    onSettled: invalidate,
+  });
+
+  const dispenseMutation = useMutation({
+    mutationFn: ({ id, quantity, notes }) => prescriptionApi.dispense(id, {
+      quantity,
+      notes,
+      dispensed_by: actor.changed_by,
+      dispensed_by_name: actor.changed_by_name,
+    }),
+    onSuccess: (prescription) => {
+      toast.success(prescription.status === PRESCRIPTION_STATUS.DISPENSED
+        ? `${prescription.medication_name} fully dispensed`
+        : `${prescription.medication_name} partially dispensed (${prescription.remaining_quantity} left)`);
+      setPendingAction(null);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to dispense prescription');
+    },
+    onSettled: () => {
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ['formularyStock'] });
+    },
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: ({ id, status, reason }) => prescriptionApi.updateStatus(id, status, { ...actor, reason }),
+    onSuccess: (prescription) => {
+      toast.success(`${prescription.medication_name} is now ${prescription.status.replace(/_/g, ' ')}`);
+      setPendingAction(null);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to update prescription');
+    },
+    onSettled: invalidate,
+  });
+
+  /**
+   * Submit the open dialog
+   * @param {Object} data - { quantity?, notes? } to dispense, { reason } to hold/discontinue
+   */
+  const submitAction = (data = {}) => {
+    if (!pendingAction) return;
+    const { action, prescription } = pendingAction;
+
+    if (action === PRESCRIPTION_ACTIONS.DISPENSE) {
+      dispenseMutation.mutate({ id: prescription.id, quantity: data.quantity, notes: data.notes });
+      return;
+    }
+    statusMutation.mutate({
+      id: prescription.id,
+      status: action === PRESCRIPTION_ACTIONS.HOLD ? PRESCRIPTION_STATUS.ON_HOLD : PRESCRIPTION_STATUS.DISCONTINUED,
+      reason: data.reason,
+    });
+  };
+
+  return {
+    isPrescribing,
+    startPrescribe: () => setIsPrescribing(true),
+    closePrescribe: () => setIsPrescribing(false),
+    createPrescription: createMutation.mutate,
+    isCreating: createMutation.isPending,
+    pendingAction,
+    startDispense: (prescription) => setPendingAction({ action: PRESCRIPTION_ACTIONS.DISPENSE, prescription }),
+    startHold: (prescription) => setPendingAction({ action: PRESCRIPTION_ACTIONS.HOLD, prescription }),
+    startDiscontinue: (prescription) => setPendingAction({ action: PRESCRIPTION_ACTIONS.DISCONTINUE, prescription }),
+    closeAction: () => setPendingAction(null),
+    submitAction,
+    resume: (prescription) => statusMutation.mutate({ id: prescription.id, status: PRESCRIPTION_STATUS.ACTIVE }),
+    isSubmitting: dispenseMutation.isPending || statusMutation.isPending,
+  };
+};
+
+/**
+ * Live safety check of a medication against the patient's allergies and
+ * current prescriptions, while it is being typed
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {string} params.medicationName
+ * @param {string} [params.prescriptionId] - prescription being edited (skipped)
+ */
+export const usePrescriptionSafetyCheck = ({ patientId, medicationName, prescriptionId = null }) => {
+  const debouncedName = useDebounce((medicationName || '').trim(), DEBOUNCE.INPUT);
+
+  const {
+    data: warnings = [],
+    isFetching: isChecking,
+    error: checkError,
+  } = useQuery({
+    queryKey: ['prescriptions', 'safety', patientId, debouncedName, prescriptionId],
+    queryFn: () => prescriptionApi.checkSafety({
+      patient_id: patientId,
+      medication_name: debouncedName,
+      prescription_id: prescriptionId,
+    }),
+    enabled: !!patientId && debouncedName.length >= 2,
+    staleTime: 1000 * 30, // 30 seconds - allergies and prescriptions change rarely mid-form
+  });
+
+  return {
+    // Only trust results for what is typed now
+    warnings: debouncedName === (medicationName || '').trim() ? warnings : [],
+    isChecking: isChecking || debouncedName !== (medicationName || '').trim(),
+    checkError,
+  };
+};
@@ -0,0 +1,177 @@
+// src/hooks/usePrescriptionManagement.js
+/**
+ * usePrescriptionManagement Hook
+ *
+ * Prescriptions across all patients for the pharmacy and ward desk
+ * (PrescriptionManagementPage), and the prescriptions behind a print view
+ * (PrescriptionPrintPage).
+ *
+ * Features:
+ * - All prescriptions with the patient's and prescriber's names joined in
+ * - Doctors list for filtering
+ * - Barcode lookup: a scanned prescription barcode resolves to the
+ *   prescription, from the loaded list or from Firestore
+ * - Print view: the chosen prescriptions with patient identifiers and
+ *   prescriber, and recording each print in the prescriptions' print log
+ * - Loading and error states, toast feedback
+ *
+ * Dispensing and status changes go through usePrescriptionActions, which
+ * refreshes these queries.
+ */
+
+import { useMemo } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { prescriptionApi } from '@services/api/prescriptionApi';
+import * as patientApi from '@services/api/patientApi';
+import * as userApi from '@services/api/userApi';
+import { parsePrescriptionBarcode } from '@lib/barcode';
+import { ROLES } from '@lib/constants';
+import toast from 'react-hot-toast';
+
+/**
+ * Prescription with the patient and prescriber attached
+ * @param {Object} prescription
+ * @param {Map} patients - id → raw patient document
+ * @param {Map} doctors - id → raw user document
+ * @returns {Object} prescription with patient_name, patient and doctor_name
+ */
+const withNames = (prescription, patients, doctors) => {
+  const patient = patients.get(prescription.patient_id) || null;
+  const doctor = doctors.get(prescription.doctor_id) || null;
+  return {
+    ...prescription,
+    patient,
+    patient_name: patient?.fullName || patient?.full_name || null,
+    doctor_name: doctor?.fullName || doctor?.full_name || null,
+  };
+};
+
+/**
+ * @param {Object} [filters] - prescriptionApi.getAll filters (doctorId, status, from, to)
+ */
+export const usePrescriptionManagement = (filters = {}) => {
+  const queryClient = useQueryClient();
+
+  const {
+    data: rawPrescriptions = [],
+    isLoading: isLoadingPrescriptions,
+    isError: isErrorPrescriptions,
+    refetch: refetchPrescriptions,
+  } = useQuery({
+    queryKey: ['prescriptions', 'all', filters],
+    queryFn: () => prescriptionApi.getAll(filters),
+    staleTime: 1000 * 60, // 1 minute (dispensing moves quickly)
+  });
+
+  // Shared cache with useBedManagement
+  const {
+    data: patients = [],
+    isLoading: isLoadingPatients,
+  } = useQuery({
+    queryKey: ['patients'],
+    queryFn: patientApi.getAll,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  // Shared cache with useAppointmentManagement
+  const {
+    data: doctors = [],
+    isLoading: isLoadingDoctors,
+  } = useQuery({
+    queryKey: ['doctors'],
+    queryFn: () => userApi.getAll({ role: ROLES.DOCTOR }),
+    staleTime: 1000 * 60 * 5,
+    refetchOnWindowFocus: false,
+  });
+
+  const patientsById = useMemo(() => new Map(patients.map(p => [p.id, p])), [patients]);
+  const doctorsById = useMemo(() => new Map(doctors.map(d => [d.id, d])), [doctors]);
+
+  const prescriptions = useMemo(
+    () => rawPrescriptions.map(p => withNames(p, patientsById, doctorsById)),
+    [rawPrescriptions, patientsById, doctorsById]
+  );
+
+  /**
+   * Prescription for a scanned barcode
+   * @param {string} text - scanned text, e.g. 'RX-aB3dE9'
+   * @returns {Promise<Object>} prescription with names
+   * @throws {Error} If the text is not a prescription barcode or the prescription does not exist
+   */
+  const findByBarcode = async (text) => {
+    const id = parsePrescriptionBarcode(text);
+    if (!id) throw new Error('Not a prescription barcode');
+
+    // Always read it fresh: the list may be a minute old
+    const prescription = await queryClient.fetchQuery({
+      queryKey: ['prescriptions', id],
+      queryFn: () => prescriptionApi.getById(id),
+      staleTime: 0,
+    });
+    return withNames(prescription, patientsById, doctorsById);
+  };
+
+  return {
+    prescriptions,
+    doctors,
+    isLoadingPrescriptions: isLoadingPrescriptions || isLoadingPatients || isLoadingDoctors,
+    isErrorPrescriptions,
+    refetchPrescriptions,
+    findByBarcode,
+  };
+};
+
+/**
+ * Prescriptions for a print view, with patient identifiers and prescriber
+ * @param {Object} params
+ * @param {string[]} params.ids - prescriptions to print, in order
+ * @param {Object} [params.user] - current user ({ id, full_name }), recorded in the print log
+ */
+export const usePrescriptionPrint = ({ ids = [], user = null } = {}) => {
+  const queryClient = useQueryClient();
+
+  const {
+    data: prescriptions = [],
+    isLoading: isLoadingPrint,
+    isError: isErrorPrint,
+  } = useQuery({
+    queryKey: ['prescriptions', 'print', ids],
+    queryFn: async () => {
+      const found = await Promise.all(ids.map(prescriptionApi.getById));
+      const patientIds = [...new Set(found.map(p => p.patient_id).filter(Boolean))];
+      const doctorIds = [...new Set(found.map(p => p.doctor_id).filter(Boolean))];
+      // A missing patient or prescriber record still prints, without the name
+      const [patients, doctors] = await Promise.all([
+        Promise.all(patientIds.map(id => patientApi.getById(id).catch(() => null))),
+        Promise.all(doctorIds.map(id => userApi.getById(id).catch(() => null))),
+      ]);
+      const byId = (records) => new Map(records.filter(Boolean).map(r => [r.id, r]));
+      return found.map(p => withNames(p, byId(patients), byId(doctors)));
+    },
+    enabled: ids.length > 0,
+    staleTime: 1000 * 60,
+  });
+
+  const logPrintMutation = useMutation({
+    mutationFn: (kind) => prescriptionApi.logPrint(ids, {
+      kind,
+      printed_by: user?.id || 'system',
+      printed_by_name: user?.full_name || null,
+    }),
+    onError: (err) => {
+      toast.error(err.message || 'Failed to record printing');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['patients'] });
+      queryClient.invalidateQueries({ queryKey: ['prescriptions'] });
+    },
+  });
+
+  return {
+    prescriptions,
+    isLoadingPrint,
+    isErrorPrint,
+    logPrint: logPrintMutation.mutateAsync,
+    isLoggingPrint: logPrintMutation.isPending,
+  };
+};
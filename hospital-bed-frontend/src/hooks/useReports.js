@@ -0,0 +1,154 @@
+// src/hooks/useReports.js
+/**
+ * useReports Hooks
+ *
+ * Queries backing the admin report pages.
+ *
+ * Features:
+ * - Average length of stay and bed turnover for a date range
+ * - Medication usage grouped by formulary item (top medications, dispensed vs. pending,
+ *   units dispensed, per-doctor volume)
+ * - Clinic wait and consultation times per doctor
+ * - No-show rates by doctor, weekday and hour
+ *
+ * Used in OccupancyReportPage, MedicationUsageReportPage, WaitTimeReportPage and NoShowReportPage
+ */
+
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { parseISO } from 'date-fns';
+import * as occupancyApi from '@services/api/occupancyApi';
+import * as prescriptionApi from '@services/api/prescriptionApi';
+import * as appointmentApi from '@services/api/appointmentApi';
+import { buildMedicationUsage } from '@services/firebase/medicationUsage';
+import { buildWaitTimeStatistics } from '@services/firebase/waitingRoom';
+import { buildNoShowStatistics } from '@services/firebase/appointmentNoShows';
+import { getEndOfDay, getStartOfDay } from '@lib/dateUtils';
+import { useDoctors } from './useDischarge';
+import { useFormulary } from './useFormulary';
+
+/**
+ * Length of stay and bed turnover for discharges in a date range
+ * @param {Object} params - { from, to } as 'yyyy-MM-dd' (to is inclusive)
+ */
+export const useStayStatistics = ({ from, to }) => {
+  const {
+    data: stayStatistics = null,
+    isLoading: isLoadingStayStatistics,
+    error: stayStatisticsError,
+  } = useQuery({
+    queryKey: ['occupancy', 'stays', from, to],
+    queryFn: () => occupancyApi.getStayStatistics({
+      from: getStartOfDay(parseISO(from)),
+      to: getEndOfDay(parseISO(to)),
+    }),
+    enabled: !!from && !!to && from <= to,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  return { stayStatistics, isLoadingStayStatistics, stayStatisticsError };
+};
+
+/**
+ * Medication usage for prescriptions written in a date range
+ * @param {Object} params - { from, to } as 'yyyy-MM-dd' (to is inclusive)
+ */
+export const useMedicationUsage = ({ from, to }) => {
+  const { doctors, isLoadingDoctors } = useDoctors();
+  const { formulary, isLoadingFormulary } = useFormulary();
+
+  const {
+    data: prescriptions = [],
+    isLoading: isLoadingPrescriptions,
+    error,
+  } = useQuery({
+    queryKey: ['prescriptions', 'usage', from, to],
+    queryFn: () => prescriptionApi.getAll({
+      from: getStartOfDay(parseISO(from)),
+      to: getEndOfDay(parseISO(to)),
+    }),
+    enabled: !!from && !!to && from <= to,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  const usage = useMemo(
+    () => buildMedicationUsage({ prescriptions, doctors, formulary }),
+    [prescriptions, doctors, formulary]
+  );
+
+  return {
+    usage,
+    isLoading: isLoadingPrescriptions || isLoadingDoctors || isLoadingFormulary,
+    error,
+  };
+};
+
+/**
+ * Wait and consultation times per doctor for visits in a date range
+ * @param {Object} params - { from, to } as 'yyyy-MM-dd' (to is inclusive)
+ */
+export const useWaitTimeStatistics = ({ from, to }) => {
+  const { doctors, isLoadingDoctors } = useDoctors();
+
+  const {
+    data: visits = [],
+    isLoading: isLoadingVisits,
+    error,
+  } = useQuery({
+    queryKey: ['appointments', 'visitTimes', from, to],
+    queryFn: () => appointmentApi.getVisitTimes({
+      from: getStartOfDay(parseISO(from)),
+      to: getEndOfDay(parseISO(to)),
+    }),
+    enabled: !!from && !!to && from <= to,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  const waitTimes = useMemo(
+    () => buildWaitTimeStatistics({ appointments: visits, doctors }),
+    [visits, doctors]
+  );
+
+  return {
+    waitTimes,
+    isLoading: isLoadingVisits || isLoadingDoctors,
+    error,
+  };
+};
+
+/**
+ * No-show rates by doctor, weekday and hour for appointments in a date range
+ * @param {Object} params - { from, to } as 'yyyy-MM-dd' (to is inclusive)
+ */
+export const useNoShowStatistics = ({ from, to }) => {
+  const { doctors, isLoadingDoctors } = useDoctors();
+
+  const {
+    data: outcomes = [],
+    isLoading: isLoadingOutcomes,
+    error,
+  } = useQuery({
+    queryKey: ['appointments', 'outcomes', from, to],
+    queryFn: () => appointmentApi.getAppointmentOutcomes({
+      from: getStartOfDay(parseISO(from)),
+      to: getEndOfDay(parseISO(to)),
+    }),
+    enabled: !!from && !!to && from <= to,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  const noShows = useMemo(
+    () => buildNoShowStatistics({ appointments: outcomes, doctors }),
+    [outcomes, doctors]
+  );
+
+  return {
+    noShows,
+    isLoading: isLoadingOutcomes || isLoadingDoctors,
+    error,
+  };
+};
@@ -0,0 +1,108 @@
+// src/hooks/useWaitingRoom.js
+/**
+ * useWaitingRoom Hook
+ *
+ * Live waiting room for today's appointments with check-in and call-in mutations.
+ * A Firestore subscription keeps the shared appointments cache fresh (the same
+ * entry useAppointmentManagement reads), and wait times tick every minute.
+ *
+ * Features:
+ * - Expected, waiting and in-consultation lists (see waitingRoom.buildWaitingRoom)
+ * - Check in / undo check-in at the front desk
+ * - Call the next patient for a doctor, complete the consultation
+ * - Error toasts for refused status changes
+ *
+ * Used in ReceptionDashboard and DoctorDashboard
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { appointmentApi } from '@services/api/appointmentApi';
+import { buildWaitingRoom } from '@services/firebase/waitingRoom';
+import { APPOINTMENT_STATUS } from '@lib/constants';
+import toast from 'react-hot-toast';
+
+// Refresh the displayed wait times
+const CLOCK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @param {Object} params
+ * @param {string} [params.doctorId] - only this doctor's queue
+ * @param {string} [params.userId] - recorded as who checked in / called in
+ */
+export const useWaitingRoom = ({ doctorId = null, userId = null } = {}) => {
+  const queryClient = useQueryClient();
+  const [now, setNow] = useState(() => new Date());
+
+  const {
+    data: appointments = [],
+    isLoading: isLoadingWaitingRoom,
+  } = useQuery({
+    queryKey: ['appointments', {}],
+    queryFn: () => appointmentApi.getAll({}),
+    staleTime: Infinity, // Kept fresh by the subscription below
+    refetchOnWindowFocus: false,
+  });
+
+  useEffect(() => {
+    const unsubscribe = appointmentApi.subscribeToAppointments((updated) => {
+      queryClient.setQueryData(['appointments', {}], updated);
+    });
+
+    return () => unsubscribe();
+  }, [queryClient]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const waitingRoom = useMemo(
+    () => buildWaitingRoom(appointments, { doctorId, now }),
+    [appointments, doctorId, now]
+  );
+
+  const statusMutation = useMutation({
+    mutationFn: ({ id, status }) => appointmentApi.updateStatus(id, status, { updatedBy: userId }),
+    onSuccess: (_result, { status, appointment }) => {
+      const name = appointment?.patient_name || 'Patient';
+      if (status === APPOINTMENT_STATUS.CHECKED_IN) toast.success(`${name} checked in`);
+      else if (status === APPOINTMENT_STATUS.SCHEDULED) toast.success(`Check-in undone for ${name}`);
+      else if (status === APPOINTMENT_STATUS.COMPLETED) toast.success(`Consultation with ${name} completed`);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to update appointment status');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['appointments'] });
+    },
+  });
+
+  const callNextMutation = useMutation({
+    mutationFn: (forDoctorId) => appointmentApi.callNextPatient(forDoctorId, { calledBy: userId }),
+    onSuccess: (appointment) => {
+      toast.success(`Calling ${appointment.patient_name} to Dr. ${appointment.doctor_name}`);
+    },
+    onError: (err) => {
+      toast.error(err.message || 'Failed to call the next patient');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['appointments'] });
+    },
+  });
+
+  return {
+    waitingRoom,
+    isLoadingWaitingRoom,
+
+    checkIn: (appointment) =>
+      statusMutation.mutate({ id: appointment.id, status: APPOINTMENT_STATUS.CHECKED_IN, appointment }),
+    undoCheckIn: (appointment) =>
+      statusMutation.mutate({ id: appointment.id, status: APPOINTMENT_STATUS.SCHEDULED, appointment }),
+    completeConsultation: (appointment) =>
+      statusMutation.mutate({ id: appointment.id, status: APPOINTMENT_STATUS.COMPLETED, appointment }),
+    callNextPatient: (forDoctorId) => callNextMutation.mutate(forDoctorId),
+    isUpdatingStatus: statusMutation.isPending,
+    isCallingNext: callNextMutation.isPending,
+  };
+};
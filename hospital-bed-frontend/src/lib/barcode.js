@@ -0,0 +1,97 @@
+// src/lib/barcode.js
+/**
+ * barcode.js
+ *
+ * Code 128 encoding for the barcodes printed on prescriptions and medication
+ * labels, and reading a scanned barcode back to a prescription ID.
+ *
+ * Features:
+ * - Code 128 code set B (printable ASCII), with the mod 103 check symbol
+ * - Output is a list of bar and space widths in modules, starting with a
+ *   bar, for the Barcode component to draw
+ * - Prescription barcodes are the ID behind PRESCRIPTION_BARCODE_PREFIX
+ *
+ * Hand-held scanners act as a keyboard: they type the encoded text and
+ * press Enter, so a scan arrives as ordinary input.
+ */
+
+import { PRESCRIPTION_BARCODE_PREFIX } from '@lib/constants';
+
+// Bar and space widths for each Code 128 symbol value (0-106)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START_B = 104;
+const STOP = 106;
+
+// Blank modules either side of the bars, so scanners find the start and end
+export const QUIET_ZONE_MODULES = 10;
+
+/**
+ * Encode text as Code 128 (code set B)
+ * @param {string} text - printable ASCII
+ * @returns {number[]} bar and space widths in modules, starting with a bar
+ * @throws {Error} If the text is empty or has characters outside code set B
+ */
+export const encodeCode128 = (text) => {
+  const value = String(text ?? '');
+  if (!value) throw new Error('Nothing to encode');
+
+  const symbols = [...value].map((char) => {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 127) {
+      throw new Error(`"${char}" cannot be encoded in a Code 128 barcode`);
+    }
+    return code - 32;
+  });
+
+  const checksum = symbols.reduce(
+    (sum, symbol, index) => sum + symbol * (index + 1),
+    START_B
+  ) % 103;
+
+  return [START_B, ...symbols, checksum, STOP]
+    .flatMap(symbol => [...CODE128_PATTERNS[symbol]].map(Number));
+};
+
+/**
+ * Text printed in a prescription's barcode
+ * @param {string} prescriptionId
+ * @returns {string} e.g. 'RX-aB3dE9'
+ */
+export const getPrescriptionBarcodeValue = (prescriptionId) =>
+  `${PRESCRIPTION_BARCODE_PREFIX}${prescriptionId}`;
+
+/**
+ * Prescription ID from a scanned (or typed) barcode. The prefix is matched
+ * whatever its case; text without it is taken as a bare ID.
+ * @param {string} text
+ * @returns {string|null} prescription ID, null when there is nothing to read
+ */
+export const parsePrescriptionBarcode = (text) => {
+  const value = String(text ?? '').trim();
+  if (!value) return null;
+  const hasPrefix = value.slice(0, PRESCRIPTION_BARCODE_PREFIX.length).toUpperCase()
+    === PRESCRIPTION_BARCODE_PREFIX;
+  const id = hasPrefix ? value.slice(PRESCRIPTION_BARCODE_PREFIX.length).trim() : value;
+  // Firestore document IDs cannot contain slashes
+  return id && !id.includes('/') ? id : null;
+};
+
+export default {
+  QUIET_ZONE_MODULES,
+  encodeCode128,
+  getPrescriptionBarcodeValue,
+  parsePrescriptionBarcode,
+};
@@ -0,0 +1,82 @@
+// src/lib/barcode.test.js
+/**
+ * Unit tests for Code 128 encoding (symbols and mod 103 check symbol) and
+ * reading prescription barcodes.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { PRESCRIPTION_BARCODE_PREFIX } from '@lib/constants';
+import { encodeCode128, getPrescriptionBarcodeValue, parsePrescriptionBarcode } from './barcode';
+
+const START_B = '211214';
+const STOP = '2331112';
+
+// Widths split back into symbol patterns: 6 widths each, 7 for the stop symbol
+const toPatterns = (widths) => {
+  const patterns = [];
+  for (let index = 0; index < widths.length - 7; index += 6) {
+    patterns.push(widths.slice(index, index + 6).join(''));
+  }
+  return [...patterns, widths.slice(-7).join('')];
+};
+
+describe('encodeCode128', () => {
+  it('wraps the symbols in start B, the check symbol and stop', () => {
+    // 'A' is value 33: (104 + 33 × 1) mod 103 = 34
+    expect(toPatterns(encodeCode128('A'))).toEqual([START_B, '111323', '131123', STOP]);
+  });
+
+  it('weights each symbol by its position in the check symbol', () => {
+    // R 50, X 56, - 13, 1 17: (104 + 50 + 2 × 56 + 3 × 13 + 4 × 17) mod 103 = 373 mod 103 = 64
+    const patterns = toPatterns(encodeCode128('RX-1'));
+
+    expect(patterns).toHaveLength(7);
+    expect(patterns[5]).toBe('111422');
+  });
+
+  it('gives a different check symbol when the same characters are swapped', () => {
+    const [checkAB] = toPatterns(encodeCode128('AB')).slice(-2);
+    const [checkBA] = toPatterns(encodeCode128('BA')).slice(-2);
+
+    // AB: (104 + 33 + 2 × 34) mod 103 = 102; BA: (104 + 34 + 2 × 33) mod 103 = 101
+    expect(checkAB).toBe('411131');
+    expect(checkBA).toBe('311141');
+  });
+
+  it('uses 11 modules a symbol and 13 for stop, starting with a bar', () => {
+    const widths = encodeCode128('RX-aB3dE9');
+    const patterns = toPatterns(widths);
+
+    expect(patterns.slice(0, -1).every(pattern =>
+      [...pattern].reduce((sum, width) => sum + Number(width), 0) === 11)).toBe(true);
+    expect(widths.reduce((sum, width) => sum + width, 0)).toBe(11 * (9 + 2) + 13);
+    expect(widths).toHaveLength(6 * (9 + 2) + 7);
+  });
+
+  it('rejects empty text and characters outside code set B', () => {
+    expect(() => encodeCode128('')).toThrow('Nothing to encode');
+    expect(() => encodeCode128(null)).toThrow('Nothing to encode');
+    expect(() => encodeCode128('RX-é')).toThrow('"é" cannot be encoded');
+    expect(() => encodeCode128('RX\t1')).toThrow('cannot be encoded');
+  });
+});
+
+describe('prescription barcodes', () => {
+  it('reads back the ID it printed', () => {
+    const value = getPrescriptionBarcodeValue('aB3dE9');
+
+    expect(value).toBe(`${PRESCRIPTION_BARCODE_PREFIX}aB3dE9`);
+    expect(parsePrescriptionBarcode(value)).toBe('aB3dE9');
+  });
+
+  it('matches the prefix whatever its case and takes bare IDs as they are', () => {
+    expect(parsePrescriptionBarcode(` ${PRESCRIPTION_BARCODE_PREFIX.toLowerCase()}aB3dE9 `)).toBe('aB3dE9');
+    expect(parsePrescriptionBarcode('aB3dE9')).toBe('aB3dE9');
+  });
+
+  it('reads nothing from empty scans or paths', () => {
+    expect(parsePrescriptionBarcode('  ')).toBeNull();
+    expect(parsePrescriptionBarcode(PRESCRIPTION_BARCODE_PREFIX)).toBeNull();
+    expect(parsePrescriptionBarcode('prescriptions/abc')).toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+// src/lib/calendarExport.js
+/**
+ * calendarExport.js
+ *
+ * iCalendar (.ics, RFC 5545) export of appointments, so doctors can import
+ * their HBMS schedule into a personal calendar (Google, Outlook, Apple).
+ *
+ * Features:
+ * - One VEVENT per appointment with a stable UID (appointment ID), so
+ *   importing a newer export updates events instead of duplicating them
+ * - SEQUENCE and LAST-MODIFIED follow the appointment's last change
+ * - Cancelled appointments are exported with STATUS:CANCELLED so calendars
+ *   remove or strike them
+ * - Patient names and IDs only when CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS
+ *   is set (VITE_CALENDAR_INCLUDE_PATIENT_IDENTIFIERS=true)
+ * - Text escaping and 75-octet line folding
+ */
+
+import { addMinutes } from 'date-fns';
+import { slugify } from '@lib/utils';
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_LABELS,
+  CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS,
+  DEFAULT_DOCTOR_SCHEDULE
+} from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+import { downloadBlob } from '@lib/reportExport';
+
+const PRODUCT_ID = '-//HBMS//Hospital Bed Management System//EN';
+const UID_DOMAIN = 'hbms';
+
+// Lines longer than this (in UTF-8 octets) are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * UTC date-time, e.g. 20251230T093000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatIcsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets without splitting a character
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Stable event UID for an appointment
+ * @param {string} appointmentId
+ * @returns {string}
+ */
+export const getAppointmentUid = (appointmentId) => `appointment-${appointmentId}@${UID_DOMAIN}`;
+
+/**
+ * VEVENT lines for one appointment
+ * @param {Object} appointment - transformed appointment
+ * @param {Object} options - { includePatientIdentifiers, now }
+ * @returns {Array<string>|null} null when the appointment has no valid time
+ */
+const buildEventLines = (appointment, { includePatientIdentifiers, now }) => {
+  const start = toDate(appointment.appointment_date);
+  if (!start) return null;
+
+  const end = addMinutes(start, appointment.duration_minutes || DEFAULT_DOCTOR_SCHEDULE.slotMinutes);
+  const created = toDate(appointment.created_at);
+  const lastModified = [appointment.updated_at, appointment.status_updated_at, appointment.created_at]
+    .map(toDate)
+    .filter(Boolean)
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+  // Seconds between booking and the last change: grows with every edit
+  const sequence = created && lastModified
+    ? Math.max(0, Math.floor((lastModified - created) / 1000))
+    : 0;
+  const isCancelled = appointment.status === APPOINTMENT_STATUS.CANCELLED;
+
+  const patient = includePatientIdentifiers && appointment.patient_name
+    ? appointment.patient_name
+    : null;
+  const summary = [
+    isCancelled ? 'Cancelled:' : null,
+    appointment.admit_to_department_id ? 'Planned admission' : 'Appointment',
+    patient ? `- ${patient}` : null,
+  ].filter(Boolean).join(' ');
+
+  const description = [
+    appointment.doctor_name && `Doctor: Dr. ${appointment.doctor_name}`,
+    includePatientIdentifiers && appointment.patient_id && `Patient ID: ${appointment.patient_id}`,
+    appointment.reason && `Reason: ${appointment.reason}`,
+    `Status: ${APPOINTMENT_STATUS_LABELS[appointment.status] || appointment.status}`,
+    appointment.series_id && `Visit ${appointment.series_index} of ${appointment.series_size}`,
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getAppointmentUid(appointment.id)}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SEQUENCE:${sequence}`,
+    ...(created ? [`CREATED:${formatIcsDate(created)}`] : []),
+    ...(lastModified ? [`LAST-MODIFIED:${formatIcsDate(lastModified)}`] : []),
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `TRANSP:${isCancelled ? 'TRANSPARENT' : 'OPAQUE'}`,
+    'END:VEVENT',
+  ];
+};
+
+/**
+ * Serialize appointments to an iCalendar document
+ * @param {Array} appointments - transformed appointments
+ * @param {Object} options
+ * @param {string} [options.calendarName] - X-WR-CALNAME shown by calendar apps
+ * @param {boolean} [options.includePatientIdentifiers] - defaults to the configured setting
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {string}
+ */
+export const buildAppointmentsIcs = (appointments = [], {
+  calendarName = 'HBMS Appointments',
+  includePatientIdentifiers = CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS,
+  now = new Date(),
+} = {}) => {
+  const events = appointments
+    .map(appointment => buildEventLines(appointment, { includePatientIdentifiers, now }))
+    .filter(Boolean)
+    .flat();
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events,
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Download appointments as an .ics file
+ * @param {Array} appointments - transformed appointments
+ * @param {Object} options - { calendarName, includePatientIdentifiers }
+ */
+export const exportAppointmentsIcs = (appointments, options = {}) => {
+  const calendarName = options.calendarName || 'HBMS Appointments';
+  const blob = new Blob([buildAppointmentsIcs(appointments, { ...options, calendarName })], {
+    type: 'text/calendar;charset=utf-8',
+  });
+  downloadBlob(blob, `${slugify(calendarName) || 'appointments'}.ics`);
+};
+
+export default {
+  getAppointmentUid,
+  buildAppointmentsIcs,
+  exportAppointmentsIcs,
+};
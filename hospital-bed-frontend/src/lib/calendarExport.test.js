@@ -0,0 +1,90 @@
+// src/lib/calendarExport.test.js
+/**
+ * Unit tests for the iCalendar export: event fields, TEXT escaping and
+ * 75-octet line folding.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { buildAppointmentsIcs, getAppointmentUid } from './calendarExport';
+
+const NOW = new Date('2030-01-01T08:00:00Z');
+
+const appointment = (overrides = {}) => ({
+  id: 'appt-1',
+  appointment_date: '2030-01-07T09:30:00Z',
+  duration_minutes: 45,
+  status: 'scheduled',
+  doctor_name: 'Grey',
+  patient_id: 'patient-1',
+  patient_name: 'Jane Doe',
+  created_at: '2030-01-01T10:00:00Z',
+  updated_at: '2030-01-01T10:00:30Z',
+  ...overrides,
+});
+
+const build = (appointments, options = {}) =>
+  buildAppointmentsIcs(appointments, { includePatientIdentifiers: false, now: NOW, ...options });
+
+// Content lines with folding undone (RFC 5545 3.1)
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+const octets = (line) => new TextEncoder().encode(line).length;
+
+describe('buildAppointmentsIcs', () => {
+  it('writes one event per appointment with UTC times and CRLF line endings', () => {
+    const ics = build([appointment()]);
+    const lines = unfold(ics);
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    expect(lines).toContain(`UID:${getAppointmentUid('appt-1')}`);
+    expect(lines).toContain('DTSTAMP:20300101T080000Z');
+    expect(lines).toContain('DTSTART:20300107T093000Z');
+    expect(lines).toContain('DTEND:20300107T101500Z');
+    expect(lines).toContain('SEQUENCE:30');
+    expect(lines).toContain('LAST-MODIFIED:20300101T100030Z');
+    expect(lines).toContain('STATUS:CONFIRMED');
+  });
+
+  it('leaves patient identifiers out unless asked for', () => {
+    expect(build([appointment()])).not.toContain('Jane Doe');
+    expect(build([appointment()])).not.toContain('patient-1');
+
+    const lines = unfold(build([appointment()], { includePatientIdentifiers: true }));
+    expect(lines).toContain('SUMMARY:Appointment - Jane Doe');
+    expect(lines.find(line => line.startsWith('DESCRIPTION:'))).toContain('Patient ID: patient-1');
+  });
+
+  it('marks cancelled appointments and skips ones without a time', () => {
+    const lines = unfold(build([
+      appointment({ status: 'cancelled' }),
+      appointment({ id: 'no-time', appointment_date: null }),
+    ]));
+
+    expect(lines).toContain('SUMMARY:Cancelled: Appointment');
+    expect(lines).toContain('STATUS:CANCELLED');
+    expect(lines).toContain('TRANSP:TRANSPARENT');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+  });
+
+  it('escapes backslashes, semicolons, commas and newlines in text', () => {
+    const lines = unfold(build([appointment({ reason: 'Follow-up; wound, dressing\nC:\\notes' })], {
+      calendarName: 'Ward A; Dr. Grey, on call',
+    }));
+
+    expect(lines).toContain('X-WR-CALNAME:Ward A\\; Dr. Grey\\, on call');
+    expect(lines.find(line => line.startsWith('DESCRIPTION:')))
+      .toContain('\\nReason: Follow-up\\; wound\\, dressing\\nC:\\\\notes\\n');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const reason = 'Nachkontrolle nach Hüft-OP – Ödem prüfen, Schmerzskala dokumentieren. '.repeat(4);
+    const ics = build([appointment({ reason })]);
+    const physicalLines = ics.split('\r\n');
+
+    expect(physicalLines.every(line => octets(line) <= 75)).toBe(true);
+    expect(physicalLines.some(line => line.startsWith(' '))).toBe(true);
+    expect(unfold(ics).find(line => line.startsWith('DESCRIPTION:')))
+      .toContain(`Reason: ${reason.replace(/,/g, '\\,')}`);
+  });
+});
@@ -35,16 +35,520 @@ export const BED_STATUS = {
   OCCUPIED: 'occupied',
   CLEANING: 'cleaning',
   MAINTENANCE: 'maintenance',
+  BLOCKED: 'blocked',
+  RESERVED: 'reserved',
+};
+
+// Allowed bed status transitions (from -> [to])
+// Occupied beds only leave via discharge, which sends them to cleaning
+export const BED_STATUS_TRANSITIONS = {
+  available: ['occupied', 'reserved', 'cleaning', 'blocked', 'maintenance'],
+  occupied: ['cleaning'],
+  cleaning: ['available', 'blocked', 'maintenance'],
+  maintenance: ['available', 'cleaning', 'blocked'],
+  blocked: ['available', 'cleaning', 'maintenance'],
+  reserved: ['occupied', 'available', 'blocked', 'maintenance'],
+};
+
+// Statuses that can only be entered with a reason (e.g. broken rail, infection control)
+export const BED_STATUS_REASON_REQUIRED = ['maintenance', 'blocked'];
+
+// Bed assignment status enum
+export const BED_ASSIGNMENT_STATUS = {
+  ACTIVE: 'active',
+  DISCHARGED: 'discharged',
+  TRANSFERRED: 'transferred',
+};
+
+// Bed reservation (hold) status enum
+export const BED_RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  FULFILLED: 'fulfilled',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+};
+
+// Hold lengths offered when reserving a bed for an incoming admission (hours)
+export const BED_RESERVATION_HOLD_HOURS = [1, 2, 4, 8, 12, 24];
+export const BED_RESERVATION_DEFAULT_HOURS = 2;
+
+// Bed request (admission waitlist) status enum
+export const BED_REQUEST_STATUS = {
+  WAITING: 'waiting',
+  ASSIGNED: 'assigned',
+  CANCELLED: 'cancelled',
+};
+
+// Bed request acuity, highest first; rank orders the queue
+export const BED_REQUEST_PRIORITY = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+export const BED_REQUEST_PRIORITY_RANK = {
+  critical: 4,
+  high: 3,
+  medium: 2,
+  low: 1,
+};
+
+export const BED_REQUEST_PRIORITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+};
+
+// Isolation precautions a patient may need
+export const ISOLATION_TYPES = {
+  NONE: 'none',
+  CONTACT: 'contact',
+  DROPLET: 'droplet',
+  AIRBORNE: 'airborne',
+};
+
+export const ISOLATION_TYPE_LABELS = {
+  none: 'No isolation',
+  contact: 'Contact precautions',
+  droplet: 'Droplet precautions',
+  airborne: 'Airborne precautions',
+};
+
+// Bed equipment/capability flags (stored camelCase on the bed document)
+export const BED_ATTRIBUTES = {
+  ISOLATION: 'isolation',
+  NEGATIVE_PRESSURE: 'negativePressure',
+  OXYGEN: 'oxygen',
+  MONITOR: 'monitor',
+  BARIATRIC: 'bariatric',
+};
+
+export const BED_ATTRIBUTE_LABELS = {
+  isolation: 'Isolation',
+  negativePressure: 'Negative pressure',
+  oxygen: 'Oxygen',
+  monitor: 'Cardiac monitor',
+  bariatric: 'Bariatric',
+};
+
+// Room gender policy - single_sex rooms take whichever gender is admitted first
+export const ROOM_GENDER_POLICY = {
+  MIXED: 'mixed',
+  MALE: 'male',
+  FEMALE: 'female',
+  SINGLE_SEX: 'single_sex',
+};
+
+// Discharge disposition - where the patient went
+export const DISCHARGE_DISPOSITION = {
+  HOME: 'home',
+  TRANSFER: 'transfer',
+  AMA: 'ama',
+  DECEASED: 'deceased',
+};
+
+export const DISCHARGE_DISPOSITION_LABELS = {
+  home: 'Discharged home',
+  transfer: 'Transferred to another facility',
+  ama: 'Left against medical advice',
+  deceased: 'Deceased',
+};
+
+// Patient status recorded for each disposition
+export const DISCHARGE_PATIENT_STATUS = {
+  home: 'discharged',
+  transfer: 'discharged',
+  ama: 'discharged',
+  deceased: 'deceased',
+};
+
+// Occupancy snapshot period length
+export const OCCUPANCY_GRANULARITY = {
+  HOUR: 'hour',
+  DAY: 'day',
 };
 
 // Appointment status enum - must match backend
 export const APPOINTMENT_STATUS = {
   SCHEDULED: 'scheduled',
+  CHECKED_IN: 'checked_in',
+  IN_PROGRESS: 'in_progress',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
   NO_SHOW: 'no_show',
 };
 
+export const APPOINTMENT_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  checked_in: 'Checked In',
+  in_progress: 'In Consultation',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  no_show: 'No Show',
+};
+
+// Allowed appointment status changes: the front desk checks a patient in
+// (or undoes it), the doctor calls them in, then completes the visit
+export const APPOINTMENT_STATUS_TRANSITIONS = {
+  scheduled: ['checked_in', 'completed', 'cancelled', 'no_show'],
+  checked_in: ['in_progress', 'scheduled', 'cancelled'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// Minutes after the appointment time before an unchecked appointment is marked a no-show
+// (override with VITE_NO_SHOW_GRACE_MINUTES)
+export const APPOINTMENT_NO_SHOW_GRACE_MINUTES =
+  Number(import.meta.env.VITE_NO_SHOW_GRACE_MINUTES) || 30;
+
+// Who or what changed an appointment's status
+export const APPOINTMENT_STATUS_SOURCE = {
+  STAFF: 'staff',
+  NO_SHOW_SWEEP: 'no_show_sweep',
+};
+
+// How long before an appointment reminders go out (minutes), e.g. 24h and 1h
+// (override with VITE_APPOINTMENT_REMINDER_OFFSETS, comma-separated minutes)
+export const APPOINTMENT_REMINDER_OFFSETS_MINUTES = (
+  import.meta.env.VITE_APPOINTMENT_REMINDER_OFFSETS || '1440,60'
+).split(',').map(Number).filter(minutes => minutes > 0);
+
+// Appointment reminder status enum
+export const APPOINTMENT_REMINDER_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  LOGGED: 'logged', // handled by a delivery adapter that does not reach the patient (log only)
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+};
+
+// Who an appointment reminder goes to
+export const APPOINTMENT_REMINDER_RECIPIENT = {
+  DOCTOR: 'doctor',
+  PATIENT: 'patient',
+};
+
+// Whether calendar (.ics) exports name the patient; off by default because
+// personal calendars are synced outside the hospital
+// (enable with VITE_CALENDAR_INCLUDE_PATIENT_IDENTIFIERS=true)
+export const CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS =
+  import.meta.env.VITE_CALENDAR_INCLUDE_PATIENT_IDENTIFIERS === 'true';
+
+// Prescription status enum
+export const PRESCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  PARTIALLY_DISPENSED: 'partially_dispensed',
+  DISPENSED: 'dispensed',
+  ON_HOLD: 'on_hold',
+  DISCONTINUED: 'discontinued',
+  EXPIRED: 'expired',
+};
+
+export const PRESCRIPTION_STATUS_LABELS = {
+  active: 'Active',
+  partially_dispensed: 'Partially Dispensed',
+  dispensed: 'Dispensed',
+  on_hold: 'On Hold',
+  discontinued: 'Discontinued',
+  expired: 'Expired',
+};
+
+// Allowed prescription status changes: dispensing moves an active prescription
+// to partially dispensed / dispensed, a hold pauses dispensing until resumed
+export const PRESCRIPTION_STATUS_TRANSITIONS = {
+  active: ['partially_dispensed', 'dispensed', 'on_hold', 'discontinued', 'expired'],
+  partially_dispensed: ['dispensed', 'on_hold', 'discontinued', 'expired'],
+  on_hold: ['active', 'partially_dispensed', 'discontinued', 'expired'],
+  dispensed: ['discontinued'],
+  discontinued: [],
+  expired: [],
+};
+
+// Statuses that need a reason
+export const PRESCRIPTION_STATUS_REASON_REQUIRED = ['discontinued'];
+
+// Statuses that can still be dispensed
+export const PRESCRIPTION_DISPENSABLE_STATUSES = ['active', 'partially_dispensed'];
+
+// Days a new prescription stays valid for dispensing
+// (override with VITE_PRESCRIPTION_VALIDITY_DAYS)
+export const PRESCRIPTION_VALIDITY_DAYS =
+  Number(import.meta.env.VITE_PRESCRIPTION_VALIDITY_DAYS) || 30;
+
+// Patient allergy severity (recorded reaction)
+export const ALLERGY_SEVERITY = {
+  MILD: 'mild',
+  MODERATE: 'moderate',
+  SEVERE: 'severe',
+};
+
+export const ALLERGY_SEVERITY_LABELS = {
+  mild: 'Mild',
+  moderate: 'Moderate',
+  severe: 'Severe',
+};
+
+// Prescribing safety warnings
+export const PRESCRIPTION_WARNING_TYPE = {
+  DRUG_ALLERGY: 'drug_allergy',
+  DRUG_DRUG: 'drug_drug',
+  DUPLICATE_THERAPY: 'duplicate_therapy',
+};
+
+export const PRESCRIPTION_WARNING_TYPE_LABELS = {
+  drug_allergy: 'Drug–allergy',
+  drug_drug: 'Drug–drug interaction',
+  duplicate_therapy: 'Duplicate therapy',
+};
+
+export const PRESCRIPTION_WARNING_SEVERITY = {
+  MINOR: 'minor',
+  MODERATE: 'moderate',
+  SEVERE: 'severe',
+};
+
+// Warnings at these severities need an override reason to prescribe
+export const PRESCRIPTION_OVERRIDE_SEVERITIES = ['severe'];
+
+// Medication administration record (MAR): outcome recorded for a dose
+export const MAR_DOSE_STATUS = {
+  GIVEN: 'given',
+  HELD: 'held',
+  REFUSED: 'refused',
+  MISSED: 'missed',
+};
+
+// State of a scheduled dose nobody has recorded yet; unscheduled when the
+// prescription's frequency could not be read, so it has no dose times
+export const MAR_DOSE_STATE = {
+  SCHEDULED: 'scheduled',
+  DUE: 'due',
+  OVERDUE: 'overdue',
+  UNSCHEDULED: 'unscheduled',
+};
+
+export const MAR_DOSE_STATUS_LABELS = {
+  given: 'Given',
+  held: 'Held',
+  refused: 'Refused',
+  missed: 'Missed',
+  scheduled: 'Scheduled',
+  due: 'Due',
+  overdue: 'Overdue',
+  unscheduled: 'Unscheduled – frequency not understood',
+};
+
+// Outcomes that need a reason
+export const MAR_REASON_REQUIRED = ['held', 'refused'];
+
+// Clock times for "n times daily" (local time)
+export const MAR_STANDARD_DOSE_TIMES = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['08:00', '12:00', '16:00', '20:00'],
+  5: ['06:00', '10:00', '14:00', '18:00', '22:00'],
+  6: ['06:00', '10:00', '14:00', '18:00', '22:00', '02:00'],
+};
+
+// Night-time doses (nocte, at bedtime)
+export const MAR_NIGHT_DOSE_TIME = '22:00';
+
+// First dose of "every n hours" on the first day; later doses keep the interval across midnight
+export const MAR_INTERVAL_START_TIME = '06:00';
+
+// A dose is due this long before its time ("due in the next hour")
+export const MAR_DUE_WINDOW_MINUTES = 60;
+
+// Minutes after its time before an unrecorded dose is overdue
+// (override with VITE_MAR_OVERDUE_GRACE_MINUTES)
+export const MAR_OVERDUE_GRACE_MINUTES =
+  Number(import.meta.env.VITE_MAR_OVERDUE_GRACE_MINUTES) || 30;
+
+// How far back overdue doses are looked for
+export const MAR_OVERDUE_LOOKBACK_HOURS = 24;
+
+// Formulary: routes of administration
+export const MEDICATION_ROUTE = {
+  ORAL: 'oral',
+  SUBLINGUAL: 'sublingual',
+  IV: 'iv',
+  IM: 'im',
+  SC: 'sc',
+  INHALED: 'inhaled',
+  TOPICAL: 'topical',
+  RECTAL: 'rectal',
+};
+
+export const MEDICATION_ROUTE_LABELS = {
+  oral: 'Oral',
+  sublingual: 'Sublingual',
+  iv: 'Intravenous',
+  im: 'Intramuscular',
+  sc: 'Subcutaneous',
+  inhaled: 'Inhaled',
+  topical: 'Topical',
+  rectal: 'Rectal',
+};
+
+// Formulary: dosage forms
+export const MEDICATION_FORM = {
+  TABLET: 'tablet',
+  CAPSULE: 'capsule',
+  LIQUID: 'liquid',
+  INJECTION: 'injection',
+  INFUSION: 'infusion',
+  INHALER: 'inhaler',
+  CREAM: 'cream',
+  PATCH: 'patch',
+  SUPPOSITORY: 'suppository',
+};
+
+export const MEDICATION_FORM_LABELS = {
+  tablet: 'Tablet',
+  capsule: 'Capsule',
+  liquid: 'Oral liquid',
+  injection: 'Injection',
+  infusion: 'Infusion',
+  inhaler: 'Inhaler',
+  cream: 'Cream',
+  patch: 'Patch',
+  suppository: 'Suppository',
+};
+
+// Units a strength or dose can be written in
+export const DOSE_UNITS = ['mg', 'g', 'mcg', 'mL', 'mg/mL', 'units', 'mmol', 'puffs', '%'];
+
+// Matches shown by the formulary picker
+export const FORMULARY_SEARCH_LIMIT = 8;
+
+// Stock at or below this level is low when a department sets no reorder level
+// (override with VITE_STOCK_DEFAULT_REORDER_LEVEL)
+export const STOCK_DEFAULT_REORDER_LEVEL =
+  Number(import.meta.env.VITE_STOCK_DEFAULT_REORDER_LEVEL) || 20;
+
+export const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW: 'low',
+  OUT: 'out',
+};
+
+export const STOCK_STATUS_LABELS = {
+  in_stock: 'In stock',
+  low: 'Low stock',
+  out: 'Out of stock',
+};
+
+// Printed prescriptions: a full prescription sheet or a medication label
+export const PRESCRIPTION_PRINT_KIND = {
+  PRESCRIPTION: 'prescription',
+  LABEL: 'label',
+};
+
+export const PRESCRIPTION_PRINT_KIND_LABELS = {
+  prescription: 'Prescription',
+  label: 'Medication label',
+};
+
+// Hospital header on printed prescriptions and labels
+// (override with VITE_HOSPITAL_NAME and VITE_HOSPITAL_ADDRESS)
+export const HOSPITAL_NAME = import.meta.env.VITE_HOSPITAL_NAME || 'HBMS Hospital';
+export const HOSPITAL_ADDRESS = import.meta.env.VITE_HOSPITAL_ADDRESS || '';
+
+// Printed barcodes carry this prefix before the prescription ID, so a scan
+// can be told apart from other typed text
+export const PRESCRIPTION_BARCODE_PREFIX = 'RX-';
+
+// Days of the week, keyed by Date#getDay() (0 = Sunday)
+export const WEEKDAYS = [
+  { value: 0, key: 'sun', label: 'Sunday' },
+  { value: 1, key: 'mon', label: 'Monday' },
+  { value: 2, key: 'tue', label: 'Tuesday' },
+  { value: 3, key: 'wed', label: 'Wednesday' },
+  { value: 4, key: 'thu', label: 'Thursday' },
+  { value: 5, key: 'fri', label: 'Friday' },
+  { value: 6, key: 'sat', label: 'Saturday' },
+];
+
+// Schedule used for doctors who have not set their own (Mon-Fri 09:00-17:00)
+export const DEFAULT_DOCTOR_SCHEDULE = {
+  slotMinutes: 30,
+  workingHours: {
+    sun: [],
+    mon: [{ start: '09:00', end: '17:00' }],
+    tue: [{ start: '09:00', end: '17:00' }],
+    wed: [{ start: '09:00', end: '17:00' }],
+    thu: [{ start: '09:00', end: '17:00' }],
+    fri: [{ start: '09:00', end: '17:00' }],
+    sat: [],
+  },
+  blockedTimes: [],
+};
+
+export const APPOINTMENT_SLOT_MINUTES = [10, 15, 20, 30, 45, 60];
+
+// Why blocked time is unavailable for appointments
+export const BLOCKED_TIME_REASONS = {
+  LEAVE: 'leave',
+  SURGERY: 'surgery',
+  MEETING: 'meeting',
+  OTHER: 'other',
+};
+
+export const BLOCKED_TIME_REASON_LABELS = {
+  leave: 'Leave',
+  surgery: 'Surgery',
+  meeting: 'Meeting',
+  other: 'Other',
+};
+
+// Recurring appointment series - how often occurrences repeat
+export const RECURRENCE_FREQUENCY = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  CUSTOM: 'custom', // every N days
+};
+
+export const RECURRENCE_FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  custom: 'Every few days',
+};
+
+// Upper bound on occurrences booked at once (a year of weekly visits)
+export const MAX_SERIES_OCCURRENCES = 52;
+
+export const APPOINTMENT_SERIES_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+// Which occurrences an edit or cancellation of a series member applies to
+export const SERIES_SCOPE = {
+  OCCURRENCE: 'occurrence',
+  FOLLOWING: 'following',
+  SERIES: 'series',
+};
+
+export const SERIES_SCOPE_LABELS = {
+  occurrence: 'This appointment only',
+  following: 'This and following appointments',
+  series: 'All appointments in the series',
+};
+
+// Why an appointment time was rejected
+export const APPOINTMENT_CONFLICT_TYPES = {
+  PAST: 'past',
+  OUTSIDE_HOURS: 'outside_hours',
+  BLOCKED: 'blocked',
+  DOUBLE_BOOKED: 'double_booked',
+};
+
 // Pagination defaults
 export const PAGINATION = {
   DEFAULT_PAGE: 1,
@@ -102,6 +606,8 @@ export const ROUTES = {
   PATIENTS: '/patients',
   APPOINTMENTS: '/appointments',
   REPORTS: '/reports',
+  PHARMACY: '/pharmacy',
+  PRESCRIPTIONS: '/prescriptions',
   SETTINGS: '/settings',
   ACCESS_DENIED: '/access-denied',
 };
@@ -111,7 +617,82 @@ export default {
   ROLES,
   ALL_ROLES,
   BED_STATUS,
+  BED_STATUS_TRANSITIONS,
+  BED_STATUS_REASON_REQUIRED,
+  BED_ASSIGNMENT_STATUS,
+  BED_RESERVATION_STATUS,
+  BED_RESERVATION_HOLD_HOURS,
+  BED_RESERVATION_DEFAULT_HOURS,
+  BED_REQUEST_STATUS,
+  BED_REQUEST_PRIORITY,
+  BED_REQUEST_PRIORITY_RANK,
+  BED_REQUEST_PRIORITY_LABELS,
+  ISOLATION_TYPES,
+  ISOLATION_TYPE_LABELS,
+  BED_ATTRIBUTES,
+  BED_ATTRIBUTE_LABELS,
+  ROOM_GENDER_POLICY,
+  DISCHARGE_DISPOSITION,
+  DISCHARGE_DISPOSITION_LABELS,
+  DISCHARGE_PATIENT_STATUS,
+  OCCUPANCY_GRANULARITY,
   APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_LABELS,
+  APPOINTMENT_STATUS_TRANSITIONS,
+  APPOINTMENT_NO_SHOW_GRACE_MINUTES,
+  APPOINTMENT_STATUS_SOURCE,
+  APPOINTMENT_REMINDER_OFFSETS_MINUTES,
+  APPOINTMENT_REMINDER_STATUS,
+  APPOINTMENT_REMINDER_RECIPIENT,
+  CALENDAR_EXPORT_INCLUDE_PATIENT_IDENTIFIERS,
+  PRESCRIPTION_STATUS,
+  PRESCRIPTION_STATUS_LABELS,
+  PRESCRIPTION_STATUS_TRANSITIONS,
+  PRESCRIPTION_STATUS_REASON_REQUIRED,
+  PRESCRIPTION_DISPENSABLE_STATUSES,
+  PRESCRIPTION_VALIDITY_DAYS,
+  ALLERGY_SEVERITY,
+  ALLERGY_SEVERITY_LABELS,
+  PRESCRIPTION_WARNING_TYPE,
+  PRESCRIPTION_WARNING_TYPE_LABELS,
+  PRESCRIPTION_WARNING_SEVERITY,
+  PRESCRIPTION_OVERRIDE_SEVERITIES,
+  MAR_DOSE_STATUS,
+  MAR_DOSE_STATE,
+  MAR_DOSE_STATUS_LABELS,
+  MAR_REASON_REQUIRED,
+  MAR_STANDARD_DOSE_TIMES,
+  MAR_NIGHT_DOSE_TIME,
+  MAR_INTERVAL_START_TIME,
+  MAR_DUE_WINDOW_MINUTES,
+  MAR_OVERDUE_GRACE_MINUTES,
+  MAR_OVERDUE_LOOKBACK_HOURS,
+  MEDICATION_ROUTE,
+  MEDICATION_ROUTE_LABELS,
+  MEDICATION_FORM,
+  MEDICATION_FORM_LABELS,
+  DOSE_UNITS,
+  FORMULARY_SEARCH_LIMIT,
+  STOCK_DEFAULT_REORDER_LEVEL,
+  STOCK_STATUS,
+  STOCK_STATUS_LABELS,
+  PRESCRIPTION_PRINT_KIND,
+  PRESCRIPTION_PRINT_KIND_LABELS,
+  HOSPITAL_NAME,
+  HOSPITAL_ADDRESS,
+  PRESCRIPTION_BARCODE_PREFIX,
+  WEEKDAYS,
+  DEFAULT_DOCTOR_SCHEDULE,
+  APPOINTMENT_SLOT_MINUTES,
+  BLOCKED_TIME_REASONS,
+  BLOCKED_TIME_REASON_LABELS,
+  APPOINTMENT_CONFLICT_TYPES,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_FREQUENCY_LABELS,
+  MAX_SERIES_OCCURRENCES,
+  APPOINTMENT_SERIES_STATUS,
+  SERIES_SCOPE,
+  SERIES_SCOPE_LABELS,
   PAGINATION,
   DATE_FORMATS,
   FILE_UPLOAD,
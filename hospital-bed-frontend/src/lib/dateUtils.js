@@ -124,6 +124,32 @@ export const addDaysToDate = (date, days) => addDays(date, days);
  */
 export const subtractDaysFromDate = (date, days) => subDays(date, days);
 
+/**
+ * Convert a stored time (Firestore Timestamp, Date, ISO string or millis) to a Date
+ * @param {any} value
+ * @returns {Date|null} null when missing or unparsable
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Convert a stored time to milliseconds
+ * @param {any} value
+ * @returns {number|null} null when missing or unparsable
+ */
+export const toMillis = (value) => toDate(value)?.getTime() ?? null;
+
+/**
+ * Convert a stored time to an ISO string (the UI shape of Firestore times)
+ * @param {any} value
+ * @returns {string|null} null when missing or unparsable
+ */
+export const toIsoString = (value) => toDate(value)?.toISOString() ?? null;
+
 /**
  * Parse ISO string safely
  * @param {string} dateString
@@ -133,4 +159,15 @@ export const safeParseISO = (dateString) => {
   if (!dateString) return null;
   const parsed = parseISO(dateString);
   return isValid(parsed) ? parsed : null;
-};
\ No newline at end of file
+};
+
+/**
+ * Format a number of minutes (e.g., "45 min", "1 h 05 min")
+ * @param {number|null} minutes
+ * @returns {string}
+ */
+export const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined || Number.isNaN(minutes)) return 'N/A';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+};
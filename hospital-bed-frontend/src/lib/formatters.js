@@ -106,6 +106,22 @@ export const formatName = (name) => {
     .join(' ');
 };
 
+/**
+ * Initials from a full name, at most 4 letters ("Jane van Doe" → "JVD")
+ * @param {string} name
+ * @returns {string}
+ */
+export const formatInitials = (name) => {
+  if (!name) return '';
+  return name
+    .trim()
+    .split(/\s+/)
+    .map(word => word.replace(/[^A-Za-z]/g, '').charAt(0))
+    .join('')
+    .toUpperCase()
+    .slice(0, 4);
+};
+
 /**
  * Format blood group (e.g., "o_positive" → "O+")
  * @param {string} bloodGroup
@@ -0,0 +1,389 @@
+// src/lib/frequencyParser.js
+/**
+ * frequencyParser.js
+ *
+ * Reads the clinical shorthand doctors type into a prescription: frequency
+ * ("BID", "q8h", "TDS x5 days", "PRN max 4/day"), course length and dose
+ * ("500mg", "2 puffs"). Each parser either returns the structured form or
+ * throws an Error whose message says what could not be read and what to
+ * write instead.
+ *
+ * Features:
+ * - Times a day: OD / QD, BD / BID, TDS / TID, QDS / QID, "3 times daily", "x3 a day"
+ * - Intervals: q8h, q4-6h (as needed only), "every 6 hours", "4 hourly"
+ * - Time of day: mane / OM (morning), nocte / ON / QHS (night)
+ * - Every few days: weekly, alternate days (QOD / EOD)
+ * - Single doses: stat, once only
+ * - As needed: PRN, "as required", with "max 4/day" and a minimum interval
+ * - Course length: "x5 days", "for 2 weeks", "5/7", "2/52"
+ * - Doses: amount and unit, with common unit spellings
+ *
+ * The structured schedule is stored on the prescription next to the text
+ * (see prescriptionFirebase) and read by medicationSchedule and the reports.
+ */
+
+import { DOSE_UNITS } from '@lib/constants';
+
+// Most doses a day that map onto the standard ward round times
+const MAX_TIMES_PER_DAY = 6;
+
+const MAX_DURATION_DAYS = 365;
+
+const TIMES_DAILY_ABBREVIATIONS = {
+  od: 1, qd: 1, daily: 1,
+  bd: 2, bid: 2,
+  tds: 3, tid: 3,
+  qds: 4, qid: 4,
+};
+
+const NUMBER_WORDS = {
+  once: 1, one: 1, twice: 2, two: 2, thrice: 3, three: 3, four: 4, five: 5, six: 6,
+};
+
+const DURATION_UNIT_DAYS = { d: 1, w: 7, m: 30 };
+
+const UNIT_ALIASES = {
+  mgs: 'mg', milligram: 'mg', milligrams: 'mg',
+  gram: 'g', grams: 'g', gm: 'g',
+  microgram: 'mcg', micrograms: 'mcg', ug: 'mcg', 'µg': 'mcg',
+  ml: 'mL', mls: 'mL', millilitre: 'mL', millilitres: 'mL', milliliter: 'mL', milliliters: 'mL',
+  'mg/ml': 'mg/mL',
+  unit: 'units', iu: 'units',
+  puff: 'puffs',
+};
+
+const FREQUENCY_EXAMPLES = 'OD, BD, TDS, QDS, q8h, nocte, weekly, stat or PRN';
+
+// Durations that mean "no set end"
+const OPEN_ENDED_DURATION = /^(?:ongoing|until review(?:ed)?|long[ -]term|indefinite(?:ly)?|continue)$/;
+
+// Patterns are tried in order; each match is taken out of the text so
+// whatever is left over can be reported back
+const PATTERNS = {
+  maxPerDay: /\bmax(?:imum)?\s*(\d+)\s*(?:doses?|times?|x)?\s*(?:\/|per|a|in|each)\s*(?:day|d|24\s*(?:h|hrs?|hours?))\b/,
+  max: /\bmax(?:imum)?\b/,
+  prn: /\b(?:prn|as needed|as required|when required|if needed)\b/,
+  duration: /(?:\bx\s*|\bfor\s+|\b)(\d+)\s*(days?|d|weeks?|wks?|w|months?|mo)\b/,
+  durationFraction: /\bx?\s*(\d+)\s*\/\s*(7|52)\b/,
+  once: /\b(?:stat|once only|single dose)\b/,
+  intervalRange: /\bq\s*(\d+)\s*-\s*(\d+)\s*(?:h|hrs?|hours?)\b/,
+  interval: /\bq\s*(\d+)\s*(?:h|hrs?|hours?)\b|\bevery\s+(\d+)\s*(?:h|hrs?|hours?)\b|\b(\d+)\s*(?:hourly|hrly)\b/,
+  hourly: /\b(?:qh|hourly|every hour)\b/,
+  weekly: /\b(?:weekly|once (?:a|per) week|every week)\b/,
+  alternateDays: /\b(?:on\s+)?(?:qod|eod|alternate days|every other day)\b/,
+  night: /\b(?:nocte|qhs|hs|on|at night|at bedtime|bedtime)\b/,
+  morning: /\b(?:mane|om|in the morning|every morning)\b/,
+  timesDaily: /\b(\d+|once|one|twice|two|thrice|three|four|five|six)\s*(?:x|times?)?\s*(?:a|per|each)?\s*(?:day|daily)\b|\bx\s*(\d+)\s*(?:a|per)?\s*(?:day|daily)\b/,
+  abbreviation: /\b(?:od|qd|bd|bid|tds|tid|qds|qid|daily)\b/,
+  everyDay: /\b(?:every day|each day)\b/,
+};
+
+// Words that carry no meaning of their own once the rest is read
+const FILLER = /\b(?:and|then|take|give|dose|doses|times?)\b|[+&]/g;
+
+/**
+ * Lowercase, drop full stops and commas, collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+const normalize = (text) =>
+  (text || '').toLowerCase().replace(/[.,;]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Take the first match of a pattern out of the text
+ * @param {Object} state - { text }
+ * @param {RegExp} pattern
+ * @returns {Array|null} the match
+ */
+const take = (state, pattern) => {
+  const match = state.text.match(pattern);
+  if (match) {
+    state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  }
+  return match;
+};
+
+/**
+ * Parse a course length
+ * @param {string} text - e.g. '5 days', 'x5 days', 'for 2 weeks', '5/7', '2/52', '1 month'
+ * @returns {number|null} days; null when empty or open-ended ('ongoing', 'until review')
+ * @throws {Error} When the text is not a course length
+ */
+export const parseDuration = (text) => {
+  const state = { text: normalize(text) };
+  if (!state.text || OPEN_ENDED_DURATION.test(state.text)) return null;
+
+  let days = null;
+  const fraction = take(state, PATTERNS.durationFraction);
+  if (fraction) {
+    days = Number(fraction[1]) * (fraction[2] === '52' ? 7 : 1);
+  } else {
+    const match = take(state, PATTERNS.duration);
+    if (match) days = Number(match[1]) * DURATION_UNIT_DAYS[match[2][0]];
+  }
+
+  if (days === null || state.text.replace(/\b(?:for|x)\b/g, '').trim()) {
+    throw new Error(`Could not read the duration "${text.trim()}". Use e.g. 5 days, 2 weeks or 5/7`);
+  }
+  if (days < 1 || days > MAX_DURATION_DAYS) {
+    throw new Error(`Duration must be between 1 and ${MAX_DURATION_DAYS} days`);
+  }
+  return days;
+};
+
+/**
+ * Parse a dose or strength
+ * @param {string} text - e.g. '500mg', '1 g', '2 puffs', '10 units', '0.5 mL'
+ * @returns {Object} { amount, unit } with unit one of DOSE_UNITS
+ * @throws {Error} When there is no amount or the unit is not recognised
+ */
+export const parseDose = (text) => {
+  const match = (text || '').trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*(\S.*)?$/);
+  if (!match) {
+    throw new Error(`Could not read the dose "${(text || '').trim()}". Give an amount and unit, e.g. 500 mg`);
+  }
+
+  const amount = Number(match[1]);
+  if (!(amount > 0)) throw new Error('Dose must be more than zero');
+
+  const written = (match[2] || '').trim();
+  if (!written) throw new Error(`Give a unit for the dose: ${DOSE_UNITS.join(', ')}`);
+  const lower = written.toLowerCase();
+  const unit = DOSE_UNITS.find(candidate => candidate.toLowerCase() === lower) || UNIT_ALIASES[lower];
+  if (!unit) {
+    throw new Error(`Unknown dose unit "${written}". Use one of: ${DOSE_UNITS.join(', ')}`);
+  }
+  return { amount, unit };
+};
+
+/**
+ * Parse a frequency
+ * @param {string} text - e.g. 'BID', 'q8h', 'TDS x5 days', 'PRN max 4/day', 'nocte'
+ * @returns {Object} {
+ *   times_per_day,  - doses a day (null for intervals, single and as-needed doses)
+ *   interval_hours, - hours between doses (minimum gap when as needed)
+ *   every_days,     - days between dose days (7 weekly, 2 alternate days; null daily)
+ *   time_of_day,    - 'morning' or 'night' for once-a-day doses given then, else null
+ *   once,           - single (stat) dose
+ *   prn,            - as needed
+ *   max_per_day,    - most doses a day when as needed
+ *   duration_days   - course length written into the frequency, else null
+ * }
+ * @throws {Error} When the frequency is missing, cannot be read or contradicts itself
+ */
+export const parseFrequency = (text) => {
+  const original = (text || '').trim();
+  const state = { text: normalize(text) };
+  if (!state.text) throw new Error('Frequency is required');
+
+  const schedule = {
+    times_per_day: null,
+    interval_hours: null,
+    every_days: null,
+    time_of_day: null,
+    once: false,
+    prn: false,
+    max_per_day: null,
+    duration_days: null,
+  };
+
+  // Limits and course length first, so their numbers are not read as frequencies
+  const maxPerDay = take(state, PATTERNS.maxPerDay);
+  if (maxPerDay) {
+    schedule.max_per_day = Number(maxPerDay[1]);
+  } else if (take(state, PATTERNS.max)) {
+    throw new Error('Give the maximum as doses per day, e.g. PRN max 4/day');
+  }
+  schedule.prn = !!take(state, PATTERNS.prn);
+
+  const fraction = take(state, PATTERNS.durationFraction);
+  const duration = fraction || take(state, PATTERNS.duration);
+  if (duration) {
+    schedule.duration_days = parseDuration(duration[0]);
+  }
+
+  schedule.once = !!take(state, PATTERNS.once);
+
+  // Ways of saying how often; more than one of these is a contradiction
+  const found = [];
+  const range = take(state, PATTERNS.intervalRange);
+  if (range) {
+    if (!schedule.prn) {
+      throw new Error(`A range such as "${range[0].trim()}" only applies to as-needed doses; add PRN or give one interval`);
+    }
+    schedule.interval_hours = Math.min(Number(range[1]), Number(range[2]));
+    found.push(range[0].trim());
+  }
+  const interval = take(state, PATTERNS.interval);
+  if (interval) {
+    schedule.interval_hours = Number(interval[1] || interval[2] || interval[3]);
+    found.push(interval[0].trim());
+  }
+  const hourly = take(state, PATTERNS.hourly);
+  if (hourly) {
+    schedule.interval_hours = 1;
+    found.push(hourly[0].trim());
+  }
+  if (schedule.interval_hours !== null && (schedule.interval_hours < 1 || schedule.interval_hours > 24)) {
+    throw new Error('Dose interval must be between 1 and 24 hours');
+  }
+
+  const weekly = take(state, PATTERNS.weekly);
+  const alternate = take(state, PATTERNS.alternateDays);
+  if (weekly && alternate) {
+    throw new Error(`Give one frequency, not both "${weekly[0].trim()}" and "${alternate[0].trim()}"`);
+  }
+  if (weekly || alternate) schedule.every_days = weekly ? 7 : 2;
+
+  const night = take(state, PATTERNS.night);
+  const morning = take(state, PATTERNS.morning);
+  if (night && morning) {
+    throw new Error(`Give one time of day, not both "${morning[0].trim()}" and "${night[0].trim()}"`);
+  }
+  if (night || morning) schedule.time_of_day = night ? 'night' : 'morning';
+
+  const counted = take(state, PATTERNS.timesDaily);
+  if (counted) {
+    const word = counted[1] || counted[2];
+    schedule.times_per_day = Number(word) || NUMBER_WORDS[word];
+    found.push(counted[0].trim());
+  }
+  let abbreviation = take(state, PATTERNS.abbreviation);
+  while (abbreviation) {
+    const perDay = TIMES_DAILY_ABBREVIATIONS[abbreviation[0]];
+    // "OD daily" says the same thing twice; anything else is a contradiction
+    if (schedule.times_per_day !== perDay || found.length === 0) found.push(abbreviation[0]);
+    schedule.times_per_day = perDay;
+    abbreviation = take(state, PATTERNS.abbreviation);
+  }
+  if (take(state, PATTERNS.everyDay) && schedule.times_per_day === null) {
+    schedule.times_per_day = 1;
+    found.push('every day');
+  }
+
+  const leftover = state.text.replace(FILLER, ' ').replace(/\s+/g, ' ').trim();
+  if (leftover) {
+    throw new Error(
+      `Could not read "${leftover}" in the frequency "${original}". Use e.g. ${FREQUENCY_EXAMPLES}; ` +
+      'other directions go in the instructions'
+    );
+  }
+  if (found.length > 1) {
+    throw new Error(`Give one frequency, not both "${found[0].toUpperCase()}" and "${found[1].toUpperCase()}"`);
+  }
+
+  // Cross-checks between the parts
+  if (schedule.times_per_day !== null && (schedule.times_per_day < 1 || schedule.times_per_day > MAX_TIMES_PER_DAY)) {
+    throw new Error(`At most ${MAX_TIMES_PER_DAY} doses a day can be scheduled; use an interval such as q2h for more`);
+  }
+  if (schedule.once && (found.length > 0 || schedule.every_days || schedule.time_of_day || schedule.prn)) {
+    throw new Error('A single (stat) dose cannot also have a frequency');
+  }
+  if (schedule.once && schedule.duration_days) {
+    throw new Error('A single (stat) dose cannot have a duration');
+  }
+  if (schedule.time_of_day && (schedule.interval_hours || schedule.times_per_day > 1)) {
+    throw new Error(`"${(night || morning)[0].trim()}" means once a day and cannot go with ${found[0].toUpperCase()}`);
+  }
+  if (schedule.every_days && (schedule.interval_hours || schedule.times_per_day > 1)) {
+    throw new Error(`"${(weekly || alternate)[0].trim()}" cannot go with ${found[0].toUpperCase()}`);
+  }
+  if (schedule.max_per_day !== null) {
+    if (!schedule.prn) {
+      throw new Error('A maximum per day only applies to as-needed doses; add PRN');
+    }
+    if (schedule.max_per_day < 1 || schedule.max_per_day > 24) {
+      throw new Error('Maximum doses per day must be between 1 and 24');
+    }
+    if (schedule.times_per_day && schedule.max_per_day > schedule.times_per_day) {
+      throw new Error(`Max ${schedule.max_per_day}/day is more than ${found[0].toUpperCase()} allows`);
+    }
+    if (schedule.interval_hours && schedule.max_per_day > Math.floor(24 / schedule.interval_hours)) {
+      throw new Error(`Max ${schedule.max_per_day}/day is more than every ${schedule.interval_hours} hours allows`);
+    }
+  }
+
+  // Once a day unless something else was said
+  if (!schedule.prn && !schedule.once && !schedule.interval_hours && schedule.times_per_day === null) {
+    if (!schedule.every_days && !schedule.time_of_day) {
+      throw new Error(`Say how often, e.g. ${FREQUENCY_EXAMPLES}`);
+    }
+    schedule.times_per_day = 1;
+  }
+  // "QDS PRN" caps as-needed doses at four a day
+  if (schedule.prn && schedule.times_per_day && schedule.max_per_day === null) {
+    schedule.max_per_day = schedule.times_per_day;
+  }
+  if (schedule.prn) schedule.times_per_day = null;
+  // q24h is simply once a day
+  if (schedule.interval_hours === 24 && !schedule.prn) {
+    schedule.interval_hours = null;
+    schedule.times_per_day = 1;
+  }
+
+  return schedule;
+};
+
+/**
+ * Parse a frequency and an optional separate duration field together
+ * @param {string} frequency
+ * @param {string} [duration]
+ * @returns {Object} parseFrequency result, with duration_days from either field
+ * @throws {Error} When either cannot be read, or both give a different course length
+ */
+export const parseRegimen = (frequency, duration) => {
+  const schedule = parseFrequency(frequency);
+  const durationDays = parseDuration(duration);
+
+  if (durationDays !== null) {
+    if (schedule.once) throw new Error('A single (stat) dose cannot have a duration');
+    if (schedule.duration_days !== null && schedule.duration_days !== durationDays) {
+      throw new Error(`The frequency says ${schedule.duration_days} days but the duration says ${durationDays}`);
+    }
+    schedule.duration_days = durationDays;
+  }
+  return schedule;
+};
+
+/**
+ * Plain-English description of a parsed frequency
+ * @param {Object} schedule - parseFrequency result
+ * @returns {string} e.g. '3 times a day for 5 days', 'As needed, every 4 hours at most, max 4 a day'
+ */
+export const describeFrequency = (schedule) => {
+  if (!schedule) return '';
+  if (schedule.once) return 'Single dose (stat)';
+
+  const timesLabel = (count) => ({ 1: 'Once a day', 2: 'Twice a day' }[count] || `${count} times a day`);
+  const parts = [];
+
+  if (schedule.prn) {
+    parts.push('As needed');
+    if (schedule.interval_hours) {
+      parts.push(`every ${schedule.interval_hours === 1 ? 'hour' : `${schedule.interval_hours} hours`} at most`);
+    }
+    if (schedule.max_per_day) parts.push(`max ${schedule.max_per_day} a day`);
+  } else if (schedule.interval_hours) {
+    parts.push(`Every ${schedule.interval_hours === 1 ? 'hour' : `${schedule.interval_hours} hours`}`);
+  } else if (schedule.every_days) {
+    const days = schedule.every_days === 7 ? 'Once a week' : 'Every other day';
+    parts.push(schedule.time_of_day ? `${days}, ${schedule.time_of_day === 'night' ? 'at night' : 'in the morning'}` : days);
+  } else if (schedule.time_of_day) {
+    parts.push(schedule.time_of_day === 'night' ? 'Once a day at night' : 'Once a day in the morning');
+  } else {
+    parts.push(timesLabel(schedule.times_per_day));
+  }
+
+  const text = parts.join(', ');
+  if (!schedule.duration_days) return text;
+  const days = schedule.duration_days;
+  return `${text} for ${days % 7 === 0 ? `${days / 7} week${days === 7 ? '' : 's'}` : `${days} day${days === 1 ? '' : 's'}`}`;
+};
+
+export default {
+  parseFrequency,
+  parseDuration,
+  parseDose,
+  parseRegimen,
+  describeFrequency,
+};
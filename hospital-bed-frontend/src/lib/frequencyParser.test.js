@@ -0,0 +1,90 @@
+// src/lib/frequencyParser.test.js
+/**
+ * Unit tests for reading prescription shorthand: frequencies, course
+ * lengths and what is rejected.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { describeFrequency, parseDuration, parseFrequency, parseRegimen } from './frequencyParser';
+
+describe('parseFrequency', () => {
+  it('reads times a day', () => {
+    expect(parseFrequency('BID')).toMatchObject({ times_per_day: 2, interval_hours: null, prn: false });
+    expect(parseFrequency('3 times daily').times_per_day).toBe(3);
+  });
+
+  it('reads every n hours', () => {
+    expect(parseFrequency('q8h')).toMatchObject({ times_per_day: null, interval_hours: 8 });
+    expect(parseFrequency('q24h')).toMatchObject({ times_per_day: 1, interval_hours: null });
+  });
+
+  it('reads a course length written into the frequency', () => {
+    expect(parseFrequency('TDS x5 days')).toMatchObject({ times_per_day: 3, duration_days: 5 });
+    expect(parseFrequency('BD 5/7')).toMatchObject({ times_per_day: 2, duration_days: 5 });
+    expect(parseFrequency('OD 2/52')).toMatchObject({ times_per_day: 1, duration_days: 14 });
+  });
+
+  it('reads as-needed doses with their limits', () => {
+    expect(parseFrequency('PRN max 4/day')).toMatchObject({ prn: true, max_per_day: 4, times_per_day: null });
+    expect(parseFrequency('q4-6h PRN')).toMatchObject({ prn: true, interval_hours: 4, max_per_day: null });
+    expect(parseFrequency('QDS PRN')).toMatchObject({ prn: true, max_per_day: 4, times_per_day: null });
+  });
+
+  it('reads nocte as once a day at night', () => {
+    expect(parseFrequency('nocte')).toMatchObject({ times_per_day: 1, time_of_day: 'night' });
+  });
+
+  it('rejects what it cannot read', () => {
+    expect(() => parseFrequency('q30min')).toThrow('Could not read "q30min"');
+    expect(() => parseFrequency('1 tab three times daily after food')).toThrow('Could not read');
+    expect(() => parseFrequency('asdf qwerty')).toThrow('Could not read "asdf qwerty"');
+    expect(() => parseFrequency('')).toThrow('Frequency is required');
+  });
+
+  it('rejects contradictions', () => {
+    expect(() => parseFrequency('BD TDS')).toThrow('Give one frequency');
+    expect(() => parseFrequency('q4-6h')).toThrow('only applies to as-needed doses');
+    expect(() => parseFrequency('BD max 4/day')).toThrow('add PRN');
+    expect(() => parseFrequency('q48h')).toThrow('between 1 and 24 hours');
+    expect(() => parseFrequency('nocte BD')).toThrow('once a day');
+  });
+});
+
+describe('parseDuration', () => {
+  it('reads days, weeks and the 5/7 and 2/52 shorthand', () => {
+    expect(parseDuration('x5 days')).toBe(5);
+    expect(parseDuration('for 2 weeks')).toBe(14);
+    expect(parseDuration('5/7')).toBe(5);
+    expect(parseDuration('2/52')).toBe(14);
+  });
+
+  it('treats empty and open-ended durations as no end', () => {
+    expect(parseDuration('')).toBeNull();
+    expect(parseDuration('until review')).toBeNull();
+  });
+
+  it('rejects text that is not a course length', () => {
+    expect(() => parseDuration('a while')).toThrow('Could not read the duration');
+    expect(() => parseDuration('400 days')).toThrow('between 1 and 365 days');
+  });
+});
+
+describe('parseRegimen', () => {
+  it('takes the course length from either field', () => {
+    expect(parseRegimen('TDS', '5/7').duration_days).toBe(5);
+    expect(parseRegimen('TDS x5 days', '5 days').duration_days).toBe(5);
+  });
+
+  it('rejects two different course lengths', () => {
+    expect(() => parseRegimen('TDS x5 days', '2/52')).toThrow('says 5 days but the duration says 14');
+  });
+});
+
+describe('describeFrequency', () => {
+  it('describes parsed frequencies in plain English', () => {
+    expect(describeFrequency(parseFrequency('TDS x5 days'))).toBe('3 times a day for 5 days');
+    expect(describeFrequency(parseFrequency('q4-6h PRN max 4/day')))
+      .toBe('As needed, every 4 hours at most, max 4 a day');
+    expect(describeFrequency(parseFrequency('nocte 2/52'))).toBe('Once a day at night for 2 weeks');
+  });
+});
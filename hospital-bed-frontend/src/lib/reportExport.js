@@ -0,0 +1,254 @@
+// src/lib/reportExport.js
+/**
+ * reportExport.js
+ *
+ * Shared CSV and PDF export for report pages and data tables.
+ * Pages describe what is on screen (title, active filters, KPIs, tables);
+ * this module turns that description into a downloadable file.
+ *
+ * Report shape:
+ * {
+ *   title: 'Occupancy Report',
+ *   subtitle?: 'Historical bed occupancy by department',
+ *   filters?: [{ label: 'Date range', value: 'Dec 1, 2025 - Dec 30, 2025' }],
+ *   kpis?: [{ label: 'Average Length of Stay', value: '4.2 days' }],
+ *   tables: [{ title?, columns: [{ header, value: row => any }], rows }]
+ * }
+ *
+ * Features:
+ * - CSV: report header, filters and KPIs above each table section;
+ *   quoted and protected against spreadsheet formula injection
+ * - PDF: hospital-branded header, filter summary, KPI grid, paginated tables,
+ *   page numbers (jsPDF is loaded only when a PDF is requested)
+ * - File names carry the report name and export date
+ */
+
+import { format } from 'date-fns';
+import { slugify } from '@lib/utils';
+
+const BRAND_NAME = 'HBMS';
+const BRAND_TAGLINE = 'Hospital Bed Management System';
+
+// Medical Healing Green ($primary) and muted text, as RGB for jsPDF
+const BRAND_COLOR = [22, 163, 74];
+const MUTED_COLOR = [107, 114, 128];
+
+/**
+ * Cell value as display text
+ * @param {any} value
+ * @returns {string}
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return format(value, 'yyyy-MM-dd HH:mm');
+  return String(value);
+};
+
+/**
+ * Escape one CSV field
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not run it as a formula.
+ * @param {any} value
+ * @returns {string}
+ */
+const escapeCsvField = (value) => {
+  let text = toText(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Table rows as arrays of display values
+ * @param {Object} table - { columns, rows }
+ * @returns {Array<Array<any>>}
+ */
+const getTableBody = (table) =>
+  (table.rows || []).map(row => table.columns.map(column => column.value(row)));
+
+/**
+ * Export file name, e.g. "occupancy-report-2025-12-30.csv"
+ * @param {string} title
+ * @param {string} extension
+ * @returns {string}
+ */
+export const getExportFilename = (title, extension) =>
+  `${slugify(title) || 'report'}-${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
+
+/**
+ * Serialize a report to CSV text
+ * @param {Object} report
+ * @returns {string}
+ */
+export const buildReportCsv = (report) => {
+  const lines = [];
+  const addRow = (values) => lines.push(values.map(escapeCsvField).join(','));
+
+  addRow([report.title]);
+  addRow(['Generated', format(new Date(), 'yyyy-MM-dd HH:mm')]);
+  (report.filters || []).forEach(filter => addRow([filter.label, filter.value]));
+
+  if (report.kpis?.length) {
+    lines.push('');
+    report.kpis.forEach(kpi => addRow([kpi.label, kpi.value]));
+  }
+
+  (report.tables || []).forEach(table => {
+    lines.push('');
+    if (table.title) addRow([table.title]);
+    addRow(table.columns.map(column => column.header));
+    getTableBody(table).forEach(addRow);
+  });
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Trigger a browser download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download a report as CSV
+ * @param {Object} report
+ */
+export const exportReportCsv = (report) => {
+  // BOM so Excel opens the file as UTF-8
+  const blob = new Blob(['\uFEFF', buildReportCsv(report)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, getExportFilename(report.title, 'csv'));
+};
+
+/**
+ * Download a report as a branded PDF
+ * @param {Object} report
+ * @returns {Promise<void>}
+ */
+export const exportReportPdf = async (report) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable'),
+  ]);
+
+  const hasWideTable = (report.tables || []).some(table => table.columns.length > 6);
+  const doc = new jsPDF({ orientation: hasWideTable ? 'landscape' : 'portrait', unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 40;
+
+  // Brand band
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 56, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(BRAND_NAME, margin, 35);
+  const brandWidth = doc.getTextWidth(BRAND_NAME);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(BRAND_TAGLINE, margin + brandWidth + 12, 35);
+  doc.text(`Generated ${format(new Date(), 'MMM d, yyyy HH:mm')}`, pageWidth - margin, 35, { align: 'right' });
+
+  // Title and filters
+  let y = 90;
+  doc.setTextColor(17, 24, 39);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(report.title, margin, y);
+  if (report.subtitle) {
+    y += 18;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(report.subtitle, margin, y);
+  }
+  if (report.filters?.length) {
+    y += 16;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    const filterText = report.filters.map(filter => `${filter.label}: ${toText(filter.value)}`).join('   |   ');
+    const filterLines = doc.splitTextToSize(filterText, pageWidth - margin * 2);
+    doc.text(filterLines, margin, y);
+    y += (filterLines.length - 1) * 11;
+  }
+  y += 16;
+
+  const tableDefaults = {
+    margin: { left: margin, right: margin, bottom: 40 },
+    styles: { font: 'helvetica', fontSize: 9, cellPadding: 5 },
+    headStyles: { fillColor: BRAND_COLOR, textColor: 255, fontStyle: 'bold' },
+    alternateRowStyles: { fillColor: [243, 244, 246] },
+  };
+
+  // KPI grid, two pairs per row
+  if (report.kpis?.length) {
+    const kpiRows = [];
+    for (let i = 0; i < report.kpis.length; i += 2) {
+      const pair = report.kpis.slice(i, i + 2);
+      kpiRows.push(pair.flatMap(kpi => [kpi.label, toText(kpi.value)]));
+    }
+    autoTable(doc, {
+      ...tableDefaults,
+      startY: y,
+      body: kpiRows,
+      theme: 'grid',
+      columnStyles: {
+        0: { fontStyle: 'bold', textColor: MUTED_COLOR },
+        2: { fontStyle: 'bold', textColor: MUTED_COLOR },
+      },
+    });
+    y = doc.lastAutoTable.finalY + 20;
+  }
+
+  (report.tables || []).forEach(table => {
+    if (table.title) {
+      if (y > pageHeight - 80) {
+        doc.addPage();
+        y = margin;
+      }
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(12);
+      doc.setTextColor(17, 24, 39);
+      doc.text(table.title, margin, y);
+      y += 8;
+    }
+    autoTable(doc, {
+      ...tableDefaults,
+      startY: y,
+      head: [table.columns.map(column => column.header)],
+      body: getTableBody(table).map(row => row.map(toText)),
+    });
+    y = doc.lastAutoTable.finalY + 24;
+  });
+
+  // Page footer
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(`${BRAND_NAME} · ${report.title}`, margin, pageHeight - 20);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - 20, { align: 'right' });
+  }
+
+  doc.save(getExportFilename(report.title, 'pdf'));
+};
+
+export default {
+  getExportFilename,
+  buildReportCsv,
+  exportReportCsv,
+  exportReportPdf,
+};
@@ -1,72 +1,209 @@
 // src/pages/appointments/AppointmentCalendarPage.jsx
 /**
  * AppointmentCalendarPage Component
- * 
+ *
  * Production-ready full-featured calendar view for appointments.
- * Displays appointments in month/week/day views with doctor/patient filtering.
- * 
+ * Displays appointments in month/week/day views and a per-doctor day view,
+ * with drag-to-reschedule and click-to-book.
+ *
  * Features:
- * - Interactive calendar using react-big-calendar
- * - Real-time updates via notificationChannel (when appointment created/updated)
- * - Doctor and status filtering
- * - Click event to view appointment details
+ * - Interactive calendar using react-big-calendar (date-fns localizer)
+ * - Real-time updates via subscribeToAppointments
+ * - Doctor filter; "By Doctor" view shows one column per doctor
+ * - Drag or resize a scheduled appointment to reschedule it (another doctor's
+ *   column reassigns it); the move is checked against the doctor's schedule
+ *   and bookings, and snaps back with the conflicts listed if refused
+ * - Recurring series: a drag moves only that visit
+ * - Click an empty slot to open AppointmentForm prefilled with doctor, day and time
+ * - Cancelled appointments are hidden (they no longer hold a slot)
  * - Responsive layout with glassmorphic card
- * - Loading and empty states
- * - Unified with global Card, Badge, LoadingState, EmptyState
- * - Role-aware (all authenticated users can view)
+ * - Loading state
+ * - Unified with global Card, Button, Dialog, LoadingState
+ * - Role-aware: all authenticated users can view; admin, reception and
+ *   doctors can book and reschedule
  */
 
-import { useState } from 'react';
-import { Calendar, momentLocalizer, Views } from 'react-big-calendar';
-import moment from 'moment';
-import toast from 'react-hot-toast';
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Calendar, dateFnsLocalizer, Views } from 'react-big-calendar';
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop';
+import {
+  addDays,
+  addMinutes,
+  addMonths,
+  addWeeks,
+  differenceInMinutes,
+  format,
+  getDay,
+  parse,
+  startOfToday,
+  startOfWeek,
+} from 'date-fns';
+import { enUS } from 'date-fns/locale';
+import { ChevronLeft, ChevronRight, List, Plus } from 'lucide-react';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
+import 'react-big-calendar/lib/addons/dragAndDrop/styles.css';
 import Card from '@components/ui/card.jsx';
-import EmptyState from '@components/common/EmptyState.jsx';
+import Button from '@components/ui/button.jsx';
+import Dialog from '@components/ui/dialog.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import AppointmentStatusBadge from '@components/appointments/AppointmentStatusBadge.jsx';
-import { useAppointmentManagement } from '@hooks/useAppointmentManagement';
+import AppointmentForm from '@components/appointments/AppointmentForm.jsx';
+import { useAppointmentCalendar } from '@hooks/useAppointmentCalendar';
+import { useRoleAccess } from '@hooks/useRoleAccess';
+import { DEFAULT_DOCTOR_SCHEDULE } from '@lib/constants';
 import './AppointmentCalendarPage.scss';
 
-const localizer = momentLocalizer(moment);
+const localizer = dateFnsLocalizer({
+  format,
+  parse,
+  startOfWeek,
+  getDay,
+  locales: { 'en-US': enUS },
+});
+
+const DragAndDropCalendar = withDragAndDrop(Calendar);
+
+// Day view with one column per doctor
+const DOCTORS_VIEW = 'doctors';
+
+const VIEW_OPTIONS = [
+  { value: Views.MONTH, label: 'Month' },
+  { value: Views.WEEK, label: 'Week' },
+  { value: Views.DAY, label: 'Day' },
+  { value: DOCTORS_VIEW, label: 'By Doctor' },
+];
+
+// Custom event renderer
+const EventComponent = ({ event }) => {
+  const appointment = event.resource;
+
+  return (
+    <div className="calendarEvent">
+      <strong>{appointment.patient_name}</strong>
+      <div className="eventDetails">
+        <span>Dr. {appointment.doctor_name}</span>
+        <AppointmentStatusBadge size="sm" status={appointment.status} />
+      </div>
+    </div>
+  );
+};
 
 const AppointmentCalendarPage = () => {
+  // AppointmentForm prefill while the booking dialog is open
+  const [booking, setBooking] = useState(null);
   const {
     appointments,
     isLoadingAppointments,
     doctors,
-  } = useAppointmentManagement();
+    departments,
+    createAppointment,
+    updateAppointment,
+    isCreating,
+    patients,
+    isLoadingPatients,
+  } = useAppointmentCalendar({ loadPatients: !!booking });
+  const navigate = useNavigate();
+  // Same roles firestore.rules lets create and update appointments
+  const { hasAccess: canSchedule } = useRoleAccess(['admin', 'reception', 'doctor']);
 
   const [selectedDoctor, setSelectedDoctor] = useState('all');
   const [selectedView, setSelectedView] = useState(Views.MONTH);
+  const [date, setDate] = useState(new Date());
 
-  // Filter appointments by selected doctor
-  const filteredAppointments = selectedDoctor === 'all' 
-    ? appointments 
-    : appointments.filter(a => a.doctor_user_id === selectedDoctor);
+  const isDoctorsView = selectedView === DOCTORS_VIEW;
+  const calendarView = isDoctorsView ? Views.DAY : selectedView;
 
   // Transform appointments for calendar
-  const events = filteredAppointments.map(appointment => ({
-    id: appointment.id,
-    title: `${appointment.patient_name} - Dr. ${appointment.doctor_name}`,
-    start: new Date(appointment.appointment_date),
-    end: new Date(new Date(appointment.appointment_date).getTime() + 30 * 60000), // 30 min default
-    resource: appointment,
-  }));
-
-  // Custom event renderer
-  const EventComponent = ({ event }) => {
+  const events = useMemo(() => appointments
+    .filter(appointment => appointment.status !== 'cancelled')
+    .filter(appointment => selectedDoctor === 'all' || appointment.doctor_user_id === selectedDoctor)
+    .map(appointment => {
+      const start = new Date(appointment.appointment_date);
+      return {
+        id: appointment.id,
+        title: `${appointment.patient_name} - Dr. ${appointment.doctor_name}`,
+        start,
+        end: addMinutes(start, appointment.duration_minutes || DEFAULT_DOCTOR_SCHEDULE.slotMinutes),
+        resourceId: appointment.doctor_user_id,
+        resource: appointment,
+      };
+    }), [appointments, selectedDoctor]);
+
+  // Doctor columns for the "By Doctor" view
+  const resources = useMemo(() => {
+    if (!isDoctorsView) return undefined;
+    return doctors
+      .filter(doctor => selectedDoctor === 'all' || doctor.id === selectedDoctor)
+      .map(doctor => ({ id: doctor.id, title: `Dr. ${doctor.full_name}` }));
+  }, [isDoctorsView, doctors, selectedDoctor]);
+
+  // Only upcoming scheduled visits can be moved
+  const isDraggable = (event) =>
+    canSchedule && event.resource.status === 'scheduled' && event.start >= new Date();
+
+  // Drop or resize: the update re-validates the slot; on conflict the
+  // optimistic move is rolled back and the hook toasts the reasons
+  const handleReschedule = async ({ event, start, end, resourceId, isAllDay }) => {
+    if (isAllDay) return;
     const appointment = event.resource;
-    
-    return (
-      <div className="calendar-event">
-        <strong>{appointment.patient_name}</strong>
-        <div className="event-details">
-          <span>Dr. {appointment.doctor_name}</span>
-          <AppointmentStatusBadge size="sm" status={appointment.status} />
-        </div>
-      </div>
-    );
+    const durationMinutes = differenceInMinutes(end, start);
+    const changes = {
+      appointment_date: start.toISOString(),
+      ...(durationMinutes > 0 &&
+        durationMinutes !== differenceInMinutes(event.end, event.start) &&
+        { duration_minutes: durationMinutes }),
+      ...(resourceId && resourceId !== appointment.doctor_user_id && { doctor_user_id: resourceId }),
+    };
+
+    try {
+      await updateAppointment(appointment.id, changes);
+    } catch (error) {
+      console.error('Failed to reschedule appointment:', error);
+    }
+  };
+
+  // Month cells give a day; week/day slots also give the time
+  const handleSelectSlot = ({ start, resourceId }) => {
+    if (!canSchedule || start < startOfToday()) return;
+    const withTime = calendarView !== Views.MONTH;
+    if (withTime && start < new Date()) return;
+
+    const doctorId = resourceId || (selectedDoctor !== 'all' ? selectedDoctor : '');
+    setBooking({
+      doctor_user_id: doctorId,
+      appointment_day: format(start, 'yyyy-MM-dd'),
+      appointment_date: withTime ? start.toISOString() : '',
+    });
+  };
+
+  const handleAppointmentCreated = async (appointmentData) => {
+    try {
+      await createAppointment(appointmentData);
+      setBooking(null);
+    } catch (error) {
+      console.error('Failed to create appointment:', error);
+    }
+  };
+
+  const handleNavigate = (direction) => {
+    if (direction === 'today') {
+      setDate(new Date());
+      return;
+    }
+    const step = direction === 'next' ? 1 : -1;
+    if (calendarView === Views.MONTH) setDate(current => addMonths(current, step));
+    else if (calendarView === Views.WEEK) setDate(current => addWeeks(current, step));
+    else setDate(current => addDays(current, step));
+  };
+
+  const getRangeLabel = () => {
+    if (calendarView === Views.MONTH) return format(date, 'MMMM yyyy');
+    if (calendarView === Views.WEEK) {
+      const weekStart = startOfWeek(date);
+      return `${format(weekStart, 'MMM d')} - ${format(addDays(weekStart, 6), 'MMM d, yyyy')}`;
+    }
+    return format(date, 'EEEE, MMM d, yyyy');
   };
 
   if (isLoadingAppointments) {
@@ -74,15 +211,59 @@ const AppointmentCalendarPage = () => {
   }
 
   return (
-    <div className="appointment-calendar-page">
-      <Card className="calendar-container">
-        <div className="calendar-header">
-          <h1 className="page-title">Appointment Calendar</h1>
-          
-          <div className="calendar-controls">
+    <div className="appointmentCalendarPage">
+      <Card className="calendarContainer">
+        <div className="calendarHeader">
+          <div className="calendarTitleRow">
+            <h1 className="pageTitle">Appointment Calendar</h1>
+            <div className="flex flex-wrap gap-3">
+              <Button variant="outline" onClick={() => navigate('/appointments')}>
+                <List size={18} />
+                List View
+              </Button>
+              {canSchedule && (
+                <Button
+                  onClick={() => setBooking({
+                    doctor_user_id: selectedDoctor !== 'all' ? selectedDoctor : '',
+                    appointment_day: '',
+                    appointment_date: '',
+                  })}
+                >
+                  <Plus size={18} />
+                  New Appointment
+                </Button>
+              )}
+            </div>
+          </div>
+
+          <div className="calendarControls">
+            {/* Date navigation */}
+            <div className="dateNavigation">
+              <Button
+                aria-label="Previous"
+                size="icon"
+                variant="outline"
+                onClick={() => handleNavigate('prev')}
+              >
+                <ChevronLeft size={18} />
+              </Button>
+              <Button variant="outline" onClick={() => handleNavigate('today')}>
+                Today
+              </Button>
+              <Button
+                aria-label="Next"
+                size="icon"
+                variant="outline"
+                onClick={() => handleNavigate('next')}
+              >
+                <ChevronRight size={18} />
+              </Button>
+              <span className="rangeLabel">{getRangeLabel()}</span>
+            </div>
+
             {/* Doctor filter */}
-            <select 
-              className="doctor-filter"
+            <select
+              className="doctorFilter"
               value={selectedDoctor}
               onChange={(e) => setSelectedDoctor(e.target.value)}
             >
@@ -95,51 +276,74 @@ const AppointmentCalendarPage = () => {
             </select>
 
             {/* View buttons */}
-            <div className="view-buttons">
-              {[Views.MONTH, Views.WEEK, Views.DAY].map(view => (
+            <div className="viewButtons">
+              {VIEW_OPTIONS.map(option => (
                 <button
-                  className={selectedView === view ? 'active' : ''}
-                  key={view}
-                  onClick={() => setSelectedView(view)}
+                  className={selectedView === option.value ? 'active' : ''}
+                  key={option.value}
+                  type="button"
+                  onClick={() => setSelectedView(option.value)}
                 >
-                  {view.charAt(0) + view.slice(1).toLowerCase()}
+                  {option.label}
                 </button>
               ))}
             </div>
           </div>
         </div>
 
-        {events.length === 0 ? (
-          <EmptyState
-            description="No appointments scheduled for the selected period"
-            illustration="calendar"
-            title="No appointments"
-          />
-        ) : (
-          <Calendar
-            popup
-            components={{
-              event: EventComponent,
-            }}
-            endAccessor="end"
-            events={events}
-            localizer={localizer}
-            startAccessor="start"
-            style={{ height: 600 }}
-            tooltipAccessor="title"
-            view={selectedView}
-            views={[Views.MONTH, Views.WEEK, Views.DAY]}
-            onSelectEvent={(event) => {
-              // Navigate to appointment detail or open dialog
-              // router.push(`/appointments/${event.id}`);
-              toast(`Selected: ${event.title}`);
-            }}
-            onView={setSelectedView}
+        <DragAndDropCalendar
+          popup
+          components={{
+            event: EventComponent,
+          }}
+          date={date}
+          draggableAccessor={isDraggable}
+          endAccessor="end"
+          eventPropGetter={(event) => ({ className: isDraggable(event) ? '' : 'locked' })}
+          events={events}
+          localizer={localizer}
+          resizable={calendarView !== Views.MONTH}
+          resizableAccessor={isDraggable}
+          resourceIdAccessor="id"
+          resourceTitleAccessor="title"
+          resources={resources}
+          scrollToTime={new Date(1970, 0, 1, 8)}
+          selectable={canSchedule}
+          startAccessor="start"
+          step={15}
+          style={{ height: 700 }}
+          timeslots={4}
+          tooltipAccessor="title"
+          view={calendarView}
+          views={[Views.MONTH, Views.WEEK, Views.DAY]}
+          onEventDrop={handleReschedule}
+          onEventResize={handleReschedule}
+          onNavigate={setDate}
+          onSelectSlot={handleSelectSlot}
+          onView={setSelectedView}
+        />
+      </Card>
+
+      {/* Booking Dialog */}
+      <Dialog
+        open={!!booking}
+        onOpenChange={(open) => !open && setBooking(null)}
+      >
+        {booking && (
+          <AppointmentForm
+            departments={departments}
+            doctors={doctors}
+            isLoading={isLoadingPatients}
+            isSubmitting={isCreating}
+            patients={patients}
+            prefill={booking}
+            onCancel={() => setBooking(null)}
+            onSuccess={handleAppointmentCreated}
           />
         )}
-      </Card>
+      </Dialog>
     </div>
   );
 };
 
-export default AppointmentCalendarPage;
\ No newline at end of file
+export default AppointmentCalendarPage;
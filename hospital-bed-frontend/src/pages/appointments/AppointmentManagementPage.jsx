@@ -11,7 +11,12 @@
  * - Filter by doctor, date range, status
  * - Sort by any column
  * - Bulk actions (cancel, complete)
- * - Create new appointment button
+ * - Create new appointment button (only free doctor slots can be booked)
+ * - Doctor schedule dialog (working hours, blocked time)
+ * - Recurring series: members marked; edit/cancel one visit, following, or all
+ * - Calendar view link (drag-to-reschedule lives there)
+ * - iCalendar (.ics) export: one appointment, a date range, or a doctor's full schedule
+ * - Mark past scheduled appointments as no-shows (the sweep also does this after the grace period)
  * - Click row to view/edit appointment
  * - Responsive table with horizontal scroll on mobile
  * - Loading, empty, error states
@@ -20,16 +25,29 @@
  */
 
 import { useState, useMemo, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { format } from 'date-fns';
 import { 
   Search,
   Plus,
   MoreVertical,
+  CalendarClock,
+  CalendarDays,
+  CalendarPlus,
+  Edit,
+  XCircle,
+  Repeat,
+  UserX,
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
 import Button from '@components/ui/button.jsx';
 import Input from '@components/ui/input.jsx';
 import Dialog from '@components/ui/dialog.jsx';
+import Badge from '@components/ui/badge.jsx';
+import DropdownMenu from '@components/ui/dropdown-menu.jsx';
+import DropdownMenuTrigger from '@components/ui/dropdown-menu-trigger.jsx';
+import DropdownMenuContent from '@components/ui/dropdown-menu-content.jsx';
+import DropdownMenuItem from '@components/ui/dropdown-menu-item.jsx';
 import {
   Table,
   TableHeader,
@@ -40,22 +58,40 @@ import {
 } from '@components/ui/table.jsx';
 import AppointmentStatusBadge from '@components/appointments/AppointmentStatusBadge.jsx';
 import AppointmentForm from '@components/appointments/AppointmentForm.jsx';
+import DoctorScheduleDialog from '@components/appointments/DoctorScheduleDialog.jsx';
+import SeriesScopeDialog from '@components/appointments/SeriesScopeDialog.jsx';
+import CalendarExportDialog from '@components/appointments/CalendarExportDialog.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
 import { useAppointmentManagement } from '@hooks/useAppointmentManagement';
+import { useAuth } from '@hooks/useAuth';
+import { useRoleAccess } from '@hooks/useRoleAccess';
 import * as patientFirebase from '@services/firebase/patientFirebase';
-import { formatDateTime } from '@lib/dateUtils';
+import { exportAppointmentsIcs } from '@lib/calendarExport';
+import { formatDate, formatDateTime } from '@lib/dateUtils';
+import { SERIES_SCOPE } from '@lib/constants';
 import './AppointmentManagementPage.scss';
 
 const AppointmentManagementPage = () => {
   const {
     appointments,
     doctors,
+    departments,
     isLoadingAppointments,
     isErrorAppointments,
     createAppointment,
+    updateAppointment,
+    deleteAppointment,
+    markNoShow,
     isCreating,
+    isUpdating,
+    isDeleting,
   } = useAppointmentManagement();
+  const { user, currentRole } = useAuth();
+  const navigate = useNavigate();
+  const { hasAccess: canManageSchedules } = useRoleAccess(['admin', 'reception', 'doctor']);
+  // Doctors maintain only their own schedule
+  const isDoctor = currentRole === 'doctor';
 
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedDoctor, setSelectedDoctor] = useState('all');
@@ -64,6 +100,12 @@ const AppointmentManagementPage = () => {
   
   // Dialog state for appointment creation
   const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false);
+  const [isScheduleDialogOpen, setIsScheduleDialogOpen] = useState(false);
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+  // { appointment, scope } while the edit dialog is open
+  const [editing, setEditing] = useState(null);
+  // { action: 'edit' | 'cancel', appointment } while asking which series visits to change
+  const [scopeRequest, setScopeRequest] = useState(null);
   const [patients, setPatients] = useState([]);
   const [isLoadingPatients, setIsLoadingPatients] = useState(false);
   const [patientsLoaded, setPatientsLoaded] = useState(false);
@@ -124,7 +166,7 @@ const AppointmentManagementPage = () => {
   // Load patients when dialog opens
   useEffect(() => {
     const loadPatients = async () => {
-      if (isCreateDialogOpen && !patientsLoaded) {
+      if ((isCreateDialogOpen || editing) && !patientsLoaded) {
         setIsLoadingPatients(true);
         try {
           const patientsData = await patientFirebase.getAll();
@@ -139,7 +181,7 @@ const AppointmentManagementPage = () => {
     };
 
     loadPatients();
-  }, [isCreateDialogOpen, patientsLoaded]);
+  }, [isCreateDialogOpen, editing, patientsLoaded]);
 
   // Handler to open appointment dialog
   const handleOpenCreateDialog = () => {
@@ -161,6 +203,65 @@ const AppointmentManagementPage = () => {
     }
   };
 
+  // Series members ask for a scope first
+  const handleEdit = (appointment) => {
+    if (appointment.series_id) {
+      setScopeRequest({ action: 'edit', appointment });
+      return;
+    }
+    setEditing({ appointment, scope: SERIES_SCOPE.OCCURRENCE });
+  };
+
+  const handleCancel = async (appointment) => {
+    if (appointment.series_id) {
+      setScopeRequest({ action: 'cancel', appointment });
+      return;
+    }
+    try {
+      await deleteAppointment(appointment.id);
+    } catch (error) {
+      console.error('Failed to cancel appointment:', error);
+    }
+  };
+
+  const handleMarkNoShow = async (appointment) => {
+    try {
+      await markNoShow(appointment.id, user?.id);
+    } catch (error) {
+      console.error('Failed to mark no-show:', error);
+    }
+  };
+
+  const handleExportAppointment = (appointment) => {
+    exportAppointmentsIcs([appointment], {
+      calendarName: `Appointment ${formatDate(appointment.appointment_date, 'yyyy-MM-dd HHmm')}`,
+    });
+  };
+
+  const handleScopeConfirmed = async (scope) => {
+    const { action, appointment } = scopeRequest;
+    if (action === 'edit') {
+      setScopeRequest(null);
+      setEditing({ appointment, scope });
+      return;
+    }
+    try {
+      await deleteAppointment(appointment.id, scope);
+      setScopeRequest(null);
+    } catch (error) {
+      console.error('Failed to cancel appointments:', error);
+    }
+  };
+
+  const handleAppointmentUpdated = async (appointmentData) => {
+    try {
+      await updateAppointment(editing.appointment.id, appointmentData, editing.scope);
+      setEditing(null);
+    } catch (error) {
+      console.error('Failed to update appointment:', error);
+    }
+  };
+
   if (isLoadingAppointments) {
     return <LoadingState count={10} type="table" />;
   }
@@ -177,10 +278,26 @@ const AppointmentManagementPage = () => {
     <div className="appointment-management-page">
       <div className="page-header">
         <h1 className="page-title">Appointment Management</h1>
-        <Button size="lg" onClick={handleOpenCreateDialog}>
-          <Plus size={20} />
-          New Appointment
-        </Button>
+        <div className="flex flex-wrap gap-3">
+          <Button size="lg" variant="outline" onClick={() => navigate('/appointments/calendar')}>
+            <CalendarDays size={20} />
+            Calendar
+          </Button>
+          <Button size="lg" variant="outline" onClick={() => setIsExportDialogOpen(true)}>
+            <CalendarPlus size={20} />
+            Export .ics
+          </Button>
+          {canManageSchedules && (
+            <Button size="lg" variant="outline" onClick={() => setIsScheduleDialogOpen(true)}>
+              <CalendarClock size={20} />
+              {isDoctor ? 'My Schedule' : 'Doctor Schedules'}
+            </Button>
+          )}
+          <Button size="lg" onClick={handleOpenCreateDialog}>
+            <Plus size={20} />
+            New Appointment
+          </Button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -215,6 +332,8 @@ const AppointmentManagementPage = () => {
           >
             <option value="all">All Status</option>
             <option value="scheduled">Scheduled</option>
+            <option value="checked_in">Checked In</option>
+            <option value="in_progress">In Consultation</option>
             <option value="completed">Completed</option>
             <option value="cancelled">Cancelled</option>
             <option value="no_show">No Show</option>
@@ -281,17 +400,56 @@ const AppointmentManagementPage = () => {
                   </TableCell>
                   <TableCell>
                     {formatDateTime(appointment.appointment_date)}
+                    {appointment.series_id && (
+                      <Badge className="ml-2" title="Part of a recurring series" variant="outline">
+                        <Repeat size={12} />
+                        {appointment.series_index}/{appointment.series_size}
+                      </Badge>
+                    )}
                   </TableCell>
                   <TableCell className="reason">
                     {appointment.reason || '-'}
                   </TableCell>
                   <TableCell>
-                    <AppointmentStatusBadge status={appointment.status} />
+                    <AppointmentStatusBadge
+                      status={appointment.status}
+                      title={appointment.status_reason || undefined}
+                    />
                   </TableCell>
                   <TableCell>
-                    <Button size="icon" variant="ghost">
-                      <MoreVertical size={18} />
-                    </Button>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button size="icon" variant="ghost">
+                          <MoreVertical size={18} />
+                          <span className="sr-only">Open actions</span>
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        <DropdownMenuItem onClick={() => handleEdit(appointment)}>
+                          <Edit className="w-4 h-4 mr-2" />
+                          Edit
+                        </DropdownMenuItem>
+                        <DropdownMenuItem onClick={() => handleExportAppointment(appointment)}>
+                          <CalendarPlus className="w-4 h-4 mr-2" />
+                          Add to Calendar
+                        </DropdownMenuItem>
+                        {appointment.status === 'scheduled' && new Date(appointment.appointment_date) < new Date() && (
+                          <DropdownMenuItem onClick={() => handleMarkNoShow(appointment)}>
+                            <UserX className="w-4 h-4 mr-2" />
+                            Mark No-Show
+                          </DropdownMenuItem>
+                        )}
+                        {appointment.status === 'scheduled' && (
+                          <DropdownMenuItem
+                            className="text-destructive"
+                            onClick={() => handleCancel(appointment)}
+                          >
+                            <XCircle className="w-4 h-4 mr-2" />
+                            Cancel
+                          </DropdownMenuItem>
+                        )}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
                   </TableCell>
                 </TableRow>
               ))}
@@ -306,6 +464,7 @@ const AppointmentManagementPage = () => {
         onOpenChange={handleDialogOpenChange}
       >
         <AppointmentForm
+          departments={departments}
           doctors={doctors}
           isLoading={isLoadingPatients}
           isSubmitting={isCreating}
@@ -314,6 +473,57 @@ const AppointmentManagementPage = () => {
           onSuccess={handleAppointmentCreated}
         />
       </Dialog>
+
+      {/* Appointment Edit Dialog */}
+      <Dialog
+        open={!!editing}
+        onOpenChange={(open) => !open && setEditing(null)}
+      >
+        {editing && (
+          <AppointmentForm
+            departments={departments}
+            doctors={doctors}
+            initialData={editing.appointment}
+            isLoading={isLoadingPatients}
+            isSubmitting={isUpdating}
+            patients={patients}
+            seriesScope={editing.appointment.series_id ? editing.scope : null}
+            onCancel={() => setEditing(null)}
+            onSuccess={handleAppointmentUpdated}
+          />
+        )}
+      </Dialog>
+
+      {/* Recurring Series Scope Dialog */}
+      <SeriesScopeDialog
+        action={scopeRequest?.action}
+        appointment={scopeRequest?.appointment}
+        isSubmitting={isDeleting}
+        open={!!scopeRequest}
+        onConfirm={handleScopeConfirmed}
+        onOpenChange={(open) => !open && setScopeRequest(null)}
+      />
+
+      {/* Calendar Export Dialog */}
+      <CalendarExportDialog
+        appointments={appointments}
+        defaultDoctorId={isDoctor ? user?.id : ''}
+        doctors={doctors}
+        open={isExportDialogOpen}
+        onOpenChange={setIsExportDialogOpen}
+      />
+
+      {/* Doctor Schedule Dialog */}
+      {canManageSchedules && (
+        <DoctorScheduleDialog
+          doctorId={isDoctor ? user?.id : ''}
+          doctors={doctors}
+          lockDoctor={isDoctor}
+          open={isScheduleDialogOpen}
+          userId={user?.id}
+          onOpenChange={setIsScheduleDialogOpen}
+        />
+      )}
     </div>
   );
 };
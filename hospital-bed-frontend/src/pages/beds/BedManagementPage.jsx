@@ -8,8 +8,9 @@
  * Features:
  * - Department accordion with bed grid
  * - Real-time bed status updates via SignalR (bedChannel)
- * - Assign/discharge patient dialogs
- * - Bed status change (maintenance/cleaning)
+ * - Assign/transfer/discharge patient dialogs (structured discharge with follow-up)
+ * - Reserve beds for incoming admissions (holds expire automatically)
+ * - Bed status change (cleaning sign-off, maintenance, blocked)
  * - Search and filter beds
  * - Responsive grid layout
  * - Loading, empty, error states
@@ -22,7 +23,11 @@ import {
   Search, 
   UserCheck,
   UserX,
+  ArrowRightLeft,
+  CalendarClock,
+  CalendarX,
   Wrench,
+  Sparkles,
   MoreVertical 
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
@@ -33,18 +38,46 @@ import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
 import AssignBedDialog from '@components/beds/AssignBedDialog.jsx';
 import DischargeBedDialog from '@components/beds/DischargeBedDialog.jsx';
+import BedStatusDialog from '@components/beds/BedStatusDialog.jsx';
+import ReserveBedDialog from '@components/beds/ReserveBedDialog.jsx';
 import { useBedManagement } from '@hooks/useBedManagement';
+import { useDoctors } from '@hooks/useDischarge';
 import { useRoleAccess } from '@hooks/useRoleAccess';
+import { useAuth } from '@hooks/useAuth';
+import { formatDateTime } from '@lib/dateUtils';
 import './BedManagementPage.scss';
 
 const BedManagementPage = () => {
-  const { beds, departments, patients, isLoadingBeds, assignBed, isAssigning, dischargeBed, isDischarging } = useBedManagement();
+  const {
+    beds,
+    departments,
+    patients,
+    isLoadingBeds,
+    assignBed,
+    isAssigning,
+    transferBed,
+    isTransferring,
+    reserveBed,
+    isReserving,
+    releaseReservation,
+    isReleasingReservation,
+    dischargeBed,
+    isDischarging,
+    updateBedStatus,
+    isUpdatingStatus,
+  } = useBedManagement();
   const { hasAccess: canManageBeds } = useRoleAccess(['admin', 'nurse', 'reception']);
+  const { user } = useAuth();
+  const { hasAccess: canBookFollowUp } = useRoleAccess(['admin', 'doctor', 'reception']);
+  const { doctors } = useDoctors(canManageBeds && canBookFollowUp);
   
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedDepartment, setSelectedDepartment] = useState('all');
   const [assignDialogOpen, setAssignDialogOpen] = useState(false);
+  const [transferDialogOpen, setTransferDialogOpen] = useState(false);
+  const [reserveDialogOpen, setReserveDialogOpen] = useState(false);
   const [dischargeDialogOpen, setDischargeDialogOpen] = useState(false);
+  const [statusDialogOpen, setStatusDialogOpen] = useState(false);
   const [selectedBed, setSelectedBed] = useState(null);
 
   // Filtered beds
@@ -94,6 +127,41 @@ const BedManagementPage = () => {
     });
   };
 
+  const handleTransfer = (bed) => {
+    setSelectedBed(bed);
+    setTransferDialogOpen(true);
+  };
+
+  const handleTransferSuccess = (transferPayload) => {
+    transferBed(transferPayload, {
+      onSuccess: () => {
+        setTransferDialogOpen(false);
+        setSelectedBed(null);
+      }
+    });
+  };
+
+  const handleReserve = (bed) => {
+    setSelectedBed(bed);
+    setReserveDialogOpen(true);
+  };
+
+  const handleReserveSuccess = (reservationPayload) => {
+    reserveBed(reservationPayload, {
+      onSuccess: () => {
+        setReserveDialogOpen(false);
+        setSelectedBed(null);
+      }
+    });
+  };
+
+  const handleReleaseReservation = (bed) => {
+    releaseReservation({
+      reservation_id: bed.reservation.id,
+      reason: 'Released from bed management',
+    });
+  };
+
   const handleDischarge = (bed) => {
     setSelectedBed(bed);
     setDischargeDialogOpen(true);
@@ -101,8 +169,7 @@ const BedManagementPage = () => {
 
   const handleDischargeSuccess = (dischargePayload) => {
     // Call the dischargeBed mutation from useBedManagement hook
-    // Note: discharge only needs bed_id, not the full payload
-    dischargeBed(dischargePayload.bed_id, {
+    dischargeBed({ ...dischargePayload, discharged_by: user?.id }, {
       onSuccess: () => {
         setDischargeDialogOpen(false);
         setSelectedBed(null);
@@ -110,6 +177,20 @@ const BedManagementPage = () => {
     });
   };
 
+  const handleUpdateStatus = (bed) => {
+    setSelectedBed(bed);
+    setStatusDialogOpen(true);
+  };
+
+  const handleStatusSuccess = (statusPayload) => {
+    updateBedStatus(statusPayload, {
+      onSuccess: () => {
+        setStatusDialogOpen(false);
+        setSelectedBed(null);
+      }
+    });
+  };
+
   if (isLoadingBeds) {
     return <LoadingState count={12} type="grid" />;
   }
@@ -193,31 +274,90 @@ const BedManagementPage = () => {
                           ) : (
                             <p className="noPatient">No patient assigned</p>
                           )}
+                          {bed.reservation && (
+                            <p className="reservationInfo">
+                              Reserved for {bed.reservation.patient_name || 'pending admission'}
+                              {bed.reservation.expires_at && ` until ${formatDateTime(bed.reservation.expires_at)}`}
+                            </p>
+                          )}
+                          {bed.status_reason && (
+                            <p className="statusReason">{bed.status_reason}</p>
+                          )}
                         </div>
 
                         {canManageBeds && (
                           <div className="bedActions">
                             {bed.status === 'available' ? (
-                              <Button 
-                                size="sm" 
-                                onClick={() => handleAssign(bed)}
-                              >
-                                <UserCheck size={16} />
-                                Assign Patient
-                              </Button>
+                              <>
+                                <Button 
+                                  size="sm" 
+                                  onClick={() => handleAssign(bed)}
+                                >
+                                  <UserCheck size={16} />
+                                  Assign Patient
+                                </Button>
+                                <Button 
+                                  size="sm" 
+                                  variant="outline"
+                                  onClick={() => handleReserve(bed)}
+                                >
+                                  <CalendarClock size={16} />
+                                  Reserve
+                                </Button>
+                                <Button 
+                                  size="sm" 
+                                  variant="ghost"
+                                  onClick={() => handleUpdateStatus(bed)}
+                                >
+                                  <Wrench size={16} />
+                                </Button>
+                              </>
+                            ) : bed.status === 'reserved' ? (
+                              <>
+                                <Button 
+                                  size="sm" 
+                                  onClick={() => handleAssign(bed)}
+                                >
+                                  <UserCheck size={16} />
+                                  Assign Patient
+                                </Button>
+                                <Button 
+                                  disabled={isReleasingReservation}
+                                  size="sm" 
+                                  variant="outline"
+                                  onClick={() => handleReleaseReservation(bed)}
+                                >
+                                  <CalendarX size={16} />
+                                  Release
+                                </Button>
+                              </>
                             ) : bed.status === 'occupied' ? (
+                              <>
+                                <Button 
+                                  size="sm" 
+                                  variant="outline"
+                                  onClick={() => handleTransfer(bed)}
+                                >
+                                  <ArrowRightLeft size={16} />
+                                  Transfer
+                                </Button>
+                                <Button 
+                                  size="sm" 
+                                  variant="destructive"
+                                  onClick={() => handleDischarge(bed)}
+                                >
+                                  <UserX size={16} />
+                                  Discharge
+                                </Button>
+                              </>
+                            ) : (
                               <Button 
                                 size="sm" 
-                                variant="destructive"
-                                onClick={() => handleDischarge(bed)}
+                                variant="secondary"
+                                onClick={() => handleUpdateStatus(bed)}
                               >
-                                <UserX size={16} />
-                                Discharge
-                              </Button>
-                            ) : (
-                              <Button size="sm" variant="secondary">
-                                <Wrench size={16} />
-                                Update Status
+                                {bed.status === 'cleaning' ? <Sparkles size={16} /> : <Wrench size={16} />}
+                                {bed.status === 'cleaning' ? 'Sign Off Cleaning' : 'Update Status'}
                               </Button>
                             )}
                           </div>
@@ -237,19 +377,46 @@ const BedManagementPage = () => {
         <>
           <AssignBedDialog
             bed={selectedBed}
+            beds={beds}
             open={assignDialogOpen}
             onOpenChange={setAssignDialogOpen}
             patients={patients}
             isSubmitting={isAssigning}
             onSuccess={handleAssignSuccess}
           />
+          <AssignBedDialog
+            bed={selectedBed}
+            beds={beds}
+            isSubmitting={isTransferring}
+            mode="transfer"
+            open={transferDialogOpen}
+            onOpenChange={setTransferDialogOpen}
+            onTransfer={handleTransferSuccess}
+          />
+          <ReserveBedDialog
+            bed={selectedBed}
+            isSubmitting={isReserving}
+            open={reserveDialogOpen}
+            patients={patients}
+            onOpenChange={setReserveDialogOpen}
+            onSuccess={handleReserveSuccess}
+          />
           <DischargeBedDialog
             bed={selectedBed}
+            canBookFollowUp={canBookFollowUp}
+            doctors={doctors}
             open={dischargeDialogOpen}
             onOpenChange={setDischargeDialogOpen}
             isSubmitting={isDischarging}
             onSuccess={handleDischargeSuccess}
           />
+          <BedStatusDialog
+            bed={selectedBed}
+            isSubmitting={isUpdatingStatus}
+            open={statusDialogOpen}
+            onOpenChange={setStatusDialogOpen}
+            onSuccess={handleStatusSuccess}
+          />
         </>
       )}
     </div>
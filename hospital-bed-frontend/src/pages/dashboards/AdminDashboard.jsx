@@ -8,6 +8,7 @@
  * Features:
  * - Bed occupancy overview with live stats
  * - Department breakdown
+ * - 7-day bed availability forecast
  * - Recent appointments and notifications
  * - Quick links to management pages
  * - Responsive grid layout
@@ -31,7 +32,9 @@ import Badge from '@components/ui/badge.jsx';
 import Button from '@components/ui/button.jsx';
 import Progress from '@components/ui/progress.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
+import BedForecastTable from '@components/beds/BedForecastTable.jsx';
 import { useBedManagement } from '@hooks/useBedManagement';
+import { useBedForecast } from '@hooks/useBedForecast';
 import { useAppointmentManagement } from '@hooks/useAppointmentManagement';
 import { useNotificationFeed } from '@hooks/useNotificationFeed';
 import { Link } from 'react-router-dom';
@@ -41,6 +44,7 @@ const AdminDashboard = () => {
   const { beds, departments, isLoadingBeds } = useBedManagement();
   const { appointments, isLoadingAppointments } = useAppointmentManagement();
   const { notifications, unreadCount, isLoadingNotifications } = useNotificationFeed();
+  const { forecast, isLoadingForecast } = useBedForecast({ beds, departments });
 
   // Calculate stats
   const totalBeds = beds.length;
@@ -158,6 +162,9 @@ const AdminDashboard = () => {
         </div>
       </Card>
 
+      {/* Bed Forecast */}
+      <BedForecastTable forecast={forecast} isLoading={isLoadingForecast} />
+
       {/* Quick Actions */}
       <Card className="quickActions">
         <h2 className="sectionTitle">Quick Actions</h2>
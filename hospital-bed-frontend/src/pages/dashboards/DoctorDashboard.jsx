@@ -7,6 +7,8 @@
  * 
  * Features:
  * - Today's appointment list with status and patient info
+ * - Live waiting room: own queue with wait times, call next patient, complete
+ * - Admit a patient from an open visit: admission details, then a matching free bed
  * - Current inpatients (patients in beds assigned to doctor)
  * - Quick stats (appointments today, active patients)
  * - Recent notifications relevant to doctor
@@ -28,21 +30,49 @@ import Card from '@components/ui/card.jsx';
 import Badge from '@components/ui/badge.jsx';
 import Button from '@components/ui/button.jsx';
 import AppointmentStatusBadge from '@components/appointments/AppointmentStatusBadge.jsx';
+import WaitingRoomQueue from '@components/appointments/WaitingRoomQueue.jsx';
+import AdmitPatientDialog from '@components/appointments/AdmitPatientDialog.jsx';
+import AssignBedDialog from '@components/beds/AssignBedDialog.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
 import { useAppointmentManagement } from '@hooks/useAppointmentManagement';
+import { useWaitingRoom } from '@hooks/useWaitingRoom';
 import { useBedManagement } from '@hooks/useBedManagement';
+import { useAppointmentAdmission } from '@hooks/useAppointmentAdmission';
 import { useNotificationFeed } from '@hooks/useNotificationFeed';
 import { useAuth } from '@hooks/useAuth';
 import { formatDateTime } from '@lib/dateUtils';
+import { APPOINTMENT_STATUS } from '@lib/constants';
 import { Link } from 'react-router-dom';
 import './DoctorDashboard.scss';
 
+// Visits the doctor can still turn into an admission
+const ADMITTABLE_STATUSES = [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.IN_PROGRESS];
+
 const DoctorDashboard = () => {
   const { user } = useAuth();
   const { appointments, isLoadingAppointments } = useAppointmentManagement();
-  const { beds, isLoadingBeds } = useBedManagement();
+  const { beds, departments, isLoadingBeds } = useBedManagement();
+  const {
+    waitingRoom,
+    isLoadingWaitingRoom,
+    callNextPatient,
+    completeConsultation,
+    isUpdatingStatus,
+    isCallingNext,
+  } = useWaitingRoom({ doctorId: user?.id, userId: user?.id });
   const { notifications: _notifications, unreadCount, isLoadingNotifications } = useNotificationFeed();
+  const {
+    admittingAppointment,
+    startAdmission,
+    cancelAdmission,
+    admitPatient,
+    isAdmitting,
+    admission,
+    closeBedAssignment,
+    assignBed,
+    isAssigningBed,
+  } = useAppointmentAdmission({ userId: user?.id });
 
   // Today's appointments for current doctor
   const todayAppointments = appointments.filter(a => 
@@ -116,6 +146,17 @@ const DoctorDashboard = () => {
         </Card>
       </div>
 
+      {/* Waiting Room */}
+      <WaitingRoomQueue
+        canCall
+        isBusy={isUpdatingStatus || isCallingNext}
+        isLoading={isLoadingWaitingRoom}
+        showDoctor={false}
+        waitingRoom={waitingRoom}
+        onCallNext={callNextPatient}
+        onComplete={completeConsultation}
+      />
+
       {/* Today's Schedule */}
       <Card className="scheduleCard">
         <h2 className="sectionTitle">Today&apos;s Schedule</h2>
@@ -137,6 +178,17 @@ const DoctorDashboard = () => {
                   <p className="appointmentReason">{appointment.reason || 'General check-up'}</p>
                 </div>
                 <AppointmentStatusBadge status={appointment.status} />
+                {ADMITTABLE_STATUSES.includes(appointment.status) && (
+                  <Button
+                    size="sm"
+                    title="Complete the visit and admit the patient"
+                    variant="outline"
+                    onClick={() => startAdmission(appointment)}
+                  >
+                    <BedDouble size={16} />
+                    Admit
+                  </Button>
+                )}
               </div>
             ))}
           </div>
@@ -192,6 +244,25 @@ const DoctorDashboard = () => {
           </Button>
         </div>
       </Card>
+
+      <AdmitPatientDialog
+        appointment={admittingAppointment}
+        departments={departments}
+        isSubmitting={isAdmitting}
+        open={!!admittingAppointment}
+        onOpenChange={(open) => !open && cancelAdmission()}
+        onSubmit={admitPatient}
+      />
+
+      <AssignBedDialog
+        admission={admission}
+        beds={beds}
+        isSubmitting={isAssigningBed}
+        mode="admit"
+        open={!!admission}
+        onAdmit={assignBed}
+        onOpenChange={(open) => !open && closeBedAssignment()}
+      />
     </div>
   );
 };
@@ -8,6 +8,9 @@
  * Features:
  * - Bed availability overview with department breakdown
  * - Current assigned patients list
+ * - Live bed waitlist with suggested beds
+ * - Medication round: doses due in the next hour and overdue doses on the
+ *   nurse's ward, recorded in place (DoseRecordDialog)
  * - Critical alerts and tasks
  * - Quick actions for bed assignment/discharge
  * - Responsive layout with glassmorphic cards
@@ -32,8 +35,14 @@ import Progress from '@components/ui/progress.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import AssignBedDialog from '@components/beds/AssignBedDialog.jsx';
 import DischargeBedDialog from '@components/beds/DischargeBedDialog.jsx';
+import BedRequestQueue from '@components/beds/BedRequestQueue.jsx';
+import BedRequestDialog from '@components/beds/BedRequestDialog.jsx';
+import DueDosesList from '@components/prescriptions/DueDosesList.jsx';
+import DoseRecordDialog from '@components/prescriptions/DoseRecordDialog.jsx';
 import { useBedManagement } from '@hooks/useBedManagement';
+import { useBedRequests } from '@hooks/useBedRequests';
 import { useNotificationFeed } from '@hooks/useNotificationFeed';
+import { useDueDoses, useDoseRecording } from '@hooks/useMedicationAdministration';
 import { useAuth } from '@hooks/useAuth';
 import { Link } from 'react-router-dom';
 import { useState } from 'react';
@@ -41,12 +50,31 @@ import './NurseDashboard.scss';
 
 const NurseDashboard = () => {
   const { user } = useAuth();
-  const { beds, departments, isLoadingBeds } = useBedManagement();
+  const { beds, departments, patients, isLoadingBeds } = useBedManagement();
+  const {
+    requests,
+    isLoadingRequests,
+    createRequest,
+    isCreatingRequest,
+    cancelRequest,
+    fulfillRequest,
+    isFulfillingRequest,
+  } = useBedRequests();
   const { notifications, unreadCount: _unreadCount, isLoadingNotifications } = useNotificationFeed();
+  const { dueDoses, isLoadingDueDoses } = useDueDoses({ departmentId: user?.department_id });
+  const {
+    pendingDose,
+    startRecord,
+    closeRecord,
+    submitRecord,
+    defaultInitials,
+    isRecording,
+  } = useDoseRecording({ user });
 
   const [assignDialogOpen, setAssignDialogOpen] = useState(false);
   const [dischargeDialogOpen, setDischargeDialogOpen] = useState(false);
   const [selectedBed, setSelectedBed] = useState(null);
+  const [requestDialogOpen, setRequestDialogOpen] = useState(false);
 
   // Calculate stats
   const totalBeds = beds.length;
@@ -66,6 +94,28 @@ const NurseDashboard = () => {
     .filter(n => n.type === 'error' || n.type === 'warning')
     .slice(0, 5);
 
+  const handleRequestSuccess = (requestPayload) => {
+    createRequest({ ...requestPayload, requested_by: user?.id }, {
+      onSuccess: () => setRequestDialogOpen(false),
+    });
+  };
+
+  const handleAssignFromQueue = (request, bed) => {
+    fulfillRequest({ id: request.id, bed_id: bed.id, assigned_by: user?.id });
+  };
+
+  const handleCancelRequest = (request) => {
+    cancelRequest({ id: request.id, cancelledBy: user?.id, reason: 'Removed from waitlist' });
+  };
+
+  // Unscheduled entries (frequency not understood) are recorded as given, like as-needed doses
+  const handleRecordDose = (dose) => {
+    startRecord(
+      { id: dose.prescription_id, medication_name: dose.medication_name, dosage: dose.dosage },
+      dose.scheduled_at ? { id: dose.id, scheduled_at: dose.scheduled_at } : null
+    );
+  };
+
   const _handleAssign = (_bed) => {
     setSelectedBed(_bed);
     setAssignDialogOpen(true);
@@ -132,6 +182,27 @@ const NurseDashboard = () => {
         </Card>
       </div>
 
+      {/* Bed Waitlist */}
+      <BedRequestQueue
+        canManage
+        beds={beds}
+        departments={departments}
+        isAssigning={isFulfillingRequest}
+        isLoading={isLoadingRequests}
+        requests={requests}
+        onAddRequest={() => setRequestDialogOpen(true)}
+        onAssign={handleAssignFromQueue}
+        onCancel={handleCancelRequest}
+      />
+
+      {/* Medication Round */}
+      <DueDosesList
+        canRecord
+        doses={dueDoses}
+        isLoading={isLoadingDueDoses}
+        onRecord={handleRecordDose}
+      />
+
       {/* Critical Departments */}
       {criticalDepartments.length > 0 && (
         <Card className="criticalDepartments">
@@ -216,6 +287,23 @@ const NurseDashboard = () => {
       </Card>
 
       {/* Dialogs */}
+      <BedRequestDialog
+        departments={departments}
+        isSubmitting={isCreatingRequest}
+        open={requestDialogOpen}
+        patients={patients}
+        onOpenChange={setRequestDialogOpen}
+        onSuccess={handleRequestSuccess}
+      />
+      <DoseRecordDialog
+        defaultInitials={defaultInitials}
+        dose={pendingDose?.dose}
+        isSubmitting={isRecording}
+        open={!!pendingDose}
+        prescription={pendingDose?.prescription}
+        onOpenChange={(open) => !open && closeRecord()}
+        onSubmit={submitRecord}
+      />
       {selectedBed && (
         <>
           <AssignBedDialog
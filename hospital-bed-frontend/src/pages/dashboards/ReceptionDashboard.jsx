@@ -8,7 +8,9 @@
  * Features:
  * - Quick patient search and registration
  * - Today's appointments overview
+ * - Live waiting room: check-in, wait times, call next patient
  * - Available beds summary
+ * - Live bed waitlist with suggested beds
  * - Recent patient admissions
  * - Quick actions for core reception tasks
  * - Responsive layout with glassmorphic cards
@@ -34,8 +36,13 @@ import Button from '@components/ui/button.jsx';
 import Input from '@components/ui/input.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
+import BedRequestQueue from '@components/beds/BedRequestQueue.jsx';
+import BedRequestDialog from '@components/beds/BedRequestDialog.jsx';
+import WaitingRoomQueue from '@components/appointments/WaitingRoomQueue.jsx';
 import { useBedManagement } from '@hooks/useBedManagement';
+import { useBedRequests } from '@hooks/useBedRequests';
 import { useAppointmentManagement } from '@hooks/useAppointmentManagement';
+import { useWaitingRoom } from '@hooks/useWaitingRoom';
 import { useAuth } from '@hooks/useAuth';
 import { Link } from 'react-router-dom';
 import { formatDateTime } from '@lib/dateUtils';
@@ -43,10 +50,30 @@ import './ReceptionDashboard.scss';
 
 const ReceptionDashboard = () => {
   const { user } = useAuth();
-  const { beds, isLoadingBeds } = useBedManagement();
+  const { beds, departments, patients, isLoadingBeds } = useBedManagement();
+  const {
+    requests,
+    isLoadingRequests,
+    createRequest,
+    isCreatingRequest,
+    cancelRequest,
+    fulfillRequest,
+    isFulfillingRequest,
+  } = useBedRequests();
   const { appointments, isLoadingAppointments } = useAppointmentManagement();
+  const {
+    waitingRoom,
+    isLoadingWaitingRoom,
+    checkIn,
+    undoCheckIn,
+    callNextPatient,
+    completeConsultation,
+    isUpdatingStatus,
+    isCallingNext,
+  } = useWaitingRoom({ userId: user?.id });
 
   const [patientSearch, setPatientSearch] = useState('');
+  const [requestDialogOpen, setRequestDialogOpen] = useState(false);
 
   // Calculate stats
   const availableBeds = beds.filter(b => b.status === 'available').length;
@@ -59,6 +86,20 @@ const ReceptionDashboard = () => {
     .sort((a, b) => new Date(b.appointment_date) - new Date(a.appointment_date))
     .slice(0, 5);
 
+  const handleRequestSuccess = (requestPayload) => {
+    createRequest({ ...requestPayload, requested_by: user?.id }, {
+      onSuccess: () => setRequestDialogOpen(false),
+    });
+  };
+
+  const handleAssignFromQueue = (request, bed) => {
+    fulfillRequest({ id: request.id, bed_id: bed.id, assigned_by: user?.id });
+  };
+
+  const handleCancelRequest = (request) => {
+    cancelRequest({ id: request.id, cancelledBy: user?.id, reason: 'Removed from waitlist' });
+  };
+
   if (isLoadingBeds || isLoadingAppointments) {
     return <LoadingState count={6} type="grid" />;
   }
@@ -135,6 +176,32 @@ const ReceptionDashboard = () => {
         </div>
       </Card>
 
+      {/* Waiting Room */}
+      <WaitingRoomQueue
+        canCall
+        canCheckIn
+        isBusy={isUpdatingStatus || isCallingNext}
+        isLoading={isLoadingWaitingRoom}
+        waitingRoom={waitingRoom}
+        onCallNext={callNextPatient}
+        onCheckIn={checkIn}
+        onComplete={completeConsultation}
+        onUndoCheckIn={undoCheckIn}
+      />
+
+      {/* Bed Waitlist */}
+      <BedRequestQueue
+        canManage
+        beds={beds}
+        departments={departments}
+        isAssigning={isFulfillingRequest}
+        isLoading={isLoadingRequests}
+        requests={requests}
+        onAddRequest={() => setRequestDialogOpen(true)}
+        onAssign={handleAssignFromQueue}
+        onCancel={handleCancelRequest}
+      />
+
       {/* Today's Appointments */}
       <Card className="appointmentsCard">
         <h2 className="sectionTitle">Today&apos;s Appointments</h2>
@@ -186,6 +253,15 @@ const ReceptionDashboard = () => {
           </Link>
         </Button>
       </Card>
+
+      <BedRequestDialog
+        departments={departments}
+        isSubmitting={isCreatingRequest}
+        open={requestDialogOpen}
+        patients={patients}
+        onOpenChange={setRequestDialogOpen}
+        onSuccess={handleRequestSuccess}
+      />
     </div>
   );
 };
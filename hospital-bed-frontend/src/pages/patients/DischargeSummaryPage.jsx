@@ -0,0 +1,148 @@
+// src/pages/patients/DischargeSummaryPage.jsx
+/**
+ * DischargeSummaryPage Component
+ *
+ * Printable discharge summary for one hospital stay.
+ * Reached from the Discharge History card on PatientDetailPage.
+ *
+ * Features:
+ * - A4 document layout for printing (app chrome hidden via .no-print)
+ * - Patient identification, stay dates, bed and department
+ * - Disposition with destination facility for transfers
+ * - Diagnosis, hospital course and discharge instructions
+ * - Follow-up appointment with doctor and instructions
+ * - Loading and not-found states
+ * - Unified with global Card, Button, EmptyState components
+ */
+
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, Printer } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Button from '@components/ui/button.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import { useDischargeSummary } from '@hooks/useDischarge';
+import { formatDate, formatDateTime } from '@lib/dateUtils';
+import { DISCHARGE_DISPOSITION, DISCHARGE_DISPOSITION_LABELS } from '@lib/constants';
+import './DischargeSummaryPage.scss';
+
+const Field = ({ label, value }) => (
+  <div className="summaryField">
+    <span className="fieldLabel">{label}</span>
+    <span className="fieldValue">{value || '—'}</span>
+  </div>
+);
+
+const DischargeSummaryPage = () => {
+  const { id: patientId, assignmentId } = useParams();
+  const navigate = useNavigate();
+  const { summary, isLoadingSummary } = useDischargeSummary(assignmentId);
+
+  if (isLoadingSummary) {
+    return <LoadingState type="full" />;
+  }
+
+  if (!summary || summary.patient_id !== patientId) {
+    return (
+      <Card className="errorCard">
+        <EmptyState
+          description="This stay has no discharge on record for the patient"
+          title="Discharge summary not found"
+        />
+      </Card>
+    );
+  }
+
+  const { patient, follow_up: followUp, summary: clinical } = summary;
+
+  return (
+    <div className="dischargeSummaryPage">
+      <div className="summaryToolbar no-print">
+        <Button variant="outline" onClick={() => navigate(`/patients/${patientId}`)}>
+          <ArrowLeft size={16} />
+          Back to Patient
+        </Button>
+        <Button onClick={() => window.print()}>
+          <Printer size={16} />
+          Print
+        </Button>
+      </div>
+
+      <article className="summaryDocument">
+        <header className="documentHeader">
+          <h1 className="documentTitle">Discharge Summary</h1>
+          <p className="documentMeta">Discharged {formatDateTime(summary.discharged_at)}</p>
+        </header>
+
+        <section className="documentSection">
+          <h2 className="sectionHeading">Patient</h2>
+          <div className="fieldGrid">
+            <Field label="Name" value={patient?.full_name} />
+            <Field label="Date of Birth" value={patient?.date_of_birth && formatDate(patient.date_of_birth)} />
+            <Field label="Gender" value={patient?.gender} />
+            <Field label="Blood Group" value={patient?.blood_group} />
+            <Field label="Phone" value={patient?.phone} />
+            <Field label="Address" value={patient?.address} />
+          </div>
+        </section>
+
+        <section className="documentSection">
+          <h2 className="sectionHeading">Hospital Stay</h2>
+          <div className="fieldGrid">
+            <Field label="Admitted" value={summary.admitted_at && formatDateTime(summary.admitted_at)} />
+            <Field label="Discharged" value={formatDateTime(summary.discharged_at)} />
+            <Field label="Department" value={summary.department_name} />
+            <Field label="Bed" value={summary.bed_number} />
+            <Field label="Disposition" value={DISCHARGE_DISPOSITION_LABELS[summary.disposition]} />
+            {summary.disposition === DISCHARGE_DISPOSITION.TRANSFER && (
+              <Field label="Destination Facility" value={summary.destination} />
+            )}
+          </div>
+        </section>
+
+        <section className="documentSection">
+          <h2 className="sectionHeading">Clinical Summary</h2>
+          <div className="textBlock">
+            <span className="fieldLabel">Diagnosis</span>
+            <p>{clinical?.diagnosis || '—'}</p>
+          </div>
+          <div className="textBlock">
+            <span className="fieldLabel">Hospital Course</span>
+            <p>{clinical?.hospital_course || '—'}</p>
+          </div>
+          <div className="textBlock">
+            <span className="fieldLabel">Discharge Instructions</span>
+            <p>{clinical?.instructions || '—'}</p>
+          </div>
+        </section>
+
+        {followUp && (
+          <section className="documentSection">
+            <h2 className="sectionHeading">Follow-up</h2>
+            <div className="fieldGrid">
+              <Field label="Date" value={followUp.date && formatDateTime(followUp.date)} />
+              <Field label="Doctor" value={followUp.doctor_name} />
+            </div>
+            {followUp.instructions && (
+              <div className="textBlock">
+                <span className="fieldLabel">Instructions</span>
+                <p>{followUp.instructions}</p>
+              </div>
+            )}
+          </section>
+        )}
+
+        <footer className="documentFooter">
+          <div className="signature">
+            <span className="signatureLine" />
+            <span className="fieldLabel">
+              Discharged by {summary.discharged_by_name || '—'}
+            </span>
+          </div>
+        </footer>
+      </article>
+    </div>
+  );
+};
+
+export default DischargeSummaryPage;
@@ -9,49 +9,129 @@
  * Features:
  * - Patient summary card with key info and status
  * - Tabbed interface for different sections
- * - Current bed assignment with discharge option
- * - Recent appointments and prescriptions
+ * - Current bed assignment with structured discharge
+ * - Expected discharge date (editable by doctors)
+ * - Discharge history with printable discharge summaries
+ * - Recent appointments
+ * - Recorded allergies with reaction and severity
+ * - Prescriptions with dispense/status history; dispense, hold, resume and
+ *   discontinue by role; doctors prescribe with a live allergy and
+ *   interaction check; printable prescription with barcode
+ * - Medication administration record (MAR) with dose recording for nurses
  * - Activity timeline
  * - Real-time updates via SignalR (bedChannel, notificationChannel)
  * - Loading and error states
- * - Unified with global Card, Badge, Button, Tabs, Table components
+ * - Unified with global Card, Button, Tabs, Table components
  */
 
 import { useState } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { format } from 'date-fns';
 import { 
   BedDouble, 
+  Printer,
+  Plus,
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
-import Badge from '@components/ui/badge.jsx';
 import Button from '@components/ui/button.jsx';
+import Input from '@components/ui/input.jsx';
 import Tabs, { TabsList, TabsTrigger, TabsContent } from '@components/ui/tabs.jsx';
 import Table, { TableHeader, TableBody, TableHead, TableRow, TableCell } from '@components/ui/table.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
 import PatientSummaryCard from '@components/patients/PatientSummaryCard.jsx';
+import PatientTimeline from '@components/patients/PatientTimeline.jsx';
 import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
+import DischargeBedDialog from '@components/beds/DischargeBedDialog.jsx';
 import AppointmentStatusBadge from '@components/appointments/AppointmentStatusBadge.jsx';
+import PrescriptionList from '@components/prescriptions/PrescriptionList.jsx';
+import PrescriptionActionDialog from '@components/prescriptions/PrescriptionActionDialog.jsx';
+import PrescriptionForm from '@components/prescriptions/PrescriptionForm.jsx';
+import MedicationAdministrationGrid from '@components/prescriptions/MedicationAdministrationGrid.jsx';
 import { usePatientProfile } from '@hooks/usePatientProfile';
 import { useBedManagement } from '@hooks/useBedManagement';
-import { formatDateTime } from '@lib/dateUtils';
+import { useDoctors, usePatientDischarges } from '@hooks/useDischarge';
+import { usePrescriptionActions } from '@hooks/usePrescriptionActions';
+import { useRoleAccess } from '@hooks/useRoleAccess';
+import { useAuth } from '@hooks/useAuth';
+import { formatDate, formatDateTime } from '@lib/dateUtils';
+import { DISCHARGE_DISPOSITION_LABELS, ALLERGY_SEVERITY_LABELS, PRESCRIPTION_PRINT_KIND, ROUTES } from '@lib/constants';
+import { normalizeAllergies } from '@services/firebase/prescriptionSafety';
 import './PatientDetailPage.scss';
 
 const PatientDetailPage = () => {
-  const { patientId } = useParams();
+  const { id: patientId } = useParams();
   const { patient, timelineEvents, isLoadingPatient, isLoadingTimeline } = usePatientProfile(patientId);
-  const { beds } = useBedManagement();
+  const {
+    beds,
+    dischargeBed,
+    isDischarging,
+    setExpectedDischarge,
+    isSettingExpectedDischarge,
+  } = useBedManagement();
+  const { discharges } = usePatientDischarges(patientId);
+  const { hasAccess: canDischarge } = useRoleAccess(['admin', 'nurse', 'reception']);
+  const { hasAccess: canEditExpectedDischarge } = useRoleAccess(['admin', 'doctor']);
+  const { hasAccess: canBookFollowUp } = useRoleAccess(['admin', 'doctor', 'reception']);
+  const { hasAccess: canDispense } = useRoleAccess(['admin', 'doctor', 'nurse']);
+  const { hasAccess: canManagePrescriptions } = useRoleAccess(['admin', 'doctor']);
+  const { hasAccess: canRecordDoses } = useRoleAccess(['admin', 'doctor', 'nurse']);
+  // Doctors are listed for discharge and named on prescriptions
+  const { doctors } = useDoctors();
+  const { user } = useAuth();
+  const prescriptionActions = usePrescriptionActions({ user });
+  const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('overview');
+  const [dischargeDialogOpen, setDischargeDialogOpen] = useState(false);
+  // null until the doctor edits the date, then the yyyy-MM-dd input value
+  const [expectedDischargeDraft, setExpectedDischargeDraft] = useState(null);
+
+  // Prescription sheet with barcode (PrescriptionPrintPage)
+  const handlePrintPrescription = (prescription) => {
+    navigate(`${ROUTES.PRESCRIPTIONS}/print?ids=${encodeURIComponent(prescription.id)}&kind=${PRESCRIPTION_PRINT_KIND.PRESCRIPTION}`);
+  };
 
   // Find current bed assignment
   const currentBed = beds.find(bed => 
-    bed.current_patient?.patient_id === Number(patientId)
+    bed.current_patient?.id === patientId
   );
 
+  const handleDischargeSuccess = (dischargePayload) => {
+    dischargeBed({ ...dischargePayload, discharged_by: user?.id }, {
+      onSuccess: () => setDischargeDialogOpen(false),
+    });
+  };
+
+  const savedExpectedDischarge = currentBed?.expected_discharge_at
+    ? format(new Date(currentBed.expected_discharge_at), 'yyyy-MM-dd')
+    : '';
+  const expectedDischargeValue = expectedDischargeDraft ?? savedExpectedDischarge;
+
+  const handleSaveExpectedDischarge = () => {
+    setExpectedDischarge({
+      assignment_id: currentBed.current_assignment_id,
+      expected_discharge_at: expectedDischargeValue
+        ? new Date(`${expectedDischargeValue}T00:00`).toISOString()
+        : null,
+      updated_by: user?.id,
+    }, {
+      onSuccess: () => setExpectedDischargeDraft(null),
+    });
+  };
+
+  const doctorNames = new Map(doctors.map(doctor => [doctor.id, doctor.full_name || doctor.fullName]));
+  const prescriptions = (patient?.prescriptions || []).map(prescription => ({
+    ...prescription,
+    doctor_name: doctorNames.get(prescription.doctor_id) || null,
+  }));
+  // Legacy records are plain strings
+  const allergies = normalizeAllergies(patient?.allergies);
+
   const tabs = [
     { id: 'overview', label: 'Overview' },
     { id: 'appointments', label: 'Appointments' },
     { id: 'prescriptions', label: 'Prescriptions' },
+    { id: 'mar', label: 'MAR' },
     { id: 'timeline', label: 'Timeline' },
   ];
 
@@ -101,12 +181,43 @@ const PatientDetailPage = () => {
                     <span className="label">Department:</span>
                     <span>{currentBed.department?.name || 'General'}</span>
                   </div>
+                  <div className="expectedDischarge">
+                    <span className="label">Expected discharge:</span>
+                    {canEditExpectedDischarge && currentBed.current_assignment_id ? (
+                      <div className="expectedDischargeEditor">
+                        <Input
+                          aria-label="Expected discharge date"
+                          disabled={isSettingExpectedDischarge}
+                          type="date"
+                          value={expectedDischargeValue}
+                          onChange={(e) => setExpectedDischargeDraft(e.target.value)}
+                        />
+                        <Button
+                          disabled={expectedDischargeValue === savedExpectedDischarge}
+                          isLoading={isSettingExpectedDischarge}
+                          size="sm"
+                          variant="outline"
+                          onClick={handleSaveExpectedDischarge}
+                        >
+                          Save
+                        </Button>
+                      </div>
+                    ) : (
+                      <span>
+                        {currentBed.expected_discharge_at
+                          ? formatDate(currentBed.expected_discharge_at)
+                          : 'Not set'}
+                      </span>
+                    )}
+                  </div>
                   <div className="bedStatus">
                     <BedStatusBadge status={currentBed.status} />
                   </div>
-                  <Button size="sm" variant="destructive">
-                    Discharge Patient
-                  </Button>
+                  {canDischarge && (
+                    <Button size="sm" variant="destructive" onClick={() => setDischargeDialogOpen(true)}>
+                      Discharge Patient
+                    </Button>
+                  )}
                 </div>
               ) : (
                 <EmptyState
@@ -117,6 +228,33 @@ const PatientDetailPage = () => {
               )}
             </Card>
 
+            {/* Discharge History */}
+            {discharges.length > 0 && (
+              <Card className="dischargesCard">
+                <h3 className="sectionTitle">Discharge History</h3>
+                <ul className="dischargeList">
+                  {discharges.map(discharge => (
+                    <li className="dischargeItem" key={discharge.assignment_id}>
+                      <div className="dischargeInfo">
+                        <span className="dischargeDate">{formatDateTime(discharge.discharged_at)}</span>
+                        <span className="dischargeMeta">
+                          {DISCHARGE_DISPOSITION_LABELS[discharge.disposition] || 'Discharged'}
+                          {discharge.destination && ` • ${discharge.destination}`}
+                          {discharge.bed_number && ` • Bed ${discharge.bed_number}`}
+                        </span>
+                      </div>
+                      <Link to={`/patients/${patientId}/discharges/${discharge.assignment_id}`}>
+                        <Button size="sm" variant="outline">
+                          <Printer size={16} />
+                          Summary
+                        </Button>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </Card>
+            )}
+
             {/* Vital Stats */}
             <Card className="vitalsCard">
               <h3 className="sectionTitle">Vital Statistics</h3>
@@ -133,12 +271,28 @@ const PatientDetailPage = () => {
                   <span className="label">Last Admission</span>
                   <span className="value">{formatDateTime(patient.last_admission) || 'N/A'}</span>
                 </div>
-                <div className="vitalItem">
-                  <span className="label">Allergies</span>
-                  <span className="value">{patient.allergies?.join(', ') || 'None'}</span>
-                </div>
               </div>
             </Card>
+
+            {/* Allergies */}
+            <Card className="allergiesCard">
+              <h3 className="sectionTitle">Allergies</h3>
+              {allergies.length > 0 ? (
+                <ul className="allergyList">
+                  {allergies.map((allergy, index) => (
+                    <li className={`allergyItem ${allergy.severity || ''}`} key={`${allergy.substance}-${index}`}>
+                      <span className="allergySubstance">{allergy.substance}</span>
+                      <span className="allergyMeta">
+                        {[ALLERGY_SEVERITY_LABELS[allergy.severity], allergy.reaction].filter(Boolean).join(' • ') ||
+                          'Reaction not recorded'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="noAllergies">No known allergies</p>
+              )}
+            </Card>
           </div>
         </TabsContent>
 
@@ -181,38 +335,35 @@ const PatientDetailPage = () => {
         {/* Prescriptions Tab */}
         <TabsContent value="prescriptions">
           <Card className="prescriptionsCard">
-            <h3 className="sectionTitle">Prescription History</h3>
-            {patient.prescriptions?.length === 0 ? (
-              <EmptyState
-                description="This patient has no recorded prescriptions"
-                title="No prescriptions"
-              />
-            ) : (
-              <Table>
-                <TableHeader>
-                  <TableRow>
-                    <TableHead>Date</TableHead>
-                    <TableHead>Medication</TableHead>
-                    <TableHead>Dosage</TableHead>
-                    <TableHead>Status</TableHead>
-                  </TableRow>
-                </TableHeader>
-                <TableBody>
-                  {patient.prescriptions.map(rx => (
-                    <TableRow key={rx.id}>
-                      <TableCell>{formatDateTime(rx.date)}</TableCell>
-                      <TableCell>{rx.medication}</TableCell>
-                      <TableCell>{rx.dosage}</TableCell>
-                      <TableCell>
-                        <Badge variant={rx.dispensed ? 'success' : 'warning'}>
-                          {rx.dispensed ? 'Dispensed' : 'Pending'}
-                        </Badge>
-                      </TableCell>
-                    </TableRow>
-                  ))}
-                </TableBody>
-              </Table>
-            )}
+            <div className="sectionHeader">
+              <h3 className="sectionTitle">Prescription History</h3>
+              {canManagePrescriptions && (
+                <Button size="sm" onClick={prescriptionActions.startPrescribe}>
+                  <Plus size={16} />
+                  New Prescription
+                </Button>
+              )}
+            </div>
+            <PrescriptionList
+              prescriptions={prescriptions}
+              onDiscontinue={canManagePrescriptions ? prescriptionActions.startDiscontinue : undefined}
+              onDispense={canDispense ? prescriptionActions.startDispense : undefined}
+              onHold={canManagePrescriptions ? prescriptionActions.startHold : undefined}
+              onPrint={canDispense ? handlePrintPrescription : undefined}
+              onResume={canManagePrescriptions ? prescriptionActions.resume : undefined}
+            />
+          </Card>
+        </TabsContent>
+
+        {/* MAR Tab */}
+        <TabsContent value="mar">
+          <Card className="marCard">
+            <h3 className="sectionTitle">Medication Administration</h3>
+            <MedicationAdministrationGrid
+              canRecord={canRecordDoses}
+              patientId={patientId}
+              user={user}
+            />
           </Card>
         </TabsContent>
 
@@ -220,30 +371,38 @@ const PatientDetailPage = () => {
         <TabsContent value="timeline">
           <Card className="timelineCard">
             <h3 className="sectionTitle">Patient Timeline</h3>
-            {timelineEvents?.length === 0 ? (
-              <EmptyState
-                description="Patient activity will appear here"
-                title="No timeline events"
-              />
-            ) : (
-              <div className="timelineList">
-                {timelineEvents.map(event => (
-                  <div className="timelineItem" key={event.id}>
-                    <div className="timelineTime">
-                      {formatDateTime(event.timestamp)}
-                    </div>
-                    <div className="timelineContent">
-                      <h4 className="timelineTitle">{event.title}</h4>
-                      <p className="timelineDescription">{event.description}</p>
-                      <p className="timelineUser">By {event.user}</p>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            )}
+            <PatientTimeline events={timelineEvents} patientId={patientId} />
           </Card>
         </TabsContent>
       </Tabs>
+
+      <DischargeBedDialog
+        bed={currentBed}
+        canBookFollowUp={canBookFollowUp}
+        doctors={doctors}
+        isSubmitting={isDischarging}
+        open={dischargeDialogOpen}
+        onOpenChange={setDischargeDialogOpen}
+        onSuccess={handleDischargeSuccess}
+      />
+
+      <PrescriptionActionDialog
+        action={prescriptionActions.pendingAction?.action}
+        isSubmitting={prescriptionActions.isSubmitting}
+        open={!!prescriptionActions.pendingAction}
+        prescription={prescriptionActions.pendingAction?.prescription}
+        onOpenChange={(open) => !open && prescriptionActions.closeAction()}
+        onSubmit={prescriptionActions.submitAction}
+      />
+
+      <PrescriptionForm
+        departmentId={currentBed?.department_id}
+        isSubmitting={prescriptionActions.isCreating}
+        open={prescriptionActions.isPrescribing}
+        patientId={patientId}
+        onOpenChange={(open) => !open && prescriptionActions.closePrescribe()}
+        onSubmit={prescriptionActions.createPrescription}
+      />
     </div>
   );
 };
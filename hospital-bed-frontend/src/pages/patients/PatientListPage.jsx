@@ -11,6 +11,7 @@
  * - Filter by department, status, admission date
  * - Sort by any column
  * - Quick actions: view profile, admit, edit
+ * - CSV/PDF export of the filtered, sorted list
  * - Pagination and results count
  * - Loading, empty, error states
  * - Unified with global Table, Badge, Button, Input components
@@ -40,6 +41,7 @@ import {
 } from '@components/ui/table.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
+import ExportButtons from '@components/common/ExportButtons.jsx';
 import PatientForm from '@components/patients/PatientForm.jsx';
 import { useRoleAccess } from '@hooks/useRoleAccess';
 import * as patientFirebase from '@services/firebase/patientFirebase';
@@ -129,6 +131,36 @@ const PatientListPage = () => {
     return filtered;
   }, [patients, searchTerm, selectedDepartment, selectedStatus, sortConfig]);
 
+  // Export the list exactly as filtered and sorted on screen
+  const buildReport = () => {
+    const sortLabels = { fullName: 'Name', id: 'Patient ID', age: 'Age', status: 'Status' };
+    const departmentLabel = selectedDepartment === 'all'
+      ? 'All Departments'
+      : departmentMap[selectedDepartment] || selectedDepartment;
+
+    return {
+      title: 'Patient List',
+      filters: [
+        { label: 'Search', value: searchTerm || 'None' },
+        { label: 'Department', value: departmentLabel },
+        { label: 'Status', value: selectedStatus === 'all' ? 'All Status' : selectedStatus },
+        { label: 'Sorted by', value: `${sortLabels[sortConfig.key] || sortConfig.key} (${sortConfig.direction})` },
+      ],
+      kpis: [{ label: 'Patients', value: filteredAndSortedPatients.length }],
+      tables: [{
+        rows: filteredAndSortedPatients,
+        columns: [
+          { header: 'Name', value: patient => patient.fullName },
+          { header: 'Patient ID', value: patient => patient.id },
+          { header: 'Age', value: patient => calculateAge(patient.dateOfBirth) ?? 'N/A' },
+          { header: 'Status', value: patient => patient.status },
+          { header: 'Phone', value: patient => patient.phone },
+          { header: 'Department', value: patient => departmentMap[patient.department] || patient.department || 'N/A' },
+        ],
+      }],
+    };
+  };
+
   // Sort handler
   const handleSort = (key) => {
     setSortConfig(current => ({
@@ -197,12 +229,19 @@ const PatientListPage = () => {
     <div className="patientListPage">
       <div className="pageHeader">
         <h1 className="pageTitle">Patient Management</h1>
-        {canManagePatients && (
-          <Button size="lg" onClick={handleOpenRegisterDialog}>
-            <UserPlus className="mr-2" />
-            Register New Patient
-          </Button>
-        )}
+        <div className="headerActions">
+          <ExportButtons
+            disabled={isLoading || filteredAndSortedPatients.length === 0}
+            getReport={buildReport}
+            size="lg"
+          />
+          {canManagePatients && (
+            <Button size="lg" onClick={handleOpenRegisterDialog}>
+              <UserPlus className="mr-2" />
+              Register New Patient
+            </Button>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
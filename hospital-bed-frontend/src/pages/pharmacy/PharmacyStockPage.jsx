@@ -0,0 +1,301 @@
+// src/pages/pharmacy/PharmacyStockPage.jsx
+/**
+ * PharmacyStockPage Component
+ *
+ * Per-department pharmacy stock for every formulary medication.
+ *
+ * Features:
+ * - Department selector (nurses start on their own ward)
+ * - Summary stats: items stocked, low, out of stock
+ * - Search by generic or brand name (see searchFormulary)
+ * - Stock level, reorder level and status per medication
+ * - Admins record stock counts and deliveries inline
+ * - Loading, empty states
+ * - Unified with global Card, Input, Select, Badge, Button, Table components
+ *
+ * Dispensing a formulary prescription takes stock down; items with no level
+ * set for a department are not tracked there.
+ */
+
+import { useMemo, useState } from 'react';
+import { AlertTriangle, Package, PackageX, Pill, Save } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
+import Select from '@components/ui/select.jsx';
+import Badge from '@components/ui/badge.jsx';
+import Button from '@components/ui/button.jsx';
+import Table, { TableHeader, TableBody, TableHead, TableRow, TableCell } from '@components/ui/table.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import { useAuth } from '@hooks/useAuth';
+import { useRoleAccess } from '@hooks/useRoleAccess';
+import { useBedManagement } from '@hooks/useBedManagement';
+import { useFormulary, useFormularyStock } from '@hooks/useFormulary';
+import { formatStrength, getReorderLevel, searchFormulary } from '@services/firebase/formulary';
+import { MEDICATION_FORM_LABELS, STOCK_STATUS, STOCK_STATUS_LABELS } from '@lib/constants';
+import './PharmacyStockPage.scss';
+
+const STOCK_VARIANTS = {
+  in_stock: 'success',
+  low: 'warning',
+  out: 'destructive',
+};
+
+const PharmacyStockPage = () => {
+  const { user } = useAuth();
+  const { hasAccess: canEditStock } = useRoleAccess(['admin']);
+  const { departments, isLoadingDepartments } = useBedManagement();
+
+  const [selectedDepartment, setSelectedDepartment] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  // Unsaved edits per formulary item: { quantity, reorder_level }
+  const [drafts, setDrafts] = useState({});
+
+  // Nurses start on their own ward, everyone else on the first department
+  const departmentId = selectedDepartment || user?.department_id || departments[0]?.id || null;
+
+  const { formulary, isLoadingFormulary } = useFormulary();
+  const { stock, isLoadingStock, setStock, isSavingStock } = useFormularyStock({ departmentId, user });
+
+  const stockByItem = useMemo(
+    () => new Map(stock.map(entry => [entry.formulary_id, entry])),
+    [stock]
+  );
+
+  const rows = useMemo(
+    () => searchFormulary(formulary, searchTerm, Infinity).map(({ item }) => ({
+      item,
+      stock: stockByItem.get(item.id) || null,
+    })),
+    [formulary, searchTerm, stockByItem]
+  );
+
+  const totals = useMemo(() => ({
+    stocked: stock.length,
+    low: stock.filter(entry => entry.status === STOCK_STATUS.LOW).length,
+    out: stock.filter(entry => entry.status === STOCK_STATUS.OUT).length,
+  }), [stock]);
+
+  const updateDraft = (itemId, field, value) => {
+    setDrafts(current => ({
+      ...current,
+      [itemId]: { ...current[itemId], [field]: value },
+    }));
+  };
+
+  const handleSave = (item, entry) => {
+    const draft = drafts[item.id] || {};
+    setStock(
+      {
+        department_id: departmentId,
+        formulary_id: item.id,
+        quantity: draft.quantity ?? entry?.quantity ?? 0,
+        reorder_level: draft.reorder_level ?? entry?.reorder_level ?? null,
+      },
+      {
+        onSuccess: () => setDrafts(({ [item.id]: _saved, ...rest }) => rest),
+      }
+    );
+  };
+
+  const handleDepartmentChange = (e) => {
+    setSelectedDepartment(e.target.value);
+    setDrafts({});
+  };
+
+  const renderStatus = (entry) => {
+    if (!entry) return <Badge variant="outline">Not stocked</Badge>;
+    return (
+      <Badge variant={STOCK_VARIANTS[entry.status]}>
+        {STOCK_STATUS_LABELS[entry.status]}
+      </Badge>
+    );
+  };
+
+  const renderRow = ({ item, stock: entry }) => {
+    const draft = drafts[item.id] || {};
+    const isDirty = draft.quantity !== undefined || draft.reorder_level !== undefined;
+
+    return (
+      <TableRow key={item.id}>
+        <TableCell>
+          <p className="medicationName">{item.generic_name}</p>
+          {item.brand_names.length > 0 && (
+            <p className="medicationMeta">{item.brand_names.join(', ')}</p>
+          )}
+        </TableCell>
+        <TableCell>
+          <p>{item.strengths.map(formatStrength).join(', ')}</p>
+          <p className="medicationMeta">
+            {item.forms.map(form => MEDICATION_FORM_LABELS[form] || form).join(', ')}
+          </p>
+        </TableCell>
+        <TableCell>
+          {canEditStock ? (
+            <Input
+              aria-label={`${item.generic_name} stock`}
+              className="stockInput"
+              min={0}
+              step={1}
+              type="number"
+              value={draft.quantity ?? entry?.quantity ?? ''}
+              onChange={(e) => updateDraft(item.id, 'quantity', e.target.value)}
+            />
+          ) : (
+            entry ? entry.quantity : '—'
+          )}
+        </TableCell>
+        <TableCell>
+          {canEditStock ? (
+            <Input
+              aria-label={`${item.generic_name} reorder level`}
+              className="stockInput"
+              min={0}
+              placeholder={String(getReorderLevel(null))}
+              step={1}
+              type="number"
+              value={draft.reorder_level ?? entry?.reorder_level ?? ''}
+              onChange={(e) => updateDraft(item.id, 'reorder_level', e.target.value)}
+            />
+          ) : (
+            entry ? getReorderLevel(entry) : '—'
+          )}
+        </TableCell>
+        <TableCell>{renderStatus(entry)}</TableCell>
+        {canEditStock && (
+          <TableCell>
+            <Button
+              disabled={!isDirty || isSavingStock}
+              size="sm"
+              variant="outline"
+              onClick={() => handleSave(item, entry)}
+            >
+              <Save className="w-4 h-4 mr-1" />
+              Save
+            </Button>
+          </TableCell>
+        )}
+      </TableRow>
+    );
+  };
+
+  const renderBody = () => {
+    if (isLoadingFormulary || isLoadingDepartments || isLoadingStock) {
+      return <LoadingState count={6} type="table" />;
+    }
+
+    if (formulary.length === 0) {
+      return (
+        <EmptyState
+          description="Add medications to the formulary to track their stock."
+          title="The formulary is empty"
+        />
+      );
+    }
+
+    if (rows.length === 0) {
+      return (
+        <EmptyState
+          description={`No formulary medication matches "${searchTerm}".`}
+          title="No medications found"
+        />
+      );
+    }
+
+    return (
+      <Card className="tableCard">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Medication</TableHead>
+              <TableHead>Strengths & Forms</TableHead>
+              <TableHead>In Stock</TableHead>
+              <TableHead>Reorder Level</TableHead>
+              <TableHead>Status</TableHead>
+              {canEditStock && <TableHead />}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.map(renderRow)}
+          </TableBody>
+        </Table>
+      </Card>
+    );
+  };
+
+  return (
+    <div className="pharmacyStockPage">
+      <div className="pageHeader">
+        <h1 className="pageTitle">Pharmacy Stock</h1>
+        <p className="pageSubtitle">Formulary medication levels by department</p>
+      </div>
+
+      {/* Filters */}
+      <Card className="filterCard">
+        <div className="filterGrid">
+          <div className="filterField">
+            <Label htmlFor="stock-department">Department</Label>
+            <Select
+              disabled={isLoadingDepartments}
+              id="stock-department"
+              value={departmentId || ''}
+              onChange={handleDepartmentChange}
+            >
+              {departments.map(department => (
+                <option key={department.id} value={department.id}>
+                  {department.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div className="filterField">
+            <Label htmlFor="stock-search">Medication</Label>
+            <Input
+              id="stock-search"
+              placeholder="Search by generic or brand name..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+        </div>
+      </Card>
+
+      {/* Summary Stats */}
+      <div className="statsGrid">
+        <Card className="statCard">
+          <Package className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Items Stocked</p>
+            <p className="statValue">{totals.stocked}</p>
+            <p className="statHint">of {formulary.length} in the formulary</p>
+          </div>
+        </Card>
+
+        <Card className="statCard">
+          <AlertTriangle className="statIcon warning" />
+          <div className="statContent">
+            <p className="statLabel">Low Stock</p>
+            <p className="statValue">{totals.low}</p>
+          </div>
+        </Card>
+
+        <Card className="statCard">
+          <PackageX className="statIcon destructive" />
+          <div className="statContent">
+            <p className="statLabel">Out of Stock</p>
+            <p className="statValue">{totals.out}</p>
+          </div>
+        </Card>
+      </div>
+
+      <h2 className="sectionTitle">
+        <Pill className="mr-2" />
+        Medications
+      </h2>
+      {renderBody()}
+    </div>
+  );
+};
+
+export default PharmacyStockPage;
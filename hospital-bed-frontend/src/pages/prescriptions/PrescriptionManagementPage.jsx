@@ -1,33 +1,42 @@
 // src/pages/prescriptions/PrescriptionManagementPage.jsx
 /**
  * PrescriptionManagementPage Component
- * 
- * Production-ready comprehensive prescription management interface.
+ *
+ * Prescriptions across all patients, for the pharmacy and the ward desk.
  * Displays list of prescriptions with search, filters, status, and actions.
- * 
+ *
  * Features:
- * - Data table with patient, medication, dosage, date, status
+ * - Barcode scan box: scanning a printed prescription or label opens it for
+ *   dispensing (hand-held scanners type the code and press Enter)
+ * - Data table with patient, medication, dosage, prescribed date, doctor, status
  * - Search by patient name/ID, medication
- * - Filter by doctor, status, date range
+ * - Filter by doctor, status
  * - Sort by any column
- * - Bulk actions (dispense, cancel)
- * - Create new prescription button
- * - Click row to view/edit prescription
+ * - Select prescriptions to print as prescription sheets or medication labels
+ *   (PrescriptionPrintPage)
+ * - Dispense from the row (PrescriptionActionDialog via usePrescriptionActions)
+ * - Click row to open the patient's record
  * - Responsive table with horizontal scroll on mobile
  * - Loading, empty, error states
  * - Unified with global Table, Badge, Button, Input components
- * - Real-time updates via notificationChannel (when prescription changes)
+ *
+ * New prescriptions are written from the patient's record (PatientDetailPage).
  */
 
 import { useState, useMemo } from 'react';
-import { 
+import { useNavigate } from 'react-router-dom';
+import {
   Search,
-  Plus,
-  MoreVertical,
+  ScanBarcode,
+  Package,
+  Printer,
+  Tag,
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
 import Button from '@components/ui/button.jsx';
 import Input from '@components/ui/input.jsx';
+import Select from '@components/ui/select.jsx';
+import Checkbox from '@components/ui/checkbox.jsx';
 import {
   Table,
   TableHeader,
@@ -37,21 +46,43 @@ import {
   TableCell,
 } from '@components/ui/table.jsx';
 import PrescriptionStatusBadge from '@components/prescriptions/PrescriptionStatusBadge.jsx';
+import PrescriptionActionDialog from '@components/prescriptions/PrescriptionActionDialog.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
 import EmptyState from '@components/common/EmptyState.jsx';
 import { usePrescriptionManagement } from '@hooks/usePrescriptionManagement';
+import { usePrescriptionActions } from '@hooks/usePrescriptionActions';
 import { useAuth } from '@hooks/useAuth';
+import { useRoleAccess } from '@hooks/useRoleAccess';
 import { formatDateTime } from '@lib/dateUtils';
+import {
+  PRESCRIPTION_DISPENSABLE_STATUSES,
+  PRESCRIPTION_PRINT_KIND,
+  PRESCRIPTION_STATUS_LABELS,
+  ROUTES,
+} from '@lib/constants';
+import toast from 'react-hot-toast';
 import './PrescriptionManagementPage.scss';
 
 const PrescriptionManagementPage = () => {
-  const { user: _user } = useAuth();
-  const { prescriptions, doctors, isLoadingPrescriptions, isErrorPrescriptions } = usePrescriptionManagement();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { hasAccess: canDispense } = useRoleAccess(['admin', 'doctor', 'nurse']);
+  const {
+    prescriptions,
+    doctors,
+    isLoadingPrescriptions,
+    isErrorPrescriptions,
+    findByBarcode,
+  } = usePrescriptionManagement();
+  const prescriptionActions = usePrescriptionActions({ user });
 
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedDoctor, setSelectedDoctor] = useState('all');
   const [selectedStatus, setSelectedStatus] = useState('all');
-  const [sortConfig, setSortConfig] = useState({ key: 'date', direction: 'desc' });
+  const [sortConfig, setSortConfig] = useState({ key: 'prescribed_at', direction: 'desc' });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [scanValue, setScanValue] = useState('');
+  const [isScanning, setIsScanning] = useState(false);
 
   // Filtered and sorted prescriptions
   const filteredAndSortedPrescriptions = useMemo(() => {
@@ -62,7 +93,7 @@ const PrescriptionManagementPage = () => {
       const lower = searchTerm.toLowerCase();
       filtered = filtered.filter(p =>
         p.patient_name?.toLowerCase().includes(lower) ||
-        p.medication?.toLowerCase().includes(lower) ||
+        p.medication_name?.toLowerCase().includes(lower) ||
         p.patient_id?.toString().includes(searchTerm)
       );
     }
@@ -77,17 +108,11 @@ const PrescriptionManagementPage = () => {
       filtered = filtered.filter(p => p.status === selectedStatus);
     }
 
-    // Sorting
+    // Sorting (ISO dates and names both compare as strings)
     if (sortConfig.key) {
       filtered = [...filtered].sort((a, b) => {
-        let aVal = a[sortConfig.key];
-        let bVal = b[sortConfig.key];
-
-        // Date sorting
-        if (sortConfig.key === 'date') {
-          aVal = new Date(aVal);
-          bVal = new Date(bVal);
-        }
+        const aVal = (a[sortConfig.key] || '').toString().toLowerCase();
+        const bVal = (b[sortConfig.key] || '').toString().toLowerCase();
 
         if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
         if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
@@ -106,32 +131,104 @@ const PrescriptionManagementPage = () => {
     }));
   };
 
+  const visibleIds = filteredAndSortedPrescriptions.map(p => p.id);
+  const selectedVisible = selectedIds.filter(id => visibleIds.includes(id));
+  const allSelected = visibleIds.length > 0 && selectedVisible.length === visibleIds.length;
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds(current => checked ? [...current, id] : current.filter(selected => selected !== id));
+  };
+
+  const toggleAll = (checked) => {
+    setSelectedIds(checked ? visibleIds : []);
+  };
+
+  const openPrint = (ids, kind) => {
+    navigate(`${ROUTES.PRESCRIPTIONS}/print?ids=${ids.map(encodeURIComponent).join(',')}&kind=${kind}`);
+  };
+
+  // Scanners type the barcode and press Enter
+  const handleScan = async (e) => {
+    e.preventDefault();
+    if (!scanValue.trim() || isScanning) return;
+
+    setIsScanning(true);
+    try {
+      const prescription = await findByBarcode(scanValue);
+      setScanValue('');
+      if (canDispense && PRESCRIPTION_DISPENSABLE_STATUSES.includes(prescription.status)) {
+        prescriptionActions.startDispense(prescription);
+      } else {
+        toast(`${prescription.medication_name} for ${prescription.patient_name || 'this patient'} is ${
+          (PRESCRIPTION_STATUS_LABELS[prescription.status] || prescription.status).toLowerCase()
+        }`);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Prescription not found');
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
   if (isLoadingPrescriptions) {
     return <LoadingState count={10} type="table" />;
   }
 
   if (isErrorPrescriptions) {
     return (
-      <Card className="error-card">
-        <p className="error-message">Failed to load prescriptions. Please try again later.</p>
+      <Card className="errorCard">
+        <p className="errorMessage">Failed to load prescriptions. Please try again later.</p>
       </Card>
     );
   }
 
   return (
-    <div className="prescription-management-page">
-      <div className="page-header">
-        <h1 className="page-title">Prescription Management</h1>
-        <Button size="lg">
-          <Plus size={20} />
-          New Prescription
-        </Button>
+    <div className="prescriptionManagementPage">
+      <div className="pageHeader">
+        <h1 className="pageTitle">Prescriptions</h1>
+        {selectedVisible.length > 0 && (
+          <div className="selectionActions">
+            <span className="selectionCount">{selectedVisible.length} selected</span>
+            <Button
+              variant="outline"
+              onClick={() => openPrint(selectedVisible, PRESCRIPTION_PRINT_KIND.PRESCRIPTION)}
+            >
+              <Printer size={18} />
+              Print Prescriptions
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => openPrint(selectedVisible, PRESCRIPTION_PRINT_KIND.LABEL)}
+            >
+              <Tag size={18} />
+              Print Labels
+            </Button>
+          </div>
+        )}
       </div>
 
+      {/* Barcode scan */}
+      <Card className="scanCard">
+        <form className="scanForm" onSubmit={handleScan}>
+          <Input
+            aria-label="Scan prescription barcode"
+            autoComplete="off"
+            disabled={isScanning}
+            leftIcon={ScanBarcode}
+            placeholder="Scan a prescription or label barcode..."
+            value={scanValue}
+            onChange={(e) => setScanValue(e.target.value)}
+          />
+          <Button isLoading={isScanning} type="submit" variant="outline">
+            Open
+          </Button>
+        </form>
+      </Card>
+
       {/* Filters */}
-      <Card className="filters-card">
-        <div className="filters-grid">
-          <div className="search-input">
+      <Card className="filtersCard">
+        <div className="filtersGrid">
+          <div className="searchInput">
             <Input
               leftIcon={Search}
               placeholder="Search patient or medication..."
@@ -140,52 +237,59 @@ const PrescriptionManagementPage = () => {
             />
           </div>
 
-          <select
-            className="doctor-filter"
+          <Select
+            aria-label="Filter by doctor"
             value={selectedDoctor}
             onChange={(e) => setSelectedDoctor(e.target.value)}
           >
             <option value="all">All Doctors</option>
             {doctors.map(doctor => (
               <option key={doctor.id} value={doctor.id}>
-                Dr. {doctor.full_name}
+                Dr. {doctor.fullName || doctor.full_name}
               </option>
             ))}
-          </select>
+          </Select>
 
-          <select
-            className="status-filter"
+          <Select
+            aria-label="Filter by status"
             value={selectedStatus}
             onChange={(e) => setSelectedStatus(e.target.value)}
           >
             <option value="all">All Status</option>
-            <option value="pending">Pending</option>
-            <option value="dispensed">Dispensed</option>
-            <option value="cancelled">Cancelled</option>
-          </select>
+            {Object.entries(PRESCRIPTION_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Select>
         </div>
       </Card>
 
       {/* Prescriptions Table */}
-      <Card className="table-card">
+      <Card className="tableCard">
         {filteredAndSortedPrescriptions.length === 0 ? (
           <EmptyState
-            description="Try adjusting your filters or create a new prescription"
-            illustration="prescriptions"
+            description="Try adjusting your filters"
             title="No prescriptions found"
           />
         ) : (
           <Table>
             <TableHeader>
               <TableRow>
+                <TableHead className="selectColumn">
+                  <Checkbox
+                    aria-label="Select all prescriptions"
+                    checked={allSelected || (selectedVisible.length > 0 && 'indeterminate')}
+                    size="sm"
+                    onCheckedChange={toggleAll}
+                  />
+                </TableHead>
                 <TableHead className="sortable" onClick={() => handleSort('patient_name')}>
                   Patient
                 </TableHead>
-                <TableHead className="sortable" onClick={() => handleSort('medication')}>
+                <TableHead className="sortable" onClick={() => handleSort('medication_name')}>
                   Medication
                 </TableHead>
-                <TableHead className="sortable" onClick={() => handleSort('date')}>
-                  Date
+                <TableHead className="sortable" onClick={() => handleSort('prescribed_at')}>
+                  Prescribed
                 </TableHead>
                 <TableHead className="sortable" onClick={() => handleSort('doctor_name')}>
                   Doctor
@@ -198,23 +302,58 @@ const PrescriptionManagementPage = () => {
             </TableHeader>
             <TableBody>
               {filteredAndSortedPrescriptions.map(prescription => (
-                <TableRow className="clickable" key={prescription.id}>
+                <TableRow
+                  className="clickable"
+                  key={prescription.id}
+                  onClick={() => navigate(`/patients/${prescription.patient_id}`)}
+                >
+                  <TableCell onClick={(e) => e.stopPropagation()}>
+                    <Checkbox
+                      aria-label={`Select ${prescription.medication_name} for ${prescription.patient_name || 'patient'}`}
+                      checked={selectedIds.includes(prescription.id)}
+                      size="sm"
+                      onCheckedChange={(checked) => toggleSelected(prescription.id, checked)}
+                    />
+                  </TableCell>
                   <TableCell>
-                    <div className="patient-info">
-                      <strong>{prescription.patient_name}</strong>
-                      <span className="patient-id">ID: {prescription.patient_id}</span>
+                    <div className="patientInfo">
+                      <strong>{prescription.patient_name || 'Unknown patient'}</strong>
+                      <span className="patientId">ID: {prescription.patient_id}</span>
                     </div>
                   </TableCell>
-                  <TableCell>{prescription.medication}</TableCell>
-                  <TableCell>{formatDateTime(prescription.date)}</TableCell>
-                  <TableCell>Dr. {prescription.doctor_name}</TableCell>
                   <TableCell>
-                    <PrescriptionStatusBadge status={prescription.status} />
+                    <div className="medicationInfo">
+                      <strong>{prescription.medication_name}</strong>
+                      <span className="medicationMeta">
+                        {[prescription.dosage, prescription.frequency].filter(Boolean).join(' • ')}
+                      </span>
+                    </div>
                   </TableCell>
+                  <TableCell>{formatDateTime(prescription.prescribed_at)}</TableCell>
+                  <TableCell>Dr. {prescription.doctor_name || 'Unknown Doctor'}</TableCell>
                   <TableCell>
-                    <Button size="icon" variant="ghost">
-                      <MoreVertical size={18} />
-                    </Button>
+                    <PrescriptionStatusBadge status={prescription.status} />
+                  </TableCell>
+                  <TableCell onClick={(e) => e.stopPropagation()}>
+                    <div className="rowActions">
+                      {canDispense && PRESCRIPTION_DISPENSABLE_STATUSES.includes(prescription.status) && (
+                        <Button
+                          size="sm"
+                          onClick={() => prescriptionActions.startDispense(prescription)}
+                        >
+                          <Package className="w-4 h-4 mr-1" />
+                          Dispense
+                        </Button>
+                      )}
+                      <Button
+                        aria-label={`Print label for ${prescription.medication_name}`}
+                        size="icon"
+                        variant="ghost"
+                        onClick={() => openPrint([prescription.id], PRESCRIPTION_PRINT_KIND.LABEL)}
+                      >
+                        <Tag size={18} />
+                      </Button>
+                    </div>
                   </TableCell>
                 </TableRow>
               ))}
@@ -222,8 +361,17 @@ const PrescriptionManagementPage = () => {
           </Table>
         )}
       </Card>
+
+      <PrescriptionActionDialog
+        action={prescriptionActions.pendingAction?.action}
+        isSubmitting={prescriptionActions.isSubmitting}
+        open={!!prescriptionActions.pendingAction}
+        prescription={prescriptionActions.pendingAction?.prescription}
+        onOpenChange={(open) => !open && prescriptionActions.closeAction()}
+        onSubmit={prescriptionActions.submitAction}
+      />
     </div>
   );
 };
 
-export default PrescriptionManagementPage;
\ No newline at end of file
+export default PrescriptionManagementPage;
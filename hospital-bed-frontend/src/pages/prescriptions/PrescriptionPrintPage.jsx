@@ -0,0 +1,240 @@
+// src/pages/prescriptions/PrescriptionPrintPage.jsx
+/**
+ * PrescriptionPrintPage Component
+ *
+ * Printable prescriptions and medication labels for one or more prescriptions.
+ * Reached from PrescriptionManagementPage (selected rows) and the
+ * prescription cards on PatientDetailPage:
+ * /prescriptions/print?ids=a,b&kind=prescription|label
+ *
+ * Features:
+ * - Prescription sheets: one A4 page each with the hospital header, patient
+ *   identifiers, prescriber, medication, dosage, frequency, duration and
+ *   instructions, and a signature line
+ * - Medication labels: compact labels side by side, cut to size
+ * - Code 128 barcode of the prescription ID on each, scanned back in on
+ *   PrescriptionManagementPage to open it for dispensing
+ * - Every print is recorded in the prescriptions' print log before the
+ *   print dialog opens (app chrome hidden via .no-print)
+ * - Loading and not-found states
+ * - Unified with global Card, Button, EmptyState components
+ */
+
+import { useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, FileText, Printer, Tag } from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Button from '@components/ui/button.jsx';
+import Barcode from '@components/common/Barcode.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import { useAuth } from '@hooks/useAuth';
+import { usePrescriptionPrint } from '@hooks/usePrescriptionManagement';
+import { getPrescriptionBarcodeValue } from '@lib/barcode';
+import { describeFrequency } from '@lib/frequencyParser';
+import { formatDate, formatDateTime } from '@lib/dateUtils';
+import {
+  HOSPITAL_ADDRESS,
+  HOSPITAL_NAME,
+  MEDICATION_FORM_LABELS,
+  MEDICATION_ROUTE_LABELS,
+  PRESCRIPTION_PRINT_KIND,
+  PRESCRIPTION_PRINT_KIND_LABELS,
+} from '@lib/constants';
+import './PrescriptionPrintPage.scss';
+
+const Field = ({ label, value }) => (
+  <div className="printField">
+    <span className="fieldLabel">{label}</span>
+    <span className="fieldValue">{value || '—'}</span>
+  </div>
+);
+
+/**
+ * Route and form in words, e.g. 'Oral • Tablet'
+ * @param {Object} prescription
+ * @returns {string|null}
+ */
+const getAdministration = ({ route, form }) => [
+  MEDICATION_ROUTE_LABELS[route] || route,
+  MEDICATION_FORM_LABELS[form] || form,
+].filter(Boolean).join(' • ') || null;
+
+const PrescriptionSheet = ({ prescription }) => {
+  const { patient } = prescription;
+  const frequencyText = describeFrequency(prescription.frequency_schedule);
+
+  return (
+    <article className="printSheet">
+      <header className="sheetHeader">
+        <div>
+          <p className="hospitalName">{HOSPITAL_NAME}</p>
+          {HOSPITAL_ADDRESS && <p className="hospitalAddress">{HOSPITAL_ADDRESS}</p>}
+        </div>
+        <div className="sheetTitle">
+          <h1>Prescription</h1>
+          <p>Prescribed {formatDateTime(prescription.prescribed_at)}</p>
+        </div>
+      </header>
+
+      <section className="sheetSection">
+        <h2 className="sectionHeading">Patient</h2>
+        <div className="fieldGrid">
+          <Field label="Name" value={prescription.patient_name} />
+          <Field label="Patient ID" value={prescription.patient_id} />
+          <Field label="Date of Birth" value={patient?.dateOfBirth && formatDate(patient.dateOfBirth)} />
+          <Field label="Gender" value={patient?.gender} />
+        </div>
+      </section>
+
+      <section className="sheetSection">
+        <h2 className="sectionHeading">Medication</h2>
+        <p className="medicationName">{prescription.medication_name}</p>
+        <div className="fieldGrid">
+          <Field label="Dosage" value={prescription.dosage} />
+          <Field label="Route & Form" value={getAdministration(prescription)} />
+          <Field
+            label="Frequency"
+            value={frequencyText ? `${prescription.frequency} (${frequencyText})` : prescription.frequency}
+          />
+          <Field label="Duration" value={prescription.duration} />
+          <Field label="Quantity" value={prescription.quantity} />
+          <Field label="Valid Until" value={prescription.expires_at && formatDate(prescription.expires_at)} />
+        </div>
+        <div className="textBlock">
+          <span className="fieldLabel">Instructions</span>
+          <p>{prescription.instructions || '—'}</p>
+        </div>
+      </section>
+
+      <footer className="sheetFooter">
+        <Barcode value={getPrescriptionBarcodeValue(prescription.id)} />
+        <div className="signature">
+          <span className="signatureLine" />
+          <span className="fieldLabel">
+            Prescribed by Dr. {prescription.doctor_name || '—'}
+          </span>
+        </div>
+      </footer>
+    </article>
+  );
+};
+
+const MedicationLabel = ({ prescription }) => (
+  <article className="medicationLabel">
+    <p className="labelHospital">{HOSPITAL_NAME}</p>
+    <p className="labelMedication">
+      {prescription.medication_name} {prescription.dosage}
+    </p>
+    <p className="labelDirections">
+      {describeFrequency(prescription.frequency_schedule) || prescription.frequency}
+      {getAdministration(prescription) && ` • ${getAdministration(prescription)}`}
+    </p>
+    {prescription.instructions && <p className="labelInstructions">{prescription.instructions}</p>}
+    <p className="labelPatient">
+      {prescription.patient_name || 'Unknown patient'}
+      {prescription.patient?.dateOfBirth && ` • DOB ${formatDate(prescription.patient.dateOfBirth)}`}
+    </p>
+    <p className="labelMeta">
+      Dr. {prescription.doctor_name || '—'} • {formatDate(prescription.prescribed_at)}
+    </p>
+    <Barcode height={32} moduleWidth={1} value={getPrescriptionBarcodeValue(prescription.id)} />
+  </article>
+);
+
+const PrescriptionPrintPage = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user } = useAuth();
+
+  const idsParam = searchParams.get('ids') || '';
+  const ids = useMemo(
+    () => [...new Set(idsParam.split(',').map(id => id.trim()).filter(Boolean))],
+    [idsParam]
+  );
+  const kind = searchParams.get('kind') === PRESCRIPTION_PRINT_KIND.LABEL
+    ? PRESCRIPTION_PRINT_KIND.LABEL
+    : PRESCRIPTION_PRINT_KIND.PRESCRIPTION;
+
+  const { prescriptions, isLoadingPrint, isErrorPrint, logPrint, isLoggingPrint } =
+    usePrescriptionPrint({ ids, user });
+
+  const handlePrint = async () => {
+    try {
+      await logPrint(kind);
+    } catch {
+      // Not printed unless the print log has it (toast from the hook)
+      return;
+    }
+    window.print();
+  };
+
+  const switchKind = (next) => {
+    setSearchParams({ ids: ids.join(','), kind: next }, { replace: true });
+  };
+
+  if (isLoadingPrint) {
+    return <LoadingState type="full" />;
+  }
+
+  if (ids.length === 0 || isErrorPrint || prescriptions.length === 0) {
+    return (
+      <Card className="errorCard">
+        <EmptyState
+          action={{ label: 'Back to Prescriptions', onClick: () => navigate('/prescriptions') }}
+          description={ids.length === 0
+            ? 'Choose prescriptions to print from the prescriptions list'
+            : 'One or more of the chosen prescriptions could not be found'}
+          title="Nothing to print"
+        />
+      </Card>
+    );
+  }
+
+  const count = prescriptions.length;
+
+  return (
+    <div className="prescriptionPrintPage">
+      <div className="printToolbar no-print">
+        <Button variant="outline" onClick={() => navigate(-1)}>
+          <ArrowLeft size={16} />
+          Back
+        </Button>
+        <div className="toolbarActions">
+          <Button
+            variant={kind === PRESCRIPTION_PRINT_KIND.PRESCRIPTION ? 'default' : 'outline'}
+            onClick={() => switchKind(PRESCRIPTION_PRINT_KIND.PRESCRIPTION)}
+          >
+            <FileText size={16} />
+            Prescriptions
+          </Button>
+          <Button
+            variant={kind === PRESCRIPTION_PRINT_KIND.LABEL ? 'default' : 'outline'}
+            onClick={() => switchKind(PRESCRIPTION_PRINT_KIND.LABEL)}
+          >
+            <Tag size={16} />
+            Labels
+          </Button>
+          <Button isLoading={isLoggingPrint} onClick={handlePrint}>
+            <Printer size={16} />
+            Print {count} {PRESCRIPTION_PRINT_KIND_LABELS[kind].toLowerCase()}{count === 1 ? '' : 's'}
+          </Button>
+        </div>
+      </div>
+
+      {kind === PRESCRIPTION_PRINT_KIND.LABEL ? (
+        <div className="labelSheet">
+          {prescriptions.map(prescription => (
+            <MedicationLabel key={prescription.id} prescription={prescription} />
+          ))}
+        </div>
+      ) : (
+        prescriptions.map(prescription => (
+          <PrescriptionSheet key={prescription.id} prescription={prescription} />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default PrescriptionPrintPage;
@@ -1,263 +1,314 @@
-// src/pages/patients/PatientDetailPage.jsx
+// src/pages/reports/DepartmentLoadReportPage.jsx
 /**
- * PatientDetailPage Component
+ * DepartmentLoadReportPage Component
  * 
- * Production-ready detailed patient profile page for HBMS staff.
- * Displays complete patient information, current bed, appointments, prescriptions and timeline.
+ * Production-ready department load report page for HBMS administrators.
+ * Displays real-time bed occupancy, patient load, and trends per department.
  * 
  * Features:
- * - Patient summary card with vital info and current bed status
- * - Tabbed navigation (Overview, Appointments, Prescriptions, Timeline)
- * - Real-time bed assignment/discharge actions
- * - Loading, empty and error states using global components
- * - Responsive design
- * - Unified with global Card, Badge, Button, Tabs, Table, EmptyState, LoadingState
- * - Role-aware actions (only admin/nurse/reception can discharge)
+ * - Department selector with occupancy rate and patient count
+ * - Detailed stats: total beds, available, occupied, cleaning, maintenance, blocked
+ * - Progress bar for occupancy
+ * - Trend chart (daily occupancy over last 7 days)
+ * - 7-day forecast of free beds (expected discharges, reservations, planned admissions)
+ * - Export to PDF/CSV (department table, KPIs and forecast for the selected department)
+ * - Responsive layout with glassmorphic cards
+ * - Real-time updates via SignalR (bedChannel)
+ * - Loading, empty, error states
+ * - Unified with global Card, Badge, Button, Progress, Chart components
  */
 
-import { useState } from 'react';
-import { useParams } from 'react-router-dom';
+import { useState, useMemo } from 'react';
 import { 
-  BedDouble,
+  Building2, 
+  BedDouble, 
+  Users, 
+  TrendingUp,
+  AlertTriangle
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
 import Badge from '@components/ui/badge.jsx';
-import Button from '@components/ui/button.jsx';
-import Tabs from '@components/ui/tabs.jsx';
-import TabsList from '@components/ui/tabs-list.jsx';
-import TabsTrigger from '@components/ui/tabs-trigger.jsx';
-import TabsContent from '@components/ui/tabs-content.jsx';
-import Table from '@components/ui/table.jsx';
-import TableHeader from '@components/ui/table-header.jsx';
-import TableBody from '@components/ui/table-body.jsx';
-import TableHead from '@components/ui/table-head.jsx';
-import TableRow from '@components/ui/table-row.jsx';
-import TableCell from '@components/ui/table-cell.jsx';
+import Progress from '@components/ui/progress.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
-import EmptyState from '@components/common/EmptyState.jsx';
-import PatientSummaryCard from '@components/patients/PatientSummaryCard.jsx';
-import BedStatusBadge from '@components/beds/BedStatusBadge.jsx';
-import AppointmentStatusBadge from '@components/appointments/AppointmentStatusBadge.jsx';
-import { usePatientProfile } from '@hooks/usePatientProfile';
+import BedForecastTable from '@components/beds/BedForecastTable.jsx';
+import OccupancyChart from '@components/analytics/OccupancyChart.jsx';
+import ReportNav from '@components/navigation/ReportNav.jsx';
+import ExportButtons from '@components/common/ExportButtons.jsx';
 import { useBedManagement } from '@hooks/useBedManagement';
-import { useRoleAccess } from '@hooks/useRoleAccess';
-import { formatDateTime } from '@lib/dateUtils';
-import './PatientDetailPage.scss';
+import { useBedForecast } from '@hooks/useBedForecast';
+import { useOccupancyTrend } from '@hooks/useOccupancyTrend';
+import { useAuth } from '@hooks/useAuth';
+import { BED_STATUS } from '@lib/constants';
+import { formatDate, subtractDaysFromDate } from '@lib/dateUtils';
+import './DepartmentLoadReportPage.scss';
 
-const PatientDetailPage = () => {
-  const { patientId } = useParams();
-  const { patient, timelineEvents, isLoadingPatient, isLoadingTimeline } = usePatientProfile(patientId);
-  const { beds } = useBedManagement();
-  const { hasAccess: canDischarge } = useRoleAccess(['admin', 'nurse', 'reception']);
+// Trend chart covers today and the 6 days before it
+const TREND_DAYS = 7;
 
-  const [activeTab, setActiveTab] = useState('overview');
+/**
+ * Count beds per lifecycle status for a set of beds
+ * @param {Array} bedList - transformed beds (status from bedFirebase)
+ * @returns {Object} bed counts and occupancy rate
+ */
+const summarizeBeds = (bedList) => {
+  const countStatus = (status) => bedList.filter(b => b.status === status).length;
+  const total = bedList.length;
+  const occupied = countStatus(BED_STATUS.OCCUPIED);
 
-  // Find current bed assignment
-  const currentBed = beds.find(bed => 
-    bed.status === 'occupied' && 
-    bed.current_patient?.patient_id === Number(patientId)
-  );
+  return {
+    totalBeds: total,
+    availableBeds: countStatus(BED_STATUS.AVAILABLE),
+    occupiedBeds: occupied,
+    cleaningBeds: countStatus(BED_STATUS.CLEANING),
+    maintenanceBeds: countStatus(BED_STATUS.MAINTENANCE),
+    blockedBeds: countStatus(BED_STATUS.BLOCKED),
+    reservedBeds: countStatus(BED_STATUS.RESERVED),
+    occupancyRate: total > 0 ? Math.round((occupied / total) * 100) : 0,
+  };
+};
 
-  const tabs = [
-    { id: 'overview', label: 'Overview' },
-    { id: 'appointments', label: 'Appointments' },
-    { id: 'prescriptions', label: 'Prescriptions' },
-    { id: 'timeline', label: 'Timeline' },
-  ];
+const DepartmentLoadReportPage = () => {
+  const { beds, departments, isLoadingBeds } = useBedManagement();
+  const { user: _user } = useAuth();
 
-  if (isLoadingPatient || isLoadingTimeline) {
-    return <LoadingState type="full" />;
-  }
+  const [selectedDepartment, setSelectedDepartment] = useState('all');
+  const { forecast, isLoadingForecast } = useBedForecast({ beds, departments });
+  const {
+    chartData: trendData,
+    isLoading: isLoadingTrend,
+    error: trendError,
+  } = useOccupancyTrend({
+    from: formatDate(subtractDaysFromDate(new Date(), TREND_DAYS - 1), 'yyyy-MM-dd'),
+    to: formatDate(new Date(), 'yyyy-MM-dd'),
+    departments,
+    departmentId: selectedDepartment,
+  });
 
-  if (!patient) {
-    return (
-      <Card className="error-card">
-        <EmptyState
-          description="Please check the patient ID or contact administrator"
-          title="Patient not found"
-        />
-      </Card>
-    );
+  // Calculate load stats
+  const departmentStats = useMemo(() => {
+    if (!departments || !beds) return [];
+
+    return departments.map(dept => {
+      const stats = summarizeBeds(beds.filter(b => b.department_id === dept.id));
+
+      return {
+        ...dept,
+        ...stats,
+        critical: stats.occupancyRate >= 90,
+      };
+    });
+  }, [beds, departments]);
+
+  // Selected department data
+  const selectedStats = selectedDepartment === 'all' 
+    ? summarizeBeds(beds)
+    : departmentStats.find(d => d.id === selectedDepartment) || summarizeBeds([]);
+
+  // Critical departments
+  const criticalDepartments = departmentStats.filter(d => d.critical);
+
+  // Export mirrors the selected department, stats and forecast
+  const buildReport = () => {
+    const isAll = selectedDepartment === 'all';
+    const rows = isAll ? departmentStats : departmentStats.filter(d => d.id === selectedDepartment);
+    const forecastRows = isAll
+      ? [...(forecast?.departments || []), { ...forecast?.total, department_name: 'All Departments' }]
+      : (forecast?.departments || []).filter(row => row.department_id === selectedDepartment);
+    const forecastDates = forecast?.total?.days.map(day => day.date) || [];
+
+    return {
+      title: 'Department Load Report',
+      subtitle: 'Real-time occupancy and patient load across departments',
+      filters: [
+        { label: 'Department', value: isAll ? 'All Departments' : rows[0]?.name || selectedDepartment },
+        { label: 'As of', value: formatDate(new Date(), 'MMM d, yyyy HH:mm') },
+      ],
+      kpis: [
+        { label: 'Total Beds', value: selectedStats.totalBeds },
+        { label: 'Available', value: selectedStats.availableBeds },
+        { label: 'Occupied', value: selectedStats.occupiedBeds },
+        { label: 'Occupancy Rate', value: `${selectedStats.occupancyRate}%` },
+        { label: 'Cleaning', value: selectedStats.cleaningBeds },
+        { label: 'Maintenance', value: selectedStats.maintenanceBeds },
+        { label: 'Blocked', value: selectedStats.blockedBeds },
+        { label: 'Reserved', value: selectedStats.reservedBeds },
+      ],
+      tables: [
+        {
+          title: 'Department Load',
+          rows,
+          columns: [
+            { header: 'Department', value: row => row.name },
+            { header: 'Total', value: row => row.totalBeds },
+            { header: 'Available', value: row => row.availableBeds },
+            { header: 'Occupied', value: row => row.occupiedBeds },
+            { header: 'Reserved', value: row => row.reservedBeds },
+            { header: 'Cleaning', value: row => row.cleaningBeds },
+            { header: 'Maintenance', value: row => row.maintenanceBeds },
+            { header: 'Blocked', value: row => row.blockedBeds },
+            { header: 'Occupancy (%)', value: row => row.occupancyRate },
+          ],
+        },
+        {
+          title: 'Projected Free Beds',
+          rows: forecastRows,
+          columns: [
+            { header: 'Department', value: row => row.department_name },
+            ...forecastDates.map((date, index) => ({
+              header: formatDate(date, 'EEE d'),
+              value: row => row.days?.[index]?.projected_free ?? '-',
+            })),
+          ],
+        },
+      ],
+    };
+  };
+
+  if (isLoadingBeds) {
+    return <LoadingState count={6} type="grid" />;
   }
 
   return (
-    <div className="patient-detail-page">
-      {/* Patient Summary */}
-      <PatientSummaryCard patient={patient} />
+    <div className="departmentLoadReportPage">
+      <ReportNav />
 
-      {/* Tabs */}
-      <Tabs value={activeTab} onValueChange={setActiveTab}>
-        <TabsList className="patient-tabs">
-          {tabs.map(tab => (
-            <TabsTrigger key={tab.id} value={tab.id}>
-              {tab.label}
-            </TabsTrigger>
+      <div className="pageHeader">
+        <h1 className="pageTitle">Department Load Report</h1>
+        <p className="pageSubtitle">Real-time occupancy and patient load across departments</p>
+      </div>
+
+      {/* Department Selector */}
+      <Card className="selectorCard">
+        <h2 className="sectionTitle">Select Department</h2>
+        <select
+          className="departmentSelector"
+          value={selectedDepartment}
+          onChange={(e) => setSelectedDepartment(e.target.value)}
+        >
+          <option value="all">All Departments</option>
+          {departments.map(dept => (
+            <option key={dept.id} value={dept.id}>
+              {dept.name}
+            </option>
           ))}
-        </TabsList>
+        </select>
+      </Card>
 
-        {/* Overview Tab */}
-        <TabsContent value="overview">
-          <div className="overview-grid">
-            {/* Current Bed */}
-            <Card className="bed-info-card">
-              <h3 className="section-title">Current Bed Assignment</h3>
-              {currentBed ? (
-                <div className="bed-details">
-                  <div className="bed-number">
-                    <BedDouble className="icon" />
-                    <span>Bed {currentBed.bed_number}</span>
-                  </div>
-                  <div className="bed-department">
-                    <span className="label">Department:</span>
-                    <span>{currentBed.department?.name || 'General'}</span>
-                  </div>
-                  <div className="bed-status">
-                    <BedStatusBadge status={currentBed.status} />
-                  </div>
-                  {canDischarge && (
-                    <Button size="sm" variant="destructive">
-                      Discharge Patient
-                    </Button>
-                  )}
-                </div>
-              ) : (
-                <EmptyState
-                  description="Patient is not currently admitted"
-                  size="small"
-                  title="No bed assigned"
-                />
-              )}
-            </Card>
+      {/* Overall Stats */}
+      <div className="statsGrid">
+        <Card className="statCard total">
+          <Building2 className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Total Beds</p>
+            <p className="statValue">{selectedStats.totalBeds}</p>
+          </div>
+        </Card>
 
-            {/* Vital Stats */}
-            <Card className="vitals-card">
-              <h3 className="section-title">Vital Statistics</h3>
-              <div className="vitals-grid">
-                <div className="vital-item">
-                  <span className="label">Age</span>
-                  <span className="value">{patient.age || 'N/A'}</span>
-                </div>
-                <div className="vital-item">
-                  <span className="label">Blood Group</span>
-                  <span className="value">{patient.blood_group || 'N/A'}</span>
-                </div>
-                <div className="vital-item">
-                  <span className="label">Last Admission</span>
-                  <span className="value">{formatDateTime(patient.last_admission) || 'N/A'}</span>
-                </div>
-                <div className="vital-item">
-                  <span className="label">Allergies</span>
-                  <span className="value">{patient.allergies?.join(', ') || 'None'}</span>
-                </div>
-              </div>
-            </Card>
+        <Card className="statCard available">
+          <BedDouble className="statIcon success" />
+          <div className="statContent">
+            <p className="statLabel">Available</p>
+            <p className="statValue">{selectedStats.availableBeds}</p>
           </div>
-        </TabsContent>
+        </Card>
 
-        {/* Appointments Tab */}
-        <TabsContent value="appointments">
-          <Card className="appointments-card">
-            <h3 className="section-title">Appointment History</h3>
-            {patient.appointments?.length === 0 ? (
-              <EmptyState
-                description="This patient has no recorded appointments"
-                title="No appointments"
-              />
-            ) : (
-              <Table>
-                <TableHeader>
-                  <TableRow>
-                    <TableHead>Date</TableHead>
-                    <TableHead>Doctor</TableHead>
-                    <TableHead>Status</TableHead>
-                    <TableHead>Reason</TableHead>
-                  </TableRow>
-                </TableHeader>
-                <TableBody>
-                  {patient.appointments.map(apt => (
-                    <TableRow key={apt.id}>
-                      <TableCell>{formatDateTime(apt.appointment_date)}</TableCell>
-                      <TableCell>Dr. {apt.doctor_name}</TableCell>
-                      <TableCell>
-                        <AppointmentStatusBadge status={apt.status} />
-                      </TableCell>
-                      <TableCell>{apt.reason || '-'}</TableCell>
-                    </TableRow>
-                  ))}
-                </TableBody>
-              </Table>
-            )}
-          </Card>
-        </TabsContent>
+        <Card className="statCard occupied">
+          <Users className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Occupied</p>
+            <p className="statValue">{selectedStats.occupiedBeds}</p>
+          </div>
+        </Card>
 
-        {/* Prescriptions Tab */}
-        <TabsContent value="prescriptions">
-          <Card className="prescriptions-card">
-            <h3 className="section-title">Prescription History</h3>
-            {patient.prescriptions?.length === 0 ? (
-              <EmptyState
-                description="This patient has no recorded prescriptions"
-                title="No prescriptions"
-              />
-            ) : (
-              <Table>
-                <TableHeader>
-                  <TableRow>
-                    <TableHead>Date</TableHead>
-                    <TableHead>Medication</TableHead>
-                    <TableHead>Dosage</TableHead>
-                    <TableHead>Status</TableHead>
-                  </TableRow>
-                </TableHeader>
-                <TableBody>
-                  {patient.prescriptions.map(rx => (
-                    <TableRow key={rx.id}>
-                      <TableCell>{formatDateTime(rx.date)}</TableCell>
-                      <TableCell>{rx.medication}</TableCell>
-                      <TableCell>{rx.dosage}</TableCell>
-                      <TableCell>
-                        <Badge variant={rx.dispensed ? 'success' : 'warning'}>
-                          {rx.dispensed ? 'Dispensed' : 'Pending'}
-                        </Badge>
-                      </TableCell>
-                    </TableRow>
-                  ))}
-                </TableBody>
-              </Table>
-            )}
-          </Card>
-        </TabsContent>
+        <Card className="statCard occupancy">
+          <TrendingUp className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Occupancy Rate</p>
+            <p className="statValue">{selectedStats.occupancyRate}%</p>
+            <Progress value={selectedStats.occupancyRate} />
+          </div>
+        </Card>
+      </div>
 
-        {/* Timeline Tab */}
-        <TabsContent value="timeline">
-          <Card className="timeline-card">
-            <h3 className="section-title">Patient Timeline</h3>
-            {timelineEvents?.length === 0 ? (
-              <EmptyState
-                description="Patient activity will appear here"
-                title="No timeline events"
-              />
-            ) : (
-              <div className="timeline-list">
-                {timelineEvents.map(event => (
-                  <div className="timeline-item" key={event.id}>
-                    <div className="timeline-time">
-                      {formatDateTime(event.timestamp)}
-                    </div>
-                    <div className="timeline-content">
-                      <h4 className="timeline-title">{event.title}</h4>
-                      <p className="timeline-description">{event.description}</p>
-                      <p className="timeline-user">By {event.user}</p>
-                    </div>
-                  </div>
-                ))}
+      {/* Critical Departments Alert */}
+      {criticalDepartments.length > 0 && (
+        <Card className="criticalAlert">
+          <h2 className="sectionTitle">
+            <AlertTriangle className="mr-2" />
+            Critical Departments (90%+ Occupied)
+          </h2>
+          <div className="criticalList">
+            {criticalDepartments.map(dept => (
+              <div className="criticalItem" key={dept.id}>
+                <span className="deptName">{dept.name}</span>
+                <Badge variant="destructive">
+                  {dept.occupancyRate}% Occupied
+                </Badge>
               </div>
-            )}
-          </Card>
-        </TabsContent>
-      </Tabs>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {/* Department Details */}
+      {selectedDepartment !== 'all' && (
+        <Card className="detailCard">
+          <h2 className="sectionTitle">Department Details</h2>
+          <div className="detailStats">
+            <div className="detailItem">
+              <span className="label">Total Beds</span>
+              <span className="value">{selectedStats.totalBeds}</span>
+            </div>
+            <div className="detailItem">
+              <span className="label">Available</span>
+              <span className="value">{selectedStats.availableBeds}</span>
+            </div>
+            <div className="detailItem">
+              <span className="label">Occupied</span>
+              <span className="value">{selectedStats.occupiedBeds}</span>
+            </div>
+            <div className="detailItem">
+              <span className="label">Cleaning</span>
+              <span className="value">{selectedStats.cleaningBeds}</span>
+            </div>
+            <div className="detailItem">
+              <span className="label">Maintenance</span>
+              <span className="value">{selectedStats.maintenanceBeds}</span>
+            </div>
+            <div className="detailItem">
+              <span className="label">Blocked</span>
+              <span className="value">{selectedStats.blockedBeds}</span>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {/* Occupancy Trend */}
+      <OccupancyChart
+        data={trendData}
+        error={trendError}
+        isLoading={isLoadingTrend}
+        title={`Occupancy Trend (Last ${TREND_DAYS} Days)`}
+      />
+
+      {/* Bed Forecast */}
+      <BedForecastTable
+        departmentId={selectedDepartment}
+        forecast={forecast}
+        isLoading={isLoadingForecast}
+      />
+
+      {/* Export */}
+      <div className="exportSection">
+        <ExportButtons
+          className="justify-center"
+          disabled={isLoadingForecast}
+          getReport={buildReport}
+          size="lg"
+        />
+      </div>
     </div>
   );
 };
 
-export default PatientDetailPage;
\ No newline at end of file
+export default DepartmentLoadReportPage;
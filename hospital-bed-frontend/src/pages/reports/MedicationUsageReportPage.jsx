@@ -1,202 +1,283 @@
-// src/pages/reports/DepartmentLoadReportPage.jsx
+// src/pages/reports/MedicationUsageReportPage.jsx
 /**
- * DepartmentLoadReportPage Component
- * 
- * Production-ready department load report page for HBMS administrators.
- * Displays real-time bed occupancy, patient load, and trends per department.
- * 
+ * MedicationUsageReportPage Component
+ *
+ * Medication usage report for HBMS administrators, built from prescriptions
+ * written in a date range.
+ *
  * Features:
- * - Department selector with occupancy rate and patient count
- * - Detailed stats: total beds, available, occupied, maintenance
- * - Progress bar for occupancy
- * - Trend chart (daily occupancy over last 7 days)
- * - Export to PDF/CSV
+ * - Date range filter
+ * - Summary stats: prescriptions, dispensed, pending, distinct medications
+ * - Top medications, grouped by formulary item, with dispensed vs. pending
+ *   split, units dispensed, as-needed prescriptions and average course length
+ * - Per-doctor prescribing volume
+ * - CSV/PDF export for the selected date range
  * - Responsive layout with glassmorphic cards
- * - Real-time updates via SignalR (bedChannel)
  * - Loading, empty, error states
- * - Unified with global Card, Badge, Button, Progress, Chart components
+ * - Unified with global Card, Input, Label, Progress, Table, EmptyState components
  */
 
-import { useState, useMemo } from 'react';
-import { 
-  Building2, 
-  BedDouble, 
-  Users, 
-  TrendingUp,
-  Download,
-  AlertTriangle
+import { useState } from 'react';
+import {
+  ClipboardList,
+  CheckCircle2,
+  Clock,
+  Pill,
+  Stethoscope
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
-import Button from '@components/ui/button.jsx';
-import Badge from '@components/ui/badge.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
 import Progress from '@components/ui/progress.jsx';
+import Table, { TableHeader, TableBody, TableHead, TableRow, TableCell } from '@components/ui/table.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
 import LoadingState from '@components/common/LoadingState.jsx';
-import { useBedManagement } from '@hooks/useBedManagement';
-import { useAuth } from '@hooks/useAuth';
-import './DepartmentLoadReportPage.scss';
-
-const DepartmentLoadReportPage = () => {
-  const { beds, departments, isLoadingBeds } = useBedManagement();
-  const { user: _user } = useAuth();
-
-  const [selectedDepartment, setSelectedDepartment] = useState('all');
-
-  // Calculate load stats
-  const departmentStats = useMemo(() => {
-    if (!departments || !beds) return [];
-
-    return departments.map(dept => {
-      const deptBeds = beds.filter(b => b.department_id === dept.id);
-      const total = deptBeds.length;
-      const available = deptBeds.filter(b => b.status === 'available').length;
-      const occupied = deptBeds.filter(b => b.status === 'occupied').length;
-      const maintenance = deptBeds.filter(b => b.status === 'maintenance' || b.status === 'cleaning').length;
-      const occupancyRate = total > 0 ? Math.round((occupied / total) * 100) : 0;
-      const critical = occupancyRate >= 90;
-
-      return {
-        ...dept,
-        totalBeds: total,
-        availableBeds: available,
-        occupiedBeds: occupied,
-        maintenanceBeds: maintenance,
-        occupancyRate,
-        critical,
-      };
-    });
-  }, [beds, departments]);
-
-  // Selected department data
-  const selectedStats = selectedDepartment === 'all' 
-    ? {
-        totalBeds: beds.length,
-        availableBeds: beds.filter(b => b.status === 'available').length,
-        occupiedBeds: beds.filter(b => b.status === 'occupied').length,
-        occupancyRate: beds.length > 0 ? Math.round((beds.filter(b => b.status === 'occupied').length / beds.length) * 100) : 0,
-      }
-    : departmentStats.find(d => d.id === selectedDepartment) || { totalBeds: 0, availableBeds: 0, occupiedBeds: 0, occupancyRate: 0 };
-
-  // Critical departments
-  const criticalDepartments = departmentStats.filter(d => d.critical);
-
-  if (isLoadingBeds) {
-    return <LoadingState count={6} type="grid" />;
-  }
+import ReportNav from '@components/navigation/ReportNav.jsx';
+import ExportButtons from '@components/common/ExportButtons.jsx';
+import { useMedicationUsage } from '@hooks/useReports';
+import { formatDate, subtractDaysFromDate } from '@lib/dateUtils';
+import './MedicationUsageReportPage.scss';
+
+// Default range: the last 30 days including today
+const DEFAULT_RANGE_DAYS = 30;
+
+const MedicationUsageReportPage = () => {
+  const [from, setFrom] = useState(
+    formatDate(subtractDaysFromDate(new Date(), DEFAULT_RANGE_DAYS - 1), 'yyyy-MM-dd')
+  );
+  const [to, setTo] = useState(formatDate(new Date(), 'yyyy-MM-dd'));
+
+  const { usage, isLoading, error } = useMedicationUsage({ from, to });
+  const { totals } = usage;
+
+  // Export mirrors the on-screen date range, totals and tables
+  const buildReport = () => {
+    const dispensingColumns = [
+      { header: 'Prescriptions', value: row => row.total },
+      { header: 'Dispensed', value: row => row.dispensed },
+      { header: 'Pending', value: row => row.pending },
+      { header: 'Dispensed (%)', value: row => row.dispensed_rate },
+    ];
+
+    return {
+      title: 'Medication Usage Report',
+      subtitle: 'Prescribing and dispensing activity',
+      filters: [{ label: 'Date range', value: `${formatDate(from)} - ${formatDate(to)}` }],
+      kpis: [
+        { label: 'Prescriptions', value: totals.total },
+        { label: 'Prescribing Doctors', value: totals.doctors },
+        { label: 'Dispensed', value: `${totals.dispensed} (${totals.dispensed_rate}%)` },
+        { label: 'Pending', value: totals.pending },
+        { label: 'Distinct Medications', value: totals.medications },
+      ],
+      tables: [
+        {
+          title: 'Top Medications',
+          rows: usage.top_medications,
+          columns: [
+            { header: 'Medication', value: row => row.medication_name },
+            ...dispensingColumns,
+            { header: 'Units Dispensed', value: row => row.units_dispensed },
+            { header: 'As Needed (PRN)', value: row => row.as_needed },
+            { header: 'Avg. Course (days)', value: row => row.avg_course_days ?? '' },
+            { header: 'Prescribers', value: row => row.prescribers },
+          ],
+        },
+        {
+          title: 'Prescribing by Doctor',
+          rows: usage.doctors,
+          columns: [
+            { header: 'Doctor', value: row => `Dr. ${row.doctor_name}` },
+            ...dispensingColumns,
+            { header: 'Distinct Medications', value: row => row.medications },
+          ],
+        },
+      ],
+    };
+  };
+
+  const renderDispensed = (row) => (
+    <TableCell className="dispensedCell">
+      <p className="dispensedLabel">{row.dispensed} dispensed · {row.pending} pending</p>
+      <Progress size="sm" value={row.dispensed_rate} />
+    </TableCell>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <LoadingState count={4} type="table" />;
+    }
+
+    if (error) {
+      return (
+        <EmptyState
+          description={error.message || 'Failed to load prescriptions. Please try again later.'}
+          title="Could not load medication usage"
+        />
+      );
+    }
+
+    if (totals.total === 0) {
+      return (
+        <EmptyState
+          description="No prescriptions were written in the selected period."
+          title="No prescriptions"
+        />
+      );
+    }
+
+    return (
+      <>
+        {/* Top Medications */}
+        <Card className="tableCard">
+          <h2 className="sectionTitle">
+            <Pill className="mr-2" />
+            Top Medications
+          </h2>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Medication</TableHead>
+                <TableHead>Prescriptions</TableHead>
+                <TableHead>Dispensed vs. Pending</TableHead>
+                <TableHead>Units Dispensed</TableHead>
+                <TableHead>As Needed</TableHead>
+                <TableHead>Avg. Course</TableHead>
+                <TableHead>Prescribers</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {usage.top_medications.map(row => (
+                <TableRow key={row.medication_name}>
+                  <TableCell>{row.medication_name}</TableCell>
+                  <TableCell>{row.total}</TableCell>
+                  {renderDispensed(row)}
+                  <TableCell>{row.units_dispensed}</TableCell>
+                  <TableCell>{row.as_needed}</TableCell>
+                  <TableCell>{row.avg_course_days ? `${row.avg_course_days} days` : '—'}</TableCell>
+                  <TableCell>{row.prescribers}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Card>
+
+        {/* Prescribing by Doctor */}
+        <Card className="tableCard">
+          <h2 className="sectionTitle">
+            <Stethoscope className="mr-2" />
+            Prescribing by Doctor
+          </h2>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Doctor</TableHead>
+                <TableHead>Prescriptions</TableHead>
+                <TableHead>Dispensed vs. Pending</TableHead>
+                <TableHead>Distinct Medications</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {usage.doctors.map(row => (
+                <TableRow key={row.doctor_id}>
+                  <TableCell>Dr. {row.doctor_name}</TableCell>
+                  <TableCell>{row.total}</TableCell>
+                  {renderDispensed(row)}
+                  <TableCell>{row.medications}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Card>
+      </>
+    );
+  };
 
   return (
-    <div className="department-load-report-page">
-      <div className="page-header">
-        <h1 className="page-title">Department Load Report</h1>
-        <p className="page-subtitle">Real-time occupancy and patient load across departments</p>
+    <div className="medicationUsageReportPage">
+      <ReportNav />
+
+      <div className="pageHeader">
+        <h1 className="pageTitle">Medication Usage Report</h1>
+        <p className="pageSubtitle">Prescribing and dispensing activity</p>
       </div>
 
-      {/* Department Selector */}
-      <Card className="selector-card">
-        <h2 className="section-title">Select Department</h2>
-        <select
-          className="department-selector"
-          value={selectedDepartment}
-          onChange={(e) => setSelectedDepartment(e.target.value)}
-        >
-          <option value="all">All Departments</option>
-          {departments.map(dept => (
-            <option key={dept.id} value={dept.id}>
-              {dept.name}
-            </option>
-          ))}
-        </select>
+      {/* Filters */}
+      <Card className="filterCard">
+        <div className="filterGrid">
+          <div className="filterField">
+            <Label htmlFor="medication-from">From</Label>
+            <Input
+              id="medication-from"
+              max={to}
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+            />
+          </div>
+          <div className="filterField">
+            <Label htmlFor="medication-to">To</Label>
+            <Input
+              id="medication-to"
+              min={from}
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+            />
+          </div>
+        </div>
       </Card>
 
-      {/* Overall Stats */}
-      <div className="stats-grid">
-        <Card className="stat-card total">
-          <Building2 className="stat-icon" />
-          <div className="stat-content">
-            <p className="stat-label">Total Beds</p>
-            <p className="stat-value">{selectedStats.totalBeds}</p>
+      {/* Summary Stats */}
+      <div className="statsGrid">
+        <Card className="statCard">
+          <ClipboardList className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Prescriptions</p>
+            <p className="statValue">{totals.total}</p>
+            <p className="statHint">from {totals.doctors} doctor(s)</p>
           </div>
         </Card>
 
-        <Card className="stat-card available">
-          <BedDouble className="stat-icon success" />
-          <div className="stat-content">
-            <p className="stat-label">Available</p>
-            <p className="stat-value">{selectedStats.availableBeds}</p>
+        <Card className="statCard">
+          <CheckCircle2 className="statIcon success" />
+          <div className="statContent">
+            <p className="statLabel">Dispensed</p>
+            <p className="statValue">{totals.dispensed}</p>
+            <Progress size="sm" value={totals.dispensed_rate} variant="success" />
           </div>
         </Card>
 
-        <Card className="stat-card occupied">
-          <Users className="stat-icon" />
-          <div className="stat-content">
-            <p className="stat-label">Occupied</p>
-            <p className="stat-value">{selectedStats.occupiedBeds}</p>
+        <Card className="statCard">
+          <Clock className="statIcon warning" />
+          <div className="statContent">
+            <p className="statLabel">Pending</p>
+            <p className="statValue">{totals.pending}</p>
           </div>
         </Card>
 
-        <Card className="stat-card occupancy">
-          <TrendingUp className="stat-icon" />
-          <div className="stat-content">
-            <p className="stat-label">Occupancy Rate</p>
-            <p className="stat-value">{selectedStats.occupancyRate}%</p>
-            <Progress value={selectedStats.occupancyRate} />
+        <Card className="statCard">
+          <Pill className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Distinct Medications</p>
+            <p className="statValue">{totals.medications}</p>
           </div>
         </Card>
       </div>
 
-      {/* Critical Departments Alert */}
-      {criticalDepartments.length > 0 && (
-        <Card className="critical-alert">
-          <h2 className="section-title">
-            <AlertTriangle className="mr-2" />
-            Critical Departments (90%+ Occupied)
-          </h2>
-          <div className="critical-list">
-            {criticalDepartments.map(dept => (
-              <div className="critical-item" key={dept.id}>
-                <span className="dept-name">{dept.name}</span>
-                <Badge variant="destructive">
-                  {dept.occupancyRate}% Occupied
-                </Badge>
-              </div>
-            ))}
-          </div>
-        </Card>
-      )}
-
-      {/* Department Details */}
-      {selectedDepartment !== 'all' && (
-        <Card className="detail-card">
-          <h2 className="section-title">Department Details</h2>
-          <div className="detail-stats">
-            <div className="detail-item">
-              <span className="label">Total Beds</span>
-              <span className="value">{selectedStats.totalBeds}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Available</span>
-              <span className="value">{selectedStats.availableBeds}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Occupied</span>
-              <span className="value">{selectedStats.occupiedBeds}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Maintenance</span>
-              <span className="value">{selectedStats.maintenanceBeds}</span>
-            </div>
-          </div>
-        </Card>
-      )}
-
-      {/* Export Button */}
-      <div className="export-section">
-        <Button size="lg">
-          <Download className="mr-2" />
-          Export Report (PDF/CSV)
-        </Button>
+      {renderBody()}
+
+      {/* Export */}
+      <div className="exportSection">
+        <ExportButtons
+          className="justify-center"
+          disabled={isLoading || !!error}
+          getReport={buildReport}
+          size="lg"
+        />
       </div>
     </div>
   );
 };
 
-export default DepartmentLoadReportPage;
\ No newline at end of file
+export default MedicationUsageReportPage;
@@ -0,0 +1,260 @@
+// src/pages/reports/NoShowReportPage.jsx
+/**
+ * NoShowReportPage Component
+ *
+ * Appointment no-show report for HBMS administrators, built from the
+ * outcome of appointments in a date range.
+ *
+ * Features:
+ * - Date range filter
+ * - Summary stats: decided appointments, no-shows, no-show rate, marked by the sweep
+ * - No-show rates by doctor, weekday and hour of day
+ * - CSV/PDF export for the selected date range
+ * - Responsive layout with glassmorphic cards
+ * - Loading, empty, error states
+ * - Unified with global Card, Input, Label, Table, EmptyState components
+ *
+ * Rates leave out cancelled and still-upcoming appointments (see appointmentNoShows).
+ */
+
+import { useState } from 'react';
+import {
+  CalendarDays,
+  CalendarCheck,
+  Clock,
+  Percent,
+  Stethoscope,
+  UserX
+} from 'lucide-react';
+import Card from '@components/ui/card.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
+import Table, { TableHeader, TableBody, TableHead, TableRow, TableCell } from '@components/ui/table.jsx';
+import EmptyState from '@components/common/EmptyState.jsx';
+import LoadingState from '@components/common/LoadingState.jsx';
+import ReportNav from '@components/navigation/ReportNav.jsx';
+import ExportButtons from '@components/common/ExportButtons.jsx';
+import { useNoShowStatistics } from '@hooks/useReports';
+import { formatDate, subtractDaysFromDate } from '@lib/dateUtils';
+import './NoShowReportPage.scss';
+
+// Default range: the last 90 days including today
+const DEFAULT_RANGE_DAYS = 90;
+
+// Rates at or above this (%) are highlighted
+const HIGH_NO_SHOW_RATE = 20;
+
+const formatRate = (rate) => (rate === null ? 'N/A' : `${rate}%`);
+
+// Columns shared by the on-screen tables and the export
+const rateColumns = [
+  { header: 'Appointments', value: row => row.booked },
+  { header: 'No-Shows', value: row => row.no_shows },
+  { header: 'No-Show Rate (%)', value: row => row.no_show_rate ?? '' },
+];
+
+const NoShowReportPage = () => {
+  const [from, setFrom] = useState(
+    formatDate(subtractDaysFromDate(new Date(), DEFAULT_RANGE_DAYS - 1), 'yyyy-MM-dd')
+  );
+  const [to, setTo] = useState(formatDate(new Date(), 'yyyy-MM-dd'));
+
+  const { noShows, isLoading, error } = useNoShowStatistics({ from, to });
+  const { totals } = noShows;
+
+  // Export mirrors the on-screen date range, totals and tables
+  const buildReport = () => ({
+    title: 'Appointment No-Show Report',
+    subtitle: 'No-show rates by doctor, weekday and hour',
+    filters: [{ label: 'Date range', value: `${formatDate(from)} - ${formatDate(to)}` }],
+    kpis: [
+      { label: 'Appointments', value: totals.booked },
+      { label: 'No-Shows', value: totals.no_shows },
+      { label: 'No-Show Rate', value: formatRate(totals.no_show_rate) },
+      { label: 'Marked Automatically', value: totals.auto_marked },
+    ],
+    tables: [
+      {
+        title: 'No-Shows by Doctor',
+        rows: noShows.doctors,
+        columns: [{ header: 'Doctor', value: row => `Dr. ${row.doctor_name}` }, ...rateColumns],
+      },
+      {
+        title: 'No-Shows by Weekday',
+        rows: noShows.weekdays,
+        columns: [{ header: 'Weekday', value: row => row.label }, ...rateColumns],
+      },
+      {
+        title: 'No-Shows by Hour',
+        rows: noShows.hours,
+        columns: [{ header: 'Hour', value: row => row.label }, ...rateColumns],
+      },
+    ],
+  });
+
+  const renderRateTable = ({ title, icon: Icon, keyHeader, rows, getKey, getLabel }) => (
+    <Card className="tableCard">
+      <h2 className="sectionTitle">
+        <Icon className="mr-2" />
+        {title}
+      </h2>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>{keyHeader}</TableHead>
+            <TableHead>Appointments</TableHead>
+            <TableHead>No-Shows</TableHead>
+            <TableHead>No-Show Rate</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rows.map(row => (
+            <TableRow key={getKey(row)}>
+              <TableCell>{getLabel(row)}</TableCell>
+              <TableCell>{row.booked}</TableCell>
+              <TableCell>{row.no_shows}</TableCell>
+              <TableCell className={row.no_show_rate >= HIGH_NO_SHOW_RATE ? 'highRate' : ''}>
+                {formatRate(row.no_show_rate)}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Card>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <LoadingState count={4} type="table" />;
+    }
+
+    if (error) {
+      return (
+        <EmptyState
+          description={error.message || 'Failed to load appointments. Please try again later.'}
+          title="Could not load no-shows"
+        />
+      );
+    }
+
+    if (totals.booked === 0) {
+      return (
+        <EmptyState
+          description="No attended or missed appointments during the selected period."
+          title="No appointments"
+        />
+      );
+    }
+
+    return (
+      <>
+        {renderRateTable({
+          title: 'No-Shows by Doctor',
+          icon: Stethoscope,
+          keyHeader: 'Doctor',
+          rows: noShows.doctors,
+          getKey: row => row.doctor_id,
+          getLabel: row => `Dr. ${row.doctor_name}`,
+        })}
+        <div className="tableGrid">
+          {renderRateTable({
+            title: 'By Weekday',
+            icon: CalendarDays,
+            keyHeader: 'Weekday',
+            rows: noShows.weekdays.filter(row => row.booked > 0),
+            getKey: row => row.weekday,
+            getLabel: row => row.label,
+          })}
+          {renderRateTable({
+            title: 'By Hour',
+            icon: Clock,
+            keyHeader: 'Hour',
+            rows: noShows.hours,
+            getKey: row => row.hour,
+            getLabel: row => row.label,
+          })}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="noShowReportPage">
+      <ReportNav />
+
+      <div className="pageHeader">
+        <h1 className="pageTitle">Appointment No-Show Report</h1>
+        <p className="pageSubtitle">No-show rates by doctor, weekday and hour</p>
+      </div>
+
+      {/* Filters */}
+      <Card className="filterCard">
+        <div className="filterGrid">
+          <div className="filterField">
+            <Label htmlFor="no-show-from">From</Label>
+            <Input
+              id="no-show-from"
+              max={to}
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+            />
+          </div>
+          <div className="filterField">
+            <Label htmlFor="no-show-to">To</Label>
+            <Input
+              id="no-show-to"
+              min={from}
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+            />
+          </div>
+        </div>
+      </Card>
+
+      {/* Summary Stats */}
+      <div className="statsGrid">
+        <Card className="statCard">
+          <CalendarCheck className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Appointments</p>
+            <p className="statValue">{totals.booked}</p>
+            <p className="statHint">attended or missed, {totals.doctors} doctor(s)</p>
+          </div>
+        </Card>
+
+        <Card className="statCard">
+          <UserX className="statIcon warning" />
+          <div className="statContent">
+            <p className="statLabel">No-Shows</p>
+            <p className="statValue">{totals.no_shows}</p>
+            <p className="statHint">{totals.auto_marked} marked automatically</p>
+          </div>
+        </Card>
+
+        <Card className="statCard">
+          <Percent className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">No-Show Rate</p>
+            <p className="statValue">{formatRate(totals.no_show_rate)}</p>
+          </div>
+        </Card>
+      </div>
+
+      {renderBody()}
+
+      {/* Export */}
+      <div className="exportSection">
+        <ExportButtons
+          className="justify-center"
+          disabled={isLoading || !!error}
+          getReport={buildReport}
+          size="lg"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default NoShowReportPage;
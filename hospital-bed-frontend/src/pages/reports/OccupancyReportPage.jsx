@@ -1,202 +1,335 @@
-// src/pages/reports/DepartmentLoadReportPage.jsx
+// src/pages/reports/OccupancyReportPage.jsx
 /**
- * DepartmentLoadReportPage Component
- * 
- * Production-ready department load report page for HBMS administrators.
- * Displays real-time bed occupancy, patient load, and trends per department.
- * 
+ * OccupancyReportPage Component
+ *
+ * Hospital-wide occupancy report for HBMS administrators.
+ * Plots historical occupancy rebuilt from bed assignment history
+ * (occupancy snapshots) for any date range.
+ *
  * Features:
- * - Department selector with occupancy rate and patient count
- * - Detailed stats: total beds, available, occupied, maintenance
- * - Progress bar for occupancy
- * - Trend chart (daily occupancy over last 7 days)
- * - Export to PDF/CSV
+ * - Date range, hourly/daily granularity and department filters
+ * - Summary stats: average length of stay, bed turnover, bed-days, peak occupancy
+ * - Occupancy trend chart per department
+ * - Per-department breakdown table (beds, bed-days, average and peak occupancy,
+ *   discharges, length of stay, turnover)
+ * - CSV/PDF export of KPIs, breakdown and per-period figures for the active filters
  * - Responsive layout with glassmorphic cards
- * - Real-time updates via SignalR (bedChannel)
  * - Loading, empty, error states
- * - Unified with global Card, Badge, Button, Progress, Chart components
+ * - Unified with global Card, Input, Select, Label, Table, Chart components
  */
 
 import { useState, useMemo } from 'react';
-import { 
-  Building2, 
-  BedDouble, 
-  Users, 
-  TrendingUp,
-  Download,
-  AlertTriangle
+import {
+  Clock,
+  RefreshCw,
+  BedDouble,
+  TrendingUp
 } from 'lucide-react';
 import Card from '@components/ui/card.jsx';
-import Button from '@components/ui/button.jsx';
-import Badge from '@components/ui/badge.jsx';
-import Progress from '@components/ui/progress.jsx';
-import LoadingState from '@components/common/LoadingState.jsx';
+import Input from '@components/ui/input.jsx';
+import Label from '@components/ui/label.jsx';
+import Select from '@components/ui/select.jsx';
+import Table, { TableHeader, TableBody, TableHead, TableRow, TableCell } from '@components/ui/table.jsx';
+import OccupancyChart from '@components/analytics/OccupancyChart.jsx';
+import ReportNav from '@components/navigation/ReportNav.jsx';
+import ExportButtons from '@components/common/ExportButtons.jsx';
 import { useBedManagement } from '@hooks/useBedManagement';
-import { useAuth } from '@hooks/useAuth';
-import './DepartmentLoadReportPage.scss';
+import { useOccupancyTrend } from '@hooks/useOccupancyTrend';
+import { useStayStatistics } from '@hooks/useReports';
+import { OCCUPANCY_GRANULARITY } from '@lib/constants';
+import { formatDate, subtractDaysFromDate } from '@lib/dateUtils';
+import './OccupancyReportPage.scss';
 
-const DepartmentLoadReportPage = () => {
-  const { beds, departments, isLoadingBeds } = useBedManagement();
-  const { user: _user } = useAuth();
+// Default range: the last 30 days including today
+const DEFAULT_RANGE_DAYS = 30;
 
+/**
+ * Roll a series of periods up into one set of figures
+ * @param {Array} series - periods from occupancyApi.getTimeSeries
+ * @param {Function} pickFigures - period => figures for the department (or total)
+ * @returns {Object} { averageRate, peakRate, peakOccupied, peakPeriod, bedDays, admissions, discharges }
+ */
+const summarizeSeries = (series, pickFigures) => {
+  const figuresList = series.map(pickFigures);
+  const sum = (field) => figuresList.reduce((total, figures) => total + (figures?.[field] || 0), 0);
+  const count = figuresList.length;
+
+  let peakIndex = -1;
+  figuresList.forEach((figures, index) => {
+    if ((figures?.peak_occupancy_rate || 0) > (figuresList[peakIndex]?.peak_occupancy_rate || 0)) {
+      peakIndex = index;
+    }
+  });
+
+  return {
+    averageRate: count > 0 ? Math.round((sum('occupancy_rate') / count) * 10) / 10 : 0,
+    peakRate: figuresList[peakIndex]?.peak_occupancy_rate || 0,
+    peakOccupied: figuresList[peakIndex]?.peak_occupied || 0,
+    peakPeriod: series[peakIndex]?.period_start || null,
+    bedDays: Math.round((sum('bed_hours') / 24) * 10) / 10,
+    admissions: sum('admissions'),
+    discharges: sum('discharges'),
+  };
+};
+
+const OccupancyReportPage = () => {
+  const { departments } = useBedManagement();
+
+  const [from, setFrom] = useState(
+    formatDate(subtractDaysFromDate(new Date(), DEFAULT_RANGE_DAYS - 1), 'yyyy-MM-dd')
+  );
+  const [to, setTo] = useState(formatDate(new Date(), 'yyyy-MM-dd'));
+  const [granularity, setGranularity] = useState(OCCUPANCY_GRANULARITY.DAY);
   const [selectedDepartment, setSelectedDepartment] = useState('all');
 
-  // Calculate load stats
-  const departmentStats = useMemo(() => {
-    if (!departments || !beds) return [];
-
-    return departments.map(dept => {
-      const deptBeds = beds.filter(b => b.department_id === dept.id);
-      const total = deptBeds.length;
-      const available = deptBeds.filter(b => b.status === 'available').length;
-      const occupied = deptBeds.filter(b => b.status === 'occupied').length;
-      const maintenance = deptBeds.filter(b => b.status === 'maintenance' || b.status === 'cleaning').length;
-      const occupancyRate = total > 0 ? Math.round((occupied / total) * 100) : 0;
-      const critical = occupancyRate >= 90;
-
-      return {
-        ...dept,
-        totalBeds: total,
-        availableBeds: available,
-        occupiedBeds: occupied,
-        maintenanceBeds: maintenance,
-        occupancyRate,
-        critical,
-      };
-    });
-  }, [beds, departments]);
-
-  // Selected department data
-  const selectedStats = selectedDepartment === 'all' 
-    ? {
-        totalBeds: beds.length,
-        availableBeds: beds.filter(b => b.status === 'available').length,
-        occupiedBeds: beds.filter(b => b.status === 'occupied').length,
-        occupancyRate: beds.length > 0 ? Math.round((beds.filter(b => b.status === 'occupied').length / beds.length) * 100) : 0,
-      }
-    : departmentStats.find(d => d.id === selectedDepartment) || { totalBeds: 0, availableBeds: 0, occupiedBeds: 0, occupancyRate: 0 };
-
-  // Critical departments
-  const criticalDepartments = departmentStats.filter(d => d.critical);
-
-  if (isLoadingBeds) {
-    return <LoadingState count={6} type="grid" />;
-  }
+  const { series, chartData, isLoading, error } = useOccupancyTrend({
+    from,
+    to,
+    granularity,
+    departments,
+    departmentId: selectedDepartment,
+  });
+  const { stayStatistics, isLoadingStayStatistics } = useStayStatistics({ from, to });
+
+  // Summary for the selected scope
+  const summary = useMemo(() => ({
+    ...summarizeSeries(series, period => (selectedDepartment === 'all'
+      ? period.total
+      : period.departments[selectedDepartment])),
+    ...(selectedDepartment === 'all'
+      ? stayStatistics?.total
+      : stayStatistics?.departments[selectedDepartment]),
+  }), [series, stayStatistics, selectedDepartment]);
+
+  // Per-department breakdown
+  const departmentRows = useMemo(() => departments
+    .filter(dept => selectedDepartment === 'all' || dept.id === selectedDepartment)
+    .map(dept => ({
+      ...dept,
+      ...summarizeSeries(series, period => period.departments[dept.id]),
+      ...stayStatistics?.departments[dept.id],
+    })), [departments, series, stayStatistics, selectedDepartment]);
+
+  const isHourly = granularity === OCCUPANCY_GRANULARITY.HOUR;
+  const formatPeak = (row) => (row.peakPeriod
+    ? `${row.peakRate}% (${formatDate(row.peakPeriod, isHourly ? 'MMM d, HH:00' : 'MMM d')})`
+    : `${row.peakRate}%`);
+  const isLoadingSummary = isLoading || isLoadingStayStatistics;
+  const formatLengthOfStay = (row) => (row.average_length_of_stay_days !== undefined
+    ? `${row.average_length_of_stay_days} days`
+    : '-');
+
+  // Export mirrors the on-screen filters, KPIs and breakdown
+  const buildReport = () => {
+    const scopeName = selectedDepartment === 'all'
+      ? 'All Departments'
+      : departments.find(dept => dept.id === selectedDepartment)?.name || selectedDepartment;
+
+    return {
+      title: 'Occupancy Report',
+      subtitle: 'Historical bed occupancy by department',
+      filters: [
+        { label: 'Date range', value: `${formatDate(from)} - ${formatDate(to)}` },
+        { label: 'Granularity', value: isHourly ? 'Hourly' : 'Daily' },
+        { label: 'Department', value: scopeName },
+      ],
+      kpis: [
+        { label: 'Average Length of Stay', value: formatLengthOfStay(summary) },
+        { label: 'Bed Turnover (discharges per bed)', value: summary.turnover_rate ?? 0 },
+        { label: 'Bed-Days', value: summary.bedDays },
+        { label: 'Average Occupancy', value: `${summary.averageRate}%` },
+        { label: 'Peak Occupancy', value: formatPeak(summary) },
+        { label: 'Discharges', value: summary.discharges },
+      ],
+      tables: [
+        {
+          title: 'Department Breakdown',
+          rows: departmentRows,
+          columns: [
+            { header: 'Department', value: row => row.name },
+            { header: 'Beds', value: row => row.total_beds ?? '-' },
+            { header: 'Bed-Days', value: row => row.bedDays },
+            { header: 'Average Occupancy (%)', value: row => row.averageRate },
+            { header: 'Peak Occupancy', value: formatPeak },
+            { header: 'Discharges', value: row => row.discharges },
+            { header: 'Avg. Length of Stay', value: formatLengthOfStay },
+            { header: 'Turnover', value: row => row.turnover_rate ?? '-' },
+          ],
+        },
+        {
+          title: `Occupancy by ${isHourly ? 'Hour' : 'Day'} (${scopeName})`,
+          rows: series.map(period => ({
+            period,
+            figures: selectedDepartment === 'all' ? period.total : period.departments[selectedDepartment],
+          })),
+          columns: [
+            {
+              header: isHourly ? 'Hour' : 'Date',
+              value: ({ period }) => formatDate(period.period_start, isHourly ? 'yyyy-MM-dd HH:00' : 'yyyy-MM-dd'),
+            },
+            { header: 'Occupancy (%)', value: ({ figures }) => figures?.occupancy_rate ?? 0 },
+            { header: 'Peak Occupancy (%)', value: ({ figures }) => figures?.peak_occupancy_rate ?? 0 },
+            { header: 'Admissions', value: ({ figures }) => figures?.admissions ?? 0 },
+            { header: 'Discharges', value: ({ figures }) => figures?.discharges ?? 0 },
+          ],
+        },
+      ],
+    };
+  };
 
   return (
-    <div className="department-load-report-page">
-      <div className="page-header">
-        <h1 className="page-title">Department Load Report</h1>
-        <p className="page-subtitle">Real-time occupancy and patient load across departments</p>
+    <div className="occupancyReportPage">
+      <ReportNav />
+
+      <div className="pageHeader">
+        <h1 className="pageTitle">Occupancy Report</h1>
+        <p className="pageSubtitle">Historical bed occupancy by department</p>
       </div>
 
-      {/* Department Selector */}
-      <Card className="selector-card">
-        <h2 className="section-title">Select Department</h2>
-        <select
-          className="department-selector"
-          value={selectedDepartment}
-          onChange={(e) => setSelectedDepartment(e.target.value)}
-        >
-          <option value="all">All Departments</option>
-          {departments.map(dept => (
-            <option key={dept.id} value={dept.id}>
-              {dept.name}
-            </option>
-          ))}
-        </select>
+      {/* Filters */}
+      <Card className="filterCard">
+        <div className="filterGrid">
+          <div className="filterField">
+            <Label htmlFor="occupancy-from">From</Label>
+            <Input
+              id="occupancy-from"
+              max={to}
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+            />
+          </div>
+          <div className="filterField">
+            <Label htmlFor="occupancy-to">To</Label>
+            <Input
+              id="occupancy-to"
+              min={from}
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+            />
+          </div>
+          <div className="filterField">
+            <Label htmlFor="occupancy-granularity">Granularity</Label>
+            <Select
+              id="occupancy-granularity"
+              value={granularity}
+              onChange={(e) => setGranularity(e.target.value)}
+            >
+              <option value={OCCUPANCY_GRANULARITY.DAY}>Daily</option>
+              <option value={OCCUPANCY_GRANULARITY.HOUR}>Hourly</option>
+            </Select>
+          </div>
+          <div className="filterField">
+            <Label htmlFor="occupancy-department">Department</Label>
+            <Select
+              id="occupancy-department"
+              value={selectedDepartment}
+              onChange={(e) => setSelectedDepartment(e.target.value)}
+            >
+              <option value="all">All Departments</option>
+              {departments.map(dept => (
+                <option key={dept.id} value={dept.id}>
+                  {dept.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+        </div>
       </Card>
 
-      {/* Overall Stats */}
-      <div className="stats-grid">
-        <Card className="stat-card total">
-          <Building2 className="stat-icon" />
-          <div className="stat-content">
-            <p className="stat-label">Total Beds</p>
-            <p className="stat-value">{selectedStats.totalBeds}</p>
+      {/* Summary Stats */}
+      <div className="statsGrid">
+        <Card className="statCard">
+          <Clock className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Average Length of Stay</p>
+            <p className="statValue">
+              {isLoadingSummary ? '-' : `${summary.average_length_of_stay_days ?? 0} days`}
+            </p>
           </div>
         </Card>
 
-        <Card className="stat-card available">
-          <BedDouble className="stat-icon success" />
-          <div className="stat-content">
-            <p className="stat-label">Available</p>
-            <p className="stat-value">{selectedStats.availableBeds}</p>
+        <Card className="statCard">
+          <RefreshCw className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Bed Turnover</p>
+            <p className="statValue">{isLoadingSummary ? '-' : summary.turnover_rate ?? 0}</p>
+            <p className="statHint">discharges per bed</p>
           </div>
         </Card>
 
-        <Card className="stat-card occupied">
-          <Users className="stat-icon" />
-          <div className="stat-content">
-            <p className="stat-label">Occupied</p>
-            <p className="stat-value">{selectedStats.occupiedBeds}</p>
+        <Card className="statCard">
+          <BedDouble className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Bed-Days</p>
+            <p className="statValue">{isLoadingSummary ? '-' : summary.bedDays}</p>
+            <p className="statHint">average occupancy {summary.averageRate}%</p>
           </div>
         </Card>
 
-        <Card className="stat-card occupancy">
-          <TrendingUp className="stat-icon" />
-          <div className="stat-content">
-            <p className="stat-label">Occupancy Rate</p>
-            <p className="stat-value">{selectedStats.occupancyRate}%</p>
-            <Progress value={selectedStats.occupancyRate} />
+        <Card className="statCard">
+          <TrendingUp className="statIcon" />
+          <div className="statContent">
+            <p className="statLabel">Peak Occupancy</p>
+            <p className="statValue">{isLoadingSummary ? '-' : `${summary.peakRate}%`}</p>
+            {summary.peakPeriod && (
+              <p className="statHint">
+                {summary.peakOccupied} beds on {formatDate(summary.peakPeriod, isHourly ? 'MMM d, HH:00' : 'MMM d')}
+              </p>
+            )}
           </div>
         </Card>
       </div>
 
-      {/* Critical Departments Alert */}
-      {criticalDepartments.length > 0 && (
-        <Card className="critical-alert">
-          <h2 className="section-title">
-            <AlertTriangle className="mr-2" />
-            Critical Departments (90%+ Occupied)
-          </h2>
-          <div className="critical-list">
-            {criticalDepartments.map(dept => (
-              <div className="critical-item" key={dept.id}>
-                <span className="dept-name">{dept.name}</span>
-                <Badge variant="destructive">
-                  {dept.occupancyRate}% Occupied
-                </Badge>
-              </div>
+      {/* Trend Chart */}
+      <OccupancyChart
+        chartType={isHourly ? 'line' : 'area'}
+        data={chartData}
+        error={error}
+        isLoading={isLoading}
+        timeRange={isHourly ? 'hourly' : 'daily'}
+      />
+
+      {/* Department Breakdown */}
+      <Card className="tableCard">
+        <h2 className="sectionTitle">Department Breakdown</h2>
+        <Table className="table">
+          <TableHeader>
+            <TableRow>
+              <TableHead>Department</TableHead>
+              <TableHead>Beds</TableHead>
+              <TableHead>Bed-Days</TableHead>
+              <TableHead>Average Occupancy</TableHead>
+              <TableHead>Peak Occupancy</TableHead>
+              <TableHead>Discharges</TableHead>
+              <TableHead>Avg. Length of Stay</TableHead>
+              <TableHead>Turnover</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {departmentRows.map(row => (
+              <TableRow key={row.id}>
+                <TableCell>{row.name}</TableCell>
+                <TableCell>{row.total_beds ?? '-'}</TableCell>
+                <TableCell>{row.bedDays}</TableCell>
+                <TableCell>{row.averageRate}%</TableCell>
+                <TableCell>{formatPeak(row)}</TableCell>
+                <TableCell>{row.discharges}</TableCell>
+                <TableCell>{formatLengthOfStay(row)}</TableCell>
+                <TableCell>{row.turnover_rate ?? '-'}</TableCell>
+              </TableRow>
             ))}
-          </div>
-        </Card>
-      )}
-
-      {/* Department Details */}
-      {selectedDepartment !== 'all' && (
-        <Card className="detail-card">
-          <h2 className="section-title">Department Details</h2>
-          <div className="detail-stats">
-            <div className="detail-item">
-              <span className="label">Total Beds</span>
-              <span className="value">{selectedStats.totalBeds}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Available</span>
-              <span className="value">{selectedStats.availableBeds}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Occupied</span>
-              <span className="value">{selectedStats.occupiedBeds}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Maintenance</span>
-              <span className="value">{selectedStats.maintenanceBeds}</span>
-            </div>
-          </div>
-        </Card>
-      )}
-
-      {/* Export Button */}
-      <div className="export-section">
-        <Button size="lg">
-          <Download className="mr-2" />
-          Export Report (PDF/CSV)
-        </Button>
+          </TableBody>
+        </Table>
+      </Card>
+
+      {/* Export */}
+      <div className="exportSection">
+        <ExportButtons className="justify-center" disabled={isLoadingSummary} getReport={buildReport} size="lg" />
       </div>
     </div>
   );
 };
 
-export default DepartmentLoadReportPage;
\ No newline at end of file
+export default OccupancyReportPage;
@@ -16,9 +16,10 @@
  */
 
 import { Suspense, lazy } from 'react';
-import { Routes, Route } from 'react-router-dom';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import LoadingState from '@components/common/LoadingState';
 import ProtectedRoute from './ProtectedRoute';
+import AdminRoute from './AdminRoute';
 
 // Lazy load pages for performance
 const LoginPage = lazy(() => import('@pages/auth/LoginPage'));
@@ -32,7 +33,17 @@ const ReceptionDashboard = lazy(() => import('@pages/dashboards/ReceptionDashboa
 const BedManagementPage = lazy(() => import('@pages/beds/BedManagementPage'));
 const PatientListPage = lazy(() => import('@pages/patients/PatientListPage'));
 const PatientDetailPage = lazy(() => import('@pages/patients/PatientDetailPage'));
+const DischargeSummaryPage = lazy(() => import('@pages/patients/DischargeSummaryPage'));
 const AppointmentManagementPage = lazy(() => import('@pages/appointments/AppointmentManagementPage'));
+const AppointmentCalendarPage = lazy(() => import('@pages/appointments/AppointmentCalendarPage'));
+const OccupancyReportPage = lazy(() => import('@pages/reports/OccupancyReportPage'));
+const DepartmentLoadReportPage = lazy(() => import('@pages/reports/DepartmentLoadReportPage'));
+const MedicationUsageReportPage = lazy(() => import('@pages/reports/MedicationUsageReportPage'));
+const WaitTimeReportPage = lazy(() => import('@pages/reports/WaitTimeReportPage'));
+const NoShowReportPage = lazy(() => import('@pages/reports/NoShowReportPage'));
+const PharmacyStockPage = lazy(() => import('@pages/pharmacy/PharmacyStockPage'));
+const PrescriptionManagementPage = lazy(() => import('@pages/prescriptions/PrescriptionManagementPage'));
+const PrescriptionPrintPage = lazy(() => import('@pages/prescriptions/PrescriptionPrintPage'));
 const AccessDeniedPage = lazy(() => import('@pages/errors/AccessDeniedPage'));
 const NotFoundPage = lazy(() => import('@pages/errors/NotFoundPage'));
 
@@ -66,8 +77,22 @@ const AppRouter = () => (
         
         <Route element={<PatientListPage />} path="/patients" />
         <Route element={<PatientDetailPage />} path="/patients/:id" />
+        <Route element={<DischargeSummaryPage />} path="/patients/:id/discharges/:assignmentId" />
         
         <Route element={<AppointmentManagementPage />} path="/appointments" />
+        <Route element={<AppointmentCalendarPage />} path="/appointments/calendar" />
+
+        <Route element={<PharmacyStockPage />} path="/pharmacy" />
+        <Route element={<PrescriptionManagementPage />} path="/prescriptions" />
+        <Route element={<PrescriptionPrintPage />} path="/prescriptions/print" />
+
+        {/* Reports - admin only */}
+        <Route element={<Navigate replace to="/reports/occupancy" />} path="/reports" />
+        <Route element={<AdminRoute><OccupancyReportPage /></AdminRoute>} path="/reports/occupancy" />
+        <Route element={<AdminRoute><DepartmentLoadReportPage /></AdminRoute>} path="/reports/department-load" />
+        <Route element={<AdminRoute><MedicationUsageReportPage /></AdminRoute>} path="/reports/medications" />
+        <Route element={<AdminRoute><WaitTimeReportPage /></AdminRoute>} path="/reports/wait-times" />
+        <Route element={<AdminRoute><NoShowReportPage /></AdminRoute>} path="/reports/no-shows" />
       </Route>
 
       {/* 404 fallback */}
@@ -27,6 +27,13 @@ export const getAll = appointmentFirebase.getAll;
  */
 export const getById = appointmentFirebase.getById;
 
+/**
+ * Get scheduled appointments that plan an admission, within a date range
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Array>} planned admissions with admit_to_department_id
+ */
+export const getScheduledAdmissions = appointmentFirebase.getScheduledAdmissions;
+
 /**
  * Create new appointment
  * @param {Object} data - appointment payload
@@ -35,9 +42,9 @@ export const getById = appointmentFirebase.getById;
 export const create = appointmentFirebase.create;
 
 /**
- * Update existing appointment
+ * Update existing appointment (status changes go through updateStatus)
  * @param {string|number} id
- * @param {Object} data - updated fields
+ * @param {Object} data - updated fields; `status` is ignored
  * @returns {Promise<Object>} updated appointment
  */
 export const update = appointmentFirebase.update;
@@ -50,21 +57,110 @@ export const update = appointmentFirebase.update;
 export const cancel = appointmentFirebase.cancel;
 
 /**
- * Update appointment status (complete, no-show, etc.)
+ * Update appointment status (check-in, call in, complete, no-show, etc.)
  * @param {string|number} id
- * @param {string} status - 'completed', 'no_show', etc.
- * @returns {Promise<Object>}
+ * @param {string} status - 'checked_in', 'in_progress', 'completed', 'no_show', etc.
+ * @param {Object} options - { updatedBy, reason }
+ * @returns {Promise<Object>} { id, status }
  */
 export const updateStatus = appointmentFirebase.updateStatus;
 
+/**
+ * Call the next checked-in patient in a doctor's queue into consultation
+ * @param {string} doctorId
+ * @param {Object} options - { calledBy }
+ * @returns {Promise<Object>} called appointment
+ */
+export const callNextPatient = appointmentFirebase.callNextPatient;
+
+/**
+ * Admit the patient from an appointment: completes the visit and adds the
+ * patient to the bed waitlist for the target department
+ * @param {string} id - appointment ID
+ * @param {Object} data - { diagnosis, department_id?, priority?, isolation?, notes?, admitted_by? }
+ * @returns {Promise<Object>} { appointment, bed_request, patient }
+ */
+export const admitPatient = appointmentFirebase.admitPatient;
+
+/**
+ * Get check-in, call-in and completion times of visits within a date range
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Array>} visits where the patient was called in
+ */
+export const getVisitTimes = appointmentFirebase.getVisitTimes;
+
+/**
+ * Mark scheduled appointments past their grace period without a check-in as no-shows
+ * @param {Object} options - { graceMinutes } (default APPOINTMENT_NO_SHOW_GRACE_MINUTES)
+ * @returns {Promise<number>} number of appointments marked
+ */
+export const markNoShows = appointmentFirebase.markNoShows;
+
+/**
+ * Get the status of appointments within a date range (no-show report)
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Array>} { id, patient_id, doctor_user_id, appointment_date, status, status_source }
+ */
+export const getAppointmentOutcomes = appointmentFirebase.getAppointmentOutcomes;
+
+/**
+ * Create a recurring appointment series (every occurrence is conflict-checked)
+ * @param {Object} data - appointment payload plus recurrence ({ frequency, interval?, count? | until? })
+ * @returns {Promise<Object>} created series with its appointments
+ */
+export const createSeries = appointmentFirebase.createSeries;
+
+/**
+ * Get a series with its occurrences
+ * @param {string} seriesId
+ * @returns {Promise<Object>} series
+ */
+export const getSeries = appointmentFirebase.getSeries;
+
+/**
+ * Update one occurrence, this and following, or the whole series
+ * @param {string|number} id - occurrence being edited
+ * @param {Object} data - updated fields
+ * @param {string} scope - 'occurrence', 'following' or 'series'
+ * @returns {Promise<Object>} { series_id, updated }
+ */
+export const updateSeries = appointmentFirebase.updateSeries;
+
+/**
+ * Cancel one occurrence, this and following, or the whole series
+ * @param {string|number} id - occurrence being cancelled
+ * @param {string} scope - 'occurrence', 'following' or 'series'
+ * @returns {Promise<Object>} { series_id, cancelled }
+ */
+export const cancelSeries = appointmentFirebase.cancelSeries;
+
+/**
+ * Subscribe to real-time appointment updates
+ * @param {Function} callback - called with transformed appointments on every change
+ * @param {Object} params - optional filters { patientId, doctorId, status }
+ * @returns {Function} unsubscribe function
+ */
+export const subscribeToAppointments = appointmentFirebase.subscribeToAppointments;
+
 // Export as default object
 export const appointmentApi = {
   getAll,
   getById,
+  getScheduledAdmissions,
   create,
   update,
   cancel,
   updateStatus,
+  callNextPatient,
+  admitPatient,
+  getVisitTimes,
+  markNoShows,
+  getAppointmentOutcomes,
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries,
+  subscribeToAppointments,
 };
 
 export default appointmentApi;
\ No newline at end of file
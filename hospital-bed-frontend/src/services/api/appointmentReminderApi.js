@@ -0,0 +1,45 @@
+// src/services/api/appointmentReminderApi.js
+/**
+ * appointmentReminderApi Service
+ *
+ * API client for appointment reminders (doctor notifications and patient
+ * messages ahead of an appointment). Uses Firebase Firestore.
+ *
+ * Features:
+ * - Re-plan or cancel an appointment's reminders
+ * - Periodic dispatch of due reminders
+ * - Compatible with useAppointmentManagement hook
+ */
+
+import appointmentReminderFirebase from '../firebase/appointmentReminderFirebase';
+
+/**
+ * Bring an appointment's reminders in line with its time and status
+ * (appointment writes already do this)
+ * @param {string} appointmentId
+ * @returns {Promise<Object>} { scheduled, cancelled }
+ */
+export const syncReminders = appointmentReminderFirebase.syncReminders;
+
+/**
+ * Cancel every pending reminder of an appointment
+ * @param {string} appointmentId
+ * @returns {Promise<number>} number of reminders cancelled
+ */
+export const cancelReminders = appointmentReminderFirebase.cancelReminders;
+
+/**
+ * Send every pending reminder that fell due within the last day
+ * (client-driven: runs only while a client calls it)
+ * @returns {Promise<Object>} { sent, logged, failed, skipped }
+ */
+export const dispatchDueReminders = appointmentReminderFirebase.dispatchDueReminders;
+
+// Export as named object and default
+export const appointmentReminderApi = {
+  syncReminders,
+  cancelReminders,
+  dispatchDueReminders,
+};
+
+export default appointmentReminderApi;
@@ -27,23 +27,40 @@ export const getAll = bedFirebase.getAll;
 export const getDepartments = bedFirebase.getDepartments;
 
 /**
- * Assign bed to patient
- * @param {Object} payload - { bed_id, patient_id, assigned_by }
+ * Assign bed to patient (atomic)
+ * @param {Object} payload - { bed_id, patient_id, assigned_by, notes?, expected_discharge_at? }
  * @returns {Promise<Object>} assignment record
+ * @throws {BedAssignmentConflictError} If the bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
  */
 export const assign = bedFirebase.assign;
 
 /**
- * Discharge patient from bed
+ * Transfer patient to another bed (atomic)
+ * @param {string|number} patientId
+ * @param {string|number} toBedId
+ * @param {string} reason - required
+ * @param {Object} options - optional { transferredBy? }
+ * @returns {Promise<Object>} new assignment record
+ * @throws {BedAssignmentConflictError} If the target bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const transfer = bedFirebase.transfer;
+
+/**
+ * Discharge patient from bed (atomic)
  * @param {string|number} bedId
+ * @param {Object} options - optional { dischargedBy?, notes?, disposition?, destination?, follow_up?, summary? }
  * @returns {Promise<Object>} discharge record
+ * @throws {BedAssignmentConflictError} If the bed was discharged concurrently
  */
 export const discharge = bedFirebase.discharge;
 
 /**
- * Update bed status (maintenance, cleaning, etc.)
+ * Update bed status (cleaning sign-off, maintenance, blocked)
  * @param {string|number} bedId
- * @param {string} status - 'available', 'maintenance', 'cleaning'
+ * @param {string} status - 'available', 'cleaning', 'maintenance', 'blocked'
+ * @param {Object} options - { reason?, updatedBy? } - reason required for maintenance/blocked
  * @returns {Promise<Object>}
  */
 export const updateStatus = bedFirebase.updateStatus;
@@ -55,6 +72,7 @@ export const bedApi = {
   getAll,
   getDepartments,
   assign,
+  transfer,
   discharge,
   updateStatus,
   subscribeToBeds, 
@@ -12,11 +12,14 @@
  */
 
 import bedAssignmentFirebase from '../firebase/bedAssignmentFirebase';
+import { isBedAssignmentConflict, isBedConstraintError } from '../firebase/bedAssignmentValidation';
 
 /**
- * Assign patient to bed
- * @param {Object} payload - { bed_id, patient_id, assigned_by?, notes? }
+ * Assign patient to bed (atomic - assignment and bed update commit together)
+ * @param {Object} payload - { bed_id, patient_id, assigned_by?, notes?, expected_discharge_at? }
  * @returns {Promise<Object>} assignment record
+ * @throws {BedAssignmentConflictError} If the bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
  */
 export const assignPatient = async (payload) => {
   if (!payload.bed_id || !payload.patient_id) {
@@ -26,31 +29,72 @@ export const assignPatient = async (payload) => {
   try {
     return await bedAssignmentFirebase.create(payload);
   } catch (error) {
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
     throw new Error(error.message || 'Failed to assign patient to bed');
   }
 };
 
 /**
- * Discharge patient from bed
+ * Transfer patient to another bed (atomic - old assignment closed as "transferred", new one opened)
+ * @param {string|number} patientId
+ * @param {string|number} toBedId
+ * @param {string} reason - required
+ * @param {Object} payload - optional { transferred_by? }
+ * @returns {Promise<Object>} new assignment record
+ * @throws {BedAssignmentConflictError} If the target bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const transferPatient = async (patientId, toBedId, reason, payload = {}) => {
+  if (!patientId || !toBedId) {
+    throw new Error('Patient ID and target Bed ID are required');
+  }
+  if (!reason?.trim()) throw new Error('Transfer reason is required');
+
+  try {
+    return await bedAssignmentFirebase.transfer(patientId, toBedId, reason, payload);
+  } catch (error) {
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
+    throw new Error(error.message || 'Failed to transfer patient');
+  }
+};
+
+/**
+ * Discharge patient from bed (atomic - assignment, bed and patient commit together)
  * @param {string|number} assignmentId - bed assignment record ID
- * @param {Object} payload - optional { discharged_by?, notes? }
+ * @param {Object} payload - optional { discharged_by?, notes?, disposition?, destination?, follow_up?, summary? }
  * @returns {Promise<Object>} discharge record
+ * @throws {BedAssignmentConflictError} If the assignment was already discharged
  */
 export const dischargePatient = async (assignmentId, payload = {}) => {
   if (!assignmentId) throw new Error('Assignment ID is required');
   
   try {
-    return await bedAssignmentFirebase.update(assignmentId, {
-      status: 'discharged',
-      discharged_by: payload.discharged_by || 'system',
-      discharged_at: new Date().toISOString(),
-      notes: payload.notes || '',
-    });
+    return await bedAssignmentFirebase.discharge(assignmentId, payload);
   } catch (error) {
+    if (isBedAssignmentConflict(error)) throw error;
     throw new Error(error.message || 'Failed to discharge patient');
   }
 };
 
+/**
+ * Set or clear the expected discharge date of an active assignment
+ * @param {string|number} assignmentId - bed assignment record ID
+ * @param {string|null} expectedDischargeAt - ISO date; empty clears the estimate
+ * @param {Object} payload - optional { updated_by? }
+ * @returns {Promise<Object>} { assignmentId, bedId, expectedDischargeAt }
+ * @throws {BedAssignmentConflictError} If the patient already left the bed
+ */
+export const setExpectedDischarge = async (assignmentId, expectedDischargeAt, payload = {}) => {
+  if (!assignmentId) throw new Error('Assignment ID is required');
+
+  try {
+    return await bedAssignmentFirebase.setExpectedDischarge(assignmentId, expectedDischargeAt, payload);
+  } catch (error) {
+    if (isBedAssignmentConflict(error)) throw error;
+    throw new Error(error.message || 'Failed to update expected discharge');
+  }
+};
+
 /**
  * Get assignment history for a patient
  * @param {string|number} patientId
@@ -75,7 +119,7 @@ export const getCurrentByBed = async (bedId) => {
   
   try {
     const history = await bedAssignmentFirebase.getHistoryByBedId(bedId);
-    const activeAssignment = history.find(assignment => assignment.status === 'active');
+    const activeAssignment = history.find(assignment => !assignment.dischargedAt);
     return activeAssignment || null;
   } catch (error) {
     throw new Error(error.message || 'Failed to fetch current assignment');
@@ -85,7 +129,9 @@ export const getCurrentByBed = async (bedId) => {
 // Export as named object and default
 export const bedAssignmentApi = {
   assignPatient,
+  transferPatient,
   dischargePatient,
+  setExpectedDischarge,
   getHistoryByPatient,
   getHistoryByBed,
   getCurrentByBed,
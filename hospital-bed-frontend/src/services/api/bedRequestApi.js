@@ -0,0 +1,61 @@
+// src/services/api/bedRequestApi.js
+/**
+ * bedRequestApi Service
+ *
+ * API client for the admission waitlist (patients waiting for a bed).
+ * Uses Firebase Firestore.
+ *
+ * Features:
+ * - Queue ordered by acuity then waiting time
+ * - Create / cancel / fulfil requests
+ * - Live queue subscription
+ * - Compatible with useBedRequests hook
+ */
+
+import bedRequestFirebase from '../firebase/bedRequestFirebase';
+
+/**
+ * Get the waiting queue
+ * @param {Object} params - optional filters (departmentId)
+ * @returns {Promise<Array>} waiting requests, highest acuity first
+ */
+export const getQueue = bedRequestFirebase.getQueue;
+
+/**
+ * Add a patient to the waitlist
+ * @param {Object} data - { patient_id, department_id, priority?, isolation?, notes?, requested_by?,
+ *   admitting_doctor_id?, diagnosis?, appointment_id? }
+ * @returns {Promise<Object>} created request
+ */
+export const create = bedRequestFirebase.create;
+
+/**
+ * Remove a request from the waitlist
+ * @param {string} id
+ * @param {Object} options - { reason?, cancelledBy? }
+ * @returns {Promise<Object>}
+ */
+export const cancel = bedRequestFirebase.cancel;
+
+/**
+ * Assign a bed to a waiting request (atomic bed assignment)
+ * @param {string} id - request ID
+ * @param {Object} data - { bed_id, assigned_by?, notes?, expected_discharge_at? }
+ * @returns {Promise<Object>} assignment record
+ * @throws {BedAssignmentConflictError} If the bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const fulfill = bedRequestFirebase.fulfill;
+
+export const subscribeToQueue = bedRequestFirebase.subscribeToQueue;
+
+// Export as named object and default
+export const bedRequestApi = {
+  getQueue,
+  create,
+  cancel,
+  fulfill,
+  subscribeToQueue,
+};
+
+export default bedRequestApi;
@@ -0,0 +1,53 @@
+// src/services/api/bedReservationApi.js
+/**
+ * bedReservationApi Service
+ *
+ * API client for bed holds on incoming admissions (ER, OR, transfers in).
+ * Uses Firebase Firestore.
+ *
+ * Features:
+ * - Reserve / release beds
+ * - Automatic release of expired holds
+ * - Compatible with useBedManagement hook
+ */
+
+import bedReservationFirebase from '../firebase/bedReservationFirebase';
+
+/**
+ * Get active reservations
+ * @param {Object} params - optional filters (bedId, patientId)
+ * @returns {Promise<Array>} reservations
+ */
+export const getActive = bedReservationFirebase.getActive;
+
+/**
+ * Reserve a bed (atomic - bed moves to reserved with the hold)
+ * @param {Object} payload - { bed_id, patient_id? | patient_name?, expires_at, source?, notes?, reserved_by? }
+ * @returns {Promise<Object>} created reservation
+ * @throws {BedAssignmentConflictError} If the bed was taken or held concurrently
+ */
+export const reserve = bedReservationFirebase.reserve;
+
+/**
+ * Release a reservation early (bed returns to available)
+ * @param {string} reservationId
+ * @param {Object} options - { releasedBy?, reason? }
+ * @returns {Promise<Object>}
+ */
+export const release = bedReservationFirebase.release;
+
+/**
+ * Release every hold past its expiry
+ * @returns {Promise<number>} number of holds released
+ */
+export const releaseExpired = bedReservationFirebase.releaseExpired;
+
+// Export as named object and default
+export const bedReservationApi = {
+  getActive,
+  reserve,
+  release,
+  releaseExpired,
+};
+
+export default bedReservationApi;
@@ -0,0 +1,37 @@
+// src/services/api/dischargeApi.js
+/**
+ * dischargeApi Service
+ *
+ * API client for discharge records and printable discharge summaries.
+ * Discharging itself goes through bedApi.discharge / bedAssignmentApi.dischargePatient.
+ * Uses Firebase Firestore.
+ *
+ * Features:
+ * - Discharge history per patient
+ * - Full discharge summary document
+ * - Compatible with PatientDetailPage and DischargeSummaryPage
+ */
+
+import dischargeFirebase from '../firebase/dischargeFirebase';
+
+/**
+ * Get a patient's discharges, most recent first
+ * @param {string} patientId
+ * @returns {Promise<Array>} discharges
+ */
+export const getByPatient = dischargeFirebase.getByPatient;
+
+/**
+ * Get the discharge summary for one stay
+ * @param {string} assignmentId - discharged bed assignment ID
+ * @returns {Promise<Object>} summary with patient, bed, department, disposition and follow-up
+ */
+export const getSummary = dischargeFirebase.getSummary;
+
+// Export as named object and default
+export const dischargeApi = {
+  getByPatient,
+  getSummary,
+};
+
+export default dischargeApi;
@@ -0,0 +1,64 @@
+// src/services/api/doctorScheduleApi.js
+/**
+ * doctorScheduleApi Service
+ *
+ * API client for doctor availability (working hours, slot length, blocked time).
+ * Uses Firebase Firestore.
+ *
+ * Features:
+ * - Weekly working hours and appointment slot length per doctor
+ * - Blocked time for leave, surgery, meetings
+ * - Free/taken slots for a doctor on a given day
+ * - Compatible with AppointmentForm and DoctorScheduleDialog
+ */
+
+import doctorScheduleFirebase from '../firebase/doctorScheduleFirebase';
+
+/**
+ * Get a doctor's schedule (default schedule when none is stored)
+ * @param {string} doctorId
+ * @returns {Promise<Object>} schedule
+ */
+export const getSchedule = doctorScheduleFirebase.getSchedule;
+
+/**
+ * Update working hours and/or slot length
+ * @param {string} doctorId
+ * @param {Object} data - { working_hours, slot_minutes, updated_by }
+ * @returns {Promise<Object>} updated schedule
+ */
+export const updateSchedule = doctorScheduleFirebase.updateSchedule;
+
+/**
+ * Block time off (leave, surgery, ...)
+ * @param {string} doctorId
+ * @param {Object} data - { start, end, reason, note, created_by }
+ * @returns {Promise<Object>} updated schedule
+ */
+export const addBlockedTime = doctorScheduleFirebase.addBlockedTime;
+
+/**
+ * Remove blocked time
+ * @param {string} doctorId
+ * @param {string} blockedTimeId
+ * @returns {Promise<Object>} updated schedule
+ */
+export const removeBlockedTime = doctorScheduleFirebase.removeBlockedTime;
+
+/**
+ * Get a doctor's slots on a day, each marked free or taken
+ * @param {Object} params - { doctorId, date, durationMinutes?, excludeAppointmentId? }
+ * @returns {Promise<Array>} [{ start, end, available, conflicts }]
+ */
+export const getAvailableSlots = doctorScheduleFirebase.getAvailableSlots;
+
+// Export as named object and default
+export const doctorScheduleApi = {
+  getSchedule,
+  updateSchedule,
+  addBlockedTime,
+  removeBlockedTime,
+  getAvailableSlots,
+};
+
+export default doctorScheduleApi;
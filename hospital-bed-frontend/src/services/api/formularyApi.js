@@ -0,0 +1,72 @@
+// src/services/api/formularyApi.js
+/**
+ * formularyApi Service
+ *
+ * API client for the medication formulary and per-department pharmacy stock.
+ * Uses Firebase Firestore.
+ *
+ * Features:
+ * - Formulary items with brand names, strengths, routes, forms and default frequencies
+ * - Add, update and withdraw formulary items
+ * - Stock levels per department, set by stock counts and deliveries
+ *   (dispensing takes stock down, see prescriptionApi.dispense)
+ * - Compatible with useFormulary hook
+ */
+
+import formularyFirebase from '../firebase/formularyFirebase';
+
+/**
+ * Get the formulary
+ * @param {Object} params - { includeInactive? }
+ * @returns {Promise<Array>} formulary items by generic name
+ */
+export const getAll = formularyFirebase.getAll;
+
+/**
+ * Get formulary item by ID
+ * @param {string} id
+ * @returns {Promise<Object>} formulary item
+ */
+export const getById = formularyFirebase.getById;
+
+/**
+ * Add a medication to the formulary
+ * @param {Object} data - { generic_name, brand_names?, strengths: [{ amount, unit }], routes, forms,
+ *   default_frequencies? }
+ * @returns {Promise<Object>} created formulary item
+ */
+export const create = formularyFirebase.create;
+
+/**
+ * Update a formulary item (active: false withdraws it from prescribing)
+ * @param {string} id
+ * @param {Object} data - fields to change
+ * @returns {Promise<Object>} updated formulary item
+ */
+export const update = formularyFirebase.update;
+
+/**
+ * Get stock levels
+ * @param {Object} params - { departmentId?, formularyId? }
+ * @returns {Promise<Array>} stock entries { department_id, formulary_id, quantity, reorder_level, status }
+ */
+export const getStock = formularyFirebase.getStock;
+
+/**
+ * Set a department's stock level for an item
+ * @param {Object} data - { department_id, formulary_id, quantity, reorder_level?, updated_by? }
+ * @returns {Promise<Object>} stock entry
+ */
+export const setStock = formularyFirebase.setStock;
+
+// Export as named object and default
+export const formularyApi = {
+  getAll,
+  getById,
+  create,
+  update,
+  getStock,
+  setStock,
+};
+
+export default formularyApi;
@@ -0,0 +1,55 @@
+// src/services/api/medicationAdministrationApi.js
+/**
+ * medicationAdministrationApi Service
+ *
+ * API client for the medication administration record (MAR): scheduled
+ * doses and what nurses recorded for them. Uses Firebase Firestore.
+ *
+ * Features:
+ * - Patient MAR for a date range
+ * - Record a dose as given, held, refused or missed
+ * - Doses due in the next hour across a ward
+ * - Periodic overdue dose notifications
+ * - Compatible with useMedicationAdministration hook
+ */
+
+import medicationAdministrationFirebase from '../firebase/medicationAdministrationFirebase';
+
+/**
+ * Patient MAR for a time range
+ * @param {string} patientId
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Array>} rows { prescription, scheduled, doses }
+ */
+export const getPatientMar = medicationAdministrationFirebase.getPatientMar;
+
+/**
+ * Record what happened to a dose
+ * @param {Object} data - { prescription_id, scheduled_at?, status, administered_at?, initials,
+ *   reason?, recorded_by, recorded_by_name }
+ * @returns {Promise<Object>} recorded administration
+ */
+export const recordDose = medicationAdministrationFirebase.recordDose;
+
+/**
+ * Doses due in the next hour, plus overdue ones, across a ward
+ * @param {Object} params - { departmentId? }
+ * @returns {Promise<Array>} due doses, overdue first
+ */
+export const getDueDoses = medicationAdministrationFirebase.getDueDoses;
+
+/**
+ * Notify the ward's nurses about doses that became overdue
+ * @returns {Promise<Object>} { doses, notifications }
+ */
+export const notifyOverdueDoses = medicationAdministrationFirebase.notifyOverdueDoses;
+
+// Export as named object and default
+export const medicationAdministrationApi = {
+  getPatientMar,
+  recordDose,
+  getDueDoses,
+  notifyOverdueDoses,
+};
+
+export default medicationAdministrationApi;
@@ -0,0 +1,37 @@
+// src/services/api/occupancyApi.js
+/**
+ * occupancyApi Service
+ *
+ * API client for historical bed occupancy (time series built from bed assignment history).
+ * Uses Firebase Firestore.
+ *
+ * Features:
+ * - Hourly or daily occupancy series for any date range
+ * - Per-department and hospital-wide figures
+ * - Average length of stay and bed turnover
+ * - Compatible with OccupancyChart and the report pages
+ */
+
+import occupancyFirebase from '../firebase/occupancyFirebase';
+
+/**
+ * Get an occupancy time series
+ * @param {Object} params - { from, to, granularity? ('hour' | 'day'), storeSnapshots? (admins only) }
+ * @returns {Promise<Array>} periods with per-department and total figures
+ */
+export const getTimeSeries = occupancyFirebase.getTimeSeries;
+
+/**
+ * Get average length of stay and bed turnover for discharges in a date range
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Object>} per-department and total stay statistics
+ */
+export const getStayStatistics = occupancyFirebase.getStayStatistics;
+
+// Export as named object and default
+export const occupancyApi = {
+  getTimeSeries,
+  getStayStatistics,
+};
+
+export default occupancyApi;
@@ -35,6 +35,13 @@ export const search = patientFirebase.search;
  */
 export const getById = patientFirebase.getById;
 
+/**
+ * Get patient activity timeline (bed assignments, transfers, discharges, appointments, prescriptions)
+ * @param {string|number} id
+ * @returns {Promise<Array>} timeline events
+ */
+export const getTimeline = patientFirebase.getTimeline;
+
 /**
  * Create new patient
  * @param {Object} data - patient payload
@@ -62,6 +69,7 @@ export const patientApi = {
   getAll,
   search,
   getById,
+  getTimeline,
   create,
   update,
   remove,
@@ -12,12 +12,10 @@
  */
 
 import prescriptionFirebase from '../firebase/prescriptionFirebase';
-import { collection, query, where, getDocs } from 'firebase/firestore';
-import { db } from '../firebase/firebaseConfig';
 
 /**
  * Get all prescriptions (with optional filters)
- * @param {Object} params - query params (patientId, doctorId, status, date range)
+ * @param {Object} params - query params (patientId, doctorId, status, from/to on prescribedAt)
  * @returns {Promise<Array>} prescriptions
  */
 export const getAll = prescriptionFirebase.getAll;
@@ -25,22 +23,9 @@ export const getAll = prescriptionFirebase.getAll;
 /**
  * Get prescriptions for a specific patient
  * @param {string|number} patientId
- * @returns {Promise<Array>} patient prescriptions
+ * @returns {Promise<Array>} patient prescriptions, most recent first
  */
-export const getByPatient = async (patientId) => {
-  if (!patientId) throw new Error('Patient ID is required');
-  
-  try {
-    const prescriptionsQuery = query(
-      collection(db, 'prescriptions'),
-      where('patient_id', '==', patientId)
-    );
-    const snapshot = await getDocs(prescriptionsQuery);
-    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-  } catch (error) {
-    throw new Error(error.message || 'Failed to fetch patient prescriptions');
-  }
-};
+export const getByPatient = prescriptionFirebase.getByPatient;
 
 /**
  * Get prescription by ID
@@ -49,50 +34,80 @@ export const getByPatient = async (patientId) => {
  */
 export const getById = prescriptionFirebase.getById;
 
+/**
+ * Check a medication against the patient's allergies and current prescriptions
+ * @param {Object} data - { patient_id, medication_name, prescription_id? }
+ * @returns {Promise<Array>} warnings { type, severity, message, conflicts_with, prescription_id? }
+ */
+export const checkSafety = prescriptionFirebase.checkSafety;
+
 /**
  * Create new prescription
- * @param {Object} data - prescription payload
- * @returns {Promise<Object>} created prescription
+ * @param {Object} data - prescription payload (formulary_id, dose, route, form for formulary
+ *   prescribing; override_reason required for severe warnings; frequency and duration are
+ *   parsed into frequency_schedule)
+ * @returns {Promise<Object>} created prescription, with safety_warnings
+ * @throws {PrescriptionSafetyError} If severe warnings have no override reason
+ * @throws {Error} If the frequency or duration cannot be read
  */
 export const create = prescriptionFirebase.create;
 
 /**
- * Update existing prescription
+ * Update existing prescription (a new medication is re-checked for safety)
  * @param {string|number} id
- * @param {Object} data - updated fields
- * @returns {Promise<Object>} updated prescription
+ * @param {Object} data - updated fields (override_reason required for severe warnings)
+ * @returns {Promise<Object>} updated prescription, with safety_warnings
+ * @throws {PrescriptionSafetyError} If severe warnings have no override reason
  */
 export const update = prescriptionFirebase.update;
 
 /**
- * Mark prescription as dispensed
+ * Record a dispense (adds to the dispense log)
  * @param {string|number} id
- * @param {Object} payload - optional { dispensed_by?, notes? }
- * @returns {Promise<Object>}
+ * @param {Object} payload - { quantity?, dispensed_by?, dispensed_by_name?, notes?, department_id? }
+ *   (quantity defaults to everything left; formulary items come out of the
+ *   department's stock, by default the patient's ward)
+ * @returns {Promise<Object>} updated prescription
  */
-export const dispense = async (id, payload = {}) => {
-  if (!id) throw new Error('Prescription ID is required');
-  
-  try {
-    return await prescriptionFirebase.update(id, {
-      status: 'dispensed',
-      dispensed_by: payload.dispensed_by || 'system',
-      dispensed_at: new Date().toISOString(),
-      notes: payload.notes || '',
-    });
-  } catch (error) {
-    throw new Error(error.message || 'Failed to mark prescription as dispensed');
-  }
-};
+export const dispense = prescriptionFirebase.dispense;
+
+/**
+ * Change prescription status (on_hold, active to resume, discontinued, expired)
+ * @param {string|number} id
+ * @param {string} status
+ * @param {Object} options - { reason?, changed_by?, changed_by_name? } (reason required to discontinue)
+ * @returns {Promise<Object>} updated prescription
+ */
+export const updateStatus = prescriptionFirebase.updateStatus;
+
+/**
+ * Discontinue a prescription
+ * @param {string|number} id
+ * @param {Object} options - { reason, changed_by?, changed_by_name? }
+ * @returns {Promise<Object>} updated prescription
+ */
+export const discontinue = prescriptionFirebase.discontinue;
+
+/**
+ * Record that prescriptions were printed (adds to each one's print log)
+ * @param {Array<string|number>} ids - prescriptions printed together
+ * @param {Object} payload - { kind: 'prescription' | 'label', printed_by?, printed_by_name? }
+ * @returns {Promise<void>}
+ */
+export const logPrint = prescriptionFirebase.logPrint;
 
 // Export as named object and default
 export const prescriptionApi = {
   getAll,
   getByPatient,
   getById,
+  checkSafety,
   create,
   update,
   dispense,
+  updateStatus,
+  discontinue,
+  logPrint,
 };
 
 export default prescriptionApi;
\ No newline at end of file
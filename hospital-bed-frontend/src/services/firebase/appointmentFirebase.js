@@ -8,6 +8,13 @@
  * Features:
  * - CRUD operations for appointments
  * - Appointment scheduling and status management
+ * - Planned admissions (appointment that ends with a bed in a department)
+ * - Admit from an appointment: the visit completes and the patient joins the bed waitlist
+ * - Double-booking prevention against the doctor's schedule (see appointmentValidation)
+ * - Recurring series (appointmentSeries) with per-occurrence, following or whole-series edits
+ * - Front-desk check-in and "call next patient" (see appointmentStatusTransitions, waitingRoom)
+ * - Automatic no-show marking after a grace period (see appointmentNoShows)
+ * - Reminders rescheduled or cancelled with every change (see appointmentReminderFirebase)
  * - Compatible with existing appointmentApi interface
  */
 
@@ -22,11 +29,39 @@ import {
   where,
   orderBy,
   onSnapshot,
+  runTransaction,
+  writeBatch,
   Timestamp 
 } from 'firebase/firestore';
+import { isSameDay } from 'date-fns';
 import { db } from './firebaseConfig';
+import {
+  isAppointmentConflict,
+  validateAppointmentSlot,
+  validateSeriesSlots
+} from './appointmentValidation';
+import { holdsSlot } from './doctorAvailability';
+import { expandRecurrence, normalizeRecurrence } from './appointmentRecurrence';
+import {
+  assertAppointmentStatusTransition,
+  buildAppointmentStatusFields
+} from './appointmentStatusTransitions';
+import { buildWaitingRoom } from './waitingRoom';
+import { isNoShowDue } from './appointmentNoShows';
+import { syncReminders } from './appointmentReminderFirebase';
+import { cancel as cancelBedRequest, create as createBedRequest } from './bedRequestFirebase';
+import {
+  APPOINTMENT_NO_SHOW_GRACE_MINUTES,
+  APPOINTMENT_SERIES_STATUS,
+  APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_SOURCE,
+  ISOLATION_TYPES,
+  SERIES_SCOPE
+} from '@lib/constants';
+import { toDate, toIsoString } from '@lib/dateUtils';
 
 const APPOINTMENTS_COLLECTION = 'appointments';
+const APPOINTMENT_SERIES_COLLECTION = 'appointmentSeries';
 const PATIENTS_COLLECTION = 'patients';
 const USERS_COLLECTION = 'users';
 
@@ -85,11 +120,28 @@ const transformAppointmentData = async (appointmentData, appointmentId) => {
       patient_department: patientDepartment,
       doctor_name: doctorName,
       appointment_date: appointmentDate,
+      duration_minutes: appointmentData.durationMinutes || null,
+      series_id: appointmentData.seriesId || null,
+      series_index: appointmentData.seriesIndex || null,
+      series_size: appointmentData.seriesSize || null,
       status: appointmentData.status || 'scheduled',
+      checked_in_at: toIsoString(appointmentData.checkedInAt),
+      checked_in_by: appointmentData.checkedInBy || null,
+      started_at: toIsoString(appointmentData.startedAt),
+      started_by: appointmentData.startedBy || null,
+      completed_at: toIsoString(appointmentData.completedAt),
+      completed_by: appointmentData.completedBy || null,
+      status_updated_at: toIsoString(appointmentData.statusUpdatedAt),
+      status_updated_by: appointmentData.statusUpdatedBy || null,
+      status_source: appointmentData.statusSource || null,
+      status_reason: appointmentData.statusReason || null,
       reason: appointmentData.reason,
       notes: appointmentData.notes,
+      admit_to_department_id: appointmentData.admitToDepartmentId || null,
+      bed_request_id: appointmentData.bedRequestId || null,
       created_by: appointmentData.createdBy,
       created_at: appointmentData.createdAt,
+      updated_at: toIsoString(appointmentData.updatedAt),
     };
   } catch (error) {
     console.error('Transform appointment data error:', error);
@@ -109,6 +161,9 @@ const transformAppointmentData = async (appointmentData, appointmentId) => {
       patient_department: null,
       doctor_name: UNKNOWN_DOCTOR,
       appointment_date: appointmentDate,
+      series_id: appointmentData.seriesId || null,
+      series_index: appointmentData.seriesIndex || null,
+      series_size: appointmentData.seriesSize || null,
       status: appointmentData.status || 'scheduled',
       reason: appointmentData.reason,
       notes: appointmentData.notes,
@@ -116,6 +171,21 @@ const transformAppointmentData = async (appointmentData, appointmentId) => {
   }
 };
 
+/**
+ * Re-plan an appointment's reminders after it was written.
+ * A reminder failure is logged and never fails the appointment change.
+ * @param {string} appointmentId
+ * @param {Object} [appointment] - Firestore appointment data (read when omitted)
+ * @returns {Promise<void>}
+ */
+const refreshReminders = async (appointmentId, appointment) => {
+  try {
+    await syncReminders(appointmentId, appointment);
+  } catch (error) {
+    console.warn(`Reminders for appointment ${appointmentId} not updated:`, error.message);
+  }
+};
+
 /**
  * Get all appointments (with optional filters)
  * @param {Object} params - query params (patientId, doctorId, date, status)
@@ -180,6 +250,67 @@ export const getById = async (id) => {
   }
 };
 
+/**
+ * Get scheduled appointments that plan an admission, within a date range
+ * @param {Object} params - { from: Date|string, to: Date|string }
+ * @returns {Promise<Array>} { id, patient_id, admit_to_department_id, appointment_date }
+ */
+export const getScheduledAdmissions = async ({ from, to }) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('appointmentDate', '>=', Timestamp.fromDate(new Date(from))),
+      where('appointmentDate', '<=', Timestamp.fromDate(new Date(to)))
+    ));
+
+    // Filter in memory to avoid a composite index on status + department + date
+    return snapshot.docs
+      .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+      .filter(appointment =>
+        appointment.admitToDepartmentId && (appointment.status || 'scheduled') === 'scheduled'
+      )
+      .map(appointment => ({
+        id: appointment.id,
+        patient_id: appointment.patientId,
+        admit_to_department_id: appointment.admitToDepartmentId,
+        appointment_date: appointment.appointmentDate?.toDate
+          ? appointment.appointmentDate.toDate().toISOString()
+          : appointment.appointmentDate,
+      }));
+  } catch (error) {
+    console.error('Get scheduled admissions error:', error);
+    throw new Error(error.message || 'Failed to fetch scheduled admissions');
+  }
+};
+
+/**
+ * Parse an appointment date - handle ISO strings, Date objects and Timestamps
+ * @param {string|Date|Timestamp} dateValue
+ * @returns {Timestamp}
+ */
+const parseAppointmentDate = (dateValue) => {
+  if (!dateValue) {
+    throw new Error('Appointment date is required');
+  } else if (typeof dateValue === 'string') {
+    // Validate and parse ISO string
+    const parsedDate = new Date(dateValue);
+    if (isNaN(parsedDate.getTime())) {
+      throw new Error('Invalid date format');
+    }
+    return Timestamp.fromDate(parsedDate);
+  } else if (dateValue instanceof Date) {
+    // Handle Date object
+    if (isNaN(dateValue.getTime())) {
+      throw new Error('Invalid date object');
+    }
+    return Timestamp.fromDate(dateValue);
+  } else if (dateValue instanceof Timestamp) {
+    // Already a Timestamp
+    return dateValue;
+  }
+  throw new Error('Invalid date type: expected string, Date, or Timestamp');
+};
+
 /**
  * Create new appointment
  * @param {Object} data - appointment payload
@@ -193,52 +324,64 @@ export const create = async (data) => {
     const patientId = data.patientId || data.patient_id;
     const doctorId = data.doctorId || data.doctor_id || data.doctor_user_id;
     
-    // Parse date properly - handle both ISO string and Date objects
-    let appointmentDate;
-    const dateValue = data.appointmentDate || data.appointment_date;
-    
-    if (!dateValue) {
-      throw new Error('Appointment date is required');
-    } else if (typeof dateValue === 'string') {
-      // Validate and parse ISO string
-      const parsedDate = new Date(dateValue);
-      if (isNaN(parsedDate.getTime())) {
-        throw new Error('Invalid date format');
-      }
-      appointmentDate = Timestamp.fromDate(parsedDate);
-    } else if (dateValue instanceof Date) {
-      // Handle Date object
-      if (isNaN(dateValue.getTime())) {
-        throw new Error('Invalid date object');
-      }
-      appointmentDate = Timestamp.fromDate(dateValue);
-    } else if (dateValue instanceof Timestamp) {
-      // Already a Timestamp
-      appointmentDate = dateValue;
-    } else {
-      throw new Error('Invalid date type: expected string, Date, or Timestamp');
-    }
-    
+    const appointmentDate = parseAppointmentDate(data.appointmentDate || data.appointment_date);
+
+    // Reject times outside the doctor's hours, in blocked time or over another booking
+    const { durationMinutes } = await validateAppointmentSlot({
+      doctorId,
+      start: appointmentDate.toDate(),
+      durationMinutes: Number(data.durationMinutes ?? data.duration_minutes) || null,
+    });
+
     const newAppointment = {
       patientId,
       doctorId,
       appointmentDate,
+      durationMinutes,
       status: data.status || 'scheduled',
       reason: data.reason || null,
       notes: data.notes || null,
+      admitToDepartmentId: data.admitToDepartmentId || data.admit_to_department_id || null,
       createdBy: data.createdBy || data.created_by || 'system',
       createdAt: Timestamp.now(),
     };
 
     await setDoc(appointmentRef, newAppointment);
+    await refreshReminders(appointmentRef.id, newAppointment);
 
     return { id: appointmentRef.id, ...newAppointment };
   } catch (error) {
     console.error('Create appointment error:', error);
+    if (isAppointmentConflict(error)) throw error;
     throw new Error(error.message || 'Failed to schedule appointment');
   }
 };
 
+/**
+ * Convert snake_case or camelCase update fields to the stored camelCase shape.
+ * Status is left out: it only changes through updateStatus() and the
+ * dedicated cancel/call/complete paths, which follow the transition table.
+ * @param {Object} data - updated fields
+ * @returns {Object} Firestore update
+ */
+const toAppointmentUpdate = (data) => ({
+  ...(data.patientId && { patientId: data.patientId }),
+  ...(data.patient_id && { patientId: data.patient_id }),
+  ...(data.doctorId && { doctorId: data.doctorId }),
+  ...(data.doctor_id && { doctorId: data.doctor_id }),
+  ...(data.doctor_user_id && { doctorId: data.doctor_user_id }),
+  ...(data.appointmentDate && { appointmentDate: parseAppointmentDate(data.appointmentDate) }),
+  ...(data.appointment_date && { appointmentDate: parseAppointmentDate(data.appointment_date) }),
+  ...(data.durationMinutes && { durationMinutes: Number(data.durationMinutes) }),
+  ...(data.duration_minutes && { durationMinutes: Number(data.duration_minutes) }),
+  ...(data.reason !== undefined && { reason: data.reason }),
+  ...(data.notes !== undefined && { notes: data.notes }),
+  ...(data.admitToDepartmentId !== undefined && { admitToDepartmentId: data.admitToDepartmentId }),
+  ...(data.admit_to_department_id !== undefined && { admitToDepartmentId: data.admit_to_department_id }),
+  ...(data.createdBy && { createdBy: data.createdBy }),
+  ...(data.created_by && { createdBy: data.created_by }),
+});
+
 /**
  * Update existing appointment
  * @param {string} id
@@ -256,27 +399,32 @@ export const update = async (id, data) => {
       throw new Error('Appointment not found');
     }
 
-    // Convert snake_case to camelCase for updates
-    const updatedData = {
-      ...(data.patientId && { patientId: data.patientId }),
-      ...(data.patient_id && { patientId: data.patient_id }),
-      ...(data.doctorId && { doctorId: data.doctorId }),
-      ...(data.doctor_id && { doctorId: data.doctor_id }),
-      ...(data.doctor_user_id && { doctorId: data.doctor_user_id }),
-      ...(data.appointmentDate && { appointmentDate: data.appointmentDate }),
-      ...(data.appointment_date && { appointmentDate: data.appointment_date }),
-      ...(data.status && { status: data.status }),
-      ...(data.reason !== undefined && { reason: data.reason }),
-      ...(data.notes !== undefined && { notes: data.notes }),
-      ...(data.createdBy && { createdBy: data.createdBy }),
-      ...(data.created_by && { createdBy: data.created_by }),
-    };
+    const updatedData = toAppointmentUpdate(data);
 
-    await updateDoc(appointmentRef, updatedData);
+    // Re-check availability when the time, doctor or length of a slot-holding visit changes
+    const current = appointmentDoc.data();
+    const next = { ...current, ...updatedData };
+    const isMoved =
+      (updatedData.doctorId && updatedData.doctorId !== current.doctorId) ||
+      (updatedData.appointmentDate &&
+        updatedData.appointmentDate.toMillis() !== toDate(current.appointmentDate)?.getTime()) ||
+      (updatedData.durationMinutes && updatedData.durationMinutes !== current.durationMinutes);
+    if (isMoved && holdsSlot(current)) {
+      await validateAppointmentSlot({
+        doctorId: next.doctorId,
+        start: toDate(next.appointmentDate),
+        durationMinutes: next.durationMinutes || null,
+        excludeAppointmentId: id,
+      });
+    }
 
-    return { id, ...appointmentDoc.data(), ...updatedData };
+    await updateDoc(appointmentRef, { ...updatedData, updatedAt: Timestamp.now() });
+    await refreshReminders(id, next);
+
+    return { id, ...current, ...updatedData };
   } catch (error) {
     console.error('Update appointment error:', error);
+    if (isAppointmentConflict(error)) throw error;
     throw new Error(error.message || 'Failed to update appointment');
   }
 };
@@ -300,7 +448,9 @@ export const cancel = async (id) => {
     // Update status to cancelled instead of deleting
     await updateDoc(appointmentRef, {
       status: 'cancelled',
+      updatedAt: Timestamp.now(),
     });
+    await refreshReminders(id, { ...appointmentDoc.data(), status: 'cancelled' });
   } catch (error) {
     console.error('Cancel appointment error:', error);
     throw new Error(error.message || 'Failed to cancel appointment');
@@ -308,12 +458,14 @@ export const cancel = async (id) => {
 };
 
 /**
- * Update appointment status (complete, no-show, etc.)
+ * Update appointment status (check-in, call in, complete, no-show, etc.)
+ * Follows APPOINTMENT_STATUS_TRANSITIONS and stamps when and by whom.
  * @param {string} id
- * @param {string} status - 'completed', 'no_show', etc.
- * @returns {Promise<Object>}
+ * @param {string} status - 'checked_in', 'in_progress', 'completed', 'no_show', etc.
+ * @param {Object} options - { updatedBy, reason }
+ * @returns {Promise<Object>} { id, status }
  */
-export const updateStatus = async (id, status) => {
+export const updateStatus = async (id, status, options = {}) => {
   if (!id || !status) throw new Error('Appointment ID and status are required');
   
   try {
@@ -324,9 +476,20 @@ export const updateStatus = async (id, status) => {
       throw new Error('Appointment not found');
     }
 
-    await updateDoc(appointmentRef, {
-      status,
-    });
+    const current = appointmentDoc.data();
+    assertAppointmentStatusTransition(current.status || APPOINTMENT_STATUS.SCHEDULED, status);
+
+    if (status === APPOINTMENT_STATUS.CHECKED_IN && !isSameDay(toDate(current.appointmentDate), new Date())) {
+      throw new Error('Patients can only be checked in on the day of their appointment');
+    }
+
+    const fields = buildAppointmentStatusFields(status, {
+      updatedBy: options.updatedBy || options.updated_by || null,
+      reason: options.reason || null,
+    }, Timestamp.now());
+    await updateDoc(appointmentRef, fields);
+    // Leaving scheduled cancels pending reminders; undoing a check-in restores them
+    await refreshReminders(id, { ...current, ...fields });
 
     return { id, status };
   } catch (error) {
@@ -335,6 +498,576 @@ export const updateStatus = async (id, status) => {
   }
 };
 
+/**
+ * Call the next checked-in patient in a doctor's queue into consultation
+ * Queue order is today's appointment time, then arrival (see waitingRoom).
+ * @param {string} doctorId
+ * @param {Object} options - { calledBy }
+ * @returns {Promise<Object>} the called appointment, now in_progress
+ */
+export const callNextPatient = async (doctorId, options = {}) => {
+  if (!doctorId) throw new Error('Doctor is required');
+
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('doctorId', '==', doctorId)
+    ));
+
+    // Only the fields the queue needs; today's visits are picked in memory
+    const { waiting, in_consultation: inConsultation } = buildWaitingRoom(
+      snapshot.docs.map(docSnap => {
+        const data = docSnap.data();
+        return {
+          id: docSnap.id,
+          doctor_user_id: data.doctorId,
+          appointment_date: data.appointmentDate,
+          status: data.status || APPOINTMENT_STATUS.SCHEDULED,
+          checked_in_at: data.checkedInAt,
+          started_at: data.startedAt,
+        };
+      }),
+      { doctorId }
+    );
+
+    if (inConsultation.length > 0) {
+      throw new Error('Finish the current consultation before calling the next patient');
+    }
+    if (waiting.length === 0) {
+      throw new Error('No patients are waiting');
+    }
+
+    const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, waiting[0].id);
+    const called = await runTransaction(db, async (transaction) => {
+      const appointmentDoc = await transaction.get(appointmentRef);
+      const current = appointmentDoc.data();
+
+      // The check-in may have been undone or called from another desk meanwhile
+      assertAppointmentStatusTransition(current.status || APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.IN_PROGRESS);
+
+      const fields = buildAppointmentStatusFields(APPOINTMENT_STATUS.IN_PROGRESS, {
+        updatedBy: options.calledBy || options.called_by || null,
+      }, Timestamp.now());
+      transaction.update(appointmentRef, fields);
+
+      return { ...current, ...fields };
+    });
+
+    return transformAppointmentData(called, appointmentRef.id);
+  } catch (error) {
+    console.error('Call next patient error:', error);
+    throw new Error(error.message || 'Failed to call the next patient');
+  }
+};
+
+/**
+ * Admit the patient seen in an appointment.
+ * The patient joins the bed waitlist (bedRequests) with the admitting doctor,
+ * diagnosis and target department, then the visit is completed and the
+ * patient moved to that department so its beds accept them.
+ * @param {string} id - appointment ID
+ * @param {Object} data - { diagnosis, department_id?, priority?, isolation?, notes?, admitted_by? }
+ *   (department defaults to the appointment's planned admission department)
+ * @returns {Promise<Object>} { appointment, bed_request, patient }
+ */
+export const admitPatient = async (id, data = {}) => {
+  if (!id) throw new Error('Appointment ID is required');
+  const diagnosis = data.diagnosis?.trim();
+  if (!diagnosis) throw new Error('Admission diagnosis is required');
+
+  try {
+    const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, id);
+    const appointmentDoc = await getDoc(appointmentRef);
+    if (!appointmentDoc.exists()) {
+      throw new Error('Appointment not found');
+    }
+
+    const current = appointmentDoc.data();
+    assertAppointmentStatusTransition(current.status || APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.COMPLETED);
+
+    const departmentId = data.departmentId || data.department_id || current.admitToDepartmentId;
+    if (!departmentId) throw new Error('Department is required');
+
+    const patientRef = doc(db, PATIENTS_COLLECTION, current.patientId);
+    const patientDoc = await getDoc(patientRef);
+    if (!patientDoc.exists()) throw new Error('Patient not found');
+
+    const admittedBy = data.admittedBy || data.admitted_by || current.doctorId || null;
+    const patient = patientDoc.data();
+    const isolation = data.isolation || patient.isolation || ISOLATION_TYPES.NONE;
+
+    // The waitlist refuses patients already in a bed or already waiting
+    const bedRequest = await createBedRequest({
+      patientId: current.patientId,
+      departmentId,
+      priority: data.priority,
+      isolation,
+      notes: data.notes,
+      requestedBy: admittedBy,
+      admittingDoctorId: current.doctorId,
+      diagnosis,
+      appointmentId: id,
+      // Restored if the request is withdrawn before a bed is assigned
+      patientBeforeAdmission: {
+        department: patient.department ?? null,
+        status: patient.status ?? null,
+        admissionDate: patient.admissionDate ?? null,
+        isolation: patient.isolation ?? null,
+      },
+    });
+
+    const statusFields = buildAppointmentStatusFields(APPOINTMENT_STATUS.COMPLETED, {
+      updatedBy: admittedBy,
+      reason: `Admitted: ${diagnosis}`,
+    }, Timestamp.now());
+    const appointmentUpdates = { ...statusFields, admitToDepartmentId: departmentId, bedRequestId: bedRequest.id };
+    const patientUpdates = {
+      department: departmentId,
+      status: 'admitted',
+      admissionDate: new Date().toISOString().split('T')[0],
+      isolation,
+    };
+
+    const batch = writeBatch(db);
+    batch.update(appointmentRef, appointmentUpdates);
+    batch.update(patientRef, patientUpdates);
+    try {
+      await batch.commit();
+    } catch (error) {
+      // Do not leave a waitlist entry behind for a visit that was not completed
+      await cancelBedRequest(bedRequest.id, { reason: 'Admission not completed', cancelledBy: admittedBy })
+        .catch(cancelError => console.warn('Bed request not withdrawn:', cancelError.message));
+      throw error;
+    }
+
+    const admitted = { ...current, ...appointmentUpdates };
+    await refreshReminders(id, admitted);
+
+    return {
+      appointment: await transformAppointmentData(admitted, id),
+      bed_request: bedRequest,
+      patient: { id: current.patientId, ...patient, ...patientUpdates },
+    };
+  } catch (error) {
+    console.error('Admit patient from appointment error:', error);
+    throw new Error(error.message || 'Failed to admit patient');
+  }
+};
+
+/**
+ * Get check-in, call-in and completion times of visits within a date range
+ * @param {Object} params - { from: Date|string, to: Date|string }
+ * @returns {Promise<Array>} { id, doctor_user_id, appointment_date, status, checked_in_at,
+ *   started_at, completed_at } for visits where the patient was called in
+ */
+export const getVisitTimes = async ({ from, to }) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('appointmentDate', '>=', Timestamp.fromDate(new Date(from))),
+      where('appointmentDate', '<=', Timestamp.fromDate(new Date(to)))
+    ));
+
+    return snapshot.docs
+      .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+      .filter(appointment => appointment.startedAt)
+      .map(appointment => ({
+        id: appointment.id,
+        doctor_user_id: appointment.doctorId,
+        appointment_date: toIsoString(appointment.appointmentDate),
+        status: appointment.status,
+        checked_in_at: toIsoString(appointment.checkedInAt),
+        started_at: toIsoString(appointment.startedAt),
+        completed_at: toIsoString(appointment.completedAt),
+      }));
+  } catch (error) {
+    console.error('Get visit times error:', error);
+    throw new Error(error.message || 'Failed to fetch visit times');
+  }
+};
+
+/**
+ * Mark scheduled appointments as no-shows once the grace period after their
+ * start has passed without a check-in. The change is attributed to the sweep.
+ * Safe to run from several clients at once; appointments checked in or
+ * already marked meanwhile are skipped.
+ * @param {Object} options - { graceMinutes }
+ * @returns {Promise<number>} number of appointments marked
+ */
+export const markNoShows = async (options = {}) => {
+  const graceMinutes = options.graceMinutes ?? APPOINTMENT_NO_SHOW_GRACE_MINUTES;
+
+  try {
+    // Filter the grace period client-side to avoid a composite (status, appointmentDate) index
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('status', '==', APPOINTMENT_STATUS.SCHEDULED)
+    ));
+    const now = new Date();
+    const due = snapshot.docs.filter(docSnap => isNoShowDue({
+      status: docSnap.data().status,
+      appointment_date: docSnap.data().appointmentDate,
+    }, { graceMinutes, now }));
+
+    let marked = 0;
+    for (const appointmentDoc of due) {
+      const wasMarked = await runTransaction(db, async (transaction) => {
+        const current = await transaction.get(appointmentDoc.ref);
+        if (current.data()?.status !== APPOINTMENT_STATUS.SCHEDULED) return false;
+
+        transaction.update(appointmentDoc.ref, buildAppointmentStatusFields(APPOINTMENT_STATUS.NO_SHOW, {
+          updatedBy: 'system',
+          source: APPOINTMENT_STATUS_SOURCE.NO_SHOW_SWEEP,
+          reason: `Not checked in within ${graceMinutes} minutes of the appointment time`,
+        }, Timestamp.now()));
+        return true;
+      });
+      if (wasMarked) {
+        marked += 1;
+        await refreshReminders(appointmentDoc.id, { ...appointmentDoc.data(), status: APPOINTMENT_STATUS.NO_SHOW });
+      }
+    }
+    return marked;
+  } catch (error) {
+    console.error('Mark no-shows error:', error);
+    throw new Error(error.message || 'Failed to mark no-shows');
+  }
+};
+
+/**
+ * Get the outcome of appointments within a date range, for no-show rates
+ * @param {Object} params - { from: Date|string, to: Date|string }
+ * @returns {Promise<Array>} { id, patient_id, doctor_user_id, appointment_date, status, status_source }
+ */
+export const getAppointmentOutcomes = async ({ from, to }) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('appointmentDate', '>=', Timestamp.fromDate(new Date(from))),
+      where('appointmentDate', '<=', Timestamp.fromDate(new Date(to)))
+    ));
+
+    return snapshot.docs.map(docSnap => {
+      const appointment = docSnap.data();
+      return {
+        id: docSnap.id,
+        patient_id: appointment.patientId,
+        doctor_user_id: appointment.doctorId,
+        appointment_date: toIsoString(appointment.appointmentDate),
+        status: appointment.status || APPOINTMENT_STATUS.SCHEDULED,
+        status_source: appointment.statusSource || null,
+      };
+    });
+  } catch (error) {
+    console.error('Get appointment outcomes error:', error);
+    throw new Error(error.message || 'Failed to fetch appointment outcomes');
+  }
+};
+
+/**
+ * Create a recurring appointment series and book every occurrence
+ * @param {Object} data - appointment payload plus recurrence ({ frequency, interval?, count? | until? })
+ * @returns {Promise<Object>} created series with its appointments
+ */
+export const createSeries = async (data) => {
+  try {
+    const patientId = data.patientId || data.patient_id;
+    const doctorId = data.doctorId || data.doctor_id || data.doctor_user_id;
+    const firstDate = parseAppointmentDate(data.appointmentDate || data.appointment_date);
+    const recurrence = normalizeRecurrence(data.recurrence);
+    const starts = expandRecurrence(firstDate.toDate(), recurrence);
+
+    // Every occurrence must be bookable, otherwise nothing is booked
+    const { durationMinutes } = await validateSeriesSlots({
+      doctorId,
+      starts,
+      durationMinutes: Number(data.durationMinutes ?? data.duration_minutes) || null,
+    });
+
+    const createdBy = data.createdBy || data.created_by || 'system';
+    const createdAt = Timestamp.now();
+    const reason = data.reason || null;
+    const notes = data.notes || null;
+
+    const batch = writeBatch(db);
+    const seriesRef = doc(collection(db, APPOINTMENT_SERIES_COLLECTION));
+    const series = {
+      patientId,
+      doctorId,
+      recurrence: {
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        count: recurrence.count,
+        until: recurrence.until ? Timestamp.fromDate(recurrence.until) : null,
+      },
+      firstDate,
+      occurrenceCount: starts.length,
+      durationMinutes,
+      reason,
+      notes,
+      status: APPOINTMENT_SERIES_STATUS.ACTIVE,
+      createdBy,
+      createdAt,
+    };
+    batch.set(seriesRef, series);
+
+    const appointments = starts.map((start, index) => {
+      const appointmentRef = doc(collection(db, APPOINTMENTS_COLLECTION));
+      const appointment = {
+        patientId,
+        doctorId,
+        appointmentDate: Timestamp.fromDate(start),
+        durationMinutes,
+        status: 'scheduled',
+        reason,
+        notes,
+        // A planned admission belongs to the first visit only
+        admitToDepartmentId: index === 0
+          ? data.admitToDepartmentId || data.admit_to_department_id || null
+          : null,
+        seriesId: seriesRef.id,
+        seriesIndex: index + 1,
+        seriesSize: starts.length,
+        createdBy,
+        createdAt,
+      };
+      batch.set(appointmentRef, appointment);
+      return { id: appointmentRef.id, ...appointment };
+    });
+
+    await batch.commit();
+    for (const appointment of appointments) {
+      await refreshReminders(appointment.id, appointment);
+    }
+
+    return { id: seriesRef.id, ...series, appointments };
+  } catch (error) {
+    console.error('Create appointment series error:', error);
+    if (isAppointmentConflict(error)) throw error;
+    throw new Error(error.message || 'Failed to schedule appointment series');
+  }
+};
+
+/**
+ * Load the occurrences of a series in order
+ * @param {string} seriesId
+ * @returns {Promise<Array>} raw appointments with ids
+ */
+const loadSeriesOccurrences = async (seriesId) => {
+  const snapshot = await getDocs(query(
+    collection(db, APPOINTMENTS_COLLECTION),
+    where('seriesId', '==', seriesId)
+  ));
+  return snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => (a.seriesIndex || 0) - (b.seriesIndex || 0));
+};
+
+/**
+ * Occurrences an edit or cancellation applies to.
+ * Only scheduled occurrences change, and apart from the one acted on only
+ * upcoming ones; completed, cancelled and past visits stay as history.
+ * @param {Array<Object>} occurrences - raw series appointments
+ * @param {Object} current - the occurrence acted on
+ * @param {string} scope - SERIES_SCOPE.FOLLOWING or SERIES_SCOPE.SERIES
+ * @returns {Array<Object>}
+ */
+const selectScopedOccurrences = (occurrences, current, scope) => {
+  const now = new Date();
+  return occurrences.filter(occurrence =>
+    (occurrence.status || 'scheduled') === 'scheduled' &&
+    (occurrence.id === current.id || toDate(occurrence.appointmentDate) >= now) &&
+    (scope === SERIES_SCOPE.SERIES || occurrence.seriesIndex >= current.seriesIndex)
+  );
+};
+
+/**
+ * Get a series with its occurrences
+ * @param {string} seriesId
+ * @returns {Promise<Object>} series with transformed appointments
+ */
+export const getSeries = async (seriesId) => {
+  if (!seriesId) throw new Error('Series ID is required');
+
+  try {
+    const seriesDoc = await getDoc(doc(db, APPOINTMENT_SERIES_COLLECTION, seriesId));
+    if (!seriesDoc.exists()) {
+      throw new Error('Appointment series not found');
+    }
+
+    const series = seriesDoc.data();
+    const occurrences = await loadSeriesOccurrences(seriesId);
+    const appointments = [];
+    for (const occurrence of occurrences) {
+      appointments.push(await transformAppointmentData(occurrence, occurrence.id));
+    }
+
+    return {
+      id: seriesDoc.id,
+      patient_id: series.patientId,
+      doctor_user_id: series.doctorId,
+      recurrence: {
+        ...series.recurrence,
+        until: toDate(series.recurrence?.until)?.toISOString() || null,
+      },
+      first_date: toDate(series.firstDate)?.toISOString() || null,
+      occurrence_count: series.occurrenceCount,
+      duration_minutes: series.durationMinutes,
+      reason: series.reason,
+      notes: series.notes,
+      status: series.status,
+      created_by: series.createdBy,
+      created_at: series.createdAt,
+      appointments,
+    };
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    throw new Error(error.message || 'Failed to fetch appointment series');
+  }
+};
+
+/**
+ * Update a series member and, depending on scope, the rest of its series.
+ * A new date moves every affected occurrence by the same amount.
+ * @param {string} id - the occurrence being edited
+ * @param {Object} data - updated fields
+ * @param {string} scope - SERIES_SCOPE value ('occurrence', 'following', 'series')
+ * @returns {Promise<Object>} { series_id, updated }
+ */
+export const updateSeries = async (id, data, scope = SERIES_SCOPE.SERIES) => {
+  if (!id) throw new Error('Appointment ID is required');
+
+  try {
+    const appointmentDoc = await getDoc(doc(db, APPOINTMENTS_COLLECTION, id));
+    if (!appointmentDoc.exists()) {
+      throw new Error('Appointment not found');
+    }
+
+    const current = { id, ...appointmentDoc.data() };
+    if (!current.seriesId || scope === SERIES_SCOPE.OCCURRENCE) {
+      const updated = await update(id, data);
+      return { series_id: current.seriesId || null, updated: 1, appointment: updated };
+    }
+
+    // Each occurrence keeps its own status; the date becomes a shift
+    const {
+      appointmentDate,
+      createdBy: _createdBy,
+      ...sharedUpdates
+    } = toAppointmentUpdate(data);
+    const shiftMs = appointmentDate
+      ? appointmentDate.toMillis() - toDate(current.appointmentDate).getTime()
+      : 0;
+
+    const targets = selectScopedOccurrences(
+      await loadSeriesOccurrences(current.seriesId),
+      current,
+      scope
+    ).map(occurrence => ({
+      ...occurrence,
+      start: new Date(toDate(occurrence.appointmentDate).getTime() + shiftMs),
+    }));
+
+    const isMoved = shiftMs !== 0 ||
+      (sharedUpdates.doctorId && sharedUpdates.doctorId !== current.doctorId) ||
+      (sharedUpdates.durationMinutes && sharedUpdates.durationMinutes !== current.durationMinutes);
+    if (isMoved && targets.length > 0) {
+      await validateSeriesSlots({
+        doctorId: sharedUpdates.doctorId || current.doctorId,
+        starts: targets.map(target => target.start),
+        durationMinutes: sharedUpdates.durationMinutes || current.durationMinutes || null,
+        excludeAppointmentIds: targets.map(target => target.id),
+      });
+    }
+
+    const batch = writeBatch(db);
+    const updatedAt = Timestamp.now();
+    targets.forEach(target => {
+      batch.update(doc(db, APPOINTMENTS_COLLECTION, target.id), {
+        ...sharedUpdates,
+        ...(shiftMs !== 0 && { appointmentDate: Timestamp.fromDate(target.start) }),
+        updatedAt,
+      });
+    });
+
+    // Whole-series edits also change the series itself
+    if (scope === SERIES_SCOPE.SERIES) {
+      batch.update(doc(db, APPOINTMENT_SERIES_COLLECTION, current.seriesId), {
+        ...(sharedUpdates.doctorId && { doctorId: sharedUpdates.doctorId }),
+        ...(sharedUpdates.durationMinutes && { durationMinutes: sharedUpdates.durationMinutes }),
+        ...(sharedUpdates.reason !== undefined && { reason: sharedUpdates.reason }),
+        ...(sharedUpdates.notes !== undefined && { notes: sharedUpdates.notes }),
+        updatedAt: Timestamp.now(),
+      });
+    }
+
+    await batch.commit();
+    for (const target of targets) {
+      await refreshReminders(target.id, {
+        ...target,
+        ...sharedUpdates,
+        appointmentDate: Timestamp.fromDate(target.start),
+      });
+    }
+
+    return { series_id: current.seriesId, updated: targets.length };
+  } catch (error) {
+    console.error('Update appointment series error:', error);
+    if (isAppointmentConflict(error)) throw error;
+    throw new Error(error.message || 'Failed to update appointment series');
+  }
+};
+
+/**
+ * Cancel a series member and, depending on scope, the rest of its series
+ * @param {string} id - the occurrence being cancelled
+ * @param {string} scope - SERIES_SCOPE value ('occurrence', 'following', 'series')
+ * @returns {Promise<Object>} { series_id, cancelled }
+ */
+export const cancelSeries = async (id, scope = SERIES_SCOPE.SERIES) => {
+  if (!id) throw new Error('Appointment ID is required');
+
+  try {
+    const appointmentDoc = await getDoc(doc(db, APPOINTMENTS_COLLECTION, id));
+    if (!appointmentDoc.exists()) {
+      throw new Error('Appointment not found');
+    }
+
+    const current = { id, ...appointmentDoc.data() };
+    if (!current.seriesId || scope === SERIES_SCOPE.OCCURRENCE) {
+      await cancel(id);
+      return { series_id: current.seriesId || null, cancelled: 1 };
+    }
+
+    const targets = selectScopedOccurrences(
+      await loadSeriesOccurrences(current.seriesId),
+      current,
+      scope
+    );
+
+    const batch = writeBatch(db);
+    const updatedAt = Timestamp.now();
+    targets.forEach(target => {
+      batch.update(doc(db, APPOINTMENTS_COLLECTION, target.id), { status: 'cancelled', updatedAt });
+    });
+    if (scope === SERIES_SCOPE.SERIES) {
+      batch.update(doc(db, APPOINTMENT_SERIES_COLLECTION, current.seriesId), {
+        status: APPOINTMENT_SERIES_STATUS.CANCELLED,
+        updatedAt: Timestamp.now(),
+      });
+    }
+    await batch.commit();
+    for (const target of targets) {
+      await refreshReminders(target.id, { ...target, status: 'cancelled' });
+    }
+
+    return { series_id: current.seriesId, cancelled: targets.length };
+  } catch (error) {
+    console.error('Cancel appointment series error:', error);
+    throw new Error(error.message || 'Failed to cancel appointment series');
+  }
+};
+
 /**
  * Subscribe to real-time appointment updates
  * @param {Function} callback - called when appointments change
@@ -390,7 +1123,10 @@ export const subscribeToAppointments = (callback, params = {}) => {
                 patient_department: null,
                 doctor_name: UNKNOWN_DOCTOR,
                 appointment_date: appointmentDate,
+                duration_minutes: appointmentData.durationMinutes || null,
                 status: appointmentData.status || 'scheduled',
+                checked_in_at: toIsoString(appointmentData.checkedInAt),
+                started_at: toIsoString(appointmentData.startedAt),
                 reason: appointmentData.reason,
                 notes: appointmentData.notes,
               };
@@ -424,10 +1160,20 @@ export const subscribeToAppointments = (callback, params = {}) => {
 export const appointmentFirebase = {
   getAll,
   getById,
+  getScheduledAdmissions,
   create,
   update,
   cancel,
   updateStatus,
+  callNextPatient,
+  admitPatient,
+  getVisitTimes,
+  markNoShows,
+  getAppointmentOutcomes,
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries,
   subscribeToAppointments,
 };
 
@@ -0,0 +1,148 @@
+// src/services/firebase/appointmentNoShows.js
+/**
+ * Appointment no-shows
+ *
+ * Pure helpers for the automatic no-show sweep, the per-patient no-show
+ * count and the no-show report. Input is transformed appointments
+ * (snake_case, ISO dates) as returned by appointmentFirebase.
+ *
+ * Rules:
+ * - A scheduled appointment becomes a no-show once the grace period after
+ *   its start has passed without a check-in
+ * - Rates count attended visits (checked in, in consultation, completed)
+ *   and no-shows; cancelled and still-upcoming appointments are left out
+ * - Weekday and hour are taken from the appointment time (local time)
+ */
+
+import {
+  APPOINTMENT_NO_SHOW_GRACE_MINUTES,
+  APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_SOURCE,
+  WEEKDAYS
+} from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+// Outcomes a no-show rate is measured against
+const ATTENDED_STATUSES = [
+  APPOINTMENT_STATUS.CHECKED_IN,
+  APPOINTMENT_STATUS.IN_PROGRESS,
+  APPOINTMENT_STATUS.COMPLETED,
+];
+
+/**
+ * Whether a scheduled appointment is past its grace period without a check-in
+ * @param {Object} appointment - { status, appointment_date }
+ * @param {Object} options
+ * @param {number} [options.graceMinutes]
+ * @param {Date} [options.now]
+ * @returns {boolean}
+ */
+export const isNoShowDue = (appointment, {
+  graceMinutes = APPOINTMENT_NO_SHOW_GRACE_MINUTES,
+  now = new Date(),
+} = {}) => {
+  if ((appointment.status || APPOINTMENT_STATUS.SCHEDULED) !== APPOINTMENT_STATUS.SCHEDULED) return false;
+  const start = toDate(appointment.appointment_date);
+  return !!start && start.getTime() + graceMinutes * 60000 <= now.getTime();
+};
+
+/**
+ * Number of no-shows among a patient's appointments
+ * @param {Array} appointments - { status }
+ * @returns {number}
+ */
+export const countNoShows = (appointments = []) =>
+  appointments.filter(appointment => appointment.status === APPOINTMENT_STATUS.NO_SHOW).length;
+
+/**
+ * Booked visits, no-shows and rate (%) for a group of appointments
+ * @param {Array} appointments - appointments with a decided outcome
+ * @returns {Object} { booked, no_shows, no_show_rate }
+ */
+const summarizeOutcomes = (appointments) => {
+  const noShows = countNoShows(appointments);
+  return {
+    booked: appointments.length,
+    no_shows: noShows,
+    no_show_rate: appointments.length > 0
+      ? Math.round((noShows / appointments.length) * 1000) / 10
+      : null,
+  };
+};
+
+/**
+ * Group appointments by a key
+ * @param {Array} appointments
+ * @param {Function} getKey - (appointment) => key
+ * @returns {Map}
+ */
+const groupBy = (appointments, getKey) => {
+  const groups = new Map();
+  appointments.forEach(appointment => {
+    const key = getKey(appointment);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(appointment);
+  });
+  return groups;
+};
+
+/**
+ * No-show rates by doctor, weekday and hour for the no-show report
+ * @param {Object} params
+ * @param {Array} params.appointments - appointments with status, doctor_user_id, appointment_date
+ * @param {Array} params.doctors - doctor users (id, fullName/full_name) for names
+ * @returns {Object} {
+ *   totals: { booked, no_shows, no_show_rate, auto_marked, doctors },
+ *   doctors: [{ doctor_id, doctor_name, booked, no_shows, no_show_rate }],
+ *   weekdays: [{ weekday, label, booked, no_shows, no_show_rate }] (Sunday first),
+ *   hours: [{ hour, label, booked, no_shows, no_show_rate }] (booked hours only)
+ * }
+ */
+export const buildNoShowStatistics = ({ appointments = [], doctors = [] }) => {
+  const doctorNames = new Map(doctors.map(doctor => [doctor.id, doctor.fullName || doctor.full_name]));
+  const outcomes = appointments.filter(appointment =>
+    appointment.status === APPOINTMENT_STATUS.NO_SHOW || ATTENDED_STATUSES.includes(appointment.status)
+  );
+  const withStart = outcomes.filter(appointment => toDate(appointment.appointment_date));
+
+  const doctorRows = [...groupBy(outcomes.filter(appointment => appointment.doctor_user_id), a => a.doctor_user_id)]
+    .map(([doctorId, group]) => ({
+      doctor_id: doctorId,
+      doctor_name: doctorNames.get(doctorId) || 'Unknown Doctor',
+      ...summarizeOutcomes(group),
+    }))
+    .sort((a, b) => b.no_show_rate - a.no_show_rate || a.doctor_name.localeCompare(b.doctor_name));
+
+  const byWeekday = groupBy(withStart, appointment => toDate(appointment.appointment_date).getDay());
+  const byHour = groupBy(withStart, appointment => toDate(appointment.appointment_date).getHours());
+
+  return {
+    totals: {
+      ...summarizeOutcomes(outcomes),
+      auto_marked: outcomes.filter(appointment =>
+        appointment.status === APPOINTMENT_STATUS.NO_SHOW &&
+        appointment.status_source === APPOINTMENT_STATUS_SOURCE.NO_SHOW_SWEEP
+      ).length,
+      doctors: doctorRows.length,
+    },
+    doctors: doctorRows,
+    weekdays: WEEKDAYS.map(day => ({
+      weekday: day.value,
+      label: day.label,
+      ...summarizeOutcomes(byWeekday.get(day.value) || []),
+    })),
+    hours: [...byHour.keys()]
+      .sort((a, b) => a - b)
+      .map(hour => ({
+        hour,
+        label: `${String(hour).padStart(2, '0')}:00`,
+        ...summarizeOutcomes(byHour.get(hour)),
+      })),
+  };
+};
+
+export default {
+  isNoShowDue,
+  countNoShows,
+  buildNoShowStatistics,
+};
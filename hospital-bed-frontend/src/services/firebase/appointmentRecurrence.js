@@ -0,0 +1,113 @@
+// src/services/firebase/appointmentRecurrence.js
+/**
+ * Appointment recurrence
+ *
+ * Pure helpers that expand a recurrence rule into occurrence dates for
+ * recurring appointment series (dialysis, physiotherapy, wound checks).
+ * Shared by appointmentFirebase (booking the series) and the appointment
+ * form (preview). Accept both camelCase and snake_case rules.
+ *
+ * Rule shape:
+ * { frequency: 'daily' | 'weekly' | 'custom', interval?: days (custom only),
+ *   count?: number of occurrences, until?: last day (inclusive) }
+ * Exactly one of count/until ends the series; either way it is capped at
+ * MAX_SERIES_OCCURRENCES.
+ */
+
+import { addDays, endOfDay, format } from 'date-fns';
+import { MAX_SERIES_OCCURRENCES, RECURRENCE_FREQUENCY } from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+// Longest gap a custom interval may have
+const MAX_INTERVAL_DAYS = 90;
+
+/**
+ * Normalize a recurrence rule
+ * @param {Object} recurrence - raw or form rule
+ * @returns {Object} { frequency, interval (days between occurrences), count, until }
+ * @throws {Error} If the rule is incomplete or out of range
+ */
+export const normalizeRecurrence = (recurrence = {}) => {
+  const { frequency } = recurrence;
+  if (!Object.values(RECURRENCE_FREQUENCY).includes(frequency)) {
+    throw new Error('Choose how often the appointment repeats');
+  }
+
+  let interval = 1;
+  if (frequency === RECURRENCE_FREQUENCY.WEEKLY) {
+    interval = 7;
+  } else if (frequency === RECURRENCE_FREQUENCY.CUSTOM) {
+    interval = Number(recurrence.interval ?? recurrence.interval_days);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL_DAYS) {
+      throw new Error(`Repeat interval must be between 1 and ${MAX_INTERVAL_DAYS} days`);
+    }
+  }
+
+  const count = recurrence.count ? Number(recurrence.count) : null;
+  const until = toDate(recurrence.until);
+
+  if (!count && !until) {
+    throw new Error('Series needs a number of occurrences or an end date');
+  }
+  if (count && (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES)) {
+    throw new Error(`A series has between 2 and ${MAX_SERIES_OCCURRENCES} occurrences`);
+  }
+
+  return { frequency, interval, count: count || null, until: count ? null : until };
+};
+
+/**
+ * Occurrence start times for a series
+ * @param {Date} start - first occurrence
+ * @param {Object} recurrence - rule (see normalizeRecurrence)
+ * @returns {Array<Date>} starts in order, the first being `start`
+ * @throws {Error} If the rule yields fewer than two occurrences or too many
+ */
+export const expandRecurrence = (start, recurrence) => {
+  const rule = normalizeRecurrence(recurrence);
+  const last = rule.until ? endOfDay(rule.until) : null;
+  const starts = [];
+
+  // addDays keeps the wall-clock time across daylight saving changes
+  for (let index = 0; ; index += 1) {
+    const occurrence = addDays(start, index * rule.interval);
+    if (rule.count && starts.length >= rule.count) break;
+    if (last && occurrence > last) break;
+    if (starts.length >= MAX_SERIES_OCCURRENCES) {
+      throw new Error(`A series has at most ${MAX_SERIES_OCCURRENCES} occurrences; choose an earlier end date`);
+    }
+    starts.push(occurrence);
+  }
+
+  if (starts.length < 2) {
+    throw new Error('The end date leaves fewer than two occurrences');
+  }
+
+  return starts;
+};
+
+/**
+ * Human-readable rule, e.g. "Weekly, 6 times" or "Every 3 days until Jan 5, 2026"
+ * @param {Object} recurrence - raw or transformed rule
+ * @returns {string}
+ */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  const interval = Number(recurrence.interval) || 1;
+  let repeat = 'Daily';
+  if (recurrence.frequency === RECURRENCE_FREQUENCY.WEEKLY) repeat = 'Weekly';
+  if (recurrence.frequency === RECURRENCE_FREQUENCY.CUSTOM) {
+    repeat = interval === 1 ? 'Daily' : `Every ${interval} days`;
+  }
+
+  const until = toDate(recurrence.until);
+  if (recurrence.count) return `${repeat}, ${recurrence.count} times`;
+  if (until) return `${repeat} until ${format(until, 'MMM d, yyyy')}`;
+  return repeat;
+};
+
+export default {
+  normalizeRecurrence,
+  expandRecurrence,
+  describeRecurrence,
+};
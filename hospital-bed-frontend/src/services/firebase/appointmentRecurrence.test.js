@@ -0,0 +1,90 @@
+// src/services/firebase/appointmentRecurrence.test.js
+/**
+ * Unit tests for expanding recurrence rules into appointment series.
+ */
+
+import { format } from 'date-fns';
+import { describe, expect, it } from 'vitest';
+import { MAX_SERIES_OCCURRENCES, RECURRENCE_FREQUENCY } from '@lib/constants';
+import { describeRecurrence, expandRecurrence, normalizeRecurrence } from './appointmentRecurrence';
+
+// Monday 7 January 2030, 10:30 local time
+const START = new Date(2030, 0, 7, 10, 30);
+
+const days = (dates) => dates.map(date => format(date, 'M/d HH:mm'));
+
+describe('normalizeRecurrence', () => {
+  it('derives the interval from the frequency', () => {
+    expect(normalizeRecurrence({ frequency: RECURRENCE_FREQUENCY.DAILY, count: 3 }))
+      .toEqual({ frequency: 'daily', interval: 1, count: 3, until: null });
+    expect(normalizeRecurrence({ frequency: RECURRENCE_FREQUENCY.WEEKLY, count: 3 }).interval).toBe(7);
+    expect(normalizeRecurrence({ frequency: RECURRENCE_FREQUENCY.CUSTOM, interval_days: '3', count: 3 }).interval)
+      .toBe(3);
+  });
+
+  it('lets count win over until', () => {
+    const rule = normalizeRecurrence({ frequency: 'daily', count: 4, until: '2030-02-01' });
+
+    expect(rule.count).toBe(4);
+    expect(rule.until).toBeNull();
+  });
+
+  it('rejects incomplete or out-of-range rules', () => {
+    expect(() => normalizeRecurrence({ frequency: 'monthly', count: 3 })).toThrow('how often');
+    expect(() => normalizeRecurrence({ frequency: 'daily' })).toThrow('number of occurrences or an end date');
+    expect(() => normalizeRecurrence({ frequency: 'custom', interval: 0, count: 3 })).toThrow('interval');
+    expect(() => normalizeRecurrence({ frequency: 'custom', interval: 1.5, count: 3 })).toThrow('interval');
+    expect(() => normalizeRecurrence({ frequency: 'daily', count: 1 })).toThrow('between 2 and');
+    expect(() => normalizeRecurrence({ frequency: 'daily', count: MAX_SERIES_OCCURRENCES + 1 }))
+      .toThrow('between 2 and');
+  });
+});
+
+describe('expandRecurrence', () => {
+  it('repeats a fixed number of times at the same time of day', () => {
+    const starts = expandRecurrence(START, { frequency: 'daily', count: 3 });
+
+    expect(days(starts)).toEqual(['1/7 10:30', '1/8 10:30', '1/9 10:30']);
+    expect(starts[0]).toEqual(START);
+  });
+
+  it('steps weekly and every N days', () => {
+    expect(days(expandRecurrence(START, { frequency: 'weekly', count: 3 })))
+      .toEqual(['1/7 10:30', '1/14 10:30', '1/21 10:30']);
+    expect(days(expandRecurrence(START, { frequency: 'custom', interval: 3, count: 3 })))
+      .toEqual(['1/7 10:30', '1/10 10:30', '1/13 10:30']);
+  });
+
+  it('includes an occurrence on the until day, whatever its time', () => {
+    const starts = expandRecurrence(START, { frequency: 'custom', interval: 2, until: new Date(2030, 0, 11) });
+
+    expect(days(starts)).toEqual(['1/7 10:30', '1/9 10:30', '1/11 10:30']);
+  });
+
+  it('rolls over month ends', () => {
+    const start = new Date(2030, 0, 30, 9, 0);
+
+    expect(days(expandRecurrence(start, { frequency: 'daily', count: 3 })))
+      .toEqual(['1/30 09:00', '1/31 09:00', '2/1 09:00']);
+  });
+
+  it('rejects an end date that leaves fewer than two occurrences', () => {
+    expect(() => expandRecurrence(START, { frequency: 'weekly', until: new Date(2030, 0, 10) }))
+      .toThrow('fewer than two occurrences');
+  });
+
+  it('rejects an end date that yields too many occurrences', () => {
+    expect(() => expandRecurrence(START, { frequency: 'daily', until: new Date(2030, 11, 31) }))
+      .toThrow(`at most ${MAX_SERIES_OCCURRENCES} occurrences`);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('describes count- and date-bounded series', () => {
+    expect(describeRecurrence({ frequency: 'weekly', count: 6 })).toBe('Weekly, 6 times');
+    expect(describeRecurrence({ frequency: 'custom', interval: 3, until: new Date(2030, 0, 5) }))
+      .toBe('Every 3 days until Jan 5, 2030');
+    expect(describeRecurrence({ frequency: 'custom', interval: 1, count: 2 })).toBe('Daily, 2 times');
+    expect(describeRecurrence(null)).toBe('');
+  });
+});
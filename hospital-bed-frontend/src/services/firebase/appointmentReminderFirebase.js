@@ -0,0 +1,300 @@
+// src/services/firebase/appointmentReminderFirebase.js
+/**
+ * Firebase Appointment Reminder Service
+ *
+ * Schedules reminders ahead of appointments (appointmentReminders collection)
+ * and sends them when due.
+ *
+ * Features:
+ * - Reminders per offset (default 24h and 1h before) for the doctor and the patient
+ * - Rescheduled when an appointment moves, cancelled when it is cancelled,
+ *   completed or marked a no-show (appointmentFirebase calls syncReminders)
+ * - Doctor reminders become notifications (notificationFirebase.create)
+ * - Patient reminders go through the delivery adapter (see reminderDelivery)
+ * - Safe to dispatch from several clients at once; each reminder is claimed
+ *   in a transaction before it is sent
+ * - Dispatch is client-driven: reminders only go out while a client calls
+ *   dispatchDueReminders (see useAppointmentManagement)
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  runTransaction,
+  updateDoc,
+  where,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { buildReminderMessage, planReminders } from './appointmentReminders';
+import { deliverPatientReminder } from './reminderDelivery';
+import { create as createNotification } from './notificationFirebase';
+import {
+  APPOINTMENT_REMINDER_RECIPIENT,
+  APPOINTMENT_REMINDER_STATUS,
+  APPOINTMENT_STATUS
+} from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+const APPOINTMENT_REMINDERS_COLLECTION = 'appointmentReminders';
+const APPOINTMENTS_COLLECTION = 'appointments';
+const PATIENTS_COLLECTION = 'patients';
+const USERS_COLLECTION = 'users';
+
+// Reminders overdue by more than this are not worth sending and are not read again
+const REMINDER_DISPATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminders stored for an appointment
+ * @param {string} appointmentId
+ * @returns {Promise<Array>} { id, ref, ...data }
+ */
+const loadReminders = async (appointmentId) => {
+  const snapshot = await getDocs(query(
+    collection(db, APPOINTMENT_REMINDERS_COLLECTION),
+    where('appointmentId', '==', appointmentId)
+  ));
+  return snapshot.docs.map(docSnap => ({ id: docSnap.id, ref: docSnap.ref, ...docSnap.data() }));
+};
+
+/**
+ * Bring an appointment's reminders in line with its current time and status.
+ * Moved appointments get new due times (already-sent reminders are sent again
+ * for the new time); reminders no longer planned are cancelled.
+ * @param {string} appointmentId
+ * @param {Object} [appointment] - Firestore appointment data (read when omitted)
+ * @returns {Promise<Object>} { scheduled, cancelled }
+ */
+export const syncReminders = async (appointmentId, appointment = null) => {
+  if (!appointmentId) throw new Error('Appointment ID is required');
+
+  try {
+    let current = appointment;
+    if (!current) {
+      const appointmentDoc = await getDoc(doc(db, APPOINTMENTS_COLLECTION, appointmentId));
+      current = appointmentDoc.exists() ? appointmentDoc.data() : {};
+    }
+
+    const planned = planReminders(appointmentId, current);
+    const existing = new Map((await loadReminders(appointmentId)).map(reminder => [reminder.id, reminder]));
+    const now = Timestamp.now();
+    const batch = writeBatch(db);
+    let scheduled = 0;
+    let cancelled = 0;
+
+    planned.forEach(reminder => {
+      const stored = existing.get(reminder.id);
+      existing.delete(reminder.id);
+
+      // Unchanged reminders keep their status (a sent reminder is not sent twice)
+      const isUnchanged = stored &&
+        stored.status !== APPOINTMENT_REMINDER_STATUS.CANCELLED &&
+        toDate(stored.dueAt)?.getTime() === reminder.dueAt.getTime();
+      if (isUnchanged) return;
+
+      batch.set(doc(db, APPOINTMENT_REMINDERS_COLLECTION, reminder.id), {
+        appointmentId,
+        recipient: reminder.recipient,
+        offsetMinutes: reminder.offsetMinutes,
+        doctorId: current.doctorId || null,
+        patientId: current.patientId || null,
+        dueAt: Timestamp.fromDate(reminder.dueAt),
+        status: APPOINTMENT_REMINDER_STATUS.PENDING,
+        sentAt: null,
+        channel: null,
+        error: null,
+        updatedAt: now,
+        ...(!stored && { createdAt: now }),
+      }, { merge: true });
+      scheduled += 1;
+    });
+
+    existing.forEach(reminder => {
+      if (reminder.status !== APPOINTMENT_REMINDER_STATUS.PENDING) return;
+      batch.update(reminder.ref, {
+        status: APPOINTMENT_REMINDER_STATUS.CANCELLED,
+        error: null,
+        updatedAt: now,
+      });
+      cancelled += 1;
+    });
+
+    if (scheduled + cancelled > 0) await batch.commit();
+    return { scheduled, cancelled };
+  } catch (error) {
+    console.error('Sync appointment reminders error:', error);
+    throw new Error(error.message || 'Failed to schedule appointment reminders');
+  }
+};
+
+/**
+ * Cancel every pending reminder of an appointment
+ * @param {string} appointmentId
+ * @returns {Promise<number>} number of reminders cancelled
+ */
+export const cancelReminders = async (appointmentId) => {
+  if (!appointmentId) throw new Error('Appointment ID is required');
+
+  try {
+    const pending = (await loadReminders(appointmentId))
+      .filter(reminder => reminder.status === APPOINTMENT_REMINDER_STATUS.PENDING);
+    if (pending.length === 0) return 0;
+
+    const batch = writeBatch(db);
+    const now = Timestamp.now();
+    pending.forEach(reminder => batch.update(reminder.ref, {
+      status: APPOINTMENT_REMINDER_STATUS.CANCELLED,
+      updatedAt: now,
+    }));
+    await batch.commit();
+    return pending.length;
+  } catch (error) {
+    console.error('Cancel appointment reminders error:', error);
+    throw new Error(error.message || 'Failed to cancel appointment reminders');
+  }
+};
+
+/**
+ * Load a user or patient document
+ * @param {string} collectionName
+ * @param {string} id
+ * @returns {Promise<Object|null>} document data
+ */
+const loadPerson = async (collectionName, id) => {
+  if (!id) return null;
+  const personDoc = await getDoc(doc(db, collectionName, id));
+  return personDoc.exists() ? personDoc.data() : null;
+};
+
+/**
+ * Send one claimed reminder
+ * @param {Object} reminder - reminder data with id
+ * @param {Object} appointment - Firestore appointment data
+ * @returns {Promise<Object>} { channel, reference, delivered }
+ */
+const sendReminder = async (reminder, appointment) => {
+  const [patient, doctor] = await Promise.all([
+    loadPerson(PATIENTS_COLLECTION, appointment.patientId),
+    loadPerson(USERS_COLLECTION, appointment.doctorId),
+  ]);
+  const message = buildReminderMessage({
+    recipient: reminder.recipient,
+    appointmentDate: appointment.appointmentDate,
+    patientName: patient?.fullName || patient?.full_name,
+    doctorName: doctor?.fullName || doctor?.full_name,
+  });
+
+  if (reminder.recipient === APPOINTMENT_REMINDER_RECIPIENT.DOCTOR) {
+    const notification = await createNotification({
+      user_id: appointment.doctorId,
+      type: 'info',
+      message,
+      appointment_id: reminder.appointmentId,
+    });
+    return { channel: 'notification', reference: notification.id, delivered: true };
+  }
+
+  return deliverPatientReminder({
+    to: {
+      patientId: appointment.patientId,
+      name: patient?.fullName || patient?.full_name || null,
+      phone: patient?.phone || null,
+      email: patient?.email || null,
+    },
+    message,
+    appointmentId: reminder.appointmentId,
+    dueAt: toDate(reminder.dueAt),
+  });
+};
+
+/**
+ * Send every pending reminder that fell due within the last day.
+ * Reminders whose appointment already started or no longer stands are
+ * marked expired / cancelled instead of sent. A patient reminder handled by
+ * an adapter that does not deliver (the default log adapter) is marked logged.
+ * @returns {Promise<Object>} { sent, logged, failed, skipped }
+ */
+export const dispatchDueReminders = async () => {
+  try {
+    // Single-field range on dueAt; status filtered in memory to avoid a composite (status, dueAt) index
+    const now = new Date();
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENT_REMINDERS_COLLECTION),
+      where('dueAt', '>', Timestamp.fromMillis(now.getTime() - REMINDER_DISPATCH_WINDOW_MS)),
+      where('dueAt', '<=', Timestamp.fromDate(now))
+    ));
+    const due = snapshot.docs
+      .filter(docSnap => docSnap.data().status === APPOINTMENT_REMINDER_STATUS.PENDING);
+
+    const result = { sent: 0, logged: 0, failed: 0, skipped: 0 };
+    for (const reminderDoc of due) {
+      const claimed = await runTransaction(db, async (transaction) => {
+        const reminderSnap = await transaction.get(reminderDoc.ref);
+        const reminder = reminderSnap.data();
+        if (reminder?.status !== APPOINTMENT_REMINDER_STATUS.PENDING) return null;
+
+        const appointmentSnap = await transaction.get(doc(db, APPOINTMENTS_COLLECTION, reminder.appointmentId));
+        const appointment = appointmentSnap.exists() ? appointmentSnap.data() : null;
+        const stamp = Timestamp.now();
+
+        if (!appointment || (appointment.status || APPOINTMENT_STATUS.SCHEDULED) !== APPOINTMENT_STATUS.SCHEDULED) {
+          transaction.update(reminderDoc.ref, { status: APPOINTMENT_REMINDER_STATUS.CANCELLED, updatedAt: stamp });
+          return { skipped: true };
+        }
+        if (toDate(appointment.appointmentDate) <= now) {
+          transaction.update(reminderDoc.ref, { status: APPOINTMENT_REMINDER_STATUS.EXPIRED, updatedAt: stamp });
+          return { skipped: true };
+        }
+
+        transaction.update(reminderDoc.ref, {
+          status: APPOINTMENT_REMINDER_STATUS.SENT,
+          sentAt: stamp,
+          updatedAt: stamp,
+        });
+        return { reminder: { id: reminderDoc.id, ...reminder }, appointment };
+      });
+
+      if (!claimed) continue;
+      if (claimed.skipped) {
+        result.skipped += 1;
+        continue;
+      }
+
+      try {
+        const { channel, reference, delivered } = await sendReminder(claimed.reminder, claimed.appointment);
+        await updateDoc(reminderDoc.ref, {
+          channel,
+          reference: reference || null,
+          ...(!delivered && { status: APPOINTMENT_REMINDER_STATUS.LOGGED }),
+        });
+        if (delivered) result.sent += 1;
+        else result.logged += 1;
+      } catch (error) {
+        console.error('Send appointment reminder error:', error);
+        await updateDoc(reminderDoc.ref, {
+          status: APPOINTMENT_REMINDER_STATUS.FAILED,
+          error: error.message || 'Delivery failed',
+          updatedAt: Timestamp.now(),
+        });
+        result.failed += 1;
+      }
+    }
+    return result;
+  } catch (error) {
+    console.error('Dispatch appointment reminders error:', error);
+    throw new Error(error.message || 'Failed to send appointment reminders');
+  }
+};
+
+// Export as named object and default
+export const appointmentReminderFirebase = {
+  syncReminders,
+  cancelReminders,
+  dispatchDueReminders,
+};
+
+export default appointmentReminderFirebase;
@@ -0,0 +1,93 @@
+// src/services/firebase/appointmentReminders.js
+/**
+ * Appointment reminders
+ *
+ * Pure helpers for planning and wording appointment reminders.
+ * Input is a raw Firestore appointment (camelCase) so the scheduler can plan
+ * straight from the document it just wrote.
+ *
+ * Rules:
+ * - One reminder per offset (APPOINTMENT_REMINDER_OFFSETS_MINUTES) and
+ *   recipient: the doctor (in-app notification) and the patient (delivery adapter)
+ * - Reminder IDs derive from appointment, offset and recipient, so planning
+ *   again overwrites the same reminders instead of adding new ones
+ * - Only scheduled appointments get reminders, and only offsets still ahead
+ *   (a booking made 30 minutes ahead gets no 1h reminder)
+ */
+
+import { addMinutes, format } from 'date-fns';
+import {
+  APPOINTMENT_REMINDER_OFFSETS_MINUTES,
+  APPOINTMENT_REMINDER_RECIPIENT,
+  APPOINTMENT_STATUS
+} from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+/**
+ * Stable reminder document ID
+ * @param {string} appointmentId
+ * @param {number} offsetMinutes
+ * @param {string} recipient - 'doctor' | 'patient'
+ * @returns {string}
+ */
+export const getReminderId = (appointmentId, offsetMinutes, recipient) =>
+  `${appointmentId}_${offsetMinutes}_${recipient}`;
+
+/**
+ * Reminders an appointment should have right now
+ * @param {string} appointmentId
+ * @param {Object} appointment - Firestore appointment (status, appointmentDate, doctorId, patientId)
+ * @param {Object} options
+ * @param {Array<number>} [options.offsets] - minutes before the appointment
+ * @param {Date} [options.now]
+ * @returns {Array<Object>} { id, appointmentId, offsetMinutes, recipient, dueAt (Date) }
+ */
+export const planReminders = (appointmentId, appointment, {
+  offsets = APPOINTMENT_REMINDER_OFFSETS_MINUTES,
+  now = new Date(),
+} = {}) => {
+  const start = toDate(appointment.appointmentDate);
+  if (!start || (appointment.status || APPOINTMENT_STATUS.SCHEDULED) !== APPOINTMENT_STATUS.SCHEDULED) {
+    return [];
+  }
+
+  const recipients = [
+    appointment.doctorId && APPOINTMENT_REMINDER_RECIPIENT.DOCTOR,
+    appointment.patientId && APPOINTMENT_REMINDER_RECIPIENT.PATIENT,
+  ].filter(Boolean);
+
+  return offsets
+    .map(offsetMinutes => ({ offsetMinutes, dueAt: addMinutes(start, -offsetMinutes) }))
+    .filter(({ dueAt }) => dueAt > now)
+    .flatMap(({ offsetMinutes, dueAt }) => recipients.map(recipient => ({
+      id: getReminderId(appointmentId, offsetMinutes, recipient),
+      appointmentId,
+      offsetMinutes,
+      recipient,
+      dueAt,
+    })));
+};
+
+/**
+ * Reminder text for the doctor or the patient
+ * @param {Object} params
+ * @param {string} params.recipient - 'doctor' | 'patient'
+ * @param {Date|string} params.appointmentDate
+ * @param {string} [params.patientName]
+ * @param {string} [params.doctorName]
+ * @returns {string}
+ */
+export const buildReminderMessage = ({ recipient, appointmentDate, patientName, doctorName }) => {
+  const when = format(toDate(appointmentDate), "EEE, MMM d 'at' HH:mm");
+
+  if (recipient === APPOINTMENT_REMINDER_RECIPIENT.DOCTOR) {
+    return `Reminder: appointment with ${patientName || 'a patient'} on ${when}.`;
+  }
+  return `Reminder: you have an appointment${doctorName ? ` with Dr. ${doctorName}` : ''} on ${when}.`;
+};
+
+export default {
+  getReminderId,
+  planReminders,
+  buildReminderMessage,
+};
@@ -0,0 +1,103 @@
+// src/services/firebase/appointmentStatusTransitions.js
+/**
+ * Appointment visit lifecycle
+ *
+ * Shared rules for moving an appointment between statuses so that
+ * appointmentFirebase and the waiting room agree on what is allowed.
+ *
+ * Lifecycle:
+ * - scheduled → checked_in (front desk) → in_progress (doctor calls the
+ *   patient in) → completed
+ * - checked_in → scheduled undoes a mistaken check-in
+ * - scheduled / checked_in → cancelled, scheduled → no_show
+ * - completed, cancelled and no_show are final
+ *
+ * Each step stamps when it happened and who did it (checkedInAt/By,
+ * startedAt/By, completedAt/By) for wait and consultation times.
+ * Every change also records its source (staff or the no-show sweep) and an
+ * optional reason.
+ */
+
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_SOURCE,
+  APPOINTMENT_STATUS_TRANSITIONS
+} from '@lib/constants';
+
+const VALID_STATUSES = Object.values(APPOINTMENT_STATUS);
+
+/**
+ * Check whether an appointment may move from one status to another
+ * @param {string} from - current status
+ * @param {string} to - requested status
+ * @returns {boolean}
+ */
+export const canTransitionAppointmentStatus = (from, to) =>
+  (APPOINTMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Validate a requested status change
+ * @param {string} from - current status
+ * @param {string} to - requested status
+ * @throws {Error} If the transition is not allowed
+ */
+export const assertAppointmentStatusTransition = (from, to) => {
+  if (!VALID_STATUSES.includes(to)) {
+    throw new Error(`Invalid appointment status: ${to}`);
+  }
+
+  if (from === to) {
+    throw new Error(`Appointment is already ${to.replace('_', ' ')}`);
+  }
+
+  if (!canTransitionAppointmentStatus(from, to)) {
+    if (to === APPOINTMENT_STATUS.IN_PROGRESS) {
+      throw new Error('Only checked-in patients can be called in');
+    }
+    throw new Error(`Cannot change appointment status from ${from.replace('_', ' ')} to ${to.replace('_', ' ')}`);
+  }
+};
+
+/**
+ * Build the Firestore fields written for a status change.
+ * Undoing a check-in clears its stamp so the wait is measured from the real arrival.
+ * @param {string} status - new status
+ * @param {Object} options - { updatedBy, source ('staff' | 'no_show_sweep'), reason }
+ * @param {Object} timestamp - Firestore Timestamp for the change
+ * @returns {Object} appointment document fields
+ */
+export const buildAppointmentStatusFields = (status, {
+  updatedBy = null,
+  source = APPOINTMENT_STATUS_SOURCE.STAFF,
+  reason = null,
+} = {}, timestamp) => {
+  const fields = {
+    status,
+    statusUpdatedAt: timestamp,
+    statusUpdatedBy: updatedBy,
+    statusSource: source,
+    statusReason: reason,
+  };
+
+  if (status === APPOINTMENT_STATUS.CHECKED_IN) {
+    fields.checkedInAt = timestamp;
+    fields.checkedInBy = updatedBy;
+  } else if (status === APPOINTMENT_STATUS.SCHEDULED) {
+    fields.checkedInAt = null;
+    fields.checkedInBy = null;
+  } else if (status === APPOINTMENT_STATUS.IN_PROGRESS) {
+    fields.startedAt = timestamp;
+    fields.startedBy = updatedBy;
+  } else if (status === APPOINTMENT_STATUS.COMPLETED) {
+    fields.completedAt = timestamp;
+    fields.completedBy = updatedBy;
+  }
+
+  return fields;
+};
+
+export default {
+  canTransitionAppointmentStatus,
+  assertAppointmentStatusTransition,
+  buildAppointmentStatusFields,
+};
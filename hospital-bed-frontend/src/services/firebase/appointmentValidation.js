@@ -0,0 +1,181 @@
+// src/services/firebase/appointmentValidation.js
+/**
+ * Shared validation utilities for appointments
+ *
+ * Loads a doctor's schedule and appointments and checks a requested time
+ * against them, so appointmentFirebase and doctorScheduleFirebase agree on
+ * what is bookable.
+ *
+ * The check runs just before the appointment is written; it is not a
+ * transaction, so two bookings saved at the same instant can still collide.
+ * Unavailable times are reported as an AppointmentConflictError listing
+ * every conflict; for recurring series, every conflicting occurrence.
+ */
+
+import {
+  doc,
+  getDoc,
+  getDocs,
+  collection,
+  query,
+  where
+} from 'firebase/firestore';
+import { addDays, format, startOfDay } from 'date-fns';
+import { db } from './firebaseConfig';
+import { findSlotConflicts, normalizeSchedule } from './doctorAvailability';
+import { toDate } from '@lib/dateUtils';
+
+const APPOINTMENTS_COLLECTION = 'appointments';
+const DOCTOR_SCHEDULES_COLLECTION = 'doctorSchedules';
+
+/**
+ * Raised when a doctor cannot take an appointment at the requested time,
+ * e.g. outside working hours, during leave or over another booking.
+ * `conflicts` lists every reason as { type, message, appointment_id?, blocked_time_id? };
+ * series conflicts also carry the `occurrence_date` they apply to.
+ */
+export class AppointmentConflictError extends Error {
+  constructor(conflicts = []) {
+    super(`Time slot is not available: ${conflicts.map(c => c.message).join('; ')}`);
+    this.name = 'AppointmentConflictError';
+    this.code = 'appointment/conflict';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Check whether an error is an appointment time conflict
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAppointmentConflict = (error) =>
+  error instanceof AppointmentConflictError || error?.code === 'appointment/conflict';
+
+/**
+ * Load a doctor's schedule, falling back to the default schedule
+ * @param {string} doctorId
+ * @returns {Promise<Object>} normalized schedule
+ */
+export const loadDoctorSchedule = async (doctorId) => {
+  const scheduleDoc = await getDoc(doc(db, DOCTOR_SCHEDULES_COLLECTION, doctorId));
+  return normalizeSchedule(scheduleDoc.exists() ? scheduleDoc.data() : null);
+};
+
+/**
+ * Load a doctor's appointments starting within a time range
+ * @param {string} doctorId
+ * @param {Date} from
+ * @param {Date} to - exclusive
+ * @returns {Promise<Array>} raw appointments with ids
+ */
+export const loadDoctorAppointments = async (doctorId, from, to) => {
+  const snapshot = await getDocs(query(
+    collection(db, APPOINTMENTS_COLLECTION),
+    where('doctorId', '==', doctorId)
+  ));
+
+  // Filter dates in memory to avoid a composite index on doctor + date
+  return snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .filter(appointment => {
+      const start = toDate(appointment.appointmentDate);
+      return start && start >= from && start < to;
+    });
+};
+
+/**
+ * Validates that a doctor is free for an appointment
+ * @param {Object} params
+ * @param {string} params.doctorId
+ * @param {Date} params.start - requested start
+ * @param {number} [params.durationMinutes] - defaults to the doctor's slot length
+ * @param {string} [params.excludeAppointmentId] - the appointment being moved
+ * @returns {Promise<{schedule: Object, durationMinutes: number}>}
+ * @throws {AppointmentConflictError} If the time is not bookable
+ */
+export const validateAppointmentSlot = async ({
+  doctorId,
+  start,
+  durationMinutes,
+  excludeAppointmentId = null,
+}) => {
+  if (!doctorId) throw new Error('Doctor is required');
+
+  const schedule = await loadDoctorSchedule(doctorId);
+  const minutes = durationMinutes || schedule.slotMinutes;
+
+  // A day either side covers appointments running across midnight
+  const appointments = await loadDoctorAppointments(
+    doctorId,
+    addDays(startOfDay(start), -1),
+    addDays(startOfDay(start), 2)
+  );
+
+  const conflicts = findSlotConflicts({
+    schedule,
+    start,
+    durationMinutes: minutes,
+    appointments,
+    excludeAppointmentId,
+  });
+
+  if (conflicts.length > 0) {
+    throw new AppointmentConflictError(conflicts);
+  }
+
+  return { schedule, durationMinutes: minutes };
+};
+
+/**
+ * Validates that a doctor is free for every occurrence of a series
+ * @param {Object} params
+ * @param {string} params.doctorId
+ * @param {Array<Date>} params.starts - occurrence starts
+ * @param {number} [params.durationMinutes] - defaults to the doctor's slot length
+ * @param {Array<string>} [params.excludeAppointmentIds] - occurrences being moved
+ * @returns {Promise<{schedule: Object, durationMinutes: number}>}
+ * @throws {AppointmentConflictError} If any occurrence is not bookable
+ */
+export const validateSeriesSlots = async ({
+  doctorId,
+  starts,
+  durationMinutes,
+  excludeAppointmentIds = [],
+}) => {
+  if (!doctorId) throw new Error('Doctor is required');
+  if (!starts.length) throw new Error('Series has no occurrences');
+
+  const schedule = await loadDoctorSchedule(doctorId);
+  const minutes = durationMinutes || schedule.slotMinutes;
+
+  const first = starts[0];
+  const last = starts[starts.length - 1];
+  const appointments = (await loadDoctorAppointments(
+    doctorId,
+    addDays(startOfDay(first), -1),
+    addDays(startOfDay(last), 2)
+  )).filter(appointment => !excludeAppointmentIds.includes(appointment.id));
+
+  const conflicts = starts.flatMap(start =>
+    findSlotConflicts({ schedule, start, durationMinutes: minutes, appointments })
+      .map(conflict => ({
+        ...conflict,
+        message: `${format(start, 'MMM d')}: ${conflict.message}`,
+        occurrence_date: start.toISOString(),
+      }))
+  );
+
+  if (conflicts.length > 0) {
+    throw new AppointmentConflictError(conflicts);
+  }
+
+  return { schedule, durationMinutes: minutes };
+};
+
+export default {
+  validateAppointmentSlot,
+  validateSeriesSlots,
+  loadDoctorSchedule,
+  loadDoctorAppointments,
+  isAppointmentConflict,
+};
@@ -8,6 +8,8 @@
  * Features:
  * - CRUD operations for bed assignments
  * - Assignment history tracking
+ * - Transactional create/transfer/discharge (shared with bedFirebase)
+ * - Expected discharge date for capacity forecasting
  * - Compatible with existing bedAssignmentApi interface
  */
 
@@ -16,15 +18,21 @@ import {
   doc, 
   getDocs, 
   getDoc, 
-  setDoc, 
   updateDoc, 
   query,
   where,
-  orderBy as firestoreOrderBy,
-  Timestamp 
+  orderBy as firestoreOrderBy
 } from 'firebase/firestore';
 import { db } from './firebaseConfig';
-import { validateBedAssignment } from './bedAssignmentValidation';
+import { isBedAssignmentConflict, isBedConstraintError } from './bedAssignmentValidation';
+import { notifyQueueForBed } from './bedRequestFirebase';
+import { scheduleFollowUp } from './dischargeFirebase';
+import {
+  assignBedAtomically,
+  transferBedAtomically,
+  dischargeBedAtomically,
+  setExpectedDischargeAtomically
+} from './bedAssignmentTransactions';
 
 const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
 
@@ -133,37 +141,118 @@ export const getHistoryByPatientId = async (patientId) => {
 
 /**
  * Create new bed assignment
+ * Creates the assignment and marks the bed occupied in one transaction.
  * @param {Object} data - assignment payload
  * @returns {Promise<Object>} created assignment
+ * @throws {BedAssignmentConflictError} If the bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
  */
 export const create = async (data) => {
   try {
-    const patientId = data.patientId || data.patient_id;
-    const bedId = data.bedId || data.bed_id;
-    
-    // Validate assignment using shared validation logic
-    await validateBedAssignment(bedId, patientId);
-    
-    const assignmentRef = doc(collection(db, BED_ASSIGNMENTS_COLLECTION));
-    
-    const newAssignment = {
-      patientId: patientId,
-      bedId: bedId,
+    return await assignBedAtomically({
+      patientId: data.patientId || data.patient_id,
+      bedId: data.bedId || data.bed_id,
       assignedBy: data.assignedBy || data.assigned_by || 'system',
       notes: data.notes || null,
-      assignedAt: Timestamp.now(),
-      dischargedAt: null,
-    };
-
-    await setDoc(assignmentRef, newAssignment);
-
-    return { id: assignmentRef.id, ...newAssignment };
+      expectedDischargeAt: data.expectedDischargeAt || data.expected_discharge_at || null,
+    });
   } catch (error) {
     console.error('Create bed assignment error:', error);
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
     throw new Error(error.message || 'Failed to create bed assignment');
   }
 };
 
+/**
+ * Transfer a patient to another bed
+ * Closes the current assignment as "transferred" and opens the new one in one transaction.
+ * @param {string} patientId
+ * @param {string} toBedId
+ * @param {string} reason - required
+ * @param {Object} data - optional { transferredBy? }
+ * @returns {Promise<Object>} new assignment
+ * @throws {BedAssignmentConflictError} If the target bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const transfer = async (patientId, toBedId, reason, data = {}) => {
+  try {
+    return await transferBedAtomically({
+      patientId,
+      toBedId,
+      reason,
+      transferredBy: data.transferredBy || data.transferred_by || 'system',
+    });
+  } catch (error) {
+    console.error('Transfer bed assignment error:', error);
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
+    throw new Error(error.message || 'Failed to transfer patient');
+  }
+};
+
+/**
+ * Discharge a bed assignment
+ * Closes the assignment and frees the bed (to cleaning) in one transaction,
+ * then notifies the head of the bed waitlist and books any follow-up
+ * (a failed booking leaves the discharge in place and sets followUpError).
+ * @param {string} id - bed assignment ID
+ * @param {Object} data - optional { dischargedBy?, notes?, disposition?, destination?, follow_up?, summary? }
+ * @returns {Promise<Object>} discharge record
+ * @throws {BedAssignmentConflictError} If the assignment was already discharged
+ */
+export const discharge = async (id, data = {}) => {
+  if (!id) throw new Error('Bed assignment ID is required');
+
+  try {
+    const dischargedBy = data.dischargedBy || data.discharged_by || 'system';
+    const result = await dischargeBedAtomically({
+      assignmentId: id,
+      dischargedBy,
+      notes: data.notes || null,
+      details: data,
+    });
+
+    // Waitlist notification and follow-up booking must not undo a committed discharge
+    await notifyQueueForBed(result.bedId).catch(error =>
+      console.error('Bed request notification error:', error));
+    let followUpError = null;
+    const followUpAppointment = await scheduleFollowUp(result, { createdBy: dischargedBy }).catch(error => {
+      console.error('Follow-up scheduling error:', error);
+      followUpError = error.message || 'Failed to schedule follow-up appointment';
+      return null;
+    });
+
+    return { ...result, followUpAppointmentId: followUpAppointment?.id || null, followUpError };
+  } catch (error) {
+    console.error('Discharge bed assignment error:', error);
+    if (isBedAssignmentConflict(error)) throw error;
+    throw new Error(error.message || 'Failed to discharge bed assignment');
+  }
+};
+
+/**
+ * Set or clear the expected discharge date of an active assignment
+ * @param {string} id - bed assignment ID
+ * @param {string|Date|null} expectedDischargeAt - empty clears the estimate
+ * @param {Object} options - optional { updatedBy? }
+ * @returns {Promise<Object>} { assignmentId, bedId, expectedDischargeAt }
+ * @throws {BedAssignmentConflictError} If the patient already left the bed
+ */
+export const setExpectedDischarge = async (id, expectedDischargeAt, options = {}) => {
+  if (!id) throw new Error('Bed assignment ID is required');
+
+  try {
+    return await setExpectedDischargeAtomically({
+      assignmentId: id,
+      expectedDischargeAt,
+      updatedBy: options.updatedBy || options.updated_by || 'system',
+    });
+  } catch (error) {
+    console.error('Set expected discharge error:', error);
+    if (isBedAssignmentConflict(error)) throw error;
+    throw new Error(error.message || 'Failed to update expected discharge');
+  }
+};
+
 /**
  * Update bed assignment
  * @param {string} id
@@ -210,6 +299,9 @@ export const bedAssignmentFirebase = {
   getHistoryByBedId,
   getHistoryByPatientId,
   create,
+  transfer,
+  discharge,
+  setExpectedDischarge,
   update,
 };
 
@@ -0,0 +1,570 @@
+// src/services/firebase/bedAssignmentTransactions.js
+/**
+ * Atomic bed assignment, transfer and discharge
+ *
+ * Shared Firestore transactions used by bedFirebase and bedAssignmentFirebase
+ * so that the assignment record, the bed and the patient always change together.
+ *
+ * Features:
+ * - Occupancy re-checked inside the transaction (no double-booked beds)
+ * - Patient's current bed tracked on the patient document (no double-assigned patients)
+ * - Bed keeps a pointer to its active assignment for transactional discharge
+ * - Transfers close the old assignment and open the new one in one step
+ * - Structured discharge (disposition, destination, follow-up, summary) kept on the assignment
+ * - Expected discharge date kept on the assignment and mirrored on the bed for forecasting
+ * - Reserved beds only go to the patient they are held for; the hold is closed on assignment
+ * - Waitlist requests are marked assigned in the same transaction that fills the bed
+ * - Beds must meet the patient's isolation, equipment and room gender needs (BedConstraintError)
+ * - BedAssignmentConflictError when the bed/patient changed concurrently
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import {
+  validateBedAssignment,
+  validateBedConstraints,
+  BedAssignmentConflictError
+} from './bedAssignmentValidation';
+import {
+  getBedStatus,
+  canTransitionBedStatus,
+  isReservationExpired,
+  isBedHeldForAnotherPatient,
+  buildBedReservationFields,
+  buildBedStatusFields
+} from './bedStatusTransitions';
+import {
+  BED_STATUS,
+  BED_ASSIGNMENT_STATUS,
+  BED_RESERVATION_STATUS,
+  BED_REQUEST_STATUS,
+  DISCHARGE_DISPOSITION,
+  DISCHARGE_PATIENT_STATUS
+} from '@lib/constants';
+
+const BEDS_COLLECTION = 'beds';
+const PATIENTS_COLLECTION = 'patients';
+const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+const BED_RESERVATIONS_COLLECTION = 'bedReservations';
+const BED_REQUESTS_COLLECTION = 'bedRequests';
+
+/**
+ * Read the reservation holding a bed inside a transaction.
+ * Must run before any transaction write.
+ * @param {Object} transaction
+ * @param {Object} bedData - raw Firestore bed data
+ * @returns {Promise<Object|null>} reservation with ref, or null
+ */
+const getBedReservation = async (transaction, bedData) => {
+  if (!bedData.currentReservationId) return null;
+  const reservationRef = doc(db, BED_RESERVATIONS_COLLECTION, bedData.currentReservationId);
+  const reservationDoc = await transaction.get(reservationRef);
+  return reservationDoc.exists() ? { ref: reservationRef, ...reservationDoc.data() } : null;
+};
+
+/**
+ * Close the hold on a bed that is being occupied.
+ * A live hold is fulfilled; one past its expiry is recorded as expired.
+ * @param {Object} transaction
+ * @param {Object|null} reservation - from getBedReservation
+ * @param {Object} bedData - raw Firestore bed data
+ * @param {Object} now - Firestore Timestamp
+ * @param {string} assignmentId - assignment that took the bed
+ */
+const closeBedReservation = (transaction, reservation, bedData, now, assignmentId) => {
+  if (!reservation || reservation.status !== BED_RESERVATION_STATUS.ACTIVE) return;
+
+  if (isReservationExpired(bedData)) {
+    transaction.update(reservation.ref, {
+      status: BED_RESERVATION_STATUS.EXPIRED,
+      releasedAt: now,
+    });
+    return;
+  }
+
+  transaction.update(reservation.ref, {
+    status: BED_RESERVATION_STATUS.FULFILLED,
+    fulfilledAt: now,
+    assignmentId,
+  });
+};
+
+/**
+ * Parse an expected discharge date.
+ * Compared by calendar day, so "today" is always allowed.
+ * @param {string|Date|null} value - date input; empty clears the estimate
+ * @param {Date} notBefore - earliest allowed day (admission day, or today for new stays)
+ * @param {string} tooEarlyMessage - error when the date falls before that day
+ * @returns {Object|null} Firestore Timestamp, or null when cleared
+ */
+const toExpectedDischargeTimestamp = (
+  value,
+  notBefore = new Date(),
+  tooEarlyMessage = 'Expected discharge cannot be in the past'
+) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error('Invalid expected discharge date');
+
+  const earliest = new Date(notBefore);
+  earliest.setHours(0, 0, 0, 0);
+  if (date < earliest) {
+    throw new Error(tooEarlyMessage);
+  }
+  return Timestamp.fromDate(date);
+};
+
+/**
+ * Validate structured discharge details and map them to assignment fields.
+ * Accepts camelCase or snake_case input; disposition defaults to home.
+ * @param {Object} details - { disposition?, destination?, followUp?, summary? }
+ * @returns {Object} { disposition, dischargeDestination, followUp, dischargeSummary }
+ */
+const buildDischargeRecord = (details = {}) => {
+  const disposition = details.disposition || DISCHARGE_DISPOSITION.HOME;
+  if (!Object.values(DISCHARGE_DISPOSITION).includes(disposition)) {
+    throw new Error(`Invalid discharge disposition: ${disposition}`);
+  }
+
+  const destination = details.destination?.trim() || null;
+  if (disposition === DISCHARGE_DISPOSITION.TRANSFER && !destination) {
+    throw new Error('A destination facility is required when transferring to another facility');
+  }
+
+  const followUpInput = details.followUp || details.follow_up || null;
+  let followUp = null;
+  if (followUpInput?.date) {
+    if (disposition === DISCHARGE_DISPOSITION.DECEASED) {
+      throw new Error('A follow-up cannot be scheduled for a deceased patient');
+    }
+    const followUpDate = new Date(followUpInput.date);
+    if (isNaN(followUpDate.getTime())) throw new Error('Invalid follow-up date');
+
+    followUp = {
+      date: Timestamp.fromDate(followUpDate),
+      doctorId: followUpInput.doctorId || followUpInput.doctor_id || null,
+      instructions: followUpInput.instructions?.trim() || null,
+      appointmentId: null,
+    };
+  }
+
+  const summaryInput = details.summary || {};
+  const dischargeSummary = {
+    diagnosis: summaryInput.diagnosis?.trim() || null,
+    hospitalCourse: (summaryInput.hospitalCourse || summaryInput.hospital_course)?.trim() || null,
+    instructions: summaryInput.instructions?.trim() || null,
+  };
+
+  return {
+    disposition,
+    dischargeDestination: destination,
+    followUp,
+    dischargeSummary: Object.values(dischargeSummary).some(Boolean) ? dischargeSummary : null,
+  };
+};
+
+/**
+ * Assign a patient to a bed in a single transaction.
+ * With a bedRequestId, the patient's waitlist request is marked assigned in the
+ * same transaction, so a placed patient never stays at the head of the queue.
+ * @param {Object} params - { bedId, patientId, assignedBy?, notes?, expectedDischargeAt?, bedRequestId? }
+ * @returns {Promise<Object>} created assignment record
+ * @throws {BedAssignmentConflictError} If the bed, patient or bed request changed concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const assignBedAtomically = async ({
+  bedId,
+  patientId,
+  assignedBy = 'system',
+  notes = null,
+  expectedDischargeAt = null,
+  bedRequestId = null,
+}) => {
+  const expectedDischarge = toExpectedDischargeTimestamp(expectedDischargeAt);
+
+  // Fail fast with clear messages (existence, department, open assignments, constraints)
+  await validateBedAssignment(bedId, patientId);
+
+  const bedRef = doc(db, BEDS_COLLECTION, bedId);
+  const patientRef = doc(db, PATIENTS_COLLECTION, patientId);
+  const assignmentRef = doc(collection(db, BED_ASSIGNMENTS_COLLECTION));
+  const requestRef = bedRequestId ? doc(db, BED_REQUESTS_COLLECTION, bedRequestId) : null;
+
+  return runTransaction(db, async (transaction) => {
+    const bedDoc = await transaction.get(bedRef);
+    const patientDoc = await transaction.get(patientRef);
+    const requestDoc = requestRef ? await transaction.get(requestRef) : null;
+
+    if (!bedDoc.exists()) throw new Error('Bed not found');
+    if (!patientDoc.exists()) throw new Error('Patient not found');
+    if (requestDoc && !requestDoc.exists()) throw new Error('Bed request not found');
+    if (requestDoc && requestDoc.data().patientId !== patientId) {
+      throw new Error('Bed request is for another patient');
+    }
+    if (requestDoc && requestDoc.data().status !== BED_REQUEST_STATUS.WAITING) {
+      throw new BedAssignmentConflictError(`Bed request was just ${requestDoc.data().status}`);
+    }
+
+    // Re-check occupancy against the committed state
+    const bedStatus = getBedStatus(bedDoc.data());
+    if (bedStatus === BED_STATUS.OCCUPIED) {
+      throw new BedAssignmentConflictError('Bed was just assigned to another patient');
+    }
+    if (!canTransitionBedStatus(bedStatus, BED_STATUS.OCCUPIED)) {
+      throw new BedAssignmentConflictError(`Bed was just marked as ${bedStatus}`);
+    }
+    if (isBedHeldForAnotherPatient(bedDoc.data(), patientId)) {
+      throw new BedAssignmentConflictError(
+        `Bed was just reserved for ${bedDoc.data().reservedForName || 'another patient'}`
+      );
+    }
+
+    if (patientDoc.data().currentBedId) {
+      throw new BedAssignmentConflictError('Patient was just assigned to another bed');
+    }
+
+    const reservation = await getBedReservation(transaction, bedDoc.data());
+
+    const now = Timestamp.now();
+    const assignmentData = {
+      bedId,
+      bedNumber: bedDoc.data().bedNumber || null,
+      // Occupancy history counts the stay toward the department the bed had at the time
+      departmentId: bedDoc.data().departmentId || null,
+      patientId,
+      assignedBy,
+      assignedAt: now,
+      dischargedAt: null,
+      status: BED_ASSIGNMENT_STATUS.ACTIVE,
+      notes,
+      expectedDischargeAt: expectedDischarge,
+    };
+
+    transaction.set(assignmentRef, assignmentData);
+    closeBedReservation(transaction, reservation, bedDoc.data(), now, assignmentRef.id);
+    transaction.update(bedRef, {
+      ...buildBedStatusFields(BED_STATUS.OCCUPIED, { updatedBy: assignedBy }, now),
+      ...buildBedReservationFields(null),
+      currentAssignmentId: assignmentRef.id,
+      expectedDischargeAt: expectedDischarge,
+    });
+    transaction.update(patientRef, {
+      currentBedId: bedId,
+      currentAssignmentId: assignmentRef.id,
+    });
+    if (requestRef) {
+      transaction.update(requestRef, {
+        status: BED_REQUEST_STATUS.ASSIGNED,
+        assignedBedId: bedId,
+        assignedAt: now,
+        assignmentId: assignmentRef.id,
+      });
+    }
+
+    return { id: assignmentRef.id, ...assignmentData };
+  });
+};
+
+/**
+ * Discharge the patient occupying a bed in a single transaction.
+ * The bed moves to cleaning; every open assignment on it is closed with the
+ * discharge details, and the patient's status follows the disposition.
+ * @param {Object} params - { bedId?, assignmentId?, dischargedBy?, notes?, details? } - bedId or assignmentId required
+ * @param {Object} params.details - { disposition, destination?, followUp?: { date, doctorId?, instructions? },
+ *   summary?: { diagnosis?, hospitalCourse?, instructions? } }
+ * @returns {Promise<Object>} discharge record
+ * @throws {BedAssignmentConflictError} If the bed was already discharged concurrently
+ */
+export const dischargeBedAtomically = async ({
+  bedId,
+  assignmentId,
+  dischargedBy = 'system',
+  notes = null,
+  details = {},
+}) => {
+  const dischargeRecord = buildDischargeRecord(details);
+  let targetBedId = bedId;
+
+  // Resolve the bed from the assignment when only the assignment is known
+  if (!targetBedId && assignmentId) {
+    const assignmentDoc = await getDoc(doc(db, BED_ASSIGNMENTS_COLLECTION, assignmentId));
+    if (!assignmentDoc.exists()) throw new Error('Bed assignment not found');
+    targetBedId = assignmentDoc.data().bedId;
+  }
+
+  if (!targetBedId) throw new Error('Bed ID is required');
+
+  // Transactions cannot run queries, so collect candidate open assignments first.
+  // Beds assigned before transactions existed have no currentAssignmentId.
+  const openAssignmentsSnapshot = await getDocs(query(
+    collection(db, BED_ASSIGNMENTS_COLLECTION),
+    where('bedId', '==', targetBedId),
+    where('dischargedAt', '==', null)
+  ));
+  const candidateIds = new Set(openAssignmentsSnapshot.docs.map(d => d.id));
+  if (assignmentId) candidateIds.add(assignmentId);
+
+  const bedRef = doc(db, BEDS_COLLECTION, targetBedId);
+
+  return runTransaction(db, async (transaction) => {
+    const bedDoc = await transaction.get(bedRef);
+    if (!bedDoc.exists()) throw new Error('Bed not found');
+
+    const bedData = bedDoc.data();
+    if (getBedStatus(bedData) !== BED_STATUS.OCCUPIED) {
+      throw new BedAssignmentConflictError('Bed is not occupied. It may have just been discharged');
+    }
+    if (bedData.currentAssignmentId) candidateIds.add(bedData.currentAssignmentId);
+
+    // Read every candidate assignment and keep those still open
+    const openAssignments = [];
+    for (const id of candidateIds) {
+      const assignmentRef = doc(db, BED_ASSIGNMENTS_COLLECTION, id);
+      const assignmentDoc = await transaction.get(assignmentRef);
+      if (assignmentDoc.exists() && !assignmentDoc.data().dischargedAt) {
+        openAssignments.push({ ref: assignmentRef, ...assignmentDoc.data() });
+      } else if (id === assignmentId) {
+        throw new BedAssignmentConflictError('Bed assignment was already discharged');
+      }
+    }
+
+    // Read patients before any write (Firestore transaction rule)
+    const patientRefs = [];
+    for (const assignment of openAssignments) {
+      if (!assignment.patientId) continue;
+      const patientRef = doc(db, PATIENTS_COLLECTION, assignment.patientId);
+      const patientDoc = await transaction.get(patientRef);
+      if (patientDoc.exists()) patientRefs.push(patientRef);
+    }
+
+    const now = Timestamp.now();
+    for (const assignment of openAssignments) {
+      transaction.update(assignment.ref, {
+        dischargedAt: now,
+        dischargedBy,
+        dischargeNotes: notes,
+        status: BED_ASSIGNMENT_STATUS.DISCHARGED,
+        ...dischargeRecord,
+      });
+    }
+    for (const patientRef of patientRefs) {
+      transaction.update(patientRef, {
+        currentBedId: null,
+        currentAssignmentId: null,
+        status: DISCHARGE_PATIENT_STATUS[dischargeRecord.disposition],
+        dischargedAt: now,
+      });
+    }
+    transaction.update(bedRef, {
+      ...buildBedStatusFields(BED_STATUS.CLEANING, { updatedBy: dischargedBy }, now),
+      currentAssignmentId: null,
+      expectedDischargeAt: null,
+    });
+
+    return {
+      bedId: targetBedId,
+      status: BED_STATUS.CLEANING,
+      assignmentIds: openAssignments.map(a => a.ref.id),
+      patientIds: openAssignments.map(a => a.patientId).filter(Boolean),
+      disposition: dischargeRecord.disposition,
+      followUp: dischargeRecord.followUp,
+      dischargedAt: now.toDate().toISOString(),
+    };
+  });
+};
+
+/**
+ * Move an admitted patient to another bed in a single transaction.
+ * The old assignment is closed as "transferred" and a new active one is opened;
+ * the old bed moves to cleaning and the patient follows the new bed's department.
+ * @param {Object} params - { patientId, toBedId, reason, transferredBy? }
+ * @returns {Promise<Object>} new assignment record
+ * @throws {BedAssignmentConflictError} If the target bed or patient changed concurrently
+ * @throws {BedConstraintError} If the target bed does not meet the patient's requirements
+ */
+export const transferBedAtomically = async ({ patientId, toBedId, reason, transferredBy = 'system' }) => {
+  if (!patientId) throw new Error('Patient ID is required');
+  if (!toBedId) throw new Error('Target bed ID is required');
+  if (!reason?.trim()) throw new Error('A reason is required to transfer a patient');
+
+  // Clinical fit of the target bed (isolation, equipment, room gender)
+  await validateBedConstraints(toBedId, patientId);
+
+  // Transactions cannot run queries, so collect candidate open assignments first
+  const openAssignmentsSnapshot = await getDocs(query(
+    collection(db, BED_ASSIGNMENTS_COLLECTION),
+    where('patientId', '==', patientId),
+    where('dischargedAt', '==', null)
+  ));
+  const candidateIds = new Set(openAssignmentsSnapshot.docs.map(d => d.id));
+
+  const patientRef = doc(db, PATIENTS_COLLECTION, patientId);
+  const toBedRef = doc(db, BEDS_COLLECTION, toBedId);
+  const newAssignmentRef = doc(collection(db, BED_ASSIGNMENTS_COLLECTION));
+
+  return runTransaction(db, async (transaction) => {
+    const patientDoc = await transaction.get(patientRef);
+    if (!patientDoc.exists()) throw new Error('Patient not found');
+
+    const patientData = patientDoc.data();
+    if (patientData.currentAssignmentId) candidateIds.add(patientData.currentAssignmentId);
+
+    // Find the assignment being closed
+    let currentAssignment = null;
+    for (const id of candidateIds) {
+      const assignmentRef = doc(db, BED_ASSIGNMENTS_COLLECTION, id);
+      const assignmentDoc = await transaction.get(assignmentRef);
+      if (assignmentDoc.exists() && !assignmentDoc.data().dischargedAt) {
+        currentAssignment = { ref: assignmentRef, ...assignmentDoc.data() };
+        break;
+      }
+    }
+    if (!currentAssignment) {
+      throw new BedAssignmentConflictError('Patient is not currently assigned to a bed');
+    }
+
+    const fromBedId = currentAssignment.bedId;
+    if (fromBedId === toBedId) {
+      throw new Error('Patient is already in this bed');
+    }
+
+    const fromBedRef = doc(db, BEDS_COLLECTION, fromBedId);
+    const fromBedDoc = await transaction.get(fromBedRef);
+    const toBedDoc = await transaction.get(toBedRef);
+    if (!toBedDoc.exists()) throw new Error('Target bed not found');
+
+    const toBedData = toBedDoc.data();
+    const toBedStatus = getBedStatus(toBedData);
+    if (toBedStatus === BED_STATUS.OCCUPIED) {
+      throw new BedAssignmentConflictError('Target bed was just assigned to another patient');
+    }
+    if (!canTransitionBedStatus(toBedStatus, BED_STATUS.OCCUPIED)) {
+      throw new BedAssignmentConflictError(`Target bed was just marked as ${toBedStatus}`);
+    }
+    if (isBedHeldForAnotherPatient(toBedData, patientId)) {
+      throw new BedAssignmentConflictError(
+        `Target bed is reserved for ${toBedData.reservedForName || 'another patient'}`
+      );
+    }
+
+    const reservation = await getBedReservation(transaction, toBedData);
+
+    const now = Timestamp.now();
+    const transferReason = reason.trim();
+    const assignmentData = {
+      bedId: toBedId,
+      bedNumber: toBedData.bedNumber || null,
+      departmentId: toBedData.departmentId || null,
+      patientId,
+      assignedBy: transferredBy,
+      assignedAt: now,
+      dischargedAt: null,
+      status: BED_ASSIGNMENT_STATUS.ACTIVE,
+      notes: null,
+      transferReason,
+      transferredFromBedId: fromBedId,
+      transferredFromAssignmentId: currentAssignment.ref.id,
+      // The stay continues, so its expected end moves with the patient
+      expectedDischargeAt: currentAssignment.expectedDischargeAt || null,
+    };
+
+    transaction.update(currentAssignment.ref, {
+      dischargedAt: now,
+      dischargedBy: transferredBy,
+      status: BED_ASSIGNMENT_STATUS.TRANSFERRED,
+      transferReason,
+      transferredAt: now,
+      transferredToBedId: toBedId,
+      transferredToAssignmentId: newAssignmentRef.id,
+    });
+    transaction.set(newAssignmentRef, assignmentData);
+
+    if (fromBedDoc.exists()) {
+      transaction.update(fromBedRef, {
+        ...buildBedStatusFields(BED_STATUS.CLEANING, { updatedBy: transferredBy }, now),
+        currentAssignmentId: null,
+        expectedDischargeAt: null,
+      });
+    }
+    closeBedReservation(transaction, reservation, toBedData, now, newAssignmentRef.id);
+    transaction.update(toBedRef, {
+      ...buildBedStatusFields(BED_STATUS.OCCUPIED, { updatedBy: transferredBy }, now),
+      ...buildBedReservationFields(null),
+      currentAssignmentId: newAssignmentRef.id,
+      expectedDischargeAt: assignmentData.expectedDischargeAt,
+    });
+    transaction.update(patientRef, {
+      currentBedId: toBedId,
+      currentAssignmentId: newAssignmentRef.id,
+      ...(toBedData.departmentId && { department: toBedData.departmentId }),
+    });
+
+    return { id: newAssignmentRef.id, ...assignmentData };
+  });
+};
+
+/**
+ * Set or clear the expected discharge date of an active assignment.
+ * The bed carries a copy so live bed subscriptions and the forecast see it.
+ * @param {Object} params - { assignmentId, expectedDischargeAt, updatedBy? } - empty date clears it
+ * @returns {Promise<Object>} { assignmentId, bedId, expectedDischargeAt }
+ * @throws {BedAssignmentConflictError} If the stay already ended
+ */
+export const setExpectedDischargeAtomically = async ({ assignmentId, expectedDischargeAt, updatedBy = 'system' }) => {
+  if (!assignmentId) throw new Error('Bed assignment ID is required');
+
+  const assignmentRef = doc(db, BED_ASSIGNMENTS_COLLECTION, assignmentId);
+
+  return runTransaction(db, async (transaction) => {
+    const assignmentDoc = await transaction.get(assignmentRef);
+    if (!assignmentDoc.exists()) throw new Error('Bed assignment not found');
+
+    const assignment = assignmentDoc.data();
+    if (assignment.dischargedAt) {
+      throw new BedAssignmentConflictError('Patient has already left this bed');
+    }
+
+    const bedRef = doc(db, BEDS_COLLECTION, assignment.bedId);
+    const bedDoc = await transaction.get(bedRef);
+
+    const expectedDischarge = toExpectedDischargeTimestamp(
+      expectedDischargeAt,
+      assignment.assignedAt?.toDate ? assignment.assignedAt.toDate() : new Date(),
+      'Expected discharge cannot be before the admission day'
+    );
+    const now = Timestamp.now();
+
+    transaction.update(assignmentRef, {
+      expectedDischargeAt: expectedDischarge,
+      expectedDischargeUpdatedBy: updatedBy,
+      expectedDischargeUpdatedAt: now,
+    });
+    // Only mirror onto the bed while it still points at this stay
+    if (bedDoc.exists() && bedDoc.data().currentAssignmentId === assignmentId) {
+      transaction.update(bedRef, { expectedDischargeAt: expectedDischarge });
+    }
+
+    return {
+      assignmentId,
+      bedId: assignment.bedId,
+      expectedDischargeAt: expectedDischarge ? expectedDischarge.toDate().toISOString() : null,
+    };
+  });
+};
+
+export default {
+  assignBedAtomically,
+  transferBedAtomically,
+  dischargeBedAtomically,
+  setExpectedDischargeAtomically,
+};
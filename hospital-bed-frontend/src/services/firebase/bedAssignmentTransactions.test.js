@@ -0,0 +1,303 @@
+// src/services/firebase/bedAssignmentTransactions.test.js
+/**
+ * Concurrency tests for the bed assignment transactions, against the
+ * Firestore emulator with the project's security rules.
+ *
+ * Run with `npm run test:emulator` (starts the emulator), or set
+ * FIRESTORE_EMULATOR_HOST=localhost:8080 with an emulator already running.
+ * Skipped when no emulator is configured.
+ *
+ * Each race holds every caller after its pre-transaction checks until all of
+ * them got there, so the transactions really do contend for the same documents.
+ */
+
+import { readFileSync } from 'node:fs';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { BED_REQUEST_STATUS, BED_RESERVATION_STATUS, BED_STATUS, ROOM_GENDER_POLICY } from '@lib/constants';
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const NURSE_ID = 'nurse-1';
+const DOCTOR_ID = 'doctor-1';
+const DEPARTMENT_ID = 'ward-a';
+
+// The services use this instance: a signed-in nurse on the emulator.
+// Set in beforeAll, before the services are first imported.
+const firestore = vi.hoisted(() => ({ db: null }));
+vi.mock('./firebaseConfig', () => ({
+  db: firestore.db,
+  auth: null,
+  default: null,
+}));
+
+// Holds validated callers until release() (see holdAfterValidation)
+const gate = vi.hoisted(() => ({ wait: null }));
+vi.mock('./bedAssignmentValidation', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    validateBedAssignment: async (...args) => {
+      const result = await actual.validateBedAssignment(...args);
+      if (gate.wait) await gate.wait();
+      return result;
+    },
+  };
+});
+
+/**
+ * Hold callers after validation. reached resolves once `count` callers have
+ * arrived; they go on together then, or at release() when autoRelease is off.
+ * @param {number} count
+ * @param {Object} [options] - { autoRelease = true }
+ * @returns {{ reached: Promise<void>, release: Function }}
+ */
+const holdAfterValidation = (count, { autoRelease = true } = {}) => {
+  let arrived = 0;
+  let release;
+  let signalReached;
+  const released = new Promise(resolve => { release = resolve; });
+  const reached = new Promise(resolve => { signalReached = resolve; });
+  gate.wait = async () => {
+    arrived += 1;
+    if (arrived === count) {
+      signalReached();
+      if (autoRelease) release();
+    }
+    await released;
+  };
+  return { reached, release };
+};
+
+describe.skipIf(!EMULATOR_HOST)('bed assignment transactions (Firestore emulator)', () => {
+  let testEnv;
+  let assignBedAtomically;
+  let dischargeBedAtomically;
+  let isBedAssignmentConflict;
+  let isBedConstraintError;
+  let updateBedStatus;
+
+  /**
+   * Read documents with rules disabled
+   * @param {Function} read - (db) => Promise<any>
+   * @returns {Promise<any>}
+   */
+  const asAdmin = async (read) => {
+    let result;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      result = await read(context.firestore());
+    });
+    return result;
+  };
+
+  const seed = (path, data) => asAdmin(db => setDoc(doc(db, path), data));
+
+  const openAssignments = (bedId) => asAdmin(async (db) => {
+    const snapshot = await getDocs(query(
+      collection(db, 'bedAssignments'),
+      where('bedId', '==', bedId),
+      where('dischargedAt', '==', null)
+    ));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  });
+
+  const readDoc = (path) => asAdmin(async (db) => {
+    const snapshot = await getDoc(doc(db, path));
+    return snapshot.exists() ? snapshot.data() : null;
+  });
+
+  /**
+   * The bed, its open assignments and its patients must agree: an occupied
+   * bed has exactly the one open assignment it points at, a free bed none.
+   * @param {string} bedId
+   */
+  const expectConsistentBed = async (bedId) => {
+    const bed = await readDoc(`beds/${bedId}`);
+    const open = await openAssignments(bedId);
+
+    if (bed.status === BED_STATUS.OCCUPIED) {
+      expect(open).toHaveLength(1);
+      expect(bed.currentAssignmentId).toBe(open[0].id);
+      const patient = await readDoc(`patients/${open[0].patientId}`);
+      expect(patient.currentBedId).toBe(bedId);
+      expect(patient.currentAssignmentId).toBe(open[0].id);
+    } else {
+      expect(open).toHaveLength(0);
+      expect(bed.currentAssignmentId ?? null).toBeNull();
+    }
+  };
+
+  beforeAll(async () => {
+    const [host, port] = EMULATOR_HOST.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-hbms',
+      firestore: {
+        host,
+        port: Number(port),
+        rules: readFileSync(new URL('../../../firestore.rules', import.meta.url), 'utf8'),
+      },
+    });
+    firestore.db = testEnv.authenticatedContext(NURSE_ID).firestore();
+
+    ({ assignBedAtomically, dischargeBedAtomically } = await import('./bedAssignmentTransactions'));
+    ({ isBedAssignmentConflict, isBedConstraintError } = await import('./bedAssignmentValidation'));
+    ({ updateStatus: updateBedStatus } = await import('./bedFirebase'));
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(`users/${NURSE_ID}`, { role: 'nurse', fullName: 'Test Nurse', departmentId: DEPARTMENT_ID });
+    await seed(`users/${DOCTOR_ID}`, { role: 'doctor', fullName: 'Test Doctor', departmentId: DEPARTMENT_ID });
+    await seed('beds/bed-1', { bedNumber: '101', departmentId: DEPARTMENT_ID, status: BED_STATUS.AVAILABLE });
+    await seed('patients/patient-1', { fullName: 'Patient One', department: DEPARTMENT_ID, gender: 'female' });
+    await seed('patients/patient-2', { fullName: 'Patient Two', department: DEPARTMENT_ID, gender: 'female' });
+  });
+
+  afterEach(() => {
+    gate.wait = null;
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  it('gives a contested bed to exactly one patient', async () => {
+    holdAfterValidation(2);
+
+    const results = await Promise.allSettled([
+      assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-1', assignedBy: NURSE_ID }),
+      assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-2', assignedBy: NURSE_ID }),
+    ]);
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(isBedAssignmentConflict(rejected[0].reason)).toBe(true);
+
+    await expectConsistentBed('bed-1');
+    const loser = results[0].status === 'rejected' ? 'patient-1' : 'patient-2';
+    expect((await readDoc(`patients/${loser}`)).currentBedId ?? null).toBeNull();
+  });
+
+  it('leaves no orphan assignment when a discharge races an assignment', async () => {
+    const { reached, release } = holdAfterValidation(1, { autoRelease: false });
+
+    const assigning = assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-1', assignedBy: NURSE_ID });
+    await reached;
+    // The assignment has passed its checks; discharge the bed while it commits
+    const discharging = dischargeBedAtomically({ bedId: 'bed-1', dischargedBy: NURSE_ID });
+    release();
+
+    const [assigned, discharged] = await Promise.allSettled([assigning, discharging]);
+    expect(assigned.status).toBe('fulfilled');
+    if (discharged.status === 'rejected') {
+      // Discharge ran first and found the bed empty
+      expect(isBedAssignmentConflict(discharged.reason)).toBe(true);
+    }
+
+    await expectConsistentBed('bed-1');
+    const patient = await readDoc('patients/patient-1');
+    const assignment = await readDoc(`bedAssignments/${assigned.value.id}`);
+    if (discharged.status === 'fulfilled') {
+      expect(discharged.value.assignmentIds).toEqual([assigned.value.id]);
+      expect(assignment.dischargedAt).not.toBeNull();
+      expect(patient.currentBedId).toBeNull();
+    } else {
+      expect(assignment.dischargedAt).toBeNull();
+      expect(patient.currentBedId).toBe('bed-1');
+    }
+  });
+
+  it('marks the waitlist request assigned with the bed, once', async () => {
+    await seed('bedRequests/request-1', { patientId: 'patient-1', status: BED_REQUEST_STATUS.WAITING });
+    holdAfterValidation(2);
+
+    const results = await Promise.allSettled([
+      assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-1', assignedBy: NURSE_ID, bedRequestId: 'request-1' }),
+      assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-1', assignedBy: NURSE_ID, bedRequestId: 'request-1' }),
+    ]);
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled');
+    expect(fulfilled).toHaveLength(1);
+    const request = await readDoc('bedRequests/request-1');
+    expect(request.status).toBe(BED_REQUEST_STATUS.ASSIGNED);
+    expect(request.assignedBedId).toBe('bed-1');
+    expect(request.assignmentId).toBe(fulfilled[0].value.id);
+    await expectConsistentBed('bed-1');
+  });
+
+  it('counts roommates admitted without currentBedId in single-sex rooms', async () => {
+    await seed('rooms/room-1', { departmentId: DEPARTMENT_ID, genderPolicy: ROOM_GENDER_POLICY.SINGLE_SEX });
+    await seed('beds/bed-1', { bedNumber: '101', departmentId: DEPARTMENT_ID, roomId: 'room-1', status: BED_STATUS.AVAILABLE });
+    await seed('beds/bed-2', { bedNumber: '102', departmentId: DEPARTMENT_ID, roomId: 'room-1', status: BED_STATUS.OCCUPIED });
+    await seed('patients/patient-3', { fullName: 'Patient Three', department: DEPARTMENT_ID, gender: 'male' });
+    // Admission from before transactions: only the assignment records the bed
+    await seed('bedAssignments/legacy-1', { bedId: 'bed-2', patientId: 'patient-3', dischargedAt: null });
+
+    const assigning = assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-1', assignedBy: NURSE_ID });
+
+    await expect(assigning).rejects.toSatisfy(isBedConstraintError);
+    expect((await readDoc('beds/bed-1')).status).toBe(BED_STATUS.AVAILABLE);
+  });
+
+  it('lets a doctor fill a free bed only with a new assignment', async () => {
+    const doctorDb = testEnv.authenticatedContext(DOCTOR_ID).firestore();
+    const bedRef = doc(doctorDb, 'beds/bed-1');
+    const occupied = { status: BED_STATUS.OCCUPIED, isOccupied: true, statusUpdatedBy: DOCTOR_ID };
+
+    // Admission: assignment and bed written together, as assignBedAtomically does
+    const admit = writeBatch(doctorDb);
+    admit.set(doc(doctorDb, 'bedAssignments/assignment-1'), { bedId: 'bed-1', patientId: 'patient-1', dischargedAt: null });
+    admit.update(bedRef, { ...occupied, currentAssignmentId: 'assignment-1' });
+    await assertSucceeds(admit.commit());
+
+    // Not without the assignment, not over an occupant, not other statuses
+    await seed('beds/bed-2', { bedNumber: '102', departmentId: DEPARTMENT_ID, status: BED_STATUS.AVAILABLE });
+    await assertFails(updateDoc(doc(doctorDb, 'beds/bed-2'), { ...occupied, currentAssignmentId: 'missing' }));
+    await assertFails(updateDoc(bedRef, { ...occupied, currentAssignmentId: 'assignment-1', statusReason: 'again' }));
+    await assertFails(updateDoc(doc(doctorDb, 'beds/bed-2'), { status: BED_STATUS.CLEANING }));
+  });
+
+  it('takes a reserved bed out of service without reopening a closed hold', async () => {
+    await seed('bedReservations/hold-1', { bedId: 'bed-1', patientId: 'patient-1', status: BED_RESERVATION_STATUS.FULFILLED });
+    await seed('beds/bed-1', {
+      bedNumber: '101',
+      departmentId: DEPARTMENT_ID,
+      status: BED_STATUS.RESERVED,
+      currentReservationId: 'hold-1',
+    });
+
+    await updateBedStatus('bed-1', BED_STATUS.MAINTENANCE, { reason: 'Broken rail', updatedBy: NURSE_ID });
+
+    const bed = await readDoc('beds/bed-1');
+    expect(bed.status).toBe(BED_STATUS.MAINTENANCE);
+    expect(bed.currentReservationId).toBeNull();
+    expect((await readDoc('bedReservations/hold-1')).status).toBe(BED_RESERVATION_STATUS.FULFILLED);
+  });
+
+  it('discharges an occupied bed only once', async () => {
+    const assignment = await assignBedAtomically({ bedId: 'bed-1', patientId: 'patient-1', assignedBy: NURSE_ID });
+
+    const results = await Promise.allSettled([
+      dischargeBedAtomically({ bedId: 'bed-1', dischargedBy: NURSE_ID }),
+      dischargeBedAtomically({ assignmentId: assignment.id, dischargedBy: NURSE_ID }),
+    ]);
+
+    const rejected = results.filter(r => r.status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(isBedAssignmentConflict(rejected[0].reason)).toBe(true);
+    expect((await readDoc('beds/bed-1')).status).toBe(BED_STATUS.CLEANING);
+    await expectConsistentBed('bed-1');
+  });
+});
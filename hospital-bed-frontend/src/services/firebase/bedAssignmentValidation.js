@@ -4,6 +4,11 @@
  * 
  * Provides centralized validation logic to ensure consistency
  * across bedFirebase and bedAssignmentFirebase services.
+ * 
+ * These checks run before the assignment transaction to give clear
+ * errors early; the transaction itself re-checks occupancy.
+ * Clinical fit (isolation, equipment, room gender) is reported as a
+ * BedConstraintError listing every failed constraint.
  */
 
 import { 
@@ -15,17 +20,165 @@ import {
   where 
 } from 'firebase/firestore';
 import { db } from './firebaseConfig';
+import {
+  getBedStatus,
+  canTransitionBedStatus,
+  isBedHeldForAnotherPatient
+} from './bedStatusTransitions';
+import { evaluateBedConstraints, getRoomGenderPolicy } from './bedConstraints';
+import { BED_STATUS, ROOM_GENDER_POLICY } from '@lib/constants';
 
 const BEDS_COLLECTION = 'beds';
+const ROOMS_COLLECTION = 'rooms';
 const PATIENTS_COLLECTION = 'patients';
 const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
 
+// Firestore 'in' filters take at most 30 values
+const MAX_IN_VALUES = 30;
+
+/**
+ * Raised when a bed or patient changed underneath an assignment/discharge,
+ * e.g. two receptionists assigning the same bed at the same time.
+ * Callers should refresh their bed list rather than retry blindly.
+ */
+export class BedAssignmentConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BedAssignmentConflictError';
+    this.code = 'bed-assignment/conflict';
+  }
+}
+
+/**
+ * Check whether an error is a bed assignment conflict
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isBedAssignmentConflict = (error) =>
+  error instanceof BedAssignmentConflictError || error?.code === 'bed-assignment/conflict';
+
+/**
+ * Raised when a bed cannot clinically serve a patient, e.g. a non-isolation
+ * bed for an infectious patient or a room of the other gender.
+ * `failures` lists every failed constraint as { constraint, message }.
+ */
+export class BedConstraintError extends Error {
+  constructor(failures = []) {
+    super(`Bed does not meet patient requirements: ${failures.map(f => f.message).join('; ')}`);
+    this.name = 'BedConstraintError';
+    this.code = 'bed-assignment/constraints';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Check whether an error is a failed bed constraint check
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isBedConstraintError = (error) =>
+  error instanceof BedConstraintError || error?.code === 'bed-assignment/constraints';
+
+/**
+ * Load the room gender policy and the genders of the patients already in the room
+ * @param {Object} bedData - raw Firestore bed data
+ * @param {string} bedId
+ * @param {string} patientId - patient being placed (not counted as a roommate)
+ * @returns {Promise<{genderPolicy: string, roommateGenders: Array<string>}>}
+ */
+const getRoomContext = async (bedData, bedId, patientId) => {
+  if (!bedData.roomId) {
+    return { genderPolicy: getRoomGenderPolicy(bedData), roommateGenders: [] };
+  }
+
+  const roomDoc = await getDoc(doc(db, ROOMS_COLLECTION, bedData.roomId));
+  const genderPolicy = getRoomGenderPolicy(bedData, roomDoc.exists() ? roomDoc.data() : null);
+  if (genderPolicy !== ROOM_GENDER_POLICY.SINGLE_SEX) {
+    return { genderPolicy, roommateGenders: [] };
+  }
+
+  const roomBeds = await getDocs(query(
+    collection(db, BEDS_COLLECTION),
+    where('roomId', '==', bedData.roomId)
+  ));
+  const otherBedIds = roomBeds.docs.map(d => d.id).filter(id => id !== bedId);
+  if (otherBedIds.length === 0) return { genderPolicy, roommateGenders: [] };
+
+  // Roommates come from the open assignments, which every admission has
+  // (patients admitted before transactions have no currentBedId)
+  const bedIdChunks = [];
+  for (let i = 0; i < otherBedIds.length; i += MAX_IN_VALUES) {
+    bedIdChunks.push(otherBedIds.slice(i, i + MAX_IN_VALUES));
+  }
+  const assignmentSnapshots = await Promise.all(bedIdChunks.map(bedIds => getDocs(query(
+    collection(db, BED_ASSIGNMENTS_COLLECTION),
+    where('bedId', 'in', bedIds),
+    where('dischargedAt', '==', null)
+  ))));
+  const roommateIds = new Set(
+    assignmentSnapshots
+      .flatMap(snapshot => snapshot.docs.map(d => d.data().patientId))
+      .filter(id => id && id !== patientId)
+  );
+
+  const roommates = await Promise.all(
+    [...roommateIds].map(id => getDoc(doc(db, PATIENTS_COLLECTION, id)))
+  );
+
+  return {
+    genderPolicy,
+    roommateGenders: roommates
+      .filter(d => d.exists())
+      .map(d => d.data().gender)
+      .filter(Boolean),
+  };
+};
+
+/**
+ * Check a bed against a patient's clinical requirements
+ * @param {Object} bed - { id, ...raw bed data }
+ * @param {Object} patient - { id, ...raw patient data }
+ * @throws {BedConstraintError} If any constraint fails
+ */
+const assertBedConstraints = async (bed, patient) => {
+  const { genderPolicy, roommateGenders } = await getRoomContext(bed, bed.id, patient.id);
+  const failures = evaluateBedConstraints({ bed, patient, genderPolicy, roommateGenders });
+  if (failures.length > 0) {
+    throw new BedConstraintError(failures);
+  }
+};
+
+/**
+ * Validates that a bed meets a patient's requirements (isolation, equipment, room gender)
+ * @param {string} bedId - The bed ID
+ * @param {string} patientId - The patient ID
+ * @returns {Promise<void>}
+ * @throws {BedConstraintError} If any constraint fails
+ */
+export const validateBedConstraints = async (bedId, patientId) => {
+  if (!bedId || !patientId) {
+    throw new Error('Both bed ID and patient ID are required');
+  }
+
+  const bedDoc = await getDoc(doc(db, BEDS_COLLECTION, bedId));
+  if (!bedDoc.exists()) throw new Error('Bed not found');
+
+  const patientDoc = await getDoc(doc(db, PATIENTS_COLLECTION, patientId));
+  if (!patientDoc.exists()) throw new Error('Patient not found');
+
+  await assertBedConstraints(
+    { id: bedDoc.id, ...bedDoc.data() },
+    { id: patientDoc.id, ...patientDoc.data() }
+  );
+};
+
 /**
  * Validates a bed assignment before creation
  * @param {string} bedId - The bed ID
  * @param {string} patientId - The patient ID
  * @returns {Promise<{bed: Object, patient: Object}>} Validated bed and patient data
  * @throws {Error} If validation fails
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
  */
 export const validateBedAssignment = async (bedId, patientId) => {
   if (!bedId || !patientId) {
@@ -41,11 +194,20 @@ export const validateBedAssignment = async (bedId, patientId) => {
   }
   
   const bedData = bedDoc.data();
+  const bedStatus = getBedStatus(bedData);
   
-  if (bedData.isOccupied) {
+  if (bedStatus === BED_STATUS.OCCUPIED) {
     throw new Error('Bed is already occupied');
   }
 
+  if (!canTransitionBedStatus(bedStatus, BED_STATUS.OCCUPIED)) {
+    throw new Error(`Bed is not available for assignment (status: ${bedStatus})`);
+  }
+
+  if (isBedHeldForAnotherPatient(bedData, patientId)) {
+    throw new Error(`Bed is reserved for ${bedData.reservedForName || 'another patient'}`);
+  }
+
   // Validate patient exists
   const patientRef = doc(db, PATIENTS_COLLECTION, patientId);
   const patientDoc = await getDoc(patientRef);
@@ -79,12 +241,18 @@ export const validateBedAssignment = async (bedId, patientId) => {
     throw new Error('Patient department does not match bed department');
   }
 
-  return {
-    bed: { id: bedDoc.id, ...bedData },
-    patient: { id: patientDoc.id, ...patientData }
-  };
+  const bed = { id: bedDoc.id, ...bedData };
+  const patient = { id: patientDoc.id, ...patientData };
+
+  // Clinical fit: isolation, equipment and room gender
+  await assertBedConstraints(bed, patient);
+
+  return { bed, patient };
 };
 
 export default {
-  validateBedAssignment
+  validateBedAssignment,
+  validateBedConstraints,
+  isBedAssignmentConflict,
+  isBedConstraintError,
 };
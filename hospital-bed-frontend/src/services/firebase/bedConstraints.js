@@ -0,0 +1,161 @@
+// src/services/firebase/bedConstraints.js
+/**
+ * Bed constraints
+ *
+ * Pure helpers that decide whether a bed can clinically serve a patient.
+ * Shared by bedAssignmentValidation (server-side enforcement) and the bed
+ * dialogs (filtering). Accept both raw Firestore data (camelCase) and
+ * transformed data (snake_case).
+ *
+ * Rules:
+ * - Isolation patients need an isolation-capable bed
+ * - Airborne isolation additionally needs a negative pressure room
+ * - Oxygen, cardiac monitor and bariatric needs must be met by the bed
+ * - Male/female rooms only take that gender
+ * - Single-sex rooms take the gender of the patients already in the room
+ */
+
+import {
+  BED_ATTRIBUTES,
+  BED_ATTRIBUTE_LABELS,
+  ISOLATION_TYPES,
+  ROOM_GENDER_POLICY
+} from '@lib/constants';
+
+/**
+ * Read a boolean flag from camelCase or snake_case sources
+ * @param {Array<Object>} sources
+ * @param {string} camelKey
+ * @param {string} snakeKey
+ * @returns {boolean}
+ */
+const readFlag = (sources, camelKey, snakeKey = camelKey) =>
+  sources.some(source => !!(source?.[camelKey] ?? source?.[snakeKey]));
+
+/**
+ * Normalize bed equipment/capability flags
+ * @param {Object} bed - raw or transformed bed
+ * @returns {Object} { isolation, negativePressure, oxygen, monitor, bariatric }
+ */
+export const getBedAttributes = (bed = {}) => {
+  const sources = [bed.attributes, bed];
+  const negativePressure = readFlag(sources, 'negativePressure', 'negative_pressure');
+  return {
+    // A negative pressure room is always usable for isolation
+    isolation: negativePressure || readFlag(sources, 'isolation'),
+    negativePressure,
+    oxygen: readFlag(sources, 'oxygen'),
+    monitor: readFlag(sources, 'monitor'),
+    bariatric: readFlag(sources, 'bariatric'),
+  };
+};
+
+/**
+ * Normalize a patient's bed requirements
+ * @param {Object} patient - raw or transformed patient (or bed request)
+ * @returns {Object} { isolation, requiresOxygen, requiresMonitor, bariatric, gender }
+ */
+export const getPatientBedRequirements = (patient = {}) => ({
+  isolation: patient.isolation || ISOLATION_TYPES.NONE,
+  requiresOxygen: !!(patient.requiresOxygen ?? patient.requires_oxygen),
+  requiresMonitor: !!(patient.requiresMonitor ?? patient.requires_monitor),
+  bariatric: !!patient.bariatric,
+  gender: patient.gender || null,
+});
+
+/**
+ * List the bed attributes a patient needs
+ * @param {Object} patient - raw or transformed patient (or bed request)
+ * @returns {Array<string>} BED_ATTRIBUTES values
+ */
+export const getRequiredBedAttributes = (patient = {}) => {
+  const requirements = getPatientBedRequirements(patient);
+  const required = [];
+
+  if (requirements.isolation !== ISOLATION_TYPES.NONE) required.push(BED_ATTRIBUTES.ISOLATION);
+  if (requirements.isolation === ISOLATION_TYPES.AIRBORNE) required.push(BED_ATTRIBUTES.NEGATIVE_PRESSURE);
+  if (requirements.requiresOxygen) required.push(BED_ATTRIBUTES.OXYGEN);
+  if (requirements.requiresMonitor) required.push(BED_ATTRIBUTES.MONITOR);
+  if (requirements.bariatric) required.push(BED_ATTRIBUTES.BARIATRIC);
+
+  return required;
+};
+
+/**
+ * Room gender policy of a bed (transformed beds carry their room's policy)
+ * @param {Object} bed - raw or transformed bed
+ * @param {Object|null} room - raw room data, if loaded separately
+ * @returns {string} ROOM_GENDER_POLICY value
+ */
+export const getRoomGenderPolicy = (bed = {}, room = null) =>
+  room?.genderPolicy || room?.gender_policy || bed.gender_policy || bed.genderPolicy
+    || bed.room?.genderPolicy || ROOM_GENDER_POLICY.MIXED;
+
+/**
+ * Genders of the other patients currently in a bed's room
+ * @param {Object} bed - transformed bed
+ * @param {Array} beds - transformed beds (with current_patient)
+ * @param {string} patientId - patient being placed (ignored if already in the room)
+ * @returns {Array<string>}
+ */
+export const getRoommateGenders = (bed, beds = [], patientId = null) =>
+  beds
+    .filter(other =>
+      other.id !== bed.id &&
+      other.room_id && other.room_id === bed.room_id &&
+      other.current_patient && other.current_patient.id !== patientId
+    )
+    .map(other => other.current_patient.gender)
+    .filter(Boolean);
+
+/**
+ * Evaluate every constraint between a bed and a patient
+ * @param {Object} params - { bed, patient, genderPolicy?, roommateGenders? }
+ * @returns {Array<{constraint: string, message: string}>} failed constraints (empty when the bed fits)
+ */
+export const evaluateBedConstraints = ({
+  bed,
+  patient,
+  genderPolicy = getRoomGenderPolicy(bed),
+  roommateGenders = [],
+}) => {
+  const attributes = getBedAttributes(bed);
+  const requirements = getPatientBedRequirements(patient);
+  const failures = [];
+
+  getRequiredBedAttributes(patient).forEach(attribute => {
+    if (attributes[attribute]) return;
+    let message = `Patient requires a bed with ${BED_ATTRIBUTE_LABELS[attribute].toLowerCase()} support`;
+    if (attribute === BED_ATTRIBUTES.ISOLATION) {
+      message = `Patient needs ${requirements.isolation} isolation; bed is not isolation-capable`;
+    } else if (attribute === BED_ATTRIBUTES.NEGATIVE_PRESSURE) {
+      message = 'Airborne isolation requires a negative pressure room';
+    }
+    failures.push({ constraint: attribute, message });
+  });
+
+  // Gender is only enforced when known; unrecorded gender cannot be checked
+  const gender = requirements.gender;
+  if (gender) {
+    if (
+      (genderPolicy === ROOM_GENDER_POLICY.MALE || genderPolicy === ROOM_GENDER_POLICY.FEMALE) &&
+      gender !== genderPolicy
+    ) {
+      failures.push({ constraint: 'gender', message: `Room is restricted to ${genderPolicy} patients` });
+    }
+    if (genderPolicy === ROOM_GENDER_POLICY.SINGLE_SEX && roommateGenders.some(g => g !== gender)) {
+      failures.push({ constraint: 'gender', message: 'Room is single-sex and already occupied by another gender' });
+    }
+  }
+
+  return failures;
+};
+
+export default {
+  getBedAttributes,
+  getPatientBedRequirements,
+  getRequiredBedAttributes,
+  getRoomGenderPolicy,
+  getRoommateGenders,
+  evaluateBedConstraints,
+};
@@ -7,7 +7,8 @@
  * 
  * Features:
  * - CRUD operations for beds
- * - Bed assignment and discharge
+ * - Bed assignment, transfer and discharge
+ * - Bed lifecycle (available → occupied → cleaning → available, maintenance, blocked, reserved)
  * - Real-time bed status updates
  * - Compatible with existing bedApi interface
  */
@@ -18,20 +19,76 @@ import {
   getDocs, 
   getDoc, 
   setDoc, 
-  updateDoc, 
   query, 
   where,
   onSnapshot,
+  runTransaction,
   Timestamp 
 } from 'firebase/firestore';
 import { db } from './firebaseConfig';
-import { validateBedAssignment } from './bedAssignmentValidation';
+import { isBedAssignmentConflict, isBedConstraintError } from './bedAssignmentValidation';
+import { notifyQueueForBed } from './bedRequestFirebase';
+import { scheduleFollowUp } from './dischargeFirebase';
+import {
+  assignBedAtomically,
+  transferBedAtomically,
+  dischargeBedAtomically
+} from './bedAssignmentTransactions';
+import {
+  getBedStatus,
+  assertBedStatusTransition,
+  buildBedReservationFields,
+  buildBedStatusFields
+} from './bedStatusTransitions';
+import { getBedAttributes, getRoomGenderPolicy } from './bedConstraints';
+import { BED_STATUS, BED_RESERVATION_STATUS } from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
 
 const BEDS_COLLECTION = 'beds';
 const DEPARTMENTS_COLLECTION = 'departments';
 const ROOMS_COLLECTION = 'rooms';
 const PATIENTS_COLLECTION = 'patients';
 const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+const BED_RESERVATIONS_COLLECTION = 'bedReservations';
+
+/**
+ * Basic bed shape used when related data cannot be resolved
+ * @param {Object} bedData - raw Firestore bed data
+ * @param {string} bedId - bed document ID
+ * @returns {Object} bed data without nested relations
+ */
+const basicBedData = (bedData, bedId) => {
+  const status = getBedStatus(bedData);
+  const attributes = getBedAttributes(bedData);
+  return {
+    id: bedId,
+    bed_number: bedData.bedNumber || bedData.bed_number,
+    room_number: 'N/A',
+    status,
+    status_reason: bedData.statusReason || null,
+    status_updated_at: toIsoString(bedData.statusUpdatedAt),
+    isOccupied: status === BED_STATUS.OCCUPIED,
+    department_id: bedData.departmentId,
+    room_id: bedData.roomId,
+    current_assignment_id: bedData.currentAssignmentId || null,
+    expected_discharge_at: status === BED_STATUS.OCCUPIED ? toIsoString(bedData.expectedDischargeAt) : null,
+    isolation: attributes.isolation,
+    attributes: {
+      isolation: attributes.isolation,
+      negative_pressure: attributes.negativePressure,
+      oxygen: attributes.oxygen,
+      monitor: attributes.monitor,
+      bariatric: attributes.bariatric,
+    },
+    gender_policy: getRoomGenderPolicy(bedData),
+    reservation: status === BED_STATUS.RESERVED ? {
+      id: bedData.currentReservationId,
+      patient_id: bedData.reservedForPatientId || null,
+      patient_name: bedData.reservedForName || null,
+      expires_at: toIsoString(bedData.reservationExpiresAt),
+    } : null,
+  };
+};
 
 /**
  * Transform Firestore bed data to match expected UI format
@@ -45,6 +102,7 @@ const transformBedData = async (bedData, bedId) => {
     let department = null;
     let room = null;
     let currentPatient = null;
+    const status = getBedStatus(bedData);
 
     // Get department if departmentId exists
     if (bedData.departmentId) {
@@ -75,7 +133,7 @@ const transformBedData = async (bedData, bedId) => {
     }
 
     // Get current patient if bed is occupied
-    if (bedData.isOccupied) {
+    if (status === BED_STATUS.OCCUPIED) {
       // Find active assignment
       const assignmentsQuery = query(
         collection(db, BED_ASSIGNMENTS_COLLECTION),
@@ -102,13 +160,9 @@ const transformBedData = async (bedData, bedId) => {
     }
 
     return {
-      id: bedId,
-      bed_number: bedData.bedNumber || bedData.bed_number,
+      ...basicBedData(bedData, bedId),
       room_number: room?.roomNumber || room?.room_number || 'N/A',
-      status: bedData.isOccupied ? 'occupied' : 'available',
-      isOccupied: bedData.isOccupied,
-      department_id: bedData.departmentId,
-      room_id: bedData.roomId,
+      gender_policy: getRoomGenderPolicy(bedData, room),
       department: department,
       room: room,
       current_patient: currentPatient,
@@ -116,15 +170,7 @@ const transformBedData = async (bedData, bedId) => {
   } catch (error) {
     console.error('Transform bed data error:', error);
     // Return basic bed data if transformation fails
-    return {
-      id: bedId,
-      bed_number: bedData.bedNumber || bedData.bed_number,
-      room_number: 'N/A',
-      status: bedData.isOccupied ? 'occupied' : 'available',
-      isOccupied: bedData.isOccupied,
-      department_id: bedData.departmentId,
-      room_id: bedData.roomId,
-    };
+    return basicBedData(bedData, bedId);
   }
 };
 
@@ -148,6 +194,9 @@ export const getAll = async (params = {}) => {
     if (params.isOccupied !== undefined) {
       constraints.push(where('isOccupied', '==', params.isOccupied));
     }
+    if (params.status) {
+      constraints.push(where('status', '==', params.status));
+    }
     
     if (constraints.length > 0) {
       bedsQuery = query(bedsQuery, ...constraints);
@@ -208,8 +257,11 @@ export const getById = async (bedId) => {
 
 /**
  * Assign bed to patient
- * @param {Object} payload - { bed_id, patient_id, assigned_by }
+ * Runs as a single transaction; occupancy is re-checked inside it.
+ * @param {Object} payload - { bed_id, patient_id, assigned_by, notes?, expected_discharge_at? }
  * @returns {Promise<Object>} assignment record
+ * @throws {BedAssignmentConflictError} If the bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
  */
 export const assign = async (payload) => {
   const { bedId, bed_id, patientId, patient_id, assignedBy, assigned_by } = payload;
@@ -219,113 +271,154 @@ export const assign = async (payload) => {
   const finalAssignedBy = assignedBy || assigned_by || 'system';
   
   try {
-    // Validate assignment using shared validation logic
-    await validateBedAssignment(finalBedId, finalPatientId);
-    
-    const bedRef = doc(db, BEDS_COLLECTION, finalBedId);
-
-    // Create assignment record
-    const assignmentRef = doc(collection(db, BED_ASSIGNMENTS_COLLECTION));
-    
-    const assignmentData = {
+    return await assignBedAtomically({
       bedId: finalBedId,
       patientId: finalPatientId,
       assignedBy: finalAssignedBy,
-      assignedAt: Timestamp.now(),
-      dischargedAt: null,
       notes: payload.notes || null,
-    };
-
-    await setDoc(assignmentRef, assignmentData);
-
-    // Update bed status
-    await updateDoc(bedRef, {
-      isOccupied: true,
+      expectedDischargeAt: payload.expectedDischargeAt || payload.expected_discharge_at || null,
     });
-
-    return { id: assignmentRef.id, ...assignmentData };
   } catch (error) {
     console.error('Assign bed error:', error);
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
     throw new Error(error.message || 'Failed to assign bed');
   }
 };
 
+/**
+ * Transfer an admitted patient to another bed
+ * Closes the current assignment as "transferred" and opens a new one in a
+ * single transaction. The old bed moves to cleaning.
+ * @param {string} patientId
+ * @param {string} toBedId - target bed
+ * @param {string} reason - required transfer reason
+ * @param {Object} options - optional { transferredBy? }
+ * @returns {Promise<Object>} new assignment record
+ * @throws {BedAssignmentConflictError} If the target bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const transfer = async (patientId, toBedId, reason, options = {}) => {
+  try {
+    return await transferBedAtomically({
+      patientId,
+      toBedId,
+      reason,
+      transferredBy: options.transferredBy || options.transferred_by || 'system',
+    });
+  } catch (error) {
+    console.error('Transfer bed error:', error);
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
+    throw new Error(error.message || 'Failed to transfer patient');
+  }
+};
+
 /**
  * Discharge patient from bed
+ * Runs as a single transaction. The bed moves to cleaning until
+ * housekeeping signs it off, and the head of the bed waitlist is notified.
+ * A follow-up with a doctor is booked as an appointment afterwards; if that
+ * fails the discharge stands and followUpError carries the reason.
  * @param {string} bedId
+ * @param {Object} options - optional { dischargedBy?, notes?, disposition?, destination?,
+ *   follow_up?: { date, doctor_id?, instructions? }, summary?: { diagnosis?, hospital_course?, instructions? } }
  * @returns {Promise<Object>} discharge record
+ * @throws {BedAssignmentConflictError} If the bed was discharged concurrently
  */
-export const discharge = async (bedId) => {
+export const discharge = async (bedId, options = {}) => {
   if (!bedId) throw new Error('Bed ID is required');
   
   try {
-    const bedRef = doc(db, BEDS_COLLECTION, bedId);
-    const bedDoc = await getDoc(bedRef);
-    
-    if (!bedDoc.exists()) {
-      throw new Error('Bed not found');
-    }
-
-    const bedData = bedDoc.data();
-    
-    if (!bedData.isOccupied) {
-      throw new Error('Bed is not occupied');
-    }
-
-    // Find and close active assignment
-    const assignmentsQuery = query(
-      collection(db, BED_ASSIGNMENTS_COLLECTION),
-      where('bedId', '==', bedId),
-      where('dischargedAt', '==', null)
-    );
-    
-    const assignmentsSnapshot = await getDocs(assignmentsQuery);
-    for (const assignmentDoc of assignmentsSnapshot.docs) {
-      await updateDoc(doc(db, BED_ASSIGNMENTS_COLLECTION, assignmentDoc.id), {
-        dischargedAt: Timestamp.now(),
-      });
-    }
+    const dischargedBy = options.dischargedBy || options.discharged_by || 'system';
+    const result = await dischargeBedAtomically({
+      bedId,
+      dischargedBy,
+      notes: options.notes || null,
+      details: options,
+    });
 
-    // Update bed status
-    await updateDoc(bedRef, {
-      isOccupied: false,
+    // Waitlist notification and follow-up booking must not undo a committed discharge
+    await notifyQueueForBed(result.bedId).catch(error =>
+      console.error('Bed request notification error:', error));
+    let followUpError = null;
+    const followUpAppointment = await scheduleFollowUp(result, { createdBy: dischargedBy }).catch(error => {
+      console.error('Follow-up scheduling error:', error);
+      followUpError = error.message || 'Failed to schedule follow-up appointment';
+      return null;
     });
 
-    return {
-      bedId: bedId,
-      dischargedAt: new Date().toISOString(),
-    };
+    return { ...result, followUpAppointmentId: followUpAppointment?.id || null, followUpError };
   } catch (error) {
     console.error('Discharge bed error:', error);
+    if (isBedAssignmentConflict(error)) throw error;
     throw new Error(error.message || 'Failed to discharge patient');
   }
 };
 
 /**
- * Update bed status (DEPRECATED - kept for backward compatibility)
- * Note: In the new schema, we only have isOccupied boolean
- * Status is managed through bed assignment operations
- * @deprecated Use assign() and discharge() instead
+ * Update bed lifecycle status (cleaning sign-off, maintenance, blocked, etc.)
+ * Occupancy changes go through assign() and discharge() instead, holds through
+ * bedReservationFirebase. Taking a reserved bed out of service releases its hold.
  * @param {string} bedId
- * @param {string} status - Ignored in new schema
- * @returns {Promise<Object>}
+ * @param {string} status - 'available', 'cleaning', 'maintenance', 'blocked'
+ * @param {Object} options - { reason?, updatedBy? } - reason required for maintenance/blocked
+ * @returns {Promise<Object>} updated bed status fields
  */
-export const updateStatus = async (bedId, _status) => {
+export const updateStatus = async (bedId, status, options = {}) => {
   if (!bedId) throw new Error('Bed ID is required');
-  
-  console.warn('updateStatus is deprecated. Use assign() or discharge() instead.');
+  if (!status) throw new Error('Status is required');
   
   try {
-    const bedRef = doc(db, BEDS_COLLECTION, bedId);
-    const bedDoc = await getDoc(bedRef);
-    
-    if (!bedDoc.exists()) {
-      throw new Error('Bed not found');
+    if (status === BED_STATUS.OCCUPIED) {
+      throw new Error('Use bed assignment to mark a bed as occupied');
     }
+    if (status === BED_STATUS.RESERVED) {
+      throw new Error('Use bed reservation to reserve a bed');
+    }
+
+    const bedRef = doc(db, BEDS_COLLECTION, bedId);
+
+    // Read and write in one transaction, so a concurrent assignment cannot
+    // occupy the bed between the transition check and the status change
+    const { currentStatus, statusFields } = await runTransaction(db, async (transaction) => {
+      const bedDoc = await transaction.get(bedRef);
+      if (!bedDoc.exists()) {
+        throw new Error('Bed not found');
+      }
 
-    // In the new schema, we don't have a status field
-    // isOccupied is the only status indicator
-    return { id: bedId, isOccupied: bedDoc.data().isOccupied };
+      const bedData = bedDoc.data();
+      const from = getBedStatus(bedData);
+      assertBedStatusTransition(from, status, options.reason);
+
+      // Read the hold before any write; only a still-active hold is closed
+      const reservationRef = bedData.currentReservationId
+        ? doc(db, BED_RESERVATIONS_COLLECTION, bedData.currentReservationId)
+        : null;
+      const reservationDoc = reservationRef ? await transaction.get(reservationRef) : null;
+
+      const now = Timestamp.now();
+      const fields = buildBedStatusFields(status, options, now);
+
+      if (reservationRef) {
+        // Clear the hold from the bed together with the status change
+        transaction.update(bedRef, { ...fields, ...buildBedReservationFields(null) });
+        if (reservationDoc.exists() && reservationDoc.data().status === BED_RESERVATION_STATUS.ACTIVE) {
+          transaction.update(reservationRef, {
+            status: from === BED_STATUS.RESERVED
+              ? BED_RESERVATION_STATUS.RELEASED
+              : BED_RESERVATION_STATUS.EXPIRED,
+            releasedAt: now,
+            releasedBy: options.updatedBy || 'system',
+            releaseReason: options.reason?.trim() || `Bed marked as ${status}`,
+          });
+        }
+      } else {
+        transaction.update(bedRef, fields);
+      }
+
+      return { currentStatus: from, statusFields: fields };
+    });
+
+    return { id: bedId, previousStatus: currentStatus, ...statusFields };
   } catch (error) {
     console.error('Update bed status error:', error);
     throw new Error(error.message || 'Failed to update bed status');
@@ -334,17 +427,20 @@ export const updateStatus = async (bedId, _status) => {
 
 /**
  * Create a new bed
- * @param {Object} bedData - bed data
+ * @param {Object} bedData - bed data (attributes: isolation, negativePressure, oxygen, monitor, bariatric)
  * @returns {Promise<Object>} created bed
  */
 export const create = async (bedData) => {
   try {
     const bedRef = doc(collection(db, BEDS_COLLECTION));
+    const isOccupied = bedData.isOccupied || bedData.is_occupied || false;
     const newBed = {
       bedNumber: bedData.bedNumber || bedData.bed_number,
       roomId: bedData.roomId || bedData.room_id,
       departmentId: bedData.departmentId || bedData.department_id,
-      isOccupied: bedData.isOccupied || bedData.is_occupied || false,
+      status: isOccupied ? BED_STATUS.OCCUPIED : BED_STATUS.AVAILABLE,
+      isOccupied,
+      ...getBedAttributes(bedData),
     };
 
     await setDoc(bedRef, newBed);
@@ -376,6 +472,9 @@ export const subscribeToBeds = (callback, params = {}) => {
     if (params.isOccupied !== undefined) {
       constraints.push(where('isOccupied', '==', params.isOccupied));
     }
+    if (params.status) {
+      constraints.push(where('status', '==', params.status));
+    }
     
     if (constraints.length > 0) {
       bedsQuery = query(bedsQuery, ...constraints);
@@ -393,16 +492,7 @@ export const subscribeToBeds = (callback, params = {}) => {
             } catch (error) {
               console.error(`Error transforming bed ${docSnap.id}:`, error);
               // Return basic bed data if transformation fails
-              const bedData = docSnap.data();
-              return {
-                id: docSnap.id,
-                bed_number: bedData.bedNumber || bedData.bed_number,
-                room_number: 'N/A',
-                status: bedData.isOccupied ? 'occupied' : 'available',
-                isOccupied: bedData.isOccupied,
-                department_id: bedData.departmentId,
-                room_id: bedData.roomId,
-              };
+              return basicBedData(docSnap.data(), docSnap.id);
             }
           })
         )
@@ -436,6 +526,7 @@ export const bedFirebase = {
   getDepartments,
   getById,
   assign,
+  transfer,
   discharge,
   updateStatus,
   create,
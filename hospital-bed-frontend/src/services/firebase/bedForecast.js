@@ -0,0 +1,136 @@
+// src/services/firebase/bedForecast.js
+/**
+ * Bed availability forecast
+ *
+ * Pure helpers projecting free beds per department per day from the live
+ * bed list (with expected discharge dates and reservations) and the planned
+ * admissions booked as appointments. Used by useBedForecast.
+ *
+ * Rules:
+ * - Free today = available + cleaning beds (cleaning turns over within the day)
+ * - Reserved beds stay taken; the held patient is expected to arrive
+ * - Maintenance and blocked beds are out of service for the whole window
+ * - An occupied bed frees up on its expected discharge day (overdue ones count today)
+ * - Occupied beds without an expected discharge stay occupied
+ * - A planned admission takes a bed on its appointment day
+ * - Projected free beds may go negative (shortfall)
+ */
+
+import { differenceInCalendarDays, format } from 'date-fns';
+import { addDaysToDate, getStartOfDay } from '@lib/dateUtils';
+import { BED_STATUS } from '@lib/constants';
+
+export const DEFAULT_FORECAST_DAYS = 7;
+
+/**
+ * Day index within the window (0 = today), or null when outside it
+ * @param {string|Date} date
+ * @param {Date} today - start of today
+ * @param {number} days - window length
+ * @param {boolean} clampPast - count past dates as today
+ * @returns {number|null}
+ */
+const getDayIndex = (date, today, days, clampPast = false) => {
+  const index = differenceInCalendarDays(new Date(date), today);
+  if (index < 0) return clampPast ? 0 : null;
+  return index < days ? index : null;
+};
+
+/**
+ * Forecast a group of beds
+ * @param {Array} beds - transformed beds of one department (or all)
+ * @param {Array} admissions - planned admissions into the same beds' department(s)
+ * @param {Date} today - start of today
+ * @param {number} days - window length
+ * @returns {Object} current counts and per-day projection
+ */
+const forecastBeds = (beds, admissions, today, days) => {
+  const discharges = Array(days).fill(0);
+  const arrivals = Array(days).fill(0);
+  let freeNow = 0;
+  let reserved = 0;
+  let outOfService = 0;
+  let withoutEstimate = 0;
+
+  beds.forEach(bed => {
+    switch (bed.status) {
+      case BED_STATUS.AVAILABLE:
+      case BED_STATUS.CLEANING:
+        freeNow += 1;
+        break;
+      case BED_STATUS.RESERVED:
+        reserved += 1;
+        break;
+      case BED_STATUS.OCCUPIED: {
+        if (!bed.expected_discharge_at) {
+          withoutEstimate += 1;
+          break;
+        }
+        const index = getDayIndex(bed.expected_discharge_at, today, days, true);
+        if (index !== null) discharges[index] += 1;
+        break;
+      }
+      default:
+        outOfService += 1;
+    }
+  });
+
+  admissions.forEach(admission => {
+    const index = getDayIndex(admission.appointment_date, today, days);
+    if (index !== null) arrivals[index] += 1;
+  });
+
+  let projectedFree = freeNow;
+  const forecastDays = discharges.map((expectedDischarges, index) => {
+    projectedFree += expectedDischarges - arrivals[index];
+    return {
+      date: format(addDaysToDate(today, index), 'yyyy-MM-dd'),
+      expected_discharges: expectedDischarges,
+      scheduled_admissions: arrivals[index],
+      projected_free: projectedFree,
+    };
+  });
+
+  return {
+    total_beds: beds.length,
+    free_now: freeNow,
+    reserved,
+    out_of_service: outOfService,
+    occupied_without_estimate: withoutEstimate,
+    days: forecastDays,
+  };
+};
+
+/**
+ * Project free beds per department for the coming days
+ * @param {Object} params - { beds, departments, admissions?, days?, now? }
+ * @returns {Object} { departments: Array, total: Object } - each with days[{ date, expected_discharges,
+ *   scheduled_admissions, projected_free }]
+ */
+export const buildBedForecast = ({
+  beds = [],
+  departments = [],
+  admissions = [],
+  days = DEFAULT_FORECAST_DAYS,
+  now = new Date(),
+}) => {
+  const today = getStartOfDay(now);
+
+  return {
+    departments: departments.map(dept => ({
+      department_id: dept.id,
+      department_name: dept.name,
+      ...forecastBeds(
+        beds.filter(bed => bed.department_id === dept.id),
+        admissions.filter(admission => admission.admit_to_department_id === dept.id),
+        today,
+        days
+      ),
+    })),
+    total: forecastBeds(beds, admissions, today, days),
+  };
+};
+
+export default {
+  buildBedForecast,
+};
@@ -0,0 +1,332 @@
+// src/services/firebase/bedRequestFirebase.js
+/**
+ * Firebase Bed Request (Admission Waitlist) Service
+ *
+ * Queue of patients waiting for a bed. Each request carries the patient,
+ * required department, acuity and isolation needs, and is ordered by
+ * acuity then waiting time.
+ *
+ * Features:
+ * - Create / cancel requests (one waiting request per patient)
+ * - Admissions from an appointment keep the admitting doctor, diagnosis and appointment,
+ *   and withdrawing one restores the patient's department and status
+ * - Live queue subscription
+ * - Fulfil a request by assigning a bed (atomic assignment)
+ * - Notify the head of the queue when a compatible bed is freed
+ * - Compatible with bedRequestApi interface
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  runTransaction,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  onSnapshot,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { assignBedAtomically } from './bedAssignmentTransactions';
+import { isBedAssignmentConflict, isBedConstraintError } from './bedAssignmentValidation';
+import { isBedCompatible, sortBedRequestQueue } from './bedRequestMatching';
+import { create as createNotification } from './notificationFirebase';
+import {
+  BED_REQUEST_STATUS,
+  BED_REQUEST_PRIORITY,
+  ISOLATION_TYPES
+} from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
+
+const BED_REQUESTS_COLLECTION = 'bedRequests';
+const BEDS_COLLECTION = 'beds';
+const PATIENTS_COLLECTION = 'patients';
+
+/**
+ * Transform Firestore bed request data to match expected UI format
+ * @param {Object} data - raw Firestore request data
+ * @param {string} id - request document ID
+ * @returns {Object} transformed request
+ */
+const transformBedRequestData = (data, id) => ({
+  id,
+  patient_id: data.patientId,
+  patient_name: data.patientName || null,
+  department_id: data.departmentId,
+  priority: data.priority || BED_REQUEST_PRIORITY.MEDIUM,
+  isolation: data.isolation || ISOLATION_TYPES.NONE,
+  notes: data.notes || null,
+  admitting_doctor_id: data.admittingDoctorId || null,
+  diagnosis: data.diagnosis || null,
+  appointment_id: data.appointmentId || null,
+  status: data.status,
+  requested_by: data.requestedBy || null,
+  requested_at: toIsoString(data.requestedAt),
+  assigned_bed_id: data.assignedBedId || null,
+  assigned_at: toIsoString(data.assignedAt),
+  notified_bed_id: data.notifiedBedId || null,
+  notified_at: toIsoString(data.notifiedAt),
+});
+
+/**
+ * Get the waiting queue, highest acuity first
+ * @param {Object} params - optional filters (departmentId)
+ * @returns {Promise<Array>} waiting requests
+ */
+export const getQueue = async (params = {}) => {
+  try {
+    const constraints = [where('status', '==', BED_REQUEST_STATUS.WAITING)];
+    if (params.departmentId) {
+      constraints.push(where('departmentId', '==', params.departmentId));
+    }
+
+    const snapshot = await getDocs(query(collection(db, BED_REQUESTS_COLLECTION), ...constraints));
+    return sortBedRequestQueue(snapshot.docs.map(d => transformBedRequestData(d.data(), d.id)));
+  } catch (error) {
+    console.error('Get bed request queue error:', error);
+    throw new Error(error.message || 'Failed to fetch bed request queue');
+  }
+};
+
+/**
+ * Add a patient to the bed waitlist
+ * @param {Object} data - { patient_id, department_id, priority?, isolation?, notes?, requested_by?,
+ *   admitting_doctor_id?, diagnosis?, appointment_id?, patientBeforeAdmission? } - patientBeforeAdmission
+ *   holds the patient fields an admission overwrites ({ department, status, admissionDate, isolation }),
+ *   restored if the request is withdrawn
+ * @returns {Promise<Object>} created request
+ */
+export const create = async (data) => {
+  const patientId = data.patientId || data.patient_id;
+  const departmentId = data.departmentId || data.department_id;
+  const priority = data.priority || BED_REQUEST_PRIORITY.MEDIUM;
+  const isolation = data.isolation || ISOLATION_TYPES.NONE;
+
+  if (!patientId) throw new Error('Patient ID is required');
+  if (!departmentId) throw new Error('Department is required');
+  if (!Object.values(BED_REQUEST_PRIORITY).includes(priority)) {
+    throw new Error(`Invalid priority: ${priority}`);
+  }
+  if (!Object.values(ISOLATION_TYPES).includes(isolation)) {
+    throw new Error(`Invalid isolation type: ${isolation}`);
+  }
+
+  try {
+    const patientDoc = await getDoc(doc(db, PATIENTS_COLLECTION, patientId));
+    if (!patientDoc.exists()) throw new Error('Patient not found');
+
+    const patientData = patientDoc.data();
+    if (patientData.currentBedId) {
+      throw new Error('Patient already has a bed');
+    }
+
+    const existing = await getDocs(query(
+      collection(db, BED_REQUESTS_COLLECTION),
+      where('patientId', '==', patientId),
+      where('status', '==', BED_REQUEST_STATUS.WAITING)
+    ));
+    if (!existing.empty) {
+      throw new Error('Patient is already on the bed waitlist');
+    }
+
+    const requestRef = doc(collection(db, BED_REQUESTS_COLLECTION));
+    const newRequest = {
+      patientId,
+      patientName: patientData.fullName || patientData.full_name || null,
+      departmentId,
+      priority,
+      isolation,
+      notes: data.notes?.trim() || null,
+      admittingDoctorId: data.admittingDoctorId || data.admitting_doctor_id || null,
+      diagnosis: data.diagnosis?.trim() || null,
+      appointmentId: data.appointmentId || data.appointment_id || null,
+      patientBeforeAdmission: data.patientBeforeAdmission || null,
+      status: BED_REQUEST_STATUS.WAITING,
+      requestedBy: data.requestedBy || data.requested_by || null,
+      requestedAt: Timestamp.now(),
+      assignedBedId: null,
+      assignedAt: null,
+      notifiedBedId: null,
+      notifiedAt: null,
+    };
+
+    await setDoc(requestRef, newRequest);
+
+    return transformBedRequestData(newRequest, requestRef.id);
+  } catch (error) {
+    console.error('Create bed request error:', error);
+    throw new Error(error.message || 'Failed to create bed request');
+  }
+};
+
+/**
+ * Remove a request from the waitlist
+ * @param {string} id
+ * @param {Object} options - { reason?, cancelledBy? }
+ * @returns {Promise<Object>} { id, status }
+ */
+export const cancel = async (id, options = {}) => {
+  if (!id) throw new Error('Bed request ID is required');
+
+  try {
+    const requestRef = doc(db, BED_REQUESTS_COLLECTION, id);
+    await runTransaction(db, async (transaction) => {
+      const requestDoc = await transaction.get(requestRef);
+      if (!requestDoc.exists()) throw new Error('Bed request not found');
+      const request = requestDoc.data();
+      if (request.status !== BED_REQUEST_STATUS.WAITING) {
+        throw new Error(`Bed request is already ${request.status}`);
+      }
+
+      // An admission moved the patient before any bed was assigned; undo that unless they got a bed since
+      const patientRef = request.patientBeforeAdmission ? doc(db, PATIENTS_COLLECTION, request.patientId) : null;
+      const patientDoc = patientRef ? await transaction.get(patientRef) : null;
+
+      transaction.update(requestRef, {
+        status: BED_REQUEST_STATUS.CANCELLED,
+        cancelledAt: Timestamp.now(),
+        cancelledBy: options.cancelledBy || options.cancelled_by || null,
+        cancelReason: options.reason?.trim() || null,
+      });
+      if (patientDoc?.exists() && !patientDoc.data().currentBedId) {
+        const previous = request.patientBeforeAdmission;
+        transaction.update(patientRef, {
+          department: previous.department ?? null,
+          status: previous.status ?? null,
+          admissionDate: previous.admissionDate ?? null,
+          isolation: previous.isolation ?? ISOLATION_TYPES.NONE,
+        });
+      }
+    });
+
+    return { id, status: BED_REQUEST_STATUS.CANCELLED };
+  } catch (error) {
+    console.error('Cancel bed request error:', error);
+    throw new Error(error.message || 'Failed to cancel bed request');
+  }
+};
+
+/**
+ * Fulfil a request by assigning the patient to a bed
+ * @param {string} id - bed request ID
+ * @param {Object} data - { bed_id, assigned_by?, notes?, expected_discharge_at? }
+ * @returns {Promise<Object>} assignment record
+ * @throws {BedAssignmentConflictError} If the bed was taken concurrently
+ * @throws {BedConstraintError} If the bed does not meet the patient's requirements
+ */
+export const fulfill = async (id, data = {}) => {
+  const bedId = data.bedId || data.bed_id;
+  if (!id) throw new Error('Bed request ID is required');
+  if (!bedId) throw new Error('Bed ID is required');
+
+  try {
+    const requestDoc = await getDoc(doc(db, BED_REQUESTS_COLLECTION, id));
+    if (!requestDoc.exists()) throw new Error('Bed request not found');
+
+    const request = requestDoc.data();
+    if (request.status !== BED_REQUEST_STATUS.WAITING) {
+      throw new Error(`Bed request is already ${request.status}`);
+    }
+
+    // The request is re-checked and marked assigned inside the assignment transaction
+    return await assignBedAtomically({
+      bedId,
+      patientId: request.patientId,
+      assignedBy: data.assignedBy || data.assigned_by || 'system',
+      notes: data.notes || request.notes || null,
+      expectedDischargeAt: data.expectedDischargeAt || data.expected_discharge_at || null,
+      bedRequestId: id,
+    });
+  } catch (error) {
+    console.error('Fulfil bed request error:', error);
+    if (isBedAssignmentConflict(error) || isBedConstraintError(error)) throw error;
+    throw new Error(error.message || 'Failed to assign bed for request');
+  }
+};
+
+/**
+ * Notify the head of the queue that a compatible bed has been freed.
+ * Called after discharge; the freed bed is usually still being cleaned.
+ * @param {string} bedId - bed that was freed
+ * @returns {Promise<Object|null>} notified request, or null if nobody matches
+ */
+export const notifyQueueForBed = async (bedId) => {
+  if (!bedId) throw new Error('Bed ID is required');
+
+  try {
+    const bedDoc = await getDoc(doc(db, BEDS_COLLECTION, bedId));
+    if (!bedDoc.exists()) return null;
+
+    const bed = { id: bedDoc.id, ...bedDoc.data() };
+    const queue = await getQueue({ departmentId: bed.departmentId });
+    const head = queue.find(request => isBedCompatible(bed, request));
+    if (!head) return null;
+
+    const bedLabel = bed.bedNumber || bedId;
+    await updateDoc(doc(db, BED_REQUESTS_COLLECTION, head.id), {
+      notifiedBedId: bedId,
+      notifiedAt: Timestamp.now(),
+    });
+
+    if (head.requested_by) {
+      await createNotification({
+        user_id: head.requested_by,
+        type: 'info',
+        message: `Bed ${bedLabel} has been freed and matches the waitlist request for ${head.patient_name || 'a patient'} (${head.priority} priority).`,
+        bed_id: bedId,
+        bed_request_id: head.id,
+      });
+    }
+
+    return { ...head, notified_bed_id: bedId };
+  } catch (error) {
+    console.error('Notify bed request queue error:', error);
+    throw new Error(error.message || 'Failed to notify bed request queue');
+  }
+};
+
+/**
+ * Subscribe to the live waiting queue
+ * @param {Function} callback - called with the sorted queue
+ * @param {Object} params - optional filters (departmentId)
+ * @returns {Function} unsubscribe function
+ */
+export const subscribeToQueue = (callback, params = {}) => {
+  try {
+    const constraints = [where('status', '==', BED_REQUEST_STATUS.WAITING)];
+    if (params.departmentId) {
+      constraints.push(where('departmentId', '==', params.departmentId));
+    }
+
+    return onSnapshot(
+      query(collection(db, BED_REQUESTS_COLLECTION), ...constraints),
+      (snapshot) => {
+        callback(sortBedRequestQueue(
+          snapshot.docs.map(d => transformBedRequestData(d.data(), d.id))
+        ));
+      },
+      (error) => {
+        console.error('Bed request queue subscription error:', error);
+        callback([]);
+      }
+    );
+  } catch (error) {
+    console.error('Subscribe to bed request queue error:', error);
+    throw new Error(error.message || 'Failed to subscribe to bed request queue');
+  }
+};
+
+// Export as named object and default
+export const bedRequestFirebase = {
+  getQueue,
+  create,
+  cancel,
+  fulfill,
+  notifyQueueForBed,
+  subscribeToQueue,
+};
+
+export default bedRequestFirebase;
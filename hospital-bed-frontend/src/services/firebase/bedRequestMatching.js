@@ -0,0 +1,115 @@
+// src/services/firebase/bedRequestMatching.js
+/**
+ * Bed request matching
+ *
+ * Pure helpers shared by bedRequestFirebase (queue notifications on discharge)
+ * and the waitlist UI (best-bed suggestion). Accept both raw Firestore beds
+ * (camelCase) and transformed beds (snake_case).
+ *
+ * Rules:
+ * - A bed must be in the requested department
+ * - Patients needing isolation only get isolation-capable beds
+ *   (airborne isolation: negative pressure rooms only, see bedConstraints)
+ * - Isolation beds are kept for isolation patients when other beds are free
+ * - Beds held for another patient are never suggested
+ */
+
+import { getBedAttributes, getRequiredBedAttributes } from './bedConstraints';
+import {
+  BED_STATUS,
+  BED_REQUEST_PRIORITY_RANK,
+  ISOLATION_TYPES
+} from '@lib/constants';
+
+/**
+ * Normalize the bed fields matching cares about
+ * @param {Object} bed - raw or transformed bed
+ * @returns {Object} { id, bedNumber, departmentId, attributes, status, heldForPatientId }
+ */
+const normalizeBed = (bed) => ({
+  id: bed.id,
+  bedNumber: String(bed.bed_number ?? bed.bedNumber ?? ''),
+  departmentId: bed.department_id ?? bed.departmentId ?? null,
+  attributes: getBedAttributes(bed),
+  status: bed.status,
+  heldForPatientId: bed.reservation?.patient_id ?? bed.reservedForPatientId ?? null,
+});
+
+/**
+ * Check whether a request needs an isolation bed
+ * @param {Object} request - bed request (isolation type)
+ * @returns {boolean}
+ */
+export const requiresIsolation = (request) =>
+  !!request.isolation && request.isolation !== ISOLATION_TYPES.NONE;
+
+/**
+ * Check whether a bed satisfies a request's clinical needs (ignores availability)
+ * @param {Object} bed - raw or transformed bed
+ * @param {Object} request - { department_id|departmentId, isolation }
+ * @returns {boolean}
+ */
+export const isBedCompatible = (bed, request) => {
+  const { departmentId, attributes } = normalizeBed(bed);
+  const requestDepartment = request.department_id ?? request.departmentId;
+
+  if (requestDepartment && departmentId !== requestDepartment) return false;
+  return getRequiredBedAttributes(request).every(attribute => attributes[attribute]);
+};
+
+/**
+ * Suggest the best free bed for a request
+ * @param {Object} request - bed request
+ * @param {Array} beds - beds (raw or transformed)
+ * @returns {Object|null} the original bed object, or null if none fits
+ */
+export const suggestBed = (request, beds = []) => {
+  const patientId = request.patient_id ?? request.patientId;
+
+  const candidates = beds
+    .map(bed => ({ bed, info: normalizeBed(bed) }))
+    .filter(({ bed, info }) => {
+      if (info.status === BED_STATUS.RESERVED) {
+        // Only a hold for this very patient counts as free
+        if (info.heldForPatientId !== patientId) return false;
+      } else if (info.status !== BED_STATUS.AVAILABLE) {
+        return false;
+      }
+      return isBedCompatible(bed, request);
+    });
+
+  if (candidates.length === 0) return null;
+
+  const needsIsolation = requiresIsolation(request);
+  const score = ({ info }) => {
+    if (info.status === BED_STATUS.RESERVED) return 0; // Held for this patient: always first
+    if (!needsIsolation && info.attributes.isolation) return 2; // Save isolation beds
+    return 1;
+  };
+
+  candidates.sort((a, b) =>
+    score(a) - score(b) || a.info.bedNumber.localeCompare(b.info.bedNumber, undefined, { numeric: true })
+  );
+
+  return candidates[0].bed;
+};
+
+/**
+ * Order waiting requests: highest acuity first, then longest waiting
+ * @param {Array} requests - bed requests (transformed)
+ * @returns {Array} new sorted array
+ */
+export const sortBedRequestQueue = (requests = []) =>
+  [...requests].sort((a, b) => {
+    const rankA = BED_REQUEST_PRIORITY_RANK[a.priority] || 0;
+    const rankB = BED_REQUEST_PRIORITY_RANK[b.priority] || 0;
+    if (rankA !== rankB) return rankB - rankA;
+    return new Date(a.requested_at) - new Date(b.requested_at);
+  });
+
+export default {
+  requiresIsolation,
+  isBedCompatible,
+  suggestBed,
+  sortBedRequestQueue,
+};
@@ -0,0 +1,282 @@
+// src/services/firebase/bedReservationFirebase.js
+/**
+ * Firebase Bed Reservation Service
+ *
+ * Holds a bed for an incoming admission (e.g. a patient on their way from the
+ * ER or OR) until it is assigned, released, or the hold expires.
+ *
+ * Features:
+ * - Reserve a bed for a registered patient or a named pending admission
+ * - Hold expiry with automatic release (expired holds count as available)
+ * - Manual release with reason
+ * - Bed and reservation always change together (transactions)
+ * - Compatible with bedReservationApi interface
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { BedAssignmentConflictError } from './bedAssignmentValidation';
+import {
+  getBedStatus,
+  canTransitionBedStatus,
+  isReservationExpired,
+  buildBedReservationFields,
+  buildBedStatusFields
+} from './bedStatusTransitions';
+import { BED_STATUS, BED_RESERVATION_STATUS } from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
+
+const BEDS_COLLECTION = 'beds';
+const PATIENTS_COLLECTION = 'patients';
+const BED_RESERVATIONS_COLLECTION = 'bedReservations';
+
+/**
+ * Transform Firestore reservation data to match expected UI format
+ * @param {Object} data - raw Firestore reservation data
+ * @param {string} id - reservation document ID
+ * @returns {Object} transformed reservation
+ */
+const transformReservationData = (data, id) => ({
+  id,
+  bed_id: data.bedId,
+  patient_id: data.patientId || null,
+  patient_name: data.patientName || null,
+  source: data.source || null,
+  notes: data.notes || null,
+  status: data.status,
+  reserved_by: data.reservedBy,
+  reserved_at: toIsoString(data.reservedAt),
+  expires_at: toIsoString(data.expiresAt),
+});
+
+/**
+ * Get active reservations
+ * @param {Object} params - optional filters (bedId, patientId)
+ * @returns {Promise<Array>} reservations
+ */
+export const getActive = async (params = {}) => {
+  try {
+    const constraints = [where('status', '==', BED_RESERVATION_STATUS.ACTIVE)];
+    if (params.bedId) {
+      constraints.push(where('bedId', '==', params.bedId));
+    }
+    if (params.patientId) {
+      constraints.push(where('patientId', '==', params.patientId));
+    }
+
+    const snapshot = await getDocs(query(collection(db, BED_RESERVATIONS_COLLECTION), ...constraints));
+    return snapshot.docs.map(d => transformReservationData(d.data(), d.id));
+  } catch (error) {
+    console.error('Get bed reservations error:', error);
+    throw new Error(error.message || 'Failed to fetch bed reservations');
+  }
+};
+
+/**
+ * Reserve a bed for an incoming admission
+ * @param {Object} payload - { bed_id, patient_id? | patient_name?, expires_at, source?, notes?, reserved_by? }
+ * @returns {Promise<Object>} created reservation
+ * @throws {BedAssignmentConflictError} If the bed was taken or held concurrently
+ */
+export const reserve = async (payload) => {
+  const bedId = payload.bedId || payload.bed_id;
+  const patientId = payload.patientId || payload.patient_id || null;
+  const patientName = (payload.patientName || payload.patient_name || '').trim();
+  const expiresAtInput = payload.expiresAt || payload.expires_at;
+  const reservedBy = payload.reservedBy || payload.reserved_by || 'system';
+
+  if (!bedId) throw new Error('Bed ID is required');
+  if (!patientId && !patientName) {
+    throw new Error('A patient or pending admission name is required');
+  }
+
+  const expiresAt = new Date(expiresAtInput);
+  if (!expiresAtInput || Number.isNaN(expiresAt.getTime())) {
+    throw new Error('Reservation expiry time is required');
+  }
+  if (expiresAt.getTime() <= Date.now()) {
+    throw new Error('Reservation expiry must be in the future');
+  }
+
+  const bedRef = doc(db, BEDS_COLLECTION, bedId);
+  const reservationRef = doc(collection(db, BED_RESERVATIONS_COLLECTION));
+
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const bedDoc = await transaction.get(bedRef);
+      if (!bedDoc.exists()) throw new Error('Bed not found');
+
+      let resolvedName = patientName;
+      if (patientId) {
+        const patientDoc = await transaction.get(doc(db, PATIENTS_COLLECTION, patientId));
+        if (!patientDoc.exists()) throw new Error('Patient not found');
+        if (patientDoc.data().currentBedId) {
+          throw new Error('Patient is already assigned to a bed');
+        }
+        resolvedName = patientDoc.data().fullName || patientDoc.data().full_name || patientName;
+      }
+
+      const bedData = bedDoc.data();
+      const bedStatus = getBedStatus(bedData);
+      if (!canTransitionBedStatus(bedStatus, BED_STATUS.RESERVED)) {
+        throw new BedAssignmentConflictError(`Bed cannot be reserved (status: ${bedStatus})`);
+      }
+
+      // A lapsed hold may still point at the bed; close it out
+      let staleReservationRef = null;
+      if (bedData.currentReservationId && isReservationExpired(bedData)) {
+        staleReservationRef = doc(db, BED_RESERVATIONS_COLLECTION, bedData.currentReservationId);
+        const staleDoc = await transaction.get(staleReservationRef);
+        if (!staleDoc.exists() || staleDoc.data().status !== BED_RESERVATION_STATUS.ACTIVE) {
+          staleReservationRef = null;
+        }
+      }
+
+      const now = Timestamp.now();
+      const reservationData = {
+        bedId,
+        patientId,
+        patientName: resolvedName,
+        source: payload.source || null,
+        notes: payload.notes?.trim() || null,
+        status: BED_RESERVATION_STATUS.ACTIVE,
+        reservedBy,
+        reservedAt: now,
+        expiresAt: Timestamp.fromDate(expiresAt),
+      };
+
+      if (staleReservationRef) {
+        transaction.update(staleReservationRef, {
+          status: BED_RESERVATION_STATUS.EXPIRED,
+          releasedAt: now,
+        });
+      }
+      transaction.set(reservationRef, reservationData);
+      transaction.update(bedRef, {
+        ...buildBedStatusFields(BED_STATUS.RESERVED, { updatedBy: reservedBy }, now),
+        ...buildBedReservationFields({ id: reservationRef.id, ...reservationData }),
+      });
+
+      return transformReservationData(reservationData, reservationRef.id);
+    });
+  } catch (error) {
+    console.error('Reserve bed error:', error);
+    if (error instanceof BedAssignmentConflictError) throw error;
+    throw new Error(error.message || 'Failed to reserve bed');
+  }
+};
+
+/**
+ * End a hold and return its bed to available (if the bed still carries it)
+ * @param {string} reservationId
+ * @param {string} status - BED_RESERVATION_STATUS.RELEASED or EXPIRED
+ * @param {Object} options - { releasedBy?, reason? }
+ * @returns {Promise<Object>} { id, bedId, status }
+ */
+const endReservation = async (reservationId, status, { releasedBy = 'system', reason = null } = {}) => {
+  const reservationRef = doc(db, BED_RESERVATIONS_COLLECTION, reservationId);
+
+  return runTransaction(db, async (transaction) => {
+    const reservationDoc = await transaction.get(reservationRef);
+    if (!reservationDoc.exists()) throw new Error('Bed reservation not found');
+
+    const reservation = reservationDoc.data();
+    if (reservation.status !== BED_RESERVATION_STATUS.ACTIVE) {
+      throw new BedAssignmentConflictError(`Reservation is already ${reservation.status}`);
+    }
+
+    const bedRef = doc(db, BEDS_COLLECTION, reservation.bedId);
+    const bedDoc = await transaction.get(bedRef);
+
+    const now = Timestamp.now();
+    transaction.update(reservationRef, {
+      status,
+      releasedAt: now,
+      releasedBy,
+      releaseReason: reason?.trim() || null,
+    });
+
+    if (bedDoc.exists() && bedDoc.data().currentReservationId === reservationId) {
+      transaction.update(bedRef, {
+        ...buildBedStatusFields(BED_STATUS.AVAILABLE, { updatedBy: releasedBy }, now),
+        ...buildBedReservationFields(null),
+      });
+    }
+
+    return { id: reservationId, bedId: reservation.bedId, status };
+  });
+};
+
+/**
+ * Release a reservation early (patient went elsewhere, admission cancelled)
+ * @param {string} reservationId
+ * @param {Object} options - { releasedBy?, reason? }
+ * @returns {Promise<Object>} { id, bedId, status }
+ * @throws {BedAssignmentConflictError} If the hold already ended
+ */
+export const release = async (reservationId, options = {}) => {
+  if (!reservationId) throw new Error('Reservation ID is required');
+
+  try {
+    return await endReservation(reservationId, BED_RESERVATION_STATUS.RELEASED, {
+      releasedBy: options.releasedBy || options.released_by || 'system',
+      reason: options.reason || null,
+    });
+  } catch (error) {
+    console.error('Release bed reservation error:', error);
+    if (error instanceof BedAssignmentConflictError) throw error;
+    throw new Error(error.message || 'Failed to release bed reservation');
+  }
+};
+
+/**
+ * Release every hold past its expiry.
+ * Safe to run from several clients at once; holds already ended are skipped.
+ * @returns {Promise<number>} number of holds released
+ */
+export const releaseExpired = async () => {
+  try {
+    // Filter expiry client-side to avoid a composite (status, expiresAt) index
+    const snapshot = await getDocs(query(
+      collection(db, BED_RESERVATIONS_COLLECTION),
+      where('status', '==', BED_RESERVATION_STATUS.ACTIVE)
+    ));
+    const now = Date.now();
+    const expired = snapshot.docs.filter(d => d.data().expiresAt?.toMillis() <= now);
+
+    let released = 0;
+    for (const reservationDoc of expired) {
+      try {
+        await endReservation(reservationDoc.id, BED_RESERVATION_STATUS.EXPIRED, {
+          reason: 'Reservation expired',
+        });
+        released += 1;
+      } catch (error) {
+        // Another client released it first
+        if (!(error instanceof BedAssignmentConflictError)) throw error;
+      }
+    }
+    return released;
+  } catch (error) {
+    console.error('Release expired bed reservations error:', error);
+    throw new Error(error.message || 'Failed to release expired bed reservations');
+  }
+};
+
+// Export as named object and default
+export const bedReservationFirebase = {
+  getActive,
+  reserve,
+  release,
+  releaseExpired,
+};
+
+export default bedReservationFirebase;
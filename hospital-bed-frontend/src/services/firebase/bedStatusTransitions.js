@@ -0,0 +1,140 @@
+// src/services/firebase/bedStatusTransitions.js
+/**
+ * Bed lifecycle state machine
+ *
+ * Shared rules for moving a bed between statuses so that bedFirebase,
+ * bedAssignmentFirebase and the validation helpers agree on what is allowed.
+ *
+ * Lifecycle:
+ * - available → occupied (assign) → cleaning (discharge) → available (housekeeping sign-off)
+ * - any non-occupied bed → maintenance / blocked (reason required)
+ * - maintenance / blocked → available or cleaning when returned to service
+ * - available → reserved (hold for an incoming admission) → occupied, or back to
+ *   available when released; a hold past its expiry counts as available
+ */
+
+import {
+  BED_STATUS,
+  BED_STATUS_TRANSITIONS,
+  BED_STATUS_REASON_REQUIRED
+} from '@lib/constants';
+import { toMillis } from '@lib/dateUtils';
+
+const VALID_STATUSES = Object.values(BED_STATUS);
+
+/**
+ * Check whether a reserved bed's hold has run out
+ * @param {Object} bedData - raw Firestore bed data
+ * @param {number} [now] - current time in ms
+ * @returns {boolean}
+ */
+export const isReservationExpired = (bedData = {}, now = Date.now()) => {
+  if (bedData.status !== BED_STATUS.RESERVED) return false;
+  const expiresAt = toMillis(bedData.reservationExpiresAt);
+  return expiresAt !== null && expiresAt <= now;
+};
+
+/**
+ * Resolve the lifecycle status of a bed document.
+ * Beds created before the state machine only carry isOccupied.
+ * Expired holds resolve to available even before the sweep releases them.
+ * @param {Object} bedData - raw Firestore bed data
+ * @returns {string} one of BED_STATUS
+ */
+export const getBedStatus = (bedData = {}) => {
+  if (isReservationExpired(bedData)) {
+    return BED_STATUS.AVAILABLE;
+  }
+  if (bedData.status && VALID_STATUSES.includes(bedData.status)) {
+    return bedData.status;
+  }
+  return bedData.isOccupied ? BED_STATUS.OCCUPIED : BED_STATUS.AVAILABLE;
+};
+
+/**
+ * Check whether a bed may move from one status to another
+ * @param {string} from - current status
+ * @param {string} to - requested status
+ * @returns {boolean}
+ */
+export const canTransitionBedStatus = (from, to) =>
+  (BED_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Validate a requested status change
+ * @param {string} from - current status
+ * @param {string} to - requested status
+ * @param {string} [reason] - required for maintenance/blocked
+ * @throws {Error} If the transition is not allowed
+ */
+export const assertBedStatusTransition = (from, to, reason) => {
+  if (!VALID_STATUSES.includes(to)) {
+    throw new Error(`Invalid bed status: ${to}`);
+  }
+
+  if (from === to) {
+    throw new Error(`Bed is already ${to}`);
+  }
+
+  if (!canTransitionBedStatus(from, to)) {
+    if (from === BED_STATUS.OCCUPIED) {
+      throw new Error('Bed is occupied. Discharge the patient before changing its status');
+    }
+    throw new Error(`Cannot change bed status from ${from} to ${to}`);
+  }
+
+  if (BED_STATUS_REASON_REQUIRED.includes(to) && !reason?.trim()) {
+    throw new Error(`A reason is required to mark a bed as ${to}`);
+  }
+};
+
+/**
+ * Check whether a bed is held for a different patient.
+ * Holds for a pending admission (no patient record yet) accept any patient.
+ * @param {Object} bedData - raw Firestore bed data
+ * @param {string} patientId
+ * @returns {boolean}
+ */
+export const isBedHeldForAnotherPatient = (bedData = {}, patientId) =>
+  getBedStatus(bedData) === BED_STATUS.RESERVED &&
+  !!bedData.reservedForPatientId &&
+  bedData.reservedForPatientId !== patientId;
+
+/**
+ * Build the reservation pointer fields kept on the bed document.
+ * Pass null to clear them when the hold ends.
+ * @param {Object|null} reservation - { id, patientId, patientName, expiresAt }
+ * @returns {Object} bed document fields
+ */
+export const buildBedReservationFields = (reservation = null) => ({
+  currentReservationId: reservation?.id || null,
+  reservedForPatientId: reservation?.patientId || null,
+  reservedForName: reservation?.patientName || null,
+  reservationExpiresAt: reservation?.expiresAt || null,
+});
+
+/**
+ * Build the Firestore fields written for a status change.
+ * isOccupied is kept in sync for queries and older clients.
+ * @param {string} status - new status
+ * @param {Object} options - { reason, updatedBy }
+ * @param {Object} timestamp - Firestore Timestamp for statusUpdatedAt
+ * @returns {Object} bed document fields
+ */
+export const buildBedStatusFields = (status, { reason = null, updatedBy = 'system' } = {}, timestamp) => ({
+  status,
+  isOccupied: status === BED_STATUS.OCCUPIED,
+  statusReason: reason?.trim() || null,
+  statusUpdatedAt: timestamp,
+  statusUpdatedBy: updatedBy,
+});
+
+export default {
+  isReservationExpired,
+  getBedStatus,
+  canTransitionBedStatus,
+  assertBedStatusTransition,
+  isBedHeldForAnotherPatient,
+  buildBedReservationFields,
+  buildBedStatusFields,
+};
@@ -0,0 +1,195 @@
+// src/services/firebase/dischargeFirebase.js
+/**
+ * Firebase Discharge Service
+ *
+ * Read side of the structured discharge kept on bed assignments
+ * (disposition, destination, follow-up, discharge summary) and the
+ * follow-up appointment booked after a discharge commits.
+ *
+ * Features:
+ * - Discharge summary document (patient, stay, disposition, follow-up)
+ * - Discharge history per patient
+ * - Follow-up appointment booking linked back to the assignment
+ * - Compatible with dischargeApi interface
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { create as createAppointment } from './appointmentFirebase';
+import { BED_ASSIGNMENT_STATUS } from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
+
+const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+const PATIENTS_COLLECTION = 'patients';
+const BEDS_COLLECTION = 'beds';
+const DEPARTMENTS_COLLECTION = 'departments';
+const USERS_COLLECTION = 'users';
+
+/**
+ * Read a document's data, or null if it does not exist
+ * @param {string} collectionName
+ * @param {string|null} id
+ * @returns {Promise<Object|null>}
+ */
+const getDocData = async (collectionName, id) => {
+  if (!id) return null;
+  const snapshot = await getDoc(doc(db, collectionName, id));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+/**
+ * Transform a discharged assignment into the list shape used by the UI
+ * @param {Object} data - raw Firestore assignment data
+ * @param {string} id - assignment document ID
+ * @returns {Object}
+ */
+const transformDischargeData = (data, id) => ({
+  assignment_id: id,
+  patient_id: data.patientId,
+  bed_id: data.bedId,
+  bed_number: data.bedNumber || null,
+  admitted_at: toIsoString(data.assignedAt),
+  discharged_at: toIsoString(data.dischargedAt),
+  discharged_by: data.dischargedBy || null,
+  disposition: data.disposition || null,
+  destination: data.dischargeDestination || null,
+  follow_up: data.followUp ? {
+    date: toIsoString(data.followUp.date),
+    doctor_id: data.followUp.doctorId || null,
+    instructions: data.followUp.instructions || null,
+    appointment_id: data.followUp.appointmentId || null,
+  } : null,
+  summary: data.dischargeSummary ? {
+    diagnosis: data.dischargeSummary.diagnosis || null,
+    hospital_course: data.dischargeSummary.hospitalCourse || null,
+    instructions: data.dischargeSummary.instructions || null,
+  } : null,
+  notes: data.dischargeNotes || null,
+});
+
+/**
+ * Get a patient's discharges, most recent first
+ * @param {string} patientId
+ * @returns {Promise<Array>} discharges
+ */
+export const getByPatient = async (patientId) => {
+  if (!patientId) throw new Error('Patient ID is required');
+
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, BED_ASSIGNMENTS_COLLECTION),
+      where('patientId', '==', patientId),
+      where('status', '==', BED_ASSIGNMENT_STATUS.DISCHARGED)
+    ));
+
+    return snapshot.docs
+      .map(d => transformDischargeData(d.data(), d.id))
+      .sort((a, b) => new Date(b.discharged_at) - new Date(a.discharged_at));
+  } catch (error) {
+    console.error('Get patient discharges error:', error);
+    throw new Error(error.message || 'Failed to fetch discharges');
+  }
+};
+
+/**
+ * Get the full discharge summary document for one assignment
+ * @param {string} assignmentId
+ * @returns {Promise<Object>} discharge with patient, bed, department and staff names
+ */
+export const getSummary = async (assignmentId) => {
+  if (!assignmentId) throw new Error('Bed assignment ID is required');
+
+  try {
+    const assignment = await getDocData(BED_ASSIGNMENTS_COLLECTION, assignmentId);
+    if (!assignment) throw new Error('Bed assignment not found');
+    if (!assignment.dischargedAt || assignment.status !== BED_ASSIGNMENT_STATUS.DISCHARGED) {
+      throw new Error('This stay has not been discharged');
+    }
+
+    const [patient, bed, dischargedBy, followUpDoctor] = await Promise.all([
+      getDocData(PATIENTS_COLLECTION, assignment.patientId),
+      getDocData(BEDS_COLLECTION, assignment.bedId),
+      getDocData(USERS_COLLECTION, assignment.dischargedBy),
+      getDocData(USERS_COLLECTION, assignment.followUp?.doctorId),
+    ]);
+    const department = await getDocData(DEPARTMENTS_COLLECTION, bed?.departmentId);
+
+    const discharge = transformDischargeData(assignment, assignmentId);
+
+    return {
+      ...discharge,
+      bed_number: discharge.bed_number || bed?.bedNumber || null,
+      department_name: department?.name || null,
+      discharged_by_name: dischargedBy?.fullName || dischargedBy?.full_name || null,
+      follow_up: discharge.follow_up && {
+        ...discharge.follow_up,
+        doctor_name: followUpDoctor?.fullName || followUpDoctor?.full_name || null,
+      },
+      patient: patient ? {
+        id: patient.id,
+        full_name: patient.fullName || patient.full_name || null,
+        date_of_birth: patient.dateOfBirth || patient.date_of_birth || null,
+        gender: patient.gender || null,
+        blood_group: patient.bloodGroup || patient.blood_group || null,
+        phone: patient.phone || null,
+        address: patient.address || null,
+        status: patient.status || null,
+      } : null,
+    };
+  } catch (error) {
+    console.error('Get discharge summary error:', error);
+    throw new Error(error.message || 'Failed to fetch discharge summary');
+  }
+};
+
+/**
+ * Book the follow-up appointment recorded on a discharge and link it to the assignment.
+ * Runs after the discharge transaction; a follow-up without a doctor is kept as
+ * instructions only.
+ * @param {Object} result - discharge record from dischargeBedAtomically
+ * @param {Object} options - { createdBy? }
+ * @returns {Promise<Object|null>} created appointment, or null when none is needed
+ */
+export const scheduleFollowUp = async (result, options = {}) => {
+  const followUp = result?.followUp;
+  const assignmentId = result?.assignmentIds?.[0];
+  const patientId = result?.patientIds?.[0];
+  if (!followUp?.date || !followUp.doctorId || !assignmentId || !patientId) return null;
+
+  try {
+    const appointment = await createAppointment({
+      patientId,
+      doctorId: followUp.doctorId,
+      appointmentDate: followUp.date,
+      reason: 'Post-discharge follow-up',
+      notes: followUp.instructions,
+      createdBy: options.createdBy || 'system',
+    });
+
+    await updateDoc(doc(db, BED_ASSIGNMENTS_COLLECTION, assignmentId), {
+      'followUp.appointmentId': appointment.id,
+    });
+
+    return appointment;
+  } catch (error) {
+    console.error('Schedule follow-up error:', error);
+    throw new Error(error.message || 'Failed to schedule follow-up appointment');
+  }
+};
+
+// Export as named object and default
+export const dischargeFirebase = {
+  getByPatient,
+  getSummary,
+  scheduleFollowUp,
+};
+
+export default dischargeFirebase;
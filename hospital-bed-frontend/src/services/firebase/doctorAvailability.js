@@ -0,0 +1,232 @@
+// src/services/firebase/doctorAvailability.js
+/**
+ * Doctor availability
+ *
+ * Pure helpers that turn a doctor's schedule and existing appointments into
+ * bookable slots, and explain why a given time cannot be booked.
+ * Shared by appointmentValidation (enforcement on create/update) and the
+ * appointment form (free slot picker). Accept both raw Firestore data
+ * (camelCase, Timestamps) and transformed data (snake_case, ISO strings).
+ *
+ * Rules:
+ * - Appointments must start in the future
+ * - The whole appointment must fit inside one working-hours window
+ * - It must not overlap blocked time (leave, surgery, ...)
+ * - It must not overlap another appointment of the same doctor;
+ *   cancelled and no-show appointments free their slot
+ */
+
+import { addMinutes, format, startOfDay } from 'date-fns';
+import {
+  APPOINTMENT_CONFLICT_TYPES,
+  APPOINTMENT_STATUS,
+  BLOCKED_TIME_REASON_LABELS,
+  DEFAULT_DOCTOR_SCHEDULE,
+  WEEKDAYS
+} from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+// Appointment statuses that no longer hold their slot
+const NON_BLOCKING_STATUSES = [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW];
+
+/**
+ * Minutes since midnight for an 'HH:mm' string
+ * @param {string} time
+ * @returns {number|null}
+ */
+export const parseTimeOfDay = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+};
+
+/**
+ * Normalize a stored schedule, filling gaps from DEFAULT_DOCTOR_SCHEDULE
+ * @param {Object|null} schedule - raw or transformed schedule
+ * @returns {Object} { slotMinutes, workingHours: { mon: [{ start, end }], ... }, blockedTimes: [{ id, start, end, reason, note }] }
+ */
+export const normalizeSchedule = (schedule = null) => {
+  const slotMinutes = Number(schedule?.slotMinutes ?? schedule?.slot_minutes) ||
+    DEFAULT_DOCTOR_SCHEDULE.slotMinutes;
+  const storedHours = schedule?.workingHours ?? schedule?.working_hours ?? {};
+
+  const workingHours = {};
+  WEEKDAYS.forEach(({ key }) => {
+    const windows = Array.isArray(storedHours[key])
+      ? storedHours[key]
+      : DEFAULT_DOCTOR_SCHEDULE.workingHours[key];
+    workingHours[key] = windows
+      .filter(window => parseTimeOfDay(window.start) !== null && parseTimeOfDay(window.end) !== null)
+      .filter(window => parseTimeOfDay(window.start) < parseTimeOfDay(window.end))
+      .map(window => ({ start: window.start, end: window.end }));
+  });
+
+  const blockedTimes = (schedule?.blockedTimes ?? schedule?.blocked_times ?? [])
+    .map(blocked => ({
+      id: blocked.id,
+      start: toDate(blocked.start),
+      end: toDate(blocked.end),
+      reason: blocked.reason || null,
+      note: blocked.note || null,
+    }))
+    .filter(blocked => blocked.start && blocked.end && blocked.start < blocked.end);
+
+  return { slotMinutes, workingHours, blockedTimes };
+};
+
+/**
+ * Working-hours windows on a given day
+ * @param {Object} schedule - normalized schedule
+ * @param {Date} date - any time on the day
+ * @returns {Array<Object>} [{ start: Date, end: Date }]
+ */
+export const getWorkingWindows = (schedule, date) => {
+  const dayStart = startOfDay(date);
+  const { key } = WEEKDAYS[dayStart.getDay()];
+  return (schedule.workingHours[key] || []).map(window => ({
+    start: addMinutes(dayStart, parseTimeOfDay(window.start)),
+    end: addMinutes(dayStart, parseTimeOfDay(window.end)),
+  }));
+};
+
+/**
+ * Start and end of an appointment
+ * @param {Object} appointment - raw or transformed appointment
+ * @param {number} defaultMinutes - used when the appointment has no stored duration
+ * @returns {Object|null} { start: Date, end: Date }
+ */
+export const getAppointmentInterval = (appointment, defaultMinutes) => {
+  const start = toDate(appointment.appointmentDate ?? appointment.appointment_date);
+  if (!start) return null;
+  const minutes = Number(appointment.durationMinutes ?? appointment.duration_minutes) || defaultMinutes;
+  return { start, end: addMinutes(start, minutes) };
+};
+
+/**
+ * Whether an appointment still holds its time slot
+ * @param {Object} appointment
+ * @returns {boolean}
+ */
+export const holdsSlot = (appointment) =>
+  !NON_BLOCKING_STATUSES.includes(appointment.status || APPOINTMENT_STATUS.SCHEDULED);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Every reason a doctor cannot see a patient at the given time
+ * @param {Object} params
+ * @param {Object} params.schedule - normalized schedule
+ * @param {Date} params.start - requested start
+ * @param {number} [params.durationMinutes] - defaults to the schedule's slot length
+ * @param {Array<Object>} [params.appointments] - the doctor's appointments around that day
+ * @param {string} [params.excludeAppointmentId] - the appointment being moved
+ * @param {Date} [params.now]
+ * @returns {Array<Object>} [{ type, message, appointment_id?, blocked_time_id? }], empty when bookable
+ */
+export const findSlotConflicts = ({
+  schedule,
+  start,
+  durationMinutes,
+  appointments = [],
+  excludeAppointmentId = null,
+  now = new Date(),
+}) => {
+  const requested = { start, end: addMinutes(start, durationMinutes || schedule.slotMinutes) };
+  const conflicts = [];
+
+  if (requested.start < now) {
+    conflicts.push({
+      type: APPOINTMENT_CONFLICT_TYPES.PAST,
+      message: 'Appointment time is in the past',
+    });
+  }
+
+  const withinHours = getWorkingWindows(schedule, requested.start)
+    .some(window => window.start <= requested.start && requested.end <= window.end);
+  if (!withinHours) {
+    conflicts.push({
+      type: APPOINTMENT_CONFLICT_TYPES.OUTSIDE_HOURS,
+      message: `Doctor is not working at ${format(requested.start, 'EEE HH:mm')}`,
+    });
+  }
+
+  schedule.blockedTimes
+    .filter(blocked => overlaps(blocked, requested))
+    .forEach(blocked => {
+      const label = BLOCKED_TIME_REASON_LABELS[blocked.reason] || 'Blocked time';
+      conflicts.push({
+        type: APPOINTMENT_CONFLICT_TYPES.BLOCKED,
+        message: `Doctor is unavailable (${label.toLowerCase()}) ${format(blocked.start, 'MMM d HH:mm')} - ${format(blocked.end, 'MMM d HH:mm')}`,
+        blocked_time_id: blocked.id || null,
+      });
+    });
+
+  appointments
+    .filter(appointment => appointment.id !== excludeAppointmentId && holdsSlot(appointment))
+    .forEach(appointment => {
+      const interval = getAppointmentInterval(appointment, schedule.slotMinutes);
+      if (interval && overlaps(interval, requested)) {
+        conflicts.push({
+          type: APPOINTMENT_CONFLICT_TYPES.DOUBLE_BOOKED,
+          message: `Doctor already has an appointment at ${format(interval.start, 'HH:mm')}`,
+          appointment_id: appointment.id,
+        });
+      }
+    });
+
+  return conflicts;
+};
+
+/**
+ * Slots on a day, each marked free or taken
+ * @param {Object} params
+ * @param {Object} params.schedule - normalized schedule
+ * @param {Date} params.date - any time on the day
+ * @param {number} [params.durationMinutes] - defaults to the schedule's slot length
+ * @param {Array<Object>} [params.appointments]
+ * @param {string} [params.excludeAppointmentId]
+ * @param {Date} [params.now]
+ * @returns {Array<Object>} [{ start: Date, end: Date, available, conflicts }]
+ */
+export const buildDaySlots = ({
+  schedule,
+  date,
+  durationMinutes,
+  appointments = [],
+  excludeAppointmentId = null,
+  now = new Date(),
+}) => {
+  const minutes = durationMinutes || schedule.slotMinutes;
+  const slots = [];
+
+  getWorkingWindows(schedule, date).forEach(window => {
+    for (
+      let start = window.start;
+      addMinutes(start, minutes) <= window.end;
+      start = addMinutes(start, schedule.slotMinutes)
+    ) {
+      const conflicts = findSlotConflicts({
+        schedule,
+        start,
+        durationMinutes: minutes,
+        appointments,
+        excludeAppointmentId,
+        now,
+      });
+      slots.push({ start, end: addMinutes(start, minutes), available: conflicts.length === 0, conflicts });
+    }
+  });
+
+  return slots;
+};
+
+export default {
+  parseTimeOfDay,
+  normalizeSchedule,
+  getWorkingWindows,
+  getAppointmentInterval,
+  holdsSlot,
+  findSlotConflicts,
+  buildDaySlots,
+};
@@ -0,0 +1,143 @@
+// src/services/firebase/doctorAvailability.test.js
+/**
+ * Unit tests for the doctor availability rules (working-hour slots and
+ * booking conflicts). Dates are local time, like the schedules themselves.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { APPOINTMENT_CONFLICT_TYPES, APPOINTMENT_STATUS, DEFAULT_DOCTOR_SCHEDULE } from '@lib/constants';
+import {
+  buildDaySlots,
+  findSlotConflicts,
+  normalizeSchedule,
+  parseTimeOfDay,
+} from './doctorAvailability';
+
+// Monday 7 January 2030, long after NOW
+const MONDAY = new Date(2030, 0, 7);
+const SUNDAY = new Date(2030, 0, 6);
+const NOW = new Date(2030, 0, 1, 8, 0);
+
+const at = (day, hours, minutes = 0) =>
+  new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+
+const timesOf = (slots) => slots.map(slot => `${slot.start.getHours()}:${String(slot.start.getMinutes()).padStart(2, '0')}`);
+
+describe('parseTimeOfDay', () => {
+  it('reads HH:mm as minutes since midnight', () => {
+    expect(parseTimeOfDay('09:30')).toBe(570);
+    expect(parseTimeOfDay('24:00')).toBe(1440);
+  });
+
+  it('rejects malformed or out-of-range times', () => {
+    expect(parseTimeOfDay('9.30')).toBeNull();
+    expect(parseTimeOfDay('25:00')).toBeNull();
+    expect(parseTimeOfDay(undefined)).toBeNull();
+  });
+});
+
+describe('normalizeSchedule', () => {
+  it('falls back to the default Mon-Fri schedule', () => {
+    const schedule = normalizeSchedule(null);
+
+    expect(schedule.slotMinutes).toBe(DEFAULT_DOCTOR_SCHEDULE.slotMinutes);
+    expect(schedule.workingHours.mon).toEqual([{ start: '09:00', end: '17:00' }]);
+    expect(schedule.workingHours.sun).toEqual([]);
+  });
+
+  it('accepts transformed data and drops invalid windows and blocked times', () => {
+    const schedule = normalizeSchedule({
+      slot_minutes: 20,
+      working_hours: { mon: [{ start: '08:00', end: '12:00' }, { start: '14:00', end: '13:00' }] },
+      blocked_times: [
+        { id: 'ok', start: at(MONDAY, 10).toISOString(), end: at(MONDAY, 11).toISOString() },
+        { id: 'reversed', start: at(MONDAY, 11).toISOString(), end: at(MONDAY, 10).toISOString() },
+      ],
+    });
+
+    expect(schedule.slotMinutes).toBe(20);
+    expect(schedule.workingHours.mon).toEqual([{ start: '08:00', end: '12:00' }]);
+    expect(schedule.workingHours.tue).toEqual(DEFAULT_DOCTOR_SCHEDULE.workingHours.tue);
+    expect(schedule.blockedTimes.map(blocked => blocked.id)).toEqual(['ok']);
+  });
+});
+
+describe('buildDaySlots', () => {
+  it('splits each working window into slots that fit entirely inside it', () => {
+    const schedule = normalizeSchedule({
+      slotMinutes: 30,
+      workingHours: { mon: [{ start: '09:00', end: '10:00' }, { start: '13:00', end: '14:15' }] },
+    });
+
+    const slots = buildDaySlots({ schedule, date: MONDAY, now: NOW });
+
+    expect(timesOf(slots)).toEqual(['9:00', '9:30', '13:00', '13:30']);
+    expect(slots.every(slot => slot.available)).toBe(true);
+    expect(slots[0].end).toEqual(at(MONDAY, 9, 30));
+  });
+
+  it('steps by the slot length but sizes slots by the requested duration', () => {
+    const schedule = normalizeSchedule({ slotMinutes: 30, workingHours: { mon: [{ start: '09:00', end: '10:30' }] } });
+
+    const slots = buildDaySlots({ schedule, date: MONDAY, durationMinutes: 60, now: NOW });
+
+    expect(timesOf(slots)).toEqual(['9:00', '9:30']);
+    expect(slots[1].end).toEqual(at(MONDAY, 10, 30));
+  });
+
+  it('has no slots on a day off', () => {
+    expect(buildDaySlots({ schedule: normalizeSchedule(null), date: SUNDAY, now: NOW })).toEqual([]);
+  });
+
+  it('marks slots taken by appointments and blocked time', () => {
+    const schedule = normalizeSchedule({
+      slotMinutes: 30,
+      workingHours: { mon: [{ start: '09:00', end: '11:00' }] },
+      blockedTimes: [{ id: 'surgery', start: at(MONDAY, 10), end: at(MONDAY, 10, 30), reason: 'surgery' }],
+    });
+    const appointments = [
+      { id: 'booked', appointmentDate: at(MONDAY, 9), durationMinutes: 30 },
+      { id: 'cancelled', appointmentDate: at(MONDAY, 9, 30), status: APPOINTMENT_STATUS.CANCELLED },
+    ];
+
+    const slots = buildDaySlots({ schedule, date: MONDAY, appointments, now: NOW });
+
+    expect(slots.map(slot => slot.available)).toEqual([false, true, false, true]);
+    expect(slots[0].conflicts[0]).toMatchObject({
+      type: APPOINTMENT_CONFLICT_TYPES.DOUBLE_BOOKED,
+      appointment_id: 'booked',
+    });
+    expect(slots[2].conflicts[0]).toMatchObject({
+      type: APPOINTMENT_CONFLICT_TYPES.BLOCKED,
+      blocked_time_id: 'surgery',
+    });
+  });
+});
+
+describe('findSlotConflicts', () => {
+  const schedule = normalizeSchedule(null);
+
+  it('allows a free time inside working hours', () => {
+    expect(findSlotConflicts({ schedule, start: at(MONDAY, 9), now: NOW })).toEqual([]);
+  });
+
+  it('reports past times and appointments running past the end of the day', () => {
+    const types = findSlotConflicts({ schedule, start: at(MONDAY, 16, 45), now: at(MONDAY, 17) })
+      .map(conflict => conflict.type);
+
+    expect(types).toEqual([APPOINTMENT_CONFLICT_TYPES.PAST, APPOINTMENT_CONFLICT_TYPES.OUTSIDE_HOURS]);
+  });
+
+  it('ignores the appointment being moved', () => {
+    const appointments = [{ id: 'moving', appointment_date: at(MONDAY, 9).toISOString(), duration_minutes: 30 }];
+
+    expect(findSlotConflicts({ schedule, start: at(MONDAY, 9), appointments, now: NOW })).toHaveLength(1);
+    expect(findSlotConflicts({
+      schedule,
+      start: at(MONDAY, 9),
+      appointments,
+      excludeAppointmentId: 'moving',
+      now: NOW,
+    })).toEqual([]);
+  });
+});
@@ -0,0 +1,249 @@
+// src/services/firebase/doctorScheduleFirebase.js
+/**
+ * Firebase Doctor Schedule Service
+ *
+ * Doctor availability for appointment booking. One `doctorSchedules`
+ * document per doctor (document ID = doctor's user ID) holds weekly working
+ * hours, the appointment slot length and blocked time such as leave or
+ * surgery. Doctors without a document use DEFAULT_DOCTOR_SCHEDULE.
+ *
+ * Features:
+ * - Read and update working hours and slot length
+ * - Add/remove blocked time
+ * - Free/taken slots for a doctor on a given day
+ * - Compatible with doctorScheduleApi interface
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  Timestamp
+} from 'firebase/firestore';
+import { addDays, startOfDay } from 'date-fns';
+import { db } from './firebaseConfig';
+import {
+  buildDaySlots,
+  normalizeSchedule,
+  parseTimeOfDay
+} from './doctorAvailability';
+import { loadDoctorAppointments, loadDoctorSchedule } from './appointmentValidation';
+import { WEEKDAYS } from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+const DOCTOR_SCHEDULES_COLLECTION = 'doctorSchedules';
+
+/**
+ * Transform a schedule to match expected UI format
+ * @param {string} doctorId
+ * @param {Object|null} scheduleData - raw Firestore data, null when not set up
+ * @returns {Object} transformed schedule
+ */
+const transformScheduleData = (doctorId, scheduleData) => {
+  const schedule = normalizeSchedule(scheduleData);
+  return {
+    doctor_id: doctorId,
+    slot_minutes: schedule.slotMinutes,
+    working_hours: schedule.workingHours,
+    blocked_times: schedule.blockedTimes
+      .map(blocked => ({
+        id: blocked.id,
+        start: blocked.start.toISOString(),
+        end: blocked.end.toISOString(),
+        reason: blocked.reason,
+        note: blocked.note,
+      }))
+      .sort((a, b) => a.start.localeCompare(b.start)),
+    is_default: !scheduleData,
+    updated_at: scheduleData?.updatedAt || null,
+    updated_by: scheduleData?.updatedBy || null,
+  };
+};
+
+/**
+ * Validate weekly working hours
+ * @param {Object} workingHours - { mon: [{ start: 'HH:mm', end: 'HH:mm' }], ... }
+ * @returns {Object} working hours for every weekday
+ */
+const validateWorkingHours = (workingHours) => {
+  const validated = {};
+  WEEKDAYS.forEach(({ key, label }) => {
+    const windows = workingHours[key] || [];
+    windows.forEach(window => {
+      const start = parseTimeOfDay(window.start);
+      const end = parseTimeOfDay(window.end);
+      if (start === null || end === null) {
+        throw new Error(`${label}: working hours must be in HH:mm format`);
+      }
+      if (start >= end) {
+        throw new Error(`${label}: working hours must end after they start`);
+      }
+    });
+    validated[key] = windows.map(window => ({ start: window.start, end: window.end }));
+  });
+  return validated;
+};
+
+/**
+ * Get a doctor's schedule (default schedule when none is stored)
+ * @param {string} doctorId
+ * @returns {Promise<Object>} schedule
+ */
+export const getSchedule = async (doctorId) => {
+  if (!doctorId) throw new Error('Doctor ID is required');
+
+  try {
+    const scheduleDoc = await getDoc(doc(db, DOCTOR_SCHEDULES_COLLECTION, doctorId));
+    return transformScheduleData(doctorId, scheduleDoc.exists() ? scheduleDoc.data() : null);
+  } catch (error) {
+    console.error('Get doctor schedule error:', error);
+    throw new Error(error.message || 'Failed to fetch doctor schedule');
+  }
+};
+
+/**
+ * Update working hours and/or slot length
+ * @param {string} doctorId
+ * @param {Object} data - { working_hours, slot_minutes, updated_by }
+ * @returns {Promise<Object>} updated schedule
+ */
+export const updateSchedule = async (doctorId, data) => {
+  if (!doctorId) throw new Error('Doctor ID is required');
+
+  try {
+    const workingHours = data.workingHours || data.working_hours;
+    const slotMinutes = Number(data.slotMinutes ?? data.slot_minutes);
+
+    if (data.slotMinutes !== undefined || data.slot_minutes !== undefined) {
+      if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > 240) {
+        throw new Error('Slot length must be between 5 and 240 minutes');
+      }
+    }
+
+    const updatedData = {
+      ...(workingHours && { workingHours: validateWorkingHours(workingHours) }),
+      ...(slotMinutes && { slotMinutes }),
+      updatedBy: data.updatedBy || data.updated_by || null,
+      updatedAt: Timestamp.now(),
+    };
+
+    await setDoc(doc(db, DOCTOR_SCHEDULES_COLLECTION, doctorId), updatedData, { merge: true });
+
+    return getSchedule(doctorId);
+  } catch (error) {
+    console.error('Update doctor schedule error:', error);
+    throw new Error(error.message || 'Failed to update doctor schedule');
+  }
+};
+
+/**
+ * Block time off (leave, surgery, ...); existing appointments are kept
+ * @param {string} doctorId
+ * @param {Object} data - { start, end, reason, note, created_by }
+ * @returns {Promise<Object>} updated schedule
+ */
+export const addBlockedTime = async (doctorId, data) => {
+  if (!doctorId) throw new Error('Doctor ID is required');
+
+  try {
+    const start = toDate(data.start);
+    const end = toDate(data.end);
+    if (!start || !end) throw new Error('Blocked time needs a start and end');
+    if (start >= end) throw new Error('Blocked time must end after it starts');
+
+    const scheduleRef = doc(db, DOCTOR_SCHEDULES_COLLECTION, doctorId);
+    const scheduleDoc = await getDoc(scheduleRef);
+    const blockedTimes = scheduleDoc.exists() ? scheduleDoc.data().blockedTimes || [] : [];
+
+    const blockedTime = {
+      // Auto-generated ID without writing a document
+      id: doc(collection(db, DOCTOR_SCHEDULES_COLLECTION)).id,
+      start: Timestamp.fromDate(start),
+      end: Timestamp.fromDate(end),
+      reason: data.reason || null,
+      note: data.note || null,
+      createdBy: data.createdBy || data.created_by || null,
+      createdAt: Timestamp.now(),
+    };
+
+    await setDoc(scheduleRef, {
+      blockedTimes: [...blockedTimes, blockedTime],
+      updatedBy: blockedTime.createdBy,
+      updatedAt: Timestamp.now(),
+    }, { merge: true });
+
+    return getSchedule(doctorId);
+  } catch (error) {
+    console.error('Add blocked time error:', error);
+    throw new Error(error.message || 'Failed to block time');
+  }
+};
+
+/**
+ * Remove blocked time
+ * @param {string} doctorId
+ * @param {string} blockedTimeId
+ * @returns {Promise<Object>} updated schedule
+ */
+export const removeBlockedTime = async (doctorId, blockedTimeId) => {
+  if (!doctorId || !blockedTimeId) throw new Error('Doctor ID and blocked time ID are required');
+
+  try {
+    const scheduleRef = doc(db, DOCTOR_SCHEDULES_COLLECTION, doctorId);
+    const scheduleDoc = await getDoc(scheduleRef);
+    if (!scheduleDoc.exists()) throw new Error('Blocked time not found');
+
+    const blockedTimes = scheduleDoc.data().blockedTimes || [];
+    if (!blockedTimes.some(blocked => blocked.id === blockedTimeId)) {
+      throw new Error('Blocked time not found');
+    }
+
+    await setDoc(scheduleRef, {
+      blockedTimes: blockedTimes.filter(blocked => blocked.id !== blockedTimeId),
+      updatedAt: Timestamp.now(),
+    }, { merge: true });
+
+    return getSchedule(doctorId);
+  } catch (error) {
+    console.error('Remove blocked time error:', error);
+    throw new Error(error.message || 'Failed to remove blocked time');
+  }
+};
+
+/**
+ * Slots for a doctor on a day, each marked free or taken
+ * @param {Object} params - { doctorId, date (Date), durationMinutes?, excludeAppointmentId? }
+ * @returns {Promise<Array>} [{ start, end, available, conflicts }] with ISO strings
+ */
+export const getAvailableSlots = async ({ doctorId, date, durationMinutes, excludeAppointmentId = null }) => {
+  if (!doctorId || !date) throw new Error('Doctor and date are required');
+
+  try {
+    const day = startOfDay(toDate(date));
+    const schedule = await loadDoctorSchedule(doctorId);
+    const appointments = await loadDoctorAppointments(doctorId, addDays(day, -1), addDays(day, 2));
+
+    return buildDaySlots({ schedule, date: day, durationMinutes, appointments, excludeAppointmentId })
+      .map(slot => ({
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        available: slot.available,
+        conflicts: slot.conflicts,
+      }));
+  } catch (error) {
+    console.error('Get available slots error:', error);
+    throw new Error(error.message || 'Failed to fetch available slots');
+  }
+};
+
+// Export as named object and default
+export const doctorScheduleFirebase = {
+  getSchedule,
+  updateSchedule,
+  addBlockedTime,
+  removeBlockedTime,
+  getAvailableSlots,
+};
+
+export default doctorScheduleFirebase;
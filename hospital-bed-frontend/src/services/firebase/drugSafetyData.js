@@ -0,0 +1,232 @@
+// src/services/firebase/drugSafetyData.js
+/**
+ * Bundled drug safety dataset
+ *
+ * Small, locally bundled reference data for prescribing checks
+ * (see prescriptionSafety). It covers common ward medications and the
+ * interactions and allergy cross-reactions most often met in practice; it is
+ * not a replacement for a full clinical drug database.
+ *
+ * Shape:
+ * - DRUGS: key → { name, aliases, classes, allergyGroup?, therapeuticGroup? }
+ *   classes are used for allergy and interaction matching, allergyGroup is the
+ *   class a patient allergic to this drug should avoid, therapeuticGroup marks
+ *   drugs that duplicate each other's therapy
+ * - DRUG_CLASS_LABELS: class key → label (also matched against allergy text)
+ * - ALLERGY_CLASS_ALIASES: free-text allergy names → class key
+ * - ALLERGY_CROSS_REACTIONS: allergy to `allergen` (drug or class) →
+ *   caution with `contraindicates` (drug or class)
+ * - DRUG_INTERACTIONS: `between` two drugs or classes
+ *
+ * Severities are PRESCRIPTION_WARNING_SEVERITY values.
+ */
+
+export const DRUGS = {
+  // Antibiotics
+  amoxicillin: { name: 'Amoxicillin', aliases: ['amoxil'], classes: ['penicillin', 'beta_lactam'], allergyGroup: 'penicillin', therapeuticGroup: 'penicillin' },
+  co_amoxiclav: { name: 'Co-amoxiclav', aliases: ['augmentin', 'amoxicillin clavulanate', 'amoxicillin/clavulanate'], classes: ['penicillin', 'beta_lactam'], allergyGroup: 'penicillin', therapeuticGroup: 'penicillin' },
+  flucloxacillin: { name: 'Flucloxacillin', aliases: [], classes: ['penicillin', 'beta_lactam'], allergyGroup: 'penicillin', therapeuticGroup: 'penicillin' },
+  piperacillin_tazobactam: { name: 'Piperacillin-tazobactam', aliases: ['tazocin', 'pip-tazo', 'piperacillin'], classes: ['penicillin', 'beta_lactam'], allergyGroup: 'penicillin', therapeuticGroup: 'penicillin' },
+  benzylpenicillin: { name: 'Benzylpenicillin', aliases: ['penicillin g', 'penicillin v', 'phenoxymethylpenicillin'], classes: ['penicillin', 'beta_lactam'], allergyGroup: 'penicillin', therapeuticGroup: 'penicillin' },
+  cefalexin: { name: 'Cefalexin', aliases: ['cephalexin', 'keflex'], classes: ['cephalosporin', 'beta_lactam'], allergyGroup: 'cephalosporin', therapeuticGroup: 'cephalosporin' },
+  ceftriaxone: { name: 'Ceftriaxone', aliases: ['rocephin'], classes: ['cephalosporin', 'beta_lactam'], allergyGroup: 'cephalosporin', therapeuticGroup: 'cephalosporin' },
+  cefuroxime: { name: 'Cefuroxime', aliases: ['zinacef'], classes: ['cephalosporin', 'beta_lactam'], allergyGroup: 'cephalosporin', therapeuticGroup: 'cephalosporin' },
+  clarithromycin: { name: 'Clarithromycin', aliases: ['klaricid'], classes: ['macrolide'], allergyGroup: 'macrolide', therapeuticGroup: 'macrolide' },
+  erythromycin: { name: 'Erythromycin', aliases: [], classes: ['macrolide'], allergyGroup: 'macrolide', therapeuticGroup: 'macrolide' },
+  azithromycin: { name: 'Azithromycin', aliases: ['zithromax'], classes: ['macrolide'], allergyGroup: 'macrolide', therapeuticGroup: 'macrolide' },
+  ciprofloxacin: { name: 'Ciprofloxacin', aliases: ['cipro'], classes: ['fluoroquinolone'], allergyGroup: 'fluoroquinolone', therapeuticGroup: 'fluoroquinolone' },
+  levofloxacin: { name: 'Levofloxacin', aliases: [], classes: ['fluoroquinolone'], allergyGroup: 'fluoroquinolone', therapeuticGroup: 'fluoroquinolone' },
+  doxycycline: { name: 'Doxycycline', aliases: [], classes: ['tetracycline'], allergyGroup: 'tetracycline', therapeuticGroup: 'tetracycline' },
+  co_trimoxazole: { name: 'Co-trimoxazole', aliases: ['septrin', 'bactrim', 'trimethoprim-sulfamethoxazole', 'sulfamethoxazole'], classes: ['sulfonamide'], allergyGroup: 'sulfonamide' },
+  trimethoprim: { name: 'Trimethoprim', aliases: [], classes: ['trimethoprim'] },
+  metronidazole: { name: 'Metronidazole', aliases: ['flagyl'], classes: ['nitroimidazole'] },
+  vancomycin: { name: 'Vancomycin', aliases: [], classes: ['glycopeptide'] },
+  gentamicin: { name: 'Gentamicin', aliases: [], classes: ['aminoglycoside'], allergyGroup: 'aminoglycoside' },
+
+  // Analgesics
+  paracetamol: { name: 'Paracetamol', aliases: ['acetaminophen', 'tylenol', 'panadol', 'co-codamol'], classes: ['analgesic'], therapeuticGroup: 'paracetamol' },
+  ibuprofen: { name: 'Ibuprofen', aliases: ['brufen', 'nurofen', 'advil'], classes: ['nsaid'], allergyGroup: 'nsaid', therapeuticGroup: 'nsaid' },
+  naproxen: { name: 'Naproxen', aliases: [], classes: ['nsaid'], allergyGroup: 'nsaid', therapeuticGroup: 'nsaid' },
+  diclofenac: { name: 'Diclofenac', aliases: ['voltaren'], classes: ['nsaid'], allergyGroup: 'nsaid', therapeuticGroup: 'nsaid' },
+  aspirin: { name: 'Aspirin', aliases: ['acetylsalicylic acid'], classes: ['antiplatelet', 'salicylate'], allergyGroup: 'salicylate', therapeuticGroup: 'antiplatelet' },
+  codeine: { name: 'Codeine', aliases: ['co-codamol'], classes: ['opioid'], therapeuticGroup: 'opioid' },
+  tramadol: { name: 'Tramadol', aliases: [], classes: ['opioid', 'serotonergic'], therapeuticGroup: 'opioid' },
+  morphine: { name: 'Morphine', aliases: ['oramorph', 'mst'], classes: ['opioid'], therapeuticGroup: 'opioid' },
+  oxycodone: { name: 'Oxycodone', aliases: ['oxycontin', 'oxynorm'], classes: ['opioid'], therapeuticGroup: 'opioid' },
+
+  // Cardiovascular
+  warfarin: { name: 'Warfarin', aliases: ['coumadin'], classes: ['anticoagulant', 'vitamin_k_antagonist'], therapeuticGroup: 'anticoagulant' },
+  apixaban: { name: 'Apixaban', aliases: ['eliquis'], classes: ['anticoagulant'], therapeuticGroup: 'anticoagulant' },
+  rivaroxaban: { name: 'Rivaroxaban', aliases: ['xarelto'], classes: ['anticoagulant'], therapeuticGroup: 'anticoagulant' },
+  enoxaparin: { name: 'Enoxaparin', aliases: ['clexane', 'lovenox'], classes: ['anticoagulant', 'heparin'], allergyGroup: 'heparin', therapeuticGroup: 'anticoagulant' },
+  heparin: { name: 'Heparin', aliases: [], classes: ['anticoagulant', 'heparin'], allergyGroup: 'heparin', therapeuticGroup: 'anticoagulant' },
+  clopidogrel: { name: 'Clopidogrel', aliases: ['plavix'], classes: ['antiplatelet'], therapeuticGroup: 'antiplatelet' },
+  lisinopril: { name: 'Lisinopril', aliases: [], classes: ['ace_inhibitor'], allergyGroup: 'ace_inhibitor', therapeuticGroup: 'ace_inhibitor' },
+  ramipril: { name: 'Ramipril', aliases: [], classes: ['ace_inhibitor'], allergyGroup: 'ace_inhibitor', therapeuticGroup: 'ace_inhibitor' },
+  enalapril: { name: 'Enalapril', aliases: [], classes: ['ace_inhibitor'], allergyGroup: 'ace_inhibitor', therapeuticGroup: 'ace_inhibitor' },
+  losartan: { name: 'Losartan', aliases: [], classes: ['arb'], therapeuticGroup: 'arb' },
+  candesartan: { name: 'Candesartan', aliases: [], classes: ['arb'], therapeuticGroup: 'arb' },
+  spironolactone: { name: 'Spironolactone', aliases: [], classes: ['potassium_sparing_diuretic'] },
+  potassium_chloride: { name: 'Potassium chloride', aliases: ['sando-k', 'kcl'], classes: ['potassium_supplement'] },
+  furosemide: { name: 'Furosemide', aliases: ['frusemide', 'lasix'], classes: ['loop_diuretic'], therapeuticGroup: 'loop_diuretic' },
+  bisoprolol: { name: 'Bisoprolol', aliases: [], classes: ['beta_blocker'], therapeuticGroup: 'beta_blocker' },
+  metoprolol: { name: 'Metoprolol', aliases: [], classes: ['beta_blocker'], therapeuticGroup: 'beta_blocker' },
+  amiodarone: { name: 'Amiodarone', aliases: [], classes: ['antiarrhythmic'] },
+  digoxin: { name: 'Digoxin', aliases: [], classes: ['cardiac_glycoside'] },
+  simvastatin: { name: 'Simvastatin', aliases: ['zocor'], classes: ['statin'], therapeuticGroup: 'statin' },
+  atorvastatin: { name: 'Atorvastatin', aliases: ['lipitor'], classes: ['statin'], therapeuticGroup: 'statin' },
+  glyceryl_trinitrate: { name: 'Glyceryl trinitrate', aliases: ['gtn', 'nitroglycerin'], classes: ['nitrate'] },
+  isosorbide_mononitrate: { name: 'Isosorbide mononitrate', aliases: ['ismn'], classes: ['nitrate'] },
+  sildenafil: { name: 'Sildenafil', aliases: ['viagra', 'revatio'], classes: ['pde5_inhibitor'] },
+
+  // CNS
+  sertraline: { name: 'Sertraline', aliases: [], classes: ['ssri', 'serotonergic'], therapeuticGroup: 'antidepressant' },
+  citalopram: { name: 'Citalopram', aliases: [], classes: ['ssri', 'serotonergic'], therapeuticGroup: 'antidepressant' },
+  fluoxetine: { name: 'Fluoxetine', aliases: ['prozac'], classes: ['ssri', 'serotonergic'], therapeuticGroup: 'antidepressant' },
+  phenelzine: { name: 'Phenelzine', aliases: [], classes: ['maoi'], therapeuticGroup: 'antidepressant' },
+  diazepam: { name: 'Diazepam', aliases: ['valium'], classes: ['benzodiazepine'], therapeuticGroup: 'benzodiazepine' },
+  lorazepam: { name: 'Lorazepam', aliases: ['ativan'], classes: ['benzodiazepine'], therapeuticGroup: 'benzodiazepine' },
+  ondansetron: { name: 'Ondansetron', aliases: ['zofran'], classes: ['antiemetic', 'serotonergic'] },
+
+  // Other
+  omeprazole: { name: 'Omeprazole', aliases: [], classes: ['ppi'], therapeuticGroup: 'ppi' },
+  pantoprazole: { name: 'Pantoprazole', aliases: [], classes: ['ppi'], therapeuticGroup: 'ppi' },
+  metformin: { name: 'Metformin', aliases: ['glucophage'], classes: ['biguanide'] },
+  gliclazide: { name: 'Gliclazide', aliases: [], classes: ['sulfonylurea'] },
+  insulin: { name: 'Insulin', aliases: ['novorapid', 'lantus', 'humulin'], classes: ['insulin'] },
+  methotrexate: { name: 'Methotrexate', aliases: [], classes: ['antimetabolite'] },
+  allopurinol: { name: 'Allopurinol', aliases: [], classes: ['xanthine_oxidase_inhibitor'] },
+  prednisolone: { name: 'Prednisolone', aliases: ['prednisone'], classes: ['corticosteroid'], therapeuticGroup: 'corticosteroid' },
+};
+
+export const DRUG_CLASS_LABELS = {
+  penicillin: 'Penicillins',
+  beta_lactam: 'Beta-lactams',
+  cephalosporin: 'Cephalosporins',
+  macrolide: 'Macrolides',
+  fluoroquinolone: 'Fluoroquinolones',
+  tetracycline: 'Tetracyclines',
+  sulfonamide: 'Sulfonamides',
+  aminoglycoside: 'Aminoglycosides',
+  nsaid: 'NSAIDs',
+  salicylate: 'Salicylates',
+  opioid: 'Opioids',
+  anticoagulant: 'Anticoagulants',
+  heparin: 'Heparins',
+  antiplatelet: 'Antiplatelets',
+  ace_inhibitor: 'ACE inhibitors',
+  arb: 'Angiotensin receptor blockers',
+  potassium_sparing_diuretic: 'Potassium-sparing diuretics',
+  potassium_supplement: 'Potassium supplements',
+  beta_blocker: 'Beta blockers',
+  statin: 'Statins',
+  nitrate: 'Nitrates',
+  pde5_inhibitor: 'PDE5 inhibitors',
+  ssri: 'SSRIs',
+  maoi: 'MAO inhibitors',
+  serotonergic: 'Serotonergic drugs',
+  benzodiazepine: 'Benzodiazepines',
+  ppi: 'Proton pump inhibitors',
+};
+
+// Everyday names for allergy groups as they are written on charts
+export const ALLERGY_CLASS_ALIASES = {
+  penicillins: 'penicillin',
+  pcn: 'penicillin',
+  cephalosporins: 'cephalosporin',
+  sulfa: 'sulfonamide',
+  sulpha: 'sulfonamide',
+  'sulfa drugs': 'sulfonamide',
+  sulfonamides: 'sulfonamide',
+  nsaids: 'nsaid',
+  'anti-inflammatories': 'nsaid',
+  'ace inhibitors': 'ace_inhibitor',
+  opiates: 'opioid',
+  opioids: 'opioid',
+  macrolides: 'macrolide',
+  quinolones: 'fluoroquinolone',
+  tetracyclines: 'tetracycline',
+};
+
+export const ALLERGY_CROSS_REACTIONS = [
+  {
+    allergen: 'penicillin',
+    contraindicates: 'cephalosporin',
+    severity: 'moderate',
+    note: 'Low cross-reactivity between penicillins and cephalosporins; avoid after anaphylaxis',
+  },
+  {
+    allergen: 'cephalosporin',
+    contraindicates: 'penicillin',
+    severity: 'moderate',
+    note: 'Low cross-reactivity between cephalosporins and penicillins',
+  },
+  {
+    allergen: 'salicylate',
+    contraindicates: 'nsaid',
+    severity: 'severe',
+    note: 'Aspirin sensitivity commonly extends to other NSAIDs (bronchospasm, angioedema)',
+  },
+  {
+    allergen: 'nsaid',
+    contraindicates: 'salicylate',
+    severity: 'severe',
+    note: 'NSAID sensitivity commonly extends to aspirin',
+  },
+  {
+    allergen: 'morphine',
+    contraindicates: 'opioid',
+    severity: 'moderate',
+    note: 'Possible cross-sensitivity between opioids; many reactions are histamine release, not allergy',
+  },
+  {
+    allergen: 'codeine',
+    contraindicates: 'opioid',
+    severity: 'moderate',
+    note: 'Possible cross-sensitivity between opioids',
+  },
+];
+
+export const DRUG_INTERACTIONS = [
+  { between: ['warfarin', 'nsaid'], severity: 'severe', effect: 'Greatly increased bleeding risk' },
+  { between: ['anticoagulant', 'antiplatelet'], severity: 'severe', effect: 'Increased bleeding risk' },
+  { between: ['warfarin', 'co_trimoxazole'], severity: 'severe', effect: 'Raised INR and bleeding risk' },
+  { between: ['warfarin', 'amiodarone'], severity: 'severe', effect: 'Raised INR; warfarin dose usually needs reducing' },
+  { between: ['warfarin', 'macrolide'], severity: 'moderate', effect: 'Raised INR; monitor closely' },
+  { between: ['warfarin', 'fluoroquinolone'], severity: 'moderate', effect: 'Raised INR; monitor closely' },
+  { between: ['warfarin', 'metronidazole'], severity: 'moderate', effect: 'Raised INR; monitor closely' },
+  { between: ['anticoagulant', 'nsaid'], severity: 'moderate', effect: 'Increased bleeding risk' },
+  { between: ['antiplatelet', 'nsaid'], severity: 'moderate', effect: 'Increased gastrointestinal bleeding risk' },
+  { between: ['clopidogrel', 'omeprazole'], severity: 'moderate', effect: 'Reduced antiplatelet effect of clopidogrel' },
+  { between: ['ssri', 'maoi'], severity: 'severe', effect: 'Serotonin syndrome' },
+  { between: ['tramadol', 'maoi'], severity: 'severe', effect: 'Serotonin syndrome and seizures' },
+  { between: ['tramadol', 'ssri'], severity: 'moderate', effect: 'Serotonin syndrome and lowered seizure threshold' },
+  { between: ['ssri', 'nsaid'], severity: 'moderate', effect: 'Increased gastrointestinal bleeding risk' },
+  { between: ['ssri', 'anticoagulant'], severity: 'moderate', effect: 'Increased bleeding risk' },
+  { between: ['opioid', 'benzodiazepine'], severity: 'severe', effect: 'Profound sedation and respiratory depression' },
+  { between: ['nitrate', 'pde5_inhibitor'], severity: 'severe', effect: 'Severe hypotension' },
+  { between: ['simvastatin', 'clarithromycin'], severity: 'severe', effect: 'Myopathy and rhabdomyolysis' },
+  { between: ['simvastatin', 'erythromycin'], severity: 'severe', effect: 'Myopathy and rhabdomyolysis' },
+  { between: ['simvastatin', 'amiodarone'], severity: 'moderate', effect: 'Increased risk of myopathy; limit simvastatin dose' },
+  { between: ['methotrexate', 'co_trimoxazole'], severity: 'severe', effect: 'Bone marrow suppression' },
+  { between: ['methotrexate', 'trimethoprim'], severity: 'severe', effect: 'Bone marrow suppression' },
+  { between: ['methotrexate', 'nsaid'], severity: 'moderate', effect: 'Reduced methotrexate clearance' },
+  { between: ['ace_inhibitor', 'potassium_sparing_diuretic'], severity: 'moderate', effect: 'Hyperkalaemia' },
+  { between: ['arb', 'potassium_sparing_diuretic'], severity: 'moderate', effect: 'Hyperkalaemia' },
+  { between: ['ace_inhibitor', 'potassium_supplement'], severity: 'moderate', effect: 'Hyperkalaemia' },
+  { between: ['ace_inhibitor', 'arb'], severity: 'moderate', effect: 'Hyperkalaemia, hypotension and renal impairment' },
+  { between: ['ace_inhibitor', 'nsaid'], severity: 'moderate', effect: 'Reduced antihypertensive effect and renal impairment' },
+  { between: ['digoxin', 'amiodarone'], severity: 'moderate', effect: 'Raised digoxin levels; halve the digoxin dose' },
+  { between: ['digoxin', 'clarithromycin'], severity: 'moderate', effect: 'Raised digoxin levels' },
+  { between: ['gentamicin', 'vancomycin'], severity: 'moderate', effect: 'Increased nephrotoxicity' },
+  { between: ['gentamicin', 'furosemide'], severity: 'moderate', effect: 'Increased ototoxicity' },
+  { between: ['fluoroquinolone', 'corticosteroid'], severity: 'minor', effect: 'Increased risk of tendon rupture' },
+];
+
+export default {
+  DRUGS,
+  DRUG_CLASS_LABELS,
+  ALLERGY_CLASS_ALIASES,
+  ALLERGY_CROSS_REACTIONS,
+  DRUG_INTERACTIONS,
+};
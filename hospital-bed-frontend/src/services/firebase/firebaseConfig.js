@@ -21,11 +21,13 @@
  *    VITE_FIREBASE_STORAGE_BUCKET=your_storage_bucket
  *    VITE_FIREBASE_MESSAGING_SENDER_ID=your_sender_id
  *    VITE_FIREBASE_APP_ID=your_app_id
+ * 5. (Optional) Run against the Firestore emulator:
+ *    VITE_FIRESTORE_EMULATOR_HOST=localhost:8080
  */
 
 import { initializeApp, getApps } from 'firebase/app';
 import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 
 // Firebase configuration from environment variables
 const firebaseConfig = {
@@ -49,5 +51,13 @@ if (!getApps().length) {
 export const auth = getAuth(app);
 export const db = getFirestore(app);
 
+// Point Firestore at the local emulator when configured (e.g. VITE_FIRESTORE_EMULATOR_HOST=localhost:8080)
+// Used to exercise transactional bed assignment without touching real data
+const emulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+if (emulatorHost) {
+  const [host, port] = emulatorHost.split(':');
+  connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
+
 // Export the app instance
 export default app;
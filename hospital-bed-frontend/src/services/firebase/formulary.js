@@ -0,0 +1,236 @@
+// src/services/firebase/formulary.js
+/**
+ * Formulary and stock helpers
+ *
+ * Pure helpers shared by formularyFirebase, prescriptionFirebase, the
+ * formulary picker and the medication usage report.
+ *
+ * Rules:
+ * - Strengths and doses are structured: { amount, unit } with unit one of DOSE_UNITS
+ * - Routes and forms are MEDICATION_ROUTE / MEDICATION_FORM values
+ * - Searching matches the generic name or a brand name, prefix matches first
+ * - Free-text medication names (older prescriptions) are matched to an item
+ *   by generic or brand name anywhere in the text
+ * - Stock is counted in dispensing units; it is low at or below the reorder
+ *   level and a dispense may not take more than is in stock
+ */
+
+import {
+  DOSE_UNITS,
+  FORMULARY_SEARCH_LIMIT,
+  MEDICATION_FORM,
+  MEDICATION_ROUTE,
+  STOCK_DEFAULT_REORDER_LEVEL,
+  STOCK_STATUS
+} from '@lib/constants';
+import { parseDose } from '@lib/frequencyParser';
+
+/**
+ * Lowercase and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeName = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Parse a strength or dose
+ * @param {Object|string} value - { amount, unit } or text such as '500 mg' (see frequencyParser.parseDose)
+ * @returns {Object|null} { amount, unit }, null when it is not a valid amount and unit
+ */
+export const parseStrength = (value) => {
+  if (typeof value === 'string') {
+    try {
+      return parseDose(value);
+    } catch {
+      return null;
+    }
+  }
+
+  const amount = Number(value?.amount);
+  const unit = value?.unit;
+
+  const knownUnit = DOSE_UNITS.find(candidate => candidate.toLowerCase() === unit?.toLowerCase());
+  if (!Number.isFinite(amount) || amount <= 0 || !knownUnit) return null;
+  return { amount, unit: knownUnit };
+};
+
+/**
+ * Display text for a strength or dose
+ * @param {Object} value - { amount, unit }
+ * @returns {string} e.g. '500 mg'
+ */
+export const formatStrength = (value) => {
+  const strength = parseStrength(value);
+  return strength ? `${strength.amount} ${strength.unit}` : '';
+};
+
+/**
+ * Validate and normalize a formulary item
+ * @param {Object} data - { generic_name, brand_names?, strengths, routes, forms, default_frequencies? }
+ * @returns {Object} { generic_name, brand_names, strengths, routes, forms, default_frequencies }
+ * @throws {Error} When a required field is missing or a value is not recognised
+ */
+export const normalizeFormularyItem = (data = {}) => {
+  const genericName = (data.generic_name || data.genericName || '').trim();
+  if (!genericName) throw new Error('Generic name is required');
+
+  const strengths = (data.strengths || []).map(parseStrength);
+  if (strengths.length === 0 || strengths.some(strength => !strength)) {
+    throw new Error(`Strengths must be an amount and one of: ${DOSE_UNITS.join(', ')}`);
+  }
+
+  const routes = [...new Set(data.routes || [])];
+  if (routes.length === 0 || routes.some(route => !Object.values(MEDICATION_ROUTE).includes(route))) {
+    throw new Error('At least one known route is required');
+  }
+
+  const forms = [...new Set(data.forms || [])];
+  if (forms.length === 0 || forms.some(form => !Object.values(MEDICATION_FORM).includes(form))) {
+    throw new Error('At least one known form is required');
+  }
+
+  const clean = (list) => [...new Set((list || []).map(value => value?.trim()).filter(Boolean))];
+
+  return {
+    generic_name: genericName,
+    brand_names: clean(data.brand_names || data.brandNames),
+    strengths,
+    routes,
+    forms,
+    default_frequencies: clean(data.default_frequencies || data.defaultFrequencies),
+  };
+};
+
+/**
+ * Search the formulary by generic or brand name
+ * @param {Array} items - formulary items
+ * @param {string} term
+ * @param {number} [limit]
+ * @returns {Array} [{ item, matched_brand }] best matches first;
+ *   matched_brand is set when only a brand name matched
+ */
+export const searchFormulary = (items = [], term = '', limit = FORMULARY_SEARCH_LIMIT) => {
+  const query = normalizeName(term);
+  if (!query) {
+    return [...items]
+      .sort((a, b) => a.generic_name.localeCompare(b.generic_name))
+      .slice(0, limit)
+      .map(item => ({ item, matched_brand: null }));
+  }
+
+  const rank = (name) => {
+    const normalized = normalizeName(name);
+    if (normalized.startsWith(query)) return 0;
+    if (normalized.split(/[\s-]/).some(word => word.startsWith(query))) return 1;
+    if (normalized.includes(query)) return 2;
+    return null;
+  };
+
+  return items
+    .map(item => {
+      const genericRank = rank(item.generic_name);
+      const brand = (item.brand_names || [])
+        .map(name => ({ name, rank: rank(name) }))
+        .filter(match => match.rank !== null)
+        .sort((a, b) => a.rank - b.rank)[0];
+      // Brand matches rank just behind generic ones of the same kind
+      const brandRank = brand ? brand.rank + 0.5 : null;
+      const best = [genericRank, brandRank].filter(value => value !== null);
+      if (best.length === 0) return null;
+      return {
+        item,
+        matched_brand: genericRank === null ? brand.name : null,
+        rank: Math.min(...best),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.item.generic_name.localeCompare(b.item.generic_name))
+    .slice(0, limit)
+    .map(({ item, matched_brand }) => ({ item, matched_brand }));
+};
+
+/**
+ * Formulary item a free-text medication name refers to
+ * ("Amoxicillin 500mg caps", "Augmentin"), longest matching name first
+ * @param {Array} items - formulary items
+ * @param {string} medicationName
+ * @returns {Object|null} formulary item
+ */
+export const matchFormularyItem = (items = [], medicationName = '') => {
+  const text = ` ${normalizeName(medicationName).replace(/[^a-z0-9/\-\s]/g, ' ')} `;
+  if (!text.trim()) return null;
+
+  const match = items
+    .flatMap(item => [item.generic_name, ...(item.brand_names || [])]
+      .map(name => ({ item, name: normalizeName(name) })))
+    .filter(({ name }) => name && text.includes(` ${name} `))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+  return match?.item || null;
+};
+
+/**
+ * Stock document ID for a department and formulary item
+ * @param {string} departmentId
+ * @param {string} formularyId
+ * @returns {string}
+ */
+export const getStockId = (departmentId, formularyId) => `${departmentId}_${formularyId}`;
+
+/**
+ * Reorder level of a stock entry
+ * @param {Object} stock - { reorder_level? }
+ * @returns {number}
+ */
+export const getReorderLevel = (stock) =>
+  Number.isInteger(stock?.reorder_level) && stock.reorder_level >= 0
+    ? stock.reorder_level
+    : STOCK_DEFAULT_REORDER_LEVEL;
+
+/**
+ * Stock status of an entry
+ * @param {Object} stock - { quantity, reorder_level? }
+ * @returns {string} one of STOCK_STATUS
+ */
+export const getStockStatus = (stock) => {
+  const quantity = stock?.quantity || 0;
+  if (quantity <= 0) return STOCK_STATUS.OUT;
+  if (quantity <= getReorderLevel(stock)) return STOCK_STATUS.LOW;
+  return STOCK_STATUS.IN_STOCK;
+};
+
+/**
+ * Take a dispense out of stock
+ * @param {Object} stock - { quantity, reorder_level? }
+ * @param {number} amount - units dispensed
+ * @returns {Object} { quantity, became_low, became_out } - whether this dispense
+ *   took the stock to or below its reorder level, or emptied it
+ * @throws {Error} When there is not enough in stock
+ */
+export const applyDispenseToStock = (stock, amount) => {
+  const available = stock?.quantity || 0;
+  if (amount > available) {
+    throw new Error(available > 0
+      ? `Only ${available} in stock on this ward`
+      : 'Out of stock on this ward');
+  }
+
+  const quantity = available - amount;
+  const reorderLevel = getReorderLevel(stock);
+  return {
+    quantity,
+    became_low: available > reorderLevel && quantity <= reorderLevel,
+    became_out: quantity === 0,
+  };
+};
+
+export default {
+  parseStrength,
+  formatStrength,
+  normalizeFormularyItem,
+  searchFormulary,
+  matchFormularyItem,
+  getStockId,
+  getReorderLevel,
+  getStockStatus,
+  applyDispenseToStock,
+};
@@ -0,0 +1,326 @@
+// src/services/firebase/formularyFirebase.js
+/**
+ * Firebase Formulary Service
+ *
+ * Medication formulary (formulary collection) and per-department pharmacy
+ * stock (formularyStock collection).
+ *
+ * Features:
+ * - Formulary items: generic name, brand names, structured strengths,
+ *   routes, forms and default frequencies (see formulary)
+ * - Stock levels per department and item, set by stock counts / deliveries
+ *   and taken down by prescriptionFirebase.dispense in the same transaction
+ * - Low and out-of-stock notifications for admins and the department's nurses
+ *
+ * A stock document's ID is getStockId(departmentId, formularyId), so each
+ * department has one level per item.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { getStockId, getStockStatus, normalizeFormularyItem } from './formulary';
+import { create as createNotification } from './notificationFirebase';
+import { ROLES, STOCK_STATUS } from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
+
+const FORMULARY_COLLECTION = 'formulary';
+const STOCK_COLLECTION = 'formularyStock';
+const DEPARTMENTS_COLLECTION = 'departments';
+const USERS_COLLECTION = 'users';
+
+/**
+ * Transform Firestore formulary data to match expected UI format
+ * @param {Object} data - raw Firestore formulary data
+ * @param {string} id - document ID
+ * @returns {Object} transformed formulary item
+ */
+const transformFormularyData = (data, id) => ({
+  id,
+  generic_name: data.genericName,
+  brand_names: data.brandNames || [],
+  strengths: data.strengths || [],
+  routes: data.routes || [],
+  forms: data.forms || [],
+  default_frequencies: data.defaultFrequencies || [],
+  active: data.active !== false,
+  created_at: toIsoString(data.createdAt),
+  updated_at: toIsoString(data.updatedAt),
+});
+
+/**
+ * Transform Firestore stock data to match expected UI format
+ * @param {Object} data - raw Firestore stock data
+ * @param {string} id - document ID
+ * @returns {Object} transformed stock entry, with its computed status
+ */
+const transformStockData = (data, id) => {
+  const stock = {
+    id,
+    department_id: data.departmentId,
+    formulary_id: data.formularyId,
+    medication_name: data.medicationName || null,
+    quantity: data.quantity || 0,
+    reorder_level: Number.isInteger(data.reorderLevel) ? data.reorderLevel : null,
+    updated_by: data.updatedBy || null,
+    updated_at: toIsoString(data.updatedAt),
+    last_dispensed_at: toIsoString(data.lastDispensedAt),
+  };
+  return { ...stock, status: getStockStatus(stock) };
+};
+
+/**
+ * Firestore fields for a formulary item
+ * @param {Object} item - normalized item (see normalizeFormularyItem)
+ * @returns {Object}
+ */
+const toFormularyFields = (item) => ({
+  genericName: item.generic_name,
+  brandNames: item.brand_names,
+  strengths: item.strengths,
+  routes: item.routes,
+  forms: item.forms,
+  defaultFrequencies: item.default_frequencies,
+});
+
+/**
+ * Reference to a department's stock document for an item
+ * (prescriptionFirebase.dispense reads and writes it in its transaction)
+ * @param {string} departmentId
+ * @param {string} formularyId
+ * @returns {Object} Firestore DocumentReference
+ */
+export const getStockRef = (departmentId, formularyId) =>
+  doc(db, STOCK_COLLECTION, getStockId(departmentId, formularyId));
+
+/**
+ * Get the formulary
+ * @param {Object} params - { includeInactive? }
+ * @returns {Promise<Array>} formulary items by generic name
+ */
+export const getAll = async (params = {}) => {
+  try {
+    const snapshot = await getDocs(collection(db, FORMULARY_COLLECTION));
+    return snapshot.docs
+      .map(d => transformFormularyData(d.data(), d.id))
+      .filter(item => params.includeInactive || item.active)
+      .sort((a, b) => a.generic_name.localeCompare(b.generic_name));
+  } catch (error) {
+    console.error('Get formulary error:', error);
+    throw new Error(error.message || 'Failed to fetch formulary');
+  }
+};
+
+/**
+ * Get formulary item by ID
+ * @param {string} id
+ * @returns {Promise<Object>} formulary item
+ */
+export const getById = async (id) => {
+  if (!id) throw new Error('Formulary item ID is required');
+
+  try {
+    const itemDoc = await getDoc(doc(db, FORMULARY_COLLECTION, id));
+    if (!itemDoc.exists()) {
+      throw new Error('Medication is not in the formulary');
+    }
+    return transformFormularyData(itemDoc.data(), itemDoc.id);
+  } catch (error) {
+    console.error('Get formulary item error:', error);
+    throw new Error(error.message || 'Failed to fetch formulary item');
+  }
+};
+
+/**
+ * Add a medication to the formulary
+ * @param {Object} data - { generic_name, brand_names?, strengths: [{ amount, unit }],
+ *   routes, forms, default_frequencies? }
+ * @returns {Promise<Object>} created formulary item
+ */
+export const create = async (data) => {
+  try {
+    const item = normalizeFormularyItem(data);
+    const itemRef = doc(collection(db, FORMULARY_COLLECTION));
+    const now = Timestamp.now();
+
+    const newItem = {
+      ...toFormularyFields(item),
+      active: true,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await setDoc(itemRef, newItem);
+    return transformFormularyData(newItem, itemRef.id);
+  } catch (error) {
+    console.error('Create formulary item error:', error);
+    throw new Error(error.message || 'Failed to create formulary item');
+  }
+};
+
+/**
+ * Update a formulary item (active: false withdraws it from prescribing)
+ * @param {string} id
+ * @param {Object} data - fields to change
+ * @returns {Promise<Object>} updated formulary item
+ */
+export const update = async (id, data) => {
+  if (!id) throw new Error('Formulary item ID is required');
+
+  try {
+    const itemRef = doc(db, FORMULARY_COLLECTION, id);
+    const itemDoc = await getDoc(itemRef);
+    if (!itemDoc.exists()) {
+      throw new Error('Medication is not in the formulary');
+    }
+
+    const current = transformFormularyData(itemDoc.data(), id);
+    const item = normalizeFormularyItem({ ...current, ...data });
+    const updatedData = {
+      ...toFormularyFields(item),
+      ...(data.active !== undefined && { active: !!data.active }),
+      updatedAt: Timestamp.now(),
+    };
+
+    await updateDoc(itemRef, updatedData);
+    return transformFormularyData({ ...itemDoc.data(), ...updatedData }, id);
+  } catch (error) {
+    console.error('Update formulary item error:', error);
+    throw new Error(error.message || 'Failed to update formulary item');
+  }
+};
+
+/**
+ * Get stock levels
+ * @param {Object} params - { departmentId?, formularyId? }
+ * @returns {Promise<Array>} stock entries (with status)
+ */
+export const getStock = async (params = {}) => {
+  try {
+    const constraints = [];
+    if (params.departmentId) {
+      constraints.push(where('departmentId', '==', params.departmentId));
+    }
+    if (params.formularyId) {
+      constraints.push(where('formularyId', '==', params.formularyId));
+    }
+
+    const snapshot = await getDocs(query(collection(db, STOCK_COLLECTION), ...constraints));
+    return snapshot.docs.map(d => transformStockData(d.data(), d.id));
+  } catch (error) {
+    console.error('Get stock error:', error);
+    throw new Error(error.message || 'Failed to fetch stock levels');
+  }
+};
+
+/**
+ * Set a department's stock level for an item (stock count or delivery)
+ * @param {Object} data - { department_id, formulary_id, quantity, reorder_level?, updated_by? }
+ * @returns {Promise<Object>} stock entry
+ */
+export const setStock = async (data) => {
+  const departmentId = data.departmentId || data.department_id;
+  const formularyId = data.formularyId || data.formulary_id;
+  if (!departmentId) throw new Error('Department is required');
+  if (!formularyId) throw new Error('Medication is required');
+
+  const quantity = Number(data.quantity);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error('Stock must be a whole number of zero or more');
+  }
+  const reorderLevel = data.reorder_level ?? data.reorderLevel;
+  if (reorderLevel !== undefined && reorderLevel !== null &&
+      (!Number.isInteger(Number(reorderLevel)) || Number(reorderLevel) < 0)) {
+    throw new Error('Reorder level must be a whole number of zero or more');
+  }
+
+  try {
+    const itemDoc = await getDoc(doc(db, FORMULARY_COLLECTION, formularyId));
+    if (!itemDoc.exists()) {
+      throw new Error('Medication is not in the formulary');
+    }
+
+    const stockRef = getStockRef(departmentId, formularyId);
+    const fields = {
+      departmentId,
+      formularyId,
+      medicationName: itemDoc.data().genericName,
+      quantity,
+      ...(reorderLevel !== undefined && {
+        reorderLevel: reorderLevel === null || reorderLevel === '' ? null : Number(reorderLevel),
+      }),
+      updatedBy: data.updatedBy || data.updated_by || 'system',
+      updatedAt: Timestamp.now(),
+    };
+
+    await setDoc(stockRef, fields, { merge: true });
+    const saved = await getDoc(stockRef);
+    return transformStockData(saved.data(), stockRef.id);
+  } catch (error) {
+    console.error('Set stock error:', error);
+    throw new Error(error.message || 'Failed to set stock level');
+  }
+};
+
+/**
+ * Tell admins and the department's nurses that an item ran low or out
+ * @param {Object} stock - transformed stock entry after the dispense
+ * @returns {Promise<number>} notifications sent
+ */
+export const notifyLowStock = async (stock) => {
+  try {
+    const [usersSnapshot, departmentDoc] = await Promise.all([
+      getDocs(query(collection(db, USERS_COLLECTION), where('role', 'in', [ROLES.ADMIN, ROLES.NURSE]))),
+      getDoc(doc(db, DEPARTMENTS_COLLECTION, stock.department_id)),
+    ]);
+    const recipients = usersSnapshot.docs
+      .filter(userDoc => {
+        const user = userDoc.data();
+        return user.role === ROLES.ADMIN ||
+          (user.department_id || user.departmentId) === stock.department_id;
+      })
+      .map(userDoc => userDoc.id);
+
+    const departmentName = departmentDoc.exists() ? departmentDoc.data().name : stock.department_id;
+    const isOut = stock.status === STOCK_STATUS.OUT;
+    const message = isOut
+      ? `${stock.medication_name} is out of stock in ${departmentName}`
+      : `${stock.medication_name} is low in ${departmentName}: ${stock.quantity} left`;
+
+    for (const userId of recipients) {
+      await createNotification({
+        user_id: userId,
+        type: isOut ? 'error' : 'warning',
+        message,
+        formulary_id: stock.formulary_id,
+        department_id: stock.department_id,
+      });
+    }
+    return recipients.length;
+  } catch (error) {
+    console.error('Low stock notification error:', error);
+    throw new Error(error.message || 'Failed to send low stock notifications');
+  }
+};
+
+// Export as named object and default
+export const formularyFirebase = {
+  getAll,
+  getById,
+  create,
+  update,
+  getStock,
+  setStock,
+  notifyLowStock,
+};
+
+export default formularyFirebase;
@@ -0,0 +1,472 @@
+// src/services/firebase/medicationAdministrationFirebase.js
+/**
+ * Firebase Medication Administration Service
+ *
+ * Medication administration record (MAR): what happened to each scheduled
+ * dose of a prescription (medicationAdministrations collection).
+ *
+ * Features:
+ * - Patient MAR: scheduled doses (see medicationSchedule) merged with the
+ *   recorded outcomes
+ * - Record a dose as given, held, refused or missed, with time and initials;
+ *   as-needed doses are recorded as they are given, within their PRN limits
+ * - Doses due in the next hour (and overdue ones) across a ward
+ * - Overdue dose notifications for the ward's nurses; each dose is claimed
+ *   in a transaction so several clients can sweep at once without duplicates
+ *
+ * A scheduled dose's document ID is getDoseId(prescriptionId, scheduledAt),
+ * so a dose can only be recorded once.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  runTransaction,
+  where,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import {
+  buildMar,
+  canRecordDose,
+  expandDoseSchedule,
+  getDoseId,
+  getDoseState,
+  getPrnLimitError,
+  isFrequencyUnderstood
+} from './medicationSchedule';
+import {
+  getById as getPrescriptionById,
+  getByPatient as getPrescriptionsByPatient
+} from './prescriptionFirebase';
+import { create as createNotification } from './notificationFirebase';
+import {
+  MAR_DOSE_STATE,
+  MAR_DOSE_STATUS,
+  MAR_DUE_WINDOW_MINUTES,
+  MAR_OVERDUE_GRACE_MINUTES,
+  MAR_OVERDUE_LOOKBACK_HOURS,
+  MAR_REASON_REQUIRED,
+  PRESCRIPTION_STATUS,
+  ROLES
+} from '@lib/constants';
+import { toDate, toIsoString } from '@lib/dateUtils';
+
+const ADMINISTRATIONS_COLLECTION = 'medicationAdministrations';
+const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+const BEDS_COLLECTION = 'beds';
+const PATIENTS_COLLECTION = 'patients';
+const USERS_COLLECTION = 'users';
+
+// Prescriptions whose doses may still be given
+const ADMINISTRABLE_STATUSES = [
+  PRESCRIPTION_STATUS.ACTIVE,
+  PRESCRIPTION_STATUS.PARTIALLY_DISPENSED,
+  PRESCRIPTION_STATUS.DISPENSED,
+];
+
+/**
+ * Transform Firestore administration data to match expected UI format
+ * @param {Object} data - raw Firestore administration data
+ * @param {string} id - document ID
+ * @returns {Object} transformed administration
+ */
+const transformAdministrationData = (data, id) => ({
+  id,
+  prescription_id: data.prescriptionId,
+  patient_id: data.patientId,
+  medication_name: data.medicationName || null,
+  dosage: data.dosage || null,
+  scheduled_at: toIsoString(data.scheduledAt),
+  status: data.status || null,
+  administered_at: toIsoString(data.administeredAt),
+  initials: data.initials || null,
+  reason: data.reason || null,
+  recorded_by: data.recordedBy || null,
+  recorded_by_name: data.recordedByName || null,
+  recorded_at: toIsoString(data.recordedAt),
+  overdue_notified_at: toIsoString(data.overdueNotifiedAt),
+});
+
+/**
+ * Recorded administrations of a patient
+ * @param {string} patientId
+ * @returns {Promise<Array>} transformed administrations
+ */
+const loadPatientAdministrations = async (patientId) => {
+  const snapshot = await getDocs(query(
+    collection(db, ADMINISTRATIONS_COLLECTION),
+    where('patientId', '==', patientId)
+  ));
+  return snapshot.docs.map(docSnap => transformAdministrationData(docSnap.data(), docSnap.id));
+};
+
+/**
+ * Recorded administrations of scheduled doses since a given time
+ * @param {Date} since
+ * @returns {Promise<Map>} dose ID → transformed administration
+ */
+const loadScheduledAdministrationsSince = async (since) => {
+  const snapshot = await getDocs(query(
+    collection(db, ADMINISTRATIONS_COLLECTION),
+    where('scheduledAt', '>=', Timestamp.fromDate(since))
+  ));
+  return new Map(snapshot.docs.map(docSnap => [docSnap.id, transformAdministrationData(docSnap.data(), docSnap.id)]));
+};
+
+/**
+ * Patients currently in a bed, optionally only on one ward
+ * @param {string} [departmentId]
+ * @returns {Promise<Array>} { patient_id, patient_name, bed_id, bed_number, department_id }
+ */
+const loadAdmittedPatients = async (departmentId = null) => {
+  const [assignmentsSnapshot, bedsSnapshot] = await Promise.all([
+    getDocs(query(collection(db, BED_ASSIGNMENTS_COLLECTION), where('dischargedAt', '==', null))),
+    getDocs(departmentId
+      ? query(collection(db, BEDS_COLLECTION), where('departmentId', '==', departmentId))
+      : collection(db, BEDS_COLLECTION)),
+  ]);
+  const beds = new Map(bedsSnapshot.docs.map(bedDoc => [bedDoc.id, bedDoc.data()]));
+
+  const assignments = assignmentsSnapshot.docs
+    .map(assignmentDoc => assignmentDoc.data())
+    .filter(assignment => assignment.patientId && beds.has(assignment.bedId));
+
+  return Promise.all(assignments.map(async (assignment) => {
+    const patientDoc = await getDoc(doc(db, PATIENTS_COLLECTION, assignment.patientId));
+    const patient = patientDoc.exists() ? patientDoc.data() : {};
+    const bed = beds.get(assignment.bedId);
+    return {
+      patient_id: assignment.patientId,
+      patient_name: patient.fullName || patient.full_name || 'Unknown patient',
+      bed_id: assignment.bedId,
+      bed_number: bed.bedNumber || assignment.bedNumber || null,
+      department_id: bed.departmentId || null,
+    };
+  }));
+};
+
+/**
+ * Patient MAR for a time range
+ * @param {string} patientId
+ * @param {Object} range
+ * @param {Date|string} range.from
+ * @param {Date|string} range.to
+ * @returns {Promise<Array>} rows (see medicationSchedule.buildMar)
+ */
+export const getPatientMar = async (patientId, { from, to }) => {
+  if (!patientId) throw new Error('Patient ID is required');
+
+  try {
+    const [prescriptions, administrations] = await Promise.all([
+      getPrescriptionsByPatient(patientId),
+      loadPatientAdministrations(patientId),
+    ]);
+    return buildMar(prescriptions, administrations, { from: toDate(from), to: toDate(to), now: new Date() });
+  } catch (error) {
+    console.error('Get medication administration record error:', error);
+    throw new Error(error.message || 'Failed to fetch medication administration record');
+  }
+};
+
+/**
+ * Record what happened to a dose
+ * @param {Object} data - { prescription_id, scheduled_at? (omit for as-needed doses),
+ *   status: given | held | refused | missed, administered_at? (defaults to now),
+ *   initials, reason? (required to hold or refuse), recorded_by, recorded_by_name }
+ * @returns {Promise<Object>} recorded administration
+ * @throws {Error} When an as-needed dose would go over its PRN maximum or minimum interval
+ */
+export const recordDose = async (data) => {
+  const prescriptionId = data.prescriptionId || data.prescription_id;
+  const status = data.status;
+  const initials = (data.initials || '').trim().toUpperCase();
+  const reason = data.reason?.trim() || null;
+  const scheduledAt = toDate(data.scheduledAt || data.scheduled_at);
+  const now = new Date();
+  const administeredAt = status === MAR_DOSE_STATUS.MISSED
+    ? null
+    : toDate(data.administeredAt || data.administered_at) || now;
+
+  if (!prescriptionId) throw new Error('Prescription ID is required');
+  if (!Object.values(MAR_DOSE_STATUS).includes(status)) throw new Error('Invalid dose outcome');
+  if (!/^[A-Z]{2,4}$/.test(initials)) throw new Error('Initials must be 2 to 4 letters');
+  if (MAR_REASON_REQUIRED.includes(status) && !reason) {
+    throw new Error(`A reason is required when a dose is ${status}`);
+  }
+  if (administeredAt && administeredAt.getTime() > now.getTime() + 60000) {
+    throw new Error('Administration time cannot be in the future');
+  }
+  if (!scheduledAt && status !== MAR_DOSE_STATUS.GIVEN) {
+    throw new Error('Only given doses can be recorded without a scheduled time');
+  }
+
+  try {
+    const prescription = await getPrescriptionById(prescriptionId);
+    let doseId;
+
+    if (scheduledAt) {
+      const [dose] = expandDoseSchedule(prescription, {
+        from: scheduledAt,
+        to: new Date(scheduledAt.getTime() + 60000),
+      });
+      if (!dose || dose.scheduled_at !== scheduledAt.toISOString()) {
+        throw new Error('No dose of this prescription is scheduled at that time');
+      }
+      if (!canRecordDose(dose, now)) {
+        throw new Error(`Doses can be recorded from ${MAR_DUE_WINDOW_MINUTES} minutes before they are due`);
+      }
+      if (status === MAR_DOSE_STATUS.MISSED && toDate(dose.scheduled_at) > now) {
+        throw new Error('A dose cannot be missed before it is due');
+      }
+      doseId = getDoseId(prescriptionId, scheduledAt);
+    } else {
+      if (!ADMINISTRABLE_STATUSES.includes(prescription.status)) {
+        throw new Error(`Cannot give a dose of a prescription that is ${prescription.status.replace(/_/g, ' ')}`);
+      }
+      const given = await getDocs(query(
+        collection(db, ADMINISTRATIONS_COLLECTION),
+        where('prescriptionId', '==', prescriptionId)
+      ));
+      const limitError = getPrnLimitError(
+        prescription,
+        given.docs.map(d => transformAdministrationData(d.data(), d.id)),
+        administeredAt
+      );
+      if (limitError) throw new Error(limitError);
+      doseId = doc(collection(db, ADMINISTRATIONS_COLLECTION)).id;
+    }
+
+    const administrationRef = doc(db, ADMINISTRATIONS_COLLECTION, doseId);
+    const record = await runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(administrationRef);
+      if (existing.exists() && existing.data().status) {
+        throw new Error('This dose has already been recorded');
+      }
+
+      const stamp = Timestamp.now();
+      const administration = {
+        prescriptionId,
+        patientId: prescription.patient_id,
+        medicationName: prescription.medication_name,
+        dosage: prescription.dosage || null,
+        scheduledAt: scheduledAt ? Timestamp.fromDate(scheduledAt) : null,
+        status,
+        administeredAt: administeredAt ? Timestamp.fromDate(administeredAt) : null,
+        initials,
+        reason,
+        recordedBy: data.recordedBy || data.recorded_by || 'system',
+        recordedByName: data.recordedByName || data.recorded_by_name || null,
+        recordedAt: stamp,
+        overdueNotifiedAt: existing.exists() ? existing.data().overdueNotifiedAt || null : null,
+      };
+      transaction.set(administrationRef, administration);
+      return administration;
+    });
+
+    return transformAdministrationData(record, doseId);
+  } catch (error) {
+    console.error('Record dose error:', error);
+    throw new Error(error.message || 'Failed to record dose');
+  }
+};
+
+/**
+ * Stand-in dose for a prescription whose frequency could not be read, so it
+ * is listed and notified about once instead of dropping out of the round
+ * @param {Object} prescription - transformed prescription
+ * @returns {Object} { id, prescription_id, scheduled_at: null }
+ */
+const toUnscheduledDose = (prescription) => ({
+  id: `${prescription.id}_unscheduled`,
+  prescription_id: prescription.id,
+  scheduled_at: null,
+});
+
+/**
+ * Unrecorded scheduled doses of admitted patients in a time range, plus one
+ * unscheduled entry per prescription whose frequency could not be read
+ * @param {Array} patients - loadAdmittedPatients result
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array>} { dose, prescription, patient, administration }
+ */
+const collectOpenDoses = async (patients, from, to) => {
+  const [prescriptionsByPatient, administrations] = await Promise.all([
+    Promise.all(patients.map(patient => getPrescriptionsByPatient(patient.patient_id))),
+    loadScheduledAdministrationsSince(from),
+  ]);
+
+  return patients.flatMap((patient, index) => prescriptionsByPatient[index]
+    .filter(prescription => ADMINISTRABLE_STATUSES.includes(prescription.status))
+    .flatMap(prescription => {
+      if (!isFrequencyUnderstood(prescription)) {
+        return [{ dose: toUnscheduledDose(prescription), prescription, patient, administration: null }];
+      }
+      return expandDoseSchedule(prescription, { from, to })
+        .map(dose => ({ dose, prescription, patient, administration: administrations.get(dose.id) || null }))
+        .filter(({ administration }) => !administration?.status);
+    }));
+};
+
+/**
+ * Doses due in the next hour, plus overdue ones, across a ward
+ * @param {Object} params
+ * @param {string} [params.departmentId] - ward (all wards when omitted)
+ * @returns {Promise<Array>} { id, prescription_id, patient_id, patient_name, bed_number,
+ *   medication_name, dosage, frequency, scheduled_at, state: due | overdue | unscheduled },
+ *   overdue first, then by time; unscheduled (frequency not understood, no scheduled_at) last
+ */
+export const getDueDoses = async ({ departmentId = null } = {}) => {
+  try {
+    const now = new Date();
+    const patients = await loadAdmittedPatients(departmentId);
+    const open = await collectOpenDoses(
+      patients,
+      new Date(now.getTime() - MAR_OVERDUE_LOOKBACK_HOURS * 60 * 60 * 1000),
+      new Date(now.getTime() + MAR_DUE_WINDOW_MINUTES * 60000)
+    );
+
+    return open
+      .map(({ dose, prescription, patient }) => ({
+        id: dose.id,
+        prescription_id: prescription.id,
+        patient_id: patient.patient_id,
+        patient_name: patient.patient_name,
+        bed_number: patient.bed_number,
+        medication_name: prescription.medication_name,
+        dosage: prescription.dosage,
+        frequency: prescription.frequency,
+        scheduled_at: dose.scheduled_at,
+        state: dose.scheduled_at ? getDoseState(dose, null, now) : MAR_DOSE_STATE.UNSCHEDULED,
+      }))
+      .sort((a, b) =>
+        Number(!a.scheduled_at) - Number(!b.scheduled_at) ||
+        Number(b.state === MAR_DOSE_STATE.OVERDUE) - Number(a.state === MAR_DOSE_STATE.OVERDUE) ||
+        (a.scheduled_at || '').localeCompare(b.scheduled_at || ''));
+  } catch (error) {
+    console.error('Get due doses error:', error);
+    throw new Error(error.message || 'Failed to fetch due doses');
+  }
+};
+
+/**
+ * Nurses on a ward
+ * @param {string} departmentId
+ * @returns {Promise<Array<string>>} user IDs
+ */
+const loadWardNurses = async (departmentId) => {
+  if (!departmentId) return [];
+  const snapshot = await getDocs(query(collection(db, USERS_COLLECTION), where('role', '==', ROLES.NURSE)));
+  return snapshot.docs
+    .filter(userDoc => (userDoc.data().department_id || userDoc.data().departmentId) === departmentId)
+    .map(userDoc => userDoc.id);
+};
+
+/**
+ * Notify the ward's nurses about doses that became overdue, and about
+ * prescriptions whose frequency could not be read (no doses are scheduled).
+ * Each dose or prescription is claimed once (overdueNotifiedAt); when a ward
+ * has no nurses the prescribing doctor is told instead.
+ * @returns {Promise<Object>} { doses, unscheduled, notifications }
+ */
+export const notifyOverdueDoses = async () => {
+  try {
+    const now = new Date();
+    const lookback = new Date(now.getTime() - MAR_OVERDUE_LOOKBACK_HOURS * 60 * 60 * 1000);
+    const overdueBefore = new Date(now.getTime() - MAR_OVERDUE_GRACE_MINUTES * 60000);
+
+    const patients = await loadAdmittedPatients();
+    const open = (await collectOpenDoses(patients, lookback, overdueBefore))
+      .filter(({ administration }) => !administration?.overdue_notified_at);
+
+    const claimed = [];
+    for (const entry of open) {
+      const administrationRef = doc(db, ADMINISTRATIONS_COLLECTION, entry.dose.id);
+      const isClaimed = await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(administrationRef);
+        if (existing.exists() && (existing.data().status || existing.data().overdueNotifiedAt)) return false;
+
+        transaction.set(administrationRef, {
+          prescriptionId: entry.prescription.id,
+          patientId: entry.patient.patient_id,
+          medicationName: entry.prescription.medication_name,
+          dosage: entry.prescription.dosage || null,
+          scheduledAt: entry.dose.scheduled_at ? Timestamp.fromDate(toDate(entry.dose.scheduled_at)) : null,
+          status: null,
+          overdueNotifiedAt: Timestamp.now(),
+        }, { merge: true });
+        return true;
+      });
+      if (isClaimed) claimed.push(entry);
+    }
+
+    // One notification per patient and recipient
+    const byPatient = new Map();
+    claimed.forEach(entry => {
+      const group = byPatient.get(entry.patient.patient_id) || { patient: entry.patient, entries: [] };
+      group.entries.push(entry);
+      byPatient.set(entry.patient.patient_id, group);
+    });
+
+    const nursesByWard = new Map();
+    let notifications = 0;
+    for (const { patient, entries } of byPatient.values()) {
+      if (!nursesByWard.has(patient.department_id)) {
+        nursesByWard.set(patient.department_id, await loadWardNurses(patient.department_id));
+      }
+      const nurses = nursesByWard.get(patient.department_id);
+      const recipients = nurses.length > 0
+        ? nurses
+        : [...new Set(entries.map(entry => entry.prescription.doctor_id).filter(Boolean))];
+
+      const bedLabel = patient.bed_number ? ` (bed ${patient.bed_number})` : '';
+      const describe = ({ prescription }) => `${prescription.medication_name} ${prescription.dosage || ''}`.trim();
+      const overdue = entries.filter(({ dose }) => dose.scheduled_at);
+      const unscheduled = entries.filter(({ dose }) => !dose.scheduled_at);
+      const parts = [];
+      if (overdue.length > 0) {
+        const doseList = overdue
+          .map(entry => `${describe(entry)} at ` +
+            toDate(entry.dose.scheduled_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+          .join(', ');
+        parts.push(`Overdue ${overdue.length === 1 ? 'dose' : 'doses'} for ${patient.patient_name}${bedLabel}: ${doseList}`);
+      }
+      if (unscheduled.length > 0) {
+        const prescriptionList = unscheduled
+          .map(entry => `${describe(entry)} ("${entry.prescription.frequency || ''}")`)
+          .join(', ');
+        parts.push(`Unscheduled for ${patient.patient_name}${bedLabel}, frequency not understood: ${prescriptionList}`);
+      }
+
+      for (const userId of recipients) {
+        await createNotification({
+          user_id: userId,
+          type: 'warning',
+          message: parts.join('. '),
+          patient_id: patient.patient_id,
+        });
+        notifications += 1;
+      }
+    }
+
+    const unscheduled = claimed.filter(entry => !entry.dose.scheduled_at).length;
+    return { doses: claimed.length - unscheduled, unscheduled, notifications };
+  } catch (error) {
+    console.error('Notify overdue doses error:', error);
+    throw new Error(error.message || 'Failed to notify overdue doses');
+  }
+};
+
+// Export as named object and default
+export const medicationAdministrationFirebase = {
+  getPatientMar,
+  recordDose,
+  getDueDoses,
+  notifyOverdueDoses,
+};
+
+export default medicationAdministrationFirebase;
@@ -0,0 +1,358 @@
+// src/services/firebase/medicationSchedule.js
+/**
+ * Medication schedule
+ *
+ * Pure helpers for the medication administration record (MAR): expand a
+ * prescription's frequency and duration into scheduled doses and merge them
+ * with what nurses recorded. Input is transformed prescriptions and
+ * administrations (snake_case, ISO dates).
+ *
+ * Rules:
+ * - The frequency is read from the structured schedule stored when the
+ *   prescription was written (see frequencyParser); older prescriptions have
+ *   their text parsed by the same parser, and text it cannot read has no schedule
+ * - Doses start at the first dose time after the prescription was written
+ *   and stop at the end of its duration, its expiry, or when it was
+ *   discontinued / expired, whichever comes first
+ * - Doses falling while the prescription was on hold are not scheduled
+ * - "n times daily" uses MAR_STANDARD_DOSE_TIMES, "every n hours" steps from
+ *   MAR_INTERVAL_START_TIME on the first day and carries on across midnight,
+ *   nocte / at bedtime uses MAR_NIGHT_DOSE_TIME
+ * - As-needed (PRN) and unreadable frequencies have no schedule; doses are
+ *   recorded as they are given, within any PRN maximum per day and minimum interval.
+ *   Unreadable ones are flagged (MAR_DOSE_STATE.UNSCHEDULED) so they are not missed
+ * - A dose is due from MAR_DUE_WINDOW_MINUTES before its time and overdue
+ *   MAR_OVERDUE_GRACE_MINUTES after it
+ */
+
+import {
+  MAR_DOSE_STATE,
+  MAR_DOSE_STATUS,
+  MAR_DUE_WINDOW_MINUTES,
+  MAR_INTERVAL_START_TIME,
+  MAR_NIGHT_DOSE_TIME,
+  MAR_OVERDUE_GRACE_MINUTES,
+  MAR_STANDARD_DOSE_TIMES,
+  PRESCRIPTION_STATUS
+} from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+import { parseRegimen } from '@lib/frequencyParser';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses under which no doses are given
+const CLOSED_STATUSES = [PRESCRIPTION_STATUS.DISCONTINUED, PRESCRIPTION_STATUS.EXPIRED];
+
+/**
+ * Dose rule for a parsed frequency
+ * @param {Object} schedule - frequencyParser.parseFrequency result
+ * @returns {Object} { times: ['08:00', ...] } for daily doses,
+ *   { intervalHours } for every n hours, { everyDays, times } for weekly and
+ *   alternate-day doses, { prn: true, maxPerDay, minIntervalHours } or { once: true }
+ */
+const toFrequencyRule = (schedule) => {
+  if (schedule.once) return { once: true };
+  if (schedule.prn) {
+    return { prn: true, maxPerDay: schedule.max_per_day, minIntervalHours: schedule.interval_hours };
+  }
+  if (schedule.interval_hours) return { intervalHours: schedule.interval_hours };
+
+  const times = schedule.time_of_day === 'night'
+    ? [MAR_NIGHT_DOSE_TIME]
+    : MAR_STANDARD_DOSE_TIMES[schedule.times_per_day || 1];
+  return schedule.every_days ? { everyDays: schedule.every_days, times } : { times };
+};
+
+/**
+ * Structured frequency of a prescription: the one stored when it was
+ * written, else its frequency and duration text parsed (older prescriptions)
+ * @param {Object} prescription - { frequency, duration, frequency_schedule }
+ * @returns {Object|null} frequencyParser.parseFrequency result, null when the text cannot be read
+ */
+export const getFrequencySchedule = (prescription) => {
+  if (prescription.frequency_schedule) return prescription.frequency_schedule;
+  try {
+    return parseRegimen(prescription.frequency, prescription.duration);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Dose rule of a prescription
+ * @param {Object} prescription - { frequency, duration, frequency_schedule }
+ * @returns {Object|null} see toFrequencyRule; null when the frequency cannot be read
+ */
+export const getFrequencyRule = (prescription) => {
+  const schedule = getFrequencySchedule(prescription);
+  return schedule ? toFrequencyRule(schedule) : null;
+};
+
+/**
+ * Period in which doses are given, with the on-hold gaps
+ * @param {Object} prescription - { prescribed_at, expires_at, duration, frequency_schedule, status, status_history }
+ * @returns {Object|null} { start, end, holds: [{ from, to }] } (ms), null if never started
+ */
+export const getAdministrationWindow = (prescription) => {
+  const start = toDate(prescription.prescribed_at)?.getTime();
+  if (!start) return null;
+
+  const ends = [];
+  const durationDays = getFrequencySchedule(prescription)?.duration_days;
+  if (durationDays) ends.push(start + durationDays * DAY_MS);
+  const expiresAt = toDate(prescription.expires_at)?.getTime();
+  if (expiresAt) ends.push(expiresAt);
+
+  const holds = [];
+  let holdStart = null;
+  const history = [...(prescription.status_history || [])]
+    .map(entry => ({ status: entry.status, at: toDate(entry.changed_at)?.getTime() }))
+    .filter(entry => entry.at)
+    .sort((a, b) => a.at - b.at);
+
+  history.forEach(entry => {
+    if (entry.status === PRESCRIPTION_STATUS.ON_HOLD) {
+      if (holdStart === null) holdStart = entry.at;
+      return;
+    }
+    if (holdStart !== null) {
+      holds.push({ from: holdStart, to: entry.at });
+      holdStart = null;
+    }
+    if (CLOSED_STATUSES.includes(entry.status)) ends.push(entry.at);
+  });
+  if (holdStart !== null) holds.push({ from: holdStart, to: Infinity });
+
+  return { start, end: ends.length > 0 ? Math.min(...ends) : Infinity, holds };
+};
+
+/**
+ * Local date at a 'HH:mm' time
+ * @param {Date} day
+ * @param {string} time
+ * @returns {Date}
+ */
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Stable ID of a scheduled dose (also the administration document ID)
+ * @param {string} prescriptionId
+ * @param {Date} scheduledAt
+ * @returns {string} e.g. 'abc123_202601150800' (UTC)
+ */
+export const getDoseId = (prescriptionId, scheduledAt) =>
+  `${prescriptionId}_${scheduledAt.toISOString().slice(0, 16).replace(/\D/g, '')}`;
+
+/**
+ * Candidate dose times between two instants, ignoring the window
+ * @param {Object} rule - toFrequencyRule result
+ * @param {number} start - prescription start (ms)
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array<Date>}
+ */
+const candidateTimes = (rule, start, from, to) => {
+  if (rule.once) return start >= from && start < to ? [new Date(start)] : [];
+
+  // Every n hours keeps its interval across days (q5h: 06, 11, 16, 21, 02, 07, ...)
+  if (rule.intervalHours) {
+    const anchor = atTime(new Date(start), MAR_INTERVAL_START_TIME).getTime();
+    const step = rule.intervalHours * HOUR_MS;
+    const times = [];
+    for (let index = Math.max(0, Math.ceil((from - anchor) / step)); anchor + index * step < to; index += 1) {
+      times.push(new Date(anchor + index * step));
+    }
+    return times;
+  }
+
+  const times = [];
+  const firstDay = new Date(Math.max(from, start));
+  firstDay.setHours(0, 0, 0, 0);
+
+  for (let day = firstDay; day.getTime() < to; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    if (rule.everyDays) {
+      const startDay = new Date(start);
+      startDay.setHours(0, 0, 0, 0);
+      const daysSinceStart = Math.round((day.getTime() - startDay.getTime()) / DAY_MS);
+      if (daysSinceStart % rule.everyDays !== 0) continue;
+    }
+
+    times.push(...rule.times.map(time => atTime(day, time)).sort((a, b) => a - b));
+  }
+  return times.filter(date => date.getTime() >= from && date.getTime() < to);
+};
+
+/**
+ * Scheduled doses of a prescription in a time range
+ * @param {Object} prescription - transformed prescription
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @returns {Array} { id, prescription_id, scheduled_at (ISO) }, earliest first;
+ *   empty for as-needed or unreadable frequencies
+ */
+export const expandDoseSchedule = (prescription, { from, to }) => {
+  const rule = getFrequencyRule(prescription);
+  const window = getAdministrationWindow(prescription);
+  if (!rule || rule.prn || !window) return [];
+
+  const rangeFrom = Math.max(from.getTime(), window.start);
+  const rangeTo = Math.min(to.getTime(), window.end);
+  if (rangeFrom >= rangeTo) return [];
+
+  return candidateTimes(rule, window.start, rangeFrom, rangeTo)
+    .filter(date => !window.holds.some(hold => date.getTime() >= hold.from && date.getTime() < hold.to))
+    .map(date => ({
+      id: getDoseId(prescription.id, date),
+      prescription_id: prescription.id,
+      scheduled_at: date.toISOString(),
+    }));
+};
+
+/**
+ * Whether a prescription has a dose schedule (not as-needed or free text)
+ * @param {Object} prescription - { frequency, frequency_schedule }
+ * @returns {boolean}
+ */
+export const hasDoseSchedule = (prescription) => {
+  const rule = getFrequencyRule(prescription);
+  return !!rule && !rule.prn;
+};
+
+/**
+ * Whether a prescription's frequency could be read (stored schedule or parsed text)
+ * @param {Object} prescription - { frequency, duration, frequency_schedule }
+ * @returns {boolean} false for legacy text the parser rejects
+ */
+export const isFrequencyUnderstood = (prescription) => !!getFrequencyRule(prescription);
+
+/**
+ * Why an as-needed dose cannot be given at a time, from the prescription's
+ * PRN maximum per day and minimum interval
+ * @param {Object} prescription - transformed prescription
+ * @param {Array} administrations - its recorded administrations ({ status, administered_at })
+ * @param {Date} [at] - when the dose is given
+ * @returns {string|null} the reason, null when the dose may be given
+ */
+export const getPrnLimitError = (prescription, administrations = [], at = new Date()) => {
+  const rule = getFrequencyRule(prescription);
+  if (!rule?.prn) return null;
+
+  const time = at.getTime();
+  const given = administrations
+    .filter(administration => administration.status === MAR_DOSE_STATUS.GIVEN)
+    .map(administration => toDate(administration.administered_at)?.getTime())
+    .filter(givenAt => givenAt && givenAt <= time);
+
+  if (rule.maxPerDay && given.filter(givenAt => givenAt > time - DAY_MS).length >= rule.maxPerDay) {
+    return `The maximum of ${rule.maxPerDay} doses in 24 hours has already been given`;
+  }
+  if (rule.minIntervalHours && given.some(givenAt => givenAt > time - rule.minIntervalHours * HOUR_MS)) {
+    return `Doses must be at least ${rule.minIntervalHours} hour(s) apart`;
+  }
+  return null;
+};
+
+/**
+ * State of a dose: the recorded outcome, or scheduled / due / overdue
+ * @param {Object} dose - { scheduled_at }
+ * @param {Object} [administration] - recorded administration ({ status })
+ * @param {Date} [now]
+ * @returns {string} one of MAR_DOSE_STATUS or MAR_DOSE_STATE
+ */
+export const getDoseState = (dose, administration = null, now = new Date()) => {
+  if (administration?.status) return administration.status;
+
+  const scheduled = toDate(dose.scheduled_at).getTime();
+  if (now.getTime() >= scheduled + MAR_OVERDUE_GRACE_MINUTES * 60000) return MAR_DOSE_STATE.OVERDUE;
+  if (now.getTime() >= scheduled - MAR_DUE_WINDOW_MINUTES * 60000) return MAR_DOSE_STATE.DUE;
+  return MAR_DOSE_STATE.SCHEDULED;
+};
+
+/**
+ * Whether a dose can be recorded now (not more than the due window ahead)
+ * @param {Object} dose - { scheduled_at }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const canRecordDose = (dose, now = new Date()) =>
+  toDate(dose.scheduled_at).getTime() - MAR_DUE_WINDOW_MINUTES * 60000 <= now.getTime();
+
+/**
+ * MAR rows: each prescription with its scheduled doses and recorded
+ * administrations in the range
+ * @param {Array} prescriptions - transformed prescriptions
+ * @param {Array} administrations - transformed administrations
+ *   ({ id, prescription_id, scheduled_at, administered_at, status })
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @param {Date} [range.now]
+ * @returns {Array} { prescription, scheduled, understood, doses: [{ id, scheduled_at, administered_at, state,
+ *   administration }] } where doses are scheduled doses plus unscheduled (as-needed) records, earliest first,
+ *   and understood is false when the frequency could not be read (no doses are scheduled)
+ */
+export const buildMar = (prescriptions = [], administrations = [], { from, to, now = new Date() }) => {
+  const byId = new Map(administrations.map(administration => [administration.id, administration]));
+
+  return prescriptions
+    .map(prescription => {
+      const scheduled = expandDoseSchedule(prescription, { from, to }).map(dose => {
+        const administration = byId.get(dose.id) || null;
+        return {
+          ...dose,
+          administered_at: administration?.administered_at || null,
+          state: getDoseState(dose, administration, now),
+          administration,
+        };
+      });
+      const scheduledIds = new Set(scheduled.map(dose => dose.id));
+
+      const unscheduled = administrations
+        .filter(administration => administration.prescription_id === prescription.id &&
+          administration.status && !administration.scheduled_at && !scheduledIds.has(administration.id))
+        .filter(administration => {
+          const at = toDate(administration.administered_at)?.getTime();
+          return at >= from.getTime() && at < to.getTime();
+        })
+        .map(administration => ({
+          id: administration.id,
+          prescription_id: prescription.id,
+          scheduled_at: null,
+          administered_at: administration.administered_at,
+          state: administration.status,
+          administration,
+        }));
+
+      const doses = [...scheduled, ...unscheduled].sort((a, b) =>
+        (a.scheduled_at || a.administered_at).localeCompare(b.scheduled_at || b.administered_at));
+
+      return {
+        prescription,
+        scheduled: hasDoseSchedule(prescription),
+        understood: isFrequencyUnderstood(prescription),
+        doses,
+      };
+    })
+    .filter(row => row.doses.length > 0 || !CLOSED_STATUSES.includes(row.prescription.status));
+};
+
+export default {
+  getFrequencySchedule,
+  getFrequencyRule,
+  getAdministrationWindow,
+  getDoseId,
+  expandDoseSchedule,
+  hasDoseSchedule,
+  isFrequencyUnderstood,
+  getPrnLimitError,
+  getDoseState,
+  canRecordDose,
+  buildMar,
+};
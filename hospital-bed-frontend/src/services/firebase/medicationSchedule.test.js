@@ -0,0 +1,82 @@
+// src/services/firebase/medicationSchedule.test.js
+/**
+ * Unit tests for expanding prescriptions into MAR doses. Dates are local
+ * time, like the ward dose times.
+ */
+
+import { format } from 'date-fns';
+import { describe, expect, it } from 'vitest';
+import { buildMar, expandDoseSchedule, isFrequencyUnderstood } from './medicationSchedule';
+
+// Monday 7 January 2030
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+const prescription = (overrides = {}) => ({
+  id: 'rx-1',
+  frequency: 'q8h',
+  status: 'active',
+  prescribed_at: at(7, 7).toISOString(),
+  ...overrides,
+});
+
+const doseTimes = (doses) => doses.map(dose => format(new Date(dose.scheduled_at), 'd HH:mm'));
+
+describe('expandDoseSchedule - every n hours', () => {
+  it('keeps q8h eight hours apart across midnight', () => {
+    const doses = expandDoseSchedule(prescription(), { from: at(7, 0), to: at(9, 0) });
+
+    expect(doseTimes(doses)).toEqual(['7 14:00', '7 22:00', '8 06:00', '8 14:00', '8 22:00']);
+  });
+
+  it('carries q5h on past midnight instead of folding it onto the same day', () => {
+    const doses = expandDoseSchedule(prescription({ frequency: 'q5h' }), { from: at(7, 0), to: at(9, 0) });
+
+    expect(doseTimes(doses)).toEqual([
+      '7 11:00', '7 16:00', '7 21:00',
+      '8 02:00', '8 07:00', '8 12:00', '8 17:00', '8 22:00',
+    ]);
+    const gaps = doses.slice(1).map((dose, index) =>
+      (new Date(dose.scheduled_at) - new Date(doses[index].scheduled_at)) / 3600000);
+    expect(gaps.every(gap => gap === 5)).toBe(true);
+  });
+
+  it('gives the same doses whatever range they are read in', () => {
+    const wide = expandDoseSchedule(prescription({ frequency: 'q5h' }), { from: at(7, 0), to: at(10, 0) });
+    const nextDay = expandDoseSchedule(prescription({ frequency: 'q5h' }), { from: at(9, 0), to: at(10, 0) });
+
+    expect(nextDay.map(dose => dose.id))
+      .toEqual(wide.filter(dose => new Date(dose.scheduled_at) >= at(9, 0)).map(dose => dose.id));
+    expect(doseTimes(nextDay)).toEqual(['9 03:00', '9 08:00', '9 13:00', '9 18:00', '9 23:00']);
+  });
+});
+
+describe('legacy frequencies the parser rejects', () => {
+  const legacy = prescription({ frequency: '1 tab three times daily after food' });
+
+  it('are not understood and have no doses', () => {
+    expect(isFrequencyUnderstood(legacy)).toBe(false);
+    expect(isFrequencyUnderstood(prescription({ frequency: 'PRN' }))).toBe(true);
+    expect(expandDoseSchedule(legacy, { from: at(7, 0), to: at(9, 0) })).toEqual([]);
+  });
+
+  it('still get a MAR row, marked as not understood', () => {
+    const rows = buildMar([legacy, prescription({ id: 'rx-2' })], [], { from: at(8, 0), to: at(9, 0), now: at(8, 12) });
+
+    expect(rows.map(row => [row.prescription.id, row.scheduled, row.understood]))
+      .toEqual([['rx-1', false, false], ['rx-2', true, true]]);
+    expect(rows[0].doses).toEqual([]);
+  });
+
+  it('show doses given against them', () => {
+    const given = {
+      id: 'admin-1',
+      prescription_id: 'rx-1',
+      scheduled_at: null,
+      administered_at: at(8, 9).toISOString(),
+      status: 'given',
+    };
+    const [row] = buildMar([legacy], [given], { from: at(8, 0), to: at(9, 0), now: at(8, 12) });
+
+    expect(row.doses).toMatchObject([{ id: 'admin-1', state: 'given', scheduled_at: null }]);
+  });
+});
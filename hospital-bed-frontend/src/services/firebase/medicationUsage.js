@@ -0,0 +1,162 @@
+// src/services/firebase/medicationUsage.js
+/**
+ * Medication usage
+ *
+ * Pure helpers that summarize prescriptions for the medication usage report.
+ * Input is prescriptions from prescriptionFirebase.getAll.
+ *
+ * Rules:
+ * - Medications are grouped by formulary item: formulary prescriptions by
+ *   their item, free-text ones by the item their name refers to (generic or
+ *   brand name); names outside the formulary case- and whitespace-insensitively
+ * - A prescription counts as dispensed once any of it was handed out
+ *   (partially dispensed, dispensed, or discontinued after a dispense), otherwise pending
+ * - As-needed use and course length come from the parsed frequency
+ *   (see medicationSchedule.getFrequencySchedule); open-ended courses are
+ *   left out of the average
+ */
+
+import { matchFormularyItem } from './formulary';
+import { getFrequencySchedule } from './medicationSchedule';
+import { PRESCRIPTION_STATUS } from '@lib/constants';
+
+// Number of medications in the "top medications" list by default
+export const DEFAULT_TOP_MEDICATIONS = 10;
+
+/**
+ * Grouping key for a medication name
+ * @param {string} name
+ * @returns {string}
+ */
+const getMedicationKey = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Resolve each prescription's medication to a grouping key and display name
+ * @param {Array} formulary - formulary items
+ * @returns {Function} prescription => { key, name }
+ */
+const createMedicationResolver = (formulary) => {
+  const items = new Map(formulary.map(item => [item.id, item]));
+  const cache = new Map();
+
+  return (prescription) => {
+    if (!cache.has(prescription)) {
+      const item = items.get(prescription.formulary_id) ||
+        matchFormularyItem(formulary, prescription.medication_name);
+      cache.set(prescription, item
+        ? { key: `formulary:${item.id}`, name: item.generic_name }
+        : { key: getMedicationKey(prescription.medication_name), name: (prescription.medication_name || '').trim() });
+    }
+    return cache.get(prescription);
+  };
+};
+
+/**
+ * Whether any of a prescription was handed out
+ * @param {Object} prescription
+ * @returns {boolean}
+ */
+const isDispensed = (prescription) =>
+  prescription.dispensed_quantity > 0 || prescription.status === PRESCRIPTION_STATUS.DISPENSED;
+
+/**
+ * Dispensed/pending counts for a list of prescriptions
+ * @param {Array} prescriptions
+ * @returns {Object} { total, dispensed, pending, dispensed_rate }
+ */
+const countDispensing = (prescriptions) => {
+  const dispensed = prescriptions.filter(isDispensed).length;
+  return {
+    total: prescriptions.length,
+    dispensed,
+    pending: prescriptions.length - dispensed,
+    dispensed_rate: prescriptions.length > 0 ? Math.round((dispensed / prescriptions.length) * 100) : 0,
+  };
+};
+
+/**
+ * As-needed count and average course length for a list of prescriptions
+ * @param {Array} prescriptions
+ * @returns {Object} { as_needed, avg_course_days } (avg_course_days null when no course has a length)
+ */
+const summarizeRegimens = (prescriptions) => {
+  const schedules = prescriptions.map(getFrequencySchedule).filter(Boolean);
+  const courses = schedules.map(schedule => schedule.duration_days).filter(Boolean);
+  return {
+    as_needed: schedules.filter(schedule => schedule.prn).length,
+    avg_course_days: courses.length > 0
+      ? Math.round((courses.reduce((sum, days) => sum + days, 0) / courses.length) * 10) / 10
+      : null,
+  };
+};
+
+/**
+ * Group prescriptions by a key
+ * @param {Array} prescriptions
+ * @param {Function} getKey - prescription => key (falsy keys are skipped)
+ * @returns {Map<string, Array>}
+ */
+const groupBy = (prescriptions, getKey) => {
+  const groups = new Map();
+  prescriptions.forEach(prescription => {
+    const key = getKey(prescription);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(prescription);
+  });
+  return groups;
+};
+
+/**
+ * Summarize prescriptions for the medication usage report
+ * @param {Object} params
+ * @param {Array} params.prescriptions - prescriptions from prescriptionFirebase.getAll
+ * @param {Array} params.doctors - doctor users (id, fullName/full_name) for names
+ * @param {Array} params.formulary - formulary items, to group by medication
+ * @param {number} params.limit - size of the top medications list
+ * @returns {Object} { totals, top_medications: [{ medication_name, total, dispensed, pending, dispensed_rate,
+ *   units_dispensed, as_needed, avg_course_days, prescribers }], doctors: [{ doctor_id, doctor_name, total, dispensed, pending, dispensed_rate, medications }] }
+ */
+export const buildMedicationUsage = ({
+  prescriptions = [],
+  doctors = [],
+  formulary = [],
+  limit = DEFAULT_TOP_MEDICATIONS,
+}) => {
+  const doctorNames = new Map(doctors.map(doctor => [doctor.id, doctor.fullName || doctor.full_name]));
+  const resolveMedication = createMedicationResolver(formulary);
+
+  const medications = [...groupBy(prescriptions, p => resolveMedication(p).key).values()]
+    .map(group => ({
+      medication_name: resolveMedication(group[0]).name,
+      ...countDispensing(group),
+      units_dispensed: group.reduce((sum, p) => sum + (p.dispensed_quantity || 0), 0),
+      ...summarizeRegimens(group),
+      prescribers: new Set(group.map(p => p.doctor_id).filter(Boolean)).size,
+    }))
+    .sort((a, b) => b.total - a.total || a.medication_name.localeCompare(b.medication_name));
+
+  const byDoctor = [...groupBy(prescriptions, p => p.doctor_id).entries()]
+    .map(([doctorId, group]) => ({
+      doctor_id: doctorId,
+      doctor_name: doctorNames.get(doctorId) || 'Unknown Doctor',
+      ...countDispensing(group),
+      medications: new Set(group.map(p => resolveMedication(p).key).filter(Boolean)).size,
+    }))
+    .sort((a, b) => b.total - a.total || a.doctor_name.localeCompare(b.doctor_name));
+
+  return {
+    totals: {
+      ...countDispensing(prescriptions),
+      medications: medications.length,
+      doctors: byDoctor.length,
+    },
+    top_medications: medications.slice(0, limit),
+    doctors: byDoctor,
+  };
+};
+
+export default {
+  DEFAULT_TOP_MEDICATIONS,
+  buildMedicationUsage,
+};
@@ -0,0 +1,318 @@
+// src/services/firebase/occupancyFirebase.js
+/**
+ * Firebase Occupancy History Service
+ *
+ * Historical bed occupancy as time series. Periods are rebuilt from
+ * bedAssignments history (see occupancyStats) and, once a period is over,
+ * stored in `occupancySnapshots` so later reads do not rescan the history.
+ * Bed counts are only known for the present, so a period is stored only if it
+ * ended recently and every stay in it recorded its department.
+ *
+ * Features:
+ * - Hourly or daily series for any date range
+ * - Per-department and hospital-wide figures (occupancy rate, peak, bed-hours,
+ *   admissions, discharges)
+ * - Missing snapshots of recent periods are backfilled on read (admins only)
+ * - Average length of stay and bed turnover for a date range
+ * - The current, unfinished period is always computed live
+ * - Compatible with occupancyApi interface
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import {
+  buildPeriods,
+  computeOccupancySnapshots,
+  computeStayStatistics
+} from './occupancyStats';
+import { OCCUPANCY_GRANULARITY } from '@lib/constants';
+import { toMillis } from '@lib/dateUtils';
+
+const OCCUPANCY_SNAPSHOTS_COLLECTION = 'occupancySnapshots';
+const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+const BEDS_COLLECTION = 'beds';
+
+// Firestore batches are capped at 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// Periods are stored with today's bed counts, so only those that ended within this window
+const SNAPSHOT_CAPTURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert occupancy figures to the snake_case UI shape
+ * @param {Object} figures - from occupancyStats (camelCase)
+ * @returns {Object}
+ */
+const transformFigures = (figures = {}) => ({
+  total_beds: figures.totalBeds ?? 0,
+  bed_hours: figures.bedHours ?? 0,
+  occupied_beds: figures.occupiedBeds ?? 0,
+  peak_occupied: figures.peakOccupied ?? 0,
+  occupancy_rate: figures.occupancyRate ?? 0,
+  peak_occupancy_rate: figures.peakOccupancyRate ?? 0,
+  admissions: figures.admissions ?? 0,
+  discharges: figures.discharges ?? 0,
+});
+
+/**
+ * Transform a snapshot (stored or freshly computed) to match expected UI format
+ * @param {Object} snapshot
+ * @returns {Object}
+ */
+const transformSnapshotData = (snapshot) => ({
+  key: snapshot.key,
+  granularity: snapshot.granularity,
+  period_start: new Date(toMillis(snapshot.periodStart)).toISOString(),
+  period_end: new Date(toMillis(snapshot.periodEnd)).toISOString(),
+  complete: snapshot.complete !== false,
+  departments: Object.fromEntries(
+    Object.entries(snapshot.departments || {}).map(([id, figures]) => [id, transformFigures(figures)])
+  ),
+  total: transformFigures(snapshot.total),
+});
+
+/**
+ * Snapshot document ID, unique per granularity and period
+ * @param {string} granularity
+ * @param {string} key - period key
+ * @returns {string}
+ */
+const getSnapshotId = (granularity, key) => `${granularity}_${key}`;
+
+/**
+ * Load bed departments and the assignments that overlap a range
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Object>} { assignments, bedDepartments, bedCounts }
+ */
+const loadAssignmentHistory = async ({ from, to }) => {
+  const bedsSnapshot = await getDocs(collection(db, BEDS_COLLECTION));
+  const bedDepartments = {};
+  const bedCounts = {};
+  bedsSnapshot.docs.forEach(bedDoc => {
+    const departmentId = bedDoc.data().departmentId;
+    if (!departmentId) return;
+    bedDepartments[bedDoc.id] = departmentId;
+    bedCounts[departmentId] = (bedCounts[departmentId] || 0) + 1;
+  });
+
+  // Stays that ended inside or after the range, plus open ones; single-field queries only
+  const [endedSnapshot, openSnapshot] = await Promise.all([
+    getDocs(query(
+      collection(db, BED_ASSIGNMENTS_COLLECTION),
+      where('dischargedAt', '>=', Timestamp.fromDate(new Date(from)))
+    )),
+    getDocs(query(
+      collection(db, BED_ASSIGNMENTS_COLLECTION),
+      where('dischargedAt', '==', null)
+    )),
+  ]);
+  const toMs = new Date(to).getTime();
+  const assignments = [...endedSnapshot.docs, ...openSnapshot.docs]
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(assignment => toMillis(assignment.assignedAt) < toMs);
+
+  return { assignments, bedDepartments, bedCounts };
+};
+
+/**
+ * Add the earlier assignments of transferred stays, which may have ended before the range
+ * @param {Array} assignments - raw assignments with `id`
+ * @returns {Promise<Array>} assignments plus their transfer ancestors
+ */
+const loadTransferAncestors = async (assignments) => {
+  const byId = new Map(assignments.map(assignment => [assignment.id, assignment]));
+  let pending = assignments;
+
+  while (pending.length > 0) {
+    const missingIds = [...new Set(
+      pending
+        .map(assignment => assignment.transferredFromAssignmentId)
+        .filter(id => id && !byId.has(id))
+    )];
+    const ancestorDocs = await Promise.all(
+      missingIds.map(id => getDoc(doc(db, BED_ASSIGNMENTS_COLLECTION, id)))
+    );
+    pending = ancestorDocs
+      .filter(ancestorDoc => ancestorDoc.exists())
+      .map(ancestorDoc => ({ id: ancestorDoc.id, ...ancestorDoc.data() }));
+    pending.forEach(assignment => byId.set(assignment.id, assignment));
+  }
+
+  return [...byId.values()];
+};
+
+/**
+ * Rebuild snapshots from bedAssignments history
+ * @param {Object} params - { from, to, granularity }
+ * @returns {Promise<Array>} computed snapshots (camelCase)
+ */
+const rebuildSnapshots = async ({ from, to, granularity }) => {
+  const { assignments, bedDepartments, bedCounts } = await loadAssignmentHistory({ from, to });
+
+  return computeOccupancySnapshots({
+    assignments,
+    bedDepartments,
+    bedCounts,
+    from,
+    to,
+    granularity,
+  });
+};
+
+/**
+ * Whether a rebuilt period can be stored as final: it is over, every stay recorded its
+ * department, and it ended recently enough for today's bed counts to apply
+ * @param {Object} snapshot - computed snapshot (camelCase)
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const canStoreSnapshot = (snapshot, now) =>
+  snapshot.complete &&
+  snapshot.departmentsRecorded &&
+  now.getTime() - snapshot.periodEnd.getTime() <= SNAPSHOT_CAPTURE_WINDOW_MS;
+
+/**
+ * Store finished periods so they are not rebuilt again
+ * @param {Array} snapshots - computed snapshots (camelCase)
+ * @returns {Promise<void>}
+ */
+const saveSnapshots = async (snapshots) => {
+  const now = new Date();
+  const finished = snapshots.filter(snapshot => canStoreSnapshot(snapshot, now));
+  const generatedAt = Timestamp.fromDate(now);
+
+  for (let i = 0; i < finished.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    finished.slice(i, i + MAX_BATCH_WRITES).forEach(snapshot => {
+      batch.set(doc(db, OCCUPANCY_SNAPSHOTS_COLLECTION, getSnapshotId(snapshot.granularity, snapshot.key)), {
+        key: snapshot.key,
+        granularity: snapshot.granularity,
+        periodStart: Timestamp.fromDate(snapshot.periodStart),
+        periodEnd: Timestamp.fromDate(snapshot.periodEnd),
+        departments: snapshot.departments,
+        total: snapshot.total,
+        generatedAt,
+      });
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * Get an occupancy time series for a date range
+ * @param {Object} params - { from, to, granularity? ('hour' | 'day', default 'day'),
+ *   storeSnapshots? (save rebuilt periods; security rules allow this for admins only) }
+ * @returns {Promise<Array>} periods, oldest first: { key, period_start, period_end, complete,
+ *   departments: { [departmentId]: figures }, total: figures }
+ */
+export const getTimeSeries = async ({
+  from,
+  to,
+  granularity = OCCUPANCY_GRANULARITY.DAY,
+  storeSnapshots = false,
+}) => {
+  if (!from || !to) throw new Error('A date range is required');
+  if (!Object.values(OCCUPANCY_GRANULARITY).includes(granularity)) {
+    throw new Error(`Invalid occupancy granularity: ${granularity}`);
+  }
+  if (new Date(from) >= new Date(to)) throw new Error('Start date must be before end date');
+
+  try {
+    const now = new Date();
+    const periods = buildPeriods({ from, to, granularity }).filter(period => period.start < now);
+    if (periods.length === 0) return [];
+
+    // Single-field range query; granularity filtered in memory to avoid a composite index
+    const storedSnapshot = await getDocs(query(
+      collection(db, OCCUPANCY_SNAPSHOTS_COLLECTION),
+      where('periodStart', '>=', Timestamp.fromDate(periods[0].start)),
+      where('periodStart', '<', Timestamp.fromDate(periods[periods.length - 1].end))
+    ));
+    const stored = new Map(
+      storedSnapshot.docs
+        .map(d => d.data())
+        .filter(snapshot => snapshot.granularity === granularity)
+        .map(snapshot => [snapshot.key, snapshot])
+    );
+
+    const missing = periods.filter(period => !stored.has(period.key));
+    let rebuilt = [];
+    if (missing.length > 0) {
+      rebuilt = await rebuildSnapshots({
+        from: missing[0].start,
+        to: missing[missing.length - 1].end,
+        granularity,
+      });
+      if (storeSnapshots) {
+        // Caching must not fail the read (e.g. offline, or another admin stored it first)
+        await saveSnapshots(rebuilt.filter(snapshot => !stored.has(snapshot.key)))
+          .catch(error => console.error('Save occupancy snapshots error:', error));
+      }
+    }
+
+    const rebuiltByKey = new Map(rebuilt.map(snapshot => [snapshot.key, snapshot]));
+    return periods
+      .map(period => stored.get(period.key) || rebuiltByKey.get(period.key))
+      .filter(Boolean)
+      .map(transformSnapshotData);
+  } catch (error) {
+    console.error('Get occupancy time series error:', error);
+    throw new Error(error.message || 'Failed to fetch occupancy history');
+  }
+};
+
+/**
+ * Convert stay statistics to the snake_case UI shape
+ * @param {Object} stats - from occupancyStats (camelCase)
+ * @returns {Object}
+ */
+const transformStayStatistics = (stats) => ({
+  total_beds: stats.totalBeds,
+  discharges: stats.discharges,
+  average_length_of_stay_days: stats.averageLengthOfStayDays,
+  turnover_rate: stats.turnoverRate,
+});
+
+/**
+ * Get length of stay and bed turnover for discharges in a date range
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Object>} { departments: { [departmentId]: stats }, total: stats } where stats is
+ *   { total_beds, discharges, average_length_of_stay_days, turnover_rate }
+ */
+export const getStayStatistics = async ({ from, to }) => {
+  if (!from || !to) throw new Error('A date range is required');
+  if (new Date(from) >= new Date(to)) throw new Error('Start date must be before end date');
+
+  try {
+    const history = await loadAssignmentHistory({ from, to });
+    const assignments = await loadTransferAncestors(history.assignments);
+    const stats = computeStayStatistics({ ...history, assignments, from, to });
+
+    return {
+      departments: Object.fromEntries(
+        Object.entries(stats.departments).map(([id, deptStats]) => [id, transformStayStatistics(deptStats)])
+      ),
+      total: transformStayStatistics(stats.total),
+    };
+  } catch (error) {
+    console.error('Get stay statistics error:', error);
+    throw new Error(error.message || 'Failed to fetch length of stay statistics');
+  }
+};
+
+// Export as named object and default
+export const occupancyFirebase = {
+  getTimeSeries,
+  getStayStatistics,
+};
+
+export default occupancyFirebase;
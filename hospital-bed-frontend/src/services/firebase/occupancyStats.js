@@ -0,0 +1,271 @@
+// src/services/firebase/occupancyStats.js
+/**
+ * Occupancy statistics
+ *
+ * Pure helpers that rebuild historical bed occupancy from bedAssignments.
+ * Every assignment is an interval [assignedAt, dischargedAt) on one bed; the
+ * department recorded on the assignment decides which department the bed-time
+ * counts toward.
+ * Used by occupancyFirebase to build and store occupancy snapshots and
+ * length-of-stay statistics.
+ *
+ * Rules:
+ * - Open assignments run until "now"
+ * - Transfers are not admissions; the new bed's interval simply starts
+ * - Only discharged assignments count as discharges
+ * - Length of stay runs from admission to discharge, across transfers
+ * - Assignments without a recorded department (created before it was stored)
+ *   fall back to the bed's current department
+ * - Bed counts come from the current bed list (bed history is not tracked)
+ */
+
+import {
+  addDays,
+  addHours,
+  format,
+  startOfDay,
+  startOfHour
+} from 'date-fns';
+import { BED_ASSIGNMENT_STATUS, OCCUPANCY_GRANULARITY } from '@lib/constants';
+import { toMillis } from '@lib/dateUtils';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Stable key of the period containing a date
+ * @param {Date} date
+ * @param {string} granularity - OCCUPANCY_GRANULARITY value
+ * @returns {string} e.g. "2025-12-01" or "2025-12-01T14"
+ */
+export const getPeriodKey = (date, granularity) =>
+  granularity === OCCUPANCY_GRANULARITY.HOUR
+    ? format(date, "yyyy-MM-dd'T'HH")
+    : format(date, 'yyyy-MM-dd');
+
+/**
+ * Split a date range into whole periods (local time)
+ * @param {Object} params - { from, to, granularity }
+ * @returns {Array<{key: string, start: Date, end: Date}>}
+ */
+export const buildPeriods = ({ from, to, granularity = OCCUPANCY_GRANULARITY.DAY }) => {
+  const isHourly = granularity === OCCUPANCY_GRANULARITY.HOUR;
+  const step = isHourly ? (date) => addHours(date, 1) : (date) => addDays(date, 1);
+  const end = new Date(to);
+  const periods = [];
+
+  let start = isHourly ? startOfHour(new Date(from)) : startOfDay(new Date(from));
+  while (start < end) {
+    const next = step(start);
+    periods.push({ key: getPeriodKey(start, granularity), start, end: next });
+    start = next;
+  }
+  return periods;
+};
+
+/**
+ * Department a stay counted toward
+ * @param {Object} assignment - raw Firestore assignment
+ * @param {Object} bedDepartments - { [bedId]: departmentId } from the current bed list
+ * @returns {string|null}
+ */
+const getAssignmentDepartment = (assignment, bedDepartments) =>
+  assignment.departmentId || bedDepartments[assignment.bedId] || null;
+
+/**
+ * Occupancy figures for one department (or the hospital) over one period
+ * @param {Array<{start: number, end: number, admitted: boolean, discharged: boolean}>} intervals -
+ *   assignment intervals already clipped to the period
+ * @param {number} periodMs - elapsed length of the period
+ * @param {number} totalBeds
+ * @returns {Object} { totalBeds, bedHours, occupiedBeds, peakOccupied, occupancyRate, peakOccupancyRate,
+ *   admissions, discharges }
+ */
+const summarizeIntervals = (intervals, periodMs, totalBeds) => {
+  const bedMs = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+  // Sweep start/end events for the highest number of beds in use at once
+  const events = intervals.flatMap(interval => [[interval.start, 1], [interval.end, -1]]);
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peakOccupied = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peakOccupied = Math.max(peakOccupied, current);
+  });
+
+  const occupiedBeds = periodMs > 0 ? bedMs / periodMs : 0;
+  const toRate = (beds) => (totalBeds > 0 ? Math.round((beds / totalBeds) * 1000) / 10 : 0);
+
+  return {
+    totalBeds,
+    bedHours: Math.round((bedMs / HOUR_MS) * 10) / 10,
+    occupiedBeds: Math.round(occupiedBeds * 10) / 10,
+    peakOccupied,
+    occupancyRate: toRate(occupiedBeds),
+    peakOccupancyRate: toRate(peakOccupied),
+    admissions: intervals.filter(interval => interval.admitted).length,
+    discharges: intervals.filter(interval => interval.discharged).length,
+  };
+};
+
+/**
+ * Rebuild occupancy snapshots for a date range from assignment history
+ * @param {Object} params
+ * @param {Array} params.assignments - raw Firestore assignments (bedId, departmentId, assignedAt, dischargedAt,
+ *   status, transferredFromAssignmentId)
+ * @param {Object} params.bedDepartments - { [bedId]: departmentId }
+ * @param {Object} params.bedCounts - { [departmentId]: number of beds }
+ * @param {Date|string} params.from
+ * @param {Date|string} params.to
+ * @param {string} params.granularity - OCCUPANCY_GRANULARITY value
+ * @param {Date} params.now - defaults to the current time
+ * @returns {Array<Object>} snapshots { key, granularity, periodStart, periodEnd, complete, departmentsRecorded,
+ *   departments, total } - departmentsRecorded is false when a stay in the period had no recorded department
+ */
+export const computeOccupancySnapshots = ({
+  assignments = [],
+  bedDepartments = {},
+  bedCounts = {},
+  from,
+  to,
+  granularity = OCCUPANCY_GRANULARITY.DAY,
+  now = new Date(),
+}) => {
+  const nowMs = now.getTime();
+  const totalBeds = Object.values(bedCounts).reduce((sum, count) => sum + count, 0);
+
+  const stays = assignments
+    .map(assignment => ({
+      departmentId: getAssignmentDepartment(assignment, bedDepartments),
+      departmentRecorded: !!assignment.departmentId,
+      start: toMillis(assignment.assignedAt),
+      end: toMillis(assignment.dischargedAt) ?? nowMs,
+      isTransferIn: !!assignment.transferredFromAssignmentId,
+      isDischarge: assignment.status === BED_ASSIGNMENT_STATUS.DISCHARGED,
+    }))
+    .filter(stay => stay.start !== null && stay.end > stay.start);
+
+  return buildPeriods({ from, to, granularity })
+    .filter(period => period.start.getTime() < nowMs)
+    .map(period => {
+      const periodStart = period.start.getTime();
+      const periodEnd = Math.min(period.end.getTime(), nowMs);
+
+      const intervalsByDepartment = {};
+      const allIntervals = [];
+      let departmentsRecorded = true;
+      stays.forEach(stay => {
+        const start = Math.max(stay.start, periodStart);
+        const end = Math.min(stay.end, periodEnd);
+        if (end <= start) return;
+
+        if (!stay.departmentRecorded) departmentsRecorded = false;
+
+        const interval = {
+          start,
+          end,
+          admitted: !stay.isTransferIn && stay.start >= periodStart && stay.start < periodEnd,
+          discharged: stay.isDischarge && stay.end > periodStart && stay.end <= periodEnd,
+        };
+        allIntervals.push(interval);
+        if (stay.departmentId) {
+          if (!intervalsByDepartment[stay.departmentId]) intervalsByDepartment[stay.departmentId] = [];
+          intervalsByDepartment[stay.departmentId].push(interval);
+        }
+      });
+
+      const periodMs = periodEnd - periodStart;
+      const departments = Object.fromEntries(
+        Object.keys(bedCounts).map(departmentId => [
+          departmentId,
+          summarizeIntervals(intervalsByDepartment[departmentId] || [], periodMs, bedCounts[departmentId]),
+        ])
+      );
+
+      return {
+        key: period.key,
+        granularity,
+        periodStart: period.start,
+        periodEnd: period.end,
+        complete: period.end.getTime() <= nowMs,
+        departmentsRecorded,
+        departments,
+        total: summarizeIntervals(allIntervals, periodMs, totalBeds),
+      };
+    });
+};
+
+/**
+ * Length of stay and bed turnover for stays that ended with a discharge in a date range
+ * @param {Object} params
+ * @param {Array} params.assignments - raw Firestore assignments with `id`; must include the
+ *   earlier assignments of transferred stays so a stay is measured from admission
+ * @param {Object} params.bedDepartments - { [bedId]: departmentId }
+ * @param {Object} params.bedCounts - { [departmentId]: number of beds }
+ * @param {Date|string} params.from
+ * @param {Date|string} params.to
+ * @returns {Object} { departments: { [departmentId]: stats }, total: stats } where stats is
+ *   { totalBeds, discharges, averageLengthOfStayDays, turnoverRate }
+ */
+export const computeStayStatistics = ({
+  assignments = [],
+  bedDepartments = {},
+  bedCounts = {},
+  from,
+  to,
+}) => {
+  const fromMs = toMillis(from);
+  const toMs = toMillis(to);
+  const byId = new Map(assignments.map(assignment => [assignment.id, assignment]));
+
+  // Follow transfers back to the assignment that admitted the patient
+  const getAdmittedAt = (assignment) => {
+    let first = assignment;
+    const seen = new Set([first.id]);
+    while (first.transferredFromAssignmentId && byId.has(first.transferredFromAssignmentId)) {
+      first = byId.get(first.transferredFromAssignmentId);
+      if (seen.has(first.id)) break;
+      seen.add(first.id);
+    }
+    return toMillis(first.assignedAt);
+  };
+
+  const stays = assignments
+    .filter(assignment => assignment.status === BED_ASSIGNMENT_STATUS.DISCHARGED)
+    .map(assignment => ({
+      departmentId: getAssignmentDepartment(assignment, bedDepartments),
+      admittedAt: getAdmittedAt(assignment),
+      dischargedAt: toMillis(assignment.dischargedAt),
+    }))
+    .filter(stay => stay.admittedAt !== null && stay.dischargedAt !== null &&
+      stay.dischargedAt >= fromMs && stay.dischargedAt < toMs);
+
+  const summarizeStays = (stayList, totalBeds) => {
+    const totalDays = stayList.reduce((sum, stay) => sum + (stay.dischargedAt - stay.admittedAt) / DAY_MS, 0);
+    return {
+      totalBeds,
+      discharges: stayList.length,
+      averageLengthOfStayDays: stayList.length > 0 ? Math.round((totalDays / stayList.length) * 10) / 10 : 0,
+      turnoverRate: totalBeds > 0 ? Math.round((stayList.length / totalBeds) * 100) / 100 : 0,
+    };
+  };
+
+  const totalBeds = Object.values(bedCounts).reduce((sum, count) => sum + count, 0);
+  return {
+    departments: Object.fromEntries(
+      Object.keys(bedCounts).map(departmentId => [
+        departmentId,
+        summarizeStays(stays.filter(stay => stay.departmentId === departmentId), bedCounts[departmentId]),
+      ])
+    ),
+    total: summarizeStays(stays, totalBeds),
+  };
+};
+
+export default {
+  getPeriodKey,
+  buildPeriods,
+  computeOccupancySnapshots,
+  computeStayStatistics,
+};
@@ -8,6 +8,7 @@
  * Features:
  * - CRUD operations for patients
  * - Patient search functionality
+ * - Activity timeline (bed assignments/transfers/discharges, appointments, prescriptions)
  * - Compatible with existing patientApi interface
  */
 
@@ -25,8 +26,63 @@ import {
   Timestamp 
 } from 'firebase/firestore';
 import { db } from './firebaseConfig';
+import { getByPatient as getPrescriptionsByPatient } from './prescriptionFirebase';
+import { normalizeAllergies } from './prescriptionSafety';
+import { BED_ASSIGNMENT_STATUS, ISOLATION_TYPES } from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
 
 const PATIENTS_COLLECTION = 'patients';
+const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+
+/**
+ * Build timeline events from a patient's bed assignment history.
+ * A transfer closes one assignment and opens another; it is shown as a single
+ * bed_transfer event instead of a discharge followed by an assignment.
+ * @param {Array} assignments - raw assignment records with id
+ * @returns {Array} timeline events
+ */
+const buildBedTimelineEvents = (assignments) => {
+  const byId = new Map(assignments.map(a => [a.id, a]));
+  const bedLabel = (assignment, fallbackBedId) =>
+    assignment?.bedNumber || assignment?.bedId || fallbackBedId || 'Unknown';
+  const events = [];
+
+  assignments.forEach(assignment => {
+    if (!assignment.transferredFromAssignmentId) {
+      events.push({
+        id: `${assignment.id}-assigned`,
+        type: 'bed_assignment',
+        timestamp: toIsoString(assignment.assignedAt),
+        title: `Assigned to bed ${bedLabel(assignment)}`,
+        description: assignment.notes || null,
+        metadata: assignment.assignedBy ? { by: assignment.assignedBy } : {},
+      });
+    }
+
+    if (assignment.status === BED_ASSIGNMENT_STATUS.TRANSFERRED) {
+      const next = byId.get(assignment.transferredToAssignmentId);
+      events.push({
+        id: `${assignment.id}-transferred`,
+        type: 'bed_transfer',
+        timestamp: toIsoString(assignment.transferredAt || assignment.dischargedAt),
+        title: `Transferred from bed ${bedLabel(assignment)} to bed ${bedLabel(next, assignment.transferredToBedId)}`,
+        description: assignment.transferReason || null,
+        metadata: assignment.dischargedBy ? { by: assignment.dischargedBy } : {},
+      });
+    } else if (assignment.dischargedAt) {
+      events.push({
+        id: `${assignment.id}-discharged`,
+        type: 'bed_discharge',
+        timestamp: toIsoString(assignment.dischargedAt),
+        title: `Discharged from bed ${bedLabel(assignment)}`,
+        description: assignment.dischargeNotes || null,
+        metadata: assignment.dischargedBy ? { by: assignment.dischargedBy } : {},
+      });
+    }
+  });
+
+  return events;
+};
 
 /**
  * Get all patients with optional filters and pagination
@@ -138,16 +194,7 @@ export const getById = async (id) => {
     }));
     
     // Fetch prescriptions
-    const prescriptionsQuery = query(
-      collection(db, 'prescriptions'),
-      where('patientId', '==', id),
-      orderBy('prescribedAt', 'desc')
-    );
-    const prescriptionsSnapshot = await getDocs(prescriptionsQuery);
-    patient.prescriptions = prescriptionsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    patient.prescriptions = await getPrescriptionsByPatient(id);
 
     return patient;
   } catch (error) {
@@ -156,6 +203,65 @@ export const getById = async (id) => {
   }
 };
 
+/**
+ * Get patient activity timeline
+ * @param {string} id
+ * @returns {Promise<Array>} timeline events { id, type, timestamp, title, description, metadata }
+ */
+export const getTimeline = async (id) => {
+  if (!id) throw new Error('Patient ID is required');
+
+  try {
+    const [assignmentsSnapshot, appointmentsSnapshot, prescriptionsSnapshot] = await Promise.all([
+      getDocs(query(
+        collection(db, BED_ASSIGNMENTS_COLLECTION),
+        where('patientId', '==', id)
+      )),
+      getDocs(query(
+        collection(db, 'appointments'),
+        where('patientId', '==', id)
+      )),
+      getDocs(query(
+        collection(db, 'prescriptions'),
+        where('patientId', '==', id)
+      )),
+    ]);
+
+    const assignments = assignmentsSnapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    const events = buildBedTimelineEvents(assignments);
+
+    appointmentsSnapshot.docs.forEach(d => {
+      const appointment = d.data();
+      const completed = appointment.status === 'completed';
+      events.push({
+        id: `${d.id}-appointment`,
+        type: completed ? 'appointment_completed' : 'appointment_scheduled',
+        timestamp: toIsoString(appointment.appointmentDate),
+        title: null,
+        description: appointment.reason || appointment.notes || null,
+        metadata: appointment.status ? { status: appointment.status } : {},
+      });
+    });
+
+    prescriptionsSnapshot.docs.forEach(d => {
+      const prescription = d.data();
+      events.push({
+        id: `${d.id}-prescription`,
+        type: 'prescription_issued',
+        timestamp: toIsoString(prescription.prescribedAt),
+        title: null,
+        description: [prescription.medicationName, prescription.dosage].filter(Boolean).join(' ') || null,
+        metadata: {},
+      });
+    });
+
+    return events.filter(event => event.timestamp);
+  } catch (error) {
+    console.error('Get patient timeline error:', error);
+    throw new Error(error.message || 'Failed to fetch patient timeline');
+  }
+};
+
 /**
  * Create new patient
  * @param {Object} data - patient payload
@@ -179,6 +285,13 @@ export const create = async (data) => {
       status: data.status || 'admitted',
       admissionDate: data.admissionDate || data.admission_date || new Date().toISOString().split('T')[0],
       department: data.department || data.department_id || null,
+      // Bed requirements, enforced on assignment (see bedConstraints)
+      isolation: data.isolation || ISOLATION_TYPES.NONE,
+      requiresOxygen: !!(data.requiresOxygen ?? data.requires_oxygen),
+      requiresMonitor: !!(data.requiresMonitor ?? data.requires_monitor),
+      bariatric: !!data.bariatric,
+      // Checked when prescribing (see prescriptionSafety)
+      allergies: normalizeAllergies(data.allergies),
       createdAt: Timestamp.now(),
     };
 
@@ -227,6 +340,13 @@ export const update = async (id, data) => {
       ...(data.admission_date && { admissionDate: data.admission_date }),
       ...(data.department !== undefined && { department: data.department }),
       ...(data.department_id !== undefined && { department: data.department_id }),
+      ...(data.isolation !== undefined && { isolation: data.isolation || ISOLATION_TYPES.NONE }),
+      ...(data.requiresOxygen !== undefined && { requiresOxygen: !!data.requiresOxygen }),
+      ...(data.requires_oxygen !== undefined && { requiresOxygen: !!data.requires_oxygen }),
+      ...(data.requiresMonitor !== undefined && { requiresMonitor: !!data.requiresMonitor }),
+      ...(data.requires_monitor !== undefined && { requiresMonitor: !!data.requires_monitor }),
+      ...(data.bariatric !== undefined && { bariatric: !!data.bariatric }),
+      ...(data.allergies !== undefined && { allergies: normalizeAllergies(data.allergies) }),
     };
 
     await updateDoc(patientRef, updatedData);
@@ -272,6 +392,7 @@ export const patientFirebase = {
   getAll,
   search,
   getById,
+  getTimeline,
   create,
   update,
   remove,
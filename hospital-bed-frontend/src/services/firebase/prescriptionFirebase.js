@@ -7,6 +7,21 @@
  * 
  * Features:
  * - CRUD operations for prescriptions
+ * - One lifecycle: active, partially dispensed, dispensed, on hold,
+ *   discontinued, expired (see prescriptionStatus)
+ * - Dispense log: every dispense records quantity, dispenser and time
+ * - Status history, discontinuation requires a reason
+ * - Allergy, interaction and duplicate therapy warnings on create/update;
+ *   severe warnings need an override reason, stored with the prescription
+ * - Formulary prescribing: medication, structured dose, route and form come
+ *   from a formulary item (free-text prescriptions are still read)
+ * - Frequency and duration shorthand ("TDS x5 days", "PRN max 4/day") is
+ *   parsed on create/update and stored as frequency_schedule next to the
+ *   text (see frequencyParser); unreadable frequencies are rejected
+ * - Dispensing takes the units out of the ward's stock in the same
+ *   transaction and warns when the item runs low
+ * - Print log: each printed prescription sheet or medication label is
+ *   recorded with who printed it and when
  * - Compatible with existing prescriptionApi interface
  */
 
@@ -20,16 +35,262 @@ import {
   query,
   where,
   orderBy as firestoreOrderBy,
+  runTransaction,
+  writeBatch,
+  arrayUnion,
   Timestamp 
 } from 'firebase/firestore';
 import { db } from './firebaseConfig';
+import {
+  assertPrescriptionStatusTransition,
+  buildDispenseFields,
+  buildPrescriptionStatusFields,
+  getDispensedQuantity,
+  getPrescriptionStatus,
+  getRemainingQuantity,
+  getResumeStatus
+} from './prescriptionStatus';
+import {
+  assertPrescriptionSafety,
+  checkPrescriptionSafety,
+  isPrescriptionSafetyError
+} from './prescriptionSafety';
+import { applyDispenseToStock, formatStrength, getStockStatus, parseStrength } from './formulary';
+import { getById as getFormularyItem, getStockRef, notifyLowStock } from './formularyFirebase';
+import { parseRegimen } from '@lib/frequencyParser';
+import { PRESCRIPTION_PRINT_KIND, PRESCRIPTION_STATUS, PRESCRIPTION_VALIDITY_DAYS } from '@lib/constants';
+import { toIsoString } from '@lib/dateUtils';
 
 const PRESCRIPTIONS_COLLECTION = 'prescriptions';
+const PATIENTS_COLLECTION = 'patients';
+const BED_ASSIGNMENTS_COLLECTION = 'bedAssignments';
+const BEDS_COLLECTION = 'beds';
+
+/**
+ * Transform a stored frequency schedule to match expected UI format
+ * @param {Object|null} schedule - raw Firestore frequencySchedule
+ * @returns {Object|null} frequencyParser.parseFrequency shape
+ */
+const transformFrequencySchedule = (schedule) => schedule ? {
+  times_per_day: schedule.timesPerDay ?? null,
+  interval_hours: schedule.intervalHours ?? null,
+  every_days: schedule.everyDays ?? null,
+  time_of_day: schedule.timeOfDay || null,
+  once: !!schedule.once,
+  prn: !!schedule.prn,
+  max_per_day: schedule.maxPerDay ?? null,
+  duration_days: schedule.durationDays ?? null,
+} : null;
+
+/**
+ * End of the course, from the prescribed time and the parsed duration
+ * @param {Object} data - raw Firestore prescription data
+ * @returns {string|null} ISO date, null when open-ended
+ */
+const getCourseEndsAt = (data) => {
+  const days = data.frequencySchedule?.durationDays;
+  const prescribedAt = toIsoString(data.prescribedAt);
+  if (!days || !prescribedAt) return null;
+  return new Date(new Date(prescribedAt).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Transform Firestore prescription data to match expected UI format
+ * @param {Object} data - raw Firestore prescription data
+ * @param {string} id - prescription document ID
+ * @returns {Object} transformed prescription
+ */
+const transformPrescriptionData = (data, id) => ({
+  id,
+  patient_id: data.patientId,
+  doctor_id: data.doctorId,
+  appointment_id: data.appointmentId || null,
+  prescribed_at: toIsoString(data.prescribedAt),
+  expires_at: toIsoString(data.expiresAt),
+  medication_name: data.medicationName,
+  formulary_id: data.formularyId || null,
+  dose: data.dose || null,
+  route: data.route || null,
+  form: data.form || null,
+  dosage: data.dosage,
+  frequency: data.frequency,
+  frequency_schedule: transformFrequencySchedule(data.frequencySchedule),
+  duration: data.duration || null,
+  course_ends_at: getCourseEndsAt(data),
+  instructions: data.instructions || null,
+  quantity: data.quantity || null,
+  dispensed_quantity: getDispensedQuantity(data),
+  remaining_quantity: getRemainingQuantity(data),
+  status: getPrescriptionStatus(data),
+  status_reason: data.statusReason || null,
+  status_updated_at: toIsoString(data.statusUpdatedAt),
+  last_dispensed_at: toIsoString(data.lastDispensedAt),
+  dispense_log: (data.dispenseLog || []).map(entry => ({
+    quantity: entry.quantity,
+    dispensed_by: entry.dispensedBy || null,
+    dispensed_by_name: entry.dispensedByName || null,
+    dispensed_at: toIsoString(entry.dispensedAt),
+    notes: entry.notes || null,
+    department_id: entry.departmentId || null,
+  })),
+  status_history: (data.statusHistory || []).map(entry => ({
+    status: entry.status,
+    reason: entry.reason || null,
+    changed_by: entry.changedBy || null,
+    changed_by_name: entry.changedByName || null,
+    changed_at: toIsoString(entry.changedAt),
+  })),
+  safety_warnings: (data.safetyWarnings || []).map(warning => ({
+    type: warning.type,
+    severity: warning.severity,
+    message: warning.message,
+    conflicts_with: warning.conflictsWith || null,
+    prescription_id: warning.prescriptionId || null,
+  })),
+  override_reason: data.overrideReason || null,
+  overridden_by: data.overriddenBy || null,
+  overridden_at: toIsoString(data.overriddenAt),
+  print_log: (data.printLog || []).map(entry => ({
+    kind: entry.kind,
+    printed_by: entry.printedBy || null,
+    printed_by_name: entry.printedByName || null,
+    printed_at: toIsoString(entry.printedAt),
+  })),
+  last_printed_at: toIsoString(data.lastPrintedAt),
+});
+
+/**
+ * Safety warnings for a medication, against the patient's recorded
+ * allergies and current prescriptions
+ * @param {string} patientId
+ * @param {string} medicationName
+ * @param {string} [prescriptionId] - prescription being updated (skipped)
+ * @returns {Promise<Array>} warnings (see prescriptionSafety)
+ */
+const evaluateSafety = async (patientId, medicationName, prescriptionId = null) => {
+  if (!patientId) return [];
+  const [patientDoc, prescriptions] = await Promise.all([
+    getDoc(doc(db, PATIENTS_COLLECTION, patientId)),
+    getByPatient(patientId),
+  ]);
+  return checkPrescriptionSafety({
+    medicationName,
+    allergies: patientDoc.exists() ? patientDoc.data().allergies : [],
+    prescriptions,
+    prescriptionId,
+  });
+};
+
+/**
+ * Firestore fields recording the safety check and any override
+ * @param {Array} warnings
+ * @param {string|null} overrideReason
+ * @param {string|null} overriddenBy
+ * @param {Object} timestamp - Firestore Timestamp
+ * @returns {Object} prescription document fields
+ */
+const buildSafetyFields = (warnings, overrideReason, overriddenBy, timestamp) => ({
+  safetyWarnings: warnings.map(warning => ({
+    type: warning.type,
+    severity: warning.severity,
+    message: warning.message,
+    conflictsWith: warning.conflicts_with || null,
+    prescriptionId: warning.prescription_id || null,
+  })),
+  overrideReason: overrideReason?.trim() || null,
+  overriddenBy: overrideReason?.trim() ? overriddenBy || 'system' : null,
+  overriddenAt: overrideReason?.trim() ? timestamp : null,
+});
+
+/**
+ * Firestore fields for a formulary prescription: the item's generic name,
+ * the structured dose and a route and form the item comes in
+ * @param {Object} data - { formulary_id, dose: { amount, unit }, route, form, dosage? }
+ * @param {Object} [current] - current raw Firestore prescription data (updates)
+ * @returns {Promise<Object>} prescription document fields ({} without a formulary item)
+ * @throws {Error} If the item is withdrawn or the dose, route or form does not fit it
+ */
+const resolveFormularyFields = async (data, current = {}) => {
+  const formularyId = data.formularyId || data.formulary_id || current.formularyId;
+  if (!formularyId) return {};
+
+  const item = await getFormularyItem(formularyId);
+  if (!item.active && formularyId !== current.formularyId) {
+    throw new Error(`${item.generic_name} has been withdrawn from the formulary`);
+  }
+
+  const dose = parseStrength(data.dose || current.dose);
+  if (!dose) throw new Error('Dose must be an amount and a unit');
+  if (!item.strengths.some(strength => strength.unit === dose.unit)) {
+    throw new Error(`${item.generic_name} is dosed in ${[...new Set(item.strengths.map(s => s.unit))].join(' or ')}`);
+  }
+
+  const route = data.route || current.route;
+  if (!item.routes.includes(route)) {
+    throw new Error(`${item.generic_name} cannot be given by that route`);
+  }
+  const form = data.form || current.form;
+  if (!item.forms.includes(form)) {
+    throw new Error(`${item.generic_name} does not come in that form`);
+  }
+
+  return {
+    formularyId,
+    medicationName: item.generic_name,
+    dose,
+    route,
+    form,
+    dosage: data.dosage?.trim() || formatStrength(dose),
+  };
+};
+
+/**
+ * Firestore fields for a frequency and duration, with the parsed schedule
+ * @param {string} frequency - e.g. 'TDS x5 days', 'PRN max 4/day'
+ * @param {string|null} duration - e.g. '7 days', '5/7', 'ongoing'
+ * @returns {Object} prescription document fields
+ * @throws {Error} If either cannot be read or they disagree (see frequencyParser)
+ */
+const buildFrequencyFields = (frequency, duration) => {
+  const schedule = parseRegimen(frequency, duration);
+  return {
+    frequency: frequency.trim(),
+    duration: duration?.trim() || null,
+    frequencySchedule: {
+      timesPerDay: schedule.times_per_day,
+      intervalHours: schedule.interval_hours,
+      everyDays: schedule.every_days,
+      timeOfDay: schedule.time_of_day,
+      once: schedule.once,
+      prn: schedule.prn,
+      maxPerDay: schedule.max_per_day,
+      durationDays: schedule.duration_days,
+    },
+  };
+};
+
+/**
+ * Ward a patient is admitted to (department of their current bed)
+ * @param {string} patientId
+ * @returns {Promise<string|null>} department ID
+ */
+const getPatientWard = async (patientId) => {
+  if (!patientId) return null;
+  const snapshot = await getDocs(query(
+    collection(db, BED_ASSIGNMENTS_COLLECTION),
+    where('patientId', '==', patientId),
+    where('dischargedAt', '==', null)
+  ));
+  const bedId = snapshot.docs[0]?.data().bedId;
+  if (!bedId) return null;
+  const bedDoc = await getDoc(doc(db, BEDS_COLLECTION, bedId));
+  return bedDoc.exists() ? bedDoc.data().departmentId || null : null;
+};
 
 /**
  * Get all prescriptions with optional filters
- * @param {Object} params - optional filters (patientId, doctorId, status)
- * @returns {Promise<Array>} prescriptions
+ * @param {Object} params - optional filters (patientId, doctorId, status, from, to on prescribedAt)
+ * @returns {Promise<Array>} prescriptions, most recent first
  */
 export const getAll = async (params = {}) => {
   try {
@@ -43,8 +304,11 @@ export const getAll = async (params = {}) => {
     if (params.doctorId) {
       constraints.push(where('doctorId', '==', params.doctorId));
     }
-    if (params.status) {
-      constraints.push(where('status', '==', params.status));
+    if (params.from) {
+      constraints.push(where('prescribedAt', '>=', Timestamp.fromDate(new Date(params.from))));
+    }
+    if (params.to) {
+      constraints.push(where('prescribedAt', '<=', Timestamp.fromDate(new Date(params.to))));
     }
     
     constraints.push(firestoreOrderBy('prescribedAt', 'desc'));
@@ -54,7 +318,12 @@ export const getAll = async (params = {}) => {
     }
 
     const snapshot = await getDocs(prescriptionsQuery);
-    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const prescriptions = snapshot.docs.map(d => transformPrescriptionData(d.data(), d.id));
+
+    // Status is resolved (legacy documents, expiry), so filter it client-side
+    return params.status
+      ? prescriptions.filter(prescription => prescription.status === params.status)
+      : prescriptions;
   } catch (error) {
     console.error('Get prescriptions error:', error);
     throw new Error(error.message || 'Failed to fetch prescriptions');
@@ -76,49 +345,136 @@ export const getById = async (id) => {
       throw new Error('Prescription not found');
     }
 
-    return { id: prescriptionDoc.id, ...prescriptionDoc.data() };
+    return transformPrescriptionData(prescriptionDoc.data(), prescriptionDoc.id);
   } catch (error) {
     console.error('Get prescription error:', error);
     throw new Error(error.message || 'Failed to fetch prescription');
   }
 };
 
+/**
+ * Get prescriptions for a specific patient
+ * @param {string} patientId
+ * @returns {Promise<Array>} patient prescriptions, most recent first
+ */
+export const getByPatient = async (patientId) => {
+  if (!patientId) throw new Error('Patient ID is required');
+
+  try {
+    // Sorted client-side to avoid a composite (patientId, prescribedAt) index
+    const snapshot = await getDocs(query(
+      collection(db, PRESCRIPTIONS_COLLECTION),
+      where('patientId', '==', patientId)
+    ));
+    return snapshot.docs
+      .map(d => transformPrescriptionData(d.data(), d.id))
+      .sort((a, b) => (b.prescribed_at || '').localeCompare(a.prescribed_at || ''));
+  } catch (error) {
+    console.error('Get patient prescriptions error:', error);
+    throw new Error(error.message || 'Failed to fetch patient prescriptions');
+  }
+};
+
+/**
+ * Check a medication before prescribing it
+ * @param {Object} data - { patient_id, medication_name, prescription_id? }
+ * @returns {Promise<Array>} warnings, most severe first:
+ *   { type, severity, message, conflicts_with, prescription_id? }
+ */
+export const checkSafety = async (data = {}) => {
+  const patientId = data.patientId || data.patient_id;
+  if (!patientId) throw new Error('Patient ID is required');
+
+  try {
+    return await evaluateSafety(
+      patientId,
+      data.medicationName || data.medication_name,
+      data.prescriptionId || data.prescription_id || null
+    );
+  } catch (error) {
+    console.error('Check prescription safety error:', error);
+    throw new Error(error.message || 'Failed to check prescription safety');
+  }
+};
+
 /**
  * Create new prescription
  * @param {Object} data - prescription payload
- * @returns {Promise<Object>} created prescription
+ *   (formulary_id?, dose? ({ amount, unit }), route?, form? - formulary prescribing, which
+ *    sets medication_name and dosage from the item; quantity? - units to dispense,
+ *    expires_at? - defaults to PRESCRIPTION_VALIDITY_DAYS ahead,
+ *    override_reason? - required when there are severe safety warnings;
+ *    frequency and duration? are parsed into frequency_schedule)
+ * @returns {Promise<Object>} created prescription, with safety_warnings
+ * @throws {PrescriptionSafetyError} If severe warnings have no override reason
+ * @throws {Error} If the frequency or duration cannot be read
  */
 export const create = async (data) => {
+  const quantity = data.quantity === undefined || data.quantity === null || data.quantity === ''
+    ? null
+    : Number(data.quantity);
+  if (quantity !== null && (!Number.isInteger(quantity) || quantity <= 0)) {
+    throw new Error('Quantity must be a whole number greater than zero');
+  }
+  const frequencyFields = buildFrequencyFields(data.frequency || '', data.duration || null);
+
   try {
     const prescriptionRef = doc(collection(db, PRESCRIPTIONS_COLLECTION));
-    
+    const now = Timestamp.now();
+    const expiresAt = data.expiresAt || data.expires_at;
+    const doctorId = data.doctorId || data.doctor_id;
+    const patientId = data.patientId || data.patient_id;
+    const formularyFields = await resolveFormularyFields(data);
+    const medicationName = formularyFields.medicationName || data.medicationName || data.medication_name;
+    const overrideReason = data.overrideReason || data.override_reason || null;
+
+    const warnings = await evaluateSafety(patientId, medicationName);
+    assertPrescriptionSafety(warnings, overrideReason);
+
     const newPrescription = {
-      patientId: data.patientId || data.patient_id,
-      doctorId: data.doctorId || data.doctor_id,
+      patientId,
+      doctorId,
       appointmentId: data.appointmentId || data.appointment_id || null,
-      prescribedAt: Timestamp.now(),
-      medicationName: data.medicationName || data.medication_name,
+      prescribedAt: now,
+      expiresAt: expiresAt
+        ? Timestamp.fromDate(new Date(expiresAt))
+        : Timestamp.fromMillis(now.toMillis() + PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+      medicationName,
       dosage: data.dosage,
-      frequency: data.frequency,
-      duration: data.duration || null,
+      formularyId: null,
+      dose: null,
+      route: null,
+      form: null,
+      ...formularyFields,
+      ...frequencyFields,
       instructions: data.instructions || null,
-      isDispensed: data.isDispensed || data.is_dispensed || false,
+      quantity,
+      dispensedQuantity: 0,
+      dispenseLog: [],
+      ...buildPrescriptionStatusFields({}, PRESCRIPTION_STATUS.ACTIVE, { changedBy: doctorId || 'system' }, now),
+      ...buildSafetyFields(warnings, overrideReason, doctorId, now),
     };
 
     await setDoc(prescriptionRef, newPrescription);
 
-    return { id: prescriptionRef.id, ...newPrescription };
+    return transformPrescriptionData(newPrescription, prescriptionRef.id);
   } catch (error) {
     console.error('Create prescription error:', error);
+    if (isPrescriptionSafetyError(error)) throw error;
     throw new Error(error.message || 'Failed to create prescription');
   }
 };
 
 /**
- * Update existing prescription
+ * Update existing prescription details.
+ * Status and dispensing go through updateStatus / dispense.
+ * Changing the medication re-runs the safety checks; formulary fields
+ * (formulary_id, dose, route, form) are checked against the item, and a
+ * changed frequency or duration is parsed again.
  * @param {string} id
- * @param {Object} data - updated fields
- * @returns {Promise<Object>} updated prescription
+ * @param {Object} data - updated fields (override_reason?, updated_by?)
+ * @returns {Promise<Object>} updated prescription, with safety_warnings
+ * @throws {PrescriptionSafetyError} If severe warnings have no override reason
  */
 export const update = async (id, data) => {
   if (!id) throw new Error('Prescription ID is required');
@@ -142,47 +498,223 @@ export const update = async (id, data) => {
       ...(data.medicationName && { medicationName: data.medicationName }),
       ...(data.medication_name && { medicationName: data.medication_name }),
       ...(data.dosage !== undefined && { dosage: data.dosage }),
-      ...(data.frequency !== undefined && { frequency: data.frequency }),
-      ...(data.duration !== undefined && { duration: data.duration }),
       ...(data.instructions !== undefined && { instructions: data.instructions }),
-      ...(data.isDispensed !== undefined && { isDispensed: data.isDispensed }),
-      ...(data.is_dispensed !== undefined && { isDispensed: data.is_dispensed }),
+      ...(data.quantity !== undefined && { quantity: data.quantity ? Number(data.quantity) : null }),
+      ...(data.expires_at && { expiresAt: Timestamp.fromDate(new Date(data.expires_at)) }),
     };
 
+    const current = prescriptionDoc.data();
+    if (data.frequency !== undefined || data.duration !== undefined) {
+      Object.assign(updatedData, buildFrequencyFields(
+        data.frequency ?? current.frequency ?? '',
+        data.duration !== undefined ? data.duration : current.duration
+      ));
+    }
+    const formularyChanged = ['formularyId', 'formulary_id', 'dose', 'route', 'form']
+      .some(key => data[key] !== undefined);
+    if (formularyChanged) {
+      Object.assign(updatedData, await resolveFormularyFields(data, current));
+    }
+    const overrideReason = data.overrideReason || data.override_reason || null;
+    const medicationChanged = updatedData.medicationName && updatedData.medicationName !== current.medicationName;
+    const patientChanged = updatedData.patientId && updatedData.patientId !== current.patientId;
+    if (medicationChanged || patientChanged || overrideReason) {
+      const warnings = await evaluateSafety(
+        updatedData.patientId || current.patientId,
+        updatedData.medicationName || current.medicationName,
+        id
+      );
+      assertPrescriptionSafety(warnings, overrideReason);
+      Object.assign(updatedData, buildSafetyFields(
+        warnings,
+        overrideReason,
+        data.updatedBy || data.updated_by || updatedData.doctorId || current.doctorId,
+        Timestamp.now()
+      ));
+    }
+
     await updateDoc(prescriptionRef, updatedData);
 
-    return { id, ...prescriptionDoc.data(), ...updatedData };
+    return transformPrescriptionData({ ...current, ...updatedData }, id);
   } catch (error) {
     console.error('Update prescription error:', error);
+    if (isPrescriptionSafetyError(error)) throw error;
     throw new Error(error.message || 'Failed to update prescription');
   }
 };
 
 /**
- * Delete prescription (mark as cancelled, not dispensed)
- * Note: In the new schema, we don't have a separate delete status
- * Setting isDispensed to false effectively cancels the prescription
+ * Record a dispense against a prescription.
+ * Runs in a transaction so concurrent dispenses cannot exceed the prescribed
+ * quantity, nor the ward's stock of a formulary item. Stock is taken from the
+ * department given, or the patient's current ward; items without a stock
+ * level there are not tracked. Admins and the ward's nurses are notified when
+ * the item runs low or out.
  * @param {string} id
- * @returns {Promise<void>}
+ * @param {Object} data - { quantity?, dispensed_by?, dispensed_by_name?, notes?, department_id? }
+ *   (quantity defaults to everything left)
+ * @returns {Promise<Object>} updated prescription
  */
-export const remove = async (id) => {
+export const dispense = async (id, data = {}) => {
   if (!id) throw new Error('Prescription ID is required');
-  
+
   try {
     const prescriptionRef = doc(db, PRESCRIPTIONS_COLLECTION, id);
     const prescriptionDoc = await getDoc(prescriptionRef);
-    
     if (!prescriptionDoc.exists()) {
       throw new Error('Prescription not found');
     }
+    const { formularyId, patientId } = prescriptionDoc.data();
+    const departmentId = formularyId
+      ? data.departmentId || data.department_id || await getPatientWard(patientId)
+      : null;
+    const stockRef = formularyId && departmentId ? getStockRef(departmentId, formularyId) : null;
+
+    const { updated, stock } = await runTransaction(db, async (transaction) => {
+      const currentDoc = await transaction.get(prescriptionRef);
+      const stockDoc = stockRef ? await transaction.get(stockRef) : null;
+      if (!currentDoc.exists()) {
+        throw new Error('Prescription not found');
+      }
+
+      const current = currentDoc.data();
+      const now = Timestamp.now();
+      const fields = buildDispenseFields(current, {
+        quantity: data.quantity,
+        dispensedBy: data.dispensedBy || data.dispensed_by || 'system',
+        dispensedByName: data.dispensedByName || data.dispensed_by_name || null,
+        notes: data.notes,
+        departmentId,
+      }, now);
+
+      let stockLevel = null;
+      if (stockDoc?.exists()) {
+        const stockData = stockDoc.data();
+        const entry = { quantity: stockData.quantity || 0, reorder_level: stockData.reorderLevel };
+        const result = applyDispenseToStock(entry, fields.dispensedQuantity - getDispensedQuantity(current));
+        transaction.update(stockRef, { quantity: result.quantity, lastDispensedAt: now, updatedAt: now });
+        stockLevel = {
+          department_id: departmentId,
+          formulary_id: formularyId,
+          medication_name: stockData.medicationName || current.medicationName,
+          quantity: result.quantity,
+          reorder_level: stockData.reorderLevel,
+          notify: result.became_low || result.became_out,
+        };
+      }
+
+      transaction.update(prescriptionRef, fields);
+      return { updated: { ...current, ...fields }, stock: stockLevel };
+    });
+
+    if (stock?.notify) {
+      // The dispense stands even if the warning cannot be sent
+      notifyLowStock({ ...stock, status: getStockStatus(stock) }).catch((error) => {
+        console.warn('Low stock notification skipped:', error.message);
+      });
+    }
+
+    return transformPrescriptionData(updated, id);
+  } catch (error) {
+    console.error('Dispense prescription error:', error);
+    throw new Error(error.message || 'Failed to dispense prescription');
+  }
+};
+
+/**
+ * Change a prescription's status (hold, resume, discontinue, expire).
+ * Resuming a held prescription (status 'active') returns it to partially
+ * dispensed when some of it was already handed out.
+ * @param {string} id
+ * @param {string} status - one of PRESCRIPTION_STATUS
+ * @param {Object} options - { reason?, changed_by?, changed_by_name? } (reason required to discontinue)
+ * @returns {Promise<Object>} updated prescription
+ */
+export const updateStatus = async (id, status, options = {}) => {
+  if (!id) throw new Error('Prescription ID is required');
+
+  try {
+    const prescriptionRef = doc(db, PRESCRIPTIONS_COLLECTION, id);
+
+    const updated = await runTransaction(db, async (transaction) => {
+      const prescriptionDoc = await transaction.get(prescriptionRef);
+      if (!prescriptionDoc.exists()) {
+        throw new Error('Prescription not found');
+      }
+
+      const current = prescriptionDoc.data();
+      const from = getPrescriptionStatus(current);
+      const to = from === PRESCRIPTION_STATUS.ON_HOLD && status === PRESCRIPTION_STATUS.ACTIVE
+        ? getResumeStatus(current)
+        : status;
+      assertPrescriptionStatusTransition(from, to, options.reason);
+
+      const fields = buildPrescriptionStatusFields(current, to, {
+        reason: options.reason,
+        changedBy: options.changedBy || options.changed_by || 'system',
+        changedByName: options.changedByName || options.changed_by_name || null,
+      }, Timestamp.now());
+
+      transaction.update(prescriptionRef, fields);
+      return { ...current, ...fields };
+    });
+
+    return transformPrescriptionData(updated, id);
+  } catch (error) {
+    console.error('Update prescription status error:', error);
+    throw new Error(error.message || 'Failed to update prescription status');
+  }
+};
+
+/**
+ * Discontinue a prescription (prescriptions are never deleted)
+ * @param {string} id
+ * @param {Object} options - { reason, changed_by?, changed_by_name? }
+ * @returns {Promise<Object>} updated prescription
+ */
+export const discontinue = (id, options = {}) =>
+  updateStatus(id, PRESCRIPTION_STATUS.DISCONTINUED, options);
+
+/**
+ * Delete prescription: kept for the old interface, discontinues it instead
+ * @param {string} id
+ * @param {Object} options - { reason, changed_by? }
+ * @returns {Promise<Object>} updated prescription
+ */
+export const remove = (id, options = {}) => discontinue(id, options);
+
+/**
+ * Record that prescriptions were printed (adds to each one's print log)
+ * @param {string[]} ids - prescriptions printed together
+ * @param {Object} data - { kind, printed_by?, printed_by_name? } (kind is one of PRESCRIPTION_PRINT_KIND)
+ * @returns {Promise<void>}
+ */
+export const logPrint = async (ids, data = {}) => {
+  if (!ids?.length) throw new Error('Prescription ID is required');
+  if (!Object.values(PRESCRIPTION_PRINT_KIND).includes(data.kind)) {
+    throw new Error('Unknown print kind');
+  }
+
+  try {
+    const now = Timestamp.now();
+    const entry = {
+      kind: data.kind,
+      printedBy: data.printedBy || data.printed_by || 'system',
+      printedByName: data.printedByName || data.printed_by_name || null,
+      printedAt: now,
+    };
 
-    // Mark as not dispensed (effectively cancels the prescription)
-    await updateDoc(prescriptionRef, {
-      isDispensed: false,
+    const batch = writeBatch(db);
+    ids.forEach((id) => {
+      batch.update(doc(db, PRESCRIPTIONS_COLLECTION, id), {
+        printLog: arrayUnion(entry),
+        lastPrintedAt: now,
+      });
     });
+    await batch.commit();
   } catch (error) {
-    console.error('Delete prescription error:', error);
-    throw new Error(error.message || 'Failed to delete prescription');
+    console.error('Log prescription print error:', error);
+    throw new Error(error.message || 'Failed to record printing');
   }
 };
 
@@ -190,9 +722,15 @@ export const remove = async (id) => {
 export const prescriptionFirebase = {
   getAll,
   getById,
+  getByPatient,
+  checkSafety,
   create,
   update,
+  dispense,
+  updateStatus,
+  discontinue,
   remove,
+  logPrint,
 };
 
 export default prescriptionFirebase;
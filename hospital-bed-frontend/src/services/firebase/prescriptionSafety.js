@@ -0,0 +1,329 @@
+// src/services/firebase/prescriptionSafety.js
+/**
+ * Prescribing safety checks
+ *
+ * Checks a medication against the patient's allergies and current
+ * prescriptions using the bundled dataset in drugSafetyData, so
+ * prescriptionFirebase and the prescription form agree on the warnings.
+ *
+ * Warnings:
+ * - drug_allergy: the drug (or its class) matches a recorded allergy, or a
+ *   known cross-reaction does
+ * - drug_drug: a known interaction with a current prescription
+ * - duplicate_therapy: the same drug, or another drug of the same
+ *   therapeutic group, is already prescribed
+ *
+ * Medication names are free text; drugs are recognised by name, brand name
+ * or class anywhere in the text ("Amoxicillin 500mg caps"). Unrecognised
+ * medications are still checked against allergies and duplicates by name.
+ * Severe warnings need an override reason (PRESCRIPTION_OVERRIDE_SEVERITIES).
+ */
+
+import {
+  DRUGS,
+  DRUG_CLASS_LABELS,
+  ALLERGY_CLASS_ALIASES,
+  ALLERGY_CROSS_REACTIONS,
+  DRUG_INTERACTIONS
+} from './drugSafetyData';
+import {
+  ALLERGY_SEVERITY,
+  PRESCRIPTION_STATUS,
+  PRESCRIPTION_WARNING_TYPE,
+  PRESCRIPTION_WARNING_SEVERITY,
+  PRESCRIPTION_OVERRIDE_SEVERITIES
+} from '@lib/constants';
+
+const SEVERITY_RANK = { minor: 1, moderate: 2, severe: 3 };
+
+// Prescriptions that count as current for interaction and duplicate checks
+const OPEN_STATUSES = [
+  PRESCRIPTION_STATUS.ACTIVE,
+  PRESCRIPTION_STATUS.PARTIALLY_DISPENSED,
+  PRESCRIPTION_STATUS.ON_HOLD,
+];
+
+/**
+ * Raised when a prescription has severe safety warnings and no override reason.
+ * `warnings` lists every warning as { type, severity, message, conflicts_with, prescription_id? }.
+ */
+export class PrescriptionSafetyError extends Error {
+  constructor(warnings = []) {
+    const severe = warnings.filter(w => PRESCRIPTION_OVERRIDE_SEVERITIES.includes(w.severity));
+    super(`An override reason is required: ${severe.map(w => w.message).join('; ')}`);
+    this.name = 'PrescriptionSafetyError';
+    this.code = 'prescription/override-required';
+    this.warnings = warnings;
+  }
+}
+
+/**
+ * Check whether an error is a missing safety override
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isPrescriptionSafetyError = (error) =>
+  error instanceof PrescriptionSafetyError || error?.code === 'prescription/override-required';
+
+/**
+ * Lowercase, drop punctuation (except - and /) and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) =>
+  (text || '').toLowerCase().replace(/[^a-z0-9/\-\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Whole-word match of a term inside normalized text
+ * @param {string} text - normalized text
+ * @param {string} term - normalized term
+ * @returns {boolean}
+ */
+const containsTerm = (text, term) => {
+  if (!term) return false;
+  const escaped = term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+};
+
+// Search terms per drug: key, name and aliases
+const DRUG_TERMS = Object.entries(DRUGS).map(([key, drug]) => ({
+  key,
+  terms: [key.replace(/_/g, ' '), drug.name, ...(drug.aliases || [])].map(normalizeText),
+}));
+
+/**
+ * Recognise the bundled drugs named in a free-text medication
+ * (combination products can name several)
+ * @param {string} medicationName
+ * @returns {Array} [{ key, name, classes, allergyGroup, therapeuticGroup }]
+ */
+export const resolveMedication = (medicationName) => {
+  const text = normalizeText(medicationName);
+  if (!text) return [];
+  return DRUG_TERMS
+    .filter(({ terms }) => terms.some(term => containsTerm(text, term)))
+    .map(({ key }) => ({ key, ...DRUGS[key] }));
+};
+
+/**
+ * Normalize patient allergy records.
+ * Older patients store plain strings; records are { substance, reaction, severity }.
+ * @param {Array} allergies
+ * @returns {Array} [{ substance, reaction, severity }]
+ */
+export const normalizeAllergies = (allergies = []) =>
+  (Array.isArray(allergies) ? allergies : [])
+    .map(allergy => (typeof allergy === 'string' ? { substance: allergy } : allergy || {}))
+    .map(allergy => ({
+      substance: (allergy.substance || allergy.name || '').trim(),
+      reaction: allergy.reaction?.trim() || null,
+      severity: Object.values(ALLERGY_SEVERITY).includes(allergy.severity) ? allergy.severity : null,
+    }))
+    .filter(allergy => allergy.substance);
+
+/**
+ * Drug and class keys an allergy covers
+ * @param {string} substance
+ * @returns {Set<string>}
+ */
+const getAllergyKeys = (substance) => {
+  const text = normalizeText(substance);
+  const keys = new Set();
+
+  if (ALLERGY_CLASS_ALIASES[text]) keys.add(ALLERGY_CLASS_ALIASES[text]);
+  Object.entries(DRUG_CLASS_LABELS).forEach(([classKey, label]) => {
+    const singular = normalizeText(label).replace(/s$/, '');
+    if (text === classKey.replace(/_/g, ' ') || text === normalizeText(label) || text === singular) {
+      keys.add(classKey);
+    }
+  });
+  resolveMedication(substance).forEach(drug => {
+    keys.add(drug.key);
+    if (drug.allergyGroup) keys.add(drug.allergyGroup);
+  });
+  return keys;
+};
+
+/**
+ * Label for a drug class or group key
+ * @param {string} key
+ * @returns {string}
+ */
+const groupLabel = (key) => DRUG_CLASS_LABELS[key] || key.replace(/_/g, ' ');
+
+/**
+ * Check whether a prescription still counts as current: open, or dispensed
+ * and not past its validity
+ * @param {Object} prescription - transformed prescription
+ * @param {number} [now] - current time in ms
+ * @returns {boolean}
+ */
+export const isCurrentPrescription = (prescription, now = Date.now()) => {
+  if (OPEN_STATUSES.includes(prescription.status)) return true;
+  if (prescription.status !== PRESCRIPTION_STATUS.DISPENSED || !prescription.expires_at) return false;
+  return new Date(prescription.expires_at).getTime() > now;
+};
+
+/**
+ * Drug–allergy warnings
+ * @param {string} medicationName
+ * @param {Array} drugs - resolved drugs
+ * @param {Array} allergies - normalized allergies
+ * @returns {Array} warnings
+ */
+const checkAllergies = (medicationName, drugs, allergies) => {
+  const warnings = [];
+  const text = normalizeText(medicationName);
+
+  allergies.forEach(allergy => {
+    const allergyKeys = getAllergyKeys(allergy.substance);
+    const recorded = `recorded ${allergy.substance} allergy${allergy.reaction ? ` (${allergy.reaction})` : ''}`;
+    // A mild recorded reaction is still a warning, but does not block prescribing
+    const directSeverity = allergy.severity === ALLERGY_SEVERITY.MILD
+      ? PRESCRIPTION_WARNING_SEVERITY.MODERATE
+      : PRESCRIPTION_WARNING_SEVERITY.SEVERE;
+
+    const direct = drugs.find(drug => allergyKeys.has(drug.key) || drug.classes.some(c => allergyKeys.has(c)));
+    if (direct || (drugs.length === 0 && containsTerm(text, normalizeText(allergy.substance)))) {
+      warnings.push({
+        type: PRESCRIPTION_WARNING_TYPE.DRUG_ALLERGY,
+        severity: directSeverity,
+        message: `${direct?.name || medicationName} conflicts with the ${recorded}`,
+        conflicts_with: allergy.substance,
+      });
+      return;
+    }
+
+    ALLERGY_CROSS_REACTIONS.forEach(rule => {
+      if (!allergyKeys.has(rule.allergen)) return;
+      const drug = drugs.find(d => d.key === rule.contraindicates || d.classes.includes(rule.contraindicates));
+      if (!drug) return;
+      warnings.push({
+        type: PRESCRIPTION_WARNING_TYPE.DRUG_ALLERGY,
+        severity: rule.severity,
+        message: `${drug.name} with the ${recorded}: ${rule.note}`,
+        conflicts_with: allergy.substance,
+      });
+    });
+  });
+
+  return warnings;
+};
+
+/**
+ * Drug–drug and duplicate therapy warnings against one current prescription
+ * @param {string} medicationName
+ * @param {Array} drugs - resolved drugs of the new medication
+ * @param {Object} other - current prescription (transformed)
+ * @returns {Array} warnings
+ */
+const checkAgainstPrescription = (medicationName, drugs, other) => {
+  const warnings = [];
+  const otherDrugs = resolveMedication(other.medication_name);
+  const base = { conflicts_with: other.medication_name, prescription_id: other.id };
+
+  // Duplicate therapy: same drug, or same therapeutic group
+  const sameDrug = drugs.find(drug => otherDrugs.some(o => o.key === drug.key));
+  const sameName = drugs.length === 0 && normalizeText(medicationName) === normalizeText(other.medication_name);
+  if (sameDrug || sameName) {
+    warnings.push({
+      ...base,
+      type: PRESCRIPTION_WARNING_TYPE.DUPLICATE_THERAPY,
+      severity: PRESCRIPTION_WARNING_SEVERITY.SEVERE,
+      message: `${sameDrug?.name || medicationName} is already prescribed (${other.medication_name})`,
+    });
+  } else {
+    const group = drugs.map(d => d.therapeuticGroup)
+      .find(g => g && otherDrugs.some(o => o.therapeuticGroup === g));
+    if (group) {
+      warnings.push({
+        ...base,
+        type: PRESCRIPTION_WARNING_TYPE.DUPLICATE_THERAPY,
+        severity: PRESCRIPTION_WARNING_SEVERITY.MODERATE,
+        message: `${medicationName} duplicates ${groupLabel(group).toLowerCase()} therapy with ${other.medication_name}`,
+      });
+    }
+  }
+
+  // Interactions: one warning per prescription pair, from the most severe
+  // matching rule (drug-specific rules are listed before class-wide ones)
+  const keysOf = (list) => new Set(list.flatMap(d => [d.key, ...d.classes]));
+  const newKeys = keysOf(drugs);
+  const otherKeys = keysOf(otherDrugs);
+  const interaction = DRUG_INTERACTIONS
+    .filter(({ between: [a, b] }) =>
+      (newKeys.has(a) && otherKeys.has(b)) || (newKeys.has(b) && otherKeys.has(a)))
+    .reduce((worst, rule) =>
+      (!worst || SEVERITY_RANK[rule.severity] > SEVERITY_RANK[worst.severity] ? rule : worst), null);
+  if (interaction) {
+    warnings.push({
+      ...base,
+      type: PRESCRIPTION_WARNING_TYPE.DRUG_DRUG,
+      severity: interaction.severity,
+      message: `${medicationName} + ${other.medication_name}: ${interaction.effect}`,
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Check a medication before it is prescribed
+ * @param {Object} params
+ * @param {string} params.medicationName
+ * @param {Array} params.allergies - patient allergies (records or strings)
+ * @param {Array} params.prescriptions - the patient's prescriptions (transformed)
+ * @param {string} [params.prescriptionId] - prescription being updated (skipped)
+ * @param {number} [params.now] - current time in ms
+ * @returns {Array} warnings, most severe first
+ */
+export const checkPrescriptionSafety = ({
+  medicationName,
+  allergies = [],
+  prescriptions = [],
+  prescriptionId = null,
+  now = Date.now(),
+}) => {
+  if (!medicationName?.trim()) return [];
+  const drugs = resolveMedication(medicationName);
+
+  const warnings = [
+    ...checkAllergies(medicationName, drugs, normalizeAllergies(allergies)),
+    ...prescriptions
+      .filter(p => p.id !== prescriptionId && isCurrentPrescription(p, now))
+      .flatMap(p => checkAgainstPrescription(medicationName, drugs, p)),
+  ];
+
+  return warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+};
+
+/**
+ * Whether any warning needs an override reason
+ * @param {Array} warnings
+ * @returns {boolean}
+ */
+export const requiresOverride = (warnings = []) =>
+  warnings.some(warning => PRESCRIPTION_OVERRIDE_SEVERITIES.includes(warning.severity));
+
+/**
+ * Validate that severe warnings come with an override reason
+ * @param {Array} warnings
+ * @param {string} [overrideReason]
+ * @throws {PrescriptionSafetyError} If an override is needed and missing
+ */
+export const assertPrescriptionSafety = (warnings, overrideReason) => {
+  if (requiresOverride(warnings) && !overrideReason?.trim()) {
+    throw new PrescriptionSafetyError(warnings);
+  }
+};
+
+export default {
+  PrescriptionSafetyError,
+  isPrescriptionSafetyError,
+  resolveMedication,
+  normalizeAllergies,
+  isCurrentPrescription,
+  checkPrescriptionSafety,
+  requiresOverride,
+  assertPrescriptionSafety,
+};
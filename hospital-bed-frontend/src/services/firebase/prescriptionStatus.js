@@ -0,0 +1,213 @@
+// src/services/firebase/prescriptionStatus.js
+/**
+ * Prescription lifecycle
+ *
+ * Shared rules for prescription statuses and dispensing so that
+ * prescriptionFirebase, the prescription list and the reports agree.
+ *
+ * Lifecycle:
+ * - active → partially_dispensed → dispensed as the prescribed quantity is
+ *   handed out (without a quantity the first dispense completes it)
+ * - active / partially_dispensed → on_hold → resumed where it left off
+ * - any prescription not yet closed → discontinued (reason required)
+ * - active / partially_dispensed / on_hold past expiresAt → expired
+ *
+ * Documents written before the lifecycle only carry isDispensed;
+ * getPrescriptionStatus maps them onto the statuses above.
+ */
+
+import {
+  PRESCRIPTION_STATUS,
+  PRESCRIPTION_STATUS_TRANSITIONS,
+  PRESCRIPTION_STATUS_REASON_REQUIRED,
+  PRESCRIPTION_DISPENSABLE_STATUSES
+} from '@lib/constants';
+import { toMillis } from '@lib/dateUtils';
+
+const VALID_STATUSES = Object.values(PRESCRIPTION_STATUS);
+
+/**
+ * Units dispensed so far
+ * @param {Object} data - raw Firestore prescription data
+ * @returns {number}
+ */
+export const getDispensedQuantity = (data = {}) => {
+  if (typeof data.dispensedQuantity === 'number') return data.dispensedQuantity;
+  return (data.dispenseLog || []).reduce((sum, entry) => sum + (Number(entry.quantity) || 0), 0);
+};
+
+/**
+ * Units still to dispense
+ * @param {Object} data - raw Firestore prescription data
+ * @returns {number|null} null when no quantity was prescribed
+ */
+export const getRemainingQuantity = (data = {}) => {
+  if (!data.quantity) return null;
+  return Math.max(0, data.quantity - getDispensedQuantity(data));
+};
+
+/**
+ * Resolve the lifecycle status of a prescription document.
+ * Open prescriptions past their expiry resolve to expired.
+ * @param {Object} data - raw Firestore prescription data
+ * @param {number} [now] - current time in ms
+ * @returns {string} one of PRESCRIPTION_STATUS
+ */
+export const getPrescriptionStatus = (data = {}, now = Date.now()) => {
+  let status;
+  if (data.status && VALID_STATUSES.includes(data.status)) {
+    status = data.status;
+  } else {
+    status = data.isDispensed ? PRESCRIPTION_STATUS.DISPENSED : PRESCRIPTION_STATUS.ACTIVE;
+  }
+
+  const expiresAt = toMillis(data.expiresAt);
+  const isOpen = PRESCRIPTION_DISPENSABLE_STATUSES.includes(status) || status === PRESCRIPTION_STATUS.ON_HOLD;
+  if (isOpen && expiresAt !== null && expiresAt <= now) {
+    return PRESCRIPTION_STATUS.EXPIRED;
+  }
+  return status;
+};
+
+/**
+ * Check whether a prescription may move from one status to another
+ * @param {string} from - current status
+ * @param {string} to - requested status
+ * @returns {boolean}
+ */
+export const canTransitionPrescriptionStatus = (from, to) =>
+  (PRESCRIPTION_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Validate a requested status change
+ * @param {string} from - current status
+ * @param {string} to - requested status
+ * @param {string} [reason] - required for discontinued
+ * @throws {Error} If the transition is not allowed
+ */
+export const assertPrescriptionStatusTransition = (from, to, reason) => {
+  if (!VALID_STATUSES.includes(to)) {
+    throw new Error(`Invalid prescription status: ${to}`);
+  }
+
+  if (from === to) {
+    throw new Error(`Prescription is already ${to.replace(/_/g, ' ')}`);
+  }
+
+  if (!canTransitionPrescriptionStatus(from, to)) {
+    throw new Error(`Cannot change prescription status from ${from.replace(/_/g, ' ')} to ${to.replace(/_/g, ' ')}`);
+  }
+
+  if (PRESCRIPTION_STATUS_REASON_REQUIRED.includes(to) && !reason?.trim()) {
+    throw new Error(`A reason is required to mark a prescription as ${to}`);
+  }
+};
+
+/**
+ * Status a held prescription returns to when resumed
+ * @param {Object} data - raw Firestore prescription data
+ * @returns {string}
+ */
+export const getResumeStatus = (data = {}) =>
+  getDispensedQuantity(data) > 0 ? PRESCRIPTION_STATUS.PARTIALLY_DISPENSED : PRESCRIPTION_STATUS.ACTIVE;
+
+/**
+ * Build the Firestore fields written for a status change, including the
+ * history entry
+ * @param {Object} data - current raw Firestore prescription data
+ * @param {string} status - new status
+ * @param {Object} options - { reason, changedBy, changedByName }
+ * @param {Object} timestamp - Firestore Timestamp for the change
+ * @returns {Object} prescription document fields
+ */
+export const buildPrescriptionStatusFields = (
+  data,
+  status,
+  { reason = null, changedBy = 'system', changedByName = null } = {},
+  timestamp
+) => ({
+  status,
+  statusReason: reason?.trim() || null,
+  statusUpdatedAt: timestamp,
+  statusUpdatedBy: changedBy,
+  statusHistory: [
+    ...(data.statusHistory || []),
+    {
+      status,
+      reason: reason?.trim() || null,
+      changedBy,
+      changedByName,
+      changedAt: timestamp,
+    },
+  ],
+});
+
+/**
+ * Validate a dispense and build the Firestore fields it writes: the log
+ * entry, the running total and the resulting status
+ * @param {Object} data - current raw Firestore prescription data
+ * @param {Object} dispense - { quantity, dispensedBy, dispensedByName, notes, departmentId }
+ *   (departmentId is the ward whose stock it came from)
+ * @param {Object} timestamp - Firestore Timestamp for the dispense
+ * @param {number} [now] - current time in ms
+ * @returns {Object} prescription document fields
+ * @throws {Error} If the prescription cannot be dispensed or the quantity is invalid
+ */
+export const buildDispenseFields = (
+  data,
+  { quantity, dispensedBy = 'system', dispensedByName = null, notes = null, departmentId = null } = {},
+  timestamp,
+  now = Date.now()
+) => {
+  const status = getPrescriptionStatus(data, now);
+  if (!PRESCRIPTION_DISPENSABLE_STATUSES.includes(status)) {
+    throw new Error(`Cannot dispense a prescription that is ${status.replace(/_/g, ' ')}`);
+  }
+
+  const remaining = getRemainingQuantity(data);
+  // Without a prescribed quantity one dispense covers the whole prescription
+  const amount = quantity === undefined || quantity === null || quantity === ''
+    ? remaining ?? 1
+    : Number(quantity);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Dispensed quantity must be a whole number greater than zero');
+  }
+  if (remaining !== null && amount > remaining) {
+    throw new Error(`Only ${remaining} left to dispense on this prescription`);
+  }
+
+  const dispensedQuantity = getDispensedQuantity(data) + amount;
+  const nextStatus = remaining === null || amount === remaining
+    ? PRESCRIPTION_STATUS.DISPENSED
+    : PRESCRIPTION_STATUS.PARTIALLY_DISPENSED;
+
+  return {
+    dispensedQuantity,
+    dispenseLog: [
+      ...(data.dispenseLog || []),
+      {
+        quantity: amount,
+        dispensedBy,
+        dispensedByName,
+        dispensedAt: timestamp,
+        notes: notes?.trim() || null,
+        departmentId,
+      },
+    ],
+    lastDispensedAt: timestamp,
+    ...(nextStatus !== status
+      ? buildPrescriptionStatusFields(data, nextStatus, { changedBy: dispensedBy, changedByName: dispensedByName }, timestamp)
+      : { status }),
+  };
+};
+
+export default {
+  getDispensedQuantity,
+  getRemainingQuantity,
+  getPrescriptionStatus,
+  canTransitionPrescriptionStatus,
+  assertPrescriptionStatusTransition,
+  getResumeStatus,
+  buildPrescriptionStatusFields,
+  buildDispenseFields,
+};
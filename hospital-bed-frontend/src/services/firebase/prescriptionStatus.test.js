@@ -0,0 +1,143 @@
+// src/services/firebase/prescriptionStatus.test.js
+/**
+ * Unit tests for the prescription lifecycle: status resolution, allowed
+ * transitions and dispensing.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { PRESCRIPTION_STATUS } from '@lib/constants';
+import {
+  assertPrescriptionStatusTransition,
+  buildDispenseFields,
+  buildPrescriptionStatusFields,
+  getPrescriptionStatus,
+  getRemainingQuantity,
+  getResumeStatus,
+} from './prescriptionStatus';
+
+const NOW = Date.parse('2030-01-15T12:00:00Z');
+const STAMP = 'stamp'; // stands in for a Firestore Timestamp
+const FUTURE = new Date('2030-02-01T00:00:00Z');
+const PAST = new Date('2030-01-01T00:00:00Z');
+
+describe('getPrescriptionStatus', () => {
+  it('maps documents written before the lifecycle from isDispensed', () => {
+    expect(getPrescriptionStatus({}, NOW)).toBe(PRESCRIPTION_STATUS.ACTIVE);
+    expect(getPrescriptionStatus({ isDispensed: true }, NOW)).toBe(PRESCRIPTION_STATUS.DISPENSED);
+    expect(getPrescriptionStatus({ status: 'bogus', isDispensed: true }, NOW)).toBe(PRESCRIPTION_STATUS.DISPENSED);
+  });
+
+  it('expires open prescriptions past expiresAt', () => {
+    expect(getPrescriptionStatus({ status: 'active', expiresAt: FUTURE }, NOW)).toBe(PRESCRIPTION_STATUS.ACTIVE);
+    expect(getPrescriptionStatus({ status: 'active', expiresAt: PAST }, NOW)).toBe(PRESCRIPTION_STATUS.EXPIRED);
+    expect(getPrescriptionStatus({ status: 'on_hold', expiresAt: PAST }, NOW)).toBe(PRESCRIPTION_STATUS.EXPIRED);
+  });
+
+  it('keeps closed prescriptions as they are after expiry', () => {
+    expect(getPrescriptionStatus({ status: 'dispensed', expiresAt: PAST }, NOW)).toBe(PRESCRIPTION_STATUS.DISPENSED);
+    expect(getPrescriptionStatus({ status: 'discontinued', expiresAt: PAST }, NOW))
+      .toBe(PRESCRIPTION_STATUS.DISCONTINUED);
+  });
+});
+
+describe('assertPrescriptionStatusTransition', () => {
+  it('allows the lifecycle moves', () => {
+    expect(() => assertPrescriptionStatusTransition('active', 'on_hold')).not.toThrow();
+    expect(() => assertPrescriptionStatusTransition('on_hold', 'partially_dispensed')).not.toThrow();
+    expect(() => assertPrescriptionStatusTransition('dispensed', 'discontinued', 'Adverse reaction')).not.toThrow();
+  });
+
+  it('refuses moves out of closed statuses and no-op moves', () => {
+    expect(() => assertPrescriptionStatusTransition('expired', 'active')).toThrow('from expired to active');
+    expect(() => assertPrescriptionStatusTransition('dispensed', 'on_hold')).toThrow('from dispensed to on hold');
+    expect(() => assertPrescriptionStatusTransition('on_hold', 'on_hold')).toThrow('already on hold');
+    expect(() => assertPrescriptionStatusTransition('active', 'paused')).toThrow('Invalid prescription status');
+  });
+
+  it('requires a reason to discontinue', () => {
+    expect(() => assertPrescriptionStatusTransition('active', 'discontinued')).toThrow('reason is required');
+    expect(() => assertPrescriptionStatusTransition('active', 'discontinued', '  ')).toThrow('reason is required');
+  });
+});
+
+describe('getResumeStatus', () => {
+  it('resumes where the prescription left off', () => {
+    expect(getResumeStatus({ quantity: 10 })).toBe(PRESCRIPTION_STATUS.ACTIVE);
+    expect(getResumeStatus({ quantity: 10, dispenseLog: [{ quantity: 4 }] }))
+      .toBe(PRESCRIPTION_STATUS.PARTIALLY_DISPENSED);
+  });
+});
+
+describe('buildPrescriptionStatusFields', () => {
+  it('appends to the status history', () => {
+    const fields = buildPrescriptionStatusFields(
+      { statusHistory: [{ status: 'active' }] },
+      'discontinued',
+      { reason: ' Allergy ', changedBy: 'doctor-1', changedByName: 'Dr. Grey' },
+      STAMP
+    );
+
+    expect(fields).toMatchObject({ status: 'discontinued', statusReason: 'Allergy', statusUpdatedBy: 'doctor-1' });
+    expect(fields.statusHistory).toEqual([
+      { status: 'active' },
+      { status: 'discontinued', reason: 'Allergy', changedBy: 'doctor-1', changedByName: 'Dr. Grey', changedAt: STAMP },
+    ]);
+  });
+});
+
+describe('buildDispenseFields', () => {
+  const prescription = { status: 'active', quantity: 10, expiresAt: FUTURE };
+
+  it('moves to partially dispensed, then dispensed when the quantity is used up', () => {
+    const first = buildDispenseFields(prescription, { quantity: 4, dispensedBy: 'nurse-1' }, STAMP, NOW);
+
+    expect(first.status).toBe(PRESCRIPTION_STATUS.PARTIALLY_DISPENSED);
+    expect(first.dispensedQuantity).toBe(4);
+    expect(first.dispenseLog).toHaveLength(1);
+    expect(getRemainingQuantity({ ...prescription, ...first })).toBe(6);
+
+    const second = buildDispenseFields({ ...prescription, ...first }, { quantity: '6' }, STAMP, NOW);
+
+    expect(second.status).toBe(PRESCRIPTION_STATUS.DISPENSED);
+    expect(second.dispensedQuantity).toBe(10);
+    expect(second.statusHistory.map(entry => entry.status)).toEqual(['partially_dispensed', 'dispensed']);
+  });
+
+  it('dispenses everything that is left when no quantity is given', () => {
+    const fields = buildDispenseFields({ ...prescription, dispensedQuantity: 7 }, {}, STAMP, NOW);
+
+    expect(fields.dispensedQuantity).toBe(10);
+    expect(fields.status).toBe(PRESCRIPTION_STATUS.DISPENSED);
+  });
+
+  it('completes a prescription without a quantity in one dispense', () => {
+    const fields = buildDispenseFields({ status: 'active' }, {}, STAMP, NOW);
+
+    expect(fields.status).toBe(PRESCRIPTION_STATUS.DISPENSED);
+    expect(fields.dispenseLog[0].quantity).toBe(1);
+  });
+
+  it('keeps the status when a partial dispense stays partial', () => {
+    const fields = buildDispenseFields({ ...prescription, status: 'partially_dispensed', dispensedQuantity: 2 },
+      { quantity: 3 }, STAMP, NOW);
+
+    expect(fields.status).toBe(PRESCRIPTION_STATUS.PARTIALLY_DISPENSED);
+    expect(fields.statusHistory).toBeUndefined();
+  });
+
+  it('refuses invalid quantities and more than is left', () => {
+    expect(() => buildDispenseFields(prescription, { quantity: 0 }, STAMP, NOW)).toThrow('whole number');
+    expect(() => buildDispenseFields(prescription, { quantity: 1.5 }, STAMP, NOW)).toThrow('whole number');
+    expect(() => buildDispenseFields({ ...prescription, dispensedQuantity: 8 }, { quantity: 3 }, STAMP, NOW))
+      .toThrow('Only 2 left');
+  });
+
+  it('refuses held, closed and expired prescriptions', () => {
+    expect(() => buildDispenseFields({ ...prescription, status: 'on_hold' }, {}, STAMP, NOW))
+      .toThrow('that is on hold');
+    expect(() => buildDispenseFields({ ...prescription, status: 'dispensed' }, {}, STAMP, NOW))
+      .toThrow('that is dispensed');
+    expect(() => buildDispenseFields({ ...prescription, expiresAt: PAST }, {}, STAMP, NOW))
+      .toThrow('that is expired');
+  });
+});
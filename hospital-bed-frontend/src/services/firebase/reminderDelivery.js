@@ -0,0 +1,75 @@
+// src/services/firebase/reminderDelivery.js
+/**
+ * Patient reminder delivery
+ *
+ * Patients have no HBMS account, so their reminders leave through a
+ * delivery adapter (SMS gateway, e-mail service, ...). The default adapter
+ * only logs the message, which keeps local development and the emulator
+ * free of outside calls.
+ *
+ * Adapter shape:
+ * {
+ *   name: 'sms',
+ *   send: async ({ to: { patientId, name, phone, email }, message, appointmentId, dueAt })
+ *     => ({ reference?, delivered? })   // throw to mark the reminder as failed;
+ *                                      // delivered: false records it as logged, not sent
+ * }
+ *
+ * Usage:
+ * import { setReminderDeliveryAdapter } from '@services/firebase/reminderDelivery';
+ * setReminderDeliveryAdapter(smsAdapter);
+ */
+
+/**
+ * Local stub: nothing reaches the patient, so the message is logged as a warning
+ * and the reminder is recorded as logged
+ */
+export const logDeliveryAdapter = {
+  name: 'log',
+  send: async ({ to, message, appointmentId }) => {
+    console.warn(`[reminder] to ${to.name || to.patientId} (${to.phone || to.email || 'no contact'}) ` +
+      `for appointment ${appointmentId}: ${message}`);
+    return { reference: null, delivered: false };
+  },
+};
+
+let activeAdapter = logDeliveryAdapter;
+
+/**
+ * Replace the delivery adapter (e.g. at app start-up)
+ * @param {Object} adapter - { name, send }
+ * @throws {Error} If the adapter has no send function
+ */
+export const setReminderDeliveryAdapter = (adapter) => {
+  if (!adapter || typeof adapter.send !== 'function') {
+    throw new Error('Reminder delivery adapter must have a send function');
+  }
+  activeAdapter = adapter;
+};
+
+/**
+ * Current delivery adapter
+ * @returns {Object} { name, send }
+ */
+export const getReminderDeliveryAdapter = () => activeAdapter;
+
+/**
+ * Send one patient reminder through the current adapter
+ * @param {Object} payload - { to, message, appointmentId, dueAt }
+ * @returns {Promise<Object>} { channel, reference, delivered }
+ */
+export const deliverPatientReminder = async (payload) => {
+  const result = await activeAdapter.send(payload);
+  return {
+    channel: activeAdapter.name,
+    reference: result?.reference || null,
+    delivered: result?.delivered !== false,
+  };
+};
+
+export default {
+  logDeliveryAdapter,
+  setReminderDeliveryAdapter,
+  getReminderDeliveryAdapter,
+  deliverPatientReminder,
+};
@@ -0,0 +1,164 @@
+// src/services/firebase/waitingRoom.js
+/**
+ * Waiting room
+ *
+ * Pure helpers for the front-desk waiting room and the wait time report.
+ * Input is transformed appointments (snake_case, ISO dates) as returned by
+ * appointmentFirebase.
+ *
+ * Rules:
+ * - The queue holds today's checked-in patients, ordered by appointment time,
+ *   then by arrival; callNextPatient uses the same order
+ * - The live wait counts from check-in (time actually spent in the waiting room)
+ * - The reported wait counts from the later of check-in and appointment time,
+ *   so arriving early does not count against the doctor
+ * - Consultation time runs from being called in to completion
+ */
+
+import { isSameDay } from 'date-fns';
+import { APPOINTMENT_STATUS } from '@lib/constants';
+import { toDate } from '@lib/dateUtils';
+
+/**
+ * Whole minutes between two times, never negative
+ * @param {*} from - Timestamp, Date or ISO string
+ * @param {*} to - Timestamp, Date or ISO string
+ * @returns {number|null} null when either time is missing
+ */
+export const minutesBetween = (from, to) => {
+  const start = toDate(from);
+  const end = toDate(to);
+  if (!start || !end) return null;
+  return Math.max(0, Math.round((end - start) / 60000));
+};
+
+/**
+ * Queue order: appointment time first, then arrival
+ * @param {Object} a - appointment
+ * @param {Object} b - appointment
+ * @returns {number}
+ */
+export const compareQueueOrder = (a, b) =>
+  (toDate(a.appointment_date) - toDate(b.appointment_date)) ||
+  ((toDate(a.checked_in_at) || 0) - (toDate(b.checked_in_at) || 0));
+
+/**
+ * Today's waiting room
+ * @param {Array} appointments - transformed appointments
+ * @param {Object} options
+ * @param {string} [options.doctorId] - only this doctor's patients
+ * @param {Date} [options.now]
+ * @returns {Object} { expected, waiting, in_consultation } - waiting entries carry
+ *   `position` (per doctor) and `wait_minutes`; consultations carry `consult_minutes`
+ */
+export const buildWaitingRoom = (appointments = [], { doctorId = null, now = new Date() } = {}) => {
+  const today = appointments.filter(appointment =>
+    (!doctorId || appointment.doctor_user_id === doctorId) &&
+    isSameDay(toDate(appointment.appointment_date) || 0, now)
+  );
+  const withStatus = (status) => today.filter(appointment => appointment.status === status).sort(compareQueueOrder);
+
+  const positions = new Map();
+  const waiting = withStatus(APPOINTMENT_STATUS.CHECKED_IN).map(appointment => {
+    const position = (positions.get(appointment.doctor_user_id) || 0) + 1;
+    positions.set(appointment.doctor_user_id, position);
+    return { ...appointment, position, wait_minutes: minutesBetween(appointment.checked_in_at, now) };
+  });
+
+  return {
+    expected: withStatus(APPOINTMENT_STATUS.SCHEDULED),
+    waiting,
+    in_consultation: withStatus(APPOINTMENT_STATUS.IN_PROGRESS).map(appointment => ({
+      ...appointment,
+      consult_minutes: minutesBetween(appointment.started_at, now),
+    })),
+  };
+};
+
+/**
+ * Next patient in a doctor's queue
+ * @param {Array} appointments - transformed appointments
+ * @param {string} doctorId
+ * @param {Date} [now]
+ * @returns {Object|null}
+ */
+export const getNextPatient = (appointments, doctorId, now = new Date()) =>
+  buildWaitingRoom(appointments, { doctorId, now }).waiting[0] || null;
+
+/**
+ * Rounded average of the non-null values
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+const average = (values) => {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) return null;
+  return Math.round(present.reduce((sum, value) => sum + value, 0) / present.length);
+};
+
+/**
+ * Wait and consultation times for a group of visits
+ * @param {Array} visits - appointments with started_at
+ * @returns {Object} { seen, completed, avg_wait_minutes, max_wait_minutes, avg_consult_minutes }
+ */
+const summarizeVisits = (visits) => {
+  const waits = visits.map(visit => {
+    const checkedIn = toDate(visit.checked_in_at);
+    const scheduled = toDate(visit.appointment_date);
+    const waitFrom = checkedIn && scheduled && scheduled > checkedIn ? scheduled : checkedIn;
+    return minutesBetween(waitFrom, visit.started_at);
+  });
+  const consults = visits.map(visit => minutesBetween(visit.started_at, visit.completed_at));
+  const knownWaits = waits.filter(wait => wait !== null);
+
+  return {
+    seen: visits.length,
+    completed: consults.filter(consult => consult !== null).length,
+    avg_wait_minutes: average(waits),
+    max_wait_minutes: knownWaits.length > 0 ? Math.max(...knownWaits) : null,
+    avg_consult_minutes: average(consults),
+  };
+};
+
+/**
+ * Summarize wait and consultation times per doctor for the wait time report.
+ * Only visits where the patient was called in count.
+ * @param {Object} params
+ * @param {Array} params.appointments - appointments with checked_in_at, started_at, completed_at
+ * @param {Array} params.doctors - doctor users (id, fullName/full_name) for names
+ * @returns {Object} { totals: { seen, completed, avg_wait_minutes, max_wait_minutes, avg_consult_minutes,
+ *   doctors }, doctors: [{ doctor_id, doctor_name, ...same figures }] }
+ */
+export const buildWaitTimeStatistics = ({ appointments = [], doctors = [] }) => {
+  const doctorNames = new Map(doctors.map(doctor => [doctor.id, doctor.fullName || doctor.full_name]));
+  const visits = appointments.filter(appointment => appointment.started_at);
+
+  const byDoctor = new Map();
+  visits.forEach(visit => {
+    if (!visit.doctor_user_id) return;
+    if (!byDoctor.has(visit.doctor_user_id)) byDoctor.set(visit.doctor_user_id, []);
+    byDoctor.get(visit.doctor_user_id).push(visit);
+  });
+
+  const doctorRows = [...byDoctor.entries()]
+    .map(([doctorId, group]) => ({
+      doctor_id: doctorId,
+      doctor_name: doctorNames.get(doctorId) || 'Unknown Doctor',
+      ...summarizeVisits(group),
+    }))
+    .sort((a, b) => (b.avg_wait_minutes ?? -1) - (a.avg_wait_minutes ?? -1) ||
+      a.doctor_name.localeCompare(b.doctor_name));
+
+  return {
+    totals: { ...summarizeVisits(visits), doctors: doctorRows.length },
+    doctors: doctorRows,
+  };
+};
+
+export default {
+  minutesBetween,
+  compareQueueOrder,
+  buildWaitingRoom,
+  getNextPatient,
+  buildWaitTimeStatistics,
+};
@@ -87,4 +87,13 @@ export default defineConfig({
       },
     },
   },
+
+  // Vitest: Firestore suites run against the emulator (see npm run test:emulator)
+  // and are skipped when FIRESTORE_EMULATOR_HOST is not set
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    testTimeout: 30000,
+    hookTimeout: 30000,
+  },
 });
\ No newline at end of file
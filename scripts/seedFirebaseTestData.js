@@ -297,15 +297,15 @@ async function createSampleRooms() {
     { roomNumber: 'NEURO-603', floor: 6, roomType: 'observation', capacity: 1, departmentId: 'neurology' },
     
     // Orthopedics - Floor 7
-    { roomNumber: 'ORTHO-701', floor: 7, roomType: 'ward', capacity: 2, departmentId: 'orthopedics' },
-    { roomNumber: 'ORTHO-702', floor: 7, roomType: 'ward', capacity: 2, departmentId: 'orthopedics' },
+    { roomNumber: 'ORTHO-701', floor: 7, roomType: 'ward', genderPolicy: 'male', capacity: 2, departmentId: 'orthopedics' },
+    { roomNumber: 'ORTHO-702', floor: 7, roomType: 'ward', genderPolicy: 'female', capacity: 2, departmentId: 'orthopedics' },
     { roomNumber: 'ORTHO-703', floor: 7, roomType: 'recovery', capacity: 2, departmentId: 'orthopedics' },
     
     // General Ward - Floor 8
-    { roomNumber: 'GEN-801', floor: 8, roomType: 'ward', capacity: 4, departmentId: 'general' },
-    { roomNumber: 'GEN-802', floor: 8, roomType: 'ward', capacity: 4, departmentId: 'general' },
-    { roomNumber: 'GEN-803', floor: 8, roomType: 'ward', capacity: 3, departmentId: 'general' },
-    { roomNumber: 'GEN-804', floor: 8, roomType: 'ward', capacity: 3, departmentId: 'general' },
+    { roomNumber: 'GEN-801', floor: 8, roomType: 'ward', genderPolicy: 'single_sex', capacity: 4, departmentId: 'general' },
+    { roomNumber: 'GEN-802', floor: 8, roomType: 'ward', genderPolicy: 'single_sex', capacity: 4, departmentId: 'general' },
+    { roomNumber: 'GEN-803', floor: 8, roomType: 'ward', genderPolicy: 'single_sex', capacity: 3, departmentId: 'general' },
+    { roomNumber: 'GEN-804', floor: 8, roomType: 'ward', genderPolicy: 'single_sex', capacity: 3, departmentId: 'general' },
   ];
   
   for (const room of rooms) {
@@ -371,6 +371,25 @@ async function fixExistingBeds() {
   }
 }
 
+/**
+ * Bed equipment by room type (isolation, negative pressure, oxygen, monitor, bariatric)
+ */
+const BED_ATTRIBUTES_BY_ROOM_TYPE = {
+  icu: { isolation: true, negativePressure: false, oxygen: true, monitor: true, bariatric: false },
+  emergency: { isolation: false, negativePressure: false, oxygen: true, monitor: true, bariatric: false },
+  observation: { isolation: true, negativePressure: true, oxygen: true, monitor: true, bariatric: false },
+  private: { isolation: true, negativePressure: false, oxygen: true, monitor: false, bariatric: true },
+  recovery: { isolation: false, negativePressure: false, oxygen: true, monitor: true, bariatric: false },
+};
+
+const DEFAULT_BED_ATTRIBUTES = {
+  isolation: false,
+  negativePressure: false,
+  oxygen: false,
+  monitor: false,
+  bariatric: false,
+};
+
 /**
  * Create sample beds
  */
@@ -398,7 +417,9 @@ async function createSampleBeds() {
           bedNumber: bedNumber,
           roomId: room.id,
           departmentId: room.departmentId, // Add departmentId from room
+          status: 'available',
           isOccupied: false,
+          ...(BED_ATTRIBUTES_BY_ROOM_TYPE[room.roomType] || DEFAULT_BED_ATTRIBUTES),
         });
         bedsCreated++;
       }
@@ -663,20 +684,36 @@ async function assignBedsToPatients() {
     // Get and remove the first available bed for this department
     const bed = departmentBeds.shift();
     
+    // Spread expected discharges over the coming week; every 8th stay has no estimate yet
+    const expectedDischargeAt = i % 8 === 7
+      ? null
+      : admin.firestore.Timestamp.fromDate(new Date(Date.now() + (i % 7) * 24 * 60 * 60 * 1000));
+
     // Create bed assignment
     const assignmentRef = db.collection('bedAssignments').doc();
     batch.set(assignmentRef, {
       patientId: patient.id,
       bedId: bed.id,
+      departmentId: bed.departmentId || null,
       assignedAt: admin.firestore.FieldValue.serverTimestamp(),
       dischargedAt: null,
       notes: `Seeded assignment for ${patient.fullName}`,
+      expectedDischargeAt,
     });
     
     // Update bed status to occupied
     const bedRef = db.collection('beds').doc(bed.id);
     batch.update(bedRef, {
+      status: 'occupied',
       isOccupied: true,
+      currentAssignmentId: assignmentRef.id,
+      expectedDischargeAt,
+    });
+
+    // Point the patient at the bed, as the assignment transaction does
+    batch.update(db.collection('patients').doc(patient.id), {
+      currentBedId: bed.id,
+      currentAssignmentId: assignmentRef.id,
     });
     
     assignmentsCreated++;
@@ -691,6 +728,177 @@ async function assignBedsToPatients() {
   }
 }
 
+/**
+ * Formulary medications (document ID = slug of the generic name)
+ */
+const FORMULARY_ITEMS = [
+  {
+    id: 'paracetamol',
+    genericName: 'Paracetamol',
+    brandNames: ['Panadol', 'Tylenol'],
+    strengths: [{ amount: 500, unit: 'mg' }, { amount: 1, unit: 'g' }],
+    routes: ['oral', 'iv', 'rectal'],
+    forms: ['tablet', 'infusion', 'suppository'],
+    defaultFrequencies: ['QDS', 'q6h', 'PRN'],
+  },
+  {
+    id: 'ibuprofen',
+    genericName: 'Ibuprofen',
+    brandNames: ['Brufen', 'Advil'],
+    strengths: [{ amount: 200, unit: 'mg' }, { amount: 400, unit: 'mg' }],
+    routes: ['oral'],
+    forms: ['tablet'],
+    defaultFrequencies: ['TDS', 'PRN'],
+  },
+  {
+    id: 'amoxicillin',
+    genericName: 'Amoxicillin',
+    brandNames: ['Amoxil'],
+    strengths: [{ amount: 250, unit: 'mg' }, { amount: 500, unit: 'mg' }],
+    routes: ['oral'],
+    forms: ['capsule', 'liquid'],
+    defaultFrequencies: ['TDS'],
+  },
+  {
+    id: 'co-amoxiclav',
+    genericName: 'Co-amoxiclav',
+    brandNames: ['Augmentin'],
+    strengths: [{ amount: 625, unit: 'mg' }, { amount: 1.2, unit: 'g' }],
+    routes: ['oral', 'iv'],
+    forms: ['tablet', 'injection'],
+    defaultFrequencies: ['TDS'],
+  },
+  {
+    id: 'metformin',
+    genericName: 'Metformin',
+    brandNames: ['Glucophage'],
+    strengths: [{ amount: 500, unit: 'mg' }, { amount: 850, unit: 'mg' }],
+    routes: ['oral'],
+    forms: ['tablet'],
+    defaultFrequencies: ['BD', 'TDS'],
+  },
+  {
+    id: 'atorvastatin',
+    genericName: 'Atorvastatin',
+    brandNames: ['Lipitor'],
+    strengths: [{ amount: 10, unit: 'mg' }, { amount: 20, unit: 'mg' }, { amount: 40, unit: 'mg' }],
+    routes: ['oral'],
+    forms: ['tablet'],
+    defaultFrequencies: ['nocte'],
+  },
+  {
+    id: 'omeprazole',
+    genericName: 'Omeprazole',
+    brandNames: ['Losec', 'Prilosec'],
+    strengths: [{ amount: 20, unit: 'mg' }, { amount: 40, unit: 'mg' }],
+    routes: ['oral', 'iv'],
+    forms: ['capsule', 'injection'],
+    defaultFrequencies: ['OD'],
+  },
+  {
+    id: 'enoxaparin',
+    genericName: 'Enoxaparin',
+    brandNames: ['Clexane', 'Lovenox'],
+    strengths: [{ amount: 40, unit: 'mg' }, { amount: 80, unit: 'mg' }],
+    routes: ['sc'],
+    forms: ['injection'],
+    defaultFrequencies: ['OD', 'BD'],
+  },
+  {
+    id: 'morphine',
+    genericName: 'Morphine',
+    brandNames: ['Oramorph'],
+    strengths: [{ amount: 10, unit: 'mg' }, { amount: 2, unit: 'mg/mL' }],
+    routes: ['oral', 'iv', 'sc'],
+    forms: ['liquid', 'injection'],
+    defaultFrequencies: ['q4h', 'PRN'],
+  },
+  {
+    id: 'salbutamol',
+    genericName: 'Salbutamol',
+    brandNames: ['Ventolin'],
+    strengths: [{ amount: 100, unit: 'mcg' }],
+    routes: ['inhaled'],
+    forms: ['inhaler'],
+    defaultFrequencies: ['QDS', 'PRN'],
+  },
+  {
+    id: 'insulin-glargine',
+    genericName: 'Insulin glargine',
+    brandNames: ['Lantus'],
+    strengths: [{ amount: 100, unit: 'units' }],
+    routes: ['sc'],
+    forms: ['injection'],
+    defaultFrequencies: ['OD'],
+  },
+  {
+    id: 'furosemide',
+    genericName: 'Furosemide',
+    brandNames: ['Lasix'],
+    strengths: [{ amount: 40, unit: 'mg' }, { amount: 10, unit: 'mg/mL' }],
+    routes: ['oral', 'iv'],
+    forms: ['tablet', 'injection'],
+    defaultFrequencies: ['OD', 'BD'],
+  },
+];
+
+/**
+ * Create the medication formulary if it doesn't exist
+ */
+async function createSampleFormulary() {
+  console.log('\n💊 Creating formulary...');
+
+  for (const { id, ...item } of FORMULARY_ITEMS) {
+    const itemRef = db.collection('formulary').doc(id);
+    const itemDoc = await itemRef.get();
+
+    if (!itemDoc.exists) {
+      await itemRef.set({
+        ...item,
+        active: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log(`   ✅ Added to formulary: ${item.genericName}`);
+    } else {
+      console.log(`   ℹ️  Already in formulary: ${item.genericName}`);
+    }
+  }
+}
+
+/**
+ * Create ward stock levels for the formulary (ID = departmentId_formularyId).
+ * A few items start at or below their reorder level so low-stock alerts
+ * can be tried out straight away.
+ */
+async function createSampleStock() {
+  console.log('\n📦 Creating pharmacy stock...');
+
+  const departmentsSnapshot = await db.collection('departments').get();
+  let created = 0;
+
+  for (const departmentDoc of departmentsSnapshot.docs) {
+    for (const [index, item] of FORMULARY_ITEMS.entries()) {
+      const stockRef = db.collection('formularyStock').doc(`${departmentDoc.id}_${item.id}`);
+      const stockDoc = await stockRef.get();
+      if (stockDoc.exists) continue;
+
+      await stockRef.set({
+        departmentId: departmentDoc.id,
+        formularyId: item.id,
+        medicationName: item.genericName,
+        quantity: index % 5 === 0 ? 15 : 60 + (index * 10),
+        reorderLevel: 20,
+        updatedBy: 'system',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      created++;
+    }
+  }
+
+  console.log(`   ✅ Created ${created} stock levels across ${departmentsSnapshot.size} departments`);
+}
+
 /**
  * Main seeding function
  */
@@ -718,6 +926,10 @@ async function seedTestData() {
     // Assign beds to patients (with proper validation)
     await assignBedsToPatients();
     
+    // Create the formulary and ward stock
+    await createSampleFormulary();
+    await createSampleStock();
+    
     // Create users
     console.log('\n👥 Creating test users...\n');
     